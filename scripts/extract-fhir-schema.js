@@ -0,0 +1,91 @@
+#! /usr/bin/env node
+// Extrai do JSON Schema oficial do FHIR R4 (fhir.schema.json, publicado em
+// https://hl7.org/fhir/R4/fhir.schema.json.zip) apenas as definições usadas pelo
+// exportador FHIR, para validar os bundles offline sem versionar o arquivo completo.
+//
+// Uso: node scripts/extract-fhir-schema.js caminho/para/fhir.schema.json
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Recursos emitidos por src/services/fhir/fhirExporter.js
+const RESOURCE_TYPES = ['Bundle', 'Patient', 'Observation', 'DiagnosticReport']
+const OUTPUT = path.join(__dirname, '..', 'src', 'services', 'fhir', 'fhir-r4.schema.json')
+
+const collectRefs = (node, refs = []) => {
+  if (Array.isArray(node)) {
+    node.forEach((item) => collectRefs(item, refs))
+  } else if (node && typeof node === 'object') {
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === '$ref' && value.startsWith('#/definitions/')) {
+        refs.push(value.slice('#/definitions/'.length))
+      } else {
+        collectRefs(value, refs)
+      }
+    })
+  }
+  return refs
+}
+
+// As descrições ocupam a maior parte do arquivo e não participam da validação
+const stripDescriptions = (node) => {
+  if (Array.isArray(node)) return node.map(stripDescriptions)
+  if (!node || typeof node !== 'object') return node
+  return Object.fromEntries(
+    Object.entries(node)
+      .filter(([key, value]) => !(key === 'description' && typeof value === 'string'))
+      .map(([key, value]) => [key, stripDescriptions(value)])
+  )
+}
+
+async function extract(source) {
+  const schema = JSON.parse(await fs.readFile(source, 'utf8'))
+  const resourceRefs = RESOURCE_TYPES.map((type) => ({ $ref: `#/definitions/${type}` }))
+
+  // ResourceList (Bundle.entry.resource) passa a aceitar apenas os recursos exportados
+  const definitions = {
+    ResourceList: { oneOf: resourceRefs.filter((ref) => !ref.$ref.endsWith('/Bundle')) },
+  }
+  const pending = [...RESOURCE_TYPES]
+
+  while (pending.length > 0) {
+    const name = pending.pop()
+    if (definitions[name]) continue
+    if (!schema.definitions[name]) throw new Error(`Definição ausente no schema: ${name}`)
+
+    definitions[name] = stripDescriptions(schema.definitions[name])
+    pending.push(...collectRefs(definitions[name]))
+  }
+
+  const subset = {
+    $schema: schema.$schema,
+    id: schema.id,
+    description: `Subconjunto de ${schema.id} (${RESOURCE_TYPES.join(', ')}) gerado por scripts/extract-fhir-schema.js`,
+    discriminator: {
+      propertyName: 'resourceType',
+      mapping: Object.fromEntries(RESOURCE_TYPES.map((type) => [type, `#/definitions/${type}`])),
+    },
+    oneOf: resourceRefs,
+    definitions: Object.fromEntries(
+      Object.keys(definitions)
+        .sort()
+        .map((name) => [name, definitions[name]])
+    ),
+  }
+
+  await fs.writeFile(OUTPUT, `${JSON.stringify(subset, null, 2)}\n`)
+  console.log(`✅ ${Object.keys(definitions).length} definições gravadas em ${OUTPUT}`)
+}
+
+const source = process.argv[2]
+if (!source) {
+  console.error('Uso: node scripts/extract-fhir-schema.js caminho/para/fhir.schema.json')
+  process.exit(1)
+}
+
+extract(source).catch((error) => {
+  console.error('❌ Erro ao extrair o schema FHIR:', error.message)
+  process.exit(1)
+})
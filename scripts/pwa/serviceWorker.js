@@ -0,0 +1,154 @@
+/**
+ * @file serviceWorker.js
+ * @description Service worker do Portal Betina (modelo usado no build)
+ * O plugin do Vite troca os marcadores pela lista de arquivos do build e pela versão do
+ * cache, e grava o resultado como sw.js. Jogos, sons e imagens vêm do cache; as consultas
+ * dos painéis tentam a rede e, sem conexão, devolvem a última resposta guardada para o
+ * mesmo usuário. O resto da API passa direto.
+ */
+
+const PRECACHE_MANIFEST = self.__BETINA_PRECACHE_MANIFEST__ || []
+const CACHE_VERSION = '__BETINA_CACHE_VERSION__'
+// Os mesmos de src/utils/pwa/precacheManifest.js
+const CACHE_PREFIX = 'betina-'
+const API_PATH_PREFIX = '/api/'
+const API_CACHE_PREFIX = `${CACHE_PREFIX}api-`
+
+const PRECACHE = `${CACHE_PREFIX}precache-${CACHE_VERSION}`
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`
+
+// Consultas dos painéis que ficam disponíveis sem conexão; nada fora desta lista é guardado
+const DASHBOARD_API_PATHS = [
+  /^\/api\/v1\/dashboard-metrics\/[^/]+$/,
+  /^\/api\/v1\/(cognitive-profiles|ml-features|neuropedagogical-insights|learning-patterns|engagement-metrics|neuroplasticity-tracking)$/,
+  /^\/api\/v1\/user\/[^/]+\/game-sessions$/,
+]
+// Sessão ao vivo: fluxos (SSE) que nunca terminam e comandos que não podem vir do cache
+const LIVE_SESSION_PATH = '/api/v1/live-sessions'
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href
+const APP_SHELL_URL = scopeUrl('./index.html')
+const PRECACHED_URLS = new Set(PRECACHE_MANIFEST.map(({ url }) => scopeUrl(url)))
+
+// Instala a nova versão em segundo plano; ela só assume quando o app pedir (SKIP_WAITING)
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE).then((cache) =>
+      // 'reload' evita guardar uma cópia antiga do cache HTTP do navegador
+      cache.addAll(
+        PRECACHE_MANIFEST.map(({ url }) => new Request(scopeUrl(url), { cache: 'reload' }))
+      )
+    )
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  const current = [PRECACHE, RUNTIME_CACHE]
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            // Os caches da API são por usuário e só saem no logout
+            .filter(
+              (key) =>
+                key.startsWith(CACHE_PREFIX) &&
+                !key.startsWith(API_CACHE_PREFIX) &&
+                !current.includes(key)
+            )
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting()
+})
+
+// Cache da API de quem fez a consulta: o nome vem do hash do cabeçalho Authorization,
+// para um usuário nunca receber a resposta guardada de outro
+const openUserApiCache = async (request) => {
+  const authorization = request.headers.get('Authorization')
+  if (!authorization) return null
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(authorization))
+  const hash = [...new Uint8Array(digest)]
+    .slice(0, 16)
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('')
+  return caches.open(`${API_CACHE_PREFIX}${hash}`)
+}
+
+// Painéis: rede primeiro, última resposta guardada quando não há conexão
+const handleApiRequest = async (request) => {
+  const cache = await openUserApiCache(request)
+  try {
+    const response = await fetch(request)
+    if (response.ok && cache) cache.put(request, response.clone())
+    return response
+  } catch (error) {
+    const cached = await cache?.match(request)
+    if (cached) return cached
+    return new Response(
+      JSON.stringify({
+        success: false,
+        offline: true,
+        error: 'Sem conexão com a internet. Os dados serão atualizados quando a conexão voltar.',
+      }),
+      { status: 503, headers: { 'Content-Type': 'application/json' } }
+    )
+  }
+}
+
+// Telas do app: sempre o index.html, da rede se possível
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request)
+  } catch (error) {
+    return (await caches.match(APP_SHELL_URL)) || Response.error()
+  }
+}
+
+// Demais arquivos do próprio portal (ex.: fotos de pacotes de conteúdo)
+const handleRuntimeAsset = async (request) => {
+  const cache = await caches.open(RUNTIME_CACHE)
+  const cached = await cache.match(request)
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone())
+      return response
+    })
+    .catch(() => cached || Response.error())
+  return cached || network
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+  // Sem respondWith o navegador faz a requisição direto, sem passar pelo service worker
+  if (
+    request.headers.get('Accept')?.includes('text/event-stream') ||
+    url.pathname.startsWith(LIVE_SESSION_PATH)
+  ) {
+    return
+  }
+
+  if (url.pathname.startsWith(API_PATH_PREFIX)) {
+    if (DASHBOARD_API_PATHS.some((path) => path.test(url.pathname))) {
+      event.respondWith(handleApiRequest(request))
+    }
+  } else if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+  } else if (PRECACHED_URLS.has(url.href)) {
+    event.respondWith(
+      caches.match(request, { cacheName: PRECACHE }).then((cached) => cached || fetch(request))
+    )
+  } else {
+    event.respondWith(handleRuntimeAsset(request))
+  }
+})
@@ -0,0 +1,61 @@
+// Plugin do Vite que gera o service worker do PWA no build
+// Junta os arquivos do bundle e da pasta public na lista de pré-cache e grava sw.js
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+  SERVICE_WORKER_FILE,
+  buildPrecacheManifest,
+  createCacheVersion,
+  injectPrecacheManifest,
+} from '../../src/utils/pwa/precacheManifest.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const TEMPLATE_PATH = path.join(__dirname, 'serviceWorker.js')
+
+const listPublicFiles = (dir, prefix = '') => {
+  if (!dir || !fs.existsSync(dir)) return []
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fileName = prefix ? `${prefix}/${entry.name}` : entry.name
+    const fullPath = path.join(dir, entry.name)
+    return entry.isDirectory()
+      ? listPublicFiles(fullPath, fileName)
+      : [{ fileName, content: fs.readFileSync(fullPath) }]
+  })
+}
+
+export default function pwaPrecache({ appVersion = '' } = {}) {
+  let publicDir = null
+
+  return {
+    name: 'betina-pwa-precache',
+    apply: 'build',
+
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+
+    // Depois do plugin de HTML do Vite, para o index.html também entrar na lista
+    generateBundle: {
+      order: 'post',
+      handler(_options, bundle) {
+        const bundleFiles = Object.values(bundle).map((item) => ({
+          fileName: item.fileName,
+          content: item.type === 'chunk' ? item.code : item.source,
+        }))
+        const entries = buildPrecacheManifest([...listPublicFiles(publicDir), ...bundleFiles])
+        const version = createCacheVersion(entries, appVersion)
+
+        this.emitFile({
+          type: 'asset',
+          fileName: SERVICE_WORKER_FILE,
+          source: injectPrecacheManifest(fs.readFileSync(TEMPLATE_PATH, 'utf8'), {
+            entries,
+            version,
+          }),
+        })
+        console.log(`📦 PWA: ${entries.length} arquivos no pré-cache (versão ${version})`)
+      },
+    },
+  }
+}
@@ -0,0 +1,8 @@
+-- ======================================================
+-- CONFIRMAÇÃO DO RESPONSÁVEL (ACESSIBILIDADE)
+-- ======================================================
+-- Objetivo: Guardar as configurações de acessibilidade do AccessibilityService, com as
+--          mudanças detectadas que aguardam o responsável (pendingChanges) e as que ele
+--          recusou (declinedChanges), no JSON de accessibility_settings.
+
+ALTER TABLE accessibility_settings ADD COLUMN IF NOT EXISTS settings JSONB DEFAULT '{}';
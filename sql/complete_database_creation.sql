@@ -24,10 +24,29 @@ CREATE TABLE IF NOT EXISTS users (
     username VARCHAR(255),
     display_name VARCHAR(255),
     is_anonymous BOOLEAN DEFAULT TRUE,
+    active BOOLEAN DEFAULT TRUE,
+    role VARCHAR(20) NOT NULL DEFAULT 'child', -- child, guardian, therapist, clinic_admin
+    password_hash VARCHAR(255), -- apenas contas com login (responsáveis, terapeutas, administradores)
     age INTEGER,
     preferences JSONB DEFAULT '{}',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_user_role CHECK (role IN ('child', 'guardian', 'therapist', 'clinic_admin'))
+);
+
+-- Vínculos entre responsáveis/terapeutas e as crianças que acompanham
+CREATE TABLE IF NOT EXISTS care_assignments (
+    id SERIAL PRIMARY KEY,
+    caregiver_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    child_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    relationship VARCHAR(20) NOT NULL, -- guardian, therapist
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+
+    CONSTRAINT chk_care_relationship CHECK (relationship IN ('guardian', 'therapist')),
+    CONSTRAINT chk_care_not_self CHECK (caregiver_id <> child_id)
 );
 
 -- Tabela de perfis de usuário (para múltiplos perfis por conta)
@@ -342,11 +361,71 @@ CREATE TABLE IF NOT EXISTS neuroplasticity_tracking (
     measurement_period INTEGER DEFAULT 7 -- dias considerados para o cálculo
 );
 
+-- Eventos de métricas enviados pela fila offline dos tablets
+CREATE TABLE IF NOT EXISTS metric_events (
+    id SERIAL PRIMARY KEY,
+    event_id VARCHAR(100) NOT NULL, -- gerado no dispositivo; repetições são ignoradas
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id VARCHAR(100),
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB DEFAULT '{}',
+    occurred_at TIMESTAMP NOT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- IDs de dispositivos diferentes podem coincidir: a repetição só vale para a mesma criança
+    CONSTRAINT uq_metric_events_user_event UNIQUE (user_id, event_id)
+);
+
+-- Respostas já entregues por chave de idempotência (reenvios da fila offline)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(100) NOT NULL,
+    request_scope VARCHAR(255) NOT NULL, -- método e rota da primeira requisição
+    status_code INTEGER, -- NULL enquanto a primeira requisição é processada
+    response_body JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT uq_idempotency_user_key UNIQUE (user_id, idempotency_key)
+);
+
+-- Metas terapêuticas (PEI) definidas pelo terapeuta e ligadas às métricas dos jogos
+CREATE TABLE IF NOT EXISTS therapy_goals (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- criança
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- terapeuta
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    domain VARCHAR(50), -- área terapêutica (atenção, memória, linguagem...)
+    game_id VARCHAR(50) NOT NULL,
+    difficulty VARCHAR(10), -- NULL = qualquer dificuldade
+    metric VARCHAR(30) NOT NULL, -- accuracy, correct_answers, score, time_spent
+    comparator VARCHAR(3) NOT NULL DEFAULT 'gte',
+    target DOUBLE PRECISION NOT NULL,
+    min_trials INTEGER NOT NULL DEFAULT 0, -- tentativas mínimas para a sessão contar
+    required_sessions INTEGER NOT NULL DEFAULT 3, -- sessões seguidas no alvo
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    progress JSONB DEFAULT '{}',
+    history JSONB DEFAULT '[]', -- criação, edições, progresso e domínio
+    target_date DATE,
+    mastered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP,
+
+    CONSTRAINT chk_therapy_goal_status CHECK (status IN ('active', 'mastered', 'paused', 'discontinued')),
+    CONSTRAINT chk_therapy_goal_comparator CHECK (comparator IN ('gte', 'lte')),
+    CONSTRAINT chk_therapy_goal_sessions CHECK (required_sessions BETWEEN 1 AND 20)
+);
+
 -- PARTE 4: ÍNDICES PARA PERFORMANCE
 -- =============================================================================
 
 -- Índices básicos das tabelas principais
 CREATE INDEX IF NOT EXISTS idx_users_created ON users(created_at);
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_care_assignments_active ON care_assignments(caregiver_id, child_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_care_assignments_child ON care_assignments(child_id);
 CREATE INDEX IF NOT EXISTS idx_user_profiles_user_id ON user_profiles(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_profiles_active ON user_profiles(is_active);
 
@@ -357,6 +436,9 @@ CREATE INDEX IF NOT EXISTS idx_game_sessions_created ON game_sessions(created_at
 CREATE INDEX IF NOT EXISTS idx_game_sessions_user_created ON game_sessions(user_id, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_game_sessions_difficulty_performance ON game_sessions(difficulty, accuracy, score) WHERE completed = true;
 CREATE INDEX IF NOT EXISTS idx_game_sessions_sequence ON game_sessions(user_id, game_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_metric_events_user_occurred ON metric_events(user_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
+CREATE INDEX IF NOT EXISTS idx_therapy_goals_user_status ON therapy_goals(user_id, status) WHERE deleted_at IS NULL;
 
 -- Índices para cognitive_profiles
 CREATE UNIQUE INDEX IF NOT EXISTS idx_cognitive_profiles_user_id_unique ON cognitive_profiles(user_id);
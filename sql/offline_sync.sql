@@ -0,0 +1,51 @@
+-- ======================================================
+-- SINCRONIZAÇÃO DA FILA OFFLINE DOS TABLETS
+-- ======================================================
+-- Objetivo: Suportar o reenvio da outbox offline (sessões, eventos de métricas
+--          e edições de perfil) sem duplicar dados em bancos já existentes.
+--          A API grava a resposta de cada Idempotency-Key e a devolve nos reenvios.
+
+CREATE TABLE IF NOT EXISTS metric_events (
+    id SERIAL PRIMARY KEY,
+    event_id VARCHAR(100) NOT NULL, -- gerado no dispositivo; repetições são ignoradas
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id VARCHAR(100),
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB DEFAULT '{}',
+    occurred_at TIMESTAMP NOT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- IDs de dispositivos diferentes podem coincidir: a repetição só vale para a mesma criança
+    CONSTRAINT uq_metric_events_user_event UNIQUE (user_id, event_id)
+);
+
+-- Bancos criados com event_id único para todos os usuários
+ALTER TABLE metric_events DROP CONSTRAINT IF EXISTS metric_events_event_id_key;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE table_name = 'metric_events' AND constraint_name = 'uq_metric_events_user_event'
+    ) THEN
+        ALTER TABLE metric_events ADD CONSTRAINT uq_metric_events_user_event UNIQUE (user_id, event_id);
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(100) NOT NULL,
+    request_scope VARCHAR(255) NOT NULL, -- método e rota da primeira requisição
+    status_code INTEGER, -- NULL enquanto a primeira requisição é processada
+    response_body JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT uq_idempotency_user_key UNIQUE (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_metric_events_user_occurred ON metric_events(user_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
+
+-- Chaves antigas podem ser removidas periodicamente (a outbox desiste após poucos dias):
+-- DELETE FROM idempotency_keys WHERE created_at < NOW() - INTERVAL '30 days';
@@ -0,0 +1,44 @@
+-- ======================================================
+-- PAPÉIS DE USUÁRIO E VÍNCULOS DE CUIDADO
+-- ======================================================
+-- Objetivo: Adicionar papéis (criança, responsável, terapeuta, administrador da clínica)
+--          e vínculos responsável/terapeuta -> criança em bancos já existentes.
+--          Os papéis são incluídos nas claims do JWT e validados em cada rota da API.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS active BOOLEAN DEFAULT TRUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'child';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE table_name = 'users' AND constraint_name = 'chk_user_role'
+    ) THEN
+        ALTER TABLE users ADD CONSTRAINT chk_user_role
+            CHECK (role IN ('child', 'guardian', 'therapist', 'clinic_admin'));
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS care_assignments (
+    id SERIAL PRIMARY KEY,
+    caregiver_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    child_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    relationship VARCHAR(20) NOT NULL, -- guardian, therapist
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+
+    CONSTRAINT chk_care_relationship CHECK (relationship IN ('guardian', 'therapist')),
+    CONSTRAINT chk_care_not_self CHECK (caregiver_id <> child_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_care_assignments_active ON care_assignments(caregiver_id, child_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_care_assignments_child ON care_assignments(child_id);
+
+-- Primeiro administrador da clínica (substitua usuário e senha antes de executar).
+-- O hash bcrypt gerado pelo pgcrypto é compatível com o login da API.
+-- INSERT INTO users (username, display_name, is_anonymous, active, role, password_hash)
+-- VALUES ('admin_clinica', 'Administração da Clínica', FALSE, TRUE, 'clinic_admin',
+--         crypt('troque-esta-senha', gen_salt('bf', 12)));
@@ -0,0 +1,36 @@
+-- ======================================================
+-- METAS TERAPÊUTICAS (PEI)
+-- ======================================================
+-- Objetivo: Registrar metas mensuráveis definidas pelo terapeuta, ligadas a um jogo
+--          de GAME_PARAMETERS e a uma métrica de game_sessions, com detecção de
+--          domínio e histórico (linha do tempo) da meta.
+
+CREATE TABLE IF NOT EXISTS therapy_goals (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- criança
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- terapeuta
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    domain VARCHAR(50), -- área terapêutica (atenção, memória, linguagem...)
+    game_id VARCHAR(50) NOT NULL,
+    difficulty VARCHAR(10), -- NULL = qualquer dificuldade
+    metric VARCHAR(30) NOT NULL, -- accuracy, correct_answers, score, time_spent
+    comparator VARCHAR(3) NOT NULL DEFAULT 'gte',
+    target DOUBLE PRECISION NOT NULL,
+    min_trials INTEGER NOT NULL DEFAULT 0, -- tentativas mínimas para a sessão contar
+    required_sessions INTEGER NOT NULL DEFAULT 3, -- sessões seguidas no alvo
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    progress JSONB DEFAULT '{}',
+    history JSONB DEFAULT '[]', -- criação, edições, progresso e domínio
+    target_date DATE,
+    mastered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP,
+
+    CONSTRAINT chk_therapy_goal_status CHECK (status IN ('active', 'mastered', 'paused', 'discontinued')),
+    CONSTRAINT chk_therapy_goal_comparator CHECK (comparator IN ('gte', 'lte')),
+    CONSTRAINT chk_therapy_goal_sessions CHECK (required_sessions BETWEEN 1 AND 20)
+);
+
+CREATE INDEX IF NOT EXISTS idx_therapy_goals_user_status ON therapy_goals(user_id, status) WHERE deleted_at IS NULL;
@@ -7,7 +7,11 @@ import ActivityMenu from './components/navigation/ActivityMenu.jsx'
 import DonationBanner from './components/navigation/DonationBanner.jsx'
 import ActivityWrapper from './components/common/ActivityWrapper.jsx'
 import DatabaseStatus from './components/common/DatabaseStatus.jsx'
+import AppUpdatePrompt from './components/common/AppUpdatePrompt.jsx'
 import TTSDebugPanel from './components/common/TTSDebugPanel.jsx'
+import VisualScheduleStrip, {
+  ScheduleStepScreen,
+} from './components/common/VisualScheduleStrip.jsx'
 import MobileDataCollectionWrapper from './components/MobileDataCollectionWrapper.jsx'
 
 // Lazy loading para componentes pesados
@@ -28,15 +32,30 @@ const UserProfiles = lazy(() => import('./components/pages/UserProfiles.jsx'))
 const PerformanceDashboard = lazy(() => import('./components/dashboard/PerformanceDashboard.jsx'))
 const BackupExport = lazy(() => import('./components/pages/BackupExport.jsx'))
 const AdminPanel = lazy(() => import('./components/pages/AdminPanel.jsx'))
+const TherapyGoals = lazy(() => import('./components/pages/TherapyGoals.jsx'))
+const ContentPacks = lazy(() => import('./components/pages/ContentPacks.jsx'))
+const SessionPlanner = lazy(() => import('./components/pages/SessionPlanner.jsx'))
+const TokenEconomy = lazy(() => import('./components/pages/TokenEconomy.jsx'))
+const LiveTherapyConsole = lazy(() => import('./components/pages/LiveTherapyConsole.jsx'))
+const AccessibilityReview = lazy(() => import('./components/pages/AccessibilityReview.jsx'))
 const IntegratedSystemDashboard = lazy(
   () => import('./components/dashboard/IntegratedSystemDashboard.jsx')
 )
 
 import { useUser } from './contexts/UserContext.jsx'
+import { useLiveSession } from './hooks/useLiveSession.js'
 import { PremiumAuthProvider } from './contexts/PremiumAuthContext.jsx'
 import { incrementGameUsage } from './utils/game/gameUsage.js'
 import { initializeSystemOrchestrator } from './utils/core/SystemOrchestrator.js'
 import databaseService from './database/core/DatabaseService.js'
+import {
+  COMPLETION_ADVANCE_DELAY_MS,
+  SCHEDULE_CHANGED_EVENT,
+  STEP_TYPES,
+  advanceScheduleRun,
+  getScheduleRun,
+  stopScheduleRun,
+} from './utils/sessions/visualSchedule.js'
 
 const AppContainer = styled.div`
   min-height: 100vh;
@@ -151,11 +170,25 @@ const activityComponents = {
   },
   'backup-export': { component: BackupExport, title: 'Exportação de Backup', emoji: '💾' },
   'admin-panel': { component: AdminPanel, title: 'Painel Administrativo', emoji: '🔐' },
+  'therapy-goals': { component: TherapyGoals, title: 'Metas Terapêuticas', emoji: '🎯' },
+  'content-packs': { component: ContentPacks, title: 'Pacotes de Conteúdo', emoji: '📦' },
+  'session-planner': { component: SessionPlanner, title: 'Agenda Visual', emoji: '🗓️' },
+  'token-economy': { component: TokenEconomy, title: 'Economia de Fichas', emoji: '⭐' },
+  'live-therapy': { component: LiveTherapyConsole, title: 'Sessão ao Vivo', emoji: '📡' },
+  'accessibility-review': {
+    component: AccessibilityReview,
+    title: 'Ajustes de Acessibilidade',
+    emoji: '🧩',
+  },
 }
 
 function App() {
   const [currentActivity, setCurrentActivity] = useState('home')
-  const { isDbConnected, loading, user } = useUser()
+  const { isDbConnected, loading, user, userId } = useUser()
+  const childId = userId || localStorage.getItem('betina_user_id')
+  // Teleterapia: só conecta quando a família liga o acompanhamento ao vivo
+  useLiveSession(childId)
+  const [scheduleRun, setScheduleRun] = useState(null)
   const [mobileDataSession, setMobileDataSession] = useState(null)
   const [orchestratorInitialized, setOrchestratorInitialized] = useState(false)
   const [dataCollectionStats, setDataCollectionStats] = useState({
@@ -235,6 +268,54 @@ function App() {
   const handleBackToMenu = useCallback(() => {
     setCurrentActivity('home')
   }, [])
+
+  // Agenda visual em andamento
+  useEffect(() => {
+    const refreshSchedule = () => setScheduleRun(getScheduleRun(childId))
+    refreshSchedule()
+    window.addEventListener(SCHEDULE_CHANGED_EVENT, refreshSchedule)
+    return () => window.removeEventListener(SCHEDULE_CHANGED_EVENT, refreshSchedule)
+  }, [childId])
+
+  const scheduleStep = scheduleRun?.steps[scheduleRun.index] || null
+  const { id: scheduleStepId, type: scheduleStepType, itemId: scheduleItemId } = scheduleStep || {}
+
+  // Cada nova etapa de jogo abre o jogo; pausas e recompensas têm tela própria
+  useEffect(() => {
+    if (!scheduleStepId) return
+    if (scheduleStepType === STEP_TYPES.ACTIVITY) {
+      handleActivitySelect(scheduleItemId)
+    } else {
+      setCurrentActivity('home')
+    }
+  }, [scheduleStepId, scheduleStepType, scheduleItemId, handleActivitySelect])
+
+  const handleScheduleAdvance = useCallback(
+    (reason) => {
+      if (!advanceScheduleRun(childId, { reason })) setCurrentActivity('home')
+    },
+    [childId]
+  )
+
+  const handleScheduleStop = useCallback(() => {
+    stopScheduleRun(childId)
+    setCurrentActivity('home')
+  }, [childId])
+
+  // Jogo da etapa concluído: passa para a próxima depois da comemoração
+  useEffect(() => {
+    if (scheduleStepType !== STEP_TYPES.ACTIVITY) return undefined
+    let timer = null
+    const handleActivityCompleted = (event) => {
+      if (event.detail?.activityId !== scheduleItemId || timer) return
+      timer = setTimeout(() => handleScheduleAdvance('completed'), COMPLETION_ADVANCE_DELAY_MS)
+    }
+    window.addEventListener('activity-completed', handleActivityCompleted)
+    return () => {
+      window.removeEventListener('activity-completed', handleActivityCompleted)
+      clearTimeout(timer)
+    }
+  }, [scheduleStepId, scheduleStepType, scheduleItemId, handleScheduleAdvance])
   // Componente de fallback para lazy loading
   const LoadingFallback = useMemo(
     () => (
@@ -263,6 +344,10 @@ function App() {
   )
 
   const renderActivity = useCallback(() => {
+    if (scheduleStep && scheduleStep.type !== STEP_TYPES.ACTIVITY) {
+      return <ScheduleStepScreen step={scheduleStep} />
+    }
+
     if (currentActivity === 'home') {
       return (
         <>
@@ -285,13 +370,21 @@ function App() {
     if (!Activity) return null
 
     return (
-      <ActivityWrapper title={title} emoji={emoji}>
+      <ActivityWrapper activityId={currentActivity} title={title} emoji={emoji}>
         <Suspense fallback={LoadingFallback}>
           <Activity onBack={handleBackToMenu} />
         </Suspense>
       </ActivityWrapper>
     )
-  }, [currentActivity, handleActivitySelect, handleBackToMenu, LoadingFallback])
+  }, [currentActivity, scheduleStep, handleActivitySelect, handleBackToMenu, LoadingFallback])
+
+  const scheduleStrip = scheduleRun && (
+    <VisualScheduleStrip
+      run={scheduleRun}
+      onAdvance={handleScheduleAdvance}
+      onStop={handleScheduleStop}
+    />
+  )
 
   const mobileSessionConfig = useMemo(
     () => ({
@@ -333,6 +426,7 @@ function App() {
             {' '}
             <Header title={headerTitle} onLogoClick={handleBackToMenu} />
             <MainContent>
+              {scheduleStrip}
               {renderActivity()}
               {showDebugPanel && <TTSDebugPanel />}
               <DatabaseStatus isConnected={isDbConnected} loading={loading} />
@@ -344,6 +438,7 @@ function App() {
             {' '}
             <Header title={headerTitle} onLogoClick={handleBackToMenu} />
             <MainContent>
+              {scheduleStrip}
               {renderActivity()}
               {showDebugPanel && <TTSDebugPanel />}
               <DatabaseStatus isConnected={isDbConnected} loading={loading} />
@@ -351,6 +446,7 @@ function App() {
             <Footer currentActivity={currentActivity} onActivityChange={handleActivitySelect} />
           </>
         )}
+        <AppUpdatePrompt />
       </AppContainer>
     </PremiumAuthProvider>
   )
@@ -41,7 +41,7 @@ const MobileDataCollectionWrapper = ({
   // Hook de coleta móvel
   const { getSessionStats, captureContextSnapshot, touchDataCount } = useMobileDataCollection(
     isCollecting,
-    mobileConfig
+    { ...mobileConfig, userId, activityId }
   )
 
   // Inicializar sessão de coleta
@@ -5,6 +5,10 @@ import useSound from '../../hooks/useSound'
 import useProgress from '../../hooks/useProgress'
 import useAdvancedActivity from '../../hooks/useAdvancedActivity'
 import useTTS from '../../hooks/useTTS'
+import { useRemoteDifficulty } from '../../hooks/useLiveSession.js'
+import { useTranslation } from 'react-i18next'
+import { useUser } from '../../contexts/UserContext'
+import useContentPack from '../../hooks/useContentPack'
 import ActivityTimer from '../common/ActivityTimer'
 import { announceToScreenReader, vibrateSuccess, vibrateError, prefersHighContrast, prefersReducedMotion } from '../../utils/accessibility'
 import {
@@ -216,6 +220,13 @@ const ItemCard = styled(motion.button)`
 const ItemEmoji = styled.div`
   font-size: 2rem;
   margin-bottom: var(--space-xs);
+
+  img {
+    width: 2rem;
+    height: 2rem;
+    object-fit: cover;
+    border-radius: var(--radius-small, 4px);
+  }
 `
 
 const ItemName = styled.div`
@@ -254,82 +265,32 @@ const GameControls = styled.div`
   margin: var(--space-lg) 0;
 `
 
-// Dados do jogo
-const colors = {
-  RED: '#e91e63',
-  GREEN: '#4CAF50',
-  BLUE: '#2196F3',
-  YELLOW: '#FFC107',
-  PURPLE: '#9C27B0',
-  ORANGE: '#FF9800'
-}
-
-const colorNames = {
-  RED: 'Vermelho',
-  GREEN: 'Verde',
-  BLUE: 'Azul',
-  YELLOW: 'Amarelo',
-  PURPLE: 'Roxo',
-  ORANGE: 'Laranja'
-}
-
-// Itens com suas cores associadas
-const items = [
-  { id: 1, name: 'Maçã', emoji: '🍎', color: 'RED' },
-  { id: 2, name: 'Morango', emoji: '🍓', color: 'RED' },
-  { id: 3, name: 'Cereja', emoji: '🍒', color: 'RED' },
-  { id: 4, name: 'Tomate', emoji: '🍅', color: 'RED' },
-  { id: 5, name: 'Melancia', emoji: '🍉', color: 'RED' },
-  { id: 6, name: 'Pimenta', emoji: '🌶️', color: 'RED' },
-  { id: 7, name: 'Coração', emoji: '❤️', color: 'RED' },
-  { id: 8, name: 'Folha', emoji: '🍃', color: 'GREEN' },
-  { id: 9, name: 'Árvore', emoji: '🌲', color: 'GREEN' },
-  { id: 10, name: 'Brócolis', emoji: '🥦', color: 'GREEN' },
-  { id: 11, name: 'Sapo', emoji: '🐸', color: 'GREEN' },
-  { id: 12, name: 'Pepino', emoji: '🥒', color: 'GREEN' },
-  { id: 13, name: 'Maçã Verde', emoji: '🍏', color: 'GREEN' },
-  { id: 14, name: 'Planta', emoji: '🌱', color: 'GREEN' },
-  { id: 15, name: 'Oceano', emoji: '🌊', color: 'BLUE' },
-  { id: 16, name: 'Peixe', emoji: '🐟', color: 'BLUE' },
-  { id: 17, name: 'Golfinho', emoji: '🐬', color: 'BLUE' },
-  { id: 18, name: 'Borboleta Azul', emoji: '🦋', color: 'BLUE' },
-  { id: 19, name: 'Baleia', emoji: '🐳', color: 'BLUE' },
-  { id: 20, name: 'Chapéu', emoji: '🧢', color: 'BLUE' },
-  { id: 21, name: 'Jeans', emoji: '👖', color: 'BLUE' },
-  { id: 22, name: 'Banana', emoji: '🍌', color: 'YELLOW' },
-  { id: 23, name: 'Limão', emoji: '🍋', color: 'YELLOW' },
-  { id: 24, name: 'Girassol', emoji: '🌻', color: 'YELLOW' },
-  { id: 25, name: 'Estrela', emoji: '⭐', color: 'YELLOW' },
-  { id: 26, name: 'Sino', emoji: '🔔', color: 'YELLOW' },
-  { id: 27, name: 'Abelha', emoji: '🐝', color: 'YELLOW' },
-  { id: 28, name: 'Pintinho', emoji: '🐤', color: 'YELLOW' },
-  { id: 29, name: 'Uva', emoji: '🍇', color: 'PURPLE' },
-  { id: 30, name: 'Berinjela', emoji: '🍆', color: 'PURPLE' },
-  { id: 31, name: 'Vestido', emoji: '👗', color: 'PURPLE' },
-  { id: 32, name: 'Cristal', emoji: '💎', color: 'PURPLE' },
-  { id: 33, name: 'Borboleta', emoji: '🦄', color: 'PURPLE' },
-  { id: 34, name: 'Flor Roxa', emoji: '💜', color: 'PURPLE' },
-  { id: 35, name: 'Laranja', emoji: '🍊', color: 'ORANGE' },
-  { id: 36, name: 'Abóbora', emoji: '🎃', color: 'ORANGE' },
-  { id: 37, name: 'Cenoura', emoji: '🥕', color: 'ORANGE' },
-  { id: 38, name: 'Raposa', emoji: '🦊', color: 'ORANGE' },
-  { id: 39, name: 'Peixe Dourado', emoji: '🐠', color: 'ORANGE' },
-  { id: 40, name: 'Folha de Outono', emoji: '🍂', color: 'ORANGE' }
-];
+// Cores e itens vêm do pacote de conteúdo 'color-match'
 
 // Constantes para dificuldade configurável pelo usuário
 const DIFFICULTY_LEVELS = {
-  EASY: { correctItems: 2, incorrectItems: 2, name: 'Fácil' },
-  MEDIUM: { correctItems: 3, incorrectItems: 3, name: 'Médio' },
-  HARD: { correctItems: 4, incorrectItems: 4, name: 'Difícil' }
+  EASY: { correctItems: 2, incorrectItems: 2 },
+  MEDIUM: { correctItems: 3, incorrectItems: 3 },
+  HARD: { correctItems: 4, incorrectItems: 4 }
 };
 
 function ColorMatch({ onBack }) {
+  const { t } = useTranslation()
+  // Nomes das cores e dos itens no idioma atual (minúsculo no meio das frases)
+  const { userId } = useUser()
+  const { colors, items: packItems } = useContentPack('color-match', userId)
+  // Itens de cor que nenhum pacote define ficam fora do jogo
+  const items = packItems.filter(item => colors[item.color])
+  const colorName = (color) =>
+    colors[color]?.name || t(`activities.colorMatch.colors.${color}`, { defaultValue: color })
+  const itemName = (item) =>
+    item.label || t(`activities.colorMatch.items.${item.key}`, { defaultValue: item.key })
   const [currentColor, setCurrentColor] = useState(null)
   const [gameItems, setGameItems] = useState([])
   const [selectedItems, setSelectedItems] = useState([])
   const [feedback, setFeedback] = useState(null)
   const [difficulty, setDifficulty] = useState('MEDIUM')
+  useRemoteDifficulty((level) => setDifficulty(level.toUpperCase()))
   const [gameStarted, setGameStarted] = useState(false)
   const [roundsCompleted, setRoundsCompleted] = useState(0)
   const [showDifficultySelector, setShowDifficultySelector] = useState(!gameStarted)
@@ -338,6 +299,7 @@ function ColorMatch({ onBack }) {
   const {
     speak,
     speakInstruction,
+    preload,
     speakFeedback,
     speakQuestion,
     speakColor,
@@ -346,6 +308,11 @@ function ColorMatch({ onBack }) {
     isTTSEnabled
   } = useTTS();
 
+  // Frases fixas da atividade preparadas antes da primeira fala
+  useEffect(() => {
+    preload([t('activities.colorMatch.chooseDifficulty')]);
+  }, [preload, t]);
+
   // Hook de progresso com sistema de cronometragem
   const {
     progress,
@@ -430,9 +397,9 @@ function ColorMatch({ onBack }) {
       
       // Gerar primeira rodada
       generateNewRound()
-      announceToScreenReader("Jogo de cores iniciado! Encontre todos os itens da cor indicada.")      // TTS: Anunciar início do jogo apenas se TTS estiver ativado
+      announceToScreenReader(t('activities.colorMatch.gameStarted'))      // TTS: Anunciar início do jogo apenas se TTS estiver ativado
       if (isTTSEnabled) {
-        autoSpeak("Jogo de cores iniciado! Encontre todos os itens da cor indicada.", 1000);
+        autoSpeak(t('activities.colorMatch.gameStarted'), 1000);
       }
       
     } catch (error) {
@@ -448,7 +415,7 @@ function ColorMatch({ onBack }) {
     window.colorMatchStartTime = Date.now()
     
     // Escolher uma cor aleatória
-    const availableColors = Object.keys(colors)
+    const availableColors = [...new Set(items.map(item => item.color))]
     const randomColor = availableColors[Math.floor(Math.random() * availableColors.length)]
     setCurrentColor(randomColor)
     
@@ -459,7 +426,7 @@ function ColorMatch({ onBack }) {
       sensoryModality: 'visual',
       context: {
         targetColor: randomColor,
-        colorName: colorNames[randomColor],
+        colorName: colorName(randomColor),
         difficulty,
         roundNumber: roundsCompleted + 1,
         challengeType: 'color_discrimination'
@@ -489,9 +456,14 @@ function ColorMatch({ onBack }) {
     
     // Anunciar novo desafio para acessibilidade
     setTimeout(() => {
-      announceToScreenReader(`Novo desafio! Encontre ${difficultyConfig.correctItems} itens da cor ${colorNames[randomColor].toLowerCase()}.`)      // TTS: Anunciar novo desafio apenas se TTS estiver ativado
+      const color = colorName(randomColor).toLowerCase()
+      const challenge = t('activities.colorMatch.newChallenge', {
+        count: difficultyConfig.correctItems,
+        color
+      })
+      announceToScreenReader(challenge)      // TTS: Anunciar novo desafio apenas se TTS estiver ativado
       if (isTTSEnabled) {
-        speakQuestion(`Novo desafio! Encontre ${difficultyConfig.correctItems} itens da cor ${colorNames[randomColor].toLowerCase()}.`);
+        speakQuestion(challenge, color);
       }
     }, 500)  }
   
@@ -499,7 +471,7 @@ function ColorMatch({ onBack }) {
   const checkRoundComplete = (currentSelectedItems) => {
     const correctItems = gameItems.filter(item => item.color === currentColor)
     const allCorrectFound = correctItems.every(item => 
-      currentSelectedItems.some(selected => selected.id === item.id)
+      currentSelectedItems.some(selected => selected.key === item.key)
     )
     
     if (allCorrectFound && currentSelectedItems.length === correctItems.length) {
@@ -527,26 +499,27 @@ function ColorMatch({ onBack }) {
       
       // Feedback de sucesso melhorado
       const encouragingMessages = [
-        `🎉 Perfeito! Todos os itens ${colorNames[currentColor].toLowerCase()}!`,
-        `🌟 Excelente! Você encontrou todas as cores certas!`,
-        `✨ Fantástico! Sua percepção de cores está ótima!`,
-        `🎯 Incrível! Continue assim!`,
-        `💫 Muito bem! Você é um expert em cores!`
+        `🎉 ${t('activities.colorMatch.success.perfect', { color: colorName(currentColor).toLowerCase() })}`,
+        `🌟 ${t('activities.colorMatch.success.excellent')}`,
+        `✨ ${t('activities.colorMatch.success.fantastic')}`,
+        `🎯 ${t('activities.colorMatch.success.amazing')}`,
+        `💫 ${t('activities.colorMatch.success.expert')}`
       ]
       const randomMessage = encouragingMessages[Math.floor(Math.random() * encouragingMessages.length)]
       
       setFeedback({ 
         isCorrect: true, 
-        message: `${randomMessage} +${score} pontos!` 
+        message: `${randomMessage} ${t('activities.colorMatch.pointsEarned', { score })}` 
       })
         // Som e vibração de sucesso
       playSuccess()
       vibrateSuccess();
-      announceToScreenReader(`${randomMessage} Você ganhou ${score} pontos!`)
+      const successMessage = `${randomMessage} ${t('activities.colorMatch.youEarned', { score })}`
+      announceToScreenReader(successMessage)
 
       // TTS: Anunciar sucesso apenas se TTS estiver ativado
       if (isTTSEnabled) {
-        speakFeedback(`${randomMessage} Você ganhou ${score} pontos!`, true);
+        speakFeedback(successMessage, true);
       }
       
       // Salvar progresso
@@ -557,14 +530,14 @@ function ColorMatch({ onBack }) {
         setFeedback(null) // Limpar feedback primeiro
         setTimeout(() => {
           generateNewRound() // Gerar novo desafio automaticamente
-          announceToScreenReader(`Novo desafio! Encontre os itens ${colorNames[currentColor] ? colorNames[currentColor].toLowerCase() : 'da nova cor'}.`)
+          announceToScreenReader(t('activities.colorMatch.nextChallenge'))
         }, 500)
       }, 3000) // 3 segundos para a criança ver o sucesso
     }
   }
   // Lidar com clique em item
   const handleItemClick = (item) => {
-    if (selectedItems.some(selected => selected.id === item.id)) {
+    if (selectedItems.some(selected => selected.key === item.key)) {
       return // Item já selecionado
     }
     
@@ -581,7 +554,7 @@ function ColorMatch({ onBack }) {
       context: {
         targetColor: currentColor,
         selectedItem: {
-          name: item.name,
+          name: item.key,
           color: item.color,
           category: item.category
         },
@@ -599,7 +572,10 @@ function ColorMatch({ onBack }) {
     if (item.color === currentColor) {
       // Correto - som de confirmação suave
       vibrateSuccess()
-      announceToScreenReader(`Correto! ${item.name} é da cor ${colorNames[currentColor].toLowerCase()}.`)
+      announceToScreenReader(t('activities.colorMatch.correct', {
+        item: itemName(item),
+        color: colorName(currentColor).toLowerCase()
+      }))
       
       // 🔥 TRACKING MULTISSENSORIAL - Sucesso na discriminação de cores
       recordAdvancedInteraction({
@@ -634,32 +610,32 @@ function ColorMatch({ onBack }) {
       })
       
       const errorMessages = [
-        `🤔 Ops! ${item.name} não é da cor ${colorNames[currentColor].toLowerCase()}.`,
-        `🎨 Hmm, ${item.name} tem uma cor diferente. Tente outro!`,
-        `🌈 Não é bem essa cor. Observe bem e tente novamente!`,
-        `💡 Essa não é a cor certa. Você consegue encontrar a correta!`
+        `🤔 ${t('activities.colorMatch.error.notThisColor', { item: itemName(item), color: colorName(currentColor).toLowerCase() })}`,
+        `🎨 ${t('activities.colorMatch.error.differentColor', { item: itemName(item) })}`,
+        `🌈 ${t('activities.colorMatch.error.lookAgain')}`,
+        `💡 ${t('activities.colorMatch.error.youCanFindIt')}`
       ]
       const randomErrorMessage = errorMessages[Math.floor(Math.random() * errorMessages.length)]
-        announceToScreenReader(`${randomErrorMessage} Continue tentando!`)
+        announceToScreenReader(`${randomErrorMessage} ${t('activities.colorMatch.keepTrying')}`)
 
       // TTS: Anunciar erro apenas se TTS estiver ativado
       if (isTTSEnabled) {
-        speakFeedback(`${randomErrorMessage} Continue tentando!`, false);
+        speakFeedback(`${randomErrorMessage} ${t('activities.colorMatch.keepTrying')}`, false);
       }
       setFeedback({ 
         isCorrect: false, 
-        message: `${randomErrorMessage} Continue!` 
+        message: `${randomErrorMessage} ${t('activities.colorMatch.keepGoing')}` 
       })
       
       // Remover item incorreto da seleção após um breve delay
       setTimeout(() => {
-        setSelectedItems(prev => prev.filter(selected => selected.id !== item.id))
+        setSelectedItems(prev => prev.filter(selected => selected.key !== item.key))
         setFeedback(null)
       }, 1500) // 1.5 segundos para ver o erro, depois remove automaticamente
     }
   }
     const isItemSelected = (item) => {
-    return selectedItems.some(selected => selected.id === item.id)
+    return selectedItems.some(selected => selected.key === item.key)
   }
   
   const isItemCorrect = (item) => {
@@ -673,17 +649,17 @@ function ColorMatch({ onBack }) {
           whileHover={{ scale: 1.05 }}
           whileTap={{ scale: 0.95 }}
         >
-          ⬅️ Voltar
+          ⬅️ {t('activities.common.back')}
         </BackButton>
       </GameHeader>
 
       <ActivityTitleSection>
         <ActivityMainTitle>
           <span>🌈</span>
-          <span>Combinar Cores</span>
+          <span>{t('activities.colorMatch.title')}</span>
         </ActivityMainTitle>
         <ActivitySubtitle>
-          Encontre todos os objetos da cor indicada
+          {t('activities.colorMatch.subtitle')}
         </ActivitySubtitle>
       </ActivityTitleSection>
 
@@ -691,18 +667,18 @@ function ColorMatch({ onBack }) {
         <GameStats>
           <StatItem>
             <StatValue>{progress.score}</StatValue>
-            <StatLabel>Pontos</StatLabel>
+            <StatLabel>{t('activities.common.score')}</StatLabel>
           </StatItem>          <StatItem>
             <StatValue>{roundsCompleted + 1}</StatValue>
-            <StatLabel>Nível</StatLabel>
+            <StatLabel>{t('activities.common.level')}</StatLabel>
           </StatItem>
           <StatItem>
             <StatValue>{progress.stars}</StatValue>
-            <StatLabel>⭐ Estrelas</StatLabel>
+            <StatLabel>⭐ {t('activities.common.stars')}</StatLabel>
           </StatItem>
           <StatItem>
             <StatValue>{getStats().accuracy}%</StatValue>
-            <StatLabel>Precisão</StatLabel>
+            <StatLabel>{t('activities.common.accuracy')}</StatLabel>
           </StatItem>
         </GameStats>
       )}
@@ -712,34 +688,34 @@ function ColorMatch({ onBack }) {
           <InstructionText
             onClick={() => {
               if (isTTSEnabled) {
-                speakInstruction("Encontre todos os itens da cor indicada! Escolha a dificuldade para começar.");
+                speakInstruction(t('activities.colorMatch.chooseDifficulty'));
               } else {
                 // Feedback visual quando TTS está desativado
-                announceToScreenReader("Áudio de texto para voz está desativado nas configurações");
+                announceToScreenReader(t('activities.common.ttsDisabledAnnouncement'));
               }
             }}
           >
-            🌈 Encontre todos os itens da cor indicada! Escolha a dificuldade para começar.
+            🌈 {t('activities.colorMatch.chooseDifficulty')}
           </InstructionText>
           
           <DifficultySelector>
             {[
               {
                 id: 'EASY',
-                name: '🟢 Fácil',
-                description: '2 itens da mesma cor',
+                name: `🟢 ${t('activities.common.difficulty.easy')}`,
+                description: t('activities.colorMatch.difficultyDescription', { count: 2 }),
                 icon: '😊'
               },
               {
                 id: 'MEDIUM',
-                name: '🟡 Médio',
-                description: '3 itens da mesma cor',
+                name: `🟡 ${t('activities.common.difficulty.medium')}`,
+                description: t('activities.colorMatch.difficultyDescription', { count: 3 }),
                 icon: '😐'
               },
               {
                 id: 'HARD',
-                name: '🔴 Difícil',
-                description: '4 itens da mesma cor',
+                name: `🔴 ${t('activities.common.difficulty.hard')}`,
+                description: t('activities.colorMatch.difficultyDescription', { count: 4 }),
                 icon: '🧠'
               }
             ].map((diff) => (
@@ -751,7 +727,7 @@ function ColorMatch({ onBack }) {
                   playClick();
                   // TTS: Anunciar dificuldade selecionada
                   if (isTTSEnabled) {
-                    speak(`Dificuldade ${diff.name} selecionada. ${diff.description}`);
+                    speak(t('activities.common.difficultySelected', { name: diff.name, description: diff.description }));
                   }
                 }}
                 whileHover={{ scale: 1.05 }}
@@ -770,7 +746,7 @@ function ColorMatch({ onBack }) {
               onClick={() => {
                 playClick();
                 if (isTTSEnabled) {
-                  speak("Começando jogo de cores!");
+                  speak(t('activities.colorMatch.starting'));
                 }
                 startNewGame();
               }}
@@ -778,7 +754,7 @@ function ColorMatch({ onBack }) {
               whileTap={{ scale: 0.95 }}
               themeColor={THEME_COLOR}
             >
-              🌈 Começar Jogo
+              🌈 {t('activities.common.startGame')}
             </ActionButton>
           </ControlButtons>
         </>
@@ -786,14 +762,14 @@ function ColorMatch({ onBack }) {
         <>
           <GameControls>
             <ScoreDisplay>
-              Nível: {DIFFICULTY_LEVELS[difficulty].name} | Pontos: {localProgress.score} | ⭐ {localProgress.stars}/3 | 🎯 {localProgress.accuracy}%
+              {t('activities.common.level')}: {t(`activities.common.difficulty.${difficulty.toLowerCase()}`)} | {t('activities.common.score')}: {localProgress.score} | ⭐ {localProgress.stars}/3 | 🎯 {localProgress.accuracy}%
             </ScoreDisplay>
               <GameControlButton
               onClick={() => setShowDifficultySelector(true)}
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
             >
-              🎛️ Trocar Nível
+              🎛️ {t('activities.common.changeLevel')}
             </GameControlButton>
             
             <GameControlButton
@@ -801,7 +777,7 @@ function ColorMatch({ onBack }) {
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
             >
-              🔄 Novo Jogo
+              🔄 {t('activities.common.newGame')}
             </GameControlButton>
           </GameControls>
           
@@ -826,12 +802,15 @@ function ColorMatch({ onBack }) {
                 transition={{ duration: 0.5 }}
               >
                 <PromptText>
-                  Encontre todos os {DIFFICULTY_LEVELS[difficulty].correctItems} itens da cor {colorNames[currentColor].toLowerCase()}{!isTTSEnabled && ' 🔇'}:
+                  {t('activities.colorMatch.prompt', {
+                    count: DIFFICULTY_LEVELS[difficulty].correctItems,
+                    color: colorName(currentColor).toLowerCase()
+                  })}{!isTTSEnabled && ' 🔇'}:
                 </PromptText>
-                <TargetColor color={colors[currentColor]} />
+                <TargetColor color={colors[currentColor]?.hex} />
                 {!isTTSEnabled && (
                   <div style={{ fontSize: '0.8rem', opacity: 0.8, marginTop: '8px' }}>
-                    Áudio de texto para voz está desativado nas configurações
+                    {t('activities.common.ttsDisabledAnnouncement')}
                   </div>
                 )}
               </ColorPrompt>
@@ -850,7 +829,7 @@ function ColorMatch({ onBack }) {
             </AnimatePresence>            <ItemsGrid>
               {gameItems.map((item, index) => (
                 <ItemCard
-                  key={`${item.id}-${index}`}
+                  key={`${item.key}-${index}`}
                   onClick={() => handleItemClick(item)}
                   isSelected={isItemSelected(item)}
                   isCorrect={isItemCorrect(item)}
@@ -867,13 +846,13 @@ function ColorMatch({ onBack }) {
                     scale: { duration: 0.2 }
                   }}
                 >
-                  <ItemEmoji>{item.emoji}</ItemEmoji>
-                  <ItemName>{item.name}</ItemName>
+                  <ItemEmoji>{item.image ? <img src={item.image} alt={item.alt} /> : item.emoji}</ItemEmoji>
+                  <ItemName>{itemName(item)}</ItemName>
                 </ItemCard>
               ))}
             </ItemsGrid>            {currentColor && (
               <div style={{ textAlign: 'center', color: 'var(--medium-gray)', marginTop: 'var(--space-md)' }}>
-                <p>💡 Dica: Clique nos itens que têm a cor <strong style={{color: colors[currentColor]}}>{colorNames[currentColor].toLowerCase()}</strong>!</p>
+                <p>💡 {t('activities.common.tip')}: {t('activities.colorMatch.tip')} <strong style={{color: colors[currentColor]?.hex}}>{colorName(currentColor).toLowerCase()}</strong>!</p>
                 <div style={{ 
                   display: 'flex', 
                   alignItems: 'center', 
@@ -883,7 +862,7 @@ function ColorMatch({ onBack }) {
                   fontWeight: '600',
                   color: 'var(--primary-blue)'
                 }}>
-                  <span>Progresso:</span>
+                  <span>{t('activities.common.progress')}:</span>
                   <span style={{color: 'var(--primary-green)'}}>
                     {selectedItems.filter(item => item.color === currentColor).length}
                   </span>
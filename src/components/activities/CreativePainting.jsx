@@ -221,7 +221,13 @@ const CreativePaintingSimple = ({ onBack }) => {
   
   const { playClick, playSuccess } = useSound();
   const { recordSuccess } = useProgress('creative-painting');
-  const { speak, speakInstruction, autoSpeak } = useTTS();
+  const { speak, speakInstruction, preload, autoSpeak } = useTTS();
+
+  // Frases fixas da atividade preparadas antes da primeira fala
+  useEffect(() => {
+    preload(["Vamos pintar! Escolha como você quer começar!"]);
+  }, [preload]);
+
   const highContrast = prefersHighContrast();
   const reducedMotion = prefersReducedMotion();
   
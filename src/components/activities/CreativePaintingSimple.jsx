@@ -1,9 +1,12 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react'
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import styled from 'styled-components'
 import { motion } from 'framer-motion'
 import useSound from '../../hooks/useSound'
 import useProgress from '../../hooks/useProgress'
 import useTTS from '../../hooks/useTTS'
+import useMotorDrag from '../../hooks/useMotorDrag'
+import { useTranslation } from 'react-i18next'
+import useContentPack from '../../hooks/useContentPack'
 import {
   announceToScreenReader,
   prefersHighContrast,
@@ -20,11 +23,10 @@ import {
 const THEME_COLOR = 'var(--primary-purple)'
 const THEME_GRADIENT = 'linear-gradient(135deg, var(--primary-purple), var(--primary-orange))'
 
-// Templates em preto e branco para pintura assistida
+// Templates em preto e branco para pintura assistida (nomes em activities.creativePainting.templates)
 const templates = [
   {
     id: 'flower',
-    name: '🌸 Flor Estilizada',
     emoji: '🌸',
     svg: `<svg viewBox="0 0 200 200">
       <circle cx="100" cy="70" r="20" fill="none" stroke="#000" stroke-width="2" class="colorable" data-area="center"/>
@@ -37,7 +39,6 @@ const templates = [
   },
   {
     id: 'sun',
-    name: '☀️ Sol',
     emoji: '☀️',
     svg: `<svg viewBox="0 0 200 200">
       <circle cx="100" cy="100" r="40" fill="none" stroke="#000" stroke-width="3" class="colorable" data-area="center"/>
@@ -46,7 +47,6 @@ const templates = [
   },
   {
     id: 'heart',
-    name: '❤️ Coração',
     emoji: '❤️',
     svg: `<svg viewBox="0 0 200 200">
       <path d="M100 150 C100 150 70 120 70 90 C70 75 85 60 100 60 C115 60 130 75 130 90 C130 120 100 150 100 150 Z" fill="none" stroke="#000" stroke-width="3" class="colorable" data-area="heart"/>
@@ -54,7 +54,6 @@ const templates = [
   },
   {
     id: 'car',
-    name: '🏎️ Carro de Corrida',
     emoji: '🏎️',
     svg: `<svg viewBox="0 0 200 200">
       <rect x="50" y="120" width="100" height="50" fill="none" stroke="#000" stroke-width="3" class="colorable" data-area="body"/>
@@ -66,21 +65,11 @@ const templates = [
   },
 ]
 
-// Cores simples para crianças
-const simpleColors = [
-  { name: 'Vermelho', hex: '#FF4444', emoji: '🔴' },
-  { name: 'Azul', hex: '#4444FF', emoji: '🔵' },
-  { name: 'Verde', hex: '#44FF44', emoji: '🟢' },
-  { name: 'Amarelo', hex: '#FFFF44', emoji: '🟡' },
-  { name: 'Rosa', hex: '#FF44FF', emoji: '🩷' },
-  { name: 'Laranja', hex: '#FF8844', emoji: '🟠' },
-]
-
-// Configurações de dificuldade
+// Configurações de dificuldade (nome e descrição traduzidos pelo id)
 const difficulties = [
-  { id: 'easy', name: 'Fácil', icon: '😊', description: 'Poucas partes para pintar' },
-  { id: 'medium', name: 'Médio', icon: '🤔', description: 'Mais partes para pintar' },
-  { id: 'hard', name: 'Difícil', icon: '🧠', description: 'Muitas partes para pintar' },
+  { id: 'easy', icon: '😊' },
+  { id: 'medium', icon: '🤔' },
+  { id: 'hard', icon: '🧠' },
 ]
 
 // Estilos refinados
@@ -216,6 +205,9 @@ const DrawingCanvas = styled(motion.div)`
   width: 100%;
   box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
 
+  /* Arrastar o dedo pinta as áreas em vez de rolar a página */
+  touch-action: none;
+
   svg {
     max-width: 100%;
     max-height: 100%;
@@ -264,9 +256,17 @@ const BrushSizeIndicator = styled.div`
   text-align: center;
 `
 
+// Paleta inicial do pacote padrão
+const DEFAULT_PALETTE_ID = 'BASIC'
+
 const CreativePaintingSimple = ({ onBack }) => {
+  const { t } = useTranslation()
+  const templateName = (template) => t(`activities.creativePainting.templates.${template.id}`)
+  const { palettes } = useContentPack('creative-painting')
+  const [paletteId, setPaletteId] = useState(DEFAULT_PALETTE_ID)
+  const palette = palettes[paletteId] || Object.values(palettes)[0]
   const [selectedTemplate, setSelectedTemplate] = useState(null)
-  const [selectedColor, setSelectedColor] = useState(simpleColors[0])
+  const [selectedColor, setSelectedColor] = useState(palette.colors[0])
   const [difficulty, setDifficulty] = useState('easy')
   const [gameStarted, setGameStarted] = useState(false)
   const [coloredAreas, setColoredAreas] = useState({})
@@ -274,44 +274,57 @@ const CreativePaintingSimple = ({ onBack }) => {
 
   const { playClick, playSuccess } = useSound()
   const { recordSuccess } = useProgress('creative-painting')
-  const { speak, speakInstruction, autoSpeak } = useTTS()
+  const { speak, speakInstruction, preload, autoSpeak } = useTTS()
+
+  // Frases fixas da atividade preparadas antes da primeira fala
+  useEffect(() => {
+    preload([t('activities.creativePainting.chooseDifficulty')])
+  }, [preload, t])
+  const { beginDrag, moveDrag, endDrag } = useMotorDrag('creative-painting')
+  // Última área pintada no arrasto atual, para não repintar a mesma área a cada movimento
+  const lastAreaRef = useRef(null)
   const highContrast = prefersHighContrast()
   const reducedMotion = prefersReducedMotion()
 
   const startGame = () => {
     setGameStarted(true)
     playClick()
-    autoSpeak('Escolha o que você quer pintar!', 1000)
+    autoSpeak(t('activities.creativePainting.chooseTemplateSpeech'), 1000)
   }
 
   const selectTemplate = (template) => {
     setSelectedTemplate(template)
     setColoredAreas({})
     playClick()
-    announceToScreenReader(`${template.name} selecionado para pintar`)
-    autoSpeak(`Você escolheu pintar ${template.name}. Agora escolha uma cor!`, 500)
+    announceToScreenReader(
+      t('activities.creativePainting.templateSelected', { template: templateName(template) })
+    )
+    autoSpeak(
+      t('activities.creativePainting.templateSelectedSpeech', { template: templateName(template) }),
+      500
+    )
   }
 
   const selectColor = (color) => {
     setSelectedColor(color)
     playClick()
-    announceToScreenReader(`Cor ${color.name} selecionada`)
-    speak(`Cor ${color.name} selecionada!`)
+    announceToScreenReader(t('activities.creativePainting.colorSelected', { color: color.name }))
+    speak(t('activities.creativePainting.colorSelectedSpeech', { color: color.name }))
   }
 
   const clearDrawing = () => {
     setColoredAreas({})
     playClick()
-    announceToScreenReader('Desenho limpo')
-    speak('Desenho limpo! Comece de novo!')
+    announceToScreenReader(t('activities.creativePainting.cleared'))
+    speak(t('activities.creativePainting.clearedSpeech'))
   }
 
   const saveArt = () => {
     playSuccess()
-    announceToScreenReader('Arte salva com sucesso')
-    speak('Sua obra de arte foi salva! Muito bem!')
+    announceToScreenReader(t('activities.creativePainting.saved'))
+    speak(t('activities.creativePainting.savedSpeech'))
     recordSuccess({
-      template: selectedTemplate?.name,
+      template: selectedTemplate?.id,
       colorsUsed: Object.values(coloredAreas).length,
       difficulty,
     })
@@ -324,39 +337,62 @@ const CreativePaintingSimple = ({ onBack }) => {
     const svgContent = selectedTemplate.svg
     const strokeWidth = brushSize === 'small' ? 2 : brushSize === 'large' ? 6 : 4
 
+    const paintArea = (element) => {
+      const area = element?.getAttribute?.('data-area')
+      if (!area || !selectedColor || area === lastAreaRef.current) return
+      lastAreaRef.current = area
+      setColoredAreas((current) => ({ ...current, [area]: selectedColor.hex }))
+
+      element.style.fill = selectedColor.hex
+      playClick()
+      announceToScreenReader(
+        t('activities.creativePainting.areaPainted', { color: selectedColor.name })
+      )
+    }
+
+    // Toque pinta a área; arrastar pinta cada área por onde o dedo passa
     return (
       <div
         dangerouslySetInnerHTML={{
           __html: svgContent.replace(/stroke-width="\d+"/g, `stroke-width="${strokeWidth}"`),
         }}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture?.(e.pointerId)
+          lastAreaRef.current = null
+          beginDrag({ x: e.clientX, y: e.clientY })
+          paintArea(e.target)
+        }}
+        onPointerMove={(e) => {
+          if (!moveDrag({ x: e.clientX, y: e.clientY })) return
+          paintArea(document.elementFromPoint(e.clientX, e.clientY))
+        }}
+        onPointerUp={(e) => endDrag({ x: e.clientX, y: e.clientY })}
+        onPointerCancel={() => endDrag()}
         onClick={(e) => {
-          const area = e.target.getAttribute('data-area')
-          if (area && selectedColor) {
-            const newColoredAreas = { ...coloredAreas }
-            newColoredAreas[area] = selectedColor.hex
-            setColoredAreas(newColoredAreas)
-
-            e.target.style.fill = selectedColor.hex
-            playClick()
-            announceToScreenReader(`Área pintada com ${selectedColor.name}`)
+          // Cliques sem ponteiro (teclado, leitor de tela)
+          if (e.detail === 0) {
+            lastAreaRef.current = null
+            paintArea(e.target)
           }
         }}
         style={{ cursor: 'pointer' }}
       />
     )
-  }, [selectedTemplate, brushSize, selectedColor, coloredAreas])
+  }, [selectedTemplate, brushSize, selectedColor, t, beginDrag, moveDrag, endDrag])
 
   if (!gameStarted) {
     return (
       <MainContainer $highContrast={highContrast}>
         <SimplifiedHeader>
           <BackButton onClick={onBack} $highContrast={highContrast}>
-            ← Voltar
+            ← {t('activities.common.back')}
           </BackButton>
           <ActivityTitleSection>
-            <ActivityMainTitle $highContrast={highContrast}>🎨 Pintura Criativa</ActivityMainTitle>
+            <ActivityMainTitle $highContrast={highContrast}>
+              🎨 {t('activities.creativePainting.title')}
+            </ActivityMainTitle>
             <ActivitySubtitle $highContrast={highContrast}>
-              Desenvolva sua criatividade e coordenação!
+              {t('activities.creativePainting.subtitle')}
             </ActivitySubtitle>
           </ActivityTitleSection>
         </SimplifiedHeader>
@@ -367,9 +403,9 @@ const CreativePaintingSimple = ({ onBack }) => {
           transition={reducedMotion ? { duration: 0 } : { duration: 0.5 }}
         >
           <InstructionText
-            onClick={() => speakInstruction('Vamos pintar! Escolha como você quer começar!')}
+            onClick={() => speakInstruction(t('activities.creativePainting.chooseDifficulty'))}
           >
-            🎨 Vamos pintar! Escolha como você quer começar!
+            🎨 {t('activities.creativePainting.chooseDifficulty')}
           </InstructionText>
           <DifficultySelector>
             {difficulties.map((diff) => (
@@ -379,7 +415,11 @@ const CreativePaintingSimple = ({ onBack }) => {
                 onClick={() => {
                   setDifficulty(diff.id)
                   playClick()
-                  speak(`Dificuldade ${diff.name} escolhida!`)
+                  speak(
+                    t('activities.creativePainting.difficultyChosen', {
+                      name: t(`activities.common.difficulty.${diff.id}`),
+                    })
+                  )
                 }}
                 whileHover={reducedMotion ? {} : { scale: 1.05 }}
                 whileTap={reducedMotion ? {} : { scale: 0.95 }}
@@ -387,9 +427,11 @@ const CreativePaintingSimple = ({ onBack }) => {
               >
                 <div style={{ fontSize: '2.5rem' }}>{diff.icon}</div>
                 <div>
-                  <strong>{diff.name}</strong>
+                  <strong>{t(`activities.common.difficulty.${diff.id}`)}</strong>
+                </div>
+                <div style={{ fontSize: '0.8rem', opacity: 0.8 }}>
+                  {t(`activities.creativePainting.difficultyDescription.${diff.id}`)}
                 </div>
-                <div style={{ fontSize: '0.8rem', opacity: 0.8 }}>{diff.description}</div>
               </DifficultyButton>
             ))}
           </DifficultySelector>{' '}
@@ -400,7 +442,7 @@ const CreativePaintingSimple = ({ onBack }) => {
             themeColor={THEME_COLOR}
             style={{ fontSize: '1.5rem', padding: '1rem 1.5rem' }}
           >
-            🖌️ Começar a Pintar!
+            🖌️ {t('activities.creativePainting.start')}
           </ActionButton>
         </motion.div>
       </MainContainer>
@@ -411,12 +453,14 @@ const CreativePaintingSimple = ({ onBack }) => {
     <MainContainer $highContrast={highContrast}>
       <SimplifiedHeader>
         <BackButton onClick={onBack} $highContrast={highContrast}>
-          ← Voltar
+          ← {t('activities.common.back')}
         </BackButton>
         <ActivityTitleSection>
-          <ActivityMainTitle $highContrast={highContrast}>🎨 Pintura Criativa</ActivityMainTitle>
+          <ActivityMainTitle $highContrast={highContrast}>
+            🎨 {t('activities.creativePainting.title')}
+          </ActivityMainTitle>
           <ActivitySubtitle $highContrast={highContrast}>
-            Desenvolva sua criatividade e coordenação!
+            {t('activities.creativePainting.subtitle')}
           </ActivitySubtitle>
         </ActivityTitleSection>
       </SimplifiedHeader>
@@ -434,7 +478,7 @@ const CreativePaintingSimple = ({ onBack }) => {
               color: highContrast ? '#fff' : '#6b48ff',
             }}
           >
-            🖼️ O que você quer pintar?
+            🖼️ {t('activities.creativePainting.whatToPaint')}
           </h2>
           <TemplateGrid>
             {templates.map((template) => (
@@ -446,7 +490,9 @@ const CreativePaintingSimple = ({ onBack }) => {
                 selected={selectedTemplate?.id === template.id}
               >
                 <div style={{ fontSize: '3rem', marginBottom: '0.5rem' }}>{template.emoji}</div>
-                <h3 style={{ fontSize: '1rem', color: '#333' }}>{template.name}</h3>
+                <h3 style={{ fontSize: '1rem', color: '#333' }}>
+                  {template.emoji} {templateName(template)}
+                </h3>
               </TemplateCard>
             ))}
           </TemplateGrid>
@@ -468,10 +514,28 @@ const CreativePaintingSimple = ({ onBack }) => {
                 color: highContrast ? '#fff' : '#6b48ff',
               }}
             >
-              🎨 Escolha sua cor:
+              🎨 {t('activities.creativePainting.chooseColor')}:
             </h3>
+            {Object.keys(palettes).length > 1 && (
+              <DifficultySelector>
+                {Object.entries(palettes).map(([id, { name, therapeutic }]) => (
+                  <DifficultyButton
+                    key={id}
+                    isActive={palette === palettes[id]}
+                    onClick={() => {
+                      setPaletteId(id)
+                      setSelectedColor(palettes[id].colors[0])
+                      playClick()
+                    }}
+                    title={therapeutic}
+                  >
+                    {name}
+                  </DifficultyButton>
+                ))}
+              </DifficultySelector>
+            )}
             <ColorGrid>
-              {simpleColors.map((color) => (
+              {palette.colors.map((color) => (
                 <ColorButton
                   key={color.hex}
                   color={color.hex}
@@ -501,20 +565,25 @@ const CreativePaintingSimple = ({ onBack }) => {
             transition={reducedMotion ? { duration: 0 } : { duration: 0.5 }}
           >
             <ToolButton onClick={() => setBrushSize('small')} disabled={brushSize === 'small'}>
-              📏 Fino
+              📏 {t('activities.creativePainting.brush.small')}
             </ToolButton>
             <ToolButton onClick={() => setBrushSize('medium')} disabled={brushSize === 'medium'}>
-              📏 Médio
+              📏 {t('activities.creativePainting.brush.medium')}
             </ToolButton>
             <ToolButton onClick={() => setBrushSize('large')} disabled={brushSize === 'large'}>
-              📏 Grosso
+              📏 {t('activities.creativePainting.brush.large')}
+            </ToolButton>
+            <ToolButton onClick={clearDrawing}>
+              🧽 {t('activities.creativePainting.clear')}
+            </ToolButton>
+            <ToolButton onClick={() => setSelectedTemplate(null)}>
+              🔄 {t('activities.creativePainting.changeTemplate')}
             </ToolButton>
-            <ToolButton onClick={clearDrawing}>🧽 Limpar</ToolButton>
-            <ToolButton onClick={() => setSelectedTemplate(null)}>🔄 Trocar Desenho</ToolButton>
-            <ToolButton onClick={saveArt}>💾 Salvar Arte</ToolButton>
+            <ToolButton onClick={saveArt}>💾 {t('activities.creativePainting.save')}</ToolButton>
           </ToolBar>
           <BrushSizeIndicator $highContrast={highContrast}>
-            Tamanho do Pincel: {brushSize.charAt(0).toUpperCase() + brushSize.slice(1)}
+            {t('activities.creativePainting.brushSize')}:{' '}
+            {t(`activities.creativePainting.brush.${brushSize}`)}
           </BrushSizeIndicator>
         </>
       )}
@@ -1,6 +1,7 @@
 import React, { useEffect } from 'react';
 import styled from 'styled-components';
 import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
 
 const FeedbackOverlay = styled(motion.div)`
   position: fixed;
@@ -152,6 +153,8 @@ const ActionButton = styled(motion.button)`
 `;
 
 const FeedbackComponent = ({ feedback, reducedMotion, onClose }) => {
+  const { t } = useTranslation();
+
   useEffect(() => {
     // Auto-close success messages after 3 seconds
     if (feedback.type === 'success') {
@@ -175,15 +178,12 @@ const FeedbackComponent = ({ feedback, reducedMotion, onClose }) => {
   const getFeedbackTitle = () => {
     switch (feedback.type) {
       case 'success':
-        return 'Parabéns!';
       case 'error':
-        return 'Ops!';
       case 'warning':
-        return 'Atenção!';
       case 'info':
-        return 'Informação';
+        return t(`feedback.title.${feedback.type}`);
       default:
-        return 'Feedback';
+        return t('feedback.title.default');
     }
   };
 
@@ -223,7 +223,7 @@ const FeedbackComponent = ({ feedback, reducedMotion, onClose }) => {
           stiffness: 300 
         }}
       >
-        <CloseButton onClick={onClose} aria-label="Fechar feedback">
+        <CloseButton onClick={onClose} aria-label={t('feedback.close')}>
           ✕
         </CloseButton>
 
@@ -260,7 +260,7 @@ const FeedbackComponent = ({ feedback, reducedMotion, onClose }) => {
               whileHover={reducedMotion ? {} : { scale: 1.05 }}
               whileTap={reducedMotion ? {} : { scale: 0.95 }}
             >
-              Entendi
+              {t('feedback.understood')}
             </ActionButton>
           )}
         </FeedbackActions>
@@ -4,9 +4,13 @@ import { motion, AnimatePresence } from 'framer-motion'
 import useSound from '../../hooks/useSound'
 import useProgress from '../../hooks/useProgress'
 import useTTS from '../../hooks/useTTS'
+import { useTranslation } from 'react-i18next'
 import { useUser } from '../../contexts/UserContext'
 import useAdvancedActivity from '../../hooks/useAdvancedActivity'
 import ActivityTimer from '../common/ActivityTimer'
+import AacAnswerBoard from '../common/AacAnswerBoard'
+import useAacMode from '../../hooks/useAacMode'
+import useContentPack from '../../hooks/useContentPack'
 import {
   announceToScreenReader,
   vibrateSuccess,
@@ -90,6 +94,13 @@ const MainEmoji = styled.div`
   font-size: 4rem;
   margin-bottom: var(--space-md);
   line-height: 1;
+
+  img {
+    width: 4rem;
+    height: 4rem;
+    object-fit: cover;
+    border-radius: var(--radius-small, 4px);
+  }
 `
 
 const MainLabel = styled.div`
@@ -149,6 +160,13 @@ const OptionCard = styled(motion.button)`
 const OptionEmoji = styled.div`
   font-size: 2.5rem;
   line-height: 1;
+
+  img {
+    width: 2.5rem;
+    height: 2.5rem;
+    object-fit: cover;
+    border-radius: var(--radius-small, 4px);
+  }
 `
 
 const OptionLabel = styled.div`
@@ -192,294 +210,10 @@ const NextButton = styled(motion.button)`
   }
 `
 
-// Associações lógicas expandidas para 15 fases com progressão terapêutica
-const associations = [
-  // FASES 1-3: Associações básicas e diretas (Nível Fácil)
-  {
-    phase: 1,
-    difficulty: 'EASY',
-    category: 'animais-básicos',
-    concept: 'associação-direta',
-    therapeuticFocus: 'reconhecimento-visual',
-    main: { emoji: '🐶', label: 'Cachorro' },
-    correct: { emoji: '🦴', label: 'Osso' },
-    explanation: 'Cachorros adoram roer ossos!',
-    options: [
-      { emoji: '🦴', label: 'Osso' },
-      { emoji: '🐱', label: 'Gato' },
-      { emoji: '🌸', label: 'Flor' },
-      { emoji: '🚗', label: 'Carro' },
-    ],
-  },
-  {
-    phase: 2,
-    difficulty: 'EASY',
-    category: 'natureza-básica',
-    concept: 'habitat-natural',
-    therapeuticFocus: 'relações-causais',
-    main: { emoji: '🐟', label: 'Peixe' },
-    correct: { emoji: '💧', label: 'Água' },
-    explanation: 'Peixes vivem na água!',
-    options: [
-      { emoji: '🔥', label: 'Fogo' },
-      { emoji: '💧', label: 'Água' },
-      { emoji: '🍕', label: 'Pizza' },
-      { emoji: '✈️', label: 'Avião' },
-    ],
-  },
-  {
-    phase: 3,
-    difficulty: 'EASY',
-    category: 'alimentos-origem',
-    concept: 'origem-produto',
-    therapeuticFocus: 'conhecimento-cotidiano',
-    main: { emoji: '🥛', label: 'Leite' },
-    correct: { emoji: '🐄', label: 'Vaca' },
-    explanation: 'O leite vem da vaca!',
-    options: [
-      { emoji: '🐄', label: 'Vaca' },
-      { emoji: '🐧', label: 'Pinguim' },
-      { emoji: '🎈', label: 'Balão' },
-      { emoji: '🍎', label: 'Maçã' },
-    ],
-  },
-
-  // FASES 4-7: Associações funcionais (Nível Médio-Baixo)
-  {
-    phase: 4,
-    difficulty: 'MEDIUM',
-    category: 'insetos-plantas',
-    concept: 'relação-simbiótica',
-    therapeuticFocus: 'compreensão-ecológica',
-    main: { emoji: '🐝', label: 'Abelha' },
-    correct: { emoji: '🌸', label: 'Flor' },
-    explanation: 'Abelhas coletam néctar das flores!',
-    options: [
-      { emoji: '🌸', label: 'Flor' },
-      { emoji: '🐟', label: 'Peixe' },
-      { emoji: '🏠', label: 'Casa' },
-      { emoji: '⚽', label: 'Bola' },
-    ],
-  },
-  {
-    phase: 5,
-    difficulty: 'MEDIUM',
-    category: 'corpo-função',
-    concept: 'função-corporal',
-    therapeuticFocus: 'autocuidado',
-    main: { emoji: '👁️', label: 'Olho' },
-    correct: { emoji: '👓', label: 'Óculos' },
-    explanation: 'Óculos ajudam os olhos a enxergar melhor!',
-    options: [
-      { emoji: '👓', label: 'Óculos' },
-      { emoji: '🦷', label: 'Dente' },
-      { emoji: '🎧', label: 'Fone' },
-      { emoji: '🧠', label: 'Cérebro' },
-    ],
-  },
-  {
-    phase: 6,
-    difficulty: 'MEDIUM',
-    category: 'profissões-ferramentas',
-    concept: 'profissão-instrumento',
-    therapeuticFocus: 'conhecimento-social',
-    main: { emoji: '👨‍⚕️', label: 'Médico' },
-    correct: { emoji: '🩺', label: 'Estetoscópio' },
-    explanation: 'Médicos usam estetoscópio para auscultar!',
-    options: [
-      { emoji: '🩺', label: 'Estetoscópio' },
-      { emoji: '🔨', label: 'Martelo' },
-      { emoji: '📚', label: 'Livro' },
-      { emoji: '🎨', label: 'Pincel' },
-    ],
-  },
-  {
-    phase: 7,
-    difficulty: 'MEDIUM',
-    category: 'tempo-ação',
-    concept: 'atividade-temporal',
-    therapeuticFocus: 'rotina-diária',
-    main: { emoji: '🌙', label: 'Noite' },
-    correct: { emoji: '😴', label: 'Dormir' },
-    explanation: 'À noite é hora de dormir!',
-    options: [
-      { emoji: '😴', label: 'Dormir' },
-      { emoji: '🏃', label: 'Correr' },
-      { emoji: '🍽️', label: 'Comer' },
-      { emoji: '📖', label: 'Estudar' },
-    ],
-  },
-
-  // FASES 8-11: Associações conceituais (Nível Médio-Alto)
-  {
-    phase: 8,
-    difficulty: 'MEDIUM',
-    category: 'emoções-expressões',
-    concept: 'sentimento-expressão',
-    therapeuticFocus: 'inteligência-emocional',
-    main: { emoji: '😢', label: 'Tristeza' },
-    correct: { emoji: '🤗', label: 'Abraço' },
-    explanation: 'Um abraço pode consolar a tristeza!',
-    options: [
-      { emoji: '🤗', label: 'Abraço' },
-      { emoji: '🎉', label: 'Festa' },
-      { emoji: '⚽', label: 'Futebol' },
-      { emoji: '🍰', label: 'Bolo' },
-    ],
-  },
-  {
-    phase: 9,
-    difficulty: 'MEDIUM',
-    category: 'causas-efeitos',
-    concept: 'causa-consequência',
-    therapeuticFocus: 'raciocínio-lógico',
-    main: { emoji: '🌧️', label: 'Chuva' },
-    correct: { emoji: '☂️', label: 'Guarda-chuva' },
-    explanation: 'Usamos guarda-chuva para nos proteger da chuva!',
-    options: [
-      { emoji: '☂️', label: 'Guarda-chuva' },
-      { emoji: '🕶️', label: 'Óculos de sol' },
-      { emoji: '🏖️', label: 'Praia' },
-      { emoji: '🔥', label: 'Fogo' },
-    ],
-  },
-  {
-    phase: 10,
-    difficulty: 'HARD',
-    category: 'elementos-opostos',
-    concept: 'contraste-complementar',
-    therapeuticFocus: 'pensamento-abstrato',
-    main: { emoji: '☀️', label: 'Sol' },
-    correct: { emoji: '🌙', label: 'Lua' },
-    explanation: 'Sol e Lua são opostos que se complementam!',
-    options: [
-      { emoji: '🌙', label: 'Lua' },
-      { emoji: '⭐', label: 'Estrela' },
-      { emoji: '🌈', label: 'Arco-íris' },
-      { emoji: '☁️', label: 'Nuvem' },
-    ],
-  },
-  {
-    phase: 11,
-    difficulty: 'HARD',
-    category: 'música-instrumentos',
-    concept: 'arte-ferramenta',
-    therapeuticFocus: 'criatividade-expressão',
-    main: { emoji: '🎵', label: 'Música' },
-    correct: { emoji: '🎹', label: 'Piano' },
-    explanation: 'Piano é um instrumento para fazer música!',
-    options: [
-      { emoji: '🎹', label: 'Piano' },
-      { emoji: '📱', label: 'Celular' },
-      { emoji: '🖥️', label: 'Computador' },
-      { emoji: '📺', label: 'TV' },
-    ],
-  },
-
-  // FASES 12-15: Associações abstratas e complexas (Nível Difícil)
-  {
-    phase: 12,
-    difficulty: 'HARD',
-    category: 'símbolos-conceitos',
-    concept: 'símbolo-significado',
-    therapeuticFocus: 'pensamento-simbólico',
-    main: { emoji: '💝', label: 'Presente' },
-    correct: { emoji: '❤️', label: 'Amor' },
-    explanation: 'Presentes são uma forma de demonstrar amor!',
-    options: [
-      { emoji: '❤️', label: 'Amor' },
-      { emoji: '💰', label: 'Dinheiro' },
-      { emoji: '🎯', label: 'Alvo' },
-      { emoji: '⚖️', label: 'Balança' },
-    ],
-  },
-  {
-    phase: 13,
-    difficulty: 'HARD',
-    category: 'processos-resultados',
-    concept: 'processo-produto',
-    therapeuticFocus: 'compreensão-sequencial',
-    main: { emoji: '🌱', label: 'Semente' },
-    correct: { emoji: '🌳', label: 'Árvore' },
-    explanation: 'Sementes crescem e se tornam árvores!',
-    options: [
-      { emoji: '🌳', label: 'Árvore' },
-      { emoji: '🍎', label: 'Maçã' },
-      { emoji: '🌸', label: 'Flor' },
-      { emoji: '🍃', label: 'Folha' },
-    ],
-  },
-  {
-    phase: 14,
-    difficulty: 'HARD',
-    category: 'abstrações-metáforas',
-    concept: 'metáfora-visual',
-    therapeuticFocus: 'pensamento-metafórico',
-    main: { emoji: '🧠', label: 'Cérebro' },
-    correct: { emoji: '💡', label: 'Ideia' },
-    explanation: 'O cérebro é onde nascem as ideias!',
-    options: [
-      { emoji: '💡', label: 'Ideia' },
-      { emoji: '⚡', label: 'Raio' },
-      { emoji: '🔋', label: 'Bateria' },
-      { emoji: '🖥️', label: 'Computador' },
-    ],
-  },
-  {
-    phase: 15,
-    difficulty: 'HARD',
-    category: 'ciclos-naturais',
-    concept: 'ciclo-renovação',
-    therapeuticFocus: 'compreensão-cíclica',
-    main: { emoji: '🍂', label: 'Folhas Secas' },
-    correct: { emoji: '🌿', label: 'Vida Nova' },
-    explanation: 'Folhas secas se decompõem e geram vida nova!',
-    options: [
-      { emoji: '🌿', label: 'Vida Nova' },
-      { emoji: '🗑️', label: 'Lixo' },
-      { emoji: '🔥', label: 'Fogo' },
-      { emoji: '❄️', label: 'Gelo' },
-    ],
-  },
-]
+// As fases (item principal, resposta e opções) vêm do pacote de conteúdo 'image-association'
 
-// Mensagens de encorajamento específicas por dificuldade
-const encouragementMessages = {
-  EASY: [
-    'Muito bem! Você está aprendendo! 🌟',
-    'Excelente! Continue assim! 👏',
-    'Perfeito! Você entendeu! ✨',
-  ],
-  MEDIUM: [
-    'Ótimo raciocínio! Você está evoluindo! 🧠',
-    'Incrível! Seu pensamento está se desenvolvendo! 🚀',
-    'Fantástico! Você está pensando como um especialista! 💪',
-  ],
-  HARD: [
-    'Extraordinário! Pensamento avançado! 🎓',
-    'Brilhante! Você dominou conceitos complexos! 🌟',
-    'Excepcional! Raciocínio de alto nível! 🏆',
-  ],
-}
-
-// Dicas terapêuticas por categoria
-const therapeuticTips = {
-  'animais-básicos': 'Observe as características dos animais e o que eles usam.',
-  'natureza-básica': 'Pense onde cada ser vivo prefere estar.',
-  'alimentos-origem': 'Reflita sobre de onde vêm os alimentos que consumimos.',
-  'insetos-plantas': 'Considere como os seres vivos ajudam uns aos outros.',
-  'corpo-função': 'Pense em como cuidamos de nosso corpo.',
-  'profissões-ferramentas': 'Observe que ferramentas cada profissional usa.',
-  'tempo-ação': 'Relacione momentos do dia com atividades adequadas.',
-  'emoções-expressões': 'Conecte sentimentos com formas de expressá-los.',
-  'causas-efeitos': 'Analise o que causa cada situação.',
-  'elementos-opostos': 'Busque elementos que se completam ou contrastam.',
-  'música-instrumentos': 'Associe expressões artísticas com suas ferramentas.',
-  'símbolos-conceitos': 'Interprete o significado mais profundo dos símbolos.',
-  'processos-resultados': 'Visualize o resultado final de cada processo.',
-  'abstrações-metáforas': 'Use sua imaginação para entender comparações.',
-  'ciclos-naturais': 'Compreenda como a natureza se renova continuamente.',
-}
+// Mensagens de encorajamento (por dificuldade), dicas (por categoria), focos terapêuticos,
+// nomes dos itens e explicações (por fase) ficam em activities.imageAssociation nos locales
 
 // Configurações de dificuldade para ImageAssociation
 const difficulties = [
@@ -489,6 +223,16 @@ const difficulties = [
 ]
 
 function ImageAssociation({ onBack }) {
+  const { t } = useTranslation()
+  // Itens e fases de pacotes instalados trazem o próprio texto
+  const itemLabel = (item) =>
+    item.label || t(`activities.imageAssociation.items.${item.key}`, { defaultValue: item.key })
+  const explanationOf = (association) =>
+    association.explanation || t(`activities.imageAssociation.explanations.${association.phase}`)
+  const focusOf = (association) =>
+    t(`activities.imageAssociation.focus.${association.therapeuticFocus}`, {
+      defaultValue: association.therapeuticFocus,
+    })
   const [currentAssociation, setCurrentAssociation] = useState(null)
   const [selectedOption, setSelectedOption] = useState(null)
   const [feedback, setFeedback] = useState({})
@@ -507,6 +251,10 @@ function ImageAssociation({ onBack }) {
   // Hooks
   const { playSuccess, playError, playClick } = useSound()
   const { userId } = useUser()
+  const { phases: associations } = useContentPack('image-association', userId)
+  const totalPhases = associations.length
+  // Modo CAA: respostas na prancha de símbolos
+  const { aacMode } = useAacMode(userId)
 
   // Sistema Multissensorial - Hook para métricas avançadas
   const { recordAdvancedInteraction, startAdvancedSession, stopAdvancedSession } =
@@ -517,7 +265,13 @@ function ImageAssociation({ onBack }) {
     })
 
   // TTS Hook para conversão de texto em áudio
-  const { speak, speakInstruction, speakFeedback, speakQuestion, autoSpeak, stop } = useTTS()
+  const { speak, speakInstruction, preload, speakFeedback, speakQuestion, autoSpeak, stop } =
+    useTTS()
+
+  // Frases fixas da atividade preparadas antes da primeira fala
+  useEffect(() => {
+    preload([t('activities.imageAssociation.chooseDifficulty')])
+  }, [preload, t])
 
   const {
     progress,
@@ -576,7 +330,7 @@ function ImageAssociation({ onBack }) {
         difficulty,
         therapeuticFocus: 'visual_semantic_processing',
         cognitiveProcess: 'semantic_association',
-        totalPhases: 15,
+        totalPhases,
       },
     })
 
@@ -612,18 +366,15 @@ function ImageAssociation({ onBack }) {
     startNewPhase()
 
     // TTS: Anunciar início do jogo
-    autoSpeak(
-      'Jogo de associação de imagens iniciado! Encontre as associações corretas entre imagens e conceitos.',
-      1000
-    )
+    autoSpeak(t('activities.imageAssociation.gameStarted'), 1000)
   }
 
   // Obter associação atual com base na fase
   const getCurrentAssociation = () => {
-    return associations.find((assoc) => assoc.phase === currentPhase) || associations[0]
+    return associations[currentPhase - 1] || associations[0]
   }
   const startNewPhase = () => {
-    if (currentPhase <= 15) {
+    if (currentPhase <= totalPhases) {
       const association = getCurrentAssociation()
 
       if (!association) {
@@ -650,7 +401,7 @@ function ImageAssociation({ onBack }) {
         type: 'stimulus_presentation',
         subtype: 'visual_semantic_display',
         context: {
-          mainItem: association.main.label,
+          mainItem: association.main.key,
           cognitiveProcess: 'semantic_recognition',
           visualProcessing: 'symbol_interpretation',
         },
@@ -674,11 +425,21 @@ function ImageAssociation({ onBack }) {
 
       // Anunciar nova fase
       announceToScreenReader(
-        `Fase ${currentPhase}: ${association.therapeuticFocus}. ${therapeuticTips[association.category]}`
+        t('activities.imageAssociation.phaseAnnouncement', {
+          phase: currentPhase,
+          focus: focusOf(association),
+          tip: t(`activities.imageAssociation.tips.${association.category}`),
+        })
       )
 
       // TTS: Anunciar nova fase
-      speakQuestion(`Fase ${currentPhase}. ${association.main.label}. Qual é a associação correta?`)
+      speakQuestion(
+        t('activities.imageAssociation.phaseQuestion', {
+          phase: currentPhase,
+          item: itemLabel(association.main),
+        }),
+        itemLabel(association.main)
+      )
     } else {
       // Jogo completo
       setIsGameCompleted(true)
@@ -693,7 +454,7 @@ function ImageAssociation({ onBack }) {
     playClick()
 
     const timeSpent = Math.floor((Date.now() - startTime) / 1000)
-    const isCorrect = option.emoji === currentAssociation.correct.emoji
+    const isCorrect = option.key === currentAssociation.correct.key
 
     // Registrar seleção de opção
     recordAdvancedInteraction({
@@ -702,8 +463,8 @@ function ImageAssociation({ onBack }) {
       responseTime: timeSpent * 1000,
       accuracy: isCorrect,
       context: {
-        selectedOption: option.label,
-        correctOption: currentAssociation.correct.label,
+        selectedOption: option.key,
+        correctOption: currentAssociation.correct.key,
         cognitiveProcess: 'semantic_association_judgment',
         visualProcessing: 'pattern_recognition',
       },
@@ -750,7 +511,10 @@ function ImageAssociation({ onBack }) {
       vibrateSuccess()
 
       // Mensagem de encorajamento baseada na dificuldade
-      const encouragementMsg = encouragementMessages[currentAssociation.difficulty]
+      const encouragementMsg = t(
+        `activities.imageAssociation.encouragement.${currentAssociation.difficulty}`,
+        { returnObjects: true }
+      )
       const randomMsg = encouragementMsg[Math.floor(Math.random() * encouragementMsg.length)]
 
       // Salvar insight terapêutico
@@ -800,8 +564,9 @@ function ImageAssociation({ onBack }) {
         }
       }
 
-      announceToScreenReader(`${randomMsg} ${currentAssociation.explanation}`) // TTS: Anunciar sucesso e explicação
-      speakFeedback(`${randomMsg} ${currentAssociation.explanation}`, true)
+      const explanation = explanationOf(currentAssociation)
+      announceToScreenReader(`${randomMsg} ${explanation}`) // TTS: Anunciar sucesso e explicação
+      speakFeedback(`${randomMsg} ${explanation}`, true)
 
       // Registrar TTS quando usado
       if (autoSpeak) {
@@ -810,7 +575,7 @@ function ImageAssociation({ onBack }) {
           subtype: 'tts_feedback_success',
           context: {
             message: randomMsg,
-            explanation: currentAssociation.explanation,
+            explanation,
             cognitiveSupport: 'auditory_reinforcement',
           },
         })
@@ -820,7 +585,7 @@ function ImageAssociation({ onBack }) {
       setTimeout(() => {
         const nextPhase = currentPhase + 1
 
-        if (nextPhase <= 15) {
+        if (nextPhase <= totalPhases) {
           setCurrentPhase(nextPhase)
           startNewPhase()
 
@@ -839,7 +604,7 @@ function ImageAssociation({ onBack }) {
           // Salvar dados finais
           if (adaptiveModel) {
             const finalStats = {
-              completedPhases: 15,
+              completedPhases: totalPhases,
               totalScore: progress.score,
               accuracy: progress.accuracy,
               finalDifficulty: difficulty,
@@ -850,7 +615,9 @@ function ImageAssociation({ onBack }) {
 
           // Mostrar mensagem de parabéns
           announceToScreenReader(
-            `Parabéns! Você completou todas as 15 fases do jogo de associação com ${Math.round(progress.accuracy || 0)}% de precisão!`
+            t('activities.imageAssociation.completed', {
+              accuracy: Math.round(progress.accuracy || 0),
+            })
           )
 
           // Aguardar um momento antes de mostrar o seletor de dificuldade novamente
@@ -872,8 +639,8 @@ function ImageAssociation({ onBack }) {
         subtype: 'semantic_recognition_error',
         responseTime: timeSpent * 1000,
         context: {
-          selectedOption: option.label,
-          correctOption: currentAssociation.correct.label,
+          selectedOption: option.key,
+          correctOption: currentAssociation.correct.key,
           phase: currentPhase,
           category: currentAssociation.category,
           cognitiveProcess: 'semantic_association_failure',
@@ -892,7 +659,7 @@ function ImageAssociation({ onBack }) {
       // Mostrar a resposta correta após 1 segundo
       setTimeout(() => {
         const correctIndex = currentAssociation.options.findIndex(
-          (opt) => opt.emoji === currentAssociation.correct.emoji
+          (opt) => opt.key === currentAssociation.correct.key
         )
         setFeedback((prev) => ({ ...prev, [correctIndex]: true }))
 
@@ -917,8 +684,9 @@ function ImageAssociation({ onBack }) {
 
         adaptiveModel.saveGameData(gameData)
       }
-      announceToScreenReader(`Não é essa. ${currentAssociation.explanation}`) // TTS: Anunciar erro e explicação
-      speakFeedback(`Não é essa. ${currentAssociation.explanation}`, false)
+      const errorMessage = t('activities.imageAssociation.notThisOne', { explanation })
+      announceToScreenReader(errorMessage) // TTS: Anunciar erro e explicação
+      speakFeedback(errorMessage, false)
 
       // Registrar TTS quando usado
       if (autoSpeak) {
@@ -926,7 +694,7 @@ function ImageAssociation({ onBack }) {
           type: 'audio_playback',
           subtype: 'tts_feedback_error',
           context: {
-            explanation: currentAssociation.explanation,
+            explanation,
             cognitiveSupport: 'auditory_correction',
           },
         })
@@ -947,7 +715,7 @@ function ImageAssociation({ onBack }) {
   const handleNext = () => {
     const nextPhase = currentPhase + 1
 
-    if (nextPhase <= 15) {
+    if (nextPhase <= totalPhases) {
       setCurrentPhase(nextPhase)
       startNewPhase()
 
@@ -966,7 +734,7 @@ function ImageAssociation({ onBack }) {
       // Salvar dados finais
       if (adaptiveModel) {
         const finalStats = {
-          completedPhases: 15,
+          completedPhases: totalPhases,
           totalScore: progress.score,
           accuracy: progress.accuracy,
           finalDifficulty: difficulty,
@@ -977,7 +745,9 @@ function ImageAssociation({ onBack }) {
 
       // Mostrar mensagem de parabéns
       announceToScreenReader(
-        `Parabéns! Você completou todas as 15 fases do jogo de associação com ${Math.round(progress.accuracy || 0)}% de precisão!`
+        t('activities.imageAssociation.completed', {
+          accuracy: Math.round(progress.accuracy || 0),
+        })
       )
 
       // Aguardar um momento antes de mostrar o seletor de dificuldade novamente
@@ -1010,7 +780,7 @@ function ImageAssociation({ onBack }) {
       }
     }
 
-    announceToScreenReader('Pronto para nova partida! Escolha a dificuldade para começar.')
+    announceToScreenReader(t('activities.imageAssociation.readyForNewGame'))
   }
   // Interface de jogo completo
   if (isGameCompleted) {
@@ -1025,16 +795,16 @@ function ImageAssociation({ onBack }) {
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
           >
-            ⬅️ Voltar
+            ⬅️ {t('activities.common.back')}
           </BackButton>
         </GameHeader>
 
         <ActivityTitleSection>
           <ActivityMainTitle>
             <span>🧩</span>
-            <span>Associação de Imagens</span>
+            <span>{t('activities.imageAssociation.title')}</span>
           </ActivityMainTitle>
-          <ActivitySubtitle>Jornada completa!</ActivitySubtitle>
+          <ActivitySubtitle>{t('activities.imageAssociation.journeyComplete')}</ActivitySubtitle>
         </ActivityTitleSection>
 
         <motion.div
@@ -1050,23 +820,32 @@ function ImageAssociation({ onBack }) {
           }}
         >
           <h3 style={{ fontSize: 'var(--font-size-xl)', marginBottom: 'var(--space-md)' }}>
-            🎉 Parabéns! Jornada Completa! 🎉
+            🎉 {t('activities.imageAssociation.journeyCompleteTitle')} 🎉
           </h3>{' '}
           <p style={{ fontSize: 'var(--font-size-lg)', marginBottom: 'var(--space-md)' }}>
-            Você completou todas as 15 fases!
+            {t('activities.imageAssociation.allPhasesDone')}
           </p>
-          <p style={{ marginBottom: 'var(--space-md)' }}>⭐ Estrelas ganhas: {progress.stars}/3</p>{' '}
           <p style={{ marginBottom: 'var(--space-md)' }}>
-            🎯 Precisão: {Math.round((progress.successes / progress.attempts) * 100) || 0}%
+            ⭐ {t('activities.common.starsEarned', { stars: progress.stars })}
+          </p>{' '}
+          <p style={{ marginBottom: 'var(--space-md)' }}>
+            🎯{' '}
+            {t('activities.common.accuracyValue', {
+              accuracy: Math.round((progress.successes / progress.attempts) * 100) || 0,
+            })}
           </p>
           <p style={{ marginTop: '16px', fontSize: '1.1em', marginBottom: 'var(--space-md)' }}>
             {getEncouragementMessage()}
           </p>
           <p style={{ fontSize: 'var(--font-size-md)', marginBottom: 'var(--space-lg)' }}>
-            <strong>Sua pontuação final:</strong> {progress.score} pontos
+            <strong>{t('activities.imageAssociation.finalScore')}:</strong>{' '}
+            {t('activities.imageAssociation.points', { score: progress.score })}
+            <br />
+            <strong>{t('activities.common.accuracy')}:</strong> {Math.round(progress.accuracy || 0)}
+            %
             <br />
-            <strong>Precisão:</strong> {Math.round(progress.accuracy || 0)}%<br />
-            <strong>Insights terapêuticos coletados:</strong> {therapeuticInsights.length}
+            <strong>{t('activities.imageAssociation.insightsCollected')}:</strong>{' '}
+            {therapeuticInsights.length}
           </p>
           {/* Resumo das conquistas terapêuticas */}
           <div
@@ -1077,29 +856,31 @@ function ImageAssociation({ onBack }) {
               marginBottom: 'var(--space-lg)',
             }}
           >
-            <h4>🌟 Habilidades Desenvolvidas:</h4>
+            <h4>🌟 {t('activities.imageAssociation.skillsDeveloped')}:</h4>
             <div
               style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', justifyContent: 'center' }}
             >
-              {[...new Set(therapeuticInsights.map((t) => t.therapeuticFocus))].map((focus) => (
-                <span
-                  key={focus}
-                  style={{
-                    background: 'rgba(255, 255, 255, 0.9)',
-                    color: 'var(--primary-blue)',
-                    padding: '4px 8px',
-                    borderRadius: '12px',
-                    fontSize: '12px',
-                    fontWeight: '500',
-                  }}
-                >
-                  {focus.replace('-', ' ')}
-                </span>
-              ))}
+              {[...new Set(therapeuticInsights.map((insight) => insight.therapeuticFocus))].map(
+                (focus) => (
+                  <span
+                    key={focus}
+                    style={{
+                      background: 'rgba(255, 255, 255, 0.9)',
+                      color: 'var(--primary-blue)',
+                      padding: '4px 8px',
+                      borderRadius: '12px',
+                      fontSize: '12px',
+                      fontWeight: '500',
+                    }}
+                  >
+                    {t(`activities.imageAssociation.focus.${focus}`)}
+                  </span>
+                )
+              )}
             </div>
           </div>
           <NextButton onClick={restartGame} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
-            🔄 Jogar Novamente
+            🔄 {t('activities.common.playAgain')}
           </NextButton>{' '}
         </motion.div>
       </GameContainer>
@@ -1118,49 +899,42 @@ function ImageAssociation({ onBack }) {
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
           >
-            ⬅️ Voltar
+            ⬅️ {t('activities.common.back')}
           </BackButton>
         </GameHeader>
 
         <ActivityTitleSection>
           <ActivityMainTitle>
             <span>🧩</span>
-            <span>Associação de Imagens</span>
+            <span>{t('activities.imageAssociation.title')}</span>
           </ActivityMainTitle>
-          <ActivitySubtitle>
-            Encontre as associações corretas entre imagens e conceitos
-          </ActivitySubtitle>
+          <ActivitySubtitle>{t('activities.imageAssociation.subtitle')}</ActivitySubtitle>
         </ActivityTitleSection>
 
         <InstructionText
-          onClick={() =>
-            speakInstruction(
-              'Encontre as associações corretas entre imagens e conceitos! Escolha a dificuldade para começar.'
-            )
-          }
+          onClick={() => speakInstruction(t('activities.imageAssociation.chooseDifficulty'))}
         >
-          🧩 Encontre as associações corretas entre imagens e conceitos! Escolha a dificuldade para
-          começar.
+          🧩 {t('activities.imageAssociation.chooseDifficulty')}
         </InstructionText>
 
         <DifficultySelector>
           {[
             {
               id: 'EASY',
-              name: '🟢 Fácil',
-              description: '2 opções simples',
+              name: `🟢 ${t('activities.common.difficulty.easy')}`,
+              description: t('activities.imageAssociation.difficultyDescription.easy'),
               icon: '😊',
             },
             {
               id: 'MEDIUM',
-              name: '🟡 Médio',
-              description: '3 opções variadas',
+              name: `🟡 ${t('activities.common.difficulty.medium')}`,
+              description: t('activities.imageAssociation.difficultyDescription.medium'),
               icon: '😐',
             },
             {
               id: 'HARD',
-              name: '🔴 Difícil',
-              description: '4 opções complexas',
+              name: `🔴 ${t('activities.common.difficulty.hard')}`,
+              description: t('activities.imageAssociation.difficultyDescription.hard'),
               icon: '🧠',
             },
           ].map((diff) => (
@@ -1171,7 +945,12 @@ function ImageAssociation({ onBack }) {
                 setDifficulty(diff.id)
                 playClick()
                 // TTS: Anunciar dificuldade selecionada
-                speak(`Dificuldade ${diff.name} selecionada. ${diff.description}`)
+                speak(
+                  t('activities.common.difficultySelected', {
+                    name: diff.name,
+                    description: diff.description,
+                  })
+                )
               }}
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
@@ -1188,14 +967,14 @@ function ImageAssociation({ onBack }) {
           <ActionButton
             onClick={() => {
               playClick()
-              speak('Começando jogo de associação de imagens!')
+              speak(t('activities.imageAssociation.starting'))
               initializeGame()
             }}
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
             themeColor={THEME_COLOR}
           >
-            🧩 Começar Jogo
+            🧩 {t('activities.common.startGame')}
           </ActionButton>
         </ControlButtons>
       </GameContainer>
@@ -1205,7 +984,7 @@ function ImageAssociation({ onBack }) {
     // Log para debug - remover em produção
     console.log('Aguardando associação ser definida:', { currentPhase, gameStarted })
     // Tente iniciar uma nova fase caso currentAssociation não esteja definido
-    if (currentPhase <= 15) {
+    if (currentPhase <= totalPhases) {
       startNewPhase()
     }
 
@@ -1220,14 +999,14 @@ function ImageAssociation({ onBack }) {
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
           >
-            ⬅️ Voltar
+            ⬅️ {t('activities.common.back')}
           </BackButton>
         </GameHeader>
 
         <ActivityTitleSection>
           <ActivityMainTitle>
             <span>🧩</span>
-            <span>Carregando fase...</span>
+            <span>{t('activities.imageAssociation.loadingPhase')}</span>
           </ActivityMainTitle>
         </ActivityTitleSection>
       </GameContainer>
@@ -1244,24 +1023,27 @@ function ImageAssociation({ onBack }) {
           whileHover={{ scale: 1.05 }}
           whileTap={{ scale: 0.95 }}
         >
-          ⬅️ Voltar
+          ⬅️ {t('activities.common.back')}
         </BackButton>
       </GameHeader>
 
       <ActivityTitleSection>
         <ActivityMainTitle>
           <span>🧩</span>
-          <span>Associação de Imagens</span>
+          <span>{t('activities.imageAssociation.title')}</span>
         </ActivityMainTitle>
         <ActivitySubtitle>
-          Fase {currentPhase}/15 - {progress.score} pontos
+          {t('activities.imageAssociation.phaseProgress', {
+            phase: currentPhase,
+            score: progress.score,
+          })}
         </ActivitySubtitle>
       </ActivityTitleSection>
 
       <InstructionText initial={{ opacity: 0, y: -20 }} animate={{ opacity: 1, y: 0 }}>
         {!gameStarted
-          ? '🧩 Encontre as associações corretas entre imagens e conceitos! Escolha a dificuldade para começar.'
-          : 'O que combina com isso?'}
+          ? `🧩 ${t('activities.imageAssociation.chooseDifficulty')}`
+          : t('activities.imageAssociation.whatMatches')}
       </InstructionText>
       {/* ActivityTimer - invisível, apenas para métricas internas */}
       <ActivityTimer
@@ -1277,46 +1059,84 @@ function ImageAssociation({ onBack }) {
       {gameStarted && (
         <GameArea>
           <MainItem
-            key={currentAssociation.main.emoji}
+            key={currentAssociation.main.key}
             initial={{ opacity: 0, scale: 0.8 }}
             animate={{ opacity: 1, scale: 1 }}
             transition={{ duration: 0.5 }}
           >
-            <MainEmoji>{currentAssociation.main.emoji}</MainEmoji>
-            <MainLabel>{currentAssociation.main.label}</MainLabel>
+            <MainEmoji>
+              {currentAssociation.main.image ? (
+                <img src={currentAssociation.main.image} alt={currentAssociation.main.alt} />
+              ) : (
+                currentAssociation.main.emoji
+              )}
+            </MainEmoji>
+            <MainLabel>{itemLabel(currentAssociation.main)}</MainLabel>
           </MainItem>
 
-          <OptionsGrid>
-            {currentAssociation.options.map((option, index) => (
-              <OptionCard
-                key={`${option.emoji}-${index}`}
-                onClick={() => handleOptionClick(option, index)}
-                disabled={selectedOption !== null}
-                isCorrect={feedback[index]}
-                whileHover={selectedOption === null ? { scale: 1.05 } : {}}
-                whileTap={selectedOption === null ? { scale: 0.95 } : {}}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: index * 0.1 + 0.5 }}
-              >
-                <OptionEmoji>{option.emoji}</OptionEmoji>
-                <OptionLabel>{option.label}</OptionLabel>
-
-                <AnimatePresence>
-                  {feedback[index] !== undefined && (
-                    <FeedbackIcon
-                      isCorrect={feedback[index]}
-                      initial={{ scale: 0 }}
-                      animate={{ scale: 1 }}
-                      exit={{ scale: 0 }}
-                    >
-                      {feedback[index] ? '✓' : '✗'}
-                    </FeedbackIcon>
-                  )}
-                </AnimatePresence>
-              </OptionCard>
-            ))}{' '}
-          </OptionsGrid>
+          {aacMode ? (
+            <AacAnswerBoard
+              activityId="image-association"
+              userId={userId}
+              promptKey={currentPhase}
+              answers={currentAssociation.options.map((option, index) => ({
+                key: option.key,
+                label: itemLabel(option),
+                emoji: option.emoji,
+                image: option.image,
+                alt: option.alt,
+                correct: option.key === currentAssociation.correct.key,
+                state:
+                  feedback[index] === undefined ? null : feedback[index] ? 'correct' : 'incorrect',
+              }))}
+              disabled={selectedOption !== null}
+              onAnswer={(index) => handleOptionClick(currentAssociation.options[index], index)}
+              onCoreWord={(word) =>
+                word.key === 'again' &&
+                speakQuestion(
+                  t('activities.imageAssociation.phaseQuestion', {
+                    phase: currentPhase,
+                    item: itemLabel(currentAssociation.main),
+                  }),
+                  itemLabel(currentAssociation.main)
+                )
+              }
+            />
+          ) : (
+            <OptionsGrid>
+              {currentAssociation.options.map((option, index) => (
+                <OptionCard
+                  key={`${option.key}-${index}`}
+                  onClick={() => handleOptionClick(option, index)}
+                  disabled={selectedOption !== null}
+                  isCorrect={feedback[index]}
+                  whileHover={selectedOption === null ? { scale: 1.05 } : {}}
+                  whileTap={selectedOption === null ? { scale: 0.95 } : {}}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.1 + 0.5 }}
+                >
+                  <OptionEmoji>
+                    {option.image ? <img src={option.image} alt={option.alt} /> : option.emoji}
+                  </OptionEmoji>
+                  <OptionLabel>{itemLabel(option)}</OptionLabel>
+
+                  <AnimatePresence>
+                    {feedback[index] !== undefined && (
+                      <FeedbackIcon
+                        isCorrect={feedback[index]}
+                        initial={{ scale: 0 }}
+                        animate={{ scale: 1 }}
+                        exit={{ scale: 0 }}
+                      >
+                        {feedback[index] ? '✓' : '✗'}
+                      </FeedbackIcon>
+                    )}
+                  </AnimatePresence>
+                </OptionCard>
+              ))}{' '}
+            </OptionsGrid>
+          )}
 
           <AnimatePresence>
             {showNext && (
@@ -1328,7 +1148,9 @@ function ImageAssociation({ onBack }) {
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
               >
-                {currentPhase < 15 ? 'Próxima ➡️' : 'Finalizar 🎉'}
+                {currentPhase < totalPhases
+                  ? `${t('activities.imageAssociation.next')} ➡️`
+                  : `${t('activities.imageAssociation.finish')} 🎉`}
               </NextButton>
             )}
           </AnimatePresence>
@@ -1340,7 +1162,9 @@ function ImageAssociation({ onBack }) {
               marginTop: 'var(--space-md)',
             }}
           >
-            <p>💡 Dica: Clique no item que tem relação com a imagem principal!</p>
+            <p>
+              💡 {t('activities.common.tip')}: {t('activities.imageAssociation.tip')}
+            </p>
           </div>
         </GameArea>
       )}
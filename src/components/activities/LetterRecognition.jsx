@@ -8,8 +8,12 @@ import useSound from '../../hooks/useSound'
 import useProgress from '../../hooks/useProgress'
 import { useUser } from '../../contexts/UserContext'
 import useTTS from '../../hooks/useTTS'
+import { useTranslation } from 'react-i18next'
 import useAdvancedActivity from '../../hooks/useAdvancedActivity'
+import useContentPack from '../../hooks/useContentPack'
+import useAacMode from '../../hooks/useAacMode'
 import ActivityTimer from '../common/ActivityTimer'
+import AacAnswerBoard from '../common/AacAnswerBoard'
 import {
   announceToScreenReader,
   vibrateSuccess,
@@ -163,6 +167,14 @@ const OptionImage = styled.div`
   font-family: 'Apple Color Emoji', 'Segoe UI Emoji', 'Noto Color Emoji', sans-serif;
   line-height: 1;
   text-align: center;
+
+  img {
+    width: 2.5rem;
+    height: 2.5rem;
+    object-fit: cover;
+    border-radius: var(--radius-small, 4px);
+  }
+
   @media (max-width: 768px) {
     font-size: 1.2rem;
   }
@@ -203,96 +215,6 @@ const StarDisplay = styled.div`
   font-size: var(--font-size-xl);
 `
 
-// Dados das letras com correções de erros tipográficos
-const letterData = {
-  A: {
-    words: ['AVIÃO', 'ÁRVORE', 'ABELHA', 'ÁGUA', 'AMIGO', 'ARCO-ÍRIS'],
-    emojis: ['✈️', '🌳', '🐝', '💧', '👫', '🌈'],
-  },
-  B: {
-    words: ['BOLA', 'BANANA', 'BORBOLETA', 'BEBÊ', 'BICICLETA', 'BALÃO'],
-    emojis: ['⚽', '🍌', '🦋', '👶', '🚲', '🎈'],
-  },
-  C: {
-    words: ['CASA', 'CACHORRO', 'CORAÇÃO', 'CARRO', 'COROA', 'CHOCOLATE'],
-    emojis: ['🏠', '🐕', '❤️', '🚗', '👑', '🍫'],
-  },
-  D: {
-    words: ['DADO', 'DINOSSAURO', 'DOCE', 'DENTE', 'DRAGÃO', 'DIAMANTE'],
-    emojis: ['🎲', '🦕', '🍭', '🦷', '🐉', '💎'],
-  },
-  E: {
-    words: ['ELEFANTE', 'ESTRELA', 'ESCADA', 'ESPELHO', 'ESCOLA', 'ENVELOPE'],
-    emojis: ['🐘', '⭐', '🪜', '🪞', '🏫', '✉️'],
-  },
-  F: {
-    words: ['FLOR', 'FOGO', 'FESTA', 'FACA', 'FUTEBOL', 'FANTASMA'],
-    emojis: ['🌸', '🔥', '🎉', '🔪', '⚽', '👻'],
-  },
-  G: {
-    words: ['GATO', 'GUITARRA', 'GIRASSOL', 'GALINHA', 'GELADO', 'GLOBO'],
-    emojis: ['🐱', '🎸', '🌻', '🐔', '🧊', '🌍'],
-  },
-  H: {
-    words: ['HIPOPÓTAMO', 'HAMBÚRGUER', 'HELICÓPTERO', 'HOSPITAL', 'HORAS', 'HARPA'],
-    emojis: ['🦛', '🍔', '🚁', '🏥', '⏰', '🎵'],
-  },
-  I: {
-    words: ['IGREJA', 'ILHA', 'ÍNDIO', 'ÍMÃ', 'IGUANA', 'INVERNO'],
-    emojis: ['⛪', '🏝️', '🪶', '🧲', '🦎', '❄️'],
-  },
-  J: {
-    words: ['JACARÉ', 'JOANINHA', 'JARDIM', 'JARRO', 'JOIA', 'JANELA'],
-    emojis: ['🐊', '🐞', '🌺', '🏺', '💍', '🪟'],
-  },
-  K: { words: ['KIWI', 'KARATÊ', 'KOALA'], emojis: ['🥝', '🥋', '🐨'] },
-  L: {
-    words: ['LEÃO', 'LUA', 'LIVRO', 'LÂMPADA', 'LAGARTA', 'LIMÃO'],
-    emojis: ['🦁', '🌙', '📚', '💡', '🐛', '🍋'],
-  },
-  M: {
-    words: ['MACACO', 'MAÇÃ', 'MÚSICA', 'MÃO', 'MEDALHA', 'MONSTRO'],
-    emojis: ['🐵', '🍎', '🎵', '🤲', '🏅', '👹'],
-  },
-  N: {
-    words: ['NAVIO', 'NUVEM', 'NATUREZA', 'NINHO', 'NARIZ', 'NOTEBOOK'],
-    emojis: ['🚢', '☁️', '🌿', '🪺', '👃', '💻'],
-  },
-  O: {
-    words: ['OLHO', 'OVO', 'OVELHA', 'ÓCULOS', 'OURO', 'ONDA'],
-    emojis: ['👁️', '🥚', '🐑', '👓', '🏆', '🌊'],
-  },
-  P: {
-    words: ['PATO', 'PIZZA', 'PRESENTE', 'PALHAÇO', 'PLANETA', 'PEIXE'],
-    emojis: ['🦆', '🍕', '🎁', '🤡', '🪐', '🐟'],
-  },
-  Q: { words: ['QUEIJO', 'QUENTE', 'QUADRADO'], emojis: ['🧀', '🔥', '⬜'] },
-  R: {
-    words: ['RATO', 'ROSA', 'RELÓGIO', 'ROBÔ', 'RAINHA', 'RAIO'],
-    emojis: ['🐭', '🌹', '⏰', '🤖', '👸', '⚡'],
-  },
-  S: {
-    words: ['SOL', 'SAPATO', 'SORRISO', 'SAPO', 'SERPENTE', 'SINO'],
-    emojis: ['☀️', '👟', '😊', '🐸', '🐍', '🔔'],
-  },
-  T: {
-    words: ['TIGRE', 'TARTARUGA', 'TELEFONE', 'TESOURA', 'TREM', 'TOMATE'],
-    emojis: ['🐅', '🐢', '📞', '✂️', '🚂', '🍅'],
-  },
-  U: { words: ['UVA', 'URSO', 'UNICÓRNIO'], emojis: ['🍇', '🐻', '🦄'] },
-  V: {
-    words: ['VACA', 'VIOLÃO', 'VENTILADOR', 'VULCÃO', 'VELA', 'VAMPIRO'],
-    emojis: ['🐄', '🎻', '💨', '🌋', '🕯️', '🧛'],
-  },
-  W: { words: ['WIFI', 'WEB'], emojis: ['📶', '🌐'] },
-  X: { words: ['XÍCARA', 'XADREZ'], emojis: ['☕', '♟️'] },
-  Y: { words: ['YOGA', 'YETI'], emojis: ['🧘', '🦣'] },
-  Z: {
-    words: ['ZEBRA', 'ZERO', 'ZANGADO', 'ZÍPER', 'ZUMBI'],
-    emojis: ['🦓', '0️⃣', '😠', '🤐', '🧟'],
-  },
-}
-
 const difficulties = [
   { id: 'EASY', name: 'Fácil', letters: ['A', 'E', 'I', 'O', 'U'] },
   {
@@ -319,38 +241,8 @@ const difficulties = [
       'T',
     ],
   },
-  { id: 'HARD', name: 'Difícil', letters: Object.keys(letterData) },
-]
-
-// Validação de dados do jogo
-const validateGameData = () => {
-  const allLetters = new Set(Object.keys(letterData))
-  for (const diff of difficulties) {
-    diff.letters = diff.letters.filter((letter) => allLetters.has(letter))
-  }
-  for (const letter of allLetters) {
-    const data = letterData[letter]
-    if (!data.words || data.words.length === 0) {
-      console.error(`Letra ${letter} não possui palavras definidas`)
-      data.words = ['PALAVRA']
-    }
-    if (!data.emojis || data.emojis.length === 0) {
-      data.emojis = Array(data.words.length).fill('📝')
-    }
-    if (data.emojis.length < data.words.length) {
-      data.emojis = [...data.emojis, ...Array(data.words.length - data.emojis.length).fill('📝')]
-    }
-  }
-}
-
-validateGameData()
-
-const encouragingMessages = [
-  'Muito bem! Você conhece suas letras! 📚',
-  'Excelente! Continue aprendendo! 🌟',
-  'Perfeito! Você está arrasando! ✨',
-  'Fantástico! Suas habilidades estão ótimas! 🎓',
-  'Incrível! Continue praticando! 💪',
+  // Sem lista fixa: todas as letras dos pacotes de conteúdo habilitados
+  { id: 'HARD', name: 'Difícil', letters: null },
 ]
 
 // Reducer para gerenciar estado do jogo
@@ -406,17 +298,32 @@ const reducer = (state, action) => {
 
 // Componente principal
 const LetterRecognition = ({ onBack }) => {
+  const { t } = useTranslation()
   const [state, dispatch] = useReducer(reducer, initialState)
   const { playSound, playClick, playSuccess, playError } = useSound()
   const {
     speak,
     speakInstruction,
+    preload,
     speakFeedback,
     speakLetter,
     speakWord,
     autoSpeak,
     isTTSEnabled,
   } = useTTS()
+
+  // Frases fixas da atividade preparadas antes da primeira fala
+  useEffect(() => {
+    preload([
+      t('activities.letterRecognition.chooseDifficulty'),
+      ...['word', 'letter'].flatMap((mode) => [
+        t(`activities.letterRecognition.question.${mode}`),
+        t('activities.letterRecognition.modeChanged', {
+          mode: t(`activities.letterRecognition.modes.${mode}`),
+        }),
+      ]),
+    ])
+  }, [preload, t])
   const {
     progress,
     saveProgress,
@@ -428,6 +335,9 @@ const LetterRecognition = ({ onBack }) => {
     getCurrentTimeMetrics,
   } = useProgress('letter-recognition')
   const { userId } = useUser()
+  const { letters: letterData } = useContentPack('letter-recognition', userId)
+  // Modo CAA: respostas na prancha de símbolos
+  const { aacMode } = useAacMode(userId)
 
   // 🧠 Sistema Multissensorial - Configuração avançada
   const {
@@ -484,22 +394,16 @@ const LetterRecognition = ({ onBack }) => {
 
       while (attempts < maxAttempts) {
         const targetLetter = availableLetters[Math.floor(Math.random() * availableLetters.length)]
-        const letterDataForTarget = letterData[targetLetter]
-        if (!letterDataForTarget?.words?.length) {
+        const items = letterData[targetLetter]
+        if (!items?.length) {
           attempts++
           continue
         }
 
-        for (let i = 0; i < letterDataForTarget.words.length; i++) {
+        for (let i = 0; i < items.length; i++) {
           const questionKey = `${targetLetter}-${i}-${state.gameMode}`
           if (!state.usedQuestions.has(questionKey)) {
-            return {
-              targetLetter,
-              wordIndex: i,
-              questionKey,
-              word: letterDataForTarget.words[i],
-              emoji: letterDataForTarget.emojis[i] || '📝',
-            }
+            return { targetLetter, wordIndex: i, questionKey, ...items[i] }
           }
         }
         attempts++
@@ -514,18 +418,21 @@ const LetterRecognition = ({ onBack }) => {
         targetLetter,
         wordIndex,
         questionKey: `${targetLetter}-${wordIndex}-${state.gameMode}`,
-        word: letterData[targetLetter].words[wordIndex],
-        emoji: letterData[targetLetter].emojis[wordIndex] || '📝',
+        ...letterData[targetLetter][wordIndex],
       }
     },
-    [state.gameMode, state.usedQuestions]
+    [letterData, state.gameMode, state.usedQuestions]
   )
   // Gerar nova rodada
   const generateNewRound = useCallback(() => {
     try {
-      const availableLetters =
-        difficulties.find((d) => d.id === state.difficulty)?.letters || Object.keys(letterData)
-      const { targetLetter, wordIndex, questionKey, word, emoji } =
+      // Pacotes que substituem o vocabulário podem não cobrir as letras da dificuldade
+      const packLetters = Object.keys(letterData)
+      const difficultyLetters = (
+        difficulties.find((d) => d.id === state.difficulty)?.letters || packLetters
+      ).filter((letter) => letterData[letter]?.length)
+      const availableLetters = difficultyLetters.length ? difficultyLetters : packLetters
+      const { targetLetter, questionKey, word, emoji, image, alt, audio } =
         generateUniqueQuestion(availableLetters)
 
       // 🎯 Tracking de geração de nova rodada
@@ -566,19 +473,17 @@ const LetterRecognition = ({ onBack }) => {
 
       if (state.gameMode === 'word') {
         dispatch({ type: 'SET_CURRENT_LETTER', payload: targetLetter })
-        const correctOption = { letter: targetLetter, word, emoji, isCorrect: true }
+        const correctOption = { letter: targetLetter, word, emoji, image, alt, isCorrect: true }
         const incorrectOptions = []
         const otherLetters = availableLetters.filter((l) => l !== targetLetter)
 
         while (incorrectOptions.length < 3 && otherLetters.length > 0) {
           const randomLetter = otherLetters[Math.floor(Math.random() * otherLetters.length)]
-          const randomData = letterData[randomLetter]
-          if (randomData?.words?.length) {
-            const randomIndex = Math.floor(Math.random() * randomData.words.length)
+          const randomItems = letterData[randomLetter]
+          if (randomItems?.length) {
             const option = {
+              ...randomItems[Math.floor(Math.random() * randomItems.length)],
               letter: randomLetter,
-              word: randomData.words[randomIndex],
-              emoji: randomData.emojis?.[randomIndex] || '📝',
               isCorrect: false,
             }
             if (!incorrectOptions.some((opt) => opt.word === option.word)) {
@@ -593,7 +498,7 @@ const LetterRecognition = ({ onBack }) => {
           payload: [...incorrectOptions, correctOption].sort(() => Math.random() - 0.5),
         })
       } else {
-        dispatch({ type: 'SET_CURRENT_LETTER', payload: { word, letter: targetLetter } })
+        dispatch({ type: 'SET_CURRENT_LETTER', payload: { word, letter: targetLetter, audio } })
         const incorrectLetters = []
         const otherLetters = availableLetters.filter((l) => l !== targetLetter)
 
@@ -620,10 +525,26 @@ const LetterRecognition = ({ onBack }) => {
       console.error('Erro ao gerar nova rodada:', error)
       dispatch({
         type: 'SET_FEEDBACK',
-        payload: { type: 'error', message: 'Erro ao carregar nova rodada. Tente novamente.' },
+        payload: { type: 'error', message: t('activities.common.roundError') },
       })
     }
-  }, [state.difficulty, state.gameMode, state.usedQuestions, state.totalQuestionsAnswered])
+  }, [
+    letterData,
+    state.difficulty,
+    state.gameMode,
+    state.usedQuestions,
+    state.totalQuestionsAnswered,
+    t,
+  ])
+  // Palavras de pacotes podem trazer a própria gravação (ex.: voz da família)
+  const speakTargetWord = useCallback(() => {
+    const { word = '', audio } = state.currentLetter || {}
+    if (!audio) {
+      speakWord(word)
+      return
+    }
+    new Audio(audio).play().catch(() => speakWord(word))
+  }, [state.currentLetter, speakWord])
   // Iniciar jogo
   const startGame = useCallback(async () => {
     try {
@@ -650,16 +571,16 @@ const LetterRecognition = ({ onBack }) => {
       dispatch({ type: 'SET_USED_QUESTIONS', payload: new Set() })
       dispatch({ type: 'SET_START_TIME', payload: Date.now() })
       generateNewRound()
-      announceToScreenReader('Jogo de reconhecimento de letras iniciado!')
-      autoSpeak('Jogo de reconhecimento de letras iniciado! Vamos aprender o alfabeto!', 1000)
+      announceToScreenReader(t('activities.letterRecognition.gameStarted'))
+      autoSpeak(t('activities.letterRecognition.gameStartedSpeech'), 1000)
     } catch (error) {
       console.error('Erro ao iniciar jogo:', error)
       dispatch({
         type: 'SET_FEEDBACK',
-        payload: { type: 'error', message: 'Erro ao iniciar o jogo. Tente novamente.' },
+        payload: { type: 'error', message: t('activities.common.startError') },
       })
     }
-  }, [startActivity, startAdvancedSession, state.difficulty, state.gameMode, generateNewRound])
+  }, [startActivity, startAdvancedSession, state.difficulty, state.gameMode, generateNewRound, t])
   // Alternar modo de jogo
   const toggleGameMode = useCallback(() => {
     const newMode = state.gameMode === 'word' ? 'letter' : 'word'
@@ -684,18 +605,18 @@ const LetterRecognition = ({ onBack }) => {
     if (state.gameStarted && state.currentLetter) {
       setTimeout(generateNewRound, 100)
     }
-    announceToScreenReader(
-      `Modo alterado para: ${newMode === 'word' ? 'Reconhecer palavras' : 'Reconhecer letras'}`
-    )
-    speakInstruction(
-      `Modo alterado para ${newMode === 'word' ? 'reconhecer palavras' : 'reconhecer letras'}.`
-    )
+    const modeMessage = t('activities.letterRecognition.modeChanged', {
+      mode: t(`activities.letterRecognition.modes.${newMode}`),
+    })
+    announceToScreenReader(modeMessage)
+    speakInstruction(modeMessage)
   }, [
     state.gameMode,
     state.gameStarted,
     state.currentLetter,
     generateNewRound,
     recordAdvancedInteraction,
+    t,
   ]) // Lidar com seleção de opção
   const handleOptionSelect = useCallback(
     (option) => {
@@ -754,6 +675,9 @@ const LetterRecognition = ({ onBack }) => {
         const totalScore = recordSuccess(baseScore + difficultyBonus + timeBonus)
         vibrateSuccess()
         playSuccess()
+        const encouragingMessages = t('activities.letterRecognition.encouragement', {
+          returnObjects: true,
+        })
         const successMessage =
           encouragingMessages[Math.floor(Math.random() * encouragingMessages.length)]
 
@@ -763,7 +687,9 @@ const LetterRecognition = ({ onBack }) => {
           type: 'SET_FEEDBACK',
           payload: {
             type: 'success',
-            message: `${successMessage} +${baseScore + difficultyBonus + timeBonus} pontos!`,
+            message: `${successMessage} ${t('activities.common.pointsEarned', {
+              points: baseScore + difficultyBonus + timeBonus,
+            })}`,
           },
         })
         setTimeout(() => {
@@ -795,9 +721,12 @@ const LetterRecognition = ({ onBack }) => {
 
         vibrateError()
         playError()
-        const errorMessage = 'Tente novamente! Pense na primeira letra da palavra. 🤔'
-        dispatch({ type: 'SET_FEEDBACK', payload: { type: 'error', message: errorMessage } })
-        speakFeedback(errorMessage.replace('🤔', ''), false)
+        const errorMessage = t('activities.letterRecognition.tryAgain')
+        dispatch({
+          type: 'SET_FEEDBACK',
+          payload: { type: 'error', message: `${errorMessage} 🤔` },
+        })
+        speakFeedback(errorMessage, false)
         setTimeout(() => {
           dispatch({ type: 'SET_SELECTED_OPTION', payload: null })
           dispatch({ type: 'SET_FEEDBACK', payload: null })
@@ -817,9 +746,14 @@ const LetterRecognition = ({ onBack }) => {
       saveProgress,
       generateNewRound,
       recordAdvancedInteraction,
+      t,
     ]
   )
 
+  // Cor do símbolo escolhido na prancha CAA, como nas opções comuns
+  const answerState = (option) =>
+    state.selectedOption === option ? (option.isCorrect ? 'correct' : 'incorrect') : null
+
   // Componente de renderização
   return (
     <GameContainer>
@@ -828,40 +762,56 @@ const LetterRecognition = ({ onBack }) => {
           onClick={onBack}
           whileHover={{ scale: 1.05 }}
           whileTap={{ scale: 0.95 }}
-          aria-label="Voltar ao menu principal"
+          aria-label={t('activities.common.backToMenu')}
         >
-          ⬅️ Voltar
+          ⬅️ {t('activities.common.back')}
         </BackButton>
       </GameHeader>
 
       <ActivityTitleSection>
         <ActivityMainTitle>
           <span>🔤</span>
-          <span>Reconhecimento de Letras</span>
+          <span>{t('activities.letterRecognition.title')}</span>
         </ActivityMainTitle>
         <ActivitySubtitle>
           {!state.gameStarted
-            ? 'Vamos aprender as letras do alfabeto'
-            : `Modo: ${state.gameMode === 'word' ? 'Palavra' : 'Letra'} - ${progress.score || 0} pontos`}
+            ? t('activities.letterRecognition.subtitle')
+            : t('activities.letterRecognition.modeProgress', {
+                mode: t(`activities.letterRecognition.modeNames.${state.gameMode}`),
+                score: progress.score || 0,
+              })}
         </ActivitySubtitle>
       </ActivityTitleSection>
 
       {!state.gameStarted ? (
         <>
           <InstructionText
-            onClick={() =>
-              speakInstruction('Vamos aprender as letras! Escolha a dificuldade para começar.')
-            }
+            onClick={() => speakInstruction(t('activities.letterRecognition.chooseDifficulty'))}
             role="button"
-            aria-label="Instrução: Vamos aprender as letras"
+            aria-label={t('activities.letterRecognition.instructionLabel')}
           >
-            📚 Vamos aprender as letras! Escolha a dificuldade para começar.
+            📚 {t('activities.letterRecognition.chooseDifficulty')}
           </InstructionText>
           <DifficultySelector>
             {[
-              { id: 'EASY', name: '🟢 Fácil', description: 'Vogais básicas', icon: '😊' },
-              { id: 'MEDIUM', name: '🟡 Médio', description: 'Letras comuns', icon: '😐' },
-              { id: 'HARD', name: '🔴 Difícil', description: 'Todas as letras', icon: '🧠' },
+              {
+                id: 'EASY',
+                name: `🟢 ${t('activities.common.difficulty.easy')}`,
+                description: t('activities.letterRecognition.difficultyDescription.easy'),
+                icon: '😊',
+              },
+              {
+                id: 'MEDIUM',
+                name: `🟡 ${t('activities.common.difficulty.medium')}`,
+                description: t('activities.letterRecognition.difficultyDescription.medium'),
+                icon: '😐',
+              },
+              {
+                id: 'HARD',
+                name: `🔴 ${t('activities.common.difficulty.hard')}`,
+                description: t('activities.letterRecognition.difficultyDescription.hard'),
+                icon: '🧠',
+              },
             ].map((diff) => (
               <DifficultyButton
                 key={diff.id}
@@ -869,12 +819,17 @@ const LetterRecognition = ({ onBack }) => {
                 onClick={() => {
                   dispatch({ type: 'SET_DIFFICULTY', payload: diff.id })
                   playClick()
-                  speak(`Dificuldade ${diff.name} selecionada. ${diff.description}`)
+                  speak(
+                    t('activities.common.difficultySelected', {
+                      name: diff.name,
+                      description: diff.description,
+                    })
+                  )
                 }}
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
                 themeColor={THEME_COLOR}
-                aria-label={`Selecionar dificuldade ${diff.name}`}
+                aria-label={t('activities.common.selectDifficulty', { name: diff.name })}
               >
                 <div style={{ fontSize: '2rem', marginBottom: '8px' }}>{diff.icon}</div>
                 <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>{diff.name}</div>
@@ -886,15 +841,15 @@ const LetterRecognition = ({ onBack }) => {
             <ActionButton
               onClick={() => {
                 playClick()
-                autoSpeak('Começando jogo de reconhecimento de letras!')
+                autoSpeak(t('activities.letterRecognition.starting'))
                 startGame()
               }}
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
               themeColor={THEME_COLOR}
-              aria-label="Iniciar jogo de reconhecimento de letras"
+              aria-label={t('activities.letterRecognition.startLabel')}
             >
-              🔤🎵 Começar a Aprender
+              🔤🎵 {t('activities.letterRecognition.start')}
             </ActionButton>
           </ControlButtons>
         </>
@@ -902,18 +857,12 @@ const LetterRecognition = ({ onBack }) => {
         <>
           <InstructionText
             onClick={() =>
-              speakInstruction(
-                state.gameMode === 'word'
-                  ? 'Qual palavra começa com esta letra?'
-                  : 'Com qual letra esta palavra começa?'
-              )
+              speakInstruction(t(`activities.letterRecognition.question.${state.gameMode}`))
             }
             role="button"
-            aria-label="Instrução do jogo"
+            aria-label={t('activities.common.instructionLabel')}
           >
-            {state.gameMode === 'word'
-              ? 'Qual palavra começa com esta letra?'
-              : 'Com qual letra esta palavra começa?'}
+            {t(`activities.letterRecognition.question.${state.gameMode}`)}
           </InstructionText>
           <ControlButtons>
             <ActionButton
@@ -921,9 +870,14 @@ const LetterRecognition = ({ onBack }) => {
               onClick={toggleGameMode}
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
-              aria-label={`Trocar para modo ${state.gameMode === 'word' ? 'letra' : 'palavra'}`}
+              aria-label={t('activities.letterRecognition.switchModeLabel', {
+                mode: t(
+                  `activities.letterRecognition.modeNames.${state.gameMode === 'word' ? 'letter' : 'word'}`
+                ).toLowerCase(),
+              })}
             >
-              🔄 Trocar Modo: {state.gameMode === 'word' ? 'Palavra→Letra' : 'Letra→Palavra'}
+              🔄 {t('activities.letterRecognition.switchMode')}:{' '}
+              {t(`activities.letterRecognition.switchDirection.${state.gameMode}`)}
             </ActionButton>{' '}
             <ActionButton
               className={isTTSEnabled ? 'audio' : 'audio disabled'}
@@ -933,7 +887,7 @@ const LetterRecognition = ({ onBack }) => {
                     type: 'SET_FEEDBACK',
                     payload: {
                       type: 'info',
-                      message: 'Texto para voz desativado nas configurações.',
+                      message: t('activities.common.ttsDisabledSettings'),
                     },
                   })
                   setTimeout(() => dispatch({ type: 'SET_FEEDBACK', payload: null }), 3000)
@@ -957,23 +911,33 @@ const LetterRecognition = ({ onBack }) => {
                 if (state.gameMode === 'word') {
                   speakLetter(state.currentLetter || 'A')
                 } else {
-                  speakWord(state.currentLetter?.word || '')
+                  speakTargetWord()
                 }
               }}
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
               disabled={!state.currentLetter}
-              aria-label={isTTSEnabled ? 'Ouvir novamente' : 'Áudio desativado'}
+              aria-label={
+                isTTSEnabled ? t('activities.common.listenAgain') : t('activities.common.audioOff')
+              }
             >
-              {isTTSEnabled ? '🔊 Ouvir Novamente' : '🔇 Áudio Desativado'}
+              {isTTSEnabled
+                ? `🔊 ${t('activities.common.listenAgain')}`
+                : `🔇 ${t('activities.common.audioOff')}`}
             </ActionButton>
           </ControlButtons>
           <ProgressDisplay>
-            <span>Pontos: {progress.score || 0}</span>
+            <span>
+              {t('activities.common.score')}: {progress.score || 0}
+            </span>
             <span>•</span>
-            <span>Precisão: {progress.accuracy || 0}%</span>
+            <span>
+              {t('activities.common.accuracyValue', { accuracy: progress.accuracy || 0 })}
+            </span>
             <span>•</span>
-            <span>📝 Perguntas: {state.totalQuestionsAnswered}</span>
+            <span>
+              📝 {t('activities.letterRecognition.questions')}: {state.totalQuestionsAnswered}
+            </span>
             <span>•</span>
             <StarDisplay>
               {Array.from({ length: 3 }, (_, i) => (
@@ -1011,23 +975,56 @@ const LetterRecognition = ({ onBack }) => {
                 if (state.gameMode === 'word') {
                   speakLetter(state.currentLetter || 'A')
                 } else {
-                  speakWord(state.currentLetter?.word || '')
+                  speakTargetWord()
                 }
               }}
               role="button"
-              aria-label={state.gameMode === 'word' ? 'Ouvir letra' : 'Ouvir palavra'}
+              aria-label={t(`activities.letterRecognition.listenTarget.${state.gameMode}`)}
             >
               <div className="target-display">
                 {state.gameMode === 'word' ? state.currentLetter : state.currentLetter?.word || '?'}
               </div>
               <LetterInfo>
-                {state.gameMode === 'word'
-                  ? 'Clique para ouvir a letra'
-                  : 'Clique para ouvir a palavra'}
+                {t(`activities.letterRecognition.clickToListen.${state.gameMode}`)}
               </LetterInfo>
             </TargetLetterDisplay>
           )}
-          {state.options.length > 0 && (
+          {state.options.length > 0 && aacMode && (
+            <AacAnswerBoard
+              activityId="letter-recognition"
+              userId={userId}
+              promptKey={state.totalQuestionsAnswered}
+              answers={state.options.map((option) =>
+                state.gameMode === 'word'
+                  ? {
+                      key: option.word,
+                      label: option.word,
+                      emoji: option.emoji || '📝',
+                      image: option.image,
+                      alt: option.alt,
+                      correct: option.isCorrect,
+                      state: answerState(option),
+                    }
+                  : {
+                      key: option.letter,
+                      label: option.letter,
+                      correct: option.isCorrect,
+                      state: answerState(option),
+                    }
+              )}
+              disabled={Boolean(state.selectedOption)}
+              onAnswer={(index) => handleOptionSelect(state.options[index])}
+              onCoreWord={(word) => {
+                if (word.key !== 'again') return
+                if (state.gameMode === 'word') {
+                  speakLetter(state.currentLetter || 'A')
+                } else {
+                  speakTargetWord()
+                }
+              }}
+            />
+          )}
+          {state.options.length > 0 && !aacMode && (
             <OptionsGrid>
               {state.options.map((option, index) => (
                 <LetterOption
@@ -1047,13 +1044,19 @@ const LetterRecognition = ({ onBack }) => {
                   transition={{ duration: 0.3, delay: index * 0.1 }}
                   aria-label={
                     state.gameMode === 'word'
-                      ? `Opção: ${option.word}`
-                      : `Opção: letra ${option.letter}`
+                      ? t('activities.letterRecognition.wordOption', { word: option.word })
+                      : t('activities.letterRecognition.letterOption', { letter: option.letter })
                   }
                 >
                   {state.gameMode === 'word' ? (
                     <>
-                      <OptionImage>{option.emoji || '📝'}</OptionImage>
+                      <OptionImage>
+                        {option.image ? (
+                          <img src={option.image} alt={option.alt || option.word} />
+                        ) : (
+                          option.emoji || '📝'
+                        )}
+                      </OptionImage>
                       <OptionWord>{option.word}</OptionWord>
                     </>
                   ) : (
@@ -7,9 +7,14 @@ import useAdvancedActivity from '../../hooks/useAdvancedActivity'
 import useActivity from '../../hooks/useActivity'
 import useMobileDataCollection from '../../hooks/useMobileDataCollection'
 import { getSystemOrchestrator } from '../../utils/core/SystemOrchestrator.js'
+import { recordReplayEvent } from '../../utils/sessions/sessionReplay.js'
 import useTTS from '../../hooks/useTTS'
+import { useRemoteDifficulty } from '../../hooks/useLiveSession.js'
+import { useTranslation } from 'react-i18next'
 import ActivityTimer from '../common/ActivityTimer'
-import { EMOJIS, ENCOURAGEMENT_MESSAGES } from '../../utils/shared/constants'
+import { ENCOURAGEMENT_MESSAGES } from '../../utils/shared/constants'
+import { useUser } from '../../contexts/UserContext'
+import useContentPack from '../../hooks/useContentPack'
 import {
   announceToScreenReader,
   vibrateSuccess,
@@ -103,6 +108,13 @@ const Card = styled(motion.button)`
   overflow: hidden;
   min-height: 80px;
 
+  img {
+    width: 70%;
+    height: 70%;
+    object-fit: cover;
+    border-radius: var(--radius-small, 4px);
+  }
+
   &:disabled {
     cursor: not-allowed;
   }
@@ -160,8 +172,7 @@ const PlayAgainButton = styled(motion.button)`
   margin-top: var(--space-md);
 `
 
-// Emojis para o jogo da memória
-const emojis = ['🐶', '🐱', '🐼', '🦊', '🐸', '🦋', '🌸', '⭐']
+// As figuras das cartas vêm do pacote de conteúdo 'memory-game'
 
 // Definição das dificuldades disponíveis
 const difficulties = [
@@ -198,6 +209,9 @@ const memoryEncouragementMessages = [
 ]
 
 function MemoryGame({ onBack }) {
+  const { t } = useTranslation()
+  const { userId } = useUser()
+  const { cardSets } = useContentPack('memory-game', userId)
   const [cards, setCards] = useState([])
   const [flippedCards, setFlippedCards] = useState([])
   const [matchedCards, setMatchedCards] = useState([])
@@ -205,6 +219,7 @@ function MemoryGame({ onBack }) {
   const [isWin, setIsWin] = useState(false)
   const [gameStarted, setGameStarted] = useState(false)
   const [difficulty, setDifficulty] = useState('MEDIUM') // EASY, MEDIUM, HARD
+  useRemoteDifficulty((level) => setDifficulty(level.toUpperCase()))
   const [consecutiveCorrect, setConsecutiveCorrect] = useState(0)
   const [consecutiveWrong, setConsecutiveWrong] = useState(0)
   const [gameTime, setGameTime] = useState(0)
@@ -214,8 +229,26 @@ function MemoryGame({ onBack }) {
   const [orchestratorRef, setOrchestratorRef] = useState(null)
   // Hooks personalizados
   const { playSuccess, playError, playClick } = useSound()
-  const { speak, speakInstruction, speakFeedback, speakQuestion, autoSpeak, stop, isTTSEnabled } =
-    useTTS()
+  const {
+    speak,
+    speakInstruction,
+    preload,
+    speakFeedback,
+    speakQuestion,
+    autoSpeak,
+    stop,
+    isTTSEnabled,
+  } = useTTS()
+
+  // Frases fixas da atividade preparadas antes da primeira fala
+  useEffect(() => {
+    preload([
+      t('activities.memory.chooseDifficulty'),
+      t('activities.memory.instruction'),
+      `${t('activities.common.tip')}: ${t('activities.memory.instruction')}`,
+    ])
+  }, [preload, t])
+
   // Progress and Activity hooks
   const {
     progress,
@@ -468,19 +501,35 @@ function MemoryGame({ onBack }) {
       setConsecutiveCorrect(0)
       if (difficulty === 'EASY') {
         setDifficulty('MEDIUM')
-        announceToScreenReader('Dificuldade aumentou para médio!')
+        announceToScreenReader(
+          t('activities.common.difficultyUp', {
+            level: t('activities.common.difficulty.medium').toLowerCase(),
+          })
+        )
       } else if (difficulty === 'MEDIUM') {
         setDifficulty('HARD')
-        announceToScreenReader('Dificuldade aumentou para difícil!')
+        announceToScreenReader(
+          t('activities.common.difficultyUp', {
+            level: t('activities.common.difficulty.hard').toLowerCase(),
+          })
+        )
       }
     } else if (consecutiveWrong >= 3) {
       setConsecutiveWrong(0)
       if (difficulty === 'HARD') {
         setDifficulty('MEDIUM')
-        announceToScreenReader('Dificuldade reduzida para médio!')
+        announceToScreenReader(
+          t('activities.common.difficultyDown', {
+            level: t('activities.common.difficulty.medium').toLowerCase(),
+          })
+        )
       } else if (difficulty === 'MEDIUM') {
         setDifficulty('EASY')
-        announceToScreenReader('Dificuldade reduzida para fácil!')
+        announceToScreenReader(
+          t('activities.common.difficultyDown', {
+            level: t('activities.common.difficulty.easy').toLowerCase(),
+          })
+        )
       }
     }
   }
@@ -563,29 +612,39 @@ function MemoryGame({ onBack }) {
     // Definir número de pares baseado na dificuldade
     const numPairs = difficulty === 'EASY' ? 6 : difficulty === 'MEDIUM' ? 8 : 10
 
-    // Combinar todos os emojis disponíveis
-    const allEmojis = [...EMOJIS.ANIMALS, ...EMOJIS.FRUITS, ...EMOJIS.OBJECTS]
+    // Combinar as figuras de todos os conjuntos
+    const allFaces = Object.values(cardSets).flatMap((set) => set.cards)
 
-    // Selecionar emojis aleatorios
-    const shuffledEmojis = [...allEmojis].sort(() => Math.random() - 0.5).slice(0, numPairs)
+    // Selecionar figuras aleatorias
+    const shuffledFaces = [...allFaces].sort(() => Math.random() - 0.5).slice(0, numPairs)
 
-    // Criar cartas duplicadas (pares) e misturar
-    const cardPairs = shuffledEmojis
-      .flatMap((emoji, index) => [
-        { id: `card-${index}-a`, emoji, matched: false },
-        { id: `card-${index}-b`, emoji, matched: false },
-      ])
+    // Criar cartas duplicadas (pares) e misturar; `face` identifica o par e o nome anunciado
+    const cardPairs = shuffledFaces
+      .flatMap((face, index) => {
+        const card = { ...face, face: face.emoji || face.label || face.alt, matched: false }
+        return [
+          { ...card, id: `card-${index}-a`, pair: index },
+          { ...card, id: `card-${index}-b`, pair: index },
+        ]
+      })
       .sort(() => Math.random() - 0.5)
 
     setCards(cardPairs)
+    // Disposição das cartas para o replay reconstruir o tabuleiro
+    recordReplayEvent(
+      'board',
+      { cards: cardPairs.map((card) => card.face) },
+      { activityId: 'memory-game' }
+    )
+    const difficultyName = t(
+      `activities.common.difficulty.${difficulty.toLowerCase()}`
+    ).toLowerCase()
     announceToScreenReader(
-      `Novo jogo iniciado! Dificuldade: ${difficulty.toLowerCase()}. Encontre ${numPairs} pares.`
+      t('activities.memory.gameStarted', { difficulty: difficultyName, count: numPairs })
     ) // TTS: Anunciar início do jogo apenas se o TTS estiver ativado
     if (isTTSEnabled) {
-      const difficultyName =
-        difficulty === 'EASY' ? 'fácil' : difficulty === 'MEDIUM' ? 'médio' : 'difícil'
       autoSpeak(
-        `Jogo da memória iniciado! Dificuldade ${difficultyName}. Encontre ${numPairs} pares de cartas iguais.`,
+        t('activities.memory.gameStartedSpeech', { difficulty: difficultyName, count: numPairs }),
         1000
       )
     }
@@ -623,11 +682,11 @@ function MemoryGame({ onBack }) {
         console.warn('Erro ao salvar histórico de jogo:', error)
       }
       announceToScreenReader(
-        `Parabéns! Você completou o jogo! ${encouragement} Precisão: ${stats.accuracy}%`
+        t('activities.memory.completed', { encouragement, accuracy: stats.accuracy })
       ) // TTS: Anunciar vitória apenas se o TTS estiver ativado
       if (isTTSEnabled) {
         speakFeedback(
-          `Parabéns! Você completou o jogo da memória! ${encouragement} Sua precisão foi de ${stats.accuracy} por cento!`,
+          t('activities.memory.completedSpeech', { encouragement, accuracy: stats.accuracy }),
           true
         )
       }
@@ -642,25 +701,25 @@ function MemoryGame({ onBack }) {
         const [first, second] = flippedCards
         setMoves((prev) => prev + 1)
 
-        if (cards[first].emoji === cards[second].emoji) {
+        if (cards[first].pair === cards[second].pair) {
           // Par encontrado!
           playSuccess()
           vibrateSuccess()
 
           // Use unified success handler
           await recordSuccess({
-            cardPair: cards[first].emoji,
+            cardPair: cards[first].face,
             firstCardIndex: first,
             secondCardIndex: second,
             matchTime: Date.now() - startTime,
           })
 
           const encouragement = getEncouragementMessage()
-          announceToScreenReader(`Par encontrado! ${encouragement}`)
+          announceToScreenReader(t('activities.memory.pairFound', { encouragement }))
 
           // TTS: Anunciar par encontrado apenas se o TTS estiver ativado
           if (isTTSEnabled) {
-            speakFeedback(`Par encontrado! ${encouragement}`, true)
+            speakFeedback(t('activities.memory.pairFound', { encouragement }), true)
           }
 
           setMatchedCards((prev) => [...prev, first, second])
@@ -674,18 +733,18 @@ function MemoryGame({ onBack }) {
 
           // Use unified error handler
           await recordError({
-            firstCard: cards[first].emoji,
-            secondCard: cards[second].emoji,
+            firstCard: cards[first].face,
+            secondCard: cards[second].face,
             firstCardIndex: first,
             secondCardIndex: second,
             attemptTime: Date.now() - startTime,
           })
 
-          announceToScreenReader('Não é um par. Tente novamente!')
+          announceToScreenReader(t('activities.memory.notAPair'))
 
           // TTS: Anunciar erro apenas se o TTS estiver ativado
           if (isTTSEnabled) {
-            speakFeedback('Não é um par. Tente novamente!', false)
+            speakFeedback(t('activities.memory.notAPair'), false)
           }
 
           setTimeout(() => {
@@ -726,14 +785,14 @@ function MemoryGame({ onBack }) {
     // Anunciar para leitores de tela
     const card = cards[index]
     if (card) {
-      announceToScreenReader(`Carta revelada: ${card.emoji}`)
+      announceToScreenReader(t('activities.memory.cardRevealed', { emoji: card.face }))
       // Tracking de acessibilidade
       recordAdvancedInteraction({
         type: 'accessibility',
         subtype: 'screen_reader_announcement',
         context: {
           feature: 'screen_reader_announcement',
-          content: `Card revealed: ${card.emoji}`,
+          content: `Card revealed: ${card.face}`,
           timestamp: Date.now(),
         },
       })
@@ -747,33 +806,33 @@ function MemoryGame({ onBack }) {
     <GameContainer>
       <GameHeader>
         <BackButton onClick={onBack} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
-          ⬅️ Voltar
+          ⬅️ {t('activities.common.back')}
         </BackButton>
       </GameHeader>
       <ActivityTitleSection>
         <ActivityMainTitle>
           <span>🧠</span>
-          <span>Jogo da Memória</span>
+          <span>{t('activities.memory.title')}</span>
         </ActivityMainTitle>
-        <ActivitySubtitle>Exercite sua memória visual e concentração</ActivitySubtitle>
+        <ActivitySubtitle>{t('activities.memory.subtitle')}</ActivitySubtitle>
       </ActivityTitleSection>
       {gameStarted && !showDifficultySelector && (
         <GameStats>
           <StatItem>
             <StatValue>{moves}</StatValue>
-            <StatLabel>Jogadas</StatLabel>
+            <StatLabel>{t('activities.common.moves')}</StatLabel>
           </StatItem>
           <StatItem>
             <StatValue>{matchedCards.length / 2}</StatValue>
-            <StatLabel>Pares</StatLabel>
+            <StatLabel>{t('activities.common.pairs')}</StatLabel>
           </StatItem>
           <StatItem>
             <StatValue>{progress.stars}</StatValue>
-            <StatLabel>⭐ Estrelas</StatLabel>
+            <StatLabel>⭐ {t('activities.common.stars')}</StatLabel>
           </StatItem>
           <StatItem>
             <StatValue>{getStats().accuracy}%</StatValue>
-            <StatLabel>Precisão</StatLabel>
+            <StatLabel>{t('activities.common.accuracy')}</StatLabel>
           </StatItem>
         </GameStats>
       )}
@@ -781,18 +840,16 @@ function MemoryGame({ onBack }) {
         onClick={() => {
           if (isTTSEnabled) {
             if (showDifficultySelector) {
-              speakInstruction(
-                'Exercite sua memória encontrando os pares iguais! Escolha a dificuldade para começar.'
-              )
+              speakInstruction(t('activities.memory.chooseDifficulty'))
             } else {
-              speakInstruction('Clique nas cartas para encontrar os pares iguais!')
+              speakInstruction(t('activities.memory.instruction'))
             }
           }
         }}
       >
         {showDifficultySelector
-          ? `🧠 Exercite sua memória encontrando os pares iguais! Escolha a dificuldade para começar. ${!isTTSEnabled ? '(🔇 TTS desativado)' : ''}`
-          : `🧠 Clique nas cartas para encontrar os pares iguais! ${!isTTSEnabled ? '(🔇 TTS desativado)' : ''}`}
+          ? `🧠 ${t('activities.memory.chooseDifficulty')} ${!isTTSEnabled ? t('activities.common.ttsOff') : ''}`
+          : `🧠 ${t('activities.memory.instruction')} ${!isTTSEnabled ? t('activities.common.ttsOff') : ''}`}
       </InstructionText>
       {showDifficultySelector && (
         <>
@@ -800,20 +857,20 @@ function MemoryGame({ onBack }) {
             {[
               {
                 id: 'EASY',
-                name: '🟢 Fácil',
-                description: '2 pares (6 cartas)',
+                name: `🟢 ${t('activities.common.difficulty.easy')}`,
+                description: t('activities.memory.difficultyDescription', { pairs: 2, cards: 6 }),
                 icon: '😊',
               },
               {
                 id: 'MEDIUM',
-                name: '🟡 Médio',
-                description: '3 pares (8 cartas)',
+                name: `🟡 ${t('activities.common.difficulty.medium')}`,
+                description: t('activities.memory.difficultyDescription', { pairs: 3, cards: 8 }),
                 icon: '😐',
               },
               {
                 id: 'HARD',
-                name: '🔴 Difícil',
-                description: '4 pares (10 cartas)',
+                name: `🔴 ${t('activities.common.difficulty.hard')}`,
+                description: t('activities.memory.difficultyDescription', { pairs: 4, cards: 10 }),
                 icon: '🧠',
               },
             ].map((diff) => (
@@ -825,7 +882,12 @@ function MemoryGame({ onBack }) {
                   playClick()
                   // TTS: Anunciar dificuldade selecionada apenas se TTS estiver ativado
                   if (isTTSEnabled) {
-                    speak(`Dificuldade ${diff.name} selecionada. ${diff.description}`)
+                    speak(
+                      t('activities.common.difficultySelected', {
+                        name: diff.name,
+                        description: diff.description,
+                      })
+                    )
                   }
                 }}
                 whileHover={{ scale: 1.05 }}
@@ -844,7 +906,7 @@ function MemoryGame({ onBack }) {
               onClick={() => {
                 playClick()
                 if (isTTSEnabled) {
-                  speak('Começando jogo da memória!')
+                  speak(t('activities.memory.starting'))
                 }
                 initializeGame()
               }}
@@ -852,7 +914,7 @@ function MemoryGame({ onBack }) {
               whileTap={{ scale: 0.95 }}
               themeColor={THEME_COLOR}
             >
-              🧠 Começar Jogo
+              🧠 {t('activities.common.startGame')}
             </ActionButton>
           </ControlButtons>
         </>
@@ -877,15 +939,15 @@ function MemoryGame({ onBack }) {
                 animate={{ opacity: 1, scale: 1, y: 0 }}
                 exit={{ opacity: 0, scale: 0.8, y: -20 }}
               >
-                <WinTitle>🎉 Parabéns! Você conseguiu! 🎉</WinTitle>
-                <p>Você encontrou todos os pares em {moves} jogadas!</p>
-                <p>⭐ Estrelas ganhas: {progress.stars}/3</p>
-                <p>🎯 Precisão: {getStats().accuracy}%</p>
+                <WinTitle>🎉 {t('activities.common.winTitle')} 🎉</WinTitle>
+                <p>{t('activities.memory.allPairsFound', { count: moves })}</p>
+                <p>⭐ {t('activities.common.starsEarned', { stars: progress.stars })}</p>
+                <p>🎯 {t('activities.common.accuracyValue', { accuracy: getStats().accuracy })}</p>
                 <p style={{ marginTop: '16px', fontSize: '1.1em' }}>{getEncouragementMessage()}</p>
                 <PlayAgainButton
                   onClick={() => {
                     if (isTTSEnabled) {
-                      speak('Preparando novo jogo!')
+                      speak(t('activities.common.preparingNewGame'))
                     }
                     setShowDifficultySelector(true)
                     setIsWin(false)
@@ -893,7 +955,7 @@ function MemoryGame({ onBack }) {
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
                 >
-                  🔄 Jogar Novamente
+                  🔄 {t('activities.common.playAgain')}
                 </PlayAgainButton>
               </WinMessage>
             )}
@@ -919,7 +981,7 @@ function MemoryGame({ onBack }) {
                     animate={{ opacity: 1 }}
                     transition={{ delay: 0.15 }}
                   >
-                    {card.emoji}
+                    {card.image ? <img src={card.image} alt={card.alt} /> : card.emoji}
                   </motion.div>
                 ) : (
                   <CardBack>❓</CardBack>
@@ -933,16 +995,16 @@ function MemoryGame({ onBack }) {
         style={{ textAlign: 'center', color: 'var(--medium-gray)', cursor: 'pointer' }}
         onClick={() => {
           if (isTTSEnabled) {
-            speakInstruction('Dica: Clique nas cartas para encontrar os pares iguais!')
+            speakInstruction(`${t('activities.common.tip')}: ${t('activities.memory.instruction')}`)
           } else {
             // Mostrar tooltip ou feedback visual quando áudio está desativado
-            announceToScreenReader('Áudio de texto para voz está desativado nas configurações')
+            announceToScreenReader(t('activities.common.ttsDisabledAnnouncement'))
           }
         }}
       >
         <p>
-          💡 Dica: Clique nas cartas para encontrar os pares iguais!{' '}
-          {!isTTSEnabled && '(🔇 TTS desativado)'}
+          💡 {t('activities.common.tip')}: {t('activities.memory.instruction')}{' '}
+          {!isTTSEnabled && t('activities.common.ttsOff')}
         </p>
       </div>
     </GameContainer>
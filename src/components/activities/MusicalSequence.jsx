@@ -6,6 +6,8 @@ import useSound from '../../hooks/useSound'
 import useProgress from '../../hooks/useProgress'
 import useAdvancedActivity from '../../hooks/useAdvancedActivity'
 import useTTS from '../../hooks/useTTS'
+import { useTranslation } from 'react-i18next'
+import useContentPack from '../../hooks/useContentPack'
 import { useUser } from '../../contexts/UserContext'
 import ActivityTimer from '../common/ActivityTimer'
 import {
@@ -517,11 +519,12 @@ const StarDisplay = styled.div`
   }
 `
 
-const notes = [
-  { id: 'do', name: 'Dó', emoji: '🔴', frequency: 261.63, waveType: 'sine' },
-  { id: 're', name: 'Ré', emoji: '🟢', frequency: 293.66, waveType: 'sine' },
-  { id: 'mi', name: 'Mi', emoji: '🔵', frequency: 329.63, waveType: 'sine' },
-  { id: 'fa', name: 'Fá', emoji: '🟡', frequency: 349.23, waveType: 'sine' },
+// Estilo dos botões na ordem das notas do pacote de conteúdo
+const NOTE_BUTTONS = [
+  { Button: DoButton, glow: '233, 30, 99' },
+  { Button: ReButton, glow: '126, 211, 33' },
+  { Button: MiButton, glow: '74, 144, 226' },
+  { Button: FaButton, glow: '245, 166, 35' },
 ]
 
 const difficulties = [
@@ -530,31 +533,6 @@ const difficulties = [
   { id: 'HARD', name: 'Difícil', sequenceLength: 4, notes: ['do', 're', 'mi', 'fa'] },
 ]
 
-const encouragingMessages = [
-  'Muito bem! 🎵',
-  'Excelente! Continue assim! 🌟',
-  'Você tem um ótimo ouvido musical! 🎶',
-  'Perfeito! Você está indo muito bem! ✨',
-  'Fantástico! Sua memória está ótima! 🧠',
-]
-
-const validateNoteData = () => {
-  notes.forEach((note) => {
-    if (!note.id || !note.name || !note.frequency || !note.waveType) {
-      console.error(`Nota inválida: ${JSON.stringify(note)}`)
-    }
-  })
-  difficulties.forEach((diff) => {
-    diff.notes = diff.notes.filter((noteId) => notes.some((n) => n.id === noteId))
-    if (!diff.sequenceLength || diff.sequenceLength < 1) {
-      console.error(`Dificuldade inválida: ${diff.id}`)
-      diff.sequenceLength = 2
-    }
-  })
-}
-
-validateNoteData()
-
 const initialState = {
   gameSequence: [],
   playerSequence: [],
@@ -616,10 +594,27 @@ const reducer = (state, action) => {
 }
 
 function MusicalSequence({ onBack }) {
+  const { t } = useTranslation()
   const [state, dispatch] = useReducer(reducer, initialState)
   const { playSound, playSuccess, playError, playClick } = useSound()
-  const { recordPerformance } = useUser()
-  const { speak, speakInstruction, speakFeedback, autoSpeak, isTTSEnabled } = useTTS()
+  const { recordPerformance, userId } = useUser()
+  const { notes } = useContentPack('musical-sequence', userId)
+  const { speak, speakInstruction, preload, speakFeedback, autoSpeak, isTTSEnabled } = useTTS()
+
+  // Frases fixas da atividade preparadas antes da primeira fala
+  useEffect(() => {
+    preload([
+      `${t('activities.musicalSequence.instruction')} ${t('activities.musicalSequence.chooseDifficulty')}`,
+      t('activities.musicalSequence.yourTurnSpeech'),
+      t('activities.musicalSequence.listenCarefullySpeech'),
+      t('activities.musicalSequence.yourTurnHint'),
+      ...['notes', 'rhythm'].map((mode) =>
+        t('activities.musicalSequence.modeChanged', {
+          mode: t(`activities.musicalSequence.modes.${mode}`),
+        })
+      ),
+    ])
+  }, [preload, t])
   const {
     progress,
     incrementAttempts,
@@ -655,8 +650,13 @@ function MusicalSequence({ onBack }) {
     (length) => {
       const maxAttempts = 50
       let attempts = 0
-      const availableNotes =
-        difficulties.find((d) => d.id === state.difficulty)?.notes || notes.map((n) => n.id)
+      const difficultyNotes = difficulties.find((d) => d.id === state.difficulty)?.notes
+      const packNotes = notes.map((n) => n.id)
+      const matchingNotes = (difficultyNotes || packNotes).filter((id) => packNotes.includes(id))
+      // Pacotes com outros sons (ex.: vozes de animais) usam as primeiras notas do pacote
+      const availableNotes = matchingNotes.length
+        ? matchingNotes
+        : packNotes.slice(0, difficultyNotes?.length || packNotes.length)
 
       while (attempts < maxAttempts) {
         const sequence = []
@@ -681,7 +681,7 @@ function MusicalSequence({ onBack }) {
       const sequence = Array(length).fill(availableNotes[0])
       return { sequence, sequenceKey: sequence.join('-') }
     },
-    [state.difficulty, state.usedSequences]
+    [notes, state.difficulty, state.usedSequences]
   )
 
   const playNote = async (noteId) => {
@@ -708,11 +708,18 @@ function MusicalSequence({ onBack }) {
         return
       }
 
+      // Notas de pacotes podem trazer uma gravação no lugar do som sintetizado
+      if (note.audio) {
+        await new Audio(note.audio).play()
+        setTimeout(() => dispatch({ type: 'SET_PLAYING_NOTE', payload: null }), 600)
+        return
+      }
+
       const AudioContext = window.AudioContext || window.webkitAudioContext
       if (!AudioContext) {
         console.warn('Web Audio API não suportada')
         setTimeout(() => dispatch({ type: 'SET_PLAYING_NOTE', payload: null }), 500)
-        announceToScreenReader(`Nota ${note.name} selecionada`)
+        announceToScreenReader(t('activities.musicalSequence.noteSelected', { note: note.name }))
         return
       }
 
@@ -730,7 +737,7 @@ function MusicalSequence({ onBack }) {
       gainNode.connect(audioContext.destination)
 
       oscillator.frequency.setValueAtTime(note.frequency, audioContext.currentTime)
-      oscillator.type = 'sine'
+      oscillator.type = note.waveType || 'sine'
 
       filterNode.type = 'lowpass'
       filterNode.frequency.setValueAtTime(2000, audioContext.currentTime)
@@ -780,7 +787,7 @@ function MusicalSequence({ onBack }) {
       setTimeout(() => dispatch({ type: 'SET_PLAYING_NOTE', payload: null }), 300)
     }
 
-    announceToScreenReader(`Nota ${note.name} reproduzida`)
+    announceToScreenReader(t('activities.musicalSequence.notePlayed', { note: note.name }))
   }
 
   const playSequence = async () => {
@@ -835,9 +842,9 @@ function MusicalSequence({ onBack }) {
 
     dispatch({ type: 'SET_IS_PLAYING_SEQUENCE', payload: false })
     dispatch({ type: 'SET_IS_PLAYER_TURN', payload: true })
-    announceToScreenReader('Agora é sua vez! Repita a sequência que você ouviu.')
+    announceToScreenReader(t('activities.musicalSequence.yourTurnAnnouncement'))
     if (isTTSEnabled) {
-      speakInstruction('Agora é sua vez! Repita a sequência que você ouviu tocando as notas.')
+      speakInstruction(t('activities.musicalSequence.yourTurnSpeech'))
     }
   }
 
@@ -884,7 +891,7 @@ function MusicalSequence({ onBack }) {
       console.error('Erro ao gerar nova rodada:', error)
       dispatch({
         type: 'SET_FEEDBACK',
-        payload: { type: 'error', message: 'Erro ao carregar nova rodada. Tente novamente.' },
+        payload: { type: 'error', message: t('activities.common.roundError') },
       })
     }
   }, [
@@ -895,6 +902,8 @@ function MusicalSequence({ onBack }) {
     state.gameMode,
     generateUniqueSequence,
     recordAdvancedInteraction,
+    notes,
+    t,
   ])
 
   const startNewGame = useCallback(async () => {
@@ -927,12 +936,15 @@ function MusicalSequence({ onBack }) {
       dispatch({ type: 'SET_CONSECUTIVE_SUCCESSES', payload: 0 })
       dispatch({ type: 'SET_START_TIME', payload: Date.now() })
       generateNewRound()
+      const difficultyName = t(
+        `activities.common.difficulty.${state.difficulty.toLowerCase()}`
+      ).toLowerCase()
       announceToScreenReader(
-        `Novo jogo iniciado no nível ${state.difficulty}! Escute a sequência musical.`
+        t('activities.musicalSequence.gameStarted', { difficulty: difficultyName })
       )
       if (isTTSEnabled) {
         autoSpeak(
-          `Novo jogo de sequência musical iniciado! Dificuldade ${state.difficulty}. Escute a sequência musical e repita tocando as notas na ordem correta.`,
+          t('activities.musicalSequence.gameStartedSpeech', { difficulty: difficultyName }),
           1000
         )
       }
@@ -940,7 +952,7 @@ function MusicalSequence({ onBack }) {
       console.error('Erro ao iniciar jogo:', error)
       dispatch({
         type: 'SET_FEEDBACK',
-        payload: { type: 'error', message: 'Erro ao iniciar o jogo. Tente novamente.' },
+        payload: { type: 'error', message: t('activities.common.startError') },
       })
     }
   }, [
@@ -950,6 +962,7 @@ function MusicalSequence({ onBack }) {
     state.gameMode,
     startAdvancedSession,
     recordAdvancedInteraction,
+    t,
   ])
 
   const toggleGameMode = useCallback(() => {
@@ -959,9 +972,12 @@ function MusicalSequence({ onBack }) {
     if (state.gameStarted) {
       setTimeout(generateNewRound, 100)
     }
-    announceToScreenReader(`Modo alterado para: ${newMode === 'notes' ? 'Notas' : 'Ritmo'}`)
-    speakInstruction(`Modo alterado para ${newMode === 'notes' ? 'notas' : 'ritmo'}.`)
-  }, [state.gameMode, state.gameStarted, generateNewRound])
+    const modeMessage = t('activities.musicalSequence.modeChanged', {
+      mode: t(`activities.musicalSequence.modes.${newMode}`),
+    })
+    announceToScreenReader(modeMessage)
+    speakInstruction(modeMessage)
+  }, [state.gameMode, state.gameStarted, generateNewRound, t])
 
   const calculateScore = (level, sequenceLength) => {
     const basePoints = 10
@@ -1021,7 +1037,7 @@ function MusicalSequence({ onBack }) {
         dispatch({ type: 'SET_CONSECUTIVE_SUCCESSES', payload: 0 })
         dispatch({
           type: 'SET_FEEDBACK',
-          payload: { type: 'error', message: 'Ops! Tente novamente.' },
+          payload: { type: 'error', message: t('activities.musicalSequence.tryAgain') },
         })
 
         // 🔥 TRACKING: Erro musical específico
@@ -1049,7 +1065,7 @@ function MusicalSequence({ onBack }) {
         })
 
         if (isTTSEnabled) {
-          speakFeedback('Ops! Tente novamente. Escute a sequência mais uma vez.', false)
+          speakFeedback(t('activities.musicalSequence.tryAgainSpeech'), false)
         }
         const performanceData = {
           correct: 0,
@@ -1076,9 +1092,14 @@ function MusicalSequence({ onBack }) {
         playSuccess()
         const newConsecutiveSuccesses = state.consecutiveSuccesses + 1
         dispatch({ type: 'SET_CONSECUTIVE_SUCCESSES', payload: newConsecutiveSuccesses })
+        const encouragingMessages = t('activities.musicalSequence.encouragement', {
+          returnObjects: true,
+        })
         const successMessage =
           encouragingMessages[Math.floor(Math.random() * encouragingMessages.length)]
-        const feedbackMessage = `${successMessage} +${totalPoints} pontos!`
+        const feedbackMessage = `${successMessage} ${t('activities.common.pointsEarned', {
+          points: totalPoints,
+        })}`
         dispatch({ type: 'SET_FEEDBACK', payload: { type: 'success', message: feedbackMessage } })
 
         // 🔥 TRACKING: Sucesso musical completo
@@ -1129,9 +1150,9 @@ function MusicalSequence({ onBack }) {
           dispatch({ type: 'SET_PLAYER_SEQUENCE', payload: [] })
           dispatch({ type: 'SET_FEEDBACK', payload: null })
           generateNewRound()
-          announceToScreenReader(`Nível ${nextLevel}! Escute a nova sequência.`)
+          announceToScreenReader(t('activities.musicalSequence.nextLevel', { level: nextLevel }))
           if (isTTSEnabled) {
-            autoSpeak(`Nível ${nextLevel}! Escute a nova sequência musical.`, 500)
+            autoSpeak(t('activities.musicalSequence.nextLevelSpeech', { level: nextLevel }), 500)
           }
         }, 2000)
       }
@@ -1151,34 +1172,36 @@ function MusicalSequence({ onBack }) {
       generateNewRound,
       recordAdvancedInteraction,
       playNote,
+      notes,
       speakFeedback,
       isTTSEnabled,
       recordPerformance,
       calculateScore,
       playSequence,
+      t,
     ]
   )
 
   const restartGame = useCallback(() => {
     dispatch({ type: 'RESET_GAME' })
     generateNewRound()
-    announceToScreenReader('Jogo reiniciado! Escute a nova sequência.')
-  }, [generateNewRound])
+    announceToScreenReader(t('activities.musicalSequence.restarted'))
+  }, [generateNewRound, t])
 
   const handleFinishActivity = async () => {
     if (sessionId) {
       await finishActivity()
-      announceToScreenReader('Atividade finalizada! Dados de tempo salvos.')
+      announceToScreenReader(t('activities.common.activityFinished'))
     }
   }
 
   const handlePauseResume = () => {
     if (isActivityPaused) {
       resumeActivity()
-      announceToScreenReader('Atividade retomada.')
+      announceToScreenReader(t('activities.common.activityResumed'))
     } else {
       pauseActivity()
-      announceToScreenReader('Atividade pausada.')
+      announceToScreenReader(t('activities.common.activityPaused'))
     }
   }
 
@@ -1220,21 +1243,24 @@ function MusicalSequence({ onBack }) {
           onClick={onBack}
           whileHover={{ scale: 1.05 }}
           whileTap={{ scale: 0.95 }}
-          aria-label="Voltar ao menu principal"
+          aria-label={t('activities.common.backToMenu')}
         >
-          ⬅️ Voltar
+          ⬅️ {t('activities.common.back')}
         </BackButton>
       </GameHeader>
 
       <ActivityTitleSection>
         <ActivityMainTitle>
           <span>🎵</span>
-          <span>Sequência Musical</span>
+          <span>{t('activities.musicalSequence.title')}</span>
         </ActivityMainTitle>
         <ActivitySubtitle>
           {state.gameStarted
-            ? `Modo: ${state.gameMode === 'notes' ? 'Notas' : 'Ritmo'} - ${progress.score || 0} pontos`
-            : 'Desenvolva sua memória auditiva e senso musical'}
+            ? t('activities.musicalSequence.modeProgress', {
+                mode: t(`activities.musicalSequence.modeNames.${state.gameMode}`),
+                score: progress.score || 0,
+              })
+            : t('activities.musicalSequence.subtitle')}
         </ActivitySubtitle>
       </ActivityTitleSection>
 
@@ -1255,15 +1281,15 @@ function MusicalSequence({ onBack }) {
             <GameStats>
               <StatItem>
                 <StatValue>{state.currentLevel}</StatValue>
-                <StatLabel>Nível</StatLabel>
+                <StatLabel>{t('activities.common.level')}</StatLabel>
               </StatItem>
               <StatItem>
                 <StatValue>{progress.score || 0}</StatValue>
-                <StatLabel>Pontos</StatLabel>
+                <StatLabel>{t('activities.common.score')}</StatLabel>
               </StatItem>
               <StatItem>
                 <StatValue>{state.totalSequencesPlayed}</StatValue>
-                <StatLabel>Sequências</StatLabel>
+                <StatLabel>{t('activities.musicalSequence.sequences')}</StatLabel>
               </StatItem>
               <StatItem>
                 <StarDisplay>
@@ -1271,29 +1297,30 @@ function MusicalSequence({ onBack }) {
                     <span key={i}>{i < (progress.stars || 0) ? '⭐' : '☆'}</span>
                   ))}
                 </StarDisplay>
-                <StatLabel>Estrelas</StatLabel>
+                <StatLabel>{t('activities.common.stars')}</StatLabel>
               </StatItem>
             </GameStats>
             {state.isPlayingSequence && (
               <InstructionText
                 onClick={() =>
-                  isTTSEnabled && speakInstruction('Escute com atenção a sequência musical.')
+                  isTTSEnabled &&
+                  speakInstruction(t('activities.musicalSequence.listenCarefullySpeech'))
                 }
                 role="button"
-                aria-label="Instrução: Escute com atenção"
+                aria-label={t('activities.musicalSequence.listenCarefullyLabel')}
               >
-                🎧 Escute com atenção...
+                🎧 {t('activities.musicalSequence.listenCarefully')}
               </InstructionText>
             )}
             {state.isPlayerTurn && (
               <InstructionText
                 onClick={() =>
-                  isTTSEnabled && speakInstruction('Sua vez! Repita a sequência tocando as notas.')
+                  isTTSEnabled && speakInstruction(t('activities.musicalSequence.yourTurnHint'))
                 }
                 role="button"
-                aria-label="Instrução: Sua vez"
+                aria-label={t('activities.musicalSequence.yourTurnLabel')}
               >
-                🎹 Sua vez! Repita a sequência
+                🎹 {t('activities.musicalSequence.yourTurn')}
               </InstructionText>
             )}
             <SequenceDisplay>
@@ -1339,117 +1366,56 @@ function MusicalSequence({ onBack }) {
                 onClick={toggleGameMode}
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
-                aria-label={`Trocar para modo ${state.gameMode === 'notes' ? 'ritmo' : 'notas'}`}
+                aria-label={t('activities.musicalSequence.switchModeLabel', {
+                  mode: t(
+                    `activities.musicalSequence.modeNames.${state.gameMode === 'notes' ? 'rhythm' : 'notes'}`
+                  ).toLowerCase(),
+                })}
               >
-                🔄 Trocar Modo: {state.gameMode === 'notes' ? 'Notas→Ritmo' : 'Ritmo→Notas'}
+                🔄 {t('activities.musicalSequence.switchMode')}:{' '}
+                {t(`activities.musicalSequence.switchDirection.${state.gameMode}`)}
               </ActionButton>
               <ActionButton
                 onClick={playSequence}
                 disabled={state.isPlayingSequence || !state.gameStarted}
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
-                aria-label="Ouvir sequência novamente"
+                aria-label={t('activities.musicalSequence.replayLabel')}
               >
-                🔊 Ouvir Novamente
+                🔊 {t('activities.common.listenAgain')}
               </ActionButton>
             </ControlButtons>
 
             <ButtonsContainer>
-              <DoButton
-                onClick={() => handlePlayerNote('do')}
-                disabled={!state.isPlayerTurn}
-                whileHover={state.isPlayerTurn ? { scale: 1.05 } : {}}
-                whileTap={state.isPlayerTurn ? { scale: 0.95 } : {}}
-                animate={
-                  state.playingNote === 'do'
-                    ? {
-                        scale: [1, 1.1, 1],
-                        boxShadow: [
-                          '0 4px 8px rgba(233, 30, 99, 0.3)',
-                          '0 8px 16px rgba(233, 30, 99, 0.6)',
-                          '0 4px 8px rgba(233, 30, 99, 0.3)',
-                        ],
-                      }
-                    : {}
-                }
-                transition={{ duration: 0.3 }}
-                aria-label="Tocar nota Dó"
-              >
-                <span>🎵</span>
-                <span>Dó</span>
-              </DoButton>
-
-              <ReButton
-                onClick={() => handlePlayerNote('re')}
-                disabled={!state.isPlayerTurn}
-                whileHover={state.isPlayerTurn ? { scale: 1.05 } : {}}
-                whileTap={state.isPlayerTurn ? { scale: 0.95 } : {}}
-                animate={
-                  state.playingNote === 're'
-                    ? {
-                        scale: [1, 1.1, 1],
-                        boxShadow: [
-                          '0 4px 8px rgba(126, 211, 33, 0.3)',
-                          '0 8px 16px rgba(126, 211, 33, 0.6)',
-                          '0 4px 8px rgba(126, 211, 33, 0.3)',
-                        ],
-                      }
-                    : {}
-                }
-                transition={{ duration: 0.3 }}
-                aria-label="Tocar nota Ré"
-              >
-                <span>🎶</span>
-                <span>Ré</span>
-              </ReButton>
-
-              <MiButton
-                onClick={() => handlePlayerNote('mi')}
-                disabled={!state.isPlayerTurn}
-                whileHover={state.isPlayerTurn ? { scale: 1.05 } : {}}
-                whileTap={state.isPlayerTurn ? { scale: 0.95 } : {}}
-                animate={
-                  state.playingNote === 'mi'
-                    ? {
-                        scale: [1, 1.1, 1],
-                        boxShadow: [
-                          '0 4px 8px rgba(74, 144, 226, 0.3)',
-                          '0 8px 16px rgba(74, 144, 226, 0.6)',
-                          '0 4px 8px rgba(74, 144, 226, 0.3)',
-                        ],
-                      }
-                    : {}
-                }
-                transition={{ duration: 0.3 }}
-                aria-label="Tocar nota Mi"
-              >
-                <span>🎼</span>
-                <span>Mi</span>
-              </MiButton>
-
-              <FaButton
-                onClick={() => handlePlayerNote('fa')}
-                disabled={!state.isPlayerTurn}
-                whileHover={state.isPlayerTurn ? { scale: 1.05 } : {}}
-                whileTap={state.isPlayerTurn ? { scale: 0.95 } : {}}
-                animate={
-                  state.playingNote === 'fa'
-                    ? {
-                        scale: [1, 1.1, 1],
-                        boxShadow: [
-                          '0 4px 8px rgba(245, 166, 35, 0.3)',
-                          '0 8px 16px rgba(245, 166, 35, 0.6)',
-                          '0 4px 8px rgba(245, 166, 35, 0.3)',
-                        ],
-                      }
-                    : {}
-                }
-                transition={{ duration: 0.3 }}
-                aria-label="Tocar nota Fá"
-              >
-                <span>🟡</span>
-                <span>Fá</span>
-              </FaButton>
+              {notes.map((note, index) => {
+                const { Button, glow } = NOTE_BUTTONS[index % NOTE_BUTTONS.length]
+                return (
+                  <Button
+                    key={note.id}
+                    onClick={() => handlePlayerNote(note.id)}
+                    disabled={!state.isPlayerTurn}
+                    whileHover={state.isPlayerTurn ? { scale: 1.05 } : {}}
+                    whileTap={state.isPlayerTurn ? { scale: 0.95 } : {}}
+                    animate={
+                      state.playingNote === note.id
+                        ? {
+                            scale: [1, 1.1, 1],
+                            boxShadow: [
+                              `0 4px 8px rgba(${glow}, 0.3)`,
+                              `0 8px 16px rgba(${glow}, 0.6)`,
+                              `0 4px 8px rgba(${glow}, 0.3)`,
+                            ],
+                          }
+                        : {}
+                    }
+                    transition={{ duration: 0.3 }}
+                    aria-label={t('activities.musicalSequence.playNote', { note: note.name })}
+                  >
+                    <span>{note.emoji || '🎵'}</span>
+                    <span>{note.name}</span>
+                  </Button>
+                )
+              })}
             </ButtonsContainer>
 
             <ActionButtonsContainer>
@@ -1459,9 +1425,9 @@ function MusicalSequence({ onBack }) {
                 disabled={state.isPlayingSequence}
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
-                aria-label="Reiniciar jogo"
+                aria-label={t('activities.musicalSequence.restart')}
               >
-                🎮 Reiniciar Jogo
+                🎮 {t('activities.musicalSequence.restart')}
               </ActionButton>
             </ActionButtonsContainer>
           </GameplayArea>
@@ -1472,22 +1438,37 @@ function MusicalSequence({ onBack }) {
             onClick={() =>
               isTTSEnabled &&
               speakInstruction(
-                'Escute a sequência musical e repita tocando as notas na ordem correta! Escolha a dificuldade para começar.'
+                `${t('activities.musicalSequence.instruction')} ${t('activities.musicalSequence.chooseDifficulty')}`
               )
             }
             role="button"
-            aria-label="Instrução: Escolha a dificuldade"
+            aria-label={t('activities.musicalSequence.chooseDifficultyLabel')}
           >
-            🎵 Escute a sequência musical e repita tocando as notas na ordem correta!
+            🎵 {t('activities.musicalSequence.instruction')}
             <br />
-            Escolha a dificuldade para começar.
+            {t('activities.musicalSequence.chooseDifficulty')}
           </InstructionText>
 
           <DifficultySelector>
             {[
-              { id: 'EASY', name: '🟢 Fácil', description: 'Sequências de 2 notas', icon: '😊' },
-              { id: 'MEDIUM', name: '🟡 Médio', description: 'Sequências de 3 notas', icon: '🤔' },
-              { id: 'HARD', name: '🔴 Difícil', description: 'Sequências de 4 notas', icon: '🧠' },
+              {
+                id: 'EASY',
+                name: `🟢 ${t('activities.common.difficulty.easy')}`,
+                description: t('activities.musicalSequence.difficultyDescription', { count: 2 }),
+                icon: '😊',
+              },
+              {
+                id: 'MEDIUM',
+                name: `🟡 ${t('activities.common.difficulty.medium')}`,
+                description: t('activities.musicalSequence.difficultyDescription', { count: 3 }),
+                icon: '🤔',
+              },
+              {
+                id: 'HARD',
+                name: `🔴 ${t('activities.common.difficulty.hard')}`,
+                description: t('activities.musicalSequence.difficultyDescription', { count: 4 }),
+                icon: '🧠',
+              },
             ].map((diff) => (
               <DifficultyButton
                 key={diff.id}
@@ -1495,12 +1476,17 @@ function MusicalSequence({ onBack }) {
                 onClick={() => {
                   dispatch({ type: 'SET_DIFFICULTY', payload: diff.id })
                   playClick()
-                  speak(`Dificuldade ${diff.name} selecionada. ${diff.description}`)
+                  speak(
+                    t('activities.common.difficultySelected', {
+                      name: diff.name,
+                      description: diff.description,
+                    })
+                  )
                 }}
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
                 themeColor={THEME_COLOR}
-                aria-label={`Selecionar dificuldade ${diff.name}`}
+                aria-label={t('activities.common.selectDifficulty', { name: diff.name })}
               >
                 <div style={{ fontSize: '2rem', marginBottom: '8px' }}>{diff.icon}</div>
                 <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>{diff.name}</div>
@@ -1515,9 +1501,9 @@ function MusicalSequence({ onBack }) {
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
               themeColor={THEME_COLOR}
-              aria-label="Iniciar jogo musical"
+              aria-label={t('activities.musicalSequence.startLabel')}
             >
-              🎵 Começar Jogo Musical
+              🎵 {t('activities.musicalSequence.start')}
             </ActionButton>
           </ControlButtons>
         </MainLayout>
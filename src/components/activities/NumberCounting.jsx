@@ -5,7 +5,10 @@ import useSound from '../../hooks/useSound'
 import useProgress from '../../hooks/useProgress'
 import { useUser } from '../../contexts/UserContext'
 import useTTS from '../../hooks/useTTS'
+import { useRemoteDifficulty } from '../../hooks/useLiveSession.js'
+import { useTranslation } from 'react-i18next'
 import useAdvancedActivity from '../../hooks/useAdvancedActivity'
+import useContentPack from '../../hooks/useContentPack'
 import ActivityTimer from '../common/ActivityTimer'
 import {
   announceToScreenReader,
@@ -127,6 +130,13 @@ const CountableObject = styled(motion.div)`
     background: var(--success-light);
   }
 
+  img {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+    border-radius: var(--radius-medium);
+  }
+
   @media (max-width: 768px) {
     width: 50px;
     height: 50px;
@@ -261,36 +271,24 @@ const CountingHelper = styled.div`
   margin-top: var(--space-sm);
 `
 
-// Objetos para contar com diferentes categorias
-const countableObjects = {
-  animals: ['🐶', '🐱', '🐭', '🐹', '🐰', '🦊', '🐻', '🐼', '🐨', '🐯'],
-  fruits: ['🍎', '🍌', '🍊', '🍇', '🍓', '🥝', '🍑', '🥭', '🍍', '🥥'],
-  toys: ['⚽', '🏀', '🎾', '🧸', '🪀', '🎲', '🧩', '🎸', '🎯', '🎮'],
-  vehicles: ['🚗', '🚕', '🚙', '🚌', '🚎', '🏎️', '🚓', '🚑', '🚒', '🚐'],
-  flowers: ['🌸', '🌺', '🌻', '🌷', '🌹', '🏵️', '💐', '🌼', '🌿', '🍀'],
-  food: ['🍰', '🧁', '🍪', '🍩', '🍭', '🍬', '🍫', '🎂', '🍯', '🍔'],
-}
-
 const difficulties = [
   { id: 'easy', name: 'Fácil (1-5)', min: 1, max: 5, options: 3 },
   { id: 'medium', name: 'Médio (1-10)', min: 1, max: 10, options: 4 },
   { id: 'hard', name: 'Difícil (1-15)', min: 1, max: 15, options: 5 },
 ]
 
-const encouragingMessages = [
-  'Muito bem! Você sabe contar! 🔢',
-  'Excelente! Seus números estão perfeitos! 🌟',
-  'Fantástico! Continue contando! ✨',
-  'Incrível! Você é ótimo com números! 💪',
-  'Parabéns! Matemática é divertida! 🎉',
-]
-
 function NumberCounting({ onBack }) {
+  const { t } = useTranslation()
+  const randomEncouragement = () => {
+    const messages = t('activities.numberCounting.encouragement', { returnObjects: true })
+    return messages[Math.floor(Math.random() * messages.length)]
+  }
   const [objects, setObjects] = useState([])
   const [correctCount, setCorrectCount] = useState(0)
   const [numberOptions, setNumberOptions] = useState([])
   const [gameStarted, setGameStarted] = useState(false)
   const [difficulty, setDifficulty] = useState('easy')
+  useRemoteDifficulty(setDifficulty)
   const [feedback, setFeedback] = useState(null)
   const [selectedAnswer, setSelectedAnswer] = useState(null)
   const [countedObjects, setCountedObjects] = useState([])
@@ -302,10 +300,32 @@ function NumberCounting({ onBack }) {
   const [adaptiveParams, setAdaptiveParams] = useState(null)
   const { playSound, playClick, playSuccess, playError } = useSound()
 
-  const { speak, speakInstruction, speakFeedback, speakQuestion, speakNumber, autoSpeak, stop } =
-    useTTS()
+  const {
+    speak,
+    speakInstruction,
+    preload,
+    speakFeedback,
+    speakQuestion,
+    speakNumber,
+    autoSpeak,
+    stop,
+  } = useTTS()
+
+  // Frases fixas da atividade preparadas antes da primeira fala
+  useEffect(() => {
+    preload([
+      t('activities.numberCounting.chooseDifficulty'),
+      t('activities.numberCounting.countResetSpeech'),
+      ...['count', 'select'].flatMap((mode) => [
+        t(`activities.numberCounting.instruction.${mode}`),
+        t(`activities.numberCounting.modeSpeech.${mode}`),
+      ]),
+    ])
+  }, [preload, t])
 
   const { userId } = useUser()
+  // Categorias de objetos para contar vêm dos pacotes de conteúdo da criança
+  const { categories: countableObjects } = useContentPack('number-counting', userId)
 
   // 🧠 Sistema Multissensorial - Configuração avançada
   const {
@@ -427,7 +447,7 @@ function NumberCounting({ onBack }) {
   // Reproduzir número falado - usando TTS hook
   const speakNumberCustom = (number) => {
     speakNumber(number)
-    announceToScreenReader(`Número ${number}`)
+    announceToScreenReader(t('activities.numberCounting.number', { number }))
   }
 
   // Calcular pontuação
@@ -473,13 +493,10 @@ function NumberCounting({ onBack }) {
       generateNewRound()
     }, 100)
 
-    announceToScreenReader('Jogo iniciado! Conte os objetos na tela.')
+    announceToScreenReader(t('activities.numberCounting.gameStarted'))
 
     // TTS: Anunciar início do jogo
-    autoSpeak(
-      'Jogo de contagem iniciado! Conte os objetos na tela e escolha o número correto.',
-      1000
-    )
+    autoSpeak(t('activities.numberCounting.gameStartedSpeech'), 1000)
   }
   // Alternar entre os modos de jogo
   const toggleGameMode = () => {
@@ -502,18 +519,10 @@ function NumberCounting({ onBack }) {
     setGameMode(newMode)
     setCountedObjects([])
     setObjects(objects.map((obj) => ({ ...obj, counted: false })))
-    announceToScreenReader(
-      newMode === 'count'
-        ? 'Modo contagem: clique nos objetos para contá-los.'
-        : 'Modo seleção: escolha o número correto de objetos.'
-    )
+    announceToScreenReader(t(`activities.numberCounting.modeAnnouncement.${newMode}`))
 
     // TTS: Anunciar mudança de modo
-    speakInstruction(
-      newMode === 'count'
-        ? 'Modo contagem ativado. Clique nos objetos para contá-los um por um.'
-        : 'Modo seleção ativado. Conte os objetos e escolha o número correto.'
-    )
+    speakInstruction(t(`activities.numberCounting.modeSpeech.${newMode}`))
   }
 
   // Reiniciar contagem
@@ -521,10 +530,10 @@ function NumberCounting({ onBack }) {
     setCountedObjects([])
     setMoveCount(0)
     setObjects(objects.map((obj) => ({ ...obj, counted: false })))
-    announceToScreenReader('Contagem reiniciada!')
+    announceToScreenReader(t('activities.numberCounting.countReset'))
 
     // TTS: Anunciar reinício da contagem
-    speakInstruction('Contagem reiniciada! Comece a contar novamente.')
+    speakInstruction(t('activities.numberCounting.countResetSpeech'))
   } // Gerar nova rodada
   const generateNewRound = () => {
     // Verificar se a dificuldade é válida e fazer fallback para 'easy' se necessário
@@ -582,14 +591,14 @@ function NumberCounting({ onBack }) {
     })
 
     // Gerar objetos
-    const categoryObjects = countableObjects[randomCategory]
+    const categoryObjects = countableObjects[randomCategory].items
     const selectedObjects = []
 
     for (let i = 0; i < count; i++) {
       const randomObject = categoryObjects[Math.floor(Math.random() * categoryObjects.length)]
       selectedObjects.push({
+        ...randomObject,
         id: i,
-        emoji: randomObject,
         counted: false,
       })
     }
@@ -725,15 +734,20 @@ function NumberCounting({ onBack }) {
           }
         }
 
-        const message = encouragingMessages[Math.floor(Math.random() * encouragingMessages.length)]
+        const message = randomEncouragement()
         setFeedback({
           type: 'success',
-          message: `${message} Você contou ${correctCount} objetos! +${score} pontos!`,
+          message: `${message} ${t('activities.numberCounting.countedSuccess', {
+            count: correctCount,
+          })} ${t('activities.common.pointsEarned', { points: score })}`,
         })
 
         // TTS: Anunciar sucesso
         speakFeedback(
-          `${message} Você contou ${correctCount} objetos corretamente! Ganhou ${score} pontos!`,
+          `${message} ${t('activities.numberCounting.countedSuccessSpeech', {
+            count: correctCount,
+            points: score,
+          })}`,
           true
         )
 
@@ -810,14 +824,22 @@ function NumberCounting({ onBack }) {
         }
       }
 
-      const message = encouragingMessages[Math.floor(Math.random() * encouragingMessages.length)]
+      const message = randomEncouragement()
       setFeedback({
         type: 'success',
-        message: `${message} Há ${correctCount} objetos! +${score} pontos!`,
+        message: `${message} ${t('activities.numberCounting.selectedSuccess', {
+          count: correctCount,
+        })} ${t('activities.common.pointsEarned', { points: score })}`,
       })
 
       // TTS: Anunciar sucesso na seleção
-      speakFeedback(`${message} Correto! Há ${correctCount} objetos! Ganhou ${score} pontos!`, true)
+      speakFeedback(
+        `${message} ${t('activities.numberCounting.selectedSuccessSpeech', {
+          count: correctCount,
+          points: score,
+        })}`,
+        true
+      )
 
       // Salvar progresso geral
       saveProgress()
@@ -848,11 +870,11 @@ function NumberCounting({ onBack }) {
 
       setFeedback({
         type: 'error',
-        message: 'Conte novamente! Observe bem todos os objetos. 🔍',
+        message: `${t('activities.numberCounting.countAgain')} 🔍`,
       })
 
       // TTS: Anunciar erro
-      speakFeedback('Conte novamente! Observe bem todos os objetos.', false)
+      speakFeedback(t('activities.numberCounting.countAgain'), false)
 
       // Resetar após delay
       setTimeout(() => {
@@ -865,72 +887,77 @@ function NumberCounting({ onBack }) {
     <GameContainer>
       <GameHeader>
         <BackButton onClick={onBack} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
-          ⬅️ Voltar
+          ⬅️ {t('activities.common.back')}
         </BackButton>
       </GameHeader>
       <ActivityTitleSection>
         <ActivityMainTitle>
           <span>🔢</span>
-          <span>Contando Números</span>
+          <span>{t('activities.numberCounting.title')}</span>
         </ActivityMainTitle>
-        <ActivitySubtitle>Aprenda a contar objetos de forma divertida</ActivitySubtitle>
+        <ActivitySubtitle>{t('activities.numberCounting.subtitle')}</ActivitySubtitle>
       </ActivityTitleSection>
       {gameStarted && (
         <GameStats>
           <StatItem>
             <StatValue>{progress.score}</StatValue>
-            <StatLabel>Pontos</StatLabel>
+            <StatLabel>{t('activities.common.score')}</StatLabel>
           </StatItem>
           <StatItem>
             <StatValue>{progress.level}</StatValue>
-            <StatLabel>Nível</StatLabel>
+            <StatLabel>{t('activities.common.level')}</StatLabel>
           </StatItem>
           <StatItem>
             <StatValue>{progress.stars}</StatValue>
-            <StatLabel>⭐ Estrelas</StatLabel>
+            <StatLabel>⭐ {t('activities.common.stars')}</StatLabel>
           </StatItem>
           <StatItem>
             <StatValue>{getStats().accuracy}%</StatValue>
-            <StatLabel>Precisão</StatLabel>
+            <StatLabel>{t('activities.common.accuracy')}</StatLabel>
           </StatItem>
         </GameStats>
       )}
       <InstructionText
         onClick={() => {
           if (!gameStarted) {
-            speakInstruction('Vamos aprender a contar! Escolha a dificuldade para começar.')
-          } else if (gameMode === 'count') {
-            speakInstruction('Clique nos objetos para contá-los um por um!')
+            speakInstruction(t('activities.numberCounting.chooseDifficulty'))
           } else {
-            speakInstruction('Quantos objetos você vê? Clique no número correto!')
+            speakInstruction(t(`activities.numberCounting.instruction.${gameMode}`))
           }
         }}
       >
         {!gameStarted
-          ? '🔢 Vamos aprender a contar! Escolha a dificuldade para começar.'
-          : gameMode === 'count'
-            ? 'Clique nos objetos para contá-los um por um!'
-            : 'Quantos objetos você vê? Clique no número correto!'}
+          ? `🔢 ${t('activities.numberCounting.chooseDifficulty')}`
+          : t(`activities.numberCounting.instruction.${gameMode}`)}
       </InstructionText>
       {!gameStarted && (
         <DifficultySelector>
           {[
             {
               id: 'easy',
-              name: '🟢 Fácil',
-              description: '2 objetos (1-5)',
+              name: `🟢 ${t('activities.common.difficulty.easy')}`,
+              description: t('activities.numberCounting.difficultyDescription', {
+                count: 2,
+                max: 5,
+              }),
               icon: '😊',
             },
             {
               id: 'medium',
-              name: '🟡 Médio',
-              description: '3 objetos (1-10)',
+              name: `🟡 ${t('activities.common.difficulty.medium')}`,
+              description: t('activities.numberCounting.difficultyDescription', {
+                count: 3,
+                max: 10,
+              }),
               icon: '😐',
             },
             {
               id: 'hard',
-              name: '🔴 Difícil',
-              description: '4 objetos (1-15)',
+              name: `🔴 ${t('activities.common.difficulty.hard')}`,
+              description: t('activities.numberCounting.difficultyDescription', {
+                count: 4,
+                max: 15,
+              }),
               icon: '🧠',
             },
           ].map((diff) => (
@@ -941,7 +968,12 @@ function NumberCounting({ onBack }) {
                 setDifficulty(diff.id)
                 playClick()
                 // TTS: Anunciar dificuldade selecionada
-                speak(`Dificuldade ${diff.name} selecionada. ${diff.description}`)
+                speak(
+                  t('activities.common.difficultySelected', {
+                    name: diff.name,
+                    description: diff.description,
+                  })
+                )
               }}
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
@@ -956,9 +988,11 @@ function NumberCounting({ onBack }) {
       )}{' '}
       {gameStarted && (
         <ProgressDisplay>
-          <span>Pontos: {progress.score}</span>
+          <span>
+            {t('activities.common.score')}: {progress.score}
+          </span>
           <span>•</span>
-          <span>Precisão: {progress.accuracy}%</span>
+          <span>{t('activities.common.accuracyValue', { accuracy: progress.accuracy })}</span>
           <span>•</span>
           <StarDisplay>
             {Array.from({ length: 3 }, (_, i) => (
@@ -979,9 +1013,7 @@ function NumberCounting({ onBack }) {
       />
       {objects.length > 0 && (
         <CountingArea>
-          <QuestionDisplay>
-            {gameMode === 'count' ? `Conte os objetos clicando neles:` : `Quantos objetos há aqui?`}
-          </QuestionDisplay>
+          <QuestionDisplay>{t(`activities.numberCounting.question.${gameMode}`)}</QuestionDisplay>
 
           <ObjectsContainer>
             {objects.map((object) => (
@@ -995,14 +1027,14 @@ function NumberCounting({ onBack }) {
                 animate={{ opacity: 1, scale: 1 }}
                 transition={{ duration: 0.3, delay: object.id * 0.1 }}
               >
-                {object.emoji}
+                {object.image ? <img src={object.image} alt={object.alt} /> : object.emoji}
               </CountableObject>
             ))}
           </ObjectsContainer>
 
           {gameMode === 'count' && countedObjects.length > 0 && (
             <CountingHelper>
-              Você contou: {countedObjects.length} objeto{countedObjects.length !== 1 ? 's' : ''}
+              {t('activities.numberCounting.countedSoFar', { count: countedObjects.length })}
             </CountingHelper>
           )}
         </CountingArea>
@@ -1032,14 +1064,14 @@ function NumberCounting({ onBack }) {
           <ActionButton
             onClick={() => {
               playClick()
-              speak('Começando jogo de contagem!')
+              speak(t('activities.numberCounting.starting'))
               startGame()
             }}
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
             themeColor={THEME_COLOR}
           >
-            🔢 Começar a Contar
+            🔢 {t('activities.numberCounting.start')}
           </ActionButton>
         ) : (
           <>
@@ -1049,7 +1081,8 @@ function NumberCounting({ onBack }) {
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
             >
-              🔄 Modo: {gameMode === 'count' ? 'Contar→Escolher' : 'Escolher→Contar'}
+              🔄 {t('activities.numberCounting.mode')}:{' '}
+              {t(`activities.numberCounting.switchDirection.${gameMode}`)}
             </ActionButton>
 
             {gameMode === 'count' && (
@@ -1059,7 +1092,7 @@ function NumberCounting({ onBack }) {
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
               >
-                🔄 Recomeçar Contagem
+                🔄 {t('activities.numberCounting.restartCount')}
               </ActionButton>
             )}
             <ActionButton
@@ -1083,7 +1116,7 @@ function NumberCounting({ onBack }) {
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
             >
-              🔊 Ouvir Resposta
+              🔊 {t('activities.numberCounting.listenAnswer')}
             </ActionButton>
           </>
         )}
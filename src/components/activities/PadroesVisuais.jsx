@@ -4,6 +4,7 @@ import { motion, AnimatePresence } from 'framer-motion'
 import useSound from '../../hooks/useSound'
 import useProgress from '../../hooks/useProgress'
 import useTTS from '../../hooks/useTTS'
+import { useTranslation } from 'react-i18next'
 import { useUser } from '../../contexts/UserContext'
 import ActivityTimer from '../common/ActivityTimer'
 import {
@@ -267,11 +268,12 @@ const StarDisplay = styled.div`
   font-size: var(--font-size-xl);
 `
 
+// Nomes das formas em activities.visualPatterns.shapes
 const shapes = [
-  { id: 'star', name: 'Estrela', emoji: '⭐', sound: 'star.mp3' },
-  { id: 'circle', name: 'Círculo', emoji: '🟢', sound: 'circle.mp3' },
-  { id: 'triangle', name: 'Triângulo', emoji: '🔺', sound: 'triangle.mp3' },
-  { id: 'square', name: 'Quadrado', emoji: '🟥', sound: 'square.mp3' },
+  { id: 'star', emoji: '⭐', sound: 'star.mp3' },
+  { id: 'circle', emoji: '🟢', sound: 'circle.mp3' },
+  { id: 'triangle', emoji: '🔺', sound: 'triangle.mp3' },
+  { id: 'square', emoji: '🟥', sound: 'square.mp3' },
 ]
 
 const encouragingMessages = [
@@ -283,6 +285,8 @@ const encouragingMessages = [
 ]
 
 function VisualPatterns({ onBack }) {
+  const { t } = useTranslation()
+  const shapeName = (shapeId) => t(`activities.visualPatterns.shapes.${shapeId}`)
   const [gameSequence, setGameSequence] = useState([])
   const [playerSequence, setPlayerSequence] = useState([])
   const [isPlayingSequence, setIsPlayingSequence] = useState(false)
@@ -313,7 +317,17 @@ function VisualPatterns({ onBack }) {
     isActivityActive,
     isActivityPaused,
   } = useProgress('visual-patterns')
-  const { speak, speakInstruction, speakFeedback, autoSpeak, isTTSEnabled } = useTTS()
+  const { speak, speakInstruction, preload, speakFeedback, autoSpeak, isTTSEnabled } = useTTS()
+
+  // Frases fixas da atividade preparadas antes da primeira fala
+  useEffect(() => {
+    preload([
+      `${t('activities.visualPatterns.instruction')} ${t('activities.visualPatterns.chooseDifficulty')}`,
+      t('activities.visualPatterns.watchCarefullySpeech'),
+      t('activities.visualPatterns.yourTurnSpeech'),
+      t('activities.visualPatterns.yourTurnHint'),
+    ])
+  }, [preload, t])
 
   const generateSequence = (length = currentLevel + 1) => {
     const sequence = []
@@ -354,9 +368,11 @@ function VisualPatterns({ onBack }) {
 
       await playSound(shape.sound)
       setTimeout(() => setPlayingShape(null), 600)
-      announceToScreenReader(`Forma ${shape.name} exibida`)
+      announceToScreenReader(
+        t('activities.visualPatterns.shapeShown', { shape: shapeName(shape.id) })
+      )
     } catch (error) {
-      console.error('Erro ao reproduzir som para', shape.name, ':', error)
+      console.error('Erro ao reproduzir som para', shape.id, ':', error)
       setTimeout(() => setPlayingShape(null), 300)
     }
   }
@@ -371,9 +387,9 @@ function VisualPatterns({ onBack }) {
     }
     setIsPlayingSequence(false)
     setIsPlayerTurn(true)
-    announceToScreenReader('Agora é sua vez! Repita a sequência que você viu.')
+    announceToScreenReader(t('activities.visualPatterns.yourTurnAnnouncement'))
     if (isTTSEnabled) {
-      speakInstruction('Agora é sua vez! Repita a sequência tocando nas formas na ordem correta.')
+      speakInstruction(t('activities.visualPatterns.yourTurnSpeech'))
     }
   }
 
@@ -391,12 +407,13 @@ function VisualPatterns({ onBack }) {
     const newSequence = generateSequence(getDifficultySequenceLength(selectedDifficulty))
     setGameSequence(newSequence)
 
+    const difficultyName = getDifficultyName(selectedDifficulty).toLowerCase()
     announceToScreenReader(
-      `Novo jogo iniciado no nível ${getDifficultyName(selectedDifficulty)}! Observe a sequência de formas.`
+      t('activities.visualPatterns.gameStarted', { difficulty: difficultyName })
     )
     if (isTTSEnabled) {
       autoSpeak(
-        `Novo jogo de padrões visuais iniciado! Dificuldade ${getDifficultyName(selectedDifficulty)}. Observe a sequência de formas e repita tocando nas formas na ordem correta.`,
+        t('activities.visualPatterns.gameStartedSpeech', { difficulty: difficultyName }),
         1000
       )
     }
@@ -412,23 +429,23 @@ function VisualPatterns({ onBack }) {
     const newSequence = generateSequence(2)
     setGameSequence(newSequence)
 
-    announceToScreenReader('Jogo reiniciado! Observe a nova sequência.')
+    announceToScreenReader(t('activities.visualPatterns.restarted'))
   }
 
   const handleFinishActivity = async () => {
     if (sessionId) {
       await finishActivity()
-      announceToScreenReader('Atividade finalizada! Dados de tempo salvos.')
+      announceToScreenReader(t('activities.common.activityFinished'))
     }
   }
 
   const handlePauseResume = () => {
     if (isActivityPaused) {
       resumeActivity()
-      announceToScreenReader('Atividade retomada.')
+      announceToScreenReader(t('activities.common.activityResumed'))
     } else {
       pauseActivity()
-      announceToScreenReader('Atividade pausada.')
+      announceToScreenReader(t('activities.common.activityPaused'))
     }
   }
 
@@ -497,14 +514,12 @@ function VisualPatterns({ onBack }) {
 
   const getDifficultyName = (difficulty) => {
     switch (difficulty) {
-      case 'EASY':
-        return 'Fácil'
       case 'MEDIUM':
-        return 'Médio'
+        return t('activities.common.difficulty.medium')
       case 'HARD':
-        return 'Difícil'
+        return t('activities.common.difficulty.hard')
       default:
-        return 'Fácil'
+        return t('activities.common.difficulty.easy')
     }
   }
 
@@ -531,9 +546,9 @@ function VisualPatterns({ onBack }) {
       vibrateError()
       playError()
       setConsecutiveSuccesses(0)
-      setFeedback({ type: 'error', message: 'Ops! Tente novamente.' })
+      setFeedback({ type: 'error', message: t('activities.visualPatterns.tryAgain') })
       if (isTTSEnabled) {
-        speakFeedback('Ops! Tente novamente. Observe a sequência mais uma vez.', false)
+        speakFeedback(t('activities.visualPatterns.tryAgainSpeech'), false)
       }
 
       const performanceData = {
@@ -604,9 +619,9 @@ function VisualPatterns({ onBack }) {
         }
       }
 
-      let feedbackMessage = `Parabéns! Você ganhou ${bonusPoints + 10} pontos!`
+      let feedbackMessage = t('activities.visualPatterns.success', { points: bonusPoints + 10 })
       if (newConsecutiveSuccesses >= 3) {
-        feedbackMessage += ' Dificuldade aumentada!'
+        feedbackMessage += ` ${t('activities.visualPatterns.difficultyIncreased')}`
       }
       setFeedback({ type: 'success', message: feedbackMessage })
       if (isTTSEnabled) {
@@ -626,9 +641,9 @@ function VisualPatterns({ onBack }) {
         const nextSequence = generateSequence(Math.min(nextLevel + 1, 6))
         setGameSequence(nextSequence)
 
-        announceToScreenReader(`Nível ${nextLevel}! Observe a nova sequência.`)
+        announceToScreenReader(t('activities.visualPatterns.nextLevel', { level: nextLevel }))
         if (isTTSEnabled) {
-          autoSpeak(`Nível ${nextLevel}! Observe a nova sequência de formas.`, 500)
+          autoSpeak(t('activities.visualPatterns.nextLevelSpeech', { level: nextLevel }), 500)
         }
       }, 2000)
     }
@@ -647,18 +662,16 @@ function VisualPatterns({ onBack }) {
     <GameContainer>
       <GameHeader>
         <BackButton onClick={onBack} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
-          ⬅️ Voltar
+          ⬅️ {t('activities.common.back')}
         </BackButton>
       </GameHeader>
 
       <ActivityTitleSection>
         <ActivityMainTitle>
           <span>👀</span>
-          <span>Padrões Visuais</span>
+          <span>{t('activities.visualPatterns.title')}</span>
         </ActivityMainTitle>
-        <ActivitySubtitle>
-          Desenvolva sua memória visual e reconhecimento de padrões
-        </ActivitySubtitle>
+        <ActivitySubtitle>{t('activities.visualPatterns.subtitle')}</ActivitySubtitle>
       </ActivityTitleSection>
 
       <ActivityTimer
@@ -675,28 +688,32 @@ function VisualPatterns({ onBack }) {
       {gameStarted && isPlayingSequence && (
         <InstructionText
           onClick={() =>
-            isTTSEnabled && speakInstruction('Observe com atenção a sequência de formas.')
+            isTTSEnabled && speakInstruction(t('activities.visualPatterns.watchCarefullySpeech'))
           }
         >
-          👀 Observe com atenção...
+          👀 {t('activities.visualPatterns.watchCarefully')}
         </InstructionText>
       )}
 
       {gameStarted && isPlayerTurn && (
         <InstructionText
           onClick={() =>
-            isTTSEnabled && speakInstruction('Sua vez! Repita a sequência tocando nas formas.')
+            isTTSEnabled && speakInstruction(t('activities.visualPatterns.yourTurnHint'))
           }
         >
-          🖐️ Sua vez! Repita a sequência
+          🖐️ {t('activities.visualPatterns.yourTurn')}
         </InstructionText>
       )}
 
       {gameStarted && (
         <ProgressDisplay>
-          <span>Nível: {currentLevel}</span>
+          <span>
+            {t('activities.common.level')}: {currentLevel}
+          </span>
           <span>•</span>
-          <span>Pontos: {progress.score}</span>
+          <span>
+            {t('activities.common.score')}: {progress.score}
+          </span>
           <span>•</span>
           <StarDisplay>
             {Array.from({ length: 3 }, (_, i) => (
@@ -749,33 +766,33 @@ function VisualPatterns({ onBack }) {
             onClick={() =>
               isTTSEnabled &&
               speakInstruction(
-                'Observe a sequência de formas e repita tocando nas formas na ordem correta! Escolha a dificuldade para começar.'
+                `${t('activities.visualPatterns.instruction')} ${t('activities.visualPatterns.chooseDifficulty')}`
               )
             }
           >
-            👀 Observe a sequência de formas e repita tocando nas formas na ordem correta!
+            👀 {t('activities.visualPatterns.instruction')}
             <br />
-            Escolha a dificuldade para começar.
+            {t('activities.visualPatterns.chooseDifficulty')}
           </InstructionText>
 
           <DifficultySelector>
             {[
               {
                 id: 'EASY',
-                name: '🟢 Fácil',
-                description: 'Sequências de 2 formas',
+                name: `🟢 ${t('activities.common.difficulty.easy')}`,
+                description: t('activities.visualPatterns.difficultyDescription', { count: 2 }),
                 icon: '😊',
               },
               {
                 id: 'MEDIUM',
-                name: '🟡 Médio',
-                description: 'Sequências de 3 formas',
+                name: `🟡 ${t('activities.common.difficulty.medium')}`,
+                description: t('activities.visualPatterns.difficultyDescription', { count: 3 }),
                 icon: '🤔',
               },
               {
                 id: 'HARD',
-                name: '🔴 Difícil',
-                description: 'Sequências de 4 formas',
+                name: `🔴 ${t('activities.common.difficulty.hard')}`,
+                description: t('activities.visualPatterns.difficultyDescription', { count: 4 }),
                 icon: '🧠',
               },
             ].map((diff) => (
@@ -804,7 +821,7 @@ function VisualPatterns({ onBack }) {
               whileTap={{ scale: 0.95 }}
               themeColor={THEME_COLOR}
             >
-              👀 Começar Jogo de Padrões Visuais
+              👀 {t('activities.visualPatterns.start')}
             </ActionButton>
           </ControlButtons>
         </>
@@ -831,7 +848,7 @@ function VisualPatterns({ onBack }) {
               transition={{ duration: 0.3 }}
             >
               <span>⭐</span>
-              <span>Estrela</span>
+              <span>{shapeName('star')}</span>
             </StarButton>
 
             <CircleButton
@@ -854,7 +871,7 @@ function VisualPatterns({ onBack }) {
               transition={{ duration: 0.3 }}
             >
               <span>🟢</span>
-              <span>Círculo</span>
+              <span>{shapeName('circle')}</span>
             </CircleButton>
 
             <TriangleButton
@@ -877,7 +894,7 @@ function VisualPatterns({ onBack }) {
               transition={{ duration: 0.3 }}
             >
               <span>🔺</span>
-              <span>Triângulo</span>
+              <span>{shapeName('triangle')}</span>
             </TriangleButton>
 
             <SquareButton
@@ -900,7 +917,7 @@ function VisualPatterns({ onBack }) {
               transition={{ duration: 0.3 }}
             >
               <span>🟥</span>
-              <span>Quadrado</span>
+              <span>{shapeName('square')}</span>
             </SquareButton>
           </ButtonsContainer>
 
@@ -911,7 +928,7 @@ function VisualPatterns({ onBack }) {
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
             >
-              🔄 Ver Novamente
+              🔄 {t('activities.visualPatterns.watchAgain')}
             </ActionButton>
 
             <ActionButton
@@ -921,7 +938,7 @@ function VisualPatterns({ onBack }) {
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
             >
-              🎮 Reiniciar Jogo
+              🎮 {t('activities.visualPatterns.restart')}
             </ActionButton>
           </ActionButtonsContainer>
         </>
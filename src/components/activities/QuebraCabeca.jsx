@@ -1,11 +1,16 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import styled from 'styled-components'
 import { motion, AnimatePresence } from 'framer-motion'
 import useSound from '../../hooks/useSound'
 import useProgress from '../../hooks/useProgress'
 import useTTS from '../../hooks/useTTS'
+import useMotorDrag from '../../hooks/useMotorDrag'
+import useAacMode from '../../hooks/useAacMode'
+import { useTranslation } from 'react-i18next'
 import { useUser } from '../../contexts/UserContext'
+import useContentPack from '../../hooks/useContentPack'
 import ActivityTimer from '../common/ActivityTimer'
+import AacAnswerBoard from '../common/AacAnswerBoard'
 import {
   announceToScreenReader,
   vibrateSuccess,
@@ -64,7 +69,8 @@ const PuzzlePiece = styled(motion.div)`
   align-items: center;
   justify-content: center;
   font-size: 32px;
-  cursor: ${(props) => (props.draggable ? 'grab' : 'default')};
+  cursor: ${(props) => (props.$draggable ? 'grab' : 'default')};
+  touch-action: ${(props) => (props.$draggable ? 'none' : 'auto')};
   background: ${(props) => (props.isPlaced ? 'var(--success-light)' : 'var(--white)')};
   border: 2px solid ${(props) => (props.isPlaced ? 'var(--success)' : 'var(--medium-gray)')};
   border-radius: var(--radius-small);
@@ -152,40 +158,8 @@ const ActionButtonsContainer = styled.div`
   }
 `
 
-const emotions = [
-  {
-    id: 'happy',
-    name: 'Feliz',
-    emoji: '😊',
-    pieces: ['😊', '🌞', '🎁'],
-    context: 'Ganhar um presente',
-    sound: 'happy.mp3',
-  },
-  {
-    id: 'sad',
-    name: 'Triste',
-    emoji: '😢',
-    pieces: ['😢', '🌧️', '💔'],
-    context: 'Perder um brinquedo',
-    sound: 'sad.mp3',
-  },
-  {
-    id: 'surprised',
-    name: 'Surpreso',
-    emoji: '😲',
-    pieces: ['😲', '🎉', '❓'],
-    context: 'Ver algo inesperado',
-    sound: 'surprised.mp3',
-  },
-  {
-    id: 'calm',
-    name: 'Calmo',
-    emoji: '😌',
-    pieces: ['😌', '🌊', '🕊️'],
-    context: 'Relaxar na praia',
-    sound: 'calm.mp3',
-  },
-]
+// As emoções (peças e som) vêm do pacote de conteúdo 'emotional-puzzle'; o nome e o
+// contexto ficam em activities.emotionalPuzzle.emotions, salvo os trazidos pelo pacote
 
 const encouragingMessages = [
   'Muito bem! Você reconheceu a emoção! 🌟',
@@ -196,6 +170,11 @@ const encouragingMessages = [
 ]
 
 function EmotionalPuzzle({ onBack }) {
+  const { t } = useTranslation()
+  const emotionText = (emotion) => ({
+    emotion: emotion?.name || t(`activities.emotionalPuzzle.emotions.${emotion?.id}.name`),
+    situation: emotion?.context || t(`activities.emotionalPuzzle.emotions.${emotion?.id}.context`),
+  })
   const [gameEmotion, setGameEmotion] = useState(null)
   const [placedPieces, setPlacedPieces] = useState([])
   const [isPlayingContext, setIsPlayingContext] = useState(false)
@@ -208,7 +187,10 @@ function EmotionalPuzzle({ onBack }) {
   const [adaptiveModel, setAdaptiveModel] = useState(null)
   const [adaptiveParams, setAdaptiveParams] = useState(null)
   const { playSound, playSuccess, playError, playClick } = useSound()
-  const { recordPerformance } = useUser()
+  const { recordPerformance, userId } = useUser()
+  // Modo CAA: a criança diz a emoção na prancha em vez de encaixar as peças
+  const { aacMode } = useAacMode(userId)
+  const { emotions } = useContentPack('emotional-puzzle', userId)
   const {
     progress,
     incrementAttempts,
@@ -224,7 +206,19 @@ function EmotionalPuzzle({ onBack }) {
     isActivityActive,
     isActivityPaused,
   } = useProgress('emotional-puzzle')
-  const { speak, speakInstruction, speakFeedback, autoSpeak, isTTSEnabled } = useTTS()
+  const { speak, speakInstruction, preload, speakFeedback, autoSpeak, isTTSEnabled } = useTTS()
+
+  // Frases fixas da atividade preparadas antes da primeira fala
+  useEffect(() => {
+    preload([
+      `${t('activities.emotionalPuzzle.instruction')} ${t('activities.emotionalPuzzle.chooseDifficulty')}`,
+      t('activities.emotionalPuzzle.watchEmotionSpeech'),
+    ])
+  }, [preload, t])
+  const { beginDrag, moveDrag, endDrag } = useMotorDrag('emotional-puzzle')
+  const boardRef = useRef(null)
+  // Evita que o clique disparado ao soltar a peça a encaixe fora do tabuleiro
+  const pieceDraggedRef = useRef(false)
 
   const generatePuzzle = () => {
     const randomEmotion = emotions[Math.floor(Math.random() * emotions.length)]
@@ -240,12 +234,24 @@ function EmotionalPuzzle({ onBack }) {
   const playContext = async (emotion) => {
     setIsPlayingContext(true)
     try {
-      await playSound(emotion.sound)
-      announceToScreenReader(`Emoção: ${emotion.name}. Contexto: ${emotion.context}`)
-      if (isTTSEnabled) {
-        speakInstruction(
-          `Monte o quebra-cabeça da emoção ${emotion.name}. Contexto: ${emotion.context}.`
-        )
+      if (emotion.audio) {
+        await new Audio(emotion.audio).play()
+      } else if (emotion.sound) {
+        await playSound(emotion.sound)
+      }
+      if (aacMode) {
+        // A emoção é a resposta: só a situação é anunciada
+        const question = t('activities.emotionalPuzzle.aacQuestion', emotionText(emotion))
+        announceToScreenReader(question)
+        if (isTTSEnabled) speakInstruction(question)
+      } else {
+        announceToScreenReader(t('activities.emotionalPuzzle.context', emotionText(emotion)))
+        if (isTTSEnabled) {
+          speakInstruction(
+            t('activities.emotionalPuzzle.contextSpeech', emotionText(emotion)),
+            emotionText(emotion).emotion
+          )
+        }
       }
     } catch (error) {
       console.error('Erro ao reproduzir som:', error)
@@ -268,12 +274,13 @@ function EmotionalPuzzle({ onBack }) {
     const newPuzzle = generatePuzzle()
     setGameEmotion(newPuzzle)
 
+    const difficultyName = getDifficultyName(selectedDifficulty).toLowerCase()
     announceToScreenReader(
-      `Novo jogo iniciado no nível ${getDifficultyName(selectedDifficulty)}! Monte o quebra-cabeça da emoção.`
+      t('activities.emotionalPuzzle.gameStarted', { difficulty: difficultyName })
     )
     if (isTTSEnabled) {
       autoSpeak(
-        `Novo jogo de quebra-cabeça emocional iniciado! Dificuldade ${getDifficultyName(selectedDifficulty)}. Monte o quebra-cabeça da emoção.`,
+        t('activities.emotionalPuzzle.gameStartedSpeech', { difficulty: difficultyName }),
         1000
       )
     }
@@ -289,23 +296,23 @@ function EmotionalPuzzle({ onBack }) {
     const newPuzzle = generatePuzzle()
     setGameEmotion(newPuzzle)
 
-    announceToScreenReader('Jogo reiniciado! Monte o novo quebra-cabeça.')
+    announceToScreenReader(t('activities.emotionalPuzzle.restarted'))
   }
 
   const handleFinishActivity = async () => {
     if (sessionId) {
       await finishActivity()
-      announceToScreenReader('Atividade finalizada! Dados de tempo salvos.')
+      announceToScreenReader(t('activities.common.activityFinished'))
     }
   }
 
   const handlePauseResume = () => {
     if (isActivityPaused) {
       resumeActivity()
-      announceToScreenReader('Atividade retomada.')
+      announceToScreenReader(t('activities.common.activityResumed'))
     } else {
       pauseActivity()
-      announceToScreenReader('Atividade pausada.')
+      announceToScreenReader(t('activities.common.activityPaused'))
     }
   }
 
@@ -374,14 +381,12 @@ function EmotionalPuzzle({ onBack }) {
 
   const getDifficultyName = (difficulty) => {
     switch (difficulty) {
-      case 'EASY':
-        return 'Fácil'
       case 'MEDIUM':
-        return 'Médio'
+        return t('activities.common.difficulty.medium')
       case 'HARD':
-        return 'Difícil'
+        return t('activities.common.difficulty.hard')
       default:
-        return 'Fácil'
+        return t('activities.common.difficulty.easy')
     }
   }
 
@@ -392,6 +397,20 @@ function EmotionalPuzzle({ onBack }) {
     return basePoints + levelBonus + pieceBonus
   }
 
+  // Peça arrastada e solta sobre o tabuleiro encaixa como no toque
+  const handlePieceDragEnd = (pieceId, point) => {
+    endDrag(point)
+    setTimeout(() => {
+      pieceDraggedRef.current = false
+    }, 0)
+    const board = boardRef.current?.getBoundingClientRect()
+    const x = point.x - window.scrollX
+    const y = point.y - window.scrollY
+    if (board && x >= board.left && x <= board.right && y >= board.top && y <= board.bottom) {
+      handlePieceDrop(pieceId)
+    }
+  }
+
   const handlePieceDrop = (pieceId) => {
     if (!isPlayerTurn || isPlayingContext) return
 
@@ -407,86 +426,120 @@ function EmotionalPuzzle({ onBack }) {
     setGameEmotion({ ...gameEmotion, pieces: updatedPieces })
 
     playSound('place.mp3')
-    announceToScreenReader(`Peça ${gameEmotion.pieces[pieceIndex].emoji} colocada.`)
+    announceToScreenReader(
+      t('activities.emotionalPuzzle.piecePlaced', { piece: gameEmotion.pieces[pieceIndex].emoji })
+    )
 
     if (newPlacedPieces.length === gameEmotion.pieces.length) {
-      const bonusPoints = calculateScore(currentLevel, gameEmotion.pieces.length) - 10
-      const updatedScore = recordSuccess(bonusPoints)
-
-      vibrateSuccess()
-      playSuccess()
-      const newConsecutiveSuccesses = consecutiveSuccesses + 1
-      setConsecutiveSuccesses(newConsecutiveSuccesses)
-      const performanceData = {
-        correct: 1,
-        incorrect: 0,
-        responseTimes: [500],
+      completePuzzle()
+    }
+  }
+
+  // Resposta na prancha CAA: a emoção certa encaixa todas as peças de uma vez
+  const handleEmotionAnswer = (index) => {
+    if (!isPlayerTurn || isPlayingContext || !gameEmotion) return
+
+    if (emotions[index].id !== gameEmotion.id) {
+      recordError()
+      vibrateError()
+      playError()
+      const message = t('activities.emotionalPuzzle.aacTryAgain')
+      setFeedback({ type: 'error', message })
+      if (isTTSEnabled) {
+        speakFeedback(message, false)
+      }
+      setTimeout(() => setFeedback(null), 1500)
+      return
+    }
+
+    setPlacedPieces(gameEmotion.pieces.map((piece) => piece.id))
+    setGameEmotion({
+      ...gameEmotion,
+      pieces: gameEmotion.pieces.map((piece) => ({ ...piece, isPlaced: true })),
+    })
+    completePuzzle()
+  }
+
+  const completePuzzle = () => {
+    const bonusPoints = calculateScore(currentLevel, gameEmotion.pieces.length) - 10
+    const updatedScore = recordSuccess(bonusPoints)
+
+    vibrateSuccess()
+    playSuccess()
+    const newConsecutiveSuccesses = consecutiveSuccesses + 1
+    setConsecutiveSuccesses(newConsecutiveSuccesses)
+    const performanceData = {
+      correct: 1,
+      incorrect: 0,
+      responseTimes: [500],
+      level: currentLevel,
+      pieceCount: gameEmotion.pieces.length,
+      consecutiveSuccesses: newConsecutiveSuccesses,
+      score: bonusPoints + 10,
+      timestamp: new Date().toISOString(),
+      activityType: 'emotional-puzzle',
+      emotion: gameEmotion.id,
+    }
+
+    recordPerformance('emotional-puzzle', performanceData)
+
+    // Salvar dados no sistema ML adaptativo
+    if (adaptiveModel) {
+      const gameData = {
+        userId: sessionId,
+        activityType: 'emotional-puzzle',
+        difficulty: selectedDifficulty,
         level: currentLevel,
-        pieceCount: gameEmotion.pieces.length,
-        consecutiveSuccesses: newConsecutiveSuccesses,
         score: bonusPoints + 10,
+        timeSpent: getCurrentTimeMetrics()?.totalTime || 0,
+        errorsCount: 0,
+        hintsUsed: 0,
+        completed: true,
+        performance: {
+          accuracy: 100,
+          speed: 'normal',
+          emotionType: gameEmotion.id,
+          pieceCount: gameEmotion.pieces.length,
+        },
         timestamp: new Date().toISOString(),
-        activityType: 'emotional-puzzle',
-        emotion: gameEmotion.name,
       }
-
-      recordPerformance('emotional-puzzle', performanceData)
-
-      // Salvar dados no sistema ML adaptativo
-      if (adaptiveModel) {
-        const gameData = {
-          userId: sessionId,
-          activityType: 'emotional-puzzle',
-          difficulty: selectedDifficulty,
-          level: currentLevel,
-          score: bonusPoints + 10,
-          timeSpent: getCurrentTimeMetrics()?.totalTime || 0,
-          errorsCount: 0,
-          hintsUsed: 0,
-          completed: true,
-          performance: {
-            accuracy: 100,
-            speed: 'normal',
-            emotionType: gameEmotion.name,
-            pieceCount: gameEmotion.pieces.length,
-          },
-          timestamp: new Date().toISOString(),
-        }
-        try {
-          adaptiveModel.saveGameData(gameData)
-        } catch (error) {
-          console.error('Erro ao salvar dados adaptativos:', error)
-        }
+      try {
+        adaptiveModel.saveGameData(gameData)
+      } catch (error) {
+        console.error('Erro ao salvar dados adaptativos:', error)
       }
+    }
+
+    let feedbackMessage = t('activities.emotionalPuzzle.success', {
+      emotion: emotionText(gameEmotion).emotion,
+      points: bonusPoints + 10,
+    })
+    if (newConsecutiveSuccesses >= 3) {
+      feedbackMessage += ` ${t('activities.emotionalPuzzle.difficultyIncreased')}`
+    }
+    setFeedback({ type: 'success', message: feedbackMessage })
+    if (isTTSEnabled) {
+      speakFeedback(feedbackMessage, true)
+    }
 
-      let feedbackMessage = `Parabéns! Você completou o quebra-cabeça ${gameEmotion.name}! Ganhou ${bonusPoints + 10} pontos!`
+    setTimeout(() => {
+      let nextLevel = currentLevel + 1
       if (newConsecutiveSuccesses >= 3) {
-        feedbackMessage += ' Dificuldade aumentada!'
-      }
-      setFeedback({ type: 'success', message: feedbackMessage })
-      if (isTTSEnabled) {
-        speakFeedback(feedbackMessage, true)
+        nextLevel += 1
+        setConsecutiveSuccesses(0)
       }
+      setCurrentLevel(nextLevel)
+      setPlacedPieces([])
+      setFeedback(null)
 
-      setTimeout(() => {
-        let nextLevel = currentLevel + 1
-        if (newConsecutiveSuccesses >= 3) {
-          nextLevel += 1
-          setConsecutiveSuccesses(0)
-        }
-        setCurrentLevel(nextLevel)
-        setPlacedPieces([])
-        setFeedback(null)
-
-        const nextPuzzle = generatePuzzle()
-        setGameEmotion(nextPuzzle)
+      const nextPuzzle = generatePuzzle()
+      setGameEmotion(nextPuzzle)
 
-        announceToScreenReader(`Nível ${nextLevel}! Monte o próximo quebra-cabeça.`)
-        if (isTTSEnabled) {
-          autoSpeak(`Nível ${nextLevel}! Monte o próximo quebra-cabeça emocional.`, 500)
-        }
-      }, 2000)
-    }
+      announceToScreenReader(t('activities.emotionalPuzzle.nextLevel', { level: nextLevel }))
+      if (isTTSEnabled) {
+        autoSpeak(t('activities.emotionalPuzzle.nextLevelSpeech', { level: nextLevel }), 500)
+      }
+    }, 2000)
   }
 
   useEffect(() => {
@@ -502,16 +555,16 @@ function EmotionalPuzzle({ onBack }) {
     <GameContainer>
       <GameHeader>
         <BackButton onClick={onBack} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
-          ⬅️ Voltar
+          ⬅️ {t('activities.common.back')}
         </BackButton>
       </GameHeader>
 
       <ActivityTitleSection>
         <ActivityMainTitle>
           <span>😊</span>
-          <span>Quebra-Cabeça Emocional</span>
+          <span>{t('activities.emotionalPuzzle.title')}</span>
         </ActivityMainTitle>
-        <ActivitySubtitle>Monte quebra-cabeças para reconhecer e entender emoções</ActivitySubtitle>
+        <ActivitySubtitle>{t('activities.emotionalPuzzle.subtitle')}</ActivitySubtitle>
       </ActivityTitleSection>
 
       <ActivityTimer
@@ -528,30 +581,50 @@ function EmotionalPuzzle({ onBack }) {
       {gameStarted && isPlayingContext && (
         <InstructionText
           onClick={() =>
-            isTTSEnabled && speakInstruction(`Observe a emoção e monte o quebra-cabeça.`)
+            isTTSEnabled && speakInstruction(t('activities.emotionalPuzzle.watchEmotionSpeech'))
+          }
+        >
+          👀 {t('activities.emotionalPuzzle.watchEmotion')}
+        </InstructionText>
+      )}
+
+      {gameStarted && isPlayerTurn && !aacMode && (
+        <InstructionText
+          onClick={() =>
+            isTTSEnabled &&
+            speakInstruction(
+              t('activities.emotionalPuzzle.buildEmotion', {
+                emotion: emotionText(gameEmotion).emotion,
+              }),
+              emotionText(gameEmotion).emotion
+            )
           }
         >
-          👀 Observe a emoção...
+          🖐️ {t('activities.emotionalPuzzle.buildPuzzle')}
         </InstructionText>
       )}
 
-      {gameStarted && isPlayerTurn && (
+      {gameStarted && isPlayerTurn && aacMode && (
         <InstructionText
           onClick={() =>
             isTTSEnabled &&
-            speakInstruction(`Monte o quebra-cabeça da emoção ${gameEmotion?.name}.`)
+            speakInstruction(t('activities.emotionalPuzzle.aacQuestion', emotionText(gameEmotion)))
           }
         >
-          🖐️ Monte o quebra-cabeça
+          💬 {t('activities.emotionalPuzzle.aacPrompt')}
         </InstructionText>
       )}
 
       {gameStarted && gameEmotion && (
         <>
           <ProgressDisplay>
-            <span>Nível: {currentLevel}</span>
+            <span>
+              {t('activities.common.level')}: {currentLevel}
+            </span>
             <span>•</span>
-            <span>Pontos: {progress.score}</span>
+            <span>
+              {t('activities.common.score')}: {progress.score}
+            </span>
             <span>•</span>
             <StarDisplay>
               {Array.from({ length: 3 }, (_, i) => (
@@ -561,16 +634,17 @@ function EmotionalPuzzle({ onBack }) {
           </ProgressDisplay>
 
           <ContextText>
-            Emoção: {gameEmotion.name} ({gameEmotion.context})
+            {aacMode
+              ? t('activities.emotionalPuzzle.aacSituation', emotionText(gameEmotion))
+              : t('activities.emotionalPuzzle.emotionLabel', emotionText(gameEmotion))}
           </ContextText>
 
           <PuzzleDisplay>
-            <PuzzleBoard columns={Math.ceil(Math.sqrt(gameEmotion.pieces.length))}>
+            <PuzzleBoard ref={boardRef} columns={Math.ceil(Math.sqrt(gameEmotion.pieces.length))}>
               {gameEmotion.pieces.map((piece, index) => (
                 <PuzzlePiece
                   key={piece.id}
                   isPlaced={piece.isPlaced}
-                  draggable={false}
                   animate={piece.isPlaced ? { scale: 1.1, opacity: 1 } : { opacity: 0.5 }}
                   transition={{ duration: 0.3 }}
                 >
@@ -580,15 +654,50 @@ function EmotionalPuzzle({ onBack }) {
             </PuzzleBoard>
           </PuzzleDisplay>
 
-          {isPlayerTurn && (
+          {isPlayerTurn && aacMode && (
+            <>
+              {/* As peças são a pista; a resposta é a emoção */}
+              <PieceContainer>
+                {gameEmotion.pieces
+                  .filter((piece) => !piece.isPlaced)
+                  .map((piece) => (
+                    <PuzzlePiece key={piece.id}>{piece.emoji}</PuzzlePiece>
+                  ))}
+              </PieceContainer>
+              <AacAnswerBoard
+                activityId="emotional-puzzle"
+                userId={userId}
+                promptKey={currentLevel}
+                answers={emotions.map((emotion) => ({
+                  key: emotion.id,
+                  label: emotionText(emotion).emotion,
+                  emoji: emotion.emoji,
+                  correct: emotion.id === gameEmotion.id,
+                }))}
+                disabled={isPlayingContext || feedback?.type === 'success'}
+                onAnswer={handleEmotionAnswer}
+                onCoreWord={(word) => word.key === 'again' && playContext(gameEmotion)}
+              />
+            </>
+          )}
+
+          {isPlayerTurn && !aacMode && (
             <PieceContainer>
               {gameEmotion.pieces
                 .filter((piece) => !piece.isPlaced)
                 .map((piece) => (
                   <PuzzlePiece
                     key={piece.id}
-                    draggable={true}
-                    onClick={() => handlePieceDrop(piece.id)}
+                    $draggable
+                    drag
+                    dragSnapToOrigin
+                    onDragStart={(event, info) => {
+                      pieceDraggedRef.current = true
+                      beginDrag(info.point)
+                    }}
+                    onDrag={(event, info) => moveDrag(info.point)}
+                    onDragEnd={(event, info) => handlePieceDragEnd(piece.id, info.point)}
+                    onClick={() => !pieceDraggedRef.current && handlePieceDrop(piece.id)}
                     whileHover={isPlayerTurn ? { scale: 1.1 } : {}}
                     whileTap={isPlayerTurn ? { scale: 0.9 } : {}}
                     animate={{ scale: 1 }}
@@ -608,33 +717,33 @@ function EmotionalPuzzle({ onBack }) {
             onClick={() =>
               isTTSEnabled &&
               speakInstruction(
-                'Monte o quebra-cabeça para reconhecer a emoção! Escolha a dificuldade para começar.'
+                `${t('activities.emotionalPuzzle.instruction')} ${t('activities.emotionalPuzzle.chooseDifficulty')}`
               )
             }
           >
-            😊 Monte o quebra-cabeça para reconhecer a emoção!
+            😊 {t('activities.emotionalPuzzle.instruction')}
             <br />
-            Escolha a dificuldade para começar.
+            {t('activities.emotionalPuzzle.chooseDifficulty')}
           </InstructionText>
 
           <DifficultySelector>
             {[
               {
                 id: 'EASY',
-                name: '🟢 Fácil',
-                description: '2 peças por emoção',
+                name: `🟢 ${t('activities.common.difficulty.easy')}`,
+                description: t('activities.emotionalPuzzle.difficultyDescription', { count: 2 }),
                 icon: '😊',
               },
               {
                 id: 'MEDIUM',
-                name: '🟡 Médio',
-                description: '3 peças por emoção',
+                name: `🟡 ${t('activities.common.difficulty.medium')}`,
+                description: t('activities.emotionalPuzzle.difficultyDescription', { count: 3 }),
                 icon: '🤔',
               },
               {
                 id: 'HARD',
-                name: '🔴 Difícil',
-                description: '4 peças por emoção',
+                name: `🔴 ${t('activities.common.difficulty.hard')}`,
+                description: t('activities.emotionalPuzzle.difficultyDescription', { count: 4 }),
                 icon: '🧠',
               },
             ].map((diff) => (
@@ -663,7 +772,7 @@ function EmotionalPuzzle({ onBack }) {
               whileTap={{ scale: 0.95 }}
               themeColor={THEME_COLOR}
             >
-              😊 Começar Jogo de Quebra-Cabeça Emocional
+              😊 {t('activities.emotionalPuzzle.start')}
             </ActionButton>
           </ControlButtons>
         </>
@@ -675,7 +784,7 @@ function EmotionalPuzzle({ onBack }) {
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
           >
-            🔄 Ver Contexto Novamente
+            🔄 {t('activities.emotionalPuzzle.replayContext')}
           </ActionButton>
 
           <ActionButton
@@ -685,7 +794,7 @@ function EmotionalPuzzle({ onBack }) {
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
           >
-            🎮 Reiniciar Jogo
+            🎮 {t('activities.emotionalPuzzle.restart')}
           </ActionButton>
         </ActionButtonsContainer>
       )}
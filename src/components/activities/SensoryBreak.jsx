@@ -0,0 +1,125 @@
+/**
+ * @file SensoryBreak.jsx
+ * @description Atividade de calma da pausa sensorial
+ * Círculo que cresce e diminui no ritmo da respiração, tom suave a cada fase e um
+ * relógio visual que vai esvaziando até a hora de voltar ao jogo.
+ */
+
+import React, { useEffect, useState } from 'react'
+import styled from 'styled-components'
+import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
+import { audioGenerator } from '../../utils/audio/audioGenerator.js'
+
+// Duração de cada fase da respiração (inspirar / soltar o ar)
+export const BREATH_PHASE_MS = 4000
+
+const BreakOverlay = styled(motion.div)`
+  position: fixed;
+  inset: 0;
+  z-index: 2000;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  gap: var(--space-lg);
+  padding: var(--space-lg);
+  background: linear-gradient(160deg, #d7ecff 0%, #e8f7ef 100%);
+  color: #2c5282;
+  text-align: center;
+`
+
+const BreathCircle = styled(motion.div)`
+  width: 160px;
+  height: 160px;
+  border-radius: 50%;
+  background: radial-gradient(circle, rgba(144, 205, 244, 0.9), rgba(104, 211, 145, 0.6));
+  box-shadow: 0 0 40px rgba(104, 211, 145, 0.5);
+`
+
+const BreathText = styled.p`
+  font-size: var(--font-size-xl);
+  font-weight: 600;
+  margin: 0;
+`
+
+// Relógio visual: a parte colorida é o tempo que falta
+const WeightedTimer = styled.div`
+  width: 96px;
+  height: 96px;
+  border-radius: 50%;
+  border: 4px solid white;
+  background: conic-gradient(
+    #68d391 ${(props) => props.$percent}%,
+    rgba(255, 255, 255, 0.6) ${(props) => props.$percent}% 100%
+  );
+  transition: background 1s linear;
+`
+
+const BackButton = styled(motion.button)`
+  background: white;
+  color: #2c5282;
+  border: 2px solid #90cdf4;
+  border-radius: var(--radius-large);
+  padding: var(--space-sm) var(--space-xl);
+  font-size: var(--font-size-lg);
+  font-weight: bold;
+  cursor: pointer;
+`
+
+/**
+ * @param {Object} props
+ * @param {number} props.minutes - Duração da pausa
+ * @param {Function} props.onFinish - Recebe true quando o tempo acabou, false se saiu antes
+ */
+function SensoryBreak({ minutes, onFinish }) {
+  const { t } = useTranslation()
+  const durationMs = minutes * 60000
+  const [startedAt] = useState(() => Date.now())
+  const [now, setNow] = useState(startedAt)
+  const [inhale, setInhale] = useState(true)
+  const remainingMs = Math.max(0, startedAt + durationMs - now)
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [])
+
+  useEffect(() => {
+    audioGenerator.playBreathingCue(inhale ? 'inhale' : 'exhale')
+    const timeout = setTimeout(() => setInhale(!inhale), BREATH_PHASE_MS)
+    return () => clearTimeout(timeout)
+  }, [inhale])
+
+  useEffect(() => {
+    if (remainingMs === 0) onFinish(true)
+  }, [remainingMs, onFinish])
+
+  return (
+    <BreakOverlay
+      role="dialog"
+      aria-label={t('sensoryBreak.dialogLabel')}
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+    >
+      <BreathCircle
+        aria-hidden="true"
+        animate={{ scale: inhale ? 1.6 : 1 }}
+        transition={{ duration: BREATH_PHASE_MS / 1000, ease: 'easeInOut' }}
+      />
+      <BreathText aria-live="polite">
+        {t(inhale ? 'sensoryBreak.breatheIn' : 'sensoryBreak.breatheOut')}
+      </BreathText>
+      <WeightedTimer
+        role="timer"
+        aria-label={t('sensoryBreak.remaining', { count: Math.ceil(remainingMs / 60000) })}
+        $percent={(remainingMs / durationMs) * 100}
+      />
+      <BackButton whileTap={{ scale: 0.95 }} onClick={() => onFinish(false)}>
+        🎮 {t('sensoryBreak.back')}
+      </BackButton>
+    </BreakOverlay>
+  )
+}
+
+export default SensoryBreak
@@ -1,5 +1,7 @@
 // Constants for Creative Painting Activity - Coloroterapia System
 
+import corePack from '../../data/content-packs/core-pt-br.json';
+
 export const DIFFICULTY_SETTINGS = [
   {
     id: 'EASY',
@@ -31,85 +33,10 @@ export const DIFFICULTY_SETTINGS = [
 ];
 
 // Paletas de Coloroterapia com significados terapêuticos
-export const COLOROTHERAPY_PALETTES = {
-  // Cores Energizantes - Estimulam atividade e concentração
-  ENERGIZING: {
-    name: 'Energizante',
-    description: 'Estimula atividade e concentração',
-    therapeutic: 'Melhora foco e motivação',
-    colors: [
-      { hex: '#FF4444', name: 'Vermelho Energia', therapy: 'Estimula ação e coragem' },
-      { hex: '#FF8800', name: 'Laranja Vitalidade', therapy: 'Aumenta entusiasmo' },
-      { hex: '#FFDD00', name: 'Amarelo Alegria', therapy: 'Promove otimismo' },
-      { hex: '#FF6B6B', name: 'Rosa Energia', therapy: 'Equilibra força e amor' }
-    ]
-  },
-  
-  // Cores Calmantes - Reduzem ansiedade e promovem relaxamento
-  CALMING: {
-    name: 'Calmante',
-    description: 'Reduz ansiedade e promove relaxamento',
-    therapeutic: 'Diminui estresse e agitação',
-    colors: [
-      { hex: '#4A90E2', name: 'Azul Serenidade', therapy: 'Acalma mente e corpo' },
-      { hex: '#50C878', name: 'Verde Harmonia', therapy: 'Equilibra emoções' },
-      { hex: '#9B59B6', name: 'Roxo Tranquilidade', therapy: 'Promove paz interior' },
-      { hex: '#87CEEB', name: 'Azul Claro Paz', therapy: 'Reduz tensão' }
-    ]
-  },
-  
-  // Cores Equilibrantes - Promovem estabilidade emocional
-  BALANCING: {
-    name: 'Equilibrante',
-    description: 'Promove estabilidade emocional',
-    therapeutic: 'Harmoniza energias internas',
-    colors: [
-      { hex: '#2E8B57', name: 'Verde Equilíbrio', therapy: 'Estabiliza emoções' },
-      { hex: '#CD853F', name: 'Marrom Terra', therapy: 'Conecta com estabilidade' },
-      { hex: '#4682B4', name: 'Azul Aço', therapy: 'Fortalece determinação' },
-      { hex: '#DDA0DD', name: 'Lilás Harmonia', therapy: 'Suaviza conflitos internos' }
-    ]
-  },
-  
-  // Cores Criativas - Estimulam imaginação e expressão
-  CREATIVE: {
-    name: 'Criativa',
-    description: 'Estimula imaginação e expressão',
-    therapeutic: 'Desenvolve criatividade e autoexpressão',
-    colors: [
-      { hex: '#FF69B4', name: 'Rosa Criativo', therapy: 'Libera expressão artística' },
-      { hex: '#32CD32', name: 'Verde Limão', therapy: 'Estimula crescimento criativo' },
-      { hex: '#FF1493', name: 'Pink Inspiração', therapy: 'Desperta imaginação' },
-      { hex: '#00CED1', name: 'Turquesa Inovação', therapy: 'Promove pensamento original' }
-    ]
-  },
-  
-  // Cores Concentração - Melhoram foco e atenção
-  FOCUS: {
-    name: 'Concentração',
-    description: 'Melhora foco e atenção',
-    therapeutic: 'Aumenta capacidade de concentração',
-    colors: [
-      { hex: '#191970', name: 'Azul Marinho Foco', therapy: 'Melhora concentração profunda' },
-      { hex: '#556B2F', name: 'Verde Oliva', therapy: 'Sustenta atenção prolongada' },
-      { hex: '#483D8B', name: 'Roxo Escuro', therapy: 'Promove meditação focada' },
-      { hex: '#2F4F4F', name: 'Cinza Ardósia', therapy: 'Estabiliza pensamentos' }
-    ]
-  },
-  
-  // Cores Alegria - Promovem bem-estar e positividade
-  JOY: {
-    name: 'Alegria',
-    description: 'Promove bem-estar e positividade',
-    therapeutic: 'Eleva humor e autoestima',
-    colors: [
-      { hex: '#FFD700', name: 'Dourado Felicidade', therapy: 'Irradia positividade' },
-      { hex: '#FFA500', name: 'Laranja Alegria', therapy: 'Desperta entusiasmo' },
-      { hex: '#FFFF00', name: 'Amarelo Brilhante', therapy: 'Estimula felicidade' },
-      { hex: '#FF6347', name: 'Tomate Vivacidade', therapy: 'Energiza com alegria' }
-    ]
-  }
-};
+// O conteúdo fica no pacote padrão; os jogos leem pelo registro de pacotes de conteúdo
+export const COLOROTHERAPY_PALETTES = Object.fromEntries(
+  Object.entries(corePack.content['creative-painting'].palettes).filter(([id]) => id !== 'BASIC')
+);
 
 // Templates para colorir - array único com propriedade difficulty
 export const COLORING_TEMPLATES = [
@@ -0,0 +1,241 @@
+/**
+ * @file AacAnswerBoard.jsx
+ * @description Prancha de respostas do modo CAA
+ * Os jogos passam as respostas da pergunta; a prancha mostra cada uma como símbolo, fala
+ * a palavra quando a criança toca e só então entrega a resposta ao jogo, como acontece
+ * numa prancha de comunicação com voz. As palavras essenciais do conjunto ficam sempre na
+ * mesma linha, acima das respostas.
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import styled from 'styled-components'
+import PropTypes from 'prop-types'
+import { useTranslation } from 'react-i18next'
+import useAacMode from '../../hooks/useAacMode'
+import {
+  recordAacSelection,
+  resolveAacTiles,
+  speakAacLabel,
+} from '../../utils/accessibility/aacAnswers.js'
+
+const Board = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: var(--space-md);
+  width: 100%;
+  max-width: 640px;
+`
+
+const CoreRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  justify-content: center;
+  gap: var(--space-sm);
+  padding-bottom: var(--space-sm);
+  border-bottom: 2px dashed var(--light-gray);
+`
+
+const AnswerGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(${(props) => props.$columns}, 1fr);
+  gap: var(--space-md);
+`
+
+const Tile = styled.button`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  gap: var(--space-xs);
+  min-height: ${(props) => (props.$core ? '72px' : `${Math.round(360 / props.$columns)}px`)};
+  min-width: ${(props) => (props.$core ? '88px' : 'auto')};
+  padding: var(--space-sm);
+  background: ${(props) => (props.$speaking ? '#fff8e1' : 'white')};
+  border: 3px solid
+    ${(props) =>
+      props.$state === 'correct'
+        ? 'var(--success)'
+        : props.$state === 'incorrect'
+          ? 'var(--error)'
+          : props.$speaking
+            ? 'var(--primary-orange)'
+            : 'var(--light-gray)'};
+  border-radius: var(--radius-medium);
+  box-shadow: var(--shadow-light);
+  color: var(--dark-gray);
+  cursor: pointer;
+
+  &:disabled {
+    cursor: not-allowed;
+    opacity: ${(props) => (props.$speaking || props.$state ? 1 : 0.6)};
+  }
+
+  &:focus {
+    outline: 3px solid var(--primary-blue);
+    outline-offset: 2px;
+  }
+`
+
+const TilePicture = styled.span`
+  font-size: ${(props) => (props.$core ? '1.6rem' : `${6 / props.$columns + 1}rem`)};
+  line-height: 1;
+
+  img {
+    width: ${(props) => Math.round(240 / props.$columns)}px;
+    height: ${(props) => Math.round(240 / props.$columns)}px;
+    object-fit: cover;
+    border-radius: var(--radius-small);
+  }
+`
+
+const TileLabel = styled.span`
+  font-size: ${(props) =>
+    props.$textOnly
+      ? 'var(--font-size-xl)'
+      : props.$core
+        ? 'var(--font-size-sm)'
+        : 'var(--font-size-md)'};
+  font-weight: 600;
+  text-align: center;
+`
+
+const AacAnswerBoard = ({
+  activityId,
+  answers,
+  onAnswer,
+  onCoreWord,
+  promptKey,
+  disabled = false,
+  userId,
+}) => {
+  const { t } = useTranslation()
+  const { aacGridSize, symbolSet } = useAacMode(userId)
+  const tiles = useMemo(() => resolveAacTiles(answers, symbolSet), [answers, symbolSet])
+  const coreWords = useMemo(
+    () =>
+      resolveAacTiles(
+        (symbolSet?.core || []).map((word) => ({ ...word, key: word.id })),
+        symbolSet
+      ),
+    [symbolSet]
+  )
+  const [speaking, setSpeaking] = useState(null)
+  const shownAtRef = useRef(Date.now())
+  const playbackRef = useRef(null)
+  // Dois toques seguidos antes de a prancha atualizar contam uma vez só
+  const busyRef = useRef(false)
+  const mountedRef = useRef(true)
+  const childId = userId || localStorage.getItem('betina_user_id')
+
+  // O tempo de resposta conta a partir de cada nova pergunta
+  useEffect(() => {
+    shownAtRef.current = Date.now()
+  }, [promptKey])
+
+  useEffect(() => {
+    mountedRef.current = true
+    return () => {
+      mountedRef.current = false
+      playbackRef.current?.cancel()
+    }
+  }, [])
+
+  const handleSelect = async (tile, index, kind) => {
+    if (busyRef.current || (kind === 'answer' && disabled)) return
+    busyRef.current = true
+
+    recordAacSelection({
+      userId: childId,
+      activityId,
+      symbol: tile.key,
+      label: tile.label,
+      kind,
+      correct: kind === 'answer' ? answers[index].correct : null,
+      responseTimeMs: kind === 'answer' ? Date.now() - shownAtRef.current : null,
+    })
+
+    setSpeaking(`${kind}:${tile.key}`)
+    playbackRef.current = speakAacLabel(tile)
+    await playbackRef.current.done
+    playbackRef.current = null
+    busyRef.current = false
+    if (!mountedRef.current) return
+    setSpeaking(null)
+
+    if (kind === 'answer') {
+      onAnswer(index, tile)
+    } else {
+      onCoreWord?.(tile)
+    }
+  }
+
+  const renderTile = (tile, index, kind) => {
+    const core = kind === 'core'
+    const textOnly = !tile.emoji && !tile.image
+    const columns = core ? 1 : aacGridSize
+    return (
+      <Tile
+        key={`${kind}-${tile.key}`}
+        type="button"
+        $core={core}
+        $columns={columns}
+        $speaking={speaking === `${kind}:${tile.key}`}
+        $state={core ? null : answers[index].state}
+        onClick={() => handleSelect(tile, index, kind)}
+        disabled={speaking !== null || (!core && disabled)}
+        aria-label={tile.label}
+      >
+        {!textOnly && (
+          <TilePicture $core={core} $columns={columns} aria-hidden={!tile.image}>
+            {tile.image ? <img src={tile.image} alt={tile.alt} /> : tile.emoji}
+          </TilePicture>
+        )}
+        <TileLabel $core={core} $textOnly={textOnly}>
+          {tile.label}
+        </TileLabel>
+      </Tile>
+    )
+  }
+
+  return (
+    <Board role="group" aria-label={t('activities.common.aacBoard')}>
+      {coreWords.length > 0 && (
+        <CoreRow role="group" aria-label={t('activities.common.aacCoreWords')}>
+          {coreWords.map((tile, index) => renderTile(tile, index, 'core'))}
+        </CoreRow>
+      )}
+      <AnswerGrid $columns={aacGridSize}>
+        {tiles.map((tile, index) => renderTile(tile, index, 'answer'))}
+      </AnswerGrid>
+    </Board>
+  )
+}
+
+AacAnswerBoard.propTypes = {
+  // Jogo atual, para o histórico de comunicação
+  activityId: PropTypes.string.isRequired,
+  // Respostas da pergunta; `correct` vai para as métricas e `state` pinta o símbolo
+  answers: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+      label: PropTypes.string.isRequired,
+      symbol: PropTypes.string,
+      emoji: PropTypes.string,
+      image: PropTypes.string,
+      alt: PropTypes.string,
+      audio: PropTypes.string,
+      correct: PropTypes.bool,
+      state: PropTypes.oneOf(['correct', 'incorrect', null]),
+    })
+  ).isRequired,
+  // (index, tile) depois que a palavra foi falada
+  onAnswer: PropTypes.func.isRequired,
+  // Palavra essencial tocada (ex.: 'again' para repetir a pergunta)
+  onCoreWord: PropTypes.func,
+  // Muda a cada pergunta
+  promptKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  disabled: PropTypes.bool,
+  userId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+}
+
+export default AacAnswerBoard
@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
 import styled from 'styled-components'
 import { motion, AnimatePresence } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
 import { useUser } from '../../contexts/UserContext'
 import { setTTSEnabled, isTTSEnabled } from '../../utils/tts/ttsManager.js'
 import {
@@ -8,7 +9,39 @@ import {
   applyAccessibilitySettings,
   saveAccessibilitySettings,
   getCurrentSettings,
+  getScanSettings,
+  getDwellSettings,
+  describeScanKey,
+  DWELL_DEFAULTS,
+  DWELL_TIMES,
+  AAC_DEFAULTS,
+  AAC_GRID_SIZES,
+  getAacSettings,
+  getAacCommunicationMetrics,
+  SCAN_DEFAULTS,
+  SCAN_SELECT_KEYS,
+  SCAN_SPEEDS,
 } from '../../utils/accessibility/index.js'
+import {
+  getSensoryBreakLog,
+  getSensoryBreakSettings,
+  summarizeSensoryBreaks,
+  SENSORY_BREAK_DEFAULTS,
+  SENSORY_BREAK_MINUTES,
+  SENSORY_BREAK_THRESHOLDS,
+} from '../../utils/emotionalAnalysis/sensoryBreak.js'
+import {
+  getVoiceProfile,
+  saveVoiceProfile,
+  VOICE_PITCHES,
+  VOICE_PROFILE_DEFAULTS,
+  VOICE_RATES,
+  VOICE_WORD_PAUSES,
+} from '../../utils/tts/voiceProfile.js'
+import { speakPhrase } from '../../utils/tts/phrasePlayer.js'
+import { getSpeechLanguage } from '../../utils/shared/i18n.js'
+import VoiceClipRecorder from './VoiceClipRecorder.jsx'
+import useAacMode from '../../hooks/useAacMode'
 
 // Estilos aprimorados
 const AccessibilityButton = styled(motion.button)`
@@ -281,7 +314,26 @@ const Select = styled.select`
   }
 `
 
+const KeyButton = styled.button`
+  padding: 4px 8px;
+  border-radius: 6px;
+  border: 1px solid ${(props) => (props.$capturing ? '#6b48ff' : '#e0e0e0')};
+  width: 110px;
+  background: ${(props) => (props.$capturing ? '#f1edff' : 'white')};
+  color: #444;
+  font-size: 12px;
+  cursor: pointer;
+  transition: all 0.3s ease;
+
+  &:focus {
+    outline: none;
+    border-color: #6b48ff;
+    box-shadow: 0 0 0 2px rgba(107, 72, 255, 0.2);
+  }
+`
+
 const AccessibilityPanel = ({ onClose = () => {}, isButton = false }) => {
+  const { t } = useTranslation()
   const { userId, isDbConnected, userDetails, updateUser } = useUser()
   const [isOpen, setIsOpen] = useState(false)
 
@@ -291,9 +343,33 @@ const AccessibilityPanel = ({ onClose = () => {}, isButton = false }) => {
     reducedMotion: false,
     colorScheme: 'default',
     dyslexiaFriendly: false,
+    ...SCAN_DEFAULTS,
+    ...DWELL_DEFAULTS,
+    ...SENSORY_BREAK_DEFAULTS,
+    ...VOICE_PROFILE_DEFAULTS,
+    ...AAC_DEFAULTS,
   })
 
+  // Conjuntos de símbolos da prancha CAA nos pacotes habilitados para a criança
+  const { symbolSets: aacSymbolSets } = useAacMode(userId)
+
+  // Vozes do idioma do portal para o perfil de voz
+  const [voices, setVoices] = useState([])
+
   const [savedSuccessfully, setSavedSuccessfully] = useState(false)
+  // Configuração de tecla do acionador aguardando o próximo toque
+  const [capturingKey, setCapturingKey] = useState(null)
+
+  // Efeito das pausas sensoriais já registradas
+  const breakSummary = summarizeSensoryBreaks(
+    getSensoryBreakLog(userId || localStorage.getItem('betina_user_id'))
+  )
+
+  // Uso da prancha CAA nos últimos 30 dias
+  const aacUsage = getAacCommunicationMetrics(userId || localStorage.getItem('betina_user_id'))
+
+  // O perfil de voz é de cada criança
+  const voiceProfileChildId = userId || localStorage.getItem('betina_user_id')
 
   const handleTogglePanel = () => {
     setIsOpen((prev) => !prev)
@@ -313,6 +389,11 @@ const AccessibilityPanel = ({ onClose = () => {}, isButton = false }) => {
       reducedMotion: currentDOMSettings.reducedMotion || false,
       colorScheme: 'default',
       dyslexiaFriendly: false,
+      ...SCAN_DEFAULTS,
+      ...DWELL_DEFAULTS,
+      ...SENSORY_BREAK_DEFAULTS,
+      ...VOICE_PROFILE_DEFAULTS,
+      ...AAC_DEFAULTS,
     }
 
     // Primeiro carregar do localStorage
@@ -327,6 +408,10 @@ const AccessibilityPanel = ({ onClose = () => {}, isButton = false }) => {
           reducedMotion: parsed.reducedMotion || initialSettings.reducedMotion,
           colorScheme: parsed.colorScheme || 'default',
           dyslexiaFriendly: parsed.dyslexiaFriendly || false,
+          ...getScanSettings(parsed),
+          ...getDwellSettings(parsed),
+          ...getSensoryBreakSettings(parsed),
+          ...getAacSettings(parsed),
         }
         console.log('📂 Configurações carregadas do localStorage:', parsed)
       } catch (e) {
@@ -334,6 +419,12 @@ const AccessibilityPanel = ({ onClose = () => {}, isButton = false }) => {
       }
     }
 
+    // Perfil de voz da criança logada, salvo separado do resto do painel
+    initialSettings = {
+      ...initialSettings,
+      ...getVoiceProfile(undefined, { childId: voiceProfileChildId }),
+    }
+
     // Sobrescrever com configurações do usuário se disponível
     if (userDetails && userDetails.preferences?.accessibility) {
       initialSettings = {
@@ -345,7 +436,22 @@ const AccessibilityPanel = ({ onClose = () => {}, isButton = false }) => {
 
     setSettings(initialSettings)
     console.log('✅ Configurações finais carregadas:', initialSettings)
-  }, [userDetails])
+  }, [userDetails, voiceProfileChildId])
+  useEffect(() => {
+    if (!('speechSynthesis' in window)) return undefined
+
+    const loadVoices = () => {
+      const language = getSpeechLanguage().split('-')[0]
+      setVoices(
+        window.speechSynthesis
+          .getVoices()
+          .filter((voice) => voice.lang.replace('_', '-').split('-')[0] === language)
+      )
+    }
+    loadVoices()
+    window.speechSynthesis.addEventListener('voiceschanged', loadVoices)
+    return () => window.speechSynthesis.removeEventListener('voiceschanged', loadVoices)
+  }, [])
   useEffect(() => {
     const handleKeyDown = (event) => {
       if (event.key === 'Escape') {
@@ -410,108 +516,134 @@ const AccessibilityPanel = ({ onClose = () => {}, isButton = false }) => {
       console.log('TTS DESATIVADO')
     }
   }, [settings])
-  const handleSettingChange = (key, value) => {
-    console.log(`🔧 Alterando configuração ${key} de ${settings[key]} para:`, value)
+  const handleSettingChange = useCallback(
+    (key, value) => {
+      console.log(`🔧 Alterando configuração ${key} de ${settings[key]} para:`, value)
 
-    setSettings((prev) => {
-      const newSettings = {
-        ...prev,
-        [key]: value,
-      }
+      setSettings((prev) => {
+        const newSettings = {
+          ...prev,
+          [key]: value,
+        }
 
-      console.log(`📊 Estado atualizado:`, newSettings)
+        console.log(`📊 Estado atualizado:`, newSettings)
 
-      // Aplicar mudanças imediatamente usando as funções do utils/accessibility.js
-      const root = document.documentElement
-      const body = document.body
+        // Aplicar mudanças imediatamente usando as funções do utils/accessibility.js
+        const root = document.documentElement
+        const body = document.body
 
-      // Aplicar mudanças específicas para cada configuração
-      if (key === 'textToSpeech') {
-        // Usar função específica do TTS
-        setTTSEnabled(value)
-        console.log(`🎙️ TTS ${value ? 'ATIVADO' : 'DESATIVADO'}`)
+        // Aplicar mudanças específicas para cada configuração
+        if (key === 'textToSpeech') {
+          // Usar função específica do TTS
+          setTTSEnabled(value)
+          console.log(`🎙️ TTS ${value ? 'ATIVADO' : 'DESATIVADO'}`)
 
-        // Disparar evento específico para texto-para-fala
-        window.dispatchEvent(
-          new CustomEvent('tts-settings-changed', {
-            detail: { enabled: value },
-          })
-        )
-      }
+          // Disparar evento específico para texto-para-fala
+          window.dispatchEvent(
+            new CustomEvent('tts-settings-changed', {
+              detail: { enabled: value },
+            })
+          )
+        }
 
-      if (key === 'highContrast') {
-        // Aplicar diretamente no DOM e também usar a função de utilitário
-        if (value) {
-          root.classList.add('high-contrast')
-          body.classList.add('high-contrast')
-          console.log(`🌓 Alto contraste ATIVADO`)
-        } else {
-          root.classList.remove('high-contrast')
-          body.classList.remove('high-contrast')
-          console.log(`🌓 Alto contraste DESATIVADO`)
+        if (key === 'highContrast') {
+          // Aplicar diretamente no DOM e também usar a função de utilitário
+          if (value) {
+            root.classList.add('high-contrast')
+            body.classList.add('high-contrast')
+            console.log(`🌓 Alto contraste ATIVADO`)
+          } else {
+            root.classList.remove('high-contrast')
+            body.classList.remove('high-contrast')
+            console.log(`🌓 Alto contraste DESATIVADO`)
+          }
         }
-      }
 
-      if (key === 'reducedMotion') {
-        if (value) {
-          root.classList.add('reduced-motion')
-          body.classList.add('reduced-motion')
-          console.log(`✨ Animações reduzidas ATIVADAS`)
-        } else {
-          root.classList.remove('reduced-motion')
-          body.classList.remove('reduced-motion')
-          console.log(`✨ Animações reduzidas DESATIVADAS`)
+        if (key === 'reducedMotion') {
+          if (value) {
+            root.classList.add('reduced-motion')
+            body.classList.add('reduced-motion')
+            console.log(`✨ Animações reduzidas ATIVADAS`)
+          } else {
+            root.classList.remove('reduced-motion')
+            body.classList.remove('reduced-motion')
+            console.log(`✨ Animações reduzidas DESATIVADAS`)
+          }
         }
-      }
 
-      if (key === 'colorScheme') {
-        root.setAttribute('data-theme', value)
-        body.setAttribute('data-theme', value)
-        console.log(`🎨 Tema aplicado: ${value}`)
-      }
+        if (key === 'colorScheme') {
+          root.setAttribute('data-theme', value)
+          body.setAttribute('data-theme', value)
+          console.log(`🎨 Tema aplicado: ${value}`)
+        }
 
-      if (key === 'dyslexiaFriendly') {
-        if (value) {
-          root.classList.add('dyslexia-friendly')
-          body.classList.add('dyslexia-friendly')
-          console.log(`🧠 Fonte para dislexia ATIVADA`)
-        } else {
-          root.classList.remove('dyslexia-friendly')
-          body.classList.remove('dyslexia-friendly')
-          console.log(`🧠 Fonte para dislexia DESATIVADA`)
+        if (key === 'dyslexiaFriendly') {
+          if (value) {
+            root.classList.add('dyslexia-friendly')
+            body.classList.add('dyslexia-friendly')
+            console.log(`🧠 Fonte para dislexia ATIVADA`)
+          } else {
+            root.classList.remove('dyslexia-friendly')
+            body.classList.remove('dyslexia-friendly')
+            console.log(`🧠 Fonte para dislexia DESATIVADA`)
+          }
         }
-      }
 
-      // Salvar as configurações usando a função de utilitário
-      saveAccessibilitySettings({
-        ...getCurrentSettings(),
-        highContrast: newSettings.highContrast,
-        reducedMotion: newSettings.reducedMotion,
-        dyslexiaFriendly: newSettings.dyslexiaFriendly,
-        colorScheme: newSettings.colorScheme,
-      })
+        // Salvar as configurações usando a função de utilitário
+        saveAccessibilitySettings({
+          ...getCurrentSettings(),
+          highContrast: newSettings.highContrast,
+          reducedMotion: newSettings.reducedMotion,
+          dyslexiaFriendly: newSettings.dyslexiaFriendly,
+          colorScheme: newSettings.colorScheme,
+        })
 
-      // Salvar no localStorage específico do painel
-      localStorage.setItem('betina_accessibility_settings', JSON.stringify(newSettings))
-      console.log(`💾 Configurações salvas no localStorage`)
+        // Salvar no localStorage específico do painel
+        localStorage.setItem('betina_accessibility_settings', JSON.stringify(newSettings))
+        saveVoiceProfile(voiceProfileChildId, newSettings)
+        console.log(`💾 Configurações salvas no localStorage`)
 
-      // Notificar outros componentes sobre a mudança
-      window.dispatchEvent(
-        new CustomEvent('accessibility-settings-changed', {
-          detail: { settings: newSettings },
-        })
-      )
+        // Notificar outros componentes sobre a mudança
+        window.dispatchEvent(
+          new CustomEvent('accessibility-settings-changed', {
+            detail: { settings: newSettings },
+          })
+        )
 
-      return newSettings
-    })
+        return newSettings
+      })
 
-    // Forçar um foco no botão após a mudança para garantir feedback visual
-    const focusableElement = document.activeElement
-    if (focusableElement && typeof focusableElement.blur === 'function') {
-      focusableElement.blur()
-      setTimeout(() => focusableElement.focus(), 50)
+      // Forçar um foco no botão após a mudança para garantir feedback visual
+      const focusableElement = document.activeElement
+      if (focusableElement && typeof focusableElement.blur === 'function') {
+        focusableElement.blur()
+        setTimeout(() => focusableElement.focus(), 50)
+      }
+    },
+    [settings, voiceProfileChildId]
+  )
+  useEffect(() => {
+    if (!capturingKey) return undefined
+
+    // Captura a tecla enviada pelo acionador; Esc cancela e Delete/Backspace remove a tecla extra de seleção
+    const handleCapture = (event) => {
+      event.preventDefault()
+      event.stopPropagation()
+      if (event.key === 'Escape') {
+        setCapturingKey(null)
+        return
+      }
+      // Espaço e Enter já selecionam na varredura
+      if (SCAN_SELECT_KEYS.includes(event.key)) return
+      const clear = capturingKey === 'scanSelectKey' && ['Delete', 'Backspace'].includes(event.key)
+      const key = clear ? '' : event.key
+      handleSettingChange(capturingKey, key)
+      setCapturingKey(null)
     }
-  }
+
+    window.addEventListener('keydown', handleCapture, true)
+    return () => window.removeEventListener('keydown', handleCapture, true)
+  }, [capturingKey, handleSettingChange])
   const handleSave = async () => {
     console.log(`Salvando configurações de acessibilidade:`, settings)
 
@@ -521,6 +653,7 @@ const AccessibilityPanel = ({ onClose = () => {}, isButton = false }) => {
     try {
       // Salvar no localStorage primeiro (funcionamento offline garantido)
       localStorage.setItem('betina_accessibility_settings', JSON.stringify(settings))
+      saveVoiceProfile(voiceProfileChildId, settings)
 
       // Aplicar configurações diretamente ao DOM para garantir efeito imediato
       const root = document.documentElement
@@ -601,6 +734,14 @@ const AccessibilityPanel = ({ onClose = () => {}, isButton = false }) => {
       alert('Ocorreu um erro ao salvar as configurações. Por favor, tente novamente.')
     }
   }
+  // Fala de exemplo com o perfil ainda não salvo, destacando a palavra-alvo
+  const handleVoicePreview = () => {
+    speakPhrase('Toque na bola azul', {
+      profile: getVoiceProfile(settings),
+      targetWord: 'azul',
+      volume: 1,
+    })
+  }
   const applyThemePreset = (preset) => {
     console.log(`Aplicando tema: ${preset}`)
 
@@ -800,6 +941,145 @@ const AccessibilityPanel = ({ onClose = () => {}, isButton = false }) => {
           </OptionRow>
         </SettingsGroup>
 
+        {settings.textToSpeech && (
+          <SettingsGroup>
+            <GroupTitle>Voz da Criança</GroupTitle>
+
+            <OptionRow>
+              <OptionLabel>
+                <span role="img" aria-hidden="true">
+                  🗣️
+                </span>{' '}
+                Voz
+              </OptionLabel>
+              <Select
+                value={settings.ttsVoice}
+                onChange={(e) => handleSettingChange('ttsVoice', e.target.value)}
+                aria-label="Selecionar voz"
+              >
+                <option value="">Automática</option>
+                {voices.map((voice) => (
+                  <option key={voice.voiceURI} value={voice.voiceURI}>
+                    {voice.name}
+                  </option>
+                ))}
+              </Select>
+            </OptionRow>
+
+            <OptionRow>
+              <OptionLabel>
+                <span role="img" aria-hidden="true">
+                  🐢
+                </span>{' '}
+                Velocidade da Fala
+              </OptionLabel>
+              <Select
+                value={settings.ttsRate}
+                onChange={(e) => handleSettingChange('ttsRate', Number(e.target.value))}
+                aria-label="Selecionar velocidade da fala"
+              >
+                {VOICE_RATES.map((rate) => (
+                  <option key={rate} value={rate}>
+                    {rate}x
+                  </option>
+                ))}
+              </Select>
+            </OptionRow>
+
+            <OptionRow>
+              <OptionLabel>
+                <span role="img" aria-hidden="true">
+                  🎵
+                </span>{' '}
+                Tom da Voz
+              </OptionLabel>
+              <Select
+                value={settings.ttsPitch}
+                onChange={(e) => handleSettingChange('ttsPitch', Number(e.target.value))}
+                aria-label="Selecionar tom da voz"
+              >
+                {VOICE_PITCHES.map((pitch) => (
+                  <option key={pitch} value={pitch}>
+                    {pitch < 1 ? 'Mais grave' : pitch > 1 ? 'Mais agudo' : 'Normal'} ({pitch})
+                  </option>
+                ))}
+              </Select>
+            </OptionRow>
+
+            <OptionRow>
+              <OptionLabel>
+                <span role="img" aria-hidden="true">
+                  ⏸️
+                </span>{' '}
+                Pausa entre Palavras
+              </OptionLabel>
+              <Select
+                value={settings.ttsWordPause}
+                onChange={(e) => handleSettingChange('ttsWordPause', Number(e.target.value))}
+                aria-label="Selecionar pausa entre palavras"
+              >
+                {VOICE_WORD_PAUSES.map((pause) => (
+                  <option key={pause} value={pause}>
+                    {pause === 0 ? 'Nenhuma' : `${pause / 1000} s`}
+                  </option>
+                ))}
+              </Select>
+            </OptionRow>
+
+            <OptionRow>
+              <OptionLabel>
+                <span role="img" aria-hidden="true">
+                  🎯
+                </span>{' '}
+                Destacar a Palavra-Alvo
+              </OptionLabel>
+              <Switch>
+                <input
+                  type="checkbox"
+                  checked={settings.ttsEmphasis}
+                  onChange={(e) => handleSettingChange('ttsEmphasis', e.target.checked)}
+                  aria-label="Falar a palavra-alvo mais devagar e destacada"
+                />
+                <span className="slider"></span>
+              </Switch>
+            </OptionRow>
+
+            <OptionRow>
+              <OptionLabel>
+                <span role="img" aria-hidden="true">
+                  👪
+                </span>{' '}
+                Usar Voz Gravada
+              </OptionLabel>
+              <Switch>
+                <input
+                  type="checkbox"
+                  checked={settings.ttsRecordedVoice}
+                  onChange={(e) => handleSettingChange('ttsRecordedVoice', e.target.checked)}
+                  aria-label="Tocar as frases gravadas pelo responsável ou terapeuta no lugar da voz sintetizada"
+                />
+                <span className="slider"></span>
+              </Switch>
+            </OptionRow>
+
+            <OptionRow>
+              <OptionLabel>
+                <span role="img" aria-hidden="true">
+                  🔊
+                </span>{' '}
+                Ouvir Exemplo
+              </OptionLabel>
+              <KeyButton onClick={handleVoicePreview} aria-label="Ouvir exemplo com esta voz">
+                Testar voz
+              </KeyButton>
+            </OptionRow>
+
+            {settings.ttsRecordedVoice && (
+              <VoiceClipRecorder childId={userId || localStorage.getItem('betina_user_id')} />
+            )}
+          </SettingsGroup>
+        )}
+
         <SettingsGroup>
           <GroupTitle>Movimento</GroupTitle>
 
@@ -822,6 +1102,311 @@ const AccessibilityPanel = ({ onClose = () => {}, isButton = false }) => {
           </OptionRow>
         </SettingsGroup>
 
+        <SettingsGroup>
+          <GroupTitle>Acesso por Acionador</GroupTitle>
+
+          <OptionRow>
+            <OptionLabel>
+              <span role="img" aria-hidden="true">
+                🔘
+              </span>{' '}
+              Varredura nas Atividades
+            </OptionLabel>
+            <Switch>
+              <input
+                type="checkbox"
+                checked={settings.switchScanning}
+                onChange={(e) => handleSettingChange('switchScanning', e.target.checked)}
+                aria-label="Ativar varredura por acionador"
+              />
+              <span className="slider"></span>
+            </Switch>
+          </OptionRow>
+
+          {settings.switchScanning && (
+            <>
+              <OptionRow>
+                <OptionLabel>
+                  <span role="img" aria-hidden="true">
+                    🔁
+                  </span>{' '}
+                  Modo de Varredura
+                </OptionLabel>
+                <Select
+                  value={settings.scanMode}
+                  onChange={(e) => handleSettingChange('scanMode', e.target.value)}
+                  aria-label="Selecionar modo de varredura"
+                >
+                  <option value="auto">Automática</option>
+                  <option value="step">Passo a passo</option>
+                </Select>
+              </OptionRow>
+
+              {settings.scanMode === 'auto' && (
+                <OptionRow>
+                  <OptionLabel>
+                    <span role="img" aria-hidden="true">
+                      ⏱️
+                    </span>{' '}
+                    Velocidade
+                  </OptionLabel>
+                  <Select
+                    value={settings.scanSpeed}
+                    onChange={(e) => handleSettingChange('scanSpeed', Number(e.target.value))}
+                    aria-label="Selecionar velocidade da varredura"
+                  >
+                    {SCAN_SPEEDS.map((speed) => (
+                      <option key={speed} value={speed}>
+                        {speed / 1000} s por item
+                      </option>
+                    ))}
+                  </Select>
+                </OptionRow>
+              )}
+
+              <OptionRow>
+                <OptionLabel>
+                  <span role="img" aria-hidden="true">
+                    ✅
+                  </span>{' '}
+                  Tecla de Seleção
+                </OptionLabel>
+                <KeyButton
+                  $capturing={capturingKey === 'scanSelectKey'}
+                  onClick={() => setCapturingKey('scanSelectKey')}
+                  aria-label="Mapear tecla extra de seleção (Espaço e Enter sempre selecionam)"
+                >
+                  {capturingKey === 'scanSelectKey'
+                    ? 'Pressione...'
+                    : describeScanKey(settings.scanSelectKey)}
+                </KeyButton>
+              </OptionRow>
+
+              {settings.scanMode === 'step' && (
+                <OptionRow>
+                  <OptionLabel>
+                    <span role="img" aria-hidden="true">
+                      ➡️
+                    </span>{' '}
+                    Tecla de Avançar
+                  </OptionLabel>
+                  <KeyButton
+                    $capturing={capturingKey === 'scanNextKey'}
+                    onClick={() => setCapturingKey('scanNextKey')}
+                    aria-label="Mapear tecla que avança a varredura"
+                  >
+                    {capturingKey === 'scanNextKey'
+                      ? 'Pressione...'
+                      : describeScanKey(settings.scanNextKey)}
+                  </KeyButton>
+                </OptionRow>
+              )}
+            </>
+          )}
+        </SettingsGroup>
+
+        <SettingsGroup>
+          <GroupTitle>Seleção pelo Olhar</GroupTitle>
+
+          <OptionRow>
+            <OptionLabel>
+              <span role="img" aria-hidden="true">
+                👁️
+              </span>{' '}
+              Selecionar ao Parar o Ponteiro
+            </OptionLabel>
+            <Switch>
+              <input
+                type="checkbox"
+                checked={settings.dwellClick}
+                onChange={(e) => handleSettingChange('dwellClick', e.target.checked)}
+                aria-label="Ativar seleção por permanência para olhar ou ponteiro de cabeça"
+              />
+              <span className="slider"></span>
+            </Switch>
+          </OptionRow>
+
+          {settings.dwellClick && (
+            <OptionRow>
+              <OptionLabel>
+                <span role="img" aria-hidden="true">
+                  ⏳
+                </span>{' '}
+                Tempo para Selecionar
+              </OptionLabel>
+              <Select
+                value={settings.dwellTime}
+                onChange={(e) => handleSettingChange('dwellTime', Number(e.target.value))}
+                aria-label="Selecionar tempo de permanência"
+              >
+                {DWELL_TIMES.map((time) => (
+                  <option key={time} value={time}>
+                    {time / 1000} s
+                  </option>
+                ))}
+              </Select>
+            </OptionRow>
+          )}
+        </SettingsGroup>
+
+        <SettingsGroup>
+          <GroupTitle>Respostas por Símbolos (CAA)</GroupTitle>
+
+          <OptionRow>
+            <OptionLabel>
+              <span role="img" aria-hidden="true">
+                💬
+              </span>{' '}
+              Responder pela Prancha
+            </OptionLabel>
+            <Switch>
+              <input
+                type="checkbox"
+                checked={settings.aacMode}
+                onChange={(e) => handleSettingChange('aacMode', e.target.checked)}
+                aria-label="Mostrar as respostas dos jogos como símbolos falados de uma prancha de comunicação"
+              />
+              <span className="slider"></span>
+            </Switch>
+          </OptionRow>
+
+          {settings.aacMode && (
+            <>
+              <OptionRow>
+                <OptionLabel>
+                  <span role="img" aria-hidden="true">
+                    🔲
+                  </span>{' '}
+                  Símbolos por Linha
+                </OptionLabel>
+                <Select
+                  value={settings.aacGridSize}
+                  onChange={(e) => handleSettingChange('aacGridSize', Number(e.target.value))}
+                  aria-label="Selecionar quantos símbolos aparecem por linha na prancha"
+                >
+                  {AAC_GRID_SIZES.map((size) => (
+                    <option key={size} value={size}>
+                      {size}
+                    </option>
+                  ))}
+                </Select>
+              </OptionRow>
+
+              <OptionRow>
+                <OptionLabel>
+                  <span role="img" aria-hidden="true">
+                    🖼️
+                  </span>{' '}
+                  Conjunto de Símbolos
+                </OptionLabel>
+                <Select
+                  value={settings.aacSymbolSet}
+                  onChange={(e) => handleSettingChange('aacSymbolSet', e.target.value)}
+                  aria-label="Selecionar conjunto de símbolos da prancha"
+                >
+                  {Object.entries(aacSymbolSets).map(([setId, set]) => (
+                    <option key={setId} value={setId}>
+                      {set.name}
+                    </option>
+                  ))}
+                </Select>
+              </OptionRow>
+            </>
+          )}
+
+          {aacUsage.selections > 0 && (
+            <OptionRow>
+              <OptionLabel as="p" style={{ margin: 0 }}>
+                Símbolos tocados: {aacUsage.selections} · palavras diferentes: {aacUsage.vocabulary}
+                {aacUsage.accuracy !== null &&
+                  ` · acerto nas respostas: ${Math.round(aacUsage.accuracy * 100)}%`}
+              </OptionLabel>
+            </OptionRow>
+          )}
+        </SettingsGroup>
+
+        <SettingsGroup>
+          <GroupTitle>{t('sensoryBreak.panel.title')}</GroupTitle>
+
+          <OptionRow>
+            <OptionLabel>
+              <span role="img" aria-hidden="true">
+                🌿
+              </span>{' '}
+              {t('sensoryBreak.panel.whenFrustrated')}
+            </OptionLabel>
+            <Select
+              value={settings.sensoryBreakMode}
+              onChange={(e) => handleSettingChange('sensoryBreakMode', e.target.value)}
+              aria-label={t('sensoryBreak.panel.modeLabel')}
+            >
+              <option value="offer">{t('sensoryBreak.panel.modes.offer')}</option>
+              <option value="auto">{t('sensoryBreak.panel.modes.auto')}</option>
+              <option value="off">{t('sensoryBreak.panel.modes.off')}</option>
+            </Select>
+          </OptionRow>
+
+          {settings.sensoryBreakMode !== 'off' && (
+            <>
+              <OptionRow>
+                <OptionLabel>
+                  <span role="img" aria-hidden="true">
+                    📈
+                  </span>{' '}
+                  {t('sensoryBreak.panel.threshold')}
+                </OptionLabel>
+                <Select
+                  value={settings.sensoryBreakThreshold}
+                  onChange={(e) =>
+                    handleSettingChange('sensoryBreakThreshold', Number(e.target.value))
+                  }
+                  aria-label={t('sensoryBreak.panel.thresholdLabel')}
+                >
+                  {SENSORY_BREAK_THRESHOLDS.map((threshold) => (
+                    <option key={threshold} value={threshold}>
+                      {Math.round(threshold * 100)}%
+                    </option>
+                  ))}
+                </Select>
+              </OptionRow>
+
+              <OptionRow>
+                <OptionLabel>
+                  <span role="img" aria-hidden="true">
+                    ⏱️
+                  </span>{' '}
+                  {t('sensoryBreak.panel.duration')}
+                </OptionLabel>
+                <Select
+                  value={settings.sensoryBreakMinutes}
+                  onChange={(e) =>
+                    handleSettingChange('sensoryBreakMinutes', Number(e.target.value))
+                  }
+                  aria-label={t('sensoryBreak.panel.durationLabel')}
+                >
+                  {SENSORY_BREAK_MINUTES.map((minutes) => (
+                    <option key={minutes} value={minutes}>
+                      {t('sensoryBreak.panel.minutes', { count: minutes })}
+                    </option>
+                  ))}
+                </Select>
+              </OptionRow>
+            </>
+          )}
+
+          {breakSummary.measured > 0 && (
+            <OptionRow>
+              <OptionLabel as="p" style={{ margin: 0 }}>
+                {t('sensoryBreak.panel.summary', {
+                  before: breakSummary.averagePreAccuracy,
+                  after: breakSummary.averagePostAccuracy,
+                  count: breakSummary.measured,
+                })}
+              </OptionLabel>
+            </OptionRow>
+          )}
+        </SettingsGroup>
+
         <SaveButton
           onClick={handleSave}
           whileHover={{ scale: 1.02 }}
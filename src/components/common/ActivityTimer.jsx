@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import styled from 'styled-components';
 
 // ======== COMPONENTE DE TIMER EM TEMPO REAL ========
@@ -136,6 +136,23 @@ const ControlButton = styled.button`
   }
 `;
 
+const CountdownTrack = styled.div`
+  width: 120px;
+  height: 10px;
+  border-radius: 5px;
+  background: rgba(255, 255, 255, 0.25);
+  overflow: hidden;
+  position: relative;
+  z-index: 1;
+`;
+
+const CountdownFill = styled.div`
+  height: 100%;
+  width: ${props => props.$percent}%;
+  background: ${props => props.$percent > 20 ? '#00ff88' : '#ffd700'};
+  transition: width 1s linear;
+`;
+
 const EfficiencyBadge = styled.div`
   position: absolute;
   top: -8px;
@@ -165,9 +182,17 @@ const ActivityTimer = ({
   onFinish,
   showControls = true,
   compact = false,
-  invisible = false
+  invisible = false,
+  countdown = null,
+  onCountdownEnd
 }) => {
   const [currentTime, setCurrentTime] = useState(Date.now());
+  const countdownEndedRef = useRef(false);
+
+  // Contagem regressiva (ex.: etapa da agenda visual): { startedAt, durationMs }
+  const remainingMs = countdown
+    ? Math.min(countdown.durationMs, Math.max(0, countdown.startedAt + countdown.durationMs - currentTime))
+    : null;
 
   // Atualizar o tempo a cada segundo
   useEffect(() => {
@@ -177,29 +202,24 @@ const ActivityTimer = ({
 
     return () => clearInterval(interval);
   }, []);
+
+  useEffect(() => {
+    countdownEndedRef.current = false;
+  }, [countdown?.startedAt, countdown?.durationMs]);
+
+  // Avisar uma única vez quando o tempo acaba
+  useEffect(() => {
+    if (remainingMs === 0 && !countdownEndedRef.current) {
+      countdownEndedRef.current = true;
+      onCountdownEnd?.();
+    }
+  }, [remainingMs, onCountdownEnd]);
   
   // Se for invisível, não renderiza nada visualmente, mas mantém as métricas
   if (invisible) {
     return null;
-  }if (!timeMetrics) {
-    return (
-      <TimerContainer>
-        <StatusIndicator>
-          <StatusDot $isActive={false} $isPaused={false} />
-          <StatusText>Cronômetro</StatusText>
-        </StatusIndicator>
-      </TimerContainer>
-    );
   }
 
-  const { isActive, isPaused, activeTime, totalTime, pausedTime, efficiency, sessionId } = timeMetrics;
-
-  const getStatusText = () => {
-    if (isPaused) return 'Pausado';
-    if (isActive) return 'Ativo';
-    return 'Finalizado';
-  };
-
   const formatTime = (seconds) => {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
@@ -219,6 +239,46 @@ const ActivityTimer = ({
     return `${secs}s`;
   };
 
+  if (countdown) {
+    const running = remainingMs > 0;
+    return (
+      <TimerContainer $isActive={running} role="timer" aria-live="off">
+        <StatusIndicator>
+          <StatusDot $isActive={running} $isPaused={false} />
+          <StatusText>{running ? 'Em andamento' : 'Tempo esgotado'}</StatusText>
+        </StatusIndicator>
+
+        <TimerSection>
+          <TimerLabel>Tempo Restante</TimerLabel>
+          <TimerValue>{formatTime(Math.ceil(remainingMs / 1000))}</TimerValue>
+        </TimerSection>
+
+        <CountdownTrack>
+          <CountdownFill $percent={(remainingMs / countdown.durationMs) * 100} />
+        </CountdownTrack>
+      </TimerContainer>
+    );
+  }
+
+  if (!timeMetrics) {
+    return (
+      <TimerContainer>
+        <StatusIndicator>
+          <StatusDot $isActive={false} $isPaused={false} />
+          <StatusText>Cronômetro</StatusText>
+        </StatusIndicator>
+      </TimerContainer>
+    );
+  }
+
+  const { isActive, isPaused, activeTime, totalTime, pausedTime, efficiency, sessionId } = timeMetrics;
+
+  const getStatusText = () => {
+    if (isPaused) return 'Pausado';
+    if (isActive) return 'Ativo';
+    return 'Finalizado';
+  };
+
   return (
     <TimerContainer $isActive={isActive && !isPaused}>
       {efficiency && (
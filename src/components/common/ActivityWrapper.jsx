@@ -1,6 +1,16 @@
-import React from 'react'
-import styled from 'styled-components'
+import React, { useRef, useState } from 'react'
+import styled, { keyframes } from 'styled-components'
 import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
+import { SCAN_FOCUS_ATTRIBUTE, useSwitchScanning } from '../../hooks/useSwitchScanning.js'
+import { useDwellSelection } from '../../hooks/useDwellSelection.js'
+import { useSensoryBreak } from '../../hooks/useSensoryBreak.js'
+import { useLiveCommand } from '../../hooks/useLiveSession.js'
+import SensoryBreak from '../activities/SensoryBreak.jsx'
+import TokenBoard from './TokenBoard.jsx'
+import { describeScanKey } from '../../utils/accessibility/switchScanning.js'
+import { LIVE_COMMANDS } from '../../services/liveSession.js'
+import { sendLiveEvent } from '../../utils/sessions/liveSessionClient.js'
 
 const WrapperContainer = styled(motion.div)`
   max-width: 1200px;
@@ -80,6 +90,110 @@ const ActivityContent = styled.div`
   align-items: center;
   justify-content: flex-start;
   box-sizing: border-box;
+
+  /* Alvo destacado pela varredura por acionador */
+  [${SCAN_FOCUS_ATTRIBUTE}] {
+    outline: 5px solid #ff9800;
+    outline-offset: 4px;
+    box-shadow: 0 0 0 10px rgba(255, 152, 0, 0.35);
+  }
+
+  svg [${SCAN_FOCUS_ATTRIBUTE}] {
+    stroke: #ff9800;
+    stroke-width: 6px;
+  }
+`
+
+const ScanHint = styled.p`
+  font-size: var(--font-size-sm);
+  color: var(--text-secondary);
+  margin: 0 0 var(--space-sm);
+  text-align: center;
+`
+
+// Oferta de pausa sensorial quando a frustração passa do limite
+const BreakOffer = styled(motion.div)`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: center;
+  gap: var(--space-md);
+  margin: 0 0 var(--space-md);
+  padding: var(--space-sm) var(--space-lg);
+  border-radius: var(--radius-large);
+  background: #e8f7ef;
+  color: #2c5282;
+  font-weight: 600;
+
+  button {
+    border: 2px solid #68d391;
+    border-radius: var(--radius-medium);
+    padding: var(--space-xs) var(--space-md);
+    background: white;
+    color: inherit;
+    font-weight: bold;
+    cursor: pointer;
+  }
+`
+
+// Jogo pausado pelo terapeuta na teleterapia; só o terapeuta retoma
+const RemotePause = styled(motion.div)`
+  position: fixed;
+  inset: 0;
+  z-index: 1900;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  gap: var(--space-md);
+  background: rgba(255, 255, 255, 0.92);
+  color: var(--dark-gray);
+  font-size: var(--font-size-xl);
+  font-weight: bold;
+  text-align: center;
+
+  span {
+    font-size: 4rem;
+  }
+`
+
+const DWELL_RING_LENGTH = 113 // Circunferência do anel (raio 18)
+
+const dwellFill = keyframes`
+  from {
+    stroke-dashoffset: ${DWELL_RING_LENGTH};
+  }
+  to {
+    stroke-dashoffset: 0;
+  }
+`
+
+// Anel de progresso da seleção por permanência, centrado no alvo
+const DwellRing = styled.svg`
+  position: fixed;
+  width: 56px;
+  height: 56px;
+  transform: translate(-50%, -50%);
+  pointer-events: none;
+  z-index: 1000;
+
+  circle {
+    fill: none;
+    stroke-width: 5;
+  }
+
+  .track {
+    stroke: rgba(255, 255, 255, 0.7);
+  }
+
+  .progress {
+    stroke: #ff9800;
+    stroke-linecap: round;
+    stroke-dasharray: ${DWELL_RING_LENGTH};
+    transform: rotate(-90deg);
+    transform-origin: center;
+    animation: ${dwellFill} ${(props) => props.$duration}ms linear forwards;
+  }
 `
 
 const OrientationMessage = styled.div`
@@ -105,11 +219,36 @@ const OrientationMessage = styled.div`
 `
 
 function ActivityWrapper({
+  activityId,
   title,
   emoji,
   subtitle,
   children
 }) {
+  const { t } = useTranslation()
+  const contentRef = useRef(null)
+  const { scanning, scanMode, scanSelectKey, scanNextKey } = useSwitchScanning(contentRef)
+  const { dwell, dwellTime } = useDwellSelection(contentRef, activityId)
+  const { offer, activeBreak, breakMinutes, acceptBreak, declineBreak, finishBreak } =
+    useSensoryBreak(activityId)
+  const [remotePaused, setRemotePaused] = useState(false)
+  useLiveCommand(
+    (command) => {
+      const paused = command.type === LIVE_COMMANDS.PAUSE
+      setRemotePaused(paused)
+      sendLiveEvent(paused ? 'paused' : 'resumed', { activityId })
+    },
+    [LIVE_COMMANDS.PAUSE, LIVE_COMMANDS.RESUME]
+  )
+  const keyLabel = (key) => (key === ' ' ? t('scanning.keys.space') : describeScanKey(key))
+  const selectKeys = [
+    t('scanning.keys.space'),
+    t('scanning.keys.enter'),
+    scanSelectKey && keyLabel(scanSelectKey),
+  ]
+    .filter(Boolean)
+    .join(', ')
+
   return (
     <>
       <OrientationMessage>
@@ -127,10 +266,52 @@ function ActivityWrapper({
           </HeaderSection>
         )}
         {subtitle && <Subtitle>{subtitle}</Subtitle>}
-        <ActivityContent>
+        <TokenBoard />
+        {scanning && (
+          <ScanHint role="status">
+            {scanMode === 'auto'
+              ? t('scanning.auto', { selectKeys })
+              : t('scanning.step', { nextKey: keyLabel(scanNextKey), selectKeys })}
+          </ScanHint>
+        )}
+        <ActivityContent ref={contentRef}>
+          {/* Dentro do conteúdo para a varredura e o olhar também alcançarem a oferta */}
+          {offer && (
+            <BreakOffer
+              role="status"
+              initial={{ opacity: 0, y: -10 }}
+              animate={{ opacity: 1, y: 0 }}
+            >
+              🌿 {t('sensoryBreak.offer')}
+              <button onClick={acceptBreak}>{t('sensoryBreak.accept')}</button>
+              <button onClick={declineBreak}>{t('sensoryBreak.decline')}</button>
+            </BreakOffer>
+          )}
           {children}
         </ActivityContent>
       </WrapperContainer>
+      {activeBreak && <SensoryBreak minutes={breakMinutes} onFinish={finishBreak} />}
+      {remotePaused && (
+        <RemotePause role="status" initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+          <span aria-hidden="true">⏸️</span>
+          {t('liveConsole.remotePause')}
+        </RemotePause>
+      )}
+      {dwell && (
+        <DwellRing
+          key={dwell.startedAt}
+          viewBox="0 0 40 40"
+          aria-hidden="true"
+          $duration={dwellTime}
+          style={{
+            left: dwell.rect.left + dwell.rect.width / 2,
+            top: dwell.rect.top + dwell.rect.height / 2,
+          }}
+        >
+          <circle className="track" cx="20" cy="20" r="18" />
+          <circle className="progress" cx="20" cy="20" r="18" />
+        </DwellRing>
+      )}
     </>
   )
 }
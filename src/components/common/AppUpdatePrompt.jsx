@@ -0,0 +1,116 @@
+/**
+ * @file AppUpdatePrompt.jsx
+ * @description Avisos do app instalável: nova versão disponível, pronto para uso sem
+ * internet e sem conexão no momento
+ */
+
+import React, { useEffect, useState } from 'react'
+import styled from 'styled-components'
+import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
+import {
+  SW_OFFLINE_READY_EVENT,
+  SW_UPDATE_EVENT,
+  applyServiceWorkerUpdate,
+} from '../../utils/pwa/serviceWorkerRegistration.js'
+
+const Banner = styled(motion.div)`
+  position: fixed;
+  left: 0;
+  right: 0;
+  bottom: var(--space-lg);
+  margin: 0 auto;
+  width: fit-content;
+  z-index: 1500;
+  display: flex;
+  align-items: center;
+  gap: var(--space-md);
+  max-width: calc(100% - 2 * var(--space-lg));
+  padding: var(--space-sm) var(--space-lg);
+  border-radius: var(--radius-large);
+  background: ${(props) => (props.$offline ? '#4a5568' : 'white')};
+  color: ${(props) => (props.$offline ? 'white' : 'var(--dark-gray)')};
+  box-shadow: var(--shadow-strong);
+  font-weight: 600;
+
+  button {
+    border: 2px solid var(--primary-blue);
+    border-radius: var(--radius-medium);
+    padding: var(--space-xs) var(--space-md);
+    font-weight: bold;
+    cursor: pointer;
+    background: white;
+    color: var(--primary-blue);
+  }
+
+  button.primary {
+    background: var(--primary-blue);
+    color: white;
+  }
+`
+
+// Tempo que o aviso "pronto para usar sem internet" fica na tela
+const OFFLINE_READY_MS = 6000
+
+function AppUpdatePrompt() {
+  const { t } = useTranslation()
+  const [registration, setRegistration] = useState(null)
+  const [offlineReady, setOfflineReady] = useState(false)
+  const [online, setOnline] = useState(() => navigator.onLine !== false)
+
+  useEffect(() => {
+    const handleUpdate = (event) => setRegistration(event.detail?.registration || null)
+    const handleOfflineReady = () => setOfflineReady(true)
+    const handleOnline = () => setOnline(true)
+    const handleOffline = () => setOnline(false)
+
+    window.addEventListener(SW_UPDATE_EVENT, handleUpdate)
+    window.addEventListener(SW_OFFLINE_READY_EVENT, handleOfflineReady)
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    return () => {
+      window.removeEventListener(SW_UPDATE_EVENT, handleUpdate)
+      window.removeEventListener(SW_OFFLINE_READY_EVENT, handleOfflineReady)
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!offlineReady) return undefined
+    const timeout = setTimeout(() => setOfflineReady(false), OFFLINE_READY_MS)
+    return () => clearTimeout(timeout)
+  }, [offlineReady])
+
+  if (registration) {
+    return (
+      <Banner role="alert" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+        🔄 {t('appUpdate.available')}
+        <button className="primary" onClick={() => applyServiceWorkerUpdate(registration)}>
+          {t('appUpdate.update')}
+        </button>
+        <button onClick={() => setRegistration(null)}>{t('appUpdate.later')}</button>
+      </Banner>
+    )
+  }
+
+  if (!online) {
+    return (
+      <Banner $offline role="status" initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+        📴 {t('appUpdate.offline')}
+      </Banner>
+    )
+  }
+
+  if (offlineReady) {
+    return (
+      <Banner role="status" initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+        ✅ {t('appUpdate.offlineReady')}
+      </Banner>
+    )
+  }
+
+  return null
+}
+
+export default AppUpdatePrompt
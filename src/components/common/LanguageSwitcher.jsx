@@ -0,0 +1,96 @@
+/**
+ * @file LanguageSwitcher.jsx
+ * @description Troca o idioma do portal em tempo de execução
+ * A escolha vale para textos, falas (voz do idioma) e pacotes de conteúdo padrão;
+ * fica salva neste dispositivo e nas preferências do perfil ativo da criança.
+ */
+
+import React, { useContext, useEffect } from 'react'
+import styled from 'styled-components'
+import { useTranslation } from 'react-i18next'
+import { UserContext } from '../../contexts/UserContext'
+import { SUPPORTED_LANGUAGES, normalizeLanguage, setLanguage } from '../../utils/shared/i18n.js'
+
+const LanguageSelect = styled.select`
+  background: rgba(255, 255, 255, 0.9);
+  border: 2px solid var(--primary-blue);
+  border-radius: var(--radius-medium);
+  padding: 0 var(--space-xs);
+  height: 44px;
+  color: var(--primary-blue);
+  font-size: var(--font-size-sm);
+  font-weight: 600;
+  cursor: pointer;
+  box-shadow: var(--shadow-light);
+
+  &:focus {
+    outline: 3px solid var(--primary-orange);
+    outline-offset: 2px;
+  }
+
+  @media (max-width: 768px) {
+    height: 40px;
+  }
+
+  @media (max-width: 480px) {
+    height: 36px;
+    font-size: var(--font-size-xs);
+  }
+`
+
+function LanguageSwitcher() {
+  const { t, i18n } = useTranslation()
+  const userContext = useContext(UserContext)
+  const current = normalizeLanguage(i18n.language)
+  // Estável no UserContext; muda quando a criança ativa muda
+  const getActiveUserProfile = userContext?.getActiveUserProfile
+
+  // O idioma salvo no perfil ativo vale ao trocar de criança
+  useEffect(() => {
+    let cancelled = false
+    const applyProfileLanguage = async () => {
+      try {
+        const profile = await getActiveUserProfile?.()
+        const language = profile?.preferences?.language
+        if (!cancelled && language) await setLanguage(language)
+      } catch (error) {
+        console.warn('Idioma do perfil indisponível, mantendo o deste dispositivo:', error.message)
+      }
+    }
+    applyProfileLanguage()
+    return () => {
+      cancelled = true
+    }
+  }, [getActiveUserProfile])
+
+  const handleChange = async (event) => {
+    const language = await setLanguage(event.target.value)
+    try {
+      const profile = await userContext?.getActiveUserProfile?.()
+      if (profile?.id) {
+        await userContext.updateUserProfile(profile.id, {
+          preferences: { ...profile.preferences, language },
+        })
+      }
+    } catch (error) {
+      console.warn('Não foi possível salvar o idioma no perfil:', error.message)
+    }
+  }
+
+  return (
+    <LanguageSelect
+      value={current}
+      onChange={handleChange}
+      title={t('language.label')}
+      aria-label={t('language.label')}
+    >
+      {Object.entries(SUPPORTED_LANGUAGES).map(([code, { label, flag }]) => (
+        <option key={code} value={code} lang={code}>
+          {flag} {label}
+        </option>
+      ))}
+    </LanguageSelect>
+  )
+}
+
+export default LanguageSwitcher
@@ -2,6 +2,10 @@ import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react'
 import styled from 'styled-components';
 import { motion } from 'framer-motion';
 import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import { getVoiceProfile, selectProfileVoice } from '../../utils/tts/voiceProfile.js';
+import { speakPhrase } from '../../utils/tts/phrasePlayer.js';
+import { getSpeechLanguage } from '../../utils/shared/i18n.js';
 
 // Constantes para tamanhos
 const SIZES = {
@@ -58,8 +62,9 @@ const SpeechButton = styled(motion.button)`
 const TextToSpeech = ({ 
   text = '', 
   voice = null, 
-  rate = 0.9, 
-  pitch = 1, 
+  rate, 
+  pitch, 
+  targetWord = null,
   size = 'medium', 
   ariaLabel = null,
   onStart = null,
@@ -69,21 +74,20 @@ const TextToSpeech = ({
   const [speaking, setSpeaking] = useState(false);
   const [voices, setVoices] = useState([]);
   const [error, setError] = useState(null);
-  const utteranceRef = useRef(null);
+  const playbackRef = useRef(null);
   
   // Memoizar a verificação de suporte
   const supported = useMemo(() => {
     return typeof window !== 'undefined' && 'speechSynthesis' in window;
   }, []);
 
-  // Memoizar a voz portuguesa
-  const portugueseVoice = useMemo(() => {
-    return voices.find(v => 
-      v.lang.startsWith('pt') || 
-      v.name.toLowerCase().includes('portuguese') ||
-      v.name.toLowerCase().includes('brasil')
-    );
-  }, [voices]);
+  const { t, i18n } = useTranslation();
+  const speechLang = getSpeechLanguage(i18n.language);
+
+  // Memoizar a voz do perfil da criança (ou a do idioma atual)
+  const profileVoice = useMemo(() => {
+    return selectProfileVoice(voices, getVoiceProfile(), speechLang);
+  }, [voices, speechLang]);
   useEffect(() => {
     if (!supported) return;
 
@@ -119,6 +123,7 @@ const TextToSpeech = ({
   // Cleanup quando o componente é desmontado
   useEffect(() => {
     return () => {
+      playbackRef.current?.cancel();
       if (supported && window.speechSynthesis.speaking) {
         window.speechSynthesis.cancel();
       }
@@ -131,54 +136,54 @@ const TextToSpeech = ({
     }
 
     // Parar qualquer fala anterior
+    playbackRef.current?.cancel();
     window.speechSynthesis.cancel();
     setError(null);
 
-    const utterance = new SpeechSynthesisUtterance(text.trim());
-    utterance.rate = Math.max(0.1, Math.min(rate, 2)); // Clamp rate to valid range
-    utterance.pitch = Math.max(0, Math.min(pitch, 2)); // Clamp pitch to valid range
-    utterance.volume = 1;
-    utterance.lang = 'pt-BR'; // Definir idioma explicitamente
-
-    // Usar a voz especificada, ou a portuguesa, ou a padrão
-    utterance.voice = voice || portugueseVoice || null;
-
-    utterance.onstart = () => {
-      setSpeaking(true);
-      onStart?.(utterance);
-    };
-    
-    utterance.onend = () => {
-      setSpeaking(false);
-      utteranceRef.current = null;
-      onEnd?.(utterance);
-    };
-    
-    utterance.onerror = (event) => {
-      console.error('Text-to-Speech error:', event.error);
-      const errorMessage = `Erro de Text-to-Speech: ${event.error}`;
-      setError(errorMessage);
-      setSpeaking(false);
-      utteranceRef.current = null;
-      onError?.(event);
-    };
-
-    utteranceRef.current = utterance;
-    
     try {
-      window.speechSynthesis.speak(utterance);
+      // Gravação da frase ou voz sintetizada com o perfil de voz da criança;
+      // rate e pitch, se informados, ajustam o perfil
+      const playback = speakPhrase(text.trim(), {
+        lang: speechLang,
+        voice: voice || profileVoice || null,
+        rate,
+        pitch,
+        targetWord: targetWord || undefined,
+        volume: 1,
+        onStart: () => {
+          setSpeaking(true);
+          onStart?.(playback);
+        },
+      });
+      playbackRef.current = playback;
+
+      playback.done.then(
+        () => {
+          setSpeaking(false);
+          playbackRef.current = null;
+          onEnd?.(playback);
+        },
+        (err) => {
+          console.error('Text-to-Speech error:', err.message);
+          setError(t('tts.error', { error: err.message }));
+          setSpeaking(false);
+          playbackRef.current = null;
+          onError?.(err);
+        }
+      );
     } catch (err) {
       console.error('Erro ao iniciar Text-to-Speech:', err);
-      setError('Erro ao iniciar a leitura');
+      setError(t('tts.startError'));
       setSpeaking(false);
     }
-  }, [text, voice, rate, pitch, supported, portugueseVoice, onStart, onEnd, onError]);
+  }, [text, voice, rate, pitch, targetWord, supported, speechLang, profileVoice, onStart, onEnd, onError, t]);
   const stopSpeaking = useCallback(() => {
     if (supported) {
+      playbackRef.current?.cancel();
       window.speechSynthesis.cancel();
       setSpeaking(false);
       setError(null);
-      utteranceRef.current = null;
+      playbackRef.current = null;
     }
   }, [supported]);
 
@@ -194,10 +199,9 @@ const TextToSpeech = ({
   const generateAriaLabel = useCallback(() => {
     if (ariaLabel) return ariaLabel;
     
-    const action = speaking ? 'Parar' : 'Ouvir';
     const textPreview = text.length > 50 ? `${text.substring(0, 50)}...` : text;
-    return `${action} texto: ${textPreview}`;
-  }, [ariaLabel, speaking, text]);
+    return t(speaking ? 'tts.stopText' : 'tts.listenText', { text: textPreview });
+  }, [ariaLabel, speaking, text, t]);
 
   if (!supported) {
     return null;
@@ -210,7 +214,7 @@ const TextToSpeech = ({
         $size={size}
         disabled={!text.trim()}
         aria-label={generateAriaLabel()}
-        title={speaking ? 'Parar leitura' : 'Ouvir texto'}
+        title={speaking ? t('tts.stop') : t('tts.listen')}
         whileHover={{ scale: 1.1 }}
         whileTap={{ scale: 0.95 }}
         role="button"
@@ -239,6 +243,7 @@ TextToSpeech.propTypes = {
   voice: PropTypes.object,
   rate: PropTypes.number,
   pitch: PropTypes.number,
+  targetWord: PropTypes.string,
   size: PropTypes.oneOf(['small', 'medium', 'large']),
   ariaLabel: PropTypes.string,
   onStart: PropTypes.func,
@@ -0,0 +1,109 @@
+/**
+ * @file TokenBoard.jsx
+ * @description Quadro de fichas mostrado durante as atividades
+ * Os espaços vão sendo preenchidos a cada ficha ganha; ao lado aparece a recompensa que
+ * a criança está juntando fichas para trocar.
+ */
+
+import React, { useEffect, useState } from 'react'
+import styled from 'styled-components'
+import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
+import { audioGenerator } from '../../utils/audio/audioGenerator.js'
+import { TOKENS_CHANGED_EVENT, loadTokenEconomy } from '../../utils/game/tokenEconomy.js'
+
+const Board = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  flex-wrap: wrap;
+  gap: var(--space-sm);
+  margin: 0 auto var(--space-md);
+  padding: var(--space-sm) var(--space-md);
+  background: rgba(255, 255, 255, 0.9);
+  border-radius: var(--radius-large);
+  box-shadow: var(--shadow-light);
+  width: fit-content;
+`
+
+const Slot = styled(motion.span)`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: 40px;
+  height: 40px;
+  border-radius: 50%;
+  border: 2px dashed ${(props) => (props.$filled ? 'transparent' : 'var(--light-gray)')};
+  background: ${(props) => (props.$filled ? 'rgba(255, 215, 0, 0.25)' : 'white')};
+  font-size: 1.5rem;
+`
+
+const Goal = styled.span`
+  display: flex;
+  align-items: center;
+  gap: var(--space-xs);
+  margin-left: var(--space-sm);
+  font-size: var(--font-size-sm);
+  font-weight: 600;
+  color: var(--dark-gray);
+
+  span {
+    font-size: 2rem;
+  }
+`
+
+// Recompensa mais barata que ainda falta juntar; se já dá para trocar, a mais cara possível
+const pickGoal = (rewards, balance) => {
+  const sorted = [...rewards].sort((a, b) => a.cost - b.cost)
+  const affordable = sorted.filter((reward) => reward.cost <= balance)
+  if (affordable.length > 0) return { reward: affordable[affordable.length - 1], ready: true }
+  return sorted.length > 0 ? { reward: sorted[0], ready: false } : null
+}
+
+function TokenBoard() {
+  const { t } = useTranslation()
+  const userId = localStorage.getItem('betina_user_id')
+  const [economy, setEconomy] = useState(() => loadTokenEconomy(userId))
+
+  useEffect(() => {
+    const handleChanged = (event) => {
+      setEconomy(loadTokenEconomy(userId))
+      if (event.detail?.delivery?.type === 'token') audioGenerator.playTokenSound()
+    }
+    window.addEventListener(TOKENS_CHANGED_EVENT, handleChanged)
+    return () => window.removeEventListener(TOKENS_CHANGED_EVENT, handleChanged)
+  }, [userId])
+
+  const { config, balance } = economy
+  if (!config.enabled) return null
+
+  const goal = pickGoal(config.rewards, balance)
+
+  return (
+    <Board role="status" aria-label={t('tokens.board.label', { balance, size: config.boardSize })}>
+      {Array.from({ length: config.boardSize }, (_, index) => (
+        <Slot
+          key={index}
+          $filled={index < balance}
+          initial={false}
+          animate={{ scale: index === balance - 1 ? [1.4, 1] : 1 }}
+        >
+          {index < balance ? config.tokenEmoji : ''}
+        </Slot>
+      ))}
+      {goal && (
+        <Goal>
+          → <span aria-hidden="true">{goal.reward.emoji}</span>
+          {goal.ready
+            ? t('tokens.board.ready', { reward: goal.reward.label })
+            : t('tokens.board.missing', {
+                count: goal.reward.cost - balance,
+                reward: goal.reward.label,
+              })}
+        </Goal>
+      )}
+    </Board>
+  )
+}
+
+export default TokenBoard
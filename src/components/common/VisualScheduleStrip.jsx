@@ -0,0 +1,216 @@
+/**
+ * @file VisualScheduleStrip.jsx
+ * @description Faixa da agenda visual mostrada à criança durante a sessão
+ * Figuras de todas as etapas, o quadro "primeiro → depois" e a contagem regressiva
+ * da etapa atual.
+ */
+
+import React from 'react'
+import styled from 'styled-components'
+import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
+import ActivityTimer from './ActivityTimer.jsx'
+import { getFirstThen, getStepVisual } from '../../utils/sessions/visualSchedule.js'
+
+const StripContainer = styled(motion.section)`
+  background: rgba(255, 255, 255, 0.95);
+  border-radius: var(--radius-large);
+  padding: var(--space-md) var(--space-lg);
+  margin-bottom: var(--space-lg);
+  box-shadow: var(--shadow-medium);
+`
+
+const StepsRow = styled.ol`
+  display: flex;
+  gap: var(--space-sm);
+  list-style: none;
+  margin: 0 0 var(--space-md);
+  padding: 0;
+  overflow-x: auto;
+`
+
+const StepTile = styled.li`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  min-width: 64px;
+  padding: var(--space-xs);
+  border-radius: var(--radius-medium);
+  border: 3px solid
+    ${(props) => (props.$state === 'current' ? 'var(--primary-orange)' : 'transparent')};
+  background: ${(props) => (props.$state === 'done' ? 'var(--light-gray)' : 'white')};
+  opacity: ${(props) => (props.$state === 'done' ? 0.5 : 1)};
+  font-size: var(--font-size-sm);
+  text-align: center;
+
+  span {
+    font-size: 2rem;
+  }
+`
+
+const FirstThenRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: center;
+  gap: var(--space-md);
+`
+
+const FirstThenCard = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  min-width: 140px;
+  padding: var(--space-md);
+  border-radius: var(--radius-large);
+  background: ${(props) =>
+    props.$highlight
+      ? 'linear-gradient(135deg, var(--primary-blue), var(--primary-cyan))'
+      : 'var(--light-gray)'};
+  color: ${(props) => (props.$highlight ? 'white' : 'var(--dark-gray)')};
+  font-weight: bold;
+
+  small {
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+  }
+
+  span {
+    font-size: 3.5rem;
+  }
+`
+
+const Arrow = styled.span`
+  font-size: 2.5rem;
+  color: var(--primary-blue);
+`
+
+const Controls = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: center;
+  gap: var(--space-md);
+  margin-top: var(--space-md);
+`
+
+const StripButton = styled(motion.button)`
+  background: ${(props) =>
+    props.$secondary
+      ? 'white'
+      : 'linear-gradient(135deg, var(--primary-green), var(--primary-cyan))'};
+  color: ${(props) => (props.$secondary ? 'var(--primary-blue)' : 'white')};
+  border: 2px solid ${(props) => (props.$secondary ? 'var(--primary-blue)' : 'transparent')};
+  padding: var(--space-sm) var(--space-lg);
+  border-radius: var(--radius-medium);
+  font-size: var(--font-size-base);
+  font-weight: bold;
+  cursor: pointer;
+`
+
+const StepScreen = styled(motion.div)`
+  background: rgba(255, 255, 255, 0.95);
+  border-radius: var(--radius-large);
+  padding: var(--space-xl);
+  box-shadow: var(--shadow-medium);
+  text-align: center;
+  color: var(--primary-blue);
+
+  span {
+    display: block;
+    font-size: 8rem;
+  }
+
+  h2 {
+    font-size: var(--font-size-xxl);
+    margin: var(--space-md) 0 0;
+  }
+`
+
+/**
+ * @param {Object} props
+ * @param {Object} props.run - Execução da agenda (getScheduleRun)
+ * @param {Function} props.onAdvance - Recebe o motivo: 'completed' | 'timeout'
+ * @param {Function} props.onStop - Encerra a agenda
+ */
+const VisualScheduleStrip = ({ run, onAdvance, onStop }) => {
+  const { t } = useTranslation()
+  const { first, then } = getFirstThen(run)
+  if (!first) return null
+
+  const firstVisual = getStepVisual(first, t)
+  const thenVisual = then ? getStepVisual(then, t) : { label: t('schedule.end'), emoji: '🏁' }
+
+  return (
+    <StripContainer
+      aria-label={t('schedule.stripLabel', { title: run.title })}
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+    >
+      <StepsRow>
+        {run.steps.map((step, index) => {
+          const { label, emoji } = getStepVisual(step, t)
+          let state = 'upcoming'
+          if (index < run.index) state = 'done'
+          if (index === run.index) state = 'current'
+          return (
+            <StepTile
+              key={step.id}
+              $state={state}
+              aria-current={state === 'current' ? 'step' : undefined}
+            >
+              <span aria-hidden="true">{state === 'done' ? '✅' : emoji}</span>
+              {label}
+            </StepTile>
+          )
+        })}
+      </StepsRow>
+
+      <FirstThenRow>
+        <FirstThenCard $highlight>
+          <small>{t('schedule.first')}</small>
+          <span aria-hidden="true">{firstVisual.emoji}</span>
+          {firstVisual.label}
+        </FirstThenCard>
+        <Arrow aria-hidden="true">➡️</Arrow>
+        <FirstThenCard>
+          <small>{t('schedule.then')}</small>
+          <span aria-hidden="true">{thenVisual.emoji}</span>
+          {thenVisual.label}
+        </FirstThenCard>
+      </FirstThenRow>
+
+      <Controls>
+        <ActivityTimer
+          countdown={{ startedAt: run.stepStartedAt, durationMs: first.minutes * 60000 }}
+          onCountdownEnd={() => onAdvance('timeout')}
+        />
+        <StripButton whileTap={{ scale: 0.95 }} onClick={() => onAdvance('completed')}>
+          ✓ {t('schedule.done')}
+        </StripButton>
+        <StripButton $secondary whileTap={{ scale: 0.95 }} onClick={onStop}>
+          ⏹️ {t('schedule.stop')}
+        </StripButton>
+      </Controls>
+    </StripContainer>
+  )
+}
+
+/**
+ * Tela grande da etapa de pausa ou de recompensa
+ * @param {Object} props
+ * @param {Object} props.step - Etapa atual
+ */
+export const ScheduleStepScreen = ({ step }) => {
+  const { t } = useTranslation()
+  const { label, emoji } = getStepVisual(step, t)
+  return (
+    <StepScreen initial={{ scale: 0.9, opacity: 0 }} animate={{ scale: 1, opacity: 1 }}>
+      <p>{t(`schedule.headings.${step.type}`)}</p>
+      <span aria-hidden="true">{emoji}</span>
+      <h2>{label}</h2>
+    </StepScreen>
+  )
+}
+
+export default VisualScheduleStrip
@@ -0,0 +1,274 @@
+/**
+ * @file VoiceClipRecorder.jsx
+ * @description Gravação da voz do responsável ou terapeuta para frases das atividades
+ * Usado no painel de acessibilidade; a gravação toca no lugar da voz sintetizada sempre
+ * que a frase aparece para a criança.
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import styled from 'styled-components'
+import PropTypes from 'prop-types'
+import { useTranslation } from 'react-i18next'
+import {
+  MAX_VOICE_CLIP_MS,
+  VOICE_CLIPS_CHANGED_EVENT,
+  getVoiceClipStore,
+} from '../../utils/tts/voiceClips.js'
+
+const Recorder = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  padding: 6px 10px;
+`
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+`
+
+const PhraseInput = styled.input`
+  flex: 1;
+  min-width: 0;
+  padding: 4px 8px;
+  border-radius: 6px;
+  border: 1px solid #e0e0e0;
+  font-size: 12px;
+  color: #444;
+
+  &:focus {
+    outline: none;
+    border-color: #6b48ff;
+    box-shadow: 0 0 0 2px rgba(107, 72, 255, 0.2);
+  }
+`
+
+const SmallSelect = styled.select`
+  padding: 4px 6px;
+  border-radius: 6px;
+  border: 1px solid #e0e0e0;
+  background: white;
+  color: #444;
+  font-size: 12px;
+`
+
+const ActionButton = styled.button`
+  padding: 4px 8px;
+  border-radius: 6px;
+  border: 1px solid ${(props) => (props.$recording ? '#ff6b9a' : '#e0e0e0')};
+  background: ${(props) => (props.$recording ? '#ffe8ef' : 'white')};
+  color: #444;
+  font-size: 12px;
+  cursor: pointer;
+  white-space: nowrap;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+
+  &:focus {
+    outline: none;
+    border-color: #6b48ff;
+    box-shadow: 0 0 0 2px rgba(107, 72, 255, 0.2);
+  }
+`
+
+const ClipList = styled.ul`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+`
+
+const ClipItem = styled.li`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  font-size: 12px;
+  color: #444;
+
+  span {
+    flex: 1;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+`
+
+const Message = styled.p`
+  margin: 0;
+  font-size: 11px;
+  color: ${(props) => (props.$error ? '#d0342c' : '#777')};
+`
+
+// Quem grava; os nomes ficam em voiceClips.speakers nos locales
+const SPEAKERS = ['guardian', 'therapist']
+
+const VoiceClipRecorder = ({ childId }) => {
+  const { t } = useTranslation()
+  const [clips, setClips] = useState([])
+  const [phrase, setPhrase] = useState('')
+  const [recordedBy, setRecordedBy] = useState('guardian')
+  const [recording, setRecording] = useState(false)
+  const [message, setMessage] = useState(null)
+  const recorderRef = useRef(null)
+  const stopTimerRef = useRef(null)
+
+  const supported =
+    typeof window !== 'undefined' &&
+    typeof window.MediaRecorder !== 'undefined' &&
+    Boolean(navigator.mediaDevices?.getUserMedia)
+
+  const loadClips = useCallback(async () => {
+    if (!childId) return
+    setClips(await getVoiceClipStore().listClips(childId))
+  }, [childId])
+
+  useEffect(() => {
+    loadClips()
+    window.addEventListener(VOICE_CLIPS_CHANGED_EVENT, loadClips)
+    return () => window.removeEventListener(VOICE_CLIPS_CHANGED_EVENT, loadClips)
+  }, [loadClips])
+
+  // Microfone liberado se o painel fechar no meio da gravação
+  useEffect(
+    () => () => {
+      clearTimeout(stopTimerRef.current)
+      if (recorderRef.current?.state === 'recording') recorderRef.current.stop()
+    },
+    []
+  )
+
+  const startRecording = async () => {
+    setMessage(null)
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+      const recorder = new MediaRecorder(stream)
+      const chunks = []
+      const startedAt = Date.now()
+      const phraseToSave = phrase
+
+      recorder.ondataavailable = (event) => event.data.size > 0 && chunks.push(event.data)
+      recorder.onstop = async () => {
+        clearTimeout(stopTimerRef.current)
+        stream.getTracks().forEach((track) => track.stop())
+        setRecording(false)
+        try {
+          const audio = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' })
+          await getVoiceClipStore().saveClip(childId, phraseToSave, audio, {
+            recordedBy,
+            durationMs: Math.min(Date.now() - startedAt, MAX_VOICE_CLIP_MS),
+          })
+          setPhrase('')
+          setMessage({ text: t('voiceClips.saved') })
+        } catch (error) {
+          setMessage({ text: error.message, error: true })
+        }
+      }
+
+      recorderRef.current = recorder
+      recorder.start()
+      setRecording(true)
+      // Para sozinho no tempo máximo de uma frase
+      stopTimerRef.current = setTimeout(() => recorder.stop(), MAX_VOICE_CLIP_MS)
+    } catch (error) {
+      console.error('Erro ao acessar o microfone:', error)
+      setMessage({ text: t('voiceClips.micError'), error: true })
+    }
+  }
+
+  const stopRecording = () => {
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop()
+  }
+
+  const playClip = (clip) => {
+    const url = URL.createObjectURL(clip.audio)
+    const audio = new Audio(url)
+    audio.onended = () => URL.revokeObjectURL(url)
+    audio.play().catch(() => URL.revokeObjectURL(url))
+  }
+
+  const deleteClip = async (clip) => {
+    await getVoiceClipStore().deleteClip(childId, clip.phrase)
+  }
+
+  if (!childId) {
+    return (
+      <Recorder>
+        <Message>{t('voiceClips.needsChild')}</Message>
+      </Recorder>
+    )
+  }
+
+  return (
+    <Recorder>
+      <Row>
+        <PhraseInput
+          value={phrase}
+          onChange={(e) => setPhrase(e.target.value)}
+          placeholder={t('voiceClips.phrasePlaceholder')}
+          aria-label={t('voiceClips.phraseLabel')}
+          disabled={recording}
+        />
+        <SmallSelect
+          value={recordedBy}
+          onChange={(e) => setRecordedBy(e.target.value)}
+          aria-label={t('voiceClips.speakerLabel')}
+          disabled={recording}
+        >
+          {SPEAKERS.map((speaker) => (
+            <option key={speaker} value={speaker}>
+              {t(`voiceClips.speakers.${speaker}`)}
+            </option>
+          ))}
+        </SmallSelect>
+        <ActionButton
+          $recording={recording}
+          onClick={recording ? stopRecording : startRecording}
+          disabled={!supported || (!recording && !phrase.trim())}
+          aria-label={recording ? t('voiceClips.stopLabel') : t('voiceClips.recordLabel')}
+        >
+          {recording ? `⏹️ ${t('voiceClips.stop')}` : `🎙️ ${t('voiceClips.record')}`}
+        </ActionButton>
+      </Row>
+
+      {!supported && <Message>{t('voiceClips.unsupported')}</Message>}
+      {message && <Message $error={message.error}>{message.text}</Message>}
+
+      {clips.length > 0 && (
+        <ClipList aria-label={t('voiceClips.listLabel')}>
+          {clips.map((clip) => (
+            <ClipItem key={clip.id}>
+              <span title={clip.phrase}>
+                “{clip.phrase}” ·{' '}
+                {t(`voiceClips.speakers.${clip.recordedBy}`, { defaultValue: clip.recordedBy })}
+              </span>
+              <ActionButton
+                onClick={() => playClip(clip)}
+                aria-label={t('voiceClips.listen', { phrase: clip.phrase })}
+              >
+                ▶️
+              </ActionButton>
+              <ActionButton
+                onClick={() => deleteClip(clip)}
+                aria-label={t('voiceClips.delete', { phrase: clip.phrase })}
+              >
+                🗑️
+              </ActionButton>
+            </ClipItem>
+          ))}
+        </ClipList>
+      )}
+    </Recorder>
+  )
+}
+
+VoiceClipRecorder.propTypes = {
+  childId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+}
+
+export default VoiceClipRecorder
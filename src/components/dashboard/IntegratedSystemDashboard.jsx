@@ -9,8 +9,10 @@
 import React, { useState, useEffect } from 'react'
 import styled from 'styled-components'
 import { motion, AnimatePresence } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
 import useSystemOrchestrator from '../../hooks/useSystemOrchestrator.js'
 import { useUser } from '../../contexts/UserContext.jsx'
+import { getSpeechLanguage } from '../../utils/shared/i18n.js'
 
 const DashboardContainer = styled.div`
   display: flex;
@@ -269,6 +271,7 @@ const ErrorMessage = styled.div`
 `
 
 const IntegratedSystemDashboard = () => {
+  const { t, i18n } = useTranslation()
   const { userId } = useUser()
   const {
     isReady,
@@ -310,8 +313,8 @@ const IntegratedSystemDashboard = () => {
   }
 
   const formatTimestamp = (timestamp) => {
-    if (!timestamp) return 'Nunca'
-    return new Date(timestamp).toLocaleString('pt-BR')
+    if (!timestamp) return t('dashboard.system.never')
+    return new Date(timestamp).toLocaleString(getSpeechLanguage(i18n.language))
   }
 
   const getSystemStatusColor = (health) => {
@@ -323,93 +326,103 @@ const IntegratedSystemDashboard = () => {
   const systems = [
     {
       id: 'orchestrator',
-      name: '🎯 Orquestrador',
+      name: `🎯 ${t('dashboard.system.systems.orchestrator')}`,
       status: isActive ? 'active' : 'error',
       health: isActive ? 0.95 : 0,
       metrics: {
-        Estado: isActive ? 'Ativo' : 'Inativo',
-        'Última Sync': formatTimestamp(lastSync),
-        'Intervenções Ativas': activeInterventions || 0,
+        state: isActive ? t('dashboard.system.status.active') : t('dashboard.system.status.error'),
+        lastSync: formatTimestamp(lastSync),
+        activeInterventions: activeInterventions || 0,
       },
     },
     {
       id: 'metrics',
-      name: '📊 Métricas Avançadas',
+      name: `📊 ${t('dashboard.system.systems.metrics')}`,
       status: systemHealth.metrics ? getSystemStatusColor(systemHealth.metrics) : 'warning',
       health: systemHealth.metrics || 0.7,
       metrics: {
-        Performance: `${((systemHealth.metrics || 0.7) * 100).toFixed(1)}%`,
-        Análises: realTimeInsights.metricsCount || 0,
-        'Última Análise': formatTimestamp(realTimeInsights.lastMetricsUpdate),
+        performance: `${((systemHealth.metrics || 0.7) * 100).toFixed(1)}%`,
+        analyses: realTimeInsights.metricsCount || 0,
+        lastAnalysis: formatTimestamp(realTimeInsights.lastMetricsUpdate),
       },
     },
     {
       id: 'ml',
-      name: '🤖 Machine Learning',
+      name: `🤖 ${t('dashboard.system.systems.ml')}`,
       status: systemHealth.ml ? getSystemStatusColor(systemHealth.ml) : 'warning',
       health: systemHealth.ml || 0.8,
       metrics: {
-        'Modelos Ativos': realTimeInsights.activeModels || 4,
-        'Predições/min': realTimeInsights.predictionsPerMinute || 12,
-        Acurácia: `${((systemHealth.ml || 0.8) * 100).toFixed(1)}%`,
+        activeModels: realTimeInsights.activeModels || 4,
+        predictionsPerMinute: realTimeInsights.predictionsPerMinute || 12,
+        accuracy: `${((systemHealth.ml || 0.8) * 100).toFixed(1)}%`,
       },
     },
     {
       id: 'therapeutic',
-      name: '🏥 Análise Terapêutica',
+      name: `🏥 ${t('dashboard.system.systems.therapeutic')}`,
       status: systemHealth.therapeutic ? getSystemStatusColor(systemHealth.therapeutic) : 'warning',
       health: systemHealth.therapeutic || 0.85,
       metrics: {
-        'Análises Completas': therapeuticInsights.completedAnalyses || 0,
-        Recomendações: therapeuticInsights.activeRecommendations || 0,
-        Progresso: `${((systemHealth.therapeutic || 0.85) * 100).toFixed(1)}%`,
+        completedAnalyses: therapeuticInsights.completedAnalyses || 0,
+        recommendations: therapeuticInsights.activeRecommendations || 0,
+        progress: `${((systemHealth.therapeutic || 0.85) * 100).toFixed(1)}%`,
       },
     },
     {
       id: 'accessibility',
-      name: '♿ Acessibilidade',
+      name: `♿ ${t('dashboard.system.systems.accessibility')}`,
       status: systemHealth.accessibility
         ? getSystemStatusColor(systemHealth.accessibility)
         : 'active',
       health: systemHealth.accessibility || 0.9,
       metrics: {
-        'Adaptações Ativas': Object.keys(accessibilityAdaptations).length || 0,
-        'Suporte Habilitado': 'Completo',
-        'Última Adaptação': formatTimestamp(accessibilityAdaptations.lastUpdate),
+        activeAdaptations: Object.keys(accessibilityAdaptations).length || 0,
+        supportEnabled: t('dashboard.system.full'),
+        lastAdaptation: formatTimestamp(accessibilityAdaptations.lastUpdate),
       },
     },
     {
       id: 'ai',
-      name: '🧠 IA DeepSeek',
+      name: `🧠 ${t('dashboard.system.systems.ai')}`,
       status: systemHealth.ai ? getSystemStatusColor(systemHealth.ai) : 'warning',
       health: systemHealth.ai || 0.75,
       metrics: {
-        Conexão: systemHealth.ai ? 'Conectada' : 'Verificando...',
-        'Relatórios Gerados': realTimeInsights.aiReportsCount || 0,
-        'Resposta Média': `${realTimeInsights.aiResponseTime || 2.1}s`,
+        connection: systemHealth.ai
+          ? t('dashboard.system.connected')
+          : t('dashboard.system.checking'),
+        reportsGenerated: realTimeInsights.aiReportsCount || 0,
+        averageResponse: `${realTimeInsights.aiResponseTime || 2.1}s`,
       },
     },
   ]
 
   const insights = [
     {
-      title: 'Engajamento do Usuário',
-      description: `${((realTimeInsights.userEngagement?.score || 0.85) * 100).toFixed(1)}% - Nível Alto`,
+      title: t('dashboard.system.insights.engagement'),
+      description: t('dashboard.system.insights.engagementValue', {
+        percent: ((realTimeInsights.userEngagement?.score || 0.85) * 100).toFixed(1),
+      }),
       icon: '📈',
     },
     {
-      title: 'Predições Adaptativas',
-      description: `${adaptiveRecommendations.length} recomendações pendentes`,
+      title: t('dashboard.system.insights.predictions'),
+      description: t('dashboard.system.insights.pendingRecommendations', {
+        count: adaptiveRecommendations.length,
+      }),
       icon: '🎯',
     },
     {
-      title: 'Progresso Terapêutico',
-      description: `${((therapeuticInsights.overallProgress || 0.72) * 100).toFixed(1)}% de progresso geral`,
+      title: t('dashboard.system.insights.therapeuticProgress'),
+      description: t('dashboard.system.insights.overallProgress', {
+        percent: ((therapeuticInsights.overallProgress || 0.72) * 100).toFixed(1),
+      }),
       icon: '🏆',
     },
     {
-      title: 'Acessibilidade',
-      description: `${Object.keys(accessibilityAdaptations).length} adaptações aplicadas`,
+      title: t('dashboard.system.insights.accessibility'),
+      description: t('dashboard.system.insights.appliedAdaptations', {
+        count: Object.keys(accessibilityAdaptations).length,
+      }),
       icon: '✨',
     },
   ]
@@ -427,13 +440,11 @@ const IntegratedSystemDashboard = () => {
   return (
     <DashboardContainer>
       <DashboardHeader>
-        <DashboardTitle>🎯 Sistema Orquestrador Portal Betina</DashboardTitle>
-        <DashboardSubtitle>
-          Monitoramento integrado de sistemas avançados com IA e ML
-        </DashboardSubtitle>
+        <DashboardTitle>🎯 {t('dashboard.system.title')}</DashboardTitle>
+        <DashboardSubtitle>{t('dashboard.system.subtitle')}</DashboardSubtitle>
       </DashboardHeader>
 
-      {error && <ErrorMessage>⚠️ Erro no sistema: {error}</ErrorMessage>}
+      {error && <ErrorMessage>⚠️ {t('dashboard.system.systemError', { error })}</ErrorMessage>}
 
       {/* Status dos Sistemas */}
       <SystemsGrid>
@@ -450,17 +461,13 @@ const IntegratedSystemDashboard = () => {
                 <SystemTitle>{system.name}</SystemTitle>
                 <SystemStatus $status={system.status}>
                   <StatusIndicator $status={system.status} />
-                  {system.status === 'active'
-                    ? 'Ativo'
-                    : system.status === 'warning'
-                      ? 'Atenção'
-                      : 'Inativo'}
+                  {t(`dashboard.system.status.${system.status}`)}
                 </SystemStatus>
               </SystemHeader>
 
               {Object.entries(system.metrics).map(([key, value]) => (
                 <MetricRow key={key}>
-                  <MetricLabel>{key}:</MetricLabel>
+                  <MetricLabel>{t(`dashboard.system.metrics.${key}`)}:</MetricLabel>
                   <MetricValue>{value}</MetricValue>
                 </MetricRow>
               ))}
@@ -471,7 +478,7 @@ const IntegratedSystemDashboard = () => {
 
       {/* Insights em Tempo Real */}
       <InsightsSection>
-        <InsightsHeader>🧠 Insights em Tempo Real</InsightsHeader>
+        <InsightsHeader>🧠 {t('dashboard.system.realTimeInsights')}</InsightsHeader>
         <InsightsGrid>
           <AnimatePresence>
             {insights.map((insight, index) => (
@@ -494,7 +501,7 @@ const IntegratedSystemDashboard = () => {
       {/* Recomendações Adaptativas */}
       {adaptiveRecommendations.length > 0 && (
         <RecommendationsSection>
-          <InsightsHeader>🎯 Recomendações Adaptativas</InsightsHeader>
+          <InsightsHeader>🎯 {t('dashboard.system.adaptiveRecommendations')}</InsightsHeader>
           <AnimatePresence>
             {adaptiveRecommendations.slice(0, 5).map((recommendation, index) => (
               <RecommendationItem
@@ -506,10 +513,11 @@ const IntegratedSystemDashboard = () => {
                 <RecommendationIcon>{recommendation.icon || '💡'}</RecommendationIcon>
                 <RecommendationContent>
                   <RecommendationTitle>
-                    {recommendation.title || 'Recomendação Adaptativa'}
+                    {recommendation.title || t('dashboard.system.defaultRecommendation')}
                   </RecommendationTitle>
                   <RecommendationDescription>
-                    {recommendation.description || 'Otimização sugerida pelo sistema ML'}
+                    {recommendation.description ||
+                      t('dashboard.system.defaultRecommendationDescription')}
                   </RecommendationDescription>
                 </RecommendationContent>
               </RecommendationItem>
@@ -520,7 +528,7 @@ const IntegratedSystemDashboard = () => {
 
       {/* Ações do Dashboard */}
       <RecommendationsSection>
-        <InsightsHeader>⚙️ Ações do Sistema</InsightsHeader>
+        <InsightsHeader>⚙️ {t('dashboard.system.actions')}</InsightsHeader>
         <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
           <motion.button
             whileHover={{ scale: 1.05 }}
@@ -541,10 +549,10 @@ const IntegratedSystemDashboard = () => {
             {isGeneratingReport ? (
               <>
                 <LoadingSpinner style={{ width: '16px', height: '16px', marginRight: '0.5rem' }} />
-                Gerando Relatório...
+                {t('dashboard.system.generatingReport')}
               </>
             ) : (
-              '📊 Gerar Relatório Integrado'
+              `📊 ${t('dashboard.system.generateReport')}`
             )}
           </motion.button>
 
@@ -560,7 +568,8 @@ const IntegratedSystemDashboard = () => {
                 color: '#0369a1',
               }}
             >
-              ✅ Último relatório: {formatTimestamp(lastReport.generatedAt)}
+              ✅{' '}
+              {t('dashboard.system.lastReport', { date: formatTimestamp(lastReport.generatedAt) })}
             </motion.div>
           )}
         </div>
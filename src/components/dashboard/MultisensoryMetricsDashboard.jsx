@@ -4,6 +4,7 @@ import { motion } from 'framer-motion'
 import { useUser } from '../../contexts/UserContext'
 import multisensoryMetricsService from '../../utils/metrics/multisensoryMetricsService.js'
 import multisensoryMetrics from '../../utils/multisensoryAnalysis/multisensoryMetrics.js'
+import { detectMotorDifficulties, getMotorTrends } from '../../utils/metrics/motorAnalysis.js'
 import logger from '../../config/api-config.js'
 import {
   Chart as ChartJS,
@@ -53,6 +54,7 @@ const theme = {
     sensorOrange: '#EA580C',
     geolocationBlue: '#0EA5E9',
     multisensoryRainbow: 'linear-gradient(90deg, #3B82F6, #7C3AED, #EC4899, #F59E0B)',
+    motorTeal: '#0D9488',
     darkGray: '#1F2A44',
     mediumGray: '#6B7280',
     lightGray: '#F3F4F6',
@@ -77,6 +79,22 @@ const theme = {
   },
 }
 
+// Setas de tendência das métricas motoras
+const TREND_ICONS = { improving: '↗️', worsening: '↘️', stable: '➡️' }
+
+const HAND_LABELS = { right: 'Direita', left: 'Esquerda', balanced: 'Equilibrada' }
+
+const MOTOR_INSIGHTS = {
+  imprecise_taps: 'Toques frequentemente fora do centro dos alvos - botões maiores podem ajudar.',
+  tremor: 'Oscilação do dedo durante o toque - considere seleção por permanência (dwell click).',
+  long_contact: 'Toques longos e demorados para soltar - a seleção por permanência pode ajudar.',
+  fragmented_drags:
+    'Arrastos em vários trechos, com pausas no caminho - prefira toques a arrastos.',
+  declining_accuracy: 'Precisão dos toques caiu nas últimas sessões - observe cansaço ou mudanças.',
+}
+
+const formatTrend = (metric) => (metric?.trend ? ` ${TREND_ICONS[metric.trend]}` : '')
+
 // Styled Components
 const DashboardContainer = styled.div`
   display: flex;
@@ -337,8 +355,12 @@ const MultisensoryMetricsDashboard = ({
   const [neurodivergenceMetrics, setNeurodivergenceMetrics] = useState([])
   const [accessibilityMetrics, setAccessibilityMetrics] = useState([])
   const [interactionData, setInteractionData] = useState([])
+  const [motorTrends, setMotorTrends] = useState(null)
 
   const fetchMultisensoryData = useCallback(async () => {
+    // Histórico motor fica neste dispositivo, com ou sem usuário identificado
+    setMotorTrends(getMotorTrends(finalUserId))
+
     if (!finalUserId) {
       setIsLoading(false)
       return
@@ -481,11 +503,57 @@ const MultisensoryMetricsDashboard = ({
     }
   }, [accessibilityMetrics])
 
+  const motorChartData = useMemo(() => {
+    if (!motorTrends?.series.length) return null
+
+    const toPercent = (value) => (value === null ? null : Math.round(value * 100))
+    return {
+      labels: motorTrends.series.map((session) =>
+        new Date(session.startedAt).toLocaleDateString('pt-BR', {
+          day: '2-digit',
+          month: 'short',
+        })
+      ),
+      datasets: [
+        {
+          label: 'Acerto no Alvo',
+          data: motorTrends.series.map((session) => toPercent(session.hitRate)),
+          borderColor: theme.colors.motorTeal,
+          backgroundColor: theme.colors.motorTeal + '20',
+          tension: 0.3,
+          fill: true,
+          pointRadius: 3,
+          spanGaps: true,
+        },
+        {
+          label: 'Suavidade do Arrasto',
+          data: motorTrends.series.map((session) => toPercent(session.dragSmoothness)),
+          borderColor: theme.colors.primaryPink,
+          backgroundColor: theme.colors.primaryPink + '20',
+          tension: 0.3,
+          fill: false,
+          pointRadius: 3,
+          spanGaps: true,
+        },
+      ],
+    }
+  }, [motorTrends])
+
+  const motorNeeds = useMemo(() => detectMotorDifficulties(motorTrends), [motorTrends])
+
   const insights = useMemo(() => {
-    if (!multisensoryData && !sensorData?.length) return []
+    if (!multisensoryData && !sensorData?.length && !motorNeeds.detected) return []
 
     const insights = []
 
+    motorNeeds.indicators.forEach((indicator) => {
+      insights.push({
+        type: 'motor',
+        message: MOTOR_INSIGHTS[indicator],
+        color: theme.colors.motorTeal,
+      })
+    })
+
     if (sensorData?.length > 0) {
       const avgMovement =
         sensorData.reduce((sum, d) => sum + (d.movement_intensity || 0), 0) / sensorData.length
@@ -550,7 +618,7 @@ const MultisensoryMetricsDashboard = ({
     }
 
     return insights
-  }, [multisensoryData, sensorData, neurodivergenceMetrics, accessibilityMetrics])
+  }, [multisensoryData, sensorData, neurodivergenceMetrics, accessibilityMetrics, motorNeeds])
 
   if (isLoading) {
     return (
@@ -573,6 +641,7 @@ const MultisensoryMetricsDashboard = ({
     sensorData?.length > 0 ||
     neurodivergenceMetrics?.length > 0 ||
     accessibilityMetrics?.length > 0 ||
+    motorTrends?.sessions > 0 ||
     multisensoryData
 
   if (!hasData) {
@@ -776,6 +845,89 @@ const MultisensoryMetricsDashboard = ({
             </MetricCard>
           )}
 
+          {motorTrends?.sessions > 0 && (
+            <MetricCard
+              borderColor={theme.colors.motorTeal}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.35, duration: 0.3 }}
+            >
+              <MetricTitle>🖐️ Coordenação Motora</MetricTitle>
+              <ChartContainer>
+                <Line
+                  data={motorChartData}
+                  options={{
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                      legend: {
+                        position: 'top',
+                        labels: { font: { size: 12 } },
+                      },
+                      title: {
+                        display: true,
+                        text: 'Precisão e Arrasto por Sessão (%)',
+                        font: { size: 14 },
+                      },
+                      tooltip: {
+                        backgroundColor: theme.colors.darkGray,
+                        padding: 10,
+                      },
+                    },
+                    scales: {
+                      y: {
+                        beginAtZero: true,
+                        max: 100,
+                        ticks: { stepSize: 20 },
+                      },
+                      x: {
+                        ticks: { maxRotation: 45, minRotation: 45 },
+                      },
+                    },
+                  }}
+                />
+              </ChartContainer>
+              <StatsGrid>
+                <StatItem bgColor={theme.colors.motorTeal + '20'}>
+                  <StatValue color={theme.colors.motorTeal}>
+                    {motorTrends.metrics.hitRate.current === null
+                      ? '-'
+                      : `${Math.round(motorTrends.metrics.hitRate.current * 100)}%`}
+                    {formatTrend(motorTrends.metrics.hitRate)}
+                  </StatValue>
+                  <StatLabel>Acerto no Alvo</StatLabel>
+                </StatItem>
+                <StatItem bgColor={theme.colors.primaryOrange + '20'}>
+                  <StatValue color={theme.colors.primaryOrange}>
+                    {motorTrends.metrics.tremorPx.current ?? '-'}px
+                    {formatTrend(motorTrends.metrics.tremorPx)}
+                  </StatValue>
+                  <StatLabel>Tremor no Toque</StatLabel>
+                </StatItem>
+                <StatItem bgColor={theme.colors.primaryBlue + '20'}>
+                  <StatValue color={theme.colors.primaryBlue}>
+                    {motorTrends.metrics.dwellMs.current ?? '-'}ms
+                    {formatTrend(motorTrends.metrics.dwellMs)}
+                  </StatValue>
+                  <StatLabel>Tempo de Toque</StatLabel>
+                </StatItem>
+                <StatItem bgColor={theme.colors.primaryPink + '20'}>
+                  <StatValue color={theme.colors.primaryPink}>
+                    {motorTrends.metrics.curvature.current ?? '-'}
+                    {formatTrend(motorTrends.metrics.curvature)}
+                  </StatValue>
+                  <StatLabel>Curvatura do Arrasto</StatLabel>
+                </StatItem>
+                <StatItem bgColor={theme.colors.primaryPurple + '20'}>
+                  <StatValue color={theme.colors.primaryPurple}>
+                    {HAND_LABELS[motorTrends.handBias.side] || '-'}
+                  </StatValue>
+                  <StatLabel>Lado Preferido</StatLabel>
+                </StatItem>
+              </StatsGrid>
+            </MetricCard>
+          )}
+
           {interactionData?.length > 0 && (
             <MetricCard
               borderColor={theme.colors.primaryCyan}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useMemo, useCallback, useReducer } from 'react'
 import styled, { ThemeProvider, keyframes } from 'styled-components'
 import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
 import { useUser } from '../../contexts/UserContext.jsx'
 import databaseService from '../../database/core/DatabaseService.js'
 import neuropedagogicalService from '../../utils/metrics/neuropedagogicalService.js'
@@ -8,6 +9,7 @@ import logger from '../../config/api-config.js'
 import NeuropedagogicalDashboard from './NeuropedagogicalDashboard.jsx'
 import AIReportsTab from '../reports/AIReportsTab.jsx'
 import MultisensoryMetricsDashboard from './MultisensoryMetricsDashboard.jsx'
+import SessionReplayViewer from './SessionReplayViewer.jsx'
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -28,6 +30,7 @@ import { getProgressSummary } from '../../utils/analytics/progressReports.js'
 import PropTypes from 'prop-types'
 import { debounce } from 'lodash'
 import { CSVLink } from 'react-csv'
+import { getSpeechLanguage } from '../../utils/shared/i18n.js'
 
 // Registra componentes do Chart.js
 ChartJS.register(
@@ -640,55 +643,56 @@ const OrientationMessage = styled.div`
   }
 `
 
-const FilterBar = ({ timeframe, gameFilter, onTimeframeChange, onGameFilterChange }) => (
-  <FilterBarStyled>
-    <FilterGroupStyled>
-      <label htmlFor="timeframe">Período</label>
-      <SelectStyled
-        id="timeframe"
-        value={timeframe}
-        onChange={onTimeframeChange}
-        aria-label="Selecionar período"
-      >
-        {[
-          { value: '7d', label: '7 Dias' },
-          { value: '30d', label: '30 Dias' },
-          { value: '90d', label: '90 Dias' },
-          { value: 'all', label: 'Tudo' },
-        ].map((option) => (
-          <option key={option.value} value={option.value}>
-            {option.label}
-          </option>
-        ))}
-      </SelectStyled>
-    </FilterGroupStyled>
-    <FilterGroupStyled>
-      <label htmlFor="gameFilter">Jogo</label>
-      <SelectStyled
-        id="gameFilter"
-        value={gameFilter}
-        onChange={onGameFilterChange}
-        aria-label="Selecionar jogo"
-      >
-        {[
-          { value: 'all', label: 'Todos' },
-          { value: 'memory', label: 'Memória' },
-          { value: 'colorMatch', label: 'Cores' },
-          { value: 'imageAssociation', label: 'Associação' },
-          { value: 'letterRecognition', label: 'Letras' },
-          { value: 'numberCounting', label: 'Números' },
-          { value: 'musicalSequence', label: 'Música' },
-          { value: 'visual-patterns', label: 'Padrões' },
-          { value: 'emotional-puzzle', label: 'Emoções' },
-        ].map((option) => (
-          <option key={option.value} value={option.value}>
-            {option.label}
-          </option>
-        ))}
-      </SelectStyled>
-    </FilterGroupStyled>
-  </FilterBarStyled>
-)
+// Jogos do filtro, na ordem exibida
+const FILTER_GAMES = [
+  'all',
+  'memory',
+  'colorMatch',
+  'imageAssociation',
+  'letterRecognition',
+  'numberCounting',
+  'musicalSequence',
+  'visual-patterns',
+  'emotional-puzzle',
+]
+
+const FilterBar = ({ timeframe, gameFilter, onTimeframeChange, onGameFilterChange }) => {
+  const { t } = useTranslation()
+  return (
+    <FilterBarStyled>
+      <FilterGroupStyled>
+        <label htmlFor="timeframe">{t('dashboard.filters.period')}</label>
+        <SelectStyled
+          id="timeframe"
+          value={timeframe}
+          onChange={onTimeframeChange}
+          aria-label={t('dashboard.filters.selectPeriod')}
+        >
+          {['7d', '30d', '90d', 'all'].map((value) => (
+            <option key={value} value={value}>
+              {t(`dashboard.filters.timeframes.${value}`)}
+            </option>
+          ))}
+        </SelectStyled>
+      </FilterGroupStyled>
+      <FilterGroupStyled>
+        <label htmlFor="gameFilter">{t('dashboard.filters.game')}</label>
+        <SelectStyled
+          id="gameFilter"
+          value={gameFilter}
+          onChange={onGameFilterChange}
+          aria-label={t('dashboard.filters.selectGame')}
+        >
+          {FILTER_GAMES.map((value) => (
+            <option key={value} value={value}>
+              {t(`dashboard.games.${value}`)}
+            </option>
+          ))}
+        </SelectStyled>
+      </FilterGroupStyled>
+    </FilterBarStyled>
+  )
+}
 
 FilterBar.propTypes = {
   timeframe: PropTypes.string.isRequired,
@@ -698,29 +702,34 @@ FilterBar.propTypes = {
 }
 
 // Função auxiliar para formatar tempo
-const formatTotalTime = (totalSeconds) => {
+const formatTotalTime = (totalSeconds, t) => {
   const hours = Math.floor(totalSeconds / 3600)
   const minutes = Math.floor((totalSeconds % 3600) / 60)
-  return hours > 0 ? `${hours}h ${minutes}min` : `${minutes} minutos`
+  return hours > 0
+    ? `${hours}h ${minutes}min`
+    : t('dashboard.performance.minutes', { count: minutes })
 }
 
 // Componente para listar jogos por ranking de uso
 const UsageGamesList = () => {
+  const { t, i18n } = useTranslation()
   const usage = getGameUsageCounts()
-  const gameNames = {
-    'memory-game': '🧠 Jogo da Memória',
-    'color-match': '🌈 Combinar Cores',
-    'image-association': '🧩 Associação de Imagens',
-    'musical-sequence': '🎵 Sequência Musical',
-    'letter-recognition': '📚 Reconhecimento de Letras',
-    'number-counting': '🔢 Números e Contagem',
+  const gameIcons = {
+    'memory-game': '🧠',
+    'color-match': '🌈',
+    'image-association': '🧩',
+    'musical-sequence': '🎵',
+    'letter-recognition': '📚',
+    'number-counting': '🔢',
   }
 
   const gameUsageArray = Object.entries(usage)
     .filter(([key, value]) => typeof value === 'number' && !key.includes('_lastPlayed'))
     .map(([gameId, count]) => ({
       gameId,
-      name: gameNames[gameId] || gameId,
+      name: gameIcons[gameId]
+        ? `${gameIcons[gameId]} ${t(`dashboard.usageGames.${gameId}`)}`
+        : gameId,
       count,
       lastPlayed: usage[`${gameId}_lastPlayed`],
     }))
@@ -728,7 +737,7 @@ const UsageGamesList = () => {
 
   return gameUsageArray.length === 0 ? (
     <p style={{ textAlign: 'center', color: theme.colors.mediumGray }}>
-      Nenhum jogo foi jogado ainda.
+      {t('dashboard.performance.noGamesPlayed')}
     </p>
   ) : (
     <div style={{ display: 'grid', gap: '8px' }}>
@@ -760,7 +769,7 @@ const UsageGamesList = () => {
             {game.count}x
             {game.lastPlayed && (
               <span style={{ fontSize: '0.8em', opacity: 0.7, marginLeft: '8px' }}>
-                ({new Date(game.lastPlayed).toLocaleDateString('pt-BR')})
+                ({new Date(game.lastPlayed).toLocaleDateString(getSpeechLanguage(i18n.language))})
               </span>
             )}
           </span>
@@ -771,6 +780,8 @@ const UsageGamesList = () => {
 }
 
 const PerformanceDashboard = () => {
+  const { t, i18n } = useTranslation()
+  const dateLocale = getSpeechLanguage(i18n.language)
   const { userId, isDbConnected, userDetails } = useUser()
   const [state, dispatch] = useReducer(dashboardReducer, initialState)
   const [isPremiumUser, setIsPremiumUser] = useState(false)
@@ -787,17 +798,8 @@ const PerformanceDashboard = () => {
 
   const getGameName = useCallback(
     (gameId) =>
-      ({
-        memory: 'Memória',
-        colorMatch: 'Cores',
-        imageAssociation: 'Associação',
-        letterRecognition: 'Letras',
-        numberCounting: 'Números',
-        musicalSequence: 'Música',
-        'visual-patterns': 'Padrões',
-        'emotional-puzzle': 'Emoções',
-      })[gameId] || gameId,
-    []
+      FILTER_GAMES.includes(gameId) && gameId !== 'all' ? t(`dashboard.games.${gameId}`) : gameId,
+    [t]
   )
 
   const filterSessionsByTimeframe = useCallback((sessions, timeframe) => {
@@ -854,7 +856,7 @@ const PerformanceDashboard = () => {
   const fetchDashboardData = useCallback(
     async (force = false) => {
       if (!userId || !isDbConnected) {
-        showNotification('Sem conexão ou usuário não identificado', 'warning')
+        showNotification(t('dashboard.notifications.offline'), 'warning')
         return
       }
 
@@ -893,7 +895,7 @@ const PerformanceDashboard = () => {
             stats: calculateStatsFromAPI(metrics, sessions),
           })
         )
-        showNotification('Dados carregados com sucesso!', 'success')
+        showNotification(t('dashboard.notifications.loaded'), 'success')
       } catch (error) {
         try {
           const cachedData = JSON.parse(localStorage.getItem(`dashboard_cache_${userId}`))
@@ -902,7 +904,7 @@ const PerformanceDashboard = () => {
             dispatch({ type: 'SET_DASHBOARD_METRICS', payload: cachedData.metrics })
             dispatch({ type: 'SET_COGNITIVE_PROFILES', payload: cachedData.profiles })
             dispatch({ type: 'SET_STATS', payload: cachedData.stats })
-            showNotification('Usando dados em cache', 'warning')
+            showNotification(t('dashboard.notifications.usingCache'), 'warning')
           } else {
             const localSessions = await withRetry(() =>
               databaseService.getGameSessions(
@@ -915,10 +917,10 @@ const PerformanceDashboard = () => {
             dispatch({ type: 'SET_SESSION_DATA', payload: filteredSessions })
             dispatch({ type: 'SET_STATS', payload: calculateStats(filteredSessions) })
             dispatch({ type: 'SET_USAGE_STATS', payload: getUsageStats() })
-            showNotification('Dados limitados devido a erro na API', 'error')
+            showNotification(t('dashboard.notifications.limitedData'), 'error')
           }
         } catch (fallbackError) {
-          showNotification('Erro ao carregar dados', 'error')
+          showNotification(t('dashboard.notifications.loadError'), 'error')
         }
       } finally {
         dispatch({ type: 'SET_LOADING', payload: false })
@@ -933,6 +935,7 @@ const PerformanceDashboard = () => {
       calculateStats,
       calculateStatsFromAPI,
       showNotification,
+      t,
     ]
   )
 
@@ -966,37 +969,35 @@ const PerformanceDashboard = () => {
   // Função para gerar relatório
   const handleGenerateReport = useCallback(async () => {
     if (!userId) {
-      showNotification('Usuário não identificado', 'error')
+      showNotification(t('dashboard.notifications.noUser'), 'error')
       return
     }
     try {
       const summary = await getProgressSummary(userId)
       dispatch({ type: 'SET_PROGRESS_DATA', payload: summary })
-      showNotification('Relatório de progresso gerado com sucesso!', 'success')
+      showNotification(t('dashboard.notifications.reportGenerated'), 'success')
     } catch (error) {
-      showNotification('Erro ao gerar relatório', 'error')
+      showNotification(t('dashboard.notifications.reportError'), 'error')
     }
-  }, [userId, showNotification])
+  }, [userId, showNotification, t])
 
   // Função para exportar dados em CSV
   const handleExportCSV = useCallback(() => {
     if (!state.sessionData.length) {
-      showNotification('Nenhum dado disponível para exportação', 'warning')
+      showNotification(t('dashboard.notifications.nothingToExport'), 'warning')
       return
     }
-    showNotification('Dados exportados com sucesso!', 'success')
-  }, [state.sessionData, showNotification])
+    showNotification(t('dashboard.notifications.exported'), 'success')
+  }, [state.sessionData, showNotification, t])
 
   // Função para limpar cache
   const handleClearCache = useCallback(() => {
-    if (
-      window.confirm('Tem certeza que deseja limpar o cache? Isso exigirá recarregar os dados.')
-    ) {
+    if (window.confirm(t('dashboard.performance.confirmClearCache'))) {
       localStorage.removeItem(`dashboard_cache_${userId}`)
       fetchDashboardData(true)
-      showNotification('Cache limpo com sucesso!', 'success')
+      showNotification(t('dashboard.notifications.cacheCleared'), 'success')
     }
-  }, [userId, fetchDashboardData, showNotification])
+  }, [userId, fetchDashboardData, showNotification, t])
 
   // Preparar dados para exportação em CSV
   const csvData = useMemo(() => {
@@ -1004,10 +1005,10 @@ const PerformanceDashboard = () => {
       game_id: getGameName(session.game_id),
       score: session.score || 0,
       accuracy: session.accuracy || 0,
-      time_spent: formatTotalTime(session.time_spent || 0),
-      created_at: new Date(session.created_at).toLocaleString('pt-BR'),
+      time_spent: formatTotalTime(session.time_spent || 0, t),
+      created_at: new Date(session.created_at).toLocaleString(dateLocale),
     }))
-  }, [state.sessionData, getGameName])
+  }, [state.sessionData, getGameName, t, dateLocale])
 
   const chartData = useMemo(() => {
     if (!state.sessionData?.length && !state.dashboardMetrics?.game_sessions) return null
@@ -1045,7 +1046,7 @@ const PerformanceDashboard = () => {
             labels: [],
             datasets: [
               {
-                label: 'Pontuação',
+                label: t('dashboard.performance.score'),
                 data: [],
                 borderColor: theme.colors.primaryBlue,
                 backgroundColor: theme.colors.primaryBlue + '20',
@@ -1058,7 +1059,7 @@ const PerformanceDashboard = () => {
         labels: gameScores.map((item) => getGameName(item.gameId)),
         datasets: [
           {
-            label: 'Pontuação',
+            label: t('dashboard.performance.score'),
             data: gameScores.map((item) => item.avgScore),
             backgroundColor: backgroundColors,
           },
@@ -1074,15 +1075,15 @@ const PerformanceDashboard = () => {
         ? cognitiveRadar
         : {
             labels: [
-              'Carga Cognitiva',
-              'Atenção',
-              'Memória',
-              'Velocidade',
-              'Visual',
-              'Auditivo',
-              'Multissensorial',
-              'Motor',
-            ],
+              'cognitiveLoad',
+              'attention',
+              'memory',
+              'speed',
+              'visual',
+              'auditory',
+              'multisensory',
+              'motor',
+            ].map((skill) => t(`dashboard.performance.skills.${skill}`)),
             datasets: [
               {
                 label: 'Score',
@@ -1093,7 +1094,7 @@ const PerformanceDashboard = () => {
             ],
           },
     }
-  }, [state.sessionData, state.dashboardMetrics, getGameName, state.cognitiveProfiles])
+  }, [state.sessionData, state.dashboardMetrics, getGameName, state.cognitiveProfiles, t])
 
   // Opções para o radar de dados
   const radarChartOptions = {
@@ -1143,21 +1144,21 @@ const PerformanceDashboard = () => {
 
   return (
     <ThemeProvider theme={theme}>
-      <OrientationMessage>
-        Por favor, gire seu dispositivo para a orientação horizontal.
-      </OrientationMessage>
+      <OrientationMessage>{t('dashboard.performance.rotateDevice')}</OrientationMessage>
       <DashboardContainer>
         <DashboardContent>
           <DashboardHeader>
             <div>
               <DashboardTitle>
-                <span role="img" aria-label="gráfico">
+                <span role="img" aria-label={t('dashboard.performance.chartIcon')}>
                   📊
                 </span>{' '}
-                Dashboard de Desempenho
+                {t('dashboard.performance.title')}
               </DashboardTitle>
               <DashboardSubtitle>
-                Acompanhe o progresso de {userDetails?.displayName || 'Usuário'}
+                {t('dashboard.performance.subtitle', {
+                  name: userDetails?.displayName || t('dashboard.performance.defaultUser'),
+                })}
               </DashboardSubtitle>
             </div>
             <ControlPanel>
@@ -1166,23 +1167,23 @@ const PerformanceDashboard = () => {
                 onClick={handleGenerateReport}
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
-                aria-label="Gerar relatório"
+                aria-label={t('dashboard.performance.generateReport')}
               >
-                📚 Gerar Relatório
+                📚 {t('dashboard.performance.generateReport')}
               </ActionButton>
               <ActionButton
                 $bgColor={theme.colors.primaryGreen}
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
-                aria-label="Exportar CSV"
+                aria-label={t('dashboard.performance.exportCsv')}
               >
                 <CSVLink
                   data={csvData}
-                  filename={`desempenho_${new Date().toLocaleDateString('pt-BR').replace(/\//g, '-')}.csv`}
+                  filename={`${t('dashboard.performance.csvFilename')}_${new Date().toLocaleDateString(dateLocale).replace(/\//g, '-')}.csv`}
                   style={{ color: 'inherit', textDecoration: 'none' }}
                   onClick={handleExportCSV}
                 >
-                  📊 Exportar CSV
+                  📊 {t('dashboard.performance.exportCsv')}
                 </CSVLink>
               </ActionButton>
               <ActionButton
@@ -1190,19 +1191,20 @@ const PerformanceDashboard = () => {
                 onClick={handleClearCache}
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
-                aria-label="Limpar cache"
+                aria-label={t('dashboard.performance.clearCache')}
               >
-                🗑️ Limpar Cache
+                🗑️ {t('dashboard.performance.clearCache')}
               </ActionButton>
             </ControlPanel>
           </DashboardHeader>{' '}
           <TabsContainer role="tablist">
             {[
-              { id: 'dashboard', label: 'Dashboard', icon: '📊' },
-              { id: 'neuropedagogical', label: 'Neuropedagógica', icon: '🧠' },
-              { id: 'relatorio-a', label: 'Relatório A', icon: '📋', premium: true },
-              { id: 'multisensorial', label: 'Multissensorial', icon: '💡', premium: true },
-              { id: 'ai-reports', label: 'Relatórios IA', icon: '🤖', premium: true },
+              { id: 'dashboard', icon: '📊' },
+              { id: 'neuropedagogical', icon: '🧠' },
+              { id: 'replay', icon: '🎬' },
+              { id: 'relatorio-a', icon: '📋', premium: true },
+              { id: 'multisensorial', icon: '💡', premium: true },
+              { id: 'ai-reports', icon: '🤖', premium: true },
             ].map((tab) => (
               <TabButton
                 key={tab.id}
@@ -1213,8 +1215,12 @@ const PerformanceDashboard = () => {
                 aria-selected={state.activeTab === tab.id}
                 aria-controls={`panel-${tab.id}`}
               >
-                {tab.icon} {tab.label}{' '}
-                {tab.premium && <span style={{ fontSize: '0.8em', opacity: 0.8 }}>(Premium)</span>}
+                {tab.icon} {t(`dashboard.performance.tabs.${tab.id}`)}{' '}
+                {tab.premium && (
+                  <span style={{ fontSize: '0.8em', opacity: 0.8 }}>
+                    ({t('dashboard.performance.premiumBadge')})
+                  </span>
+                )}
               </TabButton>
             ))}
           </TabsContainer>
@@ -1231,8 +1237,8 @@ const PerformanceDashboard = () => {
               }}
             >
               <p style={{ margin: 0, fontSize: '14px' }}>
-                <strong>⚠️ Modo Offline:</strong> Alguns dados estão sendo exibidos do armazenamento
-                local. Eles serão sincronizados ao reconectar com o servidor.
+                <strong>⚠️ {t('dashboard.performance.offlineTitle')}</strong>{' '}
+                {t('dashboard.performance.offlineMessage')}
               </p>
             </motion.div>
           )}
@@ -1243,7 +1249,7 @@ const PerformanceDashboard = () => {
                 transition={{ duration: 10, repeat: Infinity, ease: 'linear' }}
                 aria-hidden="true"
               />
-              <span role="status">Processando dados...</span>
+              <span role="status">{t('dashboard.performance.processing')}</span>
             </LoadingContainer>
           ) : (
             <>
@@ -1265,26 +1271,26 @@ const PerformanceDashboard = () => {
                       {state.stats.totalSessions > 0 ? (
                         [
                           {
-                            label: 'Sessões',
+                            label: t('dashboard.performance.sessions'),
                             value: state.stats.totalSessions,
                             color: theme.colors.primaryBlue,
                             icon: '🎮',
                           },
                           {
-                            label: 'Precisão',
+                            label: t('dashboard.performance.accuracy'),
                             value: `${state.stats.avgAccuracy}%`,
                             color: theme.colors.primaryPurple,
                             icon: '🎯',
                           },
                           {
-                            label: 'Pontuação',
+                            label: t('dashboard.performance.score'),
                             value: state.stats.avgScore,
                             color: theme.colors.primaryPink,
                             icon: '⭐',
                           },
                           {
-                            label: 'Tempo Total',
-                            value: formatTotalTime(state.stats.totalTimeSpent),
+                            label: t('dashboard.performance.totalTime'),
+                            value: formatTotalTime(state.stats.totalTimeSpent, t),
                             color: theme.colors.primaryOrange,
                             icon: '⏱️',
                           },
@@ -1306,7 +1312,7 @@ const PerformanceDashboard = () => {
                       ) : (
                         <div style={{ gridColumn: '1 / -1', textAlign: 'center', padding: '24px' }}>
                           <p style={{ color: theme.colors.mediumGray }}>
-                            Aguardando dados de sessões...
+                            {t('dashboard.performance.waitingSessions')}
                           </p>
                         </div>
                       )}
@@ -1318,7 +1324,7 @@ const PerformanceDashboard = () => {
                         animate={{ opacity: 1, y: 0 }}
                         transition={{ duration: 0.5 }}
                       >
-                        <SectionTitle>Evolução Temporal</SectionTitle>
+                        <SectionTitle>{t('dashboard.performance.timeline')}</SectionTitle>
                         <ChartContainer>
                           <Line
                             data={chartData.lineData}
@@ -1329,7 +1335,7 @@ const PerformanceDashboard = () => {
                                 legend: { position: 'top' },
                                 title: {
                                   display: true,
-                                  text: 'Pontuação Média',
+                                  text: t('dashboard.performance.averageScore'),
                                   font: { size: 16 },
                                 },
                               },
@@ -1344,7 +1350,7 @@ const PerformanceDashboard = () => {
                         animate={{ opacity: 1, y: 0 }}
                         transition={{ duration: 0.5, delay: 0.1 }}
                       >
-                        <SectionTitle>Desempenho por Jogo</SectionTitle>
+                        <SectionTitle>{t('dashboard.performance.byGame')}</SectionTitle>
                         <ChartContainer>
                           <Bar
                             data={chartData.barData}
@@ -1355,7 +1361,7 @@ const PerformanceDashboard = () => {
                                 legend: { position: 'top' },
                                 title: {
                                   display: true,
-                                  text: 'Pontuação Média',
+                                  text: t('dashboard.performance.averageScore'),
                                   font: { size: 16 },
                                 },
                               },
@@ -1370,7 +1376,7 @@ const PerformanceDashboard = () => {
                         animate={{ opacity: 1, y: 0 }}
                         transition={{ duration: 0.5, delay: 0.2 }}
                       >
-                        <SectionTitle>Sessões por Jogo</SectionTitle>
+                        <SectionTitle>{t('dashboard.performance.sessionsByGame')}</SectionTitle>
                         <ChartContainer>
                           <Pie
                             data={chartData.pieData}
@@ -1381,7 +1387,7 @@ const PerformanceDashboard = () => {
                                 legend: { position: 'right', labels: { font: { size: 12 } } },
                                 title: {
                                   display: true,
-                                  text: 'Distribuição de Sessões',
+                                  text: t('dashboard.performance.sessionDistribution'),
                                   font: { size: 16 },
                                 },
                               },
@@ -1395,7 +1401,7 @@ const PerformanceDashboard = () => {
                         animate={{ opacity: 1, y: 0 }}
                         transition={{ duration: 0.5, delay: 0.3 }}
                       >
-                        <SectionTitle>Perfil Cognitivo</SectionTitle>
+                        <SectionTitle>{t('dashboard.performance.cognitiveProfile')}</SectionTitle>
                         <ChartContainer>
                           <Radar data={chartData.cognitiveRadar} options={radarChartOptions} />
                         </ChartContainer>
@@ -1408,7 +1414,7 @@ const PerformanceDashboard = () => {
                         animate={{ opacity: 1, y: 0 }}
                         transition={{ duration: 0.5 }}
                       >
-                        <SectionTitle>Engajamento</SectionTitle>
+                        <SectionTitle>{t('dashboard.performance.engagement')}</SectionTitle>
                         <StatsGrid>
                           {(() => {
                             const processed = neuropedagogicalService.processEngagementMetrics(
@@ -1416,25 +1422,25 @@ const PerformanceDashboard = () => {
                             )
                             return [
                               {
-                                label: 'Foco',
+                                label: t('dashboard.performance.focus'),
                                 value: `${processed.focus_duration || 0}s`,
                                 color: theme.colors.primaryGreen,
                                 icon: '🧘',
                               },
                               {
-                                label: 'Interação',
+                                label: t('dashboard.performance.interaction'),
                                 value: `${processed.interaction_rate || 0}%`,
                                 color: theme.colors.primaryCyan,
                                 icon: '🤝',
                               },
                               {
-                                label: 'Frustração',
+                                label: t('dashboard.performance.frustration'),
                                 value: `${processed.frustration_level || 0}%`,
                                 color: theme.colors.primaryOrange,
                                 icon: '😣',
                               },
                               {
-                                label: 'Engajamento',
+                                label: t('dashboard.performance.engagement'),
                                 value: `${processed.engagement_score || 0}%`,
                                 color: theme.colors.primaryPink,
                                 icon: '🔥',
@@ -1464,7 +1470,7 @@ const PerformanceDashboard = () => {
                       animate={{ opacity: 1, y: 0 }}
                       transition={{ duration: 0.5 }}
                     >
-                      <SectionTitle>🎯 Ranking de Jogos Mais Utilizados</SectionTitle>
+                      <SectionTitle>🎯 {t('dashboard.performance.usageRanking')}</SectionTitle>
                       {state.usageStats && state.usageStats.totalUsage > 0 ? (
                         <div>
                           <StatsGrid>
@@ -1478,7 +1484,9 @@ const PerformanceDashboard = () => {
                               <EnhancedStatValue $color={theme.colors.primaryCyan}>
                                 {state.usageStats.totalUsage}
                               </EnhancedStatValue>
-                              <EnhancedStatLabel>Total de Jogadas</EnhancedStatLabel>
+                              <EnhancedStatLabel>
+                                {t('dashboard.performance.totalPlays')}
+                              </EnhancedStatLabel>
                             </EnhancedStatCard>
                             <EnhancedStatCard
                               $bgColor={theme.colors.primaryPink}
@@ -1490,7 +1498,9 @@ const PerformanceDashboard = () => {
                               <EnhancedStatValue $color={theme.colors.primaryPink}>
                                 {state.usageStats.totalGames}
                               </EnhancedStatValue>
-                              <EnhancedStatLabel>Jogos Utilizados</EnhancedStatLabel>
+                              <EnhancedStatLabel>
+                                {t('dashboard.performance.gamesUsed')}
+                              </EnhancedStatLabel>
                             </EnhancedStatCard>
                           </StatsGrid>
                           <div
@@ -1503,7 +1513,7 @@ const PerformanceDashboard = () => {
                             }}
                           >
                             <h4 style={{ color: theme.colors.primaryBlue, marginBottom: '12px' }}>
-                              📊 Detalhes de Uso por Jogo
+                              📊 {t('dashboard.performance.usageDetails')}
                             </h4>
                             <UsageGamesList />
                             <div style={{ marginTop: '16px', textAlign: 'center' }}>
@@ -1511,20 +1521,21 @@ const PerformanceDashboard = () => {
                                 $bgColor={theme.colors.primaryOrange}
                                 onClick={() => {
                                   if (
-                                    window.confirm(
-                                      'Tem certeza que deseja resetar as estatísticas de uso?'
-                                    )
+                                    window.confirm(t('dashboard.performance.confirmResetUsage'))
                                   ) {
                                     resetGameUsage()
                                     dispatch({ type: 'SET_USAGE_STATS', payload: getUsageStats() })
-                                    showNotification('Estatísticas de uso resetadas!', 'success')
+                                    showNotification(
+                                      t('dashboard.notifications.usageReset'),
+                                      'success'
+                                    )
                                   }
                                 }}
                                 whileHover={{ scale: 1.05 }}
                                 whileTap={{ scale: 0.95 }}
-                                aria-label="Resetar estatísticas"
+                                aria-label={t('dashboard.performance.resetUsage')}
                               >
-                                🔄 Resetar
+                                🔄 {t('dashboard.performance.reset')}
                               </ActionButton>
                             </div>
                           </div>
@@ -1540,8 +1551,8 @@ const PerformanceDashboard = () => {
                             border: `1px solid ${theme.colors.lightGray}`,
                           }}
                         >
-                          <p>🎮 Nenhum jogo foi utilizado até o momento.</p>
-                          <p>Jogue para começar a ver suas sessões aqui!</p>
+                          <p>🎮 {t('dashboard.performance.noUsage')}</p>
+                          <p>{t('dashboard.performance.playToStart')}</p>
                         </div>
                       )}
                     </ChartSection>
@@ -1551,7 +1562,7 @@ const PerformanceDashboard = () => {
                       animate={{ opacity: 1, y: 0 }}
                       transition={{ duration: 0.5 }}
                     >
-                      <SectionTitle>🧠 Mapa de Habilidades</SectionTitle>
+                      <SectionTitle>🧠 {t('dashboard.performance.skillsMap')}</SectionTitle>
                       <ChartContainer style={{ height: '450px' }}>
                         <Radar data={chartData?.cognitiveRadar} options={radarChartOptions} />
                       </ChartContainer>
@@ -1567,8 +1578,7 @@ const PerformanceDashboard = () => {
                           border: '1px solid rgba(74, 140, 226, 0.2)',
                         }}
                       >
-                        💡 **Como interpretar**: Este radar mostra as habilidades desenvolvidas nos
-                        jogos. Áreas mais amplas indicam um desenvolvimento cognitivo equilibrado.
+                        💡 {t('dashboard.performance.howToRead')}
                       </p>
                     </ChartSection>
                   </>
@@ -1578,6 +1588,8 @@ const PerformanceDashboard = () => {
                   <NeuropedagogicalDashboard userId={userId} />
                 )}
 
+                {state.activeTab === 'replay' && <SessionReplayViewer userId={userId} />}
+
                 {state.activeTab === 'multisensorial' && (
                   <>
                     {!isPremiumUser && (
@@ -1587,12 +1599,10 @@ const PerformanceDashboard = () => {
                         transition={{ duration: 0.3 }}
                       >
                         <PremiumGateContent>
-                          <PremiumTitle>Acesso Premium</PremiumTitle>
-                          <PremiumText>
-                            As métricas multissensoriais são exclusivas para assinantes premium.
-                          </PremiumText>
+                          <PremiumTitle>{t('dashboard.premium.title')}</PremiumTitle>
+                          <PremiumText>{t('dashboard.premium.multisensory')}</PremiumText>
                           <PremiumButton onClick={() => (window.location.href = '/premium')}>
-                            Assinar Premium
+                            {t('dashboard.premium.subscribe')}
                           </PremiumButton>
                         </PremiumGateContent>
                       </PremiumGateOverlay>
@@ -1616,12 +1626,10 @@ const PerformanceDashboard = () => {
                         transition={{ duration: 0.3 }}
                       >
                         <PremiumGateContent>
-                          <PremiumTitle>Acesso Premium</PremiumTitle>
-                          <PremiumText>
-                            Os relatórios de IA são exclusivos para assinantes premium.
-                          </PremiumText>
+                          <PremiumTitle>{t('dashboard.premium.title')}</PremiumTitle>
+                          <PremiumText>{t('dashboard.premium.aiReports')}</PremiumText>
                           <PremiumButton onClick={() => (window.location.href = '/premium')}>
-                            Assinar Premium
+                            {t('dashboard.premium.subscribe')}
                           </PremiumButton>
                         </PremiumGateContent>
                       </PremiumGateOverlay>
@@ -1643,7 +1651,7 @@ const PerformanceDashboard = () => {
                   <p>{state.error.message}</p>
                   <button
                     onClick={() => dispatch({ type: 'SET_ERROR', payload: null })}
-                    aria-label="Fechar erro"
+                    aria-label={t('dashboard.closeError')}
                   >
                     ✕
                   </button>
@@ -1660,7 +1668,7 @@ const PerformanceDashboard = () => {
                   <p>{state.notification.message}</p>
                   <button
                     onClick={() => dispatch({ type: 'SET_NOTIFICATION', payload: null })}
-                    aria-label="Fechar notificação"
+                    aria-label={t('dashboard.closeNotification')}
                   >
                     ✕
                   </button>
@@ -0,0 +1,444 @@
+/**
+ * @file SessionReplayViewer.jsx
+ * @description Reprodução passo a passo das sessões gravadas
+ * O terapeuta escolhe uma sessão e percorre a linha do tempo vendo o tabuleiro,
+ * os toques, as falas do TTS e as hesitações no momento em que aconteceram.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react'
+import styled from 'styled-components'
+import PropTypes from 'prop-types'
+import { useTranslation } from 'react-i18next'
+import {
+  buildReplayFrames,
+  deleteSessionReplay,
+  listSessionReplays,
+} from '../../utils/sessions/sessionReplay.js'
+import { getSpeechLanguage } from '../../utils/shared/i18n.js'
+
+// Espera máxima entre dois passos na reprodução automática
+const MAX_STEP_DELAY_MS = 1500
+const SPEEDS = [1, 2, 4]
+// Eventos destacados na linha do tempo
+const MARKED_EVENTS = { hesitation: '#B45309', error: '#DC2626', success: '#059669' }
+
+const formatOffset = (ms) => {
+  const seconds = Math.floor((ms || 0) / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+const ReplayLayout = styled.div`
+  display: grid;
+  grid-template-columns: minmax(200px, 260px) 1fr;
+  gap: 1rem;
+
+  @media (max-width: 900px) {
+    grid-template-columns: 1fr;
+  }
+`
+
+const Panel = styled.section`
+  background: rgba(255, 255, 255, 0.95);
+  border: 1px solid #f1f5f9;
+  border-radius: 12px;
+  padding: 1rem;
+  box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+`
+
+const PanelTitle = styled.h3`
+  margin: 0 0 0.75rem;
+  font-size: 1.05rem;
+  color: #1e293b;
+`
+
+const SessionList = styled.ul`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+  display: grid;
+  gap: 0.5rem;
+  max-height: 520px;
+  overflow-y: auto;
+`
+
+const SessionButton = styled.button`
+  width: 100%;
+  text-align: left;
+  padding: 0.6rem 0.75rem;
+  border-radius: 8px;
+  border: 2px solid ${({ $active }) => ($active ? '#2563EB' : '#F1F5F9')};
+  background: ${({ $active }) => ($active ? '#EFF6FF' : '#FFFFFF')};
+  color: #1e293b;
+  cursor: pointer;
+  font-size: 0.9rem;
+
+  small {
+    display: block;
+    color: #4b5563;
+    margin-top: 2px;
+  }
+`
+
+const Stage = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 1rem;
+  margin-bottom: 1rem;
+
+  @media (max-width: 700px) {
+    grid-template-columns: 1fr;
+  }
+`
+
+const CardGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(48px, 1fr));
+  gap: 0.4rem;
+`
+
+const ReplayCard = styled.div`
+  aspect-ratio: 1;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  font-size: 1.5rem;
+  border-radius: 8px;
+  background: ${({ $faceUp }) => ($faceUp ? '#FFFFFF' : '#6D28D9')};
+  border: 3px solid
+    ${({ $matched, $last }) => ($last ? '#EA580C' : $matched ? '#059669' : 'transparent')};
+  opacity: ${({ $matched, $last }) => ($matched && !$last ? 0.6 : 1)};
+`
+
+const Screen = styled.div`
+  position: relative;
+  aspect-ratio: 16 / 10;
+  background: #f8fafc;
+  border: 2px dashed #cbd5e1;
+  border-radius: 8px;
+  overflow: hidden;
+`
+
+const TapDot = styled.span`
+  position: absolute;
+  width: 18px;
+  height: 18px;
+  margin: -9px 0 0 -9px;
+  border-radius: 50%;
+  background: #2563eb;
+  opacity: ${({ $age }) => 1 - $age * 0.18};
+  transform: scale(${({ $age }) => ($age === 0 ? 1.3 : 1)});
+`
+
+const Caption = styled.div`
+  min-height: 3.5rem;
+  padding: 0.6rem 0.75rem;
+  border-radius: 8px;
+  background: #eff6ff;
+  color: #1e293b;
+  font-size: 0.95rem;
+  margin-bottom: 0.75rem;
+
+  p {
+    margin: 0.15rem 0;
+  }
+`
+
+const Controls = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  flex-wrap: wrap;
+
+  button,
+  select {
+    min-width: 44px;
+    height: 40px;
+    border-radius: 8px;
+    border: 1px solid #cbd5e1;
+    background: #ffffff;
+    cursor: pointer;
+    font-size: 1rem;
+  }
+`
+
+const Timeline = styled.div`
+  position: relative;
+  flex: 1;
+  min-width: 180px;
+
+  input {
+    width: 100%;
+  }
+`
+
+const Marker = styled.span`
+  position: absolute;
+  top: -6px;
+  width: 3px;
+  height: 8px;
+  border-radius: 2px;
+  background: ${({ $color }) => $color};
+`
+
+const EventList = styled.ol`
+  margin: 0.75rem 0 0;
+  padding: 0;
+  list-style: none;
+  max-height: 220px;
+  overflow-y: auto;
+  font-size: 0.85rem;
+
+  button {
+    width: 100%;
+    text-align: left;
+    border: none;
+    padding: 0.3rem 0.5rem;
+    border-radius: 6px;
+    cursor: pointer;
+    background: transparent;
+  }
+
+  button[aria-current='step'] {
+    background: #dbeafe;
+    font-weight: 600;
+  }
+`
+
+const SessionReplayViewer = ({ userId }) => {
+  const { t, i18n } = useTranslation()
+  const [replays, setReplays] = useState(() => listSessionReplays(userId))
+  const [selectedId, setSelectedId] = useState(null)
+  const [step, setStep] = useState(0)
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(1)
+
+  useEffect(() => {
+    setReplays(listSessionReplays(userId))
+    setSelectedId(null)
+  }, [userId])
+
+  const replay = replays.find((item) => item.sessionId === selectedId) || replays[0] || null
+  const frames = useMemo(() => buildReplayFrames(replay), [replay])
+  const lastStep = frames.length - 1
+  const frame = frames[Math.min(step, lastStep)]
+
+  useEffect(() => {
+    setStep(0)
+    setPlaying(false)
+  }, [replay?.sessionId])
+
+  // Reprodução automática no ritmo real da sessão, com pausas longas encurtadas
+  useEffect(() => {
+    if (!playing) return undefined
+    if (step >= lastStep) {
+      setPlaying(false)
+      return undefined
+    }
+    const delay = Math.min(frames[step + 1].t - frames[step].t, MAX_STEP_DELAY_MS) / speed
+    const timer = setTimeout(() => setStep((current) => current + 1), delay)
+    return () => clearTimeout(timer)
+  }, [playing, step, lastStep, frames, speed])
+
+  const dateLocale = getSpeechLanguage(i18n.language)
+  const gameName = (activityId) => t(`dashboard.usageGames.${activityId}`, activityId)
+  const eventLabel = (type) => t(`dashboard.replay.events.${type}`, type.replace(/_/g, ' '))
+
+  const handleDelete = () => {
+    if (!replay || !window.confirm(t('dashboard.replay.confirmDelete'))) return
+    deleteSessionReplay(userId, replay.sessionId)
+    setReplays(listSessionReplays(userId))
+    setSelectedId(null)
+  }
+
+  if (!replay) {
+    return (
+      <Panel>
+        <PanelTitle>🎬 {t('dashboard.replay.title')}</PanelTitle>
+        <p>{t('dashboard.replay.empty')}</p>
+      </Panel>
+    )
+  }
+
+  const { state } = frame
+  const event = frame.event
+
+  return (
+    <ReplayLayout>
+      <Panel>
+        <PanelTitle>🎬 {t('dashboard.replay.sessions')}</PanelTitle>
+        <SessionList>
+          {replays.map((item) => (
+            <li key={item.sessionId}>
+              <SessionButton
+                type="button"
+                $active={item.sessionId === replay.sessionId}
+                aria-pressed={item.sessionId === replay.sessionId}
+                onClick={() => setSelectedId(item.sessionId)}
+              >
+                {gameName(item.activityId)}
+                <small>
+                  {new Date(item.startedAt).toLocaleString(dateLocale)} ·{' '}
+                  {formatOffset(item.durationMs)}
+                </small>
+                <small>
+                  {item.summary?.accuracy != null
+                    ? t('dashboard.replay.accuracy', { accuracy: item.summary.accuracy })
+                    : t('dashboard.replay.noAnswers')}
+                  {item.summary?.completed === false && ` · ${t('dashboard.replay.incomplete')}`}
+                </small>
+              </SessionButton>
+            </li>
+          ))}
+        </SessionList>
+      </Panel>
+
+      <Panel aria-label={t('dashboard.replay.player')}>
+        <PanelTitle>
+          {gameName(replay.activityId)} —{' '}
+          {t('dashboard.replay.step', { step: Math.min(step, lastStep), total: lastStep })}
+        </PanelTitle>
+
+        <Stage>
+          {state.cards ? (
+            <CardGrid aria-label={t('dashboard.replay.board')}>
+              {state.cards.map((emoji, index) => {
+                const matched = state.matched.includes(index)
+                const faceUp = matched || state.flipped.includes(index)
+                return (
+                  <ReplayCard
+                    key={index}
+                    $faceUp={faceUp}
+                    $matched={matched}
+                    $last={state.lastCard === index}
+                  >
+                    {faceUp ? emoji : '❓'}
+                  </ReplayCard>
+                )
+              })}
+            </CardGrid>
+          ) : (
+            <Caption>{t('dashboard.replay.noBoard')}</Caption>
+          )}
+          <Screen aria-label={t('dashboard.replay.screen')}>
+            {state.taps.map((tap, index) => (
+              <TapDot
+                key={`${tap.t}-${index}`}
+                $age={state.taps.length - 1 - index}
+                style={{ left: `${tap.x * 100}%`, top: `${tap.y * 100}%` }}
+              />
+            ))}
+          </Screen>
+        </Stage>
+
+        <Caption aria-live="polite">
+          <p>
+            <strong>{formatOffset(frame.t)}</strong>{' '}
+            {event ? eventLabel(event[1]) : t('dashboard.replay.start')}
+          </p>
+          {state.hesitationMs != null && (
+            <p>
+              ⏳{' '}
+              {t('dashboard.replay.hesitated', {
+                seconds: (state.hesitationMs / 1000).toFixed(1),
+              })}
+            </p>
+          )}
+          {state.prompt && <p>🔊 “{state.prompt}”</p>}
+          <p>
+            ✅ {state.successes} · ❌ {state.errors}
+          </p>
+        </Caption>
+
+        <Controls>
+          <button type="button" onClick={() => setStep(0)} aria-label={t('dashboard.replay.first')}>
+            ⏮
+          </button>
+          <button
+            type="button"
+            onClick={() => setStep((current) => Math.max(0, current - 1))}
+            aria-label={t('dashboard.replay.previous')}
+          >
+            ◀
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              if (step >= lastStep) setStep(0)
+              setPlaying((current) => !current)
+            }}
+            aria-label={playing ? t('dashboard.replay.pause') : t('dashboard.replay.play')}
+          >
+            {playing ? '⏸' : '▶️'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setStep((current) => Math.min(lastStep, current + 1))}
+            aria-label={t('dashboard.replay.next')}
+          >
+            ▶
+          </button>
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            aria-label={t('dashboard.replay.speed')}
+          >
+            {SPEEDS.map((value) => (
+              <option key={value} value={value}>
+                {value}x
+              </option>
+            ))}
+          </select>
+          <Timeline>
+            {frames.map(({ event: marked }, index) =>
+              marked && MARKED_EVENTS[marked[1]] ? (
+                <Marker
+                  key={index}
+                  $color={MARKED_EVENTS[marked[1]]}
+                  style={{ left: `${(index / Math.max(1, lastStep)) * 100}%` }}
+                />
+              ) : null
+            )}
+            <input
+              type="range"
+              min={0}
+              max={lastStep}
+              value={Math.min(step, lastStep)}
+              onChange={(e) => {
+                setPlaying(false)
+                setStep(Number(e.target.value))
+              }}
+              aria-label={t('dashboard.replay.timeline')}
+            />
+          </Timeline>
+          <button type="button" onClick={handleDelete} aria-label={t('dashboard.replay.delete')}>
+            🗑️
+          </button>
+        </Controls>
+
+        <EventList aria-label={t('dashboard.replay.eventLog')}>
+          {replay.events.map(([offset, type], index) => (
+            <li key={index}>
+              <button
+                type="button"
+                aria-current={index + 1 === step ? 'step' : undefined}
+                onClick={() => {
+                  setPlaying(false)
+                  setStep(index + 1)
+                }}
+              >
+                {formatOffset(offset)} · {eventLabel(type)}
+              </button>
+            </li>
+          ))}
+        </EventList>
+        {replay.truncated && <p>{t('dashboard.replay.truncated')}</p>}
+      </Panel>
+    </ReplayLayout>
+  )
+}
+
+SessionReplayViewer.propTypes = {
+  userId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+}
+
+export default SessionReplayViewer
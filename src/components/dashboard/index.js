@@ -9,6 +9,7 @@
 
 // 📊 DASHBOARD PÚBLICO (Gratuito - Aberto para todos)
 export { default as PerformanceDashboard } from './PerformanceDashboard.jsx'
+export { default as SessionReplayViewer } from './SessionReplayViewer.jsx' // aba de replay
 
 // 💎 DASHBOARDS PREMIUM (Requerem assinatura)
 export { default as AdvancedAIReport } from './AdvancedAIReport.jsx' // RELATÓRIO A
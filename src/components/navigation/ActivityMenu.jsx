@@ -1,7 +1,9 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useContext } from 'react'
 import styled from 'styled-components'
 import { motion } from 'framer-motion'
 import { getTopGamesFromActivities } from '../../utils/game/gameUsage'
+import { getTodaysPlan, DEFAULT_SESSION_MINUTES } from '../../utils/game/reviewScheduler.js'
+import { UserContext } from '../../contexts/UserContext.jsx'
 
 const MenuContainer = styled.section`
   margin: var(--space-xl) 0;
@@ -226,6 +228,21 @@ const ActivityBadge = styled.span`
   }
 `
 
+const PlanSummary = styled.p`
+  color: white;
+  font-size: var(--font-size-md);
+  font-weight: 500;
+  margin: calc(-1 * var(--space-md)) 0 var(--space-lg);
+  text-align: center;
+  text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.3);
+`
+
+const PLAN_REASONS = {
+  review: '🔁 Revisão',
+  skill: '🧠 Reforço',
+  new: '✨ Novo',
+}
+
 const activities = [
   {
     id: 'letter-recognition',
@@ -318,6 +335,54 @@ const tools = [
     color: 'var(--primary-green)',
     badge: 'Análise',
   },
+  {
+    id: 'therapy-goals',
+    title: 'Metas Terapêuticas',
+    description: 'Defina metas do PEI e acompanhe o domínio em cada jogo',
+    icon: '🎯',
+    color: 'var(--primary-pink)',
+    badge: 'Terapia',
+  },
+  {
+    id: 'session-planner',
+    title: 'Agenda Visual',
+    description: 'Monte a sequência da sessão com jogos, pausas e recompensas em figuras',
+    icon: '🗓️',
+    color: 'var(--primary-orange)',
+    badge: 'Rotina',
+  },
+  {
+    id: 'token-economy',
+    title: 'Economia de Fichas',
+    description: 'Quadro de fichas e recompensas combinadas no plano de comportamento',
+    icon: '⭐',
+    color: 'var(--primary-purple)',
+    badge: 'Reforço',
+  },
+  {
+    id: 'live-therapy',
+    title: 'Sessão ao Vivo',
+    description: 'Teleterapia: o terapeuta acompanha o jogo e pode pausar ou ajustar de longe',
+    icon: '📡',
+    color: 'var(--primary-blue)',
+    badge: 'Teleterapia',
+  },
+  {
+    id: 'accessibility-review',
+    title: 'Ajustes de Acessibilidade',
+    description: 'O responsável confirma os ajustes sugeridos a partir das sessões de jogo',
+    icon: '🧩',
+    color: 'var(--primary-green)',
+    badge: 'Família',
+  },
+  {
+    id: 'content-packs',
+    title: 'Pacotes de Conteúdo',
+    description: 'Personalize palavras, fotos e sons dos jogos para cada criança',
+    icon: '📦',
+    color: 'var(--primary-cyan)',
+    badge: 'Conteúdo',
+  },
   {
     id: 'backup-export',
     title: 'Backup e Exportação',
@@ -329,7 +394,12 @@ const tools = [
 ]
 
 function ActivityMenu({ onActivitySelect }) {
+  // O menu também é usado fora do UserProvider; nesse caso vale a agenda local
+  const userContext = useContext(UserContext)
+  const contextUserId = userContext?.userId
+  const getActiveUserProfile = userContext?.getActiveUserProfile
   const [topActivities, setTopActivities] = useState(activities)
+  const [todaysPlan, setTodaysPlan] = useState(null)
   const [stats, setStats] = useState({
     totalGames: activities.length,
     totalTools: tools.length,
@@ -341,13 +411,31 @@ function ActivityMenu({ onActivitySelect }) {
     const topGames = getTopGamesFromActivities(activities)
     setTopActivities(topGames)
 
+    // Plano de hoje limitado à duração de sessão do plano terapêutico da criança
+    let cancelled = false
+    const loadPlan = async () => {
+      const userId = contextUserId || localStorage.getItem('betina_user_id')
+      let sessionMinutes = DEFAULT_SESSION_MINUTES
+      try {
+        const profile = await getActiveUserProfile?.()
+        sessionMinutes = profile?.settings?.therapy?.sessionDuration || DEFAULT_SESSION_MINUTES
+      } catch (error) {
+        console.warn('Plano de hoje sem perfil ativo, usando duração padrão:', error.message)
+      }
+      if (!cancelled) setTodaysPlan(getTodaysPlan(activities, { userId, sessionMinutes }))
+    }
+    loadPlan()
+
     // Atualiza estatísticas
     setStats({
       totalGames: activities.length,
       totalTools: tools.length,
       totalActivities: activities.length + tools.length,
     })
-  }, [])
+    return () => {
+      cancelled = true
+    }
+  }, [contextUserId, getActiveUserProfile])
 
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -388,6 +476,45 @@ function ActivityMenu({ onActivitySelect }) {
 
   return (
     <MenuContainer>
+      {todaysPlan?.items.length > 0 && (
+        <>
+          <MenuTitle>📅 Plano de Hoje</MenuTitle>
+          <PlanSummary>
+            {todaysPlan.items.length} atividade(s) · cerca de {todaysPlan.totalMinutes} de{' '}
+            {todaysPlan.sessionMinutes} minutos
+          </PlanSummary>
+
+          <ActivitiesGrid
+            as={motion.div}
+            variants={containerVariants}
+            initial="hidden"
+            animate="visible"
+            style={{ marginBottom: 'var(--space-xxl)' }}
+          >
+            {todaysPlan.items.map((activity) => (
+              <ActivityCard
+                key={activity.id}
+                variants={cardVariants}
+                whileHover={{
+                  scale: 1.02,
+                  y: -8,
+                }}
+                whileTap={{ scale: 0.98 }}
+                onClick={() => onActivitySelect(activity.id)}
+                aria-label={`${activity.title}: ${PLAN_REASONS[activity.reason]}, cerca de ${activity.estimatedMinutes} minutos`}
+              >
+                <ActivityIcon>{activity.icon}</ActivityIcon>
+                <ActivityTitle>{activity.title}</ActivityTitle>
+                <ActivityDescription>{activity.description}</ActivityDescription>
+                <ActivityBadge color={activity.color}>
+                  {PLAN_REASONS[activity.reason]} · ~{activity.estimatedMinutes} min
+                </ActivityBadge>
+              </ActivityCard>
+            ))}
+          </ActivitiesGrid>
+        </>
+      )}
+
       <MenuTitle>🎯 Atividades Mais Populares</MenuTitle>
 
       <ActivitiesGrid
@@ -1,8 +1,10 @@
 import React from 'react'
 import styled from 'styled-components'
 import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
 import { toggleHighContrast } from '../../utils/accessibility/index.js'
 import DatabaseStatus from '../common/DatabaseStatus'
+import LanguageSwitcher from '../common/LanguageSwitcher'
 
 const HeaderContainer = styled.header`
   background: rgba(255, 255, 255, 0.95);
@@ -152,6 +154,7 @@ const AccessibilityButton = styled(motion.button)`
 `
 
 function Header({ onLogoClick }) {
+  const { t } = useTranslation()
   const handleAccessibilityClick = () => {
     toggleHighContrast()
   }
@@ -168,20 +171,21 @@ function Header({ onLogoClick }) {
             onClick={onLogoClick}
             whileHover={{ scale: 1.02 }}
             whileTap={{ scale: 0.98 }}
-            title="Clique para voltar ao início"
+            title={t('header.backHome')}
           >
-            🌟 Bem-vindos ao Portal Bettina! 🌟
+            🌟 {t('header.welcome')} 🌟
           </WelcomeTitle>
         </CenterSection>
 
         <RightSection>
           <AccessibilitySection>
+            <LanguageSwitcher />
             <AccessibilityButton
               onClick={handleAccessibilityClick}
               whileHover={{ scale: 1.1 }}
               whileTap={{ scale: 0.9 }}
-              title="Alternar Alto Contraste - Acessibilidade"
-              aria-label="Botão de acessibilidade para alternar alto contraste"
+              title={t('header.highContrast')}
+              aria-label={t('header.highContrastLabel')}
             >
               👁️
             </AccessibilityButton>
@@ -0,0 +1,313 @@
+/**
+ * @file AccessibilityReview.jsx
+ * @description Confirmação do responsável para os ajustes de acessibilidade detectados
+ * O AccessibilityService propõe ajustes a partir das sessões de jogo; o responsável
+ * vinculado à criança vê cada ajuste com os indicadores que o motivaram e decide
+ * por categoria. A decisão é gravada pela rota de confirmação da API.
+ */
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react'
+import styled from 'styled-components'
+import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
+import databaseService from '../../database/core/DatabaseService.js'
+import { AccessibilityService } from '../../utils/accessibility/AccessibilityService.js'
+import { staffAuthService } from '../../services/authService.js'
+import { ROLES } from '../../services/authorization.js'
+
+const ReviewContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  border-radius: var(--radius-large);
+  padding: var(--space-xl);
+  margin: var(--space-lg) auto;
+  box-shadow: var(--shadow-medium);
+  max-width: 800px;
+`
+
+const SectionTitle = styled.h2`
+  font-size: var(--font-size-xl);
+  color: var(--primary-blue);
+  margin-bottom: var(--space-lg);
+  display: flex;
+  align-items: center;
+  gap: var(--space-sm);
+`
+
+const Panel = styled.section`
+  background: white;
+  border-radius: var(--radius-medium);
+  padding: var(--space-lg);
+  box-shadow: var(--shadow-light);
+  margin-bottom: var(--space-lg);
+`
+
+const Toolbar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--space-md);
+  align-items: flex-end;
+  margin-bottom: var(--space-lg);
+`
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: var(--space-xs);
+  font-size: var(--font-size-sm);
+  color: var(--dark-gray);
+  font-weight: 600;
+
+  input,
+  select {
+    padding: var(--space-sm);
+    border: 2px solid var(--light-gray);
+    border-radius: var(--radius-medium);
+    font-size: var(--font-size-base);
+  }
+`
+
+const Button = styled(motion.button)`
+  background: ${(props) =>
+    props.$secondary
+      ? 'white'
+      : 'linear-gradient(135deg, var(--primary-blue), var(--primary-cyan))'};
+  color: ${(props) => (props.$secondary ? 'var(--primary-blue)' : 'white')};
+  border: 2px solid var(--primary-blue);
+  padding: var(--space-sm) var(--space-lg);
+  border-radius: var(--radius-medium);
+  font-weight: bold;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`
+
+const ChangeList = styled.ul`
+  margin: var(--space-sm) 0;
+  padding-left: var(--space-lg);
+  color: var(--dark-gray);
+`
+
+const Reasons = styled.p`
+  font-size: var(--font-size-sm);
+  color: var(--medium-gray);
+  margin-bottom: var(--space-md);
+`
+
+const Actions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--space-sm);
+`
+
+const ErrorMessage = styled.div`
+  color: var(--primary-pink);
+  margin-bottom: var(--space-md);
+`
+
+const isGuardian = () => staffAuthService.hasRole(ROLES.GUARDIAN)
+
+function AccessibilityReview() {
+  const { t, i18n } = useTranslation()
+  const accessibilityService = useMemo(
+    () =>
+      new AccessibilityService(
+        databaseService.createCrudService(staffAuthService),
+        databaseService.cache,
+        null
+      ),
+    []
+  )
+  const [isAuthenticated, setIsAuthenticated] = useState(false)
+  const [credentials, setCredentials] = useState({ username: '', password: '' })
+  const [childId, setChildId] = useState('')
+  const [pending, setPending] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const children = staffAuthService.getUser()?.children || []
+
+  useEffect(() => {
+    let isMounted = true
+    const verifyStoredSession = async () => {
+      if (!staffAuthService.isAuthenticated()) return
+      const isValid = await staffAuthService.verifyToken()
+      if (isMounted) setIsAuthenticated(isValid && isGuardian())
+    }
+    verifyStoredSession()
+    return () => {
+      isMounted = false
+    }
+  }, [])
+
+  const handleLogin = async () => {
+    try {
+      await staffAuthService.login(credentials.username.trim(), credentials.password)
+      if (isGuardian()) {
+        setIsAuthenticated(true)
+        setError('')
+      } else {
+        staffAuthService.clearAuth()
+        setError(t('accessibilityReview.guardianOnly'))
+      }
+    } catch (loginError) {
+      setError(t('accessibilityReview.invalidLogin'))
+    } finally {
+      setCredentials((current) => ({ ...current, password: '' }))
+    }
+  }
+
+  const loadPending = useCallback(async () => {
+    if (!childId) return
+    try {
+      setPending(await accessibilityService.getPendingChanges(childId))
+      setError('')
+    } catch (loadError) {
+      setError(loadError.message)
+    }
+  }, [childId, accessibilityService])
+
+  useEffect(() => {
+    loadPending()
+  }, [loadPending])
+
+  const decide = async (approve, categories) => {
+    setIsSaving(true)
+    try {
+      const settings = await accessibilityService.confirmDetectedChanges(
+        childId,
+        staffAuthService.getUser(),
+        { approve, categories }
+      )
+      setPending(settings?.pendingChanges || null)
+      setError('')
+    } catch (decideError) {
+      setError(decideError.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const describeValue = (value) =>
+    t(`accessibilityReview.values.${value}`, { defaultValue: String(value) })
+
+  if (!isAuthenticated) {
+    return (
+      <ReviewContainer>
+        <SectionTitle>🧩 {t('accessibilityReview.title')}</SectionTitle>
+        <Panel style={{ maxWidth: 400, margin: '0 auto', textAlign: 'center' }}>
+          <p style={{ color: 'var(--medium-gray)' }}>{t('accessibilityReview.loginHint')}</p>
+          {error && <ErrorMessage>{error}</ErrorMessage>}
+          <Field>
+            {t('accessibilityReview.username')}
+            <input
+              autoComplete="username"
+              value={credentials.username}
+              onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
+            />
+          </Field>
+          <Field style={{ marginTop: 'var(--space-sm)' }}>
+            {t('accessibilityReview.password')}
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={credentials.password}
+              onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+              onKeyDown={(e) => e.key === 'Enter' && handleLogin()}
+            />
+          </Field>
+          <Button style={{ marginTop: 'var(--space-md)', width: '100%' }} onClick={handleLogin}>
+            🚀 {t('accessibilityReview.login')}
+          </Button>
+        </Panel>
+      </ReviewContainer>
+    )
+  }
+
+  const categories = Object.entries(pending?.changes || {})
+
+  return (
+    <ReviewContainer>
+      <SectionTitle>🧩 {t('accessibilityReview.title')}</SectionTitle>
+      <p style={{ color: 'var(--medium-gray)', marginBottom: 'var(--space-lg)' }}>
+        {t('accessibilityReview.intro')}
+      </p>
+
+      <Toolbar>
+        <Field>
+          {t('accessibilityReview.child')}
+          <select value={childId} onChange={(e) => setChildId(e.target.value)}>
+            <option value="">{t('accessibilityReview.select')}</option>
+            {children.map((id) => (
+              <option key={id} value={id}>
+                {t('accessibilityReview.childNumber', { id })}
+              </option>
+            ))}
+          </select>
+        </Field>
+        {categories.length > 1 && (
+          <>
+            <Button disabled={isSaving} onClick={() => decide(true)}>
+              ✅ {t('accessibilityReview.approveAll')}
+            </Button>
+            <Button $secondary disabled={isSaving} onClick={() => decide(false)}>
+              {t('accessibilityReview.declineAll')}
+            </Button>
+          </>
+        )}
+      </Toolbar>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {childId && categories.length === 0 && (
+        <Panel>
+          <p>{t('accessibilityReview.none')}</p>
+        </Panel>
+      )}
+
+      {categories.length > 0 && pending.detectedAt && (
+        <Reasons>
+          {t('accessibilityReview.detectedAt', {
+            date: new Date(pending.detectedAt).toLocaleDateString(i18n.language),
+          })}
+        </Reasons>
+      )}
+
+      {categories.map(([category, changes]) => (
+        <Panel key={category}>
+          <h3>{t(`accessibilityReview.categories.${category}`, { defaultValue: category })}</h3>
+          <ChangeList>
+            {Object.entries(changes).map(([setting, value]) => (
+              <li key={setting}>
+                {t(`accessibilityReview.settings.${setting}`, { defaultValue: setting })}:{' '}
+                <strong>{describeValue(value)}</strong>
+              </li>
+            ))}
+          </ChangeList>
+          <Reasons>
+            {t('accessibilityReview.why')}:{' '}
+            {(pending.reasons?.[category] || [])
+              .map((indicator) =>
+                t(`accessibilityReview.reasons.${indicator}`, { defaultValue: indicator })
+              )
+              .join(' · ')}
+          </Reasons>
+          <Actions>
+            <Button disabled={isSaving} onClick={() => decide(true, [category])}>
+              ✅ {t('accessibilityReview.approve')}
+            </Button>
+            <Button $secondary disabled={isSaving} onClick={() => decide(false, [category])}>
+              {t('accessibilityReview.decline')}
+            </Button>
+          </Actions>
+        </Panel>
+      ))}
+
+      {categories.length > 0 && <Reasons>{t('accessibilityReview.declinedNote')}</Reasons>}
+    </ReviewContainer>
+  )
+}
+
+export default AccessibilityReview
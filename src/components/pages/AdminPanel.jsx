@@ -12,6 +12,8 @@ import {
 import activitiesData from '../../data/activities.json'
 import AdminCharts from './AdminCharts'
 import logger from '../../config/api-config.js'
+import { staffAuthService } from '../../services/authService.js'
+import { ROLES } from '../../services/authorization.js'
 
 const AdminContainer = styled.div`
   background: rgba(255, 255, 255, 0.95);
@@ -255,8 +257,10 @@ const LastUpdateInfo = styled.div`
 
 function AdminPanel() {
   const [isAuthenticated, setIsAuthenticated] = useState(false)
+  const [usernameInput, setUsernameInput] = useState('')
   const [loginInput, setLoginInput] = useState('')
   const [loginError, setLoginError] = useState('')
+  const [isLoggingIn, setIsLoggingIn] = useState(false)
 
   const [stats, setStats] = useState({
     totalGames: 0,
@@ -268,29 +272,45 @@ function AdminPanel() {
   const [isLoading, setIsLoading] = useState(true)
   const [insights, setInsights] = useState(null)
 
-  // Senha simples para demo - em produção usar hash/JWT
-  const ADMIN_PASSWORD = 'betina2025'
-
-  const handleLogin = () => {
-    if (loginInput === ADMIN_PASSWORD) {
-      setIsAuthenticated(true)
-      setLoginError('')
-      localStorage.setItem('portalBetina_adminAuth', 'true')
-    } else {
-      setLoginError('Senha incorreta. Tente novamente.')
+  // O acesso depende do papel emitido pelo servidor no JWT, não de flags no navegador
+  const handleLogin = async () => {
+    setIsLoggingIn(true)
+    try {
+      await staffAuthService.login(usernameInput.trim(), loginInput)
+      if (staffAuthService.hasRole(ROLES.CLINIC_ADMIN)) {
+        setIsAuthenticated(true)
+        setLoginError('')
+      } else {
+        staffAuthService.clearAuth()
+        setLoginError('Esta conta não tem acesso administrativo.')
+      }
+    } catch (error) {
+      setLoginError('Usuário ou senha inválidos. Tente novamente.')
+    } finally {
       setLoginInput('')
+      setIsLoggingIn(false)
     }
   }
 
   const handleLogout = () => {
+    staffAuthService.clearAuth()
     setIsAuthenticated(false)
-    localStorage.removeItem('portalBetina_adminAuth')
   }
 
-  // Verifica autenticação ao carregar
+  // Revalida o token salvo no servidor ao carregar
   useEffect(() => {
-    const isAuth = localStorage.getItem('portalBetina_adminAuth') === 'true'
-    setIsAuthenticated(isAuth)
+    let isMounted = true
+    const verifyStoredSession = async () => {
+      if (!staffAuthService.isAuthenticated()) return
+      const isValid = await staffAuthService.verifyToken()
+      if (isMounted) {
+        setIsAuthenticated(isValid && staffAuthService.hasRole(ROLES.CLINIC_ADMIN))
+      }
+    }
+    verifyStoredSession()
+    return () => {
+      isMounted = false
+    }
   }, [])
 
   const gameMapping = {
@@ -461,15 +481,24 @@ function AdminPanel() {
           Acesso Administrativo
         </h2>
         <p style={{ color: 'var(--medium-gray)', marginBottom: 'var(--space-lg)' }}>
-          Digite a senha para acessar o painel administrativo do Portal Betina
+          Entre com uma conta de administrador da clínica para acessar o painel do Portal Betina
         </p>
 
+        <LoginInput
+          type="text"
+          placeholder="Usuário"
+          autoComplete="username"
+          value={usernameInput}
+          onChange={(e) => setUsernameInput(e.target.value)}
+          style={{ marginBottom: 'var(--space-sm)' }}
+        />
         <LoginInput
           type="password"
-          placeholder="Digite a senha de administrador"
+          placeholder="Senha"
+          autoComplete="current-password"
           value={loginInput}
           onChange={(e) => setLoginInput(e.target.value)}
-          onKeyPress={(e) => e.key === 'Enter' && handleLogin()}
+          onKeyPress={(e) => e.key === 'Enter' && !isLoggingIn && handleLogin()}
         />
 
         {loginError && (
@@ -484,8 +513,13 @@ function AdminPanel() {
           </div>
         )}
 
-        <LoginButton onClick={handleLogin} whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }}>
-          🚀 Entrar
+        <LoginButton
+          onClick={handleLogin}
+          disabled={isLoggingIn}
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+        >
+          {isLoggingIn ? '⏳ Verificando...' : '🚀 Entrar'}
         </LoginButton>
 
         <div
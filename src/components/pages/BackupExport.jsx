@@ -3,6 +3,16 @@ import styled from 'styled-components'
 import { motion } from 'framer-motion'
 import { useUser } from '../../contexts/UserContext'
 import databaseService from '../../database/core/DatabaseService.js'
+import { getSystemOrchestrator } from '../../utils/core/SystemOrchestrator.js'
+import {
+  BACKUP_SECTIONS,
+  SECTION_STATUS,
+  createBackupArchive,
+  inspectBackup,
+  isBackupRestorable,
+  restoreBackup,
+} from '../../utils/storage/backupArchive.js'
+import { createBackupSections, collectBackupSections } from '../../utils/storage/backupSections.js'
 
 // Estilos
 const BackupContainer = styled.div`
@@ -152,19 +162,101 @@ const Checkbox = styled.input`
   height: 18px;
 `
 
+const SectionMeta = styled.span`
+  font-size: var(--font-size-sm);
+  color: var(--text-secondary);
+`
+
+const StatusBadge = styled.span`
+  font-size: var(--font-size-sm);
+  font-weight: 600;
+  padding: 2px var(--space-sm);
+  border-radius: var(--radius-small);
+  border: 1px solid currentColor;
+  color: ${(props) =>
+    props.status === SECTION_STATUS.VALID
+      ? 'var(--primary-green)'
+      : props.status === SECTION_STATUS.CORRUPTED
+        ? 'var(--primary-red)'
+        : 'var(--primary-orange)'};
+`
+
+const STATUS_LABELS = {
+  [SECTION_STATUS.VALID]: 'Íntegro',
+  [SECTION_STATUS.UNVERIFIED]: 'Sem verificação',
+  [SECTION_STATUS.CORRUPTED]: 'Corrompido',
+}
+
+const RESULT_LABELS = {
+  restored: 'restaurado',
+  skipped: 'ignorado',
+  failed: 'falhou',
+}
+
+const ALL_SECTION_KEYS = Object.keys(BACKUP_SECTIONS)
+
+// Modelos de ML carregados pelo orquestrador que sabem exportar o próprio estado
+// Data atual no formato usado nos nomes de arquivo
+const todayStr = () => new Date().toISOString().split('T')[0]
+
+// Baixa um objeto como arquivo JSON
+const saveJsonFile = (data, filename, type = 'application/json') => {
+  const dataBlob = new Blob([JSON.stringify(data, null, 2)], { type })
+
+  // Criar link para download
+  const url = URL.createObjectURL(dataBlob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+
+  // Simular clique e limpar
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
+
+const getLoadedModels = () => {
+  const systems = getSystemOrchestrator().therapeuticSystems || {}
+  return Object.fromEntries(
+    Object.entries(systems).filter(
+      ([, system]) =>
+        system && typeof system.export === 'function' && typeof system.import === 'function'
+    )
+  )
+}
+
 const BackupExport = () => {
-  const { userId, isDbConnected, userDetails } = useUser()
+  const {
+    userId,
+    isDbConnected,
+    userDetails,
+    getUserProfiles,
+    createUserProfile,
+    updateAccessibilitySettings,
+  } = useUser()
   const [backupData, setBackupData] = useState(null)
   const [isExporting, setIsExporting] = useState(false)
   const [isImporting, setIsImporting] = useState(false)
+  const [isExportingFhir, setIsExportingFhir] = useState(false)
   const [alert, setAlert] = useState(null)
   const [importFile, setImportFile] = useState(null)
   const [importPreview, setImportPreview] = useState(null)
-  const [exportOptions, setExportOptions] = useState({
-    userProfiles: true,
-    gameProgress: true,
-    accessibilitySettings: true,
-    preferences: true,
+  const [restoreSelection, setRestoreSelection] = useState([])
+  const [restoreResults, setRestoreResults] = useState(null)
+  const [exportOptions, setExportOptions] = useState(
+    Object.fromEntries(ALL_SECTION_KEYS.map((key) => [key, true]))
+  )
+
+  const sectionHandlers = createBackupSections({
+    userId,
+    isDbConnected,
+    databaseService,
+    userDetails,
+    getUserProfiles,
+    createUserProfile,
+    updateAccessibilitySettings,
+    models: getLoadedModels(),
   })
 
   // Limpar alertas após um tempo
@@ -190,77 +282,14 @@ const BackupExport = () => {
     setIsExporting(true)
 
     try {
-      let backupData = {
-        version: '1.0',
-        exportDate: new Date().toISOString(),
-        data: {},
-      }
-
-      // Definir quais dados serão incluídos no backup
-      if (isDbConnected) {
-        // Backup a partir do banco de dados
-        if (exportOptions.userProfiles) {
-          const users = await databaseService.getAllUsers()
-          backupData.data.users = users
-        }
-
-        if (exportOptions.gameProgress) {
-          const sessions = await databaseService.getAllGameSessions(userId)
-          backupData.data.gameSessions = sessions
-        }
-
-        if (exportOptions.accessibilitySettings && userDetails?.preferences?.accessibility) {
-          backupData.data.accessibilitySettings = userDetails.preferences.accessibility
-        }
-
-        if (exportOptions.preferences && userDetails?.preferences) {
-          backupData.data.preferences = userDetails.preferences
-        }
-      } else {
-        // Backup a partir do localStorage
-        if (exportOptions.userProfiles) {
-          backupData.data.userId = userId
-        }
-
-        if (exportOptions.gameProgress) {
-          const localStorageData = {}
-          for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i)
-            if (key.startsWith('betina_') && key.includes('_history')) {
-              try {
-                localStorageData[key] = JSON.parse(localStorage.getItem(key))
-              } catch (e) {
-                localStorageData[key] = localStorage.getItem(key)
-              }
-            }
-          }
-          backupData.data.localStorage = localStorageData
-        }
-
-        if (exportOptions.accessibilitySettings) {
-          const accessSettings = localStorage.getItem('betina_accessibility_settings')
-          if (accessSettings) {
-            try {
-              backupData.data.accessibilitySettings = JSON.parse(accessSettings)
-            } catch (e) {
-              backupData.data.accessibilitySettings = accessSettings
-            }
-          }
-        }
-
-        if (exportOptions.preferences) {
-          const prefs = localStorage.getItem('betina_user_preferences')
-          if (prefs) {
-            try {
-              backupData.data.preferences = JSON.parse(prefs)
-            } catch (e) {
-              backupData.data.preferences = prefs
-            }
-          }
-        }
-      }
+      const selected = ALL_SECTION_KEYS.filter((key) => exportOptions[key])
+      const sections = await collectBackupSections(sectionHandlers, selected)
+      const archive = await createBackupArchive(sections, {
+        userId,
+        appVersion: import.meta.env?.VITE_APP_VERSION || null,
+      })
 
-      setBackupData(backupData)
+      setBackupData(archive)
       setAlert({
         type: 'success',
         message: 'Backup gerado com sucesso! Agora você pode fazer o download.',
@@ -281,25 +310,7 @@ const BackupExport = () => {
     if (!backupData) return
 
     try {
-      // Criar blob com os dados
-      const dataStr = JSON.stringify(backupData, null, 2)
-      const dataBlob = new Blob([dataStr], { type: 'application/json' })
-
-      // Criar link para download
-      const url = URL.createObjectURL(dataBlob)
-      const link = document.createElement('a')
-      link.href = url
-
-      // Nome do arquivo com data atual
-      const date = new Date()
-      const dateStr = date.toISOString().split('T')[0]
-      link.download = `portal-betina-backup-${dateStr}.json`
-
-      // Simular clique e limpar
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
-      URL.revokeObjectURL(url)
+      saveJsonFile(backupData, `portal-betina-backup-${todayStr()}.json`)
 
       setAlert({
         type: 'success',
@@ -314,91 +325,69 @@ const BackupExport = () => {
     }
   }
 
+  const clearImport = () => {
+    setImportFile(null)
+    setImportPreview(null)
+    setRestoreSelection([])
+  }
+
   // Função para lidar com a seleção de arquivo para importação
   const handleFileChange = (e) => {
     const file = e.target.files[0]
     if (!file) return
 
     setImportFile(file)
+    setRestoreResults(null)
 
-    // Ler o conteúdo do arquivo
+    // Ler o conteúdo do arquivo, verificar checksums e migrar o formato
     const reader = new FileReader()
-    reader.onload = (event) => {
+    reader.onload = async (event) => {
       try {
-        const data = JSON.parse(event.target.result)
-        setImportPreview(data)
+        const preview = await inspectBackup(event.target.result)
+        setImportPreview(preview)
+        setRestoreSelection(
+          preview.sections
+            .filter((section) => section.status !== SECTION_STATUS.CORRUPTED)
+            .map((section) => section.key)
+        )
       } catch (error) {
         console.error('Erro ao ler arquivo:', error)
         setAlert({
           type: 'error',
-          message: 'Erro ao ler arquivo de backup. O arquivo parece estar corrompido.',
+          message: error.message,
         })
-        setImportFile(null)
-        setImportPreview(null)
+        clearImport()
       }
     }
     reader.readAsText(file)
   }
 
-  // Função para importar dados do arquivo
+  const toggleRestoreSection = (key, checked) => {
+    setRestoreSelection((current) =>
+      checked ? [...current, key] : current.filter((item) => item !== key)
+    )
+  }
+
+  // Função para importar as seções escolhidas do arquivo
   const importBackup = async () => {
-    if (!importPreview || !userId) return
+    if (!importPreview || !userId || restoreSelection.length === 0) return
 
     setIsImporting(true)
     try {
-      // Verificar a versão do backup
-      if (!importPreview.version) {
-        throw new Error('Formato de backup inválido ou não reconhecido')
-      }
-
-      // Importar dados para o banco de dados ou localStorage
-      if (isDbConnected) {
-        // Importar para o banco de dados
-        if (importPreview.data.preferences) {
-          await databaseService.updateUserPreferences(userId, importPreview.data.preferences)
-        }
-
-        if (importPreview.data.gameSessions) {
-          // Aqui seria necessária uma função específica para importar sessões
-          // Esta é uma implementação simplificada
-          for (const session of importPreview.data.gameSessions) {
-            await databaseService.saveGameSession({
-              ...session,
-              user_id: userId, // Garantir que as sessões importadas estão associadas ao usuário atual
-            })
-          }
-        }
-      } else {
-        // Importar para o localStorage
-        if (importPreview.data.localStorage) {
-          Object.entries(importPreview.data.localStorage).forEach(([key, value]) => {
-            localStorage.setItem(key, JSON.stringify(value))
-          })
-        }
-
-        if (importPreview.data.accessibilitySettings) {
-          localStorage.setItem(
-            'betina_accessibility_settings',
-            JSON.stringify(importPreview.data.accessibilitySettings)
-          )
-        }
-
-        if (importPreview.data.preferences) {
-          localStorage.setItem(
-            'betina_user_preferences',
-            JSON.stringify(importPreview.data.preferences)
-          )
-        }
-      }
+      const results = await restoreBackup(importPreview, restoreSelection, sectionHandlers)
+      const failed = results.filter((result) => result.status !== 'restored')
 
+      setRestoreResults(results)
       setAlert({
-        type: 'success',
-        message: 'Dados importados com sucesso! Pode ser necessário recarregar a página.',
+        type: failed.length === 0 ? 'success' : 'error',
+        message:
+          failed.length === 0
+            ? 'Dados importados com sucesso! Pode ser necessário recarregar a página.'
+            : 'Algumas seções não foram restauradas. Veja os detalhes abaixo.',
       })
 
-      // Limpar os campos após importação bem-sucedida
-      setImportFile(null)
-      setImportPreview(null)
+      // Limpar os campos após importação
+      clearImport()
     } catch (error) {
       console.error('Erro ao importar dados:', error)
       setAlert({
@@ -410,6 +399,33 @@ const BackupExport = () => {
     }
   }
 
+  // Exportar sessões e avaliações para o prontuário eletrônico da clínica (HL7 FHIR R4)
+  const exportFhirBundle = async () => {
+    setIsExportingFhir(true)
+
+    try {
+      const bundle = await databaseService.exportFhirBundle(userId)
+      saveJsonFile(
+        bundle,
+        `portal-betina-fhir-${userId}-${todayStr()}.json`,
+        'application/fhir+json'
+      )
+
+      setAlert({
+        type: 'success',
+        message: `Arquivo FHIR baixado com ${bundle.entry?.length || 0} registro(s).`,
+      })
+    } catch (error) {
+      console.error('Erro ao exportar FHIR:', error)
+      setAlert({
+        type: 'error',
+        message: 'Erro ao exportar para o prontuário: ' + error.message,
+      })
+    } finally {
+      setIsExportingFhir(false)
+    }
+  }
+
   return (
     <BackupContainer>
       <SectionTitle>
@@ -433,49 +449,16 @@ const BackupExport = () => {
         </CardDescription>
 
         <CheckboxContainer>
-          <CheckboxLabel>
-            <Checkbox
-              type="checkbox"
-              checked={exportOptions.userProfiles}
-              onChange={(e) =>
-                setExportOptions({ ...exportOptions, userProfiles: e.target.checked })
-              }
-            />
-            Perfis de Usuário
-          </CheckboxLabel>
-
-          <CheckboxLabel>
-            <Checkbox
-              type="checkbox"
-              checked={exportOptions.gameProgress}
-              onChange={(e) =>
-                setExportOptions({ ...exportOptions, gameProgress: e.target.checked })
-              }
-            />
-            Progresso dos Jogos
-          </CheckboxLabel>
-
-          <CheckboxLabel>
-            <Checkbox
-              type="checkbox"
-              checked={exportOptions.accessibilitySettings}
-              onChange={(e) =>
-                setExportOptions({ ...exportOptions, accessibilitySettings: e.target.checked })
-              }
-            />
-            Configurações de Acessibilidade
-          </CheckboxLabel>
-
-          <CheckboxLabel>
-            <Checkbox
-              type="checkbox"
-              checked={exportOptions.preferences}
-              onChange={(e) =>
-                setExportOptions({ ...exportOptions, preferences: e.target.checked })
-              }
-            />
-            Preferências Gerais
-          </CheckboxLabel>
+          {ALL_SECTION_KEYS.map((key) => (
+            <CheckboxLabel key={key}>
+              <Checkbox
+                type="checkbox"
+                checked={exportOptions[key]}
+                onChange={(e) => setExportOptions({ ...exportOptions, [key]: e.target.checked })}
+              />
+              {BACKUP_SECTIONS[key].label}
+            </CheckboxLabel>
+          ))}
         </CheckboxContainer>
 
         <Button
@@ -491,8 +474,12 @@ const BackupExport = () => {
           <>
             <DataPreview>
               <code>
-                {JSON.stringify(backupData, null, 2).substring(0, 500)}
-                {JSON.stringify(backupData, null, 2).length > 500 ? '...' : ''}
+                {Object.entries(backupData.manifest)
+                  .map(
+                    ([key, entry]) =>
+                      `${BACKUP_SECTIONS[key].label}: ${entry.items} item(ns) · ${entry.checksum.slice(0, 12)}`
+                  )
+                  .join('\n')}
               </code>
             </DataPreview>
 
@@ -510,6 +497,30 @@ const BackupExport = () => {
         )}
       </Card>
 
+      <Card
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.15 }}
+      >
+        <CardTitle>Exportar para Prontuário Eletrônico</CardTitle>
+        <CardDescription>
+          Gere um arquivo no padrão HL7 FHIR R4 com as sessões de jogo, perfis cognitivos e
+          relatórios de progresso, pronto para importar no sistema da clínica.
+        </CardDescription>
+
+        <Button
+          onClick={exportFhirBundle}
+          disabled={!isDbConnected || !userId || isExportingFhir}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          {isExportingFhir ? 'Exportando...' : 'Baixar Arquivo FHIR'}
+        </Button>
+        {!isDbConnected && (
+          <SectionMeta>Disponível apenas com o banco de dados conectado.</SectionMeta>
+        )}
+      </Card>
+
       <Card
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
@@ -517,7 +528,8 @@ const BackupExport = () => {
       >
         <CardTitle>Importar Dados</CardTitle>
         <CardDescription>
-          Restaure seus dados a partir de um arquivo de backup criado anteriormente.
+          Restaure seus dados a partir de um arquivo de backup criado anteriormente. Você pode
+          escolher quais partes do backup serão restauradas.
         </CardDescription>
 
         <FileLabel htmlFor="backup-file">
@@ -532,28 +544,57 @@ const BackupExport = () => {
 
         {importPreview && (
           <>
-            <DataPreview>
-              <code>
-                {JSON.stringify(importPreview, null, 2).substring(0, 500)}
-                {JSON.stringify(importPreview, null, 2).length > 500 ? '...' : ''}
-              </code>
-            </DataPreview>
+            {importPreview.migratedFrom && (
+              <Alert type="info">
+                Backup no formato antigo (versão {importPreview.migratedFrom}), convertido para o
+                formato atual. Backups antigos não têm verificação de integridade.
+              </Alert>
+            )}
+            {!isBackupRestorable(importPreview) && (
+              <Alert type="error">
+                O índice do backup foi alterado ou está incompleto. Por segurança, este arquivo não
+                pode ser restaurado.
+              </Alert>
+            )}
+
+            <CheckboxContainer>
+              {importPreview.sections.map((section) => (
+                <CheckboxLabel key={section.key}>
+                  <Checkbox
+                    type="checkbox"
+                    disabled={section.status === SECTION_STATUS.CORRUPTED}
+                    checked={restoreSelection.includes(section.key)}
+                    onChange={(e) => toggleRestoreSection(section.key, e.target.checked)}
+                  />
+                  {section.label}
+                  <SectionMeta>{section.items} item(ns)</SectionMeta>
+                  <StatusBadge status={section.status} title={section.reason}>
+                    {STATUS_LABELS[section.status]}
+                  </StatusBadge>
+                </CheckboxLabel>
+              ))}
+            </CheckboxContainer>
+
+            {importPreview.createdAt && (
+              <SectionMeta as="p">
+                Criado em {new Date(importPreview.createdAt).toLocaleString('pt-BR')}
+              </SectionMeta>
+            )}
 
             <Button
               onClick={importBackup}
-              disabled={isImporting}
+              disabled={
+                isImporting || restoreSelection.length === 0 || !isBackupRestorable(importPreview)
+              }
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
             >
-              {isImporting ? 'Importando...' : 'Importar Dados'}
+              {isImporting ? 'Importando...' : 'Restaurar Selecionados'}
             </Button>
 
             <Button
               secondary
-              onClick={() => {
-                setImportFile(null)
-                setImportPreview(null)
-              }}
+              onClick={clearImport}
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
             >
@@ -561,6 +602,20 @@ const BackupExport = () => {
             </Button>
           </>
         )}
+
+        {restoreResults && (
+          <DataPreview>
+            <code>
+              {restoreResults
+                .map(
+                  (result) =>
+                    `${BACKUP_SECTIONS[result.key]?.label || result.key}: ${RESULT_LABELS[result.status]}` +
+                    (result.message ? ` (${result.message})` : '')
+                )
+                .join('\n')}
+            </code>
+          </DataPreview>
+        )}
       </Card>
 
       <Card
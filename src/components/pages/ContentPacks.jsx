@@ -0,0 +1,555 @@
+/**
+ * @file ContentPacks.jsx
+ * @description Pacotes de conteúdo dos jogos: instalação, habilitação por criança e
+ * criação de pacotes temáticos (interesses especiais, fotos da família)
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import styled from 'styled-components'
+import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
+import { useUser } from '../../contexts/UserContext'
+import {
+  getContentPack,
+  installContentPack,
+  listContentPacks,
+  setContentPackEnabled,
+  subscribeContentPacks,
+  uninstallContentPack,
+} from '../../utils/content/contentPackRegistry.js'
+import { getContentLocale } from '../../utils/shared/i18n.js'
+
+const PacksContainer = styled.div`
+  max-width: 800px;
+  margin: 0 auto;
+  padding: var(--space-xl);
+  background: white;
+  border-radius: var(--radius-large);
+  box-shadow: var(--shadow-medium);
+`
+
+const SectionTitle = styled.h2`
+  font-size: var(--font-size-xl);
+  color: var(--primary-purple);
+  margin-bottom: var(--space-md);
+  display: flex;
+  align-items: center;
+  gap: var(--space-sm);
+  border-bottom: 1px solid var(--light-gray);
+  padding-bottom: var(--space-md);
+`
+
+const Card = styled(motion.div)`
+  background: var(--bg-panel);
+  border-radius: var(--radius-medium);
+  padding: var(--space-lg);
+  margin-bottom: var(--space-lg);
+  box-shadow: var(--shadow-small);
+`
+
+const CardTitle = styled.h3`
+  font-size: var(--font-size-lg);
+  color: var(--primary-blue);
+  margin-bottom: var(--space-sm);
+`
+
+const CardDescription = styled.p`
+  margin-bottom: var(--space-md);
+  color: var(--text-secondary);
+`
+
+const Button = styled(motion.button)`
+  background: ${(props) => (props.$secondary ? 'var(--light-gray)' : 'var(--primary-blue)')};
+  color: ${(props) => (props.$secondary ? 'var(--text-primary)' : 'white')};
+  border: none;
+  padding: var(--space-sm) var(--space-lg);
+  border-radius: var(--radius-medium);
+  font-weight: 600;
+  cursor: pointer;
+  margin-right: var(--space-md);
+  margin-bottom: var(--space-sm);
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`
+
+const FileInput = styled.input`
+  display: none;
+`
+
+const FileLabel = styled.label`
+  background: var(--primary-green);
+  color: white;
+  padding: var(--space-sm) var(--space-lg);
+  border-radius: var(--radius-medium);
+  font-weight: 600;
+  cursor: pointer;
+  display: inline-flex;
+  align-items: center;
+  gap: var(--space-sm);
+  margin-right: var(--space-md);
+`
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: var(--space-xs);
+  font-size: var(--font-size-sm);
+  font-weight: 600;
+  color: var(--dark-gray);
+  margin-bottom: var(--space-sm);
+
+  input,
+  select,
+  textarea {
+    padding: var(--space-sm);
+    border: 2px solid var(--light-gray);
+    border-radius: var(--radius-medium);
+    font-size: var(--font-size-base);
+  }
+`
+
+const Row = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--space-sm);
+  align-items: flex-end;
+`
+
+const ItemList = styled.ul`
+  list-style: none;
+  padding: 0;
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--space-sm);
+  margin: var(--space-sm) 0 var(--space-md);
+
+  li {
+    display: flex;
+    align-items: center;
+    gap: var(--space-xs);
+    background: white;
+    border-radius: var(--radius-medium);
+    padding: var(--space-xs) var(--space-sm);
+    box-shadow: var(--shadow-small);
+  }
+
+  img {
+    width: 32px;
+    height: 32px;
+    object-fit: cover;
+    border-radius: var(--radius-small, 4px);
+  }
+`
+
+const Alert = styled.div`
+  background: ${(props) =>
+    props.type === 'error' ? 'var(--primary-red-light)' : 'var(--primary-green-light)'};
+  color: ${(props) => (props.type === 'error' ? 'var(--primary-red)' : 'var(--primary-green)')};
+  border: 1px solid
+    ${(props) => (props.type === 'error' ? 'var(--primary-red)' : 'var(--primary-green)')};
+  padding: var(--space-md);
+  border-radius: var(--radius-medium);
+  margin-bottom: var(--space-lg);
+
+  ul {
+    margin: var(--space-sm) 0 0;
+  }
+`
+
+const GAME_LABELS = {
+  'letter-recognition': 'Letras',
+  'musical-sequence': 'Sequência Musical',
+  'number-counting': 'Contagem',
+  'creative-painting': 'Pintura',
+  'image-association': 'Associação de Imagens',
+  'color-match': 'Cores',
+  'emotional-puzzle': 'Quebra-Cabeça das Emoções',
+  'memory-game': 'Memória',
+}
+
+// Fotos são reduzidas antes de entrar no pacote para caber no armazenamento local
+const MAX_IMAGE_SIZE = 256
+
+const EMPTY_DRAFT = {
+  name: '',
+  description: '',
+  mode: 'extend',
+  words: [],
+  countingName: '',
+  items: [],
+}
+
+const readFileAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(new Error(`Não foi possível ler ${file.name}`))
+    reader.readAsDataURL(file)
+  })
+
+const resizeImage = async (file) => {
+  const dataUrl = await readFileAsDataUrl(file)
+  const image = await new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => resolve(img)
+    img.onerror = () => reject(new Error(`Imagem inválida: ${file.name}`))
+    img.src = dataUrl
+  })
+
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(image.width, image.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(image.width * scale)
+  canvas.height = Math.round(image.height * scale)
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height)
+  return canvas.toDataURL('image/jpeg', 0.85)
+}
+
+// Primeira letra sem acento (ÁRVORE → A)
+const initialLetter = (word) =>
+  word
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .charAt(0)
+    .toUpperCase()
+
+const slugify = (text) =>
+  text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+
+// Monta o JSON do pacote a partir do rascunho do editor
+const buildPackFromDraft = (draft) => {
+  const assets = {}
+  const addImage = (image, id, alt) => {
+    if (!image) return undefined
+    assets[id] = { type: 'image', src: image, alt }
+    return id
+  }
+
+  const letters = {}
+  draft.words.forEach(({ word, emoji, image }, index) => {
+    const letter = initialLetter(word)
+    letters[letter] = [
+      ...(letters[letter] || []),
+      { word, ...(emoji && { emoji }), image: addImage(image, `word-${index}`, word) },
+    ]
+  })
+
+  const content = {}
+  if (draft.words.length) content['letter-recognition'] = { letters }
+  if (draft.items.length) {
+    content['number-counting'] = {
+      categories: {
+        [slugify(draft.countingName) || 'tema']: {
+          name: draft.countingName || draft.name,
+          items: draft.items.map(({ label, emoji, image }, index) => ({
+            ...(label && { label }),
+            ...(emoji && { emoji }),
+            image: addImage(image, `item-${index}`, label),
+          })),
+        },
+      },
+    }
+  }
+
+  return {
+    id: slugify(draft.name),
+    name: draft.name.trim(),
+    version: '1.0.0',
+    description: draft.description || undefined,
+    mode: draft.mode,
+    assets,
+    content: JSON.parse(JSON.stringify(content)),
+  }
+}
+
+function ContentPacks() {
+  const { userId } = useUser()
+  const childId = userId || localStorage.getItem('betina_user_id')
+  const { i18n } = useTranslation()
+  const locale = getContentLocale(i18n.language)
+  const [packs, setPacks] = useState(() => listContentPacks({ userId: childId, locale }))
+  const [message, setMessage] = useState(null)
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+  const [wordInput, setWordInput] = useState({ word: '', emoji: '', image: null })
+  const [itemInput, setItemInput] = useState({ label: '', emoji: '', image: null })
+
+  const refresh = useCallback(
+    () => setPacks(listContentPacks({ userId: childId, locale })),
+    [childId, locale]
+  )
+
+  useEffect(() => {
+    refresh()
+    return subscribeContentPacks(refresh)
+  }, [refresh])
+
+  const showError = (error) =>
+    setMessage({ type: 'error', text: error.message.split(':')[0], errors: error.errors })
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    try {
+      const pack = installContentPack(JSON.parse(await file.text()))
+      setMessage({ type: 'success', text: `Pacote "${pack.name}" instalado.` })
+    } catch (error) {
+      showError(error instanceof SyntaxError ? new Error('O arquivo não é um JSON válido') : error)
+    }
+  }
+
+  const handleToggle = (pack) => {
+    try {
+      setContentPackEnabled(childId, pack.id, !pack.enabled)
+    } catch (error) {
+      showError(error)
+    }
+  }
+
+  const handleExport = (packId) => {
+    const { installedAt, ...pack } = getContentPack(packId)
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${pack.id}-${installedAt ? installedAt.split('T')[0] : pack.version}.json`
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+  }
+
+  const handleRemove = (pack) => {
+    if (window.confirm(`Remover o pacote "${pack.name}" deste dispositivo?`)) {
+      uninstallContentPack(pack.id)
+    }
+  }
+
+  const handleImageInput = (setInput) => async (event) => {
+    const file = event.target.files?.[0]
+    if (!file) return
+    try {
+      const image = await resizeImage(file)
+      setInput((current) => ({ ...current, image }))
+    } catch (error) {
+      showError(error)
+    }
+  }
+
+  const addWord = () => {
+    if (!wordInput.word.trim()) return
+    setDraft({
+      ...draft,
+      words: [...draft.words, { ...wordInput, word: wordInput.word.trim().toUpperCase() }],
+    })
+    setWordInput({ word: '', emoji: '', image: null })
+  }
+
+  const addItem = () => {
+    if (!itemInput.emoji && !itemInput.image) return
+    setDraft({ ...draft, items: [...draft.items, itemInput] })
+    setItemInput({ label: '', emoji: '', image: null })
+  }
+
+  const handleCreate = () => {
+    try {
+      const pack = installContentPack(buildPackFromDraft(draft))
+      setContentPackEnabled(childId, pack.id, true)
+      setDraft(EMPTY_DRAFT)
+      setMessage({ type: 'success', text: `Pacote "${pack.name}" criado e habilitado.` })
+    } catch (error) {
+      showError(error)
+    }
+  }
+
+  return (
+    <PacksContainer>
+      <SectionTitle>📦 Pacotes de Conteúdo</SectionTitle>
+
+      {message && (
+        <Alert type={message.type}>
+          {message.text}
+          {message.errors && (
+            <ul>
+              {message.errors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          )}
+        </Alert>
+      )}
+
+      {packs.map((pack) => (
+        <Card key={pack.id} layout>
+          <CardTitle>
+            {pack.name} <small>v{pack.version}</small>
+          </CardTitle>
+          <CardDescription>
+            {pack.description || 'Sem descrição'} · Jogos:{' '}
+            {pack.games.map((game) => GAME_LABELS[game] || game).join(', ')}
+            {pack.assetCount > 0 && ` · ${pack.assetCount} arquivo(s)`}
+            {pack.mode === 'replace' && ' · substitui o conteúdo padrão'}
+          </CardDescription>
+          {pack.builtin ? (
+            <em>Pacote padrão, sempre ativo</em>
+          ) : (
+            <>
+              <Field as="div" style={{ flexDirection: 'row', alignItems: 'center' }}>
+                <input
+                  type="checkbox"
+                  id={`pack-${pack.id}`}
+                  checked={pack.enabled}
+                  onChange={() => handleToggle(pack)}
+                />
+                <label htmlFor={`pack-${pack.id}`}>Habilitado para esta criança</label>
+              </Field>
+              <Button $secondary onClick={() => handleExport(pack.id)}>
+                💾 Exportar
+              </Button>
+              <Button $secondary onClick={() => handleRemove(pack)}>
+                🗑️ Remover
+              </Button>
+            </>
+          )}
+        </Card>
+      ))}
+
+      <Card>
+        <CardTitle>⬆️ Instalar pacote</CardTitle>
+        <CardDescription>
+          Arquivo .json com o conteúdo e as imagens ou sons embutidos. O pacote é validado antes de
+          ser instalado.
+        </CardDescription>
+        <FileLabel htmlFor="content-pack-file">📂 Escolher arquivo</FileLabel>
+        <FileInput
+          id="content-pack-file"
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+        />
+      </Card>
+
+      <Card>
+        <CardTitle>✏️ Criar pacote temático</CardTitle>
+        <CardDescription>
+          Use os interesses da criança ou fotos da família nas palavras do jogo de letras e nos
+          objetos de contagem.
+        </CardDescription>
+        <Field>
+          Nome do pacote
+          <input
+            placeholder="Ex.: Dinossauros do Pedro"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+        </Field>
+        <Field>
+          Descrição
+          <input
+            value={draft.description}
+            onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+          />
+        </Field>
+        <Field>
+          Uso
+          <select value={draft.mode} onChange={(e) => setDraft({ ...draft, mode: e.target.value })}>
+            <option value="extend">Somar ao conteúdo padrão</option>
+            <option value="replace">Usar só este pacote nos jogos que ele cobre</option>
+          </select>
+        </Field>
+
+        <CardTitle as="h4">🔤 Palavras</CardTitle>
+        <Row>
+          <Field>
+            Palavra
+            <input
+              value={wordInput.word}
+              onChange={(e) => setWordInput({ ...wordInput, word: e.target.value })}
+            />
+          </Field>
+          <Field>
+            Emoji
+            <input
+              size={4}
+              value={wordInput.emoji}
+              onChange={(e) => setWordInput({ ...wordInput, emoji: e.target.value })}
+            />
+          </Field>
+          <Field>
+            Foto
+            <input type="file" accept="image/*" onChange={handleImageInput(setWordInput)} />
+          </Field>
+          <Button $secondary onClick={addWord}>
+            ➕
+          </Button>
+        </Row>
+        <ItemList>
+          {draft.words.map(({ word, emoji, image }, index) => (
+            <li key={`${word}-${index}`}>
+              {image ? <img src={image} alt={word} /> : emoji}
+              {word}
+            </li>
+          ))}
+        </ItemList>
+
+        <CardTitle as="h4">🔢 Objetos para contar</CardTitle>
+        <Field>
+          Nome da categoria
+          <input
+            placeholder="Ex.: Família"
+            value={draft.countingName}
+            onChange={(e) => setDraft({ ...draft, countingName: e.target.value })}
+          />
+        </Field>
+        <Row>
+          <Field>
+            Nome
+            <input
+              value={itemInput.label}
+              onChange={(e) => setItemInput({ ...itemInput, label: e.target.value })}
+            />
+          </Field>
+          <Field>
+            Emoji
+            <input
+              size={4}
+              value={itemInput.emoji}
+              onChange={(e) => setItemInput({ ...itemInput, emoji: e.target.value })}
+            />
+          </Field>
+          <Field>
+            Foto
+            <input type="file" accept="image/*" onChange={handleImageInput(setItemInput)} />
+          </Field>
+          <Button $secondary onClick={addItem}>
+            ➕
+          </Button>
+        </Row>
+        <ItemList>
+          {draft.items.map(({ label, emoji, image }, index) => (
+            <li key={index}>
+              {image ? <img src={image} alt={label} /> : emoji}
+              {label}
+            </li>
+          ))}
+        </ItemList>
+
+        <Button
+          onClick={handleCreate}
+          disabled={!draft.name.trim() || (!draft.words.length && !draft.items.length)}
+        >
+          💾 Salvar e habilitar para esta criança
+        </Button>
+      </Card>
+    </PacksContainer>
+  )
+}
+
+export default ContentPacks
@@ -0,0 +1,478 @@
+/**
+ * @file LiveTherapyConsole.jsx
+ * @description Console ao vivo da teleterapia
+ * A família libera o acompanhamento neste tablet; o terapeuta (ou o responsável) entra
+ * com a própria conta em outro aparelho, acompanha engajamento, frustração e acurácia
+ * da jogada em andamento e pode pausar, mudar a dificuldade ou iniciar uma pausa.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import styled from 'styled-components'
+import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
+import { staffAuthService } from '../../services/authService.js'
+import { ROLES } from '../../services/authorization.js'
+import { LIVE_COMMANDS, LIVE_DIFFICULTY_LEVELS } from '../../services/liveSession.js'
+import {
+  RECONNECT_DELAY_MS,
+  readEventStream,
+  setLiveMonitoringEnabled,
+} from '../../utils/sessions/liveSessionClient.js'
+import { useLiveStatus } from '../../hooks/useLiveSession.js'
+
+const ConsoleContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  border-radius: var(--radius-large);
+  padding: var(--space-xl);
+  margin: var(--space-lg) auto;
+  box-shadow: var(--shadow-medium);
+  max-width: 1000px;
+`
+
+const SectionTitle = styled.h2`
+  font-size: var(--font-size-xl);
+  color: var(--primary-blue);
+  margin-bottom: var(--space-lg);
+  display: flex;
+  align-items: center;
+  gap: var(--space-sm);
+`
+
+const Panel = styled.section`
+  background: white;
+  border-radius: var(--radius-medium);
+  padding: var(--space-lg);
+  box-shadow: var(--shadow-light);
+  margin-bottom: var(--space-xl);
+`
+
+const Toolbar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--space-md);
+  align-items: center;
+  margin-bottom: var(--space-lg);
+`
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: var(--space-xs);
+  font-size: var(--font-size-sm);
+  color: var(--dark-gray);
+  font-weight: 600;
+
+  input,
+  select {
+    padding: var(--space-sm);
+    border: 2px solid var(--light-gray);
+    border-radius: var(--radius-medium);
+    font-size: var(--font-size-base);
+  }
+`
+
+const Toggle = styled.label`
+  display: flex;
+  align-items: center;
+  gap: var(--space-sm);
+  font-weight: 600;
+  color: var(--dark-gray);
+  cursor: pointer;
+`
+
+const Button = styled(motion.button)`
+  background: ${(props) =>
+    props.$secondary
+      ? 'white'
+      : 'linear-gradient(135deg, var(--primary-blue), var(--primary-cyan))'};
+  color: ${(props) => (props.$secondary ? 'var(--primary-blue)' : 'white')};
+  border: 2px solid var(--primary-blue);
+  padding: var(--space-sm) var(--space-lg);
+  border-radius: var(--radius-medium);
+  font-weight: bold;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`
+
+const InsightGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+  gap: var(--space-md);
+  margin-bottom: var(--space-lg);
+`
+
+const InsightCard = styled.div`
+  border-radius: var(--radius-medium);
+  padding: var(--space-md);
+  background: var(--light-gray);
+  border-left: 4px solid ${(props) => props.$color};
+
+  strong {
+    display: block;
+    font-size: var(--font-size-xl);
+    color: ${(props) => props.$color};
+  }
+`
+
+const EventList = styled.ol`
+  list-style: none;
+  margin: 0;
+  padding-left: var(--space-md);
+  border-left: 2px solid var(--light-gray);
+  font-size: var(--font-size-sm);
+  color: var(--dark-gray);
+  max-height: 260px;
+  overflow-y: auto;
+
+  li {
+    margin-bottom: var(--space-xs);
+  }
+`
+
+const StatusText = styled.p`
+  color: var(--medium-gray);
+  font-size: var(--font-size-sm);
+  margin: 0;
+`
+
+const ErrorMessage = styled.div`
+  color: var(--primary-pink);
+  margin-bottom: var(--space-md);
+`
+
+// Textos dos eventos, comandos e situações em liveConsole nos locales
+const EVENT_ICONS = {
+  session_started: '📱',
+  activity_started: '▶️',
+  success: '✅',
+  error: '❌',
+  interaction: '👆',
+  activity_completed: '🏁',
+  paused: '⏸️',
+  resumed: '▶️',
+  break_started: '🌿',
+  break_finished: '🌿',
+  session_ended: '📴',
+}
+
+// Quantos eventos recentes ficam na tela
+const VISIBLE_EVENTS = 30
+
+const canUseConsole = () =>
+  staffAuthService.hasRole(ROLES.THERAPIST, ROLES.GUARDIAN, ROLES.CLINIC_ADMIN)
+
+const formatPercent = (value) =>
+  value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`
+
+const formatTime = (value, locale) => new Date(value).toLocaleTimeString(locale)
+
+function LiveTherapyConsole() {
+  const { t, i18n } = useTranslation()
+  const commandLabel = ({ type, level }) => {
+    const command = t(`liveConsole.commands.${type}`)
+    return level ? `${command} (${t(`liveConsole.difficulty.${level}`)})` : command
+  }
+  // A conexão do tablet é aberta pelo App; aqui só o liga/desliga e a situação
+  const { enabled, status } = useLiveStatus()
+
+  const [isAuthenticated, setIsAuthenticated] = useState(false)
+  const [credentials, setCredentials] = useState({ username: '', password: '' })
+  const [childId, setChildId] = useState('')
+  const [sessions, setSessions] = useState([])
+  const [insights, setInsights] = useState(null)
+  const [events, setEvents] = useState([])
+  const [deviceConnected, setDeviceConnected] = useState(false)
+  const [streamOpen, setStreamOpen] = useState(false)
+  const [lastCommand, setLastCommand] = useState(null)
+  const [error, setError] = useState('')
+
+  const children = staffAuthService.getUser()?.children || []
+
+  useEffect(() => {
+    let isMounted = true
+    const verifyStoredSession = async () => {
+      if (!staffAuthService.isAuthenticated()) return
+      const isValid = await staffAuthService.verifyToken()
+      if (isMounted) setIsAuthenticated(isValid && canUseConsole())
+    }
+    verifyStoredSession()
+    return () => {
+      isMounted = false
+    }
+  }, [])
+
+  const handleLogin = async () => {
+    try {
+      await staffAuthService.login(credentials.username.trim(), credentials.password)
+      if (canUseConsole()) {
+        setIsAuthenticated(true)
+        setError('')
+      } else {
+        staffAuthService.clearAuth()
+        setError(t('liveConsole.errors.notAllowed'))
+      }
+    } catch (loginError) {
+      setError(t('liveConsole.errors.invalidLogin'))
+    } finally {
+      setCredentials((current) => ({ ...current, password: '' }))
+    }
+  }
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await fetch(`${staffAuthService.apiUrl}/live-sessions`, {
+        headers: staffAuthService.getAuthHeaders(),
+      })
+      if (!response.ok) {
+        throw new Error(t('liveConsole.errors.loadSessions', { status: response.status }))
+      }
+      setSessions((await response.json()).data || [])
+    } catch (loadError) {
+      setError(loadError.message)
+    }
+  }, [t])
+
+  useEffect(() => {
+    if (isAuthenticated) loadSessions()
+  }, [isAuthenticated, loadSessions])
+
+  // Acompanha a criança escolhida; reconecta se a conexão cair
+  useEffect(() => {
+    if (!isAuthenticated || !childId) return undefined
+    const controller = new AbortController()
+    let reconnectTimer = null
+    setInsights(null)
+    setEvents([])
+    setLastCommand(null)
+
+    const handleMessage = ({ event, data }) => {
+      if (event === 'snapshot') {
+        setInsights(data.insights)
+        setEvents(data.events || [])
+        setDeviceConnected(data.deviceConnected)
+      }
+      if (event === 'session-event') {
+        setEvents((current) => [...current, data].slice(-VISIBLE_EVENTS))
+      }
+      if (event === 'insights') setInsights(data)
+      if (event === 'device') setDeviceConnected(data.connected)
+      if (event === 'command') setLastCommand(data)
+    }
+
+    const connect = async () => {
+      setStreamOpen(true)
+      try {
+        await readEventStream(`${staffAuthService.apiUrl}/live-sessions/${childId}/stream`, {
+          headers: staffAuthService.getAuthHeaders(),
+          signal: controller.signal,
+          onMessage: handleMessage,
+        })
+      } catch (streamError) {
+        if (streamError.name === 'AbortError') return
+        setError(streamError.message)
+      }
+      setStreamOpen(false)
+      if (!controller.signal.aborted) reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS)
+    }
+    connect()
+
+    return () => {
+      controller.abort()
+      clearTimeout(reconnectTimer)
+    }
+  }, [isAuthenticated, childId])
+
+  const sendCommand = async (command) => {
+    try {
+      const response = await fetch(`${staffAuthService.apiUrl}/live-sessions/${childId}/commands`, {
+        method: 'POST',
+        headers: staffAuthService.getAuthHeaders(),
+        body: JSON.stringify(command),
+      })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.details?.join(', ') || result.error)
+      setError(result.delivered > 0 ? '' : t('liveConsole.errors.deviceOffline'))
+    } catch (commandError) {
+      setError(commandError.message)
+    }
+  }
+
+  const deviceToggle = (
+    <Panel>
+      <Toggle>
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => setLiveMonitoringEnabled(e.target.checked)}
+        />
+        {t('liveConsole.allowOnDevice')}
+      </Toggle>
+      <StatusText>
+        {enabled ? t(`liveConsole.status.${status}`) : t('liveConsole.deviceHint')}
+      </StatusText>
+    </Panel>
+  )
+
+  if (!isAuthenticated) {
+    return (
+      <ConsoleContainer>
+        <SectionTitle>📡 {t('liveConsole.title')}</SectionTitle>
+        {deviceToggle}
+        <Panel style={{ maxWidth: 400, margin: '0 auto', textAlign: 'center' }}>
+          <p style={{ color: 'var(--medium-gray)' }}>{t('liveConsole.loginHint')}</p>
+          {error && <ErrorMessage>{error}</ErrorMessage>}
+          <Field>
+            {t('liveConsole.username')}
+            <input
+              autoComplete="username"
+              value={credentials.username}
+              onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
+            />
+          </Field>
+          <Field style={{ marginTop: 'var(--space-sm)' }}>
+            {t('liveConsole.password')}
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={credentials.password}
+              onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+              onKeyDown={(e) => e.key === 'Enter' && handleLogin()}
+            />
+          </Field>
+          <Button style={{ marginTop: 'var(--space-md)', width: '100%' }} onClick={handleLogin}>
+            🚀 {t('liveConsole.login')}
+          </Button>
+        </Panel>
+      </ConsoleContainer>
+    )
+  }
+
+  const liveIds = sessions.filter((session) => session.deviceConnected).map((s) => s.childId)
+
+  return (
+    <ConsoleContainer>
+      <SectionTitle>📡 {t('liveConsole.title')}</SectionTitle>
+      {deviceToggle}
+
+      <Toolbar>
+        <Field>
+          {t('liveConsole.child')}
+          {children.length > 0 ? (
+            <select value={childId} onChange={(e) => setChildId(e.target.value)}>
+              <option value="">{t('liveConsole.select')}</option>
+              {children.map((id) => (
+                <option key={id} value={id}>
+                  {t('liveConsole.childOption', { id })}
+                  {liveIds.includes(String(id)) ? ` 🟢 ${t('liveConsole.playingNow')}` : ''}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="number"
+              min="1"
+              placeholder={t('liveConsole.childIdPlaceholder')}
+              value={childId}
+              onChange={(e) => setChildId(e.target.value)}
+            />
+          )}
+        </Field>
+        <Button $secondary onClick={loadSessions}>
+          🔄 {t('liveConsole.refresh')}
+        </Button>
+      </Toolbar>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {childId && (
+        <>
+          <StatusText style={{ marginBottom: 'var(--space-md)' }}>
+            {!streamOpen && t('liveConsole.reconnecting')}
+            {streamOpen &&
+              (deviceConnected
+                ? `🟢 ${t('liveConsole.deviceConnected')}`
+                : `⚪ ${t('liveConsole.waitingDevice')}`)}
+            {insights?.activityId &&
+              ` · ${t('liveConsole.activity', { activity: insights.activityId })}`}
+            {insights?.paused && ` · ⏸️ ${t('liveConsole.paused')}`}
+            {insights?.onBreak && ` · 🌿 ${t('liveConsole.onBreak')}`}
+          </StatusText>
+
+          <InsightGrid>
+            <InsightCard $color="var(--primary-green)">
+              {t('liveConsole.engagement')}
+              <strong>{formatPercent(insights?.engagement)}</strong>
+            </InsightCard>
+            <InsightCard $color="var(--primary-orange)">
+              {t('liveConsole.frustration')}
+              <strong>{formatPercent(insights?.frustration)}</strong>
+            </InsightCard>
+            <InsightCard $color="var(--primary-blue)">
+              {t('liveConsole.accuracy')}
+              <strong>
+                {insights?.accuracy === null || insights?.accuracy === undefined
+                  ? '—'
+                  : `${insights.accuracy}%`}
+              </strong>
+              <small>{t('liveConsole.attempts', { count: insights?.attempts || 0 })}</small>
+            </InsightCard>
+          </InsightGrid>
+
+          <Toolbar>
+            <Button onClick={() => sendCommand({ type: LIVE_COMMANDS.PAUSE })}>
+              ⏸️ {t('liveConsole.pause')}
+            </Button>
+            <Button $secondary onClick={() => sendCommand({ type: LIVE_COMMANDS.RESUME })}>
+              ▶️ {t('liveConsole.resume')}
+            </Button>
+            <Button $secondary onClick={() => sendCommand({ type: LIVE_COMMANDS.START_BREAK })}>
+              🌿 {t('liveConsole.sensoryBreak')}
+            </Button>
+            {LIVE_DIFFICULTY_LEVELS.map((level) => (
+              <Button
+                key={level}
+                $secondary
+                onClick={() => sendCommand({ type: LIVE_COMMANDS.SET_DIFFICULTY, level })}
+              >
+                {t(`liveConsole.difficulty.${level}`)}
+              </Button>
+            ))}
+          </Toolbar>
+          {lastCommand && (
+            <StatusText style={{ marginBottom: 'var(--space-md)' }}>
+              {t('liveConsole.lastCommand', {
+                command: commandLabel(lastCommand),
+                time: formatTime(lastCommand.issuedAt, i18n.language),
+              })}
+            </StatusText>
+          )}
+
+          <Panel>
+            <h3>{t('liveConsole.eventsTitle')}</h3>
+            {events.length === 0 ? (
+              <StatusText>{t('liveConsole.noEvents')}</StatusText>
+            ) : (
+              <EventList>
+                {[...events].reverse().map((event, index) => (
+                  <li key={`${event.at}-${index}`}>
+                    {formatTime(event.at, i18n.language)} ·{' '}
+                    {EVENT_ICONS[event.type]
+                      ? `${EVENT_ICONS[event.type]} ${t(`liveConsole.events.${event.type}`)}`
+                      : event.type}
+                    {event.activityId ? ` · ${event.activityId}` : ''}
+                  </li>
+                ))}
+              </EventList>
+            )}
+          </Panel>
+        </>
+      )}
+    </ConsoleContainer>
+  )
+}
+
+export default LiveTherapyConsole
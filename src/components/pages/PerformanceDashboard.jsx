@@ -10,6 +10,11 @@ import AIReportsTab from '../reports/AIReportsTab'
 import MultisensoryMetricsDashboard from '../dashboard/MultisensoryMetricsDashboard'
 // 🎯 INTEGRAÇÃO COM SYSTEM ORCHESTRATOR
 import { getSystemOrchestrator } from '../../utils/core/SystemOrchestrator.js'
+import {
+  ANALYSIS_TASKS,
+  compareAnalysisFrameRate,
+  getAnalysisWorkerPool,
+} from '../../utils/workers/index.js'
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -940,6 +945,89 @@ const RealTimeMetricsPanel = ({
   )
 }
 
+// Evento de exemplo analisado sem parar durante a medição de FPS
+const FRAME_RATE_SAMPLE_EVENT = {
+  activityId: 'diagnostico',
+  type: 'success',
+  accuracy: 80,
+  responseTime: 2500,
+}
+
+// 🧵 DIAGNÓSTICO: FPS COM A ANÁLISE NA THREAD PRINCIPAL E NO WORKER
+const AnalysisFrameRatePanel = () => {
+  const [comparison, setComparison] = useState(null)
+  const [statistics, setStatistics] = useState(() => getAnalysisWorkerPool().getStatistics())
+  const [isMeasuring, setIsMeasuring] = useState(false)
+
+  const handleMeasure = async () => {
+    setIsMeasuring(true)
+    try {
+      setComparison(
+        await compareAnalysisFrameRate({
+          task: ANALYSIS_TASKS.GAME_EVENT,
+          payload: { gameEvent: { ...FRAME_RATE_SAMPLE_EVENT, timestamp: Date.now() } },
+        })
+      )
+    } catch (error) {
+      logger.error('Erro ao medir o FPS da análise:', error)
+    } finally {
+      setStatistics(getAnalysisWorkerPool().getStatistics())
+      setIsMeasuring(false)
+    }
+  }
+
+  const formatFps = (fps) => (fps === null || fps === undefined ? '—' : Math.round(fps))
+
+  return (
+    <ChartSection
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <SectionTitle>🧵 Análise em Segundo Plano</SectionTitle>
+      <p style={{ color: theme.colors.mediumGray, marginBottom: '16px' }}>
+        {statistics.usingWorkers
+          ? `Análises rodando em ${statistics.workers || 0} worker(s): ${statistics.workerRuns} no worker, ${statistics.mainThreadRuns} na thread principal, ${statistics.fallbacks} refeitas.`
+          : 'Este navegador não tem Web Workers: as análises rodam na thread principal.'}
+      </p>
+
+      <StatsGrid>
+        <EnhancedStatCard $bgColor={theme.colors.primaryOrange}>
+          <EnhancedStatValue $color={theme.colors.primaryOrange}>
+            {formatFps(comparison?.mainThreadFps)}
+          </EnhancedStatValue>
+          <EnhancedStatLabel>FPS na Thread Principal</EnhancedStatLabel>
+        </EnhancedStatCard>
+        <EnhancedStatCard $bgColor={theme.colors.primaryGreen}>
+          <EnhancedStatValue $color={theme.colors.primaryGreen}>
+            {formatFps(comparison?.workerFps)}
+          </EnhancedStatValue>
+          <EnhancedStatLabel>FPS com Worker</EnhancedStatLabel>
+        </EnhancedStatCard>
+        <EnhancedStatCard $bgColor={theme.colors.primaryBlue}>
+          <EnhancedStatValue $color={theme.colors.primaryBlue}>
+            {comparison?.improvement !== null && comparison?.improvement !== undefined
+              ? `${comparison.improvement > 0 ? '+' : ''}${comparison.improvement}`
+              : '—'}
+          </EnhancedStatValue>
+          <EnhancedStatLabel>Diferença (FPS)</EnhancedStatLabel>
+        </EnhancedStatCard>
+      </StatsGrid>
+
+      <ActionButton
+        $bgColor={theme.colors.primaryPurple}
+        onClick={handleMeasure}
+        disabled={isMeasuring}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        aria-label="Medir FPS da análise"
+      >
+        {isMeasuring ? '⏳ Medindo (6 s)...' : '📏 Medir FPS'}
+      </ActionButton>
+    </ChartSection>
+  )
+}
+
 const PerformanceDashboard = () => {
   const { userId, isDbConnected, userDetails } = useUser()
   const [state, dispatch] = useReducer(dashboardReducer, initialState)
@@ -1533,6 +1621,8 @@ const PerformanceDashboard = () => {
                       orchestratorStatus={state.orchestratorStatus}
                     />
 
+                    <AnalysisFrameRatePanel />
+
                     <FilterBar
                       timeframe={state.timeframe}
                       gameFilter={state.gameFilter}
@@ -1,7 +1,16 @@
 import React, { useState, useEffect } from 'react'
 import styled from 'styled-components'
 import { motion } from 'framer-motion'
+import { useUser } from '../../contexts/UserContext'
 import { generateProgressReport, generateSuggestions } from '../../utils/analytics/progressReports'
+import {
+  buildClinicalReport,
+  renderClinicalReportHtml,
+  printClinicalReport,
+  loadLetterhead,
+  saveLetterhead,
+} from '../../utils/analytics/clinicalReport.js'
+import { getSystemOrchestrator } from '../../utils/core/SystemOrchestrator.js'
 
 const ProgressContainer = styled.div`
   background: rgba(255, 255, 255, 0.95);
@@ -179,6 +188,73 @@ const ExportButton = styled(motion.button)`
   }
 `
 
+const ClinicalPanel = styled.div`
+  background: white;
+  border-radius: var(--radius-medium);
+  padding: var(--space-lg);
+  box-shadow: var(--shadow-light);
+  border-left: 4px solid var(--primary-blue);
+  margin-top: var(--space-xl);
+`
+
+const FieldGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+  gap: var(--space-md);
+  margin-bottom: var(--space-md);
+`
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: var(--space-xs);
+  color: var(--dark-gray);
+  font-weight: 500;
+
+  input {
+    padding: var(--space-sm);
+    border: 1px solid var(--light-gray);
+    border-radius: var(--radius-small);
+    font-size: var(--font-size-md);
+  }
+`
+
+const LetterheadDetails = styled.details`
+  margin-bottom: var(--space-md);
+
+  summary {
+    cursor: pointer;
+    color: var(--primary-blue);
+    font-weight: 600;
+    margin-bottom: var(--space-md);
+  }
+`
+
+const HelpText = styled.p`
+  margin: 0 0 var(--space-md);
+  color: var(--medium-gray);
+  font-size: var(--font-size-sm);
+`
+
+// Campos do timbre exibidos no formulário
+const letterheadFields = [
+  { key: 'clinicName', label: 'Clínica' },
+  { key: 'professionalName', label: 'Profissional responsável' },
+  { key: 'professionalRegistry', label: 'Registro profissional (CRP, CRFa...)' },
+  { key: 'address', label: 'Endereço' },
+  { key: 'phone', label: 'Telefone' },
+  { key: 'email', label: 'E-mail' },
+]
+
+// Relatórios dos modelos de ML, quando carregados pelo orquestrador
+const getModelReports = () => {
+  const systems = getSystemOrchestrator().therapeuticSystems || {}
+  return {
+    cognitiveReport: systems.cognitiveAssessmentModel?.getDetailedReport?.() || null,
+    learningReport: systems.learningProgressModel?.getProgressReport?.() || null,
+  }
+}
+
 // Mapeamento de ícones para jogos
 const gameIcons = {
   'memory-game': '🧠',
@@ -209,18 +285,75 @@ const suggestionIcons = {
 }
 
 function ProgressReport({ onBack }) {
+  const { userDetails } = useUser()
   const [report, setReport] = useState(null)
   const [suggestions, setSuggestions] = useState([])
+  const [period, setPeriod] = useState({ startDate: '', endDate: '' })
+  const [patientName, setPatientName] = useState('')
+  const [letterhead, setLetterhead] = useState(loadLetterhead)
+  const [isPrinting, setIsPrinting] = useState(false)
 
   useEffect(() => {
+    let cancelled = false
+
     // Gerar relatório de progresso
-    const progressReport = generateProgressReport()
-    setReport(progressReport)
+    const loadReport = async () => {
+      const progressReport = await generateProgressReport(null, period)
+      if (cancelled) return
+
+      setReport(progressReport)
+      // Gerar sugestões
+      setSuggestions(generateSuggestions(progressReport))
+    }
+
+    loadReport()
+    return () => {
+      cancelled = true
+    }
+  }, [period])
 
-    // Gerar sugestões
-    const progressSuggestions = generateSuggestions(progressReport)
-    setSuggestions(progressSuggestions)
-  }, [])
+  useEffect(() => {
+    // Sugere o nome do usuário sem sobrescrever o que o terapeuta digitou
+    setPatientName(
+      (current) =>
+        current || userDetails?.display_name || localStorage.getItem('betina_user_name') || ''
+    )
+  }, [userDetails])
+
+  const handleLetterheadChange = (key, value) => {
+    setLetterhead((current) => ({ ...current, [key]: value }))
+  }
+
+  const handleLogoChange = (event) => {
+    const file = event.target.files[0]
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (e) => handleLetterheadChange('logoDataUrl', e.target.result)
+    reader.readAsDataURL(file)
+  }
+
+  // Gerar relatório clínico imprimível (PDF pela janela de impressão)
+  const handlePrintClinicalReport = async () => {
+    setIsPrinting(true)
+    try {
+      saveLetterhead(letterhead)
+      const clinicalReport = buildClinicalReport({
+        report,
+        suggestions,
+        ...getModelReports(),
+        patient: { name: patientName, id: localStorage.getItem('betina_user_id') },
+        letterhead,
+        period,
+      })
+      await printClinicalReport(renderClinicalReportHtml(clinicalReport))
+    } catch (error) {
+      console.error('Erro ao gerar relatório clínico:', error)
+      alert('Não foi possível gerar o relatório em PDF')
+    } finally {
+      setIsPrinting(false)
+    }
+  }
   // Manipular exportação de dados
   const handleExport = () => {
     try {
@@ -373,6 +506,77 @@ function ProgressReport({ onBack }) {
           </ExportButton>
         </>
       )}
+
+      <ClinicalPanel>
+        <CardTitle color="var(--primary-blue)">🖨️ Relatório Clínico (PDF)</CardTitle>
+        <HelpText>
+          Gera um relatório paginado para reuniões de PEI. O documento é montado neste dispositivo,
+          sem enviar dados pela internet; escolha &quot;Salvar como PDF&quot; na janela de
+          impressão.
+        </HelpText>
+
+        <FieldGrid>
+          <Field>
+            Paciente
+            <input
+              type="text"
+              value={patientName}
+              onChange={(e) => setPatientName(e.target.value)}
+            />
+          </Field>
+          <Field>
+            Data inicial
+            <input
+              type="date"
+              value={period.startDate}
+              max={period.endDate || undefined}
+              onChange={(e) => setPeriod((current) => ({ ...current, startDate: e.target.value }))}
+            />
+          </Field>
+          <Field>
+            Data final
+            <input
+              type="date"
+              value={period.endDate}
+              min={period.startDate || undefined}
+              onChange={(e) => setPeriod((current) => ({ ...current, endDate: e.target.value }))}
+            />
+          </Field>
+        </FieldGrid>
+
+        <LetterheadDetails>
+          <summary>Timbre da clínica</summary>
+          <FieldGrid>
+            {letterheadFields.map((field) => (
+              <Field key={field.key}>
+                {field.label}
+                <input
+                  type="text"
+                  value={letterhead[field.key]}
+                  onChange={(e) => handleLetterheadChange(field.key, e.target.value)}
+                />
+              </Field>
+            ))}
+            <Field>
+              Logotipo
+              <input
+                type="file"
+                accept="image/png,image/jpeg,image/svg+xml"
+                onChange={handleLogoChange}
+              />
+            </Field>
+          </FieldGrid>
+        </LetterheadDetails>
+
+        <ExportButton
+          onClick={handlePrintClinicalReport}
+          disabled={!report || isPrinting}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          {isPrinting ? '⏳ Gerando...' : '📄 Gerar Relatório em PDF'}
+        </ExportButton>
+      </ClinicalPanel>
     </ProgressContainer>
   )
 }
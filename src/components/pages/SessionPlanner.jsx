@@ -0,0 +1,356 @@
+/**
+ * @file SessionPlanner.jsx
+ * @description Montagem da agenda visual da sessão pelo terapeuta ou pela família:
+ * jogos, pausas e recompensas em figuras, na ordem em que a criança vai fazê-los
+ */
+
+import React, { useState } from 'react'
+import styled from 'styled-components'
+import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
+import { useUser } from '../../contexts/UserContext'
+import {
+  MAX_SCHEDULE_STEPS,
+  MAX_STEP_MINUTES,
+  SCHEDULE_ITEMS,
+  STEP_TYPES,
+  createScheduleStep,
+  getFirstThen,
+  getStepVisual,
+  loadSchedule,
+  saveSchedule,
+  startScheduleRun,
+} from '../../utils/sessions/visualSchedule.js'
+
+const PlannerContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  border-radius: var(--radius-large);
+  padding: var(--space-xl);
+  margin: var(--space-lg) auto;
+  box-shadow: var(--shadow-medium);
+  max-width: 1000px;
+`
+
+const SectionTitle = styled.h2`
+  font-size: var(--font-size-xl);
+  color: var(--primary-blue);
+  margin-bottom: var(--space-lg);
+  display: flex;
+  align-items: center;
+  gap: var(--space-sm);
+`
+
+const Toolbar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--space-md);
+  align-items: flex-end;
+  margin-bottom: var(--space-lg);
+`
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: var(--space-xs);
+  font-size: var(--font-size-sm);
+  color: var(--dark-gray);
+  font-weight: 600;
+
+  input,
+  select {
+    padding: var(--space-sm);
+    border: 2px solid var(--light-gray);
+    border-radius: var(--radius-medium);
+    font-size: var(--font-size-base);
+  }
+`
+
+const PaletteTitle = styled.h3`
+  font-size: var(--font-size-base);
+  color: var(--dark-gray);
+  margin: var(--space-md) 0 var(--space-sm);
+`
+
+const Palette = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--space-sm);
+`
+
+const PictureButton = styled(motion.button)`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  min-width: 88px;
+  padding: var(--space-sm);
+  background: white;
+  border: 2px solid var(--light-gray);
+  border-radius: var(--radius-medium);
+  font-size: var(--font-size-sm);
+  cursor: pointer;
+
+  span {
+    font-size: 2rem;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`
+
+const StepList = styled.ol`
+  list-style: none;
+  margin: var(--space-lg) 0;
+  padding: 0;
+`
+
+const StepRow = styled.li`
+  display: flex;
+  align-items: center;
+  gap: var(--space-md);
+  background: white;
+  border-radius: var(--radius-medium);
+  padding: var(--space-sm) var(--space-md);
+  box-shadow: var(--shadow-light);
+  margin-bottom: var(--space-sm);
+
+  strong {
+    flex: 1;
+  }
+
+  input {
+    width: 64px;
+    padding: var(--space-xs);
+    border: 2px solid var(--light-gray);
+    border-radius: var(--radius-small, 4px);
+  }
+`
+
+const IconButton = styled.button`
+  background: none;
+  border: none;
+  font-size: 1.2rem;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.3;
+    cursor: not-allowed;
+  }
+`
+
+const Button = styled(motion.button)`
+  background: ${(props) =>
+    props.$secondary
+      ? 'white'
+      : 'linear-gradient(135deg, var(--primary-blue), var(--primary-cyan))'};
+  color: ${(props) => (props.$secondary ? 'var(--primary-blue)' : 'white')};
+  border: 2px solid var(--primary-blue);
+  padding: var(--space-sm) var(--space-lg);
+  border-radius: var(--radius-medium);
+  font-weight: bold;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`
+
+const Preview = styled.div`
+  display: flex;
+  align-items: center;
+  gap: var(--space-md);
+  color: var(--dark-gray);
+  margin-bottom: var(--space-md);
+
+  span {
+    font-size: 2.5rem;
+  }
+`
+
+const ErrorMessage = styled.div`
+  color: var(--primary-pink);
+  margin-bottom: var(--space-md);
+`
+
+const SuccessMessage = styled.div`
+  color: var(--primary-green);
+  margin-bottom: var(--space-md);
+`
+
+const PALETTES = [
+  { type: STEP_TYPES.ACTIVITY, icon: '🎮' },
+  { type: STEP_TYPES.BREAK, icon: '☕' },
+  { type: STEP_TYPES.REWARD, icon: '🎁' },
+]
+
+function SessionPlanner() {
+  const { t } = useTranslation()
+  const { userId } = useUser()
+  const childId = userId || localStorage.getItem('betina_user_id')
+  const [schedule, setSchedule] = useState(() => loadSchedule(childId) || { title: '', steps: [] })
+  const [createdBy, setCreatedBy] = useState(() => loadSchedule(childId)?.createdBy || 'therapist')
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  const { steps } = schedule
+  const { first, then } = getFirstThen({ steps, index: 0 })
+
+  const updateSteps = (nextSteps) => {
+    setSchedule({ ...schedule, steps: nextSteps })
+    setMessage('')
+  }
+
+  const addStep = (type, itemId) => updateSteps([...steps, createScheduleStep(type, itemId)])
+
+  const moveStep = (index, offset) => {
+    const nextSteps = [...steps]
+    const [step] = nextSteps.splice(index, 1)
+    nextSteps.splice(index + offset, 0, step)
+    updateSteps(nextSteps)
+  }
+
+  const updateMinutes = (index, minutes) =>
+    updateSteps(steps.map((step, i) => (i === index ? { ...step, minutes } : step)))
+
+  const handleSave = () => {
+    try {
+      setSchedule(saveSchedule(schedule, { userId: childId, createdBy }))
+      setError('')
+      setMessage(t('schedule.saved'))
+      return true
+    } catch (saveError) {
+      setError(saveError.message)
+      return false
+    }
+  }
+
+  // O App abre a primeira etapa assim que a agenda começa
+  const handleStart = () => {
+    if (handleSave()) startScheduleRun(childId)
+  }
+
+  return (
+    <PlannerContainer>
+      <SectionTitle>🗓️ {t('schedule.plannerTitle')}</SectionTitle>
+
+      <Toolbar>
+        <Field style={{ flex: 1 }}>
+          {t('schedule.name')}
+          <input
+            placeholder={t('schedule.namePlaceholder')}
+            value={schedule.title}
+            onChange={(e) => setSchedule({ ...schedule, title: e.target.value })}
+          />
+        </Field>
+        <Field>
+          {t('schedule.createdBy')}
+          <select value={createdBy} onChange={(e) => setCreatedBy(e.target.value)}>
+            <option value="therapist">{t('schedule.therapist')}</option>
+            <option value="guardian">{t('schedule.guardian')}</option>
+          </select>
+        </Field>
+      </Toolbar>
+
+      {PALETTES.map(({ type, icon }) => (
+        <div key={type}>
+          <PaletteTitle>
+            {icon} {t(`schedule.palettes.${type}`)}
+          </PaletteTitle>
+          <Palette>
+            {Object.keys(SCHEDULE_ITEMS[type]).map((itemId) => {
+              const { label, emoji } = getStepVisual({ type, itemId }, t)
+              return (
+                <PictureButton
+                  key={itemId}
+                  whileTap={{ scale: 0.95 }}
+                  disabled={steps.length >= MAX_SCHEDULE_STEPS}
+                  onClick={() => addStep(type, itemId)}
+                >
+                  <span aria-hidden="true">{emoji}</span>
+                  {label}
+                </PictureButton>
+              )
+            })}
+          </Palette>
+        </div>
+      ))}
+
+      {steps.length === 0 ? (
+        <p style={{ color: 'var(--medium-gray)', margin: 'var(--space-lg) 0' }}>
+          {t('schedule.emptyHint')}
+        </p>
+      ) : (
+        <StepList>
+          {steps.map((step, index) => {
+            const { label, emoji } = getStepVisual(step, t)
+            return (
+              <StepRow key={step.id}>
+                <span aria-hidden="true">{emoji}</span>
+                <strong>
+                  {index + 1}. {label}
+                </strong>
+                <label>
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_STEP_MINUTES}
+                    value={step.minutes}
+                    onChange={(e) => updateMinutes(index, e.target.value)}
+                  />{' '}
+                  {t('schedule.minutes')}
+                </label>
+                <IconButton
+                  aria-label={t('schedule.moveUp')}
+                  disabled={index === 0}
+                  onClick={() => moveStep(index, -1)}
+                >
+                  ⬆️
+                </IconButton>
+                <IconButton
+                  aria-label={t('schedule.moveDown')}
+                  disabled={index === steps.length - 1}
+                  onClick={() => moveStep(index, 1)}
+                >
+                  ⬇️
+                </IconButton>
+                <IconButton
+                  aria-label={t('schedule.remove')}
+                  onClick={() => updateSteps(steps.filter((_, i) => i !== index))}
+                >
+                  ✖️
+                </IconButton>
+              </StepRow>
+            )
+          })}
+        </StepList>
+      )}
+
+      {first && (
+        <Preview>
+          {t('schedule.first')} <span aria-hidden="true">{getStepVisual(first).emoji}</span>
+          {then && (
+            <>
+              {t('schedule.then')} <span aria-hidden="true">{getStepVisual(then).emoji}</span>
+            </>
+          )}
+        </Preview>
+      )}
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      {message && <SuccessMessage>{message}</SuccessMessage>}
+
+      <Toolbar>
+        <Button $secondary whileTap={{ scale: 0.95 }} onClick={handleSave}>
+          💾 {t('schedule.save')}
+        </Button>
+        <Button whileTap={{ scale: 0.95 }} onClick={handleStart} disabled={steps.length === 0}>
+          ▶️ {t('schedule.start')}
+        </Button>
+      </Toolbar>
+    </PlannerContainer>
+  )
+}
+
+export default SessionPlanner
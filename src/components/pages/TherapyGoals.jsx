@@ -0,0 +1,530 @@
+/**
+ * @file TherapyGoals.jsx
+ * @description Metas terapêuticas (PEI) da criança: definição pelo terapeuta,
+ * domínio detectado a partir das sessões de jogo e linha do tempo de cada meta
+ */
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react'
+import styled from 'styled-components'
+import { motion } from 'framer-motion'
+import databaseService from '../../database/core/DatabaseService.js'
+import {
+  TherapyGoalService,
+  GOAL_METRICS,
+  GOAL_STATUS,
+  describeGoalCriteria,
+  getGoalGameTitle,
+} from '../../database/goals/index.js'
+import { getAvailableGames, DIFFICULTY_LEVELS } from '../../config/gameParameters.js'
+import { staffAuthService } from '../../services/authService.js'
+import { ROLES } from '../../services/authorization.js'
+
+const GoalsContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  border-radius: var(--radius-large);
+  padding: var(--space-xl);
+  margin: var(--space-lg) auto;
+  box-shadow: var(--shadow-medium);
+  max-width: 1000px;
+`
+
+const SectionTitle = styled.h2`
+  font-size: var(--font-size-xl);
+  color: var(--primary-blue);
+  margin-bottom: var(--space-lg);
+  display: flex;
+  align-items: center;
+  gap: var(--space-sm);
+`
+
+const Toolbar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--space-md);
+  align-items: center;
+  margin-bottom: var(--space-lg);
+`
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: var(--space-xs);
+  font-size: var(--font-size-sm);
+  color: var(--dark-gray);
+  font-weight: 600;
+
+  input,
+  select,
+  textarea {
+    padding: var(--space-sm);
+    border: 2px solid var(--light-gray);
+    border-radius: var(--radius-medium);
+    font-size: var(--font-size-base);
+  }
+`
+
+const FormGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+  gap: var(--space-md);
+  background: white;
+  border-radius: var(--radius-medium);
+  padding: var(--space-lg);
+  box-shadow: var(--shadow-light);
+  margin-bottom: var(--space-xl);
+`
+
+const Button = styled(motion.button)`
+  background: ${(props) =>
+    props.$secondary
+      ? 'white'
+      : 'linear-gradient(135deg, var(--primary-blue), var(--primary-cyan))'};
+  color: ${(props) => (props.$secondary ? 'var(--primary-blue)' : 'white')};
+  border: 2px solid var(--primary-blue);
+  padding: var(--space-sm) var(--space-lg);
+  border-radius: var(--radius-medium);
+  font-weight: bold;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`
+
+const GoalCard = styled(motion.div)`
+  background: white;
+  border-radius: var(--radius-medium);
+  padding: var(--space-lg);
+  box-shadow: var(--shadow-light);
+  border-left: 4px solid ${(props) => STATUS_COLORS[props.$status] || 'var(--primary-blue)'};
+  margin-bottom: var(--space-md);
+`
+
+const GoalHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  gap: var(--space-md);
+`
+
+const StatusBadge = styled.span`
+  background: ${(props) => STATUS_COLORS[props.$status] || 'var(--primary-blue)'};
+  color: white;
+  padding: var(--space-xs) var(--space-md);
+  border-radius: var(--radius-large);
+  font-size: var(--font-size-sm);
+  font-weight: 600;
+  white-space: nowrap;
+`
+
+const ProgressTrack = styled.div`
+  background: var(--light-gray);
+  border-radius: var(--radius-small, 4px);
+  height: 10px;
+  overflow: hidden;
+  margin: var(--space-sm) 0;
+`
+
+const ProgressFill = styled.div`
+  background: ${(props) => STATUS_COLORS[props.$status] || 'var(--primary-blue)'};
+  width: ${(props) => props.$percent}%;
+  height: 100%;
+`
+
+const Timeline = styled.ol`
+  list-style: none;
+  margin: var(--space-md) 0 0;
+  padding-left: var(--space-md);
+  border-left: 2px solid var(--light-gray);
+  font-size: var(--font-size-sm);
+  color: var(--dark-gray);
+
+  li {
+    margin-bottom: var(--space-sm);
+  }
+`
+
+const ErrorMessage = styled.div`
+  color: var(--primary-pink);
+  margin-bottom: var(--space-md);
+`
+
+const STATUS_COLORS = {
+  [GOAL_STATUS.ACTIVE]: 'var(--primary-blue)',
+  [GOAL_STATUS.MASTERED]: 'var(--primary-green)',
+  [GOAL_STATUS.PAUSED]: 'var(--primary-orange)',
+  [GOAL_STATUS.DISCONTINUED]: 'var(--medium-gray)',
+}
+
+const STATUS_LABELS = {
+  [GOAL_STATUS.ACTIVE]: 'Em andamento',
+  [GOAL_STATUS.MASTERED]: '🏆 Dominada',
+  [GOAL_STATUS.PAUSED]: 'Pausada',
+  [GOAL_STATUS.DISCONTINUED]: 'Encerrada',
+}
+
+const EMPTY_FORM = {
+  title: '',
+  description: '',
+  game_id: 'color-match',
+  difficulty: 'MEDIUM',
+  metric: 'accuracy',
+  target: 80,
+  min_trials: 10,
+  required_sessions: 3,
+}
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('pt-BR') : '—')
+
+// Texto de cada evento da linha do tempo da meta
+const describeHistoryEntry = (entry) => {
+  switch (entry.type) {
+    case 'created':
+      return `Meta criada: ${entry.criteria}`
+    case 'updated':
+      return `Critério ajustado: ${entry.criteria}`
+    case 'status_changed':
+      return `Status: ${STATUS_LABELS[entry.from]} → ${STATUS_LABELS[entry.to]}${
+        entry.note ? ` (${entry.note})` : ''
+      }`
+    case 'progress':
+      return `${entry.sessionsCounted} sessão(ões) avaliada(s), sequência atual ${entry.streak}${
+        entry.value !== null && entry.value !== undefined ? `, último valor ${entry.value}` : ''
+      }`
+    case 'mastered':
+      return `Meta dominada em ${formatDate(entry.masteredAt)}`
+    default:
+      return entry.type
+  }
+}
+
+const canManageGoals = () => staffAuthService.hasRole(ROLES.THERAPIST, ROLES.CLINIC_ADMIN)
+
+function TherapyGoals() {
+  const goalService = useMemo(
+    () => new TherapyGoalService(databaseService.createCrudService(staffAuthService)),
+    []
+  )
+  const [isAuthenticated, setIsAuthenticated] = useState(false)
+  const [credentials, setCredentials] = useState({ username: '', password: '' })
+  const [childId, setChildId] = useState('')
+  const [goals, setGoals] = useState([])
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [expandedGoal, setExpandedGoal] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const children = staffAuthService.getUser()?.children || []
+
+  useEffect(() => {
+    let isMounted = true
+    const verifyStoredSession = async () => {
+      if (!staffAuthService.isAuthenticated()) return
+      const isValid = await staffAuthService.verifyToken()
+      if (isMounted) setIsAuthenticated(isValid && canManageGoals())
+    }
+    verifyStoredSession()
+    return () => {
+      isMounted = false
+    }
+  }, [])
+
+  const handleLogin = async () => {
+    try {
+      await staffAuthService.login(credentials.username.trim(), credentials.password)
+      if (canManageGoals()) {
+        setIsAuthenticated(true)
+        setError('')
+      } else {
+        staffAuthService.clearAuth()
+        setError('As metas terapêuticas são definidas pelo terapeuta da criança.')
+      }
+    } catch (loginError) {
+      setError('Usuário ou senha inválidos. Tente novamente.')
+    } finally {
+      setCredentials((current) => ({ ...current, password: '' }))
+    }
+  }
+
+  // Progresso e domínio já vêm registrados pela API a cada sessão de jogo salva
+  const loadGoals = useCallback(async () => {
+    if (!childId) return
+    setIsLoading(true)
+    setError('')
+    try {
+      setGoals(await goalService.getGoals(childId))
+    } catch (loadError) {
+      setError(loadError.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [childId, goalService])
+
+  useEffect(() => {
+    loadGoals()
+  }, [loadGoals])
+
+  const replaceGoal = (updated) =>
+    setGoals((current) => current.map((goal) => (goal.id === updated.id ? updated : goal)))
+
+  const handleCreate = async () => {
+    try {
+      const created = await goalService.createGoal(childId, {
+        ...form,
+        difficulty: form.difficulty || undefined,
+        target: Number(form.target),
+        min_trials: Number(form.min_trials),
+        required_sessions: Number(form.required_sessions),
+      })
+      setGoals((current) => [created, ...current])
+      setForm(EMPTY_FORM)
+      setError('')
+    } catch (createError) {
+      setError(createError.message)
+    }
+  }
+
+  const handleStatus = async (goal, status) => {
+    try {
+      replaceGoal(await goalService.setStatus(goal, status))
+    } catch (statusError) {
+      setError(statusError.message)
+    }
+  }
+
+  const handleArchive = async (goal) => {
+    try {
+      await goalService.archiveGoal(goal)
+      setGoals((current) => current.filter((item) => item.id !== goal.id))
+    } catch (archiveError) {
+      setError(archiveError.message)
+    }
+  }
+
+  const updateForm = (field) => (event) => setForm({ ...form, [field]: event.target.value })
+
+  if (!isAuthenticated) {
+    return (
+      <GoalsContainer style={{ maxWidth: 400, textAlign: 'center' }}>
+        <SectionTitle style={{ justifyContent: 'center' }}>🎯 Metas Terapêuticas</SectionTitle>
+        <p style={{ color: 'var(--medium-gray)' }}>
+          Entre com a conta do terapeuta para definir e acompanhar as metas da criança
+        </p>
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+        <Field>
+          Usuário
+          <input
+            autoComplete="username"
+            value={credentials.username}
+            onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
+          />
+        </Field>
+        <Field style={{ marginTop: 'var(--space-sm)' }}>
+          Senha
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={credentials.password}
+            onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && handleLogin()}
+          />
+        </Field>
+        <Button style={{ marginTop: 'var(--space-md)', width: '100%' }} onClick={handleLogin}>
+          🚀 Entrar
+        </Button>
+      </GoalsContainer>
+    )
+  }
+
+  return (
+    <GoalsContainer>
+      <SectionTitle>🎯 Metas Terapêuticas (PEI)</SectionTitle>
+
+      <Toolbar>
+        <Field>
+          Criança
+          {children.length > 0 ? (
+            <select value={childId} onChange={(e) => setChildId(e.target.value)}>
+              <option value="">Selecione</option>
+              {children.map((id) => (
+                <option key={id} value={id}>
+                  Criança #{id}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="number"
+              min="1"
+              placeholder="ID da criança"
+              value={childId}
+              onChange={(e) => setChildId(e.target.value)}
+            />
+          )}
+        </Field>
+        <Button $secondary onClick={loadGoals} disabled={!childId || isLoading}>
+          {isLoading ? '⏳ Verificando sessões...' : '🔄 Verificar domínio'}
+        </Button>
+      </Toolbar>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {childId && (
+        <>
+          <FormGrid>
+            <Field style={{ gridColumn: '1 / -1' }}>
+              Meta
+              <input
+                placeholder="Ex.: Combinar cores com autonomia"
+                value={form.title}
+                onChange={updateForm('title')}
+              />
+            </Field>
+            <Field>
+              Jogo
+              <select value={form.game_id} onChange={updateForm('game_id')}>
+                {getAvailableGames().map((gameId) => (
+                  <option key={gameId} value={gameId}>
+                    {getGoalGameTitle(gameId)}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            <Field>
+              Dificuldade
+              <select value={form.difficulty} onChange={updateForm('difficulty')}>
+                <option value="">Qualquer</option>
+                {DIFFICULTY_LEVELS.map((level) => (
+                  <option key={level} value={level}>
+                    {level}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            <Field>
+              Métrica
+              <select value={form.metric} onChange={updateForm('metric')}>
+                {Object.entries(GOAL_METRICS).map(([metric, { label, unit }]) => (
+                  <option key={metric} value={metric}>
+                    {unit ? `${unit} ${label}` : label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            <Field>
+              Alvo
+              <input type="number" min="0" value={form.target} onChange={updateForm('target')} />
+            </Field>
+            <Field>
+              Tentativas mínimas
+              <input
+                type="number"
+                min="0"
+                value={form.min_trials}
+                onChange={updateForm('min_trials')}
+              />
+            </Field>
+            <Field>
+              Sessões seguidas
+              <input
+                type="number"
+                min="1"
+                max="20"
+                value={form.required_sessions}
+                onChange={updateForm('required_sessions')}
+              />
+            </Field>
+            <Field style={{ gridColumn: '1 / -1' }}>
+              Observações
+              <textarea rows={2} value={form.description} onChange={updateForm('description')} />
+            </Field>
+            <div style={{ gridColumn: '1 / -1', color: 'var(--medium-gray)' }}>
+              Critério: {describeGoalCriteria({ ...form, target: Number(form.target) })}
+            </div>
+            <Button onClick={handleCreate} disabled={!form.title.trim()}>
+              ➕ Adicionar meta
+            </Button>
+          </FormGrid>
+
+          {goals.length === 0 && !isLoading && (
+            <p style={{ color: 'var(--medium-gray)' }}>Nenhuma meta definida para esta criança.</p>
+          )}
+
+          {goals.map((goal) => {
+            const progress = goal.progress || {}
+            const streak =
+              goal.status === GOAL_STATUS.MASTERED
+                ? goal.required_sessions
+                : progress.currentStreak || 0
+            const percent = Math.min(100, Math.round((streak / goal.required_sessions) * 100))
+
+            return (
+              <GoalCard key={goal.id} $status={goal.status} layout>
+                <GoalHeader>
+                  <div>
+                    <strong>{goal.title}</strong>
+                    <div style={{ color: 'var(--medium-gray)', fontSize: 'var(--font-size-sm)' }}>
+                      {describeGoalCriteria(goal)}
+                    </div>
+                  </div>
+                  <StatusBadge $status={goal.status}>{STATUS_LABELS[goal.status]}</StatusBadge>
+                </GoalHeader>
+
+                <ProgressTrack>
+                  <ProgressFill $status={goal.status} $percent={percent} />
+                </ProgressTrack>
+                <div style={{ fontSize: 'var(--font-size-sm)', color: 'var(--dark-gray)' }}>
+                  {goal.status === GOAL_STATUS.MASTERED
+                    ? `Dominada em ${formatDate(goal.mastered_at)}`
+                    : `${streak} de ${goal.required_sessions} sessões seguidas no alvo · ${
+                        progress.sessionsCounted || 0
+                      } sessão(ões) desde ${formatDate(goal.created_at)}`}
+                </div>
+
+                <Toolbar style={{ marginTop: 'var(--space-md)', marginBottom: 0 }}>
+                  {goal.status === GOAL_STATUS.ACTIVE && (
+                    <Button $secondary onClick={() => handleStatus(goal, GOAL_STATUS.PAUSED)}>
+                      ⏸️ Pausar
+                    </Button>
+                  )}
+                  {goal.status === GOAL_STATUS.PAUSED && (
+                    <Button $secondary onClick={() => handleStatus(goal, GOAL_STATUS.ACTIVE)}>
+                      ▶️ Retomar
+                    </Button>
+                  )}
+                  {goal.status !== GOAL_STATUS.DISCONTINUED && (
+                    <Button $secondary onClick={() => handleStatus(goal, GOAL_STATUS.DISCONTINUED)}>
+                      ⏹️ Encerrar
+                    </Button>
+                  )}
+                  <Button
+                    $secondary
+                    onClick={() => setExpandedGoal(expandedGoal === goal.id ? null : goal.id)}
+                  >
+                    🕒 Histórico
+                  </Button>
+                  <Button $secondary onClick={() => handleArchive(goal)}>
+                    🗄️ Arquivar
+                  </Button>
+                </Toolbar>
+
+                {expandedGoal === goal.id && (
+                  <Timeline>
+                    {[...(goal.history || [])].reverse().map((entry, index) => (
+                      <li key={`${entry.at}-${index}`}>
+                        <strong>{formatDate(entry.at)}</strong> — {describeHistoryEntry(entry)}
+                      </li>
+                    ))}
+                  </Timeline>
+                )}
+              </GoalCard>
+            )
+          })}
+        </>
+      )}
+    </GoalsContainer>
+  )
+}
+
+export default TherapyGoals
@@ -0,0 +1,380 @@
+/**
+ * @file TokenEconomy.jsx
+ * @description Configuração da economia de fichas pelo responsável: regra, esquema de
+ * reforço, quadro de fichas e recompensas, além da troca de fichas e do efeito do reforço
+ */
+
+import React, { useEffect, useMemo, useState } from 'react'
+import styled from 'styled-components'
+import { motion } from 'framer-motion'
+import { useTranslation } from 'react-i18next'
+import { useUser } from '../../contexts/UserContext'
+import {
+  BOARD_SIZES,
+  MAX_REWARDS,
+  MAX_TOKEN_RATIO,
+  REINFORCEMENT_SCHEDULES,
+  REWARD_EMOJIS,
+  TOKEN_EMOJIS,
+  TOKEN_RULES,
+  TOKENS_CHANGED_EVENT,
+  loadTokenEconomy,
+  redeemReward,
+  saveTokenConfig,
+} from '../../utils/game/tokenEconomy.js'
+import { AdaptiveMotivation } from '../../utils/emotionalAnalysis/algorithms/AdaptiveMotivation.js'
+
+const PageContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  border-radius: var(--radius-large);
+  padding: var(--space-xl);
+  margin: var(--space-lg) auto;
+  box-shadow: var(--shadow-medium);
+  max-width: 1000px;
+`
+
+const SectionTitle = styled.h2`
+  font-size: var(--font-size-xl);
+  color: var(--primary-blue);
+  margin-bottom: var(--space-lg);
+  display: flex;
+  align-items: center;
+  gap: var(--space-sm);
+`
+
+const SubTitle = styled.h3`
+  font-size: var(--font-size-base);
+  color: var(--dark-gray);
+  margin: var(--space-lg) 0 var(--space-sm);
+`
+
+const Toolbar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--space-md);
+  align-items: flex-end;
+  margin-bottom: var(--space-md);
+`
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: var(--space-xs);
+  font-size: var(--font-size-sm);
+  color: var(--dark-gray);
+  font-weight: 600;
+
+  input,
+  select {
+    padding: var(--space-sm);
+    border: 2px solid var(--light-gray);
+    border-radius: var(--radius-medium);
+    font-size: var(--font-size-base);
+  }
+`
+
+const RewardRow = styled.div`
+  display: flex;
+  align-items: flex-end;
+  gap: var(--space-md);
+  background: white;
+  border-radius: var(--radius-medium);
+  padding: var(--space-sm) var(--space-md);
+  box-shadow: var(--shadow-light);
+  margin-bottom: var(--space-sm);
+`
+
+const IconButton = styled.button`
+  background: none;
+  border: none;
+  font-size: 1.2rem;
+  cursor: pointer;
+`
+
+const Button = styled(motion.button)`
+  background: ${(props) =>
+    props.$secondary
+      ? 'white'
+      : 'linear-gradient(135deg, var(--primary-blue), var(--primary-cyan))'};
+  color: ${(props) => (props.$secondary ? 'var(--primary-blue)' : 'white')};
+  border: 2px solid var(--primary-blue);
+  padding: var(--space-sm) var(--space-lg);
+  border-radius: var(--radius-medium);
+  font-weight: bold;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`
+
+const Balance = styled.p`
+  font-size: var(--font-size-lg);
+  color: var(--dark-gray);
+  margin-bottom: var(--space-md);
+`
+
+const Summary = styled.ul`
+  color: var(--dark-gray);
+  line-height: 1.8;
+  padding-left: var(--space-lg);
+`
+
+const ErrorMessage = styled.div`
+  color: var(--primary-pink);
+  margin-bottom: var(--space-md);
+`
+
+const SuccessMessage = styled.div`
+  color: var(--primary-green);
+  margin-bottom: var(--space-md);
+`
+
+const motivation = new AdaptiveMotivation()
+
+function TokenEconomy() {
+  const { t } = useTranslation()
+  const { userId } = useUser()
+  const childId = userId || localStorage.getItem('betina_user_id')
+  const [economy, setEconomy] = useState(() => loadTokenEconomy(childId))
+  const [config, setConfig] = useState(economy.config)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    const handleChanged = () => setEconomy(loadTokenEconomy(childId))
+    window.addEventListener(TOKENS_CHANGED_EVENT, handleChanged)
+    return () => window.removeEventListener(TOKENS_CHANGED_EVENT, handleChanged)
+  }, [childId])
+
+  const evaluation = useMemo(() => motivation.evaluateRewardDeliveries(economy.log), [economy.log])
+
+  const update = (changes) => {
+    setConfig({ ...config, ...changes })
+    setMessage('')
+  }
+
+  const updateReward = (index, changes) =>
+    update({
+      rewards: config.rewards.map((reward, i) =>
+        i === index ? { ...reward, ...changes } : reward
+      ),
+    })
+
+  const addReward = () =>
+    update({
+      rewards: [
+        ...config.rewards,
+        { label: '', emoji: REWARD_EMOJIS[0], cost: Math.min(3, config.boardSize) },
+      ],
+    })
+
+  const handleSave = () => {
+    try {
+      setConfig(saveTokenConfig(config, { userId: childId }))
+      setError('')
+      setMessage(t('tokens.economy.saved'))
+    } catch (saveError) {
+      setError(saveError.message)
+    }
+  }
+
+  const handleRedeem = (reward) => {
+    try {
+      redeemReward(childId, reward.id)
+      setError('')
+      setMessage(t('tokens.economy.delivered', { emoji: reward.emoji, reward: reward.label }))
+    } catch (redeemError) {
+      setError(redeemError.message)
+    }
+  }
+
+  const savedRewards = economy.config.rewards
+
+  return (
+    <PageContainer>
+      <SectionTitle>⭐ {t('tokens.economy.title')}</SectionTitle>
+
+      <Toolbar>
+        <Field>
+          {t('tokens.economy.board')}
+          <select
+            value={config.enabled ? 'on' : 'off'}
+            onChange={(e) => update({ enabled: e.target.value === 'on' })}
+          >
+            <option value="off">{t('tokens.economy.off')}</option>
+            <option value="on">{t('tokens.economy.on')}</option>
+          </select>
+        </Field>
+        <Field>
+          {t('tokens.economy.rule')}
+          <select value={config.rule} onChange={(e) => update({ rule: e.target.value })}>
+            {Object.values(TOKEN_RULES).map((rule) => (
+              <option key={rule} value={rule}>
+                {t(`tokens.economy.rules.${rule}`)}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field>
+          {t('tokens.economy.schedule')}
+          <select value={config.schedule} onChange={(e) => update({ schedule: e.target.value })}>
+            {Object.values(REINFORCEMENT_SCHEDULES).map((schedule) => (
+              <option key={schedule} value={schedule}>
+                {t(`tokens.economy.schedules.${schedule}`)}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field>
+          {config.schedule === REINFORCEMENT_SCHEDULES.VARIABLE
+            ? t('tokens.economy.ratioVariable')
+            : t('tokens.economy.ratioFixed')}
+          <input
+            type="number"
+            min="1"
+            max={MAX_TOKEN_RATIO}
+            value={config.ratio}
+            onChange={(e) => update({ ratio: e.target.value })}
+          />
+        </Field>
+        <Field>
+          {t('tokens.economy.boardSize')}
+          <select
+            value={config.boardSize}
+            onChange={(e) => update({ boardSize: Number(e.target.value) })}
+          >
+            {BOARD_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field>
+          {t('tokens.economy.token')}
+          <select
+            value={config.tokenEmoji}
+            onChange={(e) => update({ tokenEmoji: e.target.value })}
+          >
+            {TOKEN_EMOJIS.map((emoji) => (
+              <option key={emoji} value={emoji}>
+                {emoji}
+              </option>
+            ))}
+          </select>
+        </Field>
+      </Toolbar>
+
+      <SubTitle>🎁 {t('tokens.economy.rewards')}</SubTitle>
+      {config.rewards.map((reward, index) => (
+        <RewardRow key={reward.id || index}>
+          <Field>
+            {t('tokens.economy.picture')}
+            <select
+              value={reward.emoji}
+              onChange={(e) => updateReward(index, { emoji: e.target.value })}
+            >
+              {REWARD_EMOJIS.map((emoji) => (
+                <option key={emoji} value={emoji}>
+                  {emoji}
+                </option>
+              ))}
+            </select>
+          </Field>
+          <Field style={{ flex: 1 }}>
+            {t('tokens.economy.reward')}
+            <input
+              placeholder={t('tokens.economy.rewardPlaceholder')}
+              value={reward.label}
+              onChange={(e) => updateReward(index, { label: e.target.value })}
+            />
+          </Field>
+          <Field>
+            {t('tokens.economy.cost')}
+            <input
+              type="number"
+              min="1"
+              max={config.boardSize}
+              value={reward.cost}
+              onChange={(e) => updateReward(index, { cost: e.target.value })}
+            />
+          </Field>
+          <IconButton
+            aria-label={t('tokens.economy.removeReward')}
+            onClick={() => update({ rewards: config.rewards.filter((_, i) => i !== index) })}
+          >
+            ✖️
+          </IconButton>
+        </RewardRow>
+      ))}
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      {message && <SuccessMessage>{message}</SuccessMessage>}
+
+      <Toolbar>
+        <Button
+          $secondary
+          whileTap={{ scale: 0.95 }}
+          onClick={addReward}
+          disabled={config.rewards.length >= MAX_REWARDS}
+        >
+          ➕ {t('tokens.economy.addReward')}
+        </Button>
+        <Button whileTap={{ scale: 0.95 }} onClick={handleSave}>
+          💾 {t('tokens.economy.save')}
+        </Button>
+      </Toolbar>
+
+      <SubTitle>🪙 {t('tokens.economy.redeem')}</SubTitle>
+      <Balance>
+        {t('tokens.economy.balance')} <strong>{economy.balance}</strong>{' '}
+        {t('tokens.economy.balanceOf', { size: economy.config.boardSize })}
+      </Balance>
+      <Toolbar>
+        {savedRewards.length === 0 && (
+          <span style={{ color: 'var(--medium-gray)' }}>{t('tokens.economy.noRewards')}</span>
+        )}
+        {savedRewards.map((reward) => (
+          <Button
+            key={reward.id}
+            $secondary
+            whileTap={{ scale: 0.95 }}
+            disabled={economy.balance < reward.cost}
+            onClick={() => handleRedeem(reward)}
+          >
+            {reward.emoji} {reward.label} ({reward.cost})
+          </Button>
+        ))}
+      </Toolbar>
+
+      <SubTitle>📈 {t('tokens.economy.effect')}</SubTitle>
+      <Summary>
+        <li>{t(`tokens.economy.effectiveness.${evaluation.effectiveness}`)}</li>
+        <li>
+          {t('tokens.economy.deliveries', {
+            tokens: evaluation.tokensDelivered,
+            rewards: evaluation.rewardsRedeemed,
+          })}
+        </li>
+        {evaluation.averageResponsesPerToken !== null && (
+          <li>
+            {t('tokens.economy.responsesPerToken', {
+              average: evaluation.averageResponsesPerToken,
+            })}
+          </li>
+        )}
+        {evaluation.averageIntervalMs !== null && (
+          <li>
+            {t('tokens.economy.interval', {
+              seconds: Math.round(evaluation.averageIntervalMs / 1000),
+            })}
+          </li>
+        )}
+      </Summary>
+    </PageContainer>
+  )
+}
+
+export default TokenEconomy
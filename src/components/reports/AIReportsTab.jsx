@@ -18,6 +18,10 @@ import multisensoryMetrics from '../../utils/multisensoryAnalysis/multisensoryMe
 import deepSeekAIService from '../../services/deepSeekAIService'
 import useAdvancedActivity from '../../hooks/useAdvancedActivity' // Importando o hook useAdvancedActivity
 
+// Números removidos pela verificação do relatório chegam como null
+const formatScore = (value, suffix = '/100') =>
+  value === null || value === undefined ? '—' : `${value}${suffix}`
+
 const AIReportsTab = ({ sessionData, userId }) => {
   const [hasAccess, setHasAccess] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
@@ -512,6 +516,14 @@ const AIReportsTab = ({ sessionData, userId }) => {
                 </div>
               )}
             </div>
+            {aiReport.validation?.flags?.length > 0 && (
+              <p className="flex items-center gap-2 mt-2 text-xs text-amber-700">
+                <AlertCircle size={14} />
+                {aiReport.validation.corrected} valor(es) corrigido(s) e{' '}
+                {aiReport.validation.removed} afirmação(ões) removida(s) por não terem respaldo nas
+                métricas da sessão
+              </p>
+            )}
           </div>
 
           {/* Conteúdo do Relatório baseado no tipo */}
@@ -524,7 +536,7 @@ const AIReportsTab = ({ sessionData, userId }) => {
                   <div className="bg-blue-50 p-4 rounded-lg">
                     <h5 className="font-medium text-blue-900 mb-2">Função Executiva</h5>
                     <div className="text-2xl font-bold text-blue-600 mb-2">
-                      {aiReport.cognitiveProfile.executiveFunction.score}/100
+                      {formatScore(aiReport.cognitiveProfile.executiveFunction.score)}
                     </div>
                     <div className="space-y-2">
                       <div>
@@ -559,19 +571,23 @@ const AIReportsTab = ({ sessionData, userId }) => {
                       <div className="flex justify-between text-xs">
                         <span>Sustentada:</span>
                         <span className="font-medium">
-                          {aiReport.cognitiveProfile.attentionProfile.sustainedAttention}/100
+                          {formatScore(
+                            aiReport.cognitiveProfile.attentionProfile.sustainedAttention
+                          )}
                         </span>
                       </div>
                       <div className="flex justify-between text-xs">
                         <span>Seletiva:</span>
                         <span className="font-medium">
-                          {aiReport.cognitiveProfile.attentionProfile.selectiveAttention}/100
+                          {formatScore(
+                            aiReport.cognitiveProfile.attentionProfile.selectiveAttention
+                          )}
                         </span>
                       </div>
                       <div className="flex justify-between text-xs">
                         <span>Dividida:</span>
                         <span className="font-medium">
-                          {aiReport.cognitiveProfile.attentionProfile.dividedAttention}/100
+                          {formatScore(aiReport.cognitiveProfile.attentionProfile.dividedAttention)}
                         </span>
                       </div>
                     </div>
@@ -580,25 +596,25 @@ const AIReportsTab = ({ sessionData, userId }) => {
                   <div className="bg-green-50 p-4 rounded-lg">
                     <h5 className="font-medium text-green-900 mb-2">Velocidade de Processamento</h5>
                     <div className="text-2xl font-bold text-green-600 mb-2">
-                      {aiReport.cognitiveProfile.processingSpeed.overall}/100
+                      {formatScore(aiReport.cognitiveProfile.processingSpeed.overall)}
                     </div>
                     <div className="space-y-1">
                       <div className="flex justify-between text-xs">
                         <span>Visual:</span>
                         <span className="font-medium">
-                          {aiReport.cognitiveProfile.processingSpeed.visual}/100
+                          {formatScore(aiReport.cognitiveProfile.processingSpeed.visual)}
                         </span>
                       </div>
                       <div className="flex justify-between text-xs">
                         <span>Auditivo:</span>
                         <span className="font-medium">
-                          {aiReport.cognitiveProfile.processingSpeed.auditory}/100
+                          {formatScore(aiReport.cognitiveProfile.processingSpeed.auditory)}
                         </span>
                       </div>
                       <div className="flex justify-between text-xs">
                         <span>Motor:</span>
                         <span className="font-medium">
-                          {aiReport.cognitiveProfile.processingSpeed.motor}/100
+                          {formatScore(aiReport.cognitiveProfile.processingSpeed.motor)}
                         </span>
                       </div>
                     </div>
@@ -669,13 +685,13 @@ const AIReportsTab = ({ sessionData, userId }) => {
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                     <div className="text-center">
                       <div className="text-3xl font-bold text-purple-600 mb-2">
-                        {aiReport.populationComparison.percentile}º
+                        {formatScore(aiReport.populationComparison.percentile, 'º')}
                       </div>
                       <p className="text-sm text-gray-600">Percentil</p>
                     </div>
                     <div className="text-center">
                       <div className="text-3xl font-bold text-blue-600 mb-2">
-                        {aiReport.populationComparison.similarProfiles}
+                        {formatScore(aiReport.populationComparison.similarProfiles, '')}
                       </div>
                       <p className="text-sm text-gray-600">Perfis Similares</p>
                     </div>
@@ -87,6 +87,11 @@ const currentEnv = getCurrentEnvironment();
 export const CONFIG = ENVIRONMENT_CONFIG[currentEnv];
 
 export const API_CONFIG = {
+  ENDPOINTS: {
+    authAnonymous: '/auth/anonymous',
+    authLogin: '/auth/login',
+    authVerify: '/auth/verify',
+  },
   DEFAULT_HEADERS: {
     'Content-Type': 'application/json',
     'Accept': 'application/json',
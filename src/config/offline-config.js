@@ -1,18 +1,45 @@
-// Configuração simplificada para modo offline - apenas métricas locais
-export const OFFLINE_MODE = true
+// Configuração do modo offline - apenas métricas locais
+// O modo offline forçado vem de VITE_OFFLINE_MODE (ex.: demonstração sem servidor); fora
+// dele as chamadas à API seguem a conectividade e o que não sai fica na outbox.
+
+const getEnvVar = (key, fallback = undefined) => {
+  if (typeof import.meta !== 'undefined' && import.meta.env) {
+    return import.meta.env[key] || fallback
+  } else if (typeof process !== 'undefined' && process.env) {
+    return process.env[key] || fallback
+  }
+  return fallback
+}
+
+export const OFFLINE_MODE = getEnvVar('VITE_OFFLINE_MODE', 'false') === 'true'
+
+/**
+ * Indica se as chamadas à API devem ficar para depois (modo forçado ou sem conexão)
+ * @returns {boolean}
+ */
+export const isOfflineMode = () =>
+  OFFLINE_MODE || (typeof navigator !== 'undefined' && navigator.onLine === false)
 
 export const CONFIG = {
-  OFFLINE_MODE: true,
-  DISABLE_API_CALLS: true,
-  DISABLE_DATABASE_CALLS: true,
+  get OFFLINE_MODE() {
+    return isOfflineMode()
+  },
+  get DISABLE_API_CALLS() {
+    return isOfflineMode()
+  },
+  DISABLE_DATABASE_CALLS: OFFLINE_MODE,
   ENABLE_LOCAL_METRICS: true,
   LOG_LEVEL: 'warn', // Reduzir logs para evitar recursão
-  API_URL: null, // Desabilitar completamente
+  API_URL: OFFLINE_MODE ? null : getEnvVar('VITE_API_URL', '/api'),
 }
 
 export const API_CONFIG = {
-  OFFLINE_MODE: true,
-  DISABLE_NETWORK_CALLS: true,
+  get OFFLINE_MODE() {
+    return isOfflineMode()
+  },
+  get DISABLE_NETWORK_CALLS() {
+    return isOfflineMode()
+  },
   DEFAULT_HEADERS: {
     'Content-Type': 'application/json',
   },
@@ -21,6 +48,16 @@ export const API_CONFIG = {
   },
 }
 
+// Fila offline (outbox) persistida no IndexedDB e reenviada quando a conexão volta
+export const OFFLINE_SYNC_CONFIG = {
+  DB_NAME: 'PortalBetinaOutbox',
+  STORE_NAME: 'outbox',
+  RETRY_BASE_DELAY: 5000, // Espera após a primeira falha; dobra a cada nova falha
+  RETRY_MAX_DELAY: 600000, // Espera máxima entre tentativas (10 minutos)
+  BATCH_SIZE: 50, // Itens reenviados por rodada de sincronização
+  SYNC_INTERVAL: 60000, // Nova tentativa periódica enquanto houver pendências
+}
+
 // Logger simplificado para evitar recursão
 export const logger = {
   info: (msg, data) => console.log(`ℹ️ ${msg}`, data || ''),
@@ -29,4 +66,6 @@ export const logger = {
   debug: () => {}, // Desabilitar debug
 }
 
-console.log('🔧 Modo OFFLINE ativado - apenas métricas locais')
+if (OFFLINE_MODE) {
+  console.log('🔧 Modo OFFLINE ativado - apenas métricas locais')
+}
@@ -1,4 +1,4 @@
-import React, { createContext, useState, useEffect, useContext } from 'react'
+import React, { createContext, useState, useEffect, useContext, useCallback } from 'react'
 import databaseService from '../database/core/DatabaseService.js'
 
 // Criação do contexto
@@ -334,8 +334,8 @@ export function UserProvider({ children }) {
     }
   }
 
-  // Obter perfil ativo
-  const getActiveUserProfile = async () => {
+  // Obter perfil ativo (referência estável: os efeitos que leem o perfil dependem dela)
+  const getActiveUserProfile = useCallback(async () => {
     if (!userId || !isDbConnected) return null
 
     try {
@@ -344,7 +344,7 @@ export function UserProvider({ children }) {
       console.error('Erro ao obter perfil ativo:', err)
       return null
     }
-  }
+  }, [userId, isDbConnected])
 
   // Valores expostos pelo contexto
   const value = {
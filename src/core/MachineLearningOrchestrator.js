@@ -12,6 +12,7 @@ import * as tf from '@tensorflow/tfjs'
 import { getPerformanceProfiler } from '../utils/core/PerformanceProfiler.js'
 import { getMLMetricsCollector } from './MLMetricsCollector.js'
 import logger from '../utils/logger.js'
+import { ANALYSIS_TASKS, runAnalysis } from '../utils/workers/index.js'
 
 /**
  * Estados do pipeline de ML
@@ -50,6 +51,8 @@ const AUTISM_OPTIMIZED_HYPERPARAMS = {
 class MachineLearningOrchestrator {
   constructor() {
     this.models = new Map()
+    // Modelos salvos no IndexedDB (o worker de análise os carrega de lá) e sua versão
+    this.savedModelVersions = new Map()
     this.pipelineState = ML_PIPELINE_STATES.IDLE
     this.profiler = getPerformanceProfiler()
     this.metricsCollector = getMLMetricsCollector()
@@ -297,12 +300,11 @@ class MachineLearningOrchestrator {
         throw new Error(`Modelo ${modelType} não encontrado`)
       }
 
-      // Preprocessar entrada
-      const processedInput = this.preprocessInputData(inputData, modelType)
-
-      // Fazer predição
-      const prediction = model.predict(processedInput)
-      const result = await this.postprocessPrediction(prediction, modelType)
+      // Fazer predição no worker de análise quando o modelo está salvo; senão, aqui mesmo
+      const result = await this.postprocessPrediction(
+        await this.runPrediction(model, modelType, inputData),
+        modelType
+      )
 
       // Atualizar cache
       if (useCache) {
@@ -315,10 +317,6 @@ class MachineLearningOrchestrator {
       this.profiler.endMeasurement(`prediction_${modelType}`)
       this.pipelineState = ML_PIPELINE_STATES.IDLE
 
-      // Limpar tensores para evitar memory leak
-      processedInput.dispose()
-      prediction.dispose()
-
       return result
     } catch (error) {
       this.pipelineState = ML_PIPELINE_STATES.ERROR
@@ -475,6 +473,40 @@ class MachineLearningOrchestrator {
     }
   }
 
+  /**
+   * Calcula as probabilidades do modelo
+   * @returns {Promise<number[]>}
+   */
+  async runPrediction(model, modelType, inputData) {
+    const runOnMainThread = async () => {
+      const processedInput = this.preprocessInputData(inputData, modelType)
+      const prediction = model.predict(processedInput)
+      try {
+        return Array.from(await prediction.data())
+      } finally {
+        // Limpar tensores para evitar memory leak
+        processedInput.dispose()
+        prediction.dispose()
+      }
+    }
+
+    if (!this.savedModelVersions.has(modelType)) return runOnMainThread()
+
+    const { probabilities } = await runAnalysis(
+      ANALYSIS_TASKS.ML_PREDICT,
+      {
+        modelUrl: `indexeddb://betina_model_${modelType}`,
+        version: this.savedModelVersions.get(modelType),
+        features: this.extractFeatures([inputData], modelType)[0],
+      },
+      {
+        affinity: ANALYSIS_TASKS.ML_PREDICT,
+        fallback: async () => ({ probabilities: await runOnMainThread() }),
+      }
+    )
+    return probabilities
+  }
+
   /**
    * Salva modelo treinado
    */
@@ -482,6 +514,7 @@ class MachineLearningOrchestrator {
     try {
       const modelPath = `indexeddb://betina_model_${modelType}`
       await model.save(modelPath)
+      this.savedModelVersions.set(modelType, Date.now())
 
       logger.info(`💾 Modelo ${modelType} salvo em ${modelPath}`)
     } catch (error) {
@@ -500,6 +533,7 @@ class MachineLearningOrchestrator {
         const modelPath = `indexeddb://betina_model_${modelType}`
         const model = await tf.loadLayersModel(modelPath)
         this.models.set(modelType, model)
+        this.savedModelVersions.set(modelType, 0)
 
         logger.info(`📂 Modelo ${modelType} carregado com sucesso`)
       } catch (error) {
@@ -573,7 +607,7 @@ class MachineLearningOrchestrator {
    * Pós-processa resultado da predição
    */
   async postprocessPrediction(prediction, modelType) {
-    const probabilities = await prediction.data()
+    const probabilities = Array.isArray(prediction) ? prediction : await prediction.data()
 
     switch (modelType) {
       case MODEL_TYPES.DIFFICULTY_PREDICTOR:
@@ -1,17 +1,39 @@
 /**
  * @file ConnectionManager.js
  * @description Gerenciador de conexões e requisições HTTP
+ * Escritas feitas sem conexão vão para a OfflineOutbox e são reenviadas quando
+ * a conexão volta (ver syncOfflineData).
  */
 
+import {
+  OfflineOutbox,
+  OUTBOX_EVENT_TYPES,
+  createIdempotencyKey,
+  isDueForRetry,
+  isEditEntry,
+  resolveEditConflict,
+} from './OfflineOutbox.js'
+import { OFFLINE_SYNC_CONFIG, isOfflineMode } from '../../config/offline-config.js'
+
+// Status 4xx que indicam falha temporária: o item continua na fila (5xx também continua)
+const RETRYABLE_STATUS = [408, 425, 429]
+
 export class ConnectionManager {
-  constructor(databaseService) {
+  /**
+   * @param {Object} databaseService - Serviço dono da conexão (logger, cache, authService...)
+   * @param {Object} [config] - { API_URL, RETRY_ATTEMPTS, RETRY_DELAY }; padrão: databaseService.config
+   */
+  constructor(databaseService, config = databaseService.config) {
     this.db = databaseService
     this.logger = databaseService.logger
     this.circuitBreaker = databaseService.circuitBreaker
-    this.config = databaseService.config
+    this.config = config
     this.apiConfig = databaseService.apiConfig
     this.authService = databaseService.authService
     this.requestQueue = databaseService.requestQueue
+    this.outbox = databaseService.outbox || new OfflineOutbox()
+    this.syncTimer = null
+    this.handleOnline = null
     this.ready = false
   }
 
@@ -338,45 +360,126 @@ export class ConnectionManager {
     this.db.setLocalData(cacheKey, sanitizedPreferences)
     this.db.cache.set(cacheKey, sanitizedPreferences, 1800000)
 
-    if (!navigator.onLine) {
+    const result = await this.sendOrQueue({
+      type: OUTBOX_EVENT_TYPES.PREFERENCES,
+      method: 'PUT',
+      endpoint: `/user/${userIdStr}/preferences`,
+      body: { preferences: sanitizedPreferences },
+    })
+
+    if (result.synced) {
+      // Invalidar cache do usuário
+      this.db.cache.invalidate(`user_${userIdStr}`)
+      this.logger.info('🌟 Portal Betina: User preferences updated', {
+        userId: userIdStr,
+      })
+    } else {
       this.logger.warn('🚨 Portal Betina: Preferences saved locally (offline mode)', {
         userId: userIdStr,
       })
-      return { success: true, offline: true }
     }
 
-    try {
-      return await this.withRetry(async () => {
-        const response = await this.authenticatedFetch(
-          `${this.config.API_URL}${this.apiConfig.ENDPOINTS.users}/${userIdStr}/preferences`,
-          {
-            method: 'PUT',
-            headers: { ...this.apiConfig.DEFAULT_HEADERS, 'Content-Type': 'application/json' },
-            body: JSON.stringify(sanitizedPreferences),
-          }
-        )
+    return { success: true, offline: !result.synced, idempotencyKey: result.idempotencyKey }
+  }
 
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-        }
+  /**
+   * @method saveGameSession
+   * @async
+   * @description Registra uma sessão de jogo passando pela outbox
+   * @param {Object} session - Dados da sessão (formato de POST /game-session)
+   * @param {Object} [options]
+   * @param {string} [options.idempotencyKey] - Chave estável (ex.: sessão restaurada de backup)
+   * @returns {Promise<Object>} { queued, synced, idempotencyKey }
+   */
+  async saveGameSession(session, { idempotencyKey } = {}) {
+    return this.sendOrQueue({
+      type: OUTBOX_EVENT_TYPES.GAME_SESSION,
+      method: 'POST',
+      endpoint: '/game-session',
+      body: { ...session, user_id: String(session.user_id) },
+      idempotencyKey,
+    })
+  }
 
-        const result = await response.json()
+  /**
+   * @method recordMetricsEvents
+   * @async
+   * @description Registra um lote de eventos de métricas passando pela outbox
+   * @param {string|number} userId - ID do usuário
+   * @param {Object[]} events - Eventos ({ event_type, payload, session_id, occurred_at })
+   * @returns {Promise<Object>} { queued, synced, idempotencyKey }
+   */
+  async recordMetricsEvents(userId, events) {
+    const timestamp = new Date().toISOString()
+
+    return this.sendOrQueue({
+      type: OUTBOX_EVENT_TYPES.METRICS_EVENTS,
+      method: 'POST',
+      endpoint: '/metrics/events',
+      body: {
+        user_id: Number(userId),
+        // Cada evento tem o próprio ID para que o servidor ignore repetições
+        events: events.map((event) => ({
+          event_id: event.event_id || createIdempotencyKey(),
+          occurred_at: event.occurred_at || timestamp,
+          ...event,
+        })),
+      },
+    })
+  }
 
-        // Invalidar cache do usuário
-        this.db.cache.invalidate(`user_${userIdStr}`)
+  /**
+   * @method updateProfile
+   * @async
+   * @description Atualiza um perfil passando pela outbox, com detecção de conflito
+   * @param {string|number} userId - ID do usuário
+   * @param {string|number} profileId - ID do perfil
+   * @param {Object} changes - Apenas os campos alterados
+   * @param {string} [baseUpdatedAt] - updated_at do perfil quando a edição começou
+   * @returns {Promise<Object>} { queued, synced, idempotencyKey }
+   */
+  async updateProfile(userId, profileId, changes, baseUpdatedAt) {
+    return this.sendOrQueue({
+      type: OUTBOX_EVENT_TYPES.PROFILE_EDIT,
+      method: 'PUT',
+      endpoint: `/user/${userId}/profiles/${profileId}`,
+      body: changes,
+      baseUpdatedAt,
+    })
+  }
 
-        this.logger.info('🌟 Portal Betina: User preferences updated', {
-          userId: userIdStr,
-        })
+  /**
+   * @method sendOrQueue
+   * @async
+   * @description Grava a escrita na outbox e tenta sincronizar em seguida
+   * A gravação local vem antes do envio, então uma queda de Wi-Fi no meio da
+   * requisição não perde o dado: ele continua na fila com a mesma chave.
+   * @param {Object} item - Item da outbox (ver OfflineOutbox.enqueue)
+   * @returns {Promise<Object>} { queued, synced, idempotencyKey }
+   */
+  async sendOrQueue(item) {
+    const entry = await this.outbox.enqueue(item)
+
+    let pending = entry
+    // Se já havia uma sincronização em andamento, o item novo entra na rodada seguinte
+    for (
+      let round = 0;
+      round < 2 && pending && isDueForRetry(pending) && !isOfflineMode();
+      round++
+    ) {
+      try {
+        await this.syncOfflineData()
+      } catch (error) {
+        this.logger.warn('Offline queue sync deferred', { error: error.message })
+        break
+      }
+      pending = await this.outbox.get(entry.idempotencyKey)
+    }
 
-        return { success: true, offline: false, data: result }
-      }, 'updateUserPreferences')
-    } catch (error) {
-      this.logger.error('🚨 Portal Betina: Failed to update user preferences', {
-        userId: userIdStr,
-        error: error.message,
-      })
-      return { success: true, offline: true, syncError: error.message }
+    return {
+      queued: true,
+      synced: !pending,
+      idempotencyKey: entry.idempotencyKey,
     }
   }
 
@@ -584,26 +687,51 @@ export class ConnectionManager {
    * @method syncOfflineData
    * @async
    * @description Sincroniza dados offline quando conexão é restaurada
+   * Reenvia a outbox em ordem de criação com o header Idempotency-Key. Falhas de
+   * rede interrompem a rodada (os itens restantes esperam a próxima conexão) e,
+   * como respostas 5xx, só adiam o item; apenas 4xx o recusam. 409 em edições é
+   * resolvido por resolveEditConflict.
    * @returns {Promise<Object>} Resultado da sincronização
    */
   async syncOfflineData() {
-    if (!navigator.onLine) {
+    if (isOfflineMode()) {
       throw new Error('Cannot sync offline data: no internet connection')
     }
 
+    return this.deduplicatedRequest('offline-outbox-sync', () => this.replayOutbox())
+  }
+
+  async replayOutbox() {
     const syncResults = {
       synced: 0,
       failed: 0,
+      conflicts: 0,
+      remaining: 0,
       errors: [],
     }
 
     try {
-      // Implementar lógica de sincronização específica
-      // Por enquanto, apenas log
       this.logger.info('🔄 Starting offline data sync...')
 
-      // Aqui seria implementada a sincronização real
-      // Por exemplo: percorrer localStorage, identificar dados offline, enviar para API
+      const pending = await this.outbox.getPending()
+      const batch = pending.slice(0, OFFLINE_SYNC_CONFIG.BATCH_SIZE)
+
+      for (const entry of batch) {
+        // Ainda esperando após a última falha
+        if (!isDueForRetry(entry)) continue
+
+        const outcome = await this.replayEntry(entry)
+
+        if (outcome === 'synced') syncResults.synced++
+        if (outcome === 'conflict') syncResults.conflicts++
+        if (outcome === 'failed' || outcome === 'offline') {
+          syncResults.failed++
+          syncResults.errors.push({ idempotencyKey: entry.idempotencyKey, type: entry.type })
+        }
+        if (outcome === 'offline') break
+      }
+
+      syncResults.remaining = (await this.outbox.getPending()).length
 
       this.logger.info('✅ Offline data sync completed', syncResults)
       return syncResults
@@ -616,21 +744,147 @@ export class ConnectionManager {
     }
   }
 
+  /**
+   * @method replayEntry
+   * @async
+   * @description Reenvia um item da outbox
+   * @param {Object} entry - Item da outbox
+   * @returns {Promise<string>} synced, conflict, failed ou offline
+   */
+  async replayEntry(entry) {
+    let response
+    try {
+      response = await this.authenticatedFetch(`${this.config.API_URL}${entry.endpoint}`, {
+        method: entry.method,
+        headers: { 'Idempotency-Key': entry.idempotencyKey },
+        body: JSON.stringify(
+          entry.baseUpdatedAt ? { ...entry.body, base_updated_at: entry.baseUpdatedAt } : entry.body
+        ),
+      })
+    } catch (error) {
+      // Falha de rede não é culpa do item: não conta como tentativa
+      await this.outbox.markUnreachable(entry, error.message)
+      return 'offline'
+    }
+
+    if (response.ok) {
+      await this.outbox.remove(entry.idempotencyKey)
+      return 'synced'
+    }
+
+    if (response.status === 409 && isEditEntry(entry)) {
+      return this.handleEditConflict(entry, response)
+    }
+
+    // 409 fora das edições é a mesma chave ainda em processamento no servidor
+    const retryable =
+      response.status >= 500 ||
+      response.status === 409 ||
+      RETRYABLE_STATUS.includes(response.status)
+    await this.outbox.markFailed(entry, `HTTP ${response.status}`, !retryable)
+
+    this.logger.warn('Offline entry rejected by API', {
+      type: entry.type,
+      status: response.status,
+      willRetry: retryable,
+    })
+
+    return 'failed'
+  }
+
+  async handleEditConflict(entry, response) {
+    const data = await response.json().catch(() => ({}))
+    const resolution = resolveEditConflict(entry, data.current)
+
+    this.logger.warn('Offline edit conflicts with server version', {
+      type: entry.type,
+      resolution: resolution.action,
+    })
+
+    if (resolution.action === 'discard') {
+      // O servidor tem uma edição mais recente; ela prevalece
+      await this.outbox.remove(entry.idempotencyKey)
+      return 'conflict'
+    }
+
+    // Só uma reaplicação automática; se conflitar de novo, fica para revisão
+    if (entry.conflictRetried) {
+      await this.outbox.markConflict(entry, data.current)
+      return 'conflict'
+    }
+
+    const retried = await this.outbox.put({
+      ...entry,
+      body: resolution.body,
+      baseUpdatedAt: resolution.baseUpdatedAt,
+      conflictRetried: true,
+      updatedAt: Date.now(),
+    })
+    return this.replayEntry(retried)
+  }
+
+  /**
+   * @method getOfflineQueueStats
+   * @async
+   * @description Estado da outbox (pendentes, conflitos e recusados)
+   * @returns {Promise<Object>} Estatísticas
+   */
+  getOfflineQueueStats() {
+    return this.outbox.getStats()
+  }
+
   /**
    * @method monitorConnection
    * @description Monitora estado da conexão
    */
   monitorConnection() {
-    // Listeners já configurados no ConnectionStrategy
-    // Aqui podemos adicionar lógica adicional se necessário
+    // Chamado uma vez na abertura do app; chamadas repetidas não duplicam os listeners
+    if (this.handleOnline) return
 
-    window.addEventListener('online', () => {
-      this.logger.info('🌐 Connection restored - attempting to sync offline data')
+    const sync = (reason) => {
+      if (isOfflineMode()) return
       this.syncOfflineData().catch((error) => {
-        this.logger.error('Failed to sync offline data after reconnection', {
+        this.logger.error('Failed to sync offline data', {
+          reason,
           error: error.message,
         })
       })
-    })
+    }
+
+    this.handleOnline = () => {
+      this.logger.info('🌐 Connection restored - attempting to sync offline data')
+      sync('online')
+    }
+    window.addEventListener('online', this.handleOnline)
+
+    // Pendências de uma sessão anterior (app fechado sem conexão)
+    sync('startup')
+
+    // O evento online nem sempre dispara quando o Wi-Fi volta sem trocar de rede
+    if (!this.syncTimer) {
+      this.syncTimer = setInterval(() => {
+        this.outbox
+          .getStats()
+          .then((stats) => {
+            if (stats.pending > 0) sync('interval')
+          })
+          .catch((error) => {
+            this.logger.error('Failed to read offline queue', { error: error.message })
+          })
+      }, OFFLINE_SYNC_CONFIG.SYNC_INTERVAL)
+    }
+  }
+
+  /**
+   * @method stopMonitoring
+   * @description Interrompe a sincronização periódica da outbox
+   */
+  stopMonitoring() {
+    clearInterval(this.syncTimer)
+    this.syncTimer = null
+    if (this.handleOnline) {
+      window.removeEventListener('online', this.handleOnline)
+      this.handleOnline = null
+    }
   }
 }
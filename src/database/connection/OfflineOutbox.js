@@ -0,0 +1,349 @@
+/**
+ * @file OfflineOutbox.js
+ * @description Fila persistente (outbox) de escritas feitas sem conexão
+ * Sessões de jogo, eventos de métricas e edições de perfil ficam gravados no
+ * IndexedDB até o ConnectionManager conseguir reenviá-los para a API.
+ * Cada item carrega uma chave de idempotência, enviada no header Idempotency-Key,
+ * para que um reenvio após uma resposta perdida não duplique dados no servidor.
+ */
+
+import { OFFLINE_SYNC_CONFIG } from '../../config/offline-config.js'
+
+export const OUTBOX_EVENT_TYPES = Object.freeze({
+  GAME_SESSION: 'game_session',
+  METRICS_EVENTS: 'metrics_events',
+  PROFILE_EDIT: 'profile_edit',
+  PREFERENCES: 'preferences',
+})
+
+export const OUTBOX_STATUS = Object.freeze({
+  PENDING: 'pending',
+  // Conflito que não pôde ser resolvido automaticamente; fica guardado para revisão
+  CONFLICT: 'conflict',
+  // Recusado pela API (4xx); falhas de rede e 5xx continuam pendentes
+  REJECTED: 'rejected',
+})
+
+// Edições que podem conflitar com alterações feitas em outro dispositivo
+const EDIT_TYPES = [OUTBOX_EVENT_TYPES.PROFILE_EDIT, OUTBOX_EVENT_TYPES.PREFERENCES]
+
+/**
+ * Gera uma chave de idempotência única para uma escrita
+ * @returns {string} Chave no formato UUID quando disponível
+ */
+export const createIdempotencyKey = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID()
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 12)}`
+}
+
+/**
+ * Resolve o conflito de uma edição feita offline com a versão atual do servidor
+ * A edição mais recente vence (last-writer-wins): se o servidor mudou depois da
+ * edição local, a edição é descartada; caso contrário é reaplicada sobre a versão
+ * atual. Preferências são mescladas para não apagar chaves alteradas no servidor.
+ * @param {Object} entry - Item da outbox que recebeu 409
+ * @param {Object} current - Registro atual devolvido pela API
+ * @returns {{action: 'retry'|'discard', body?: Object, baseUpdatedAt?: string}}
+ */
+export const resolveEditConflict = (entry, current = {}) => {
+  const serverUpdatedAt = Date.parse(current.updated_at) || 0
+
+  if (serverUpdatedAt >= entry.createdAt) {
+    return { action: 'discard' }
+  }
+
+  const body =
+    entry.type === OUTBOX_EVENT_TYPES.PREFERENCES
+      ? { preferences: { ...(current.preferences || {}), ...entry.body.preferences } }
+      : { ...entry.body }
+
+  return { action: 'retry', body, baseUpdatedAt: current.updated_at }
+}
+
+export class OfflineOutbox {
+  /**
+   * @param {Object} options
+   * @param {string} [options.dbName] - Nome do banco IndexedDB
+   * @param {string} [options.storeName] - Nome do object store
+   * @param {number} [options.retryBaseDelay] - Espera após a primeira falha (ms)
+   * @param {number} [options.retryMaxDelay] - Espera máxima entre tentativas (ms)
+   * @param {IDBFactory} [options.indexedDB] - Implementação do IndexedDB (padrão: global)
+   */
+  constructor({
+    dbName = OFFLINE_SYNC_CONFIG.DB_NAME,
+    storeName = OFFLINE_SYNC_CONFIG.STORE_NAME,
+    retryBaseDelay = OFFLINE_SYNC_CONFIG.RETRY_BASE_DELAY,
+    retryMaxDelay = OFFLINE_SYNC_CONFIG.RETRY_MAX_DELAY,
+    indexedDB = typeof window !== 'undefined' ? window.indexedDB : undefined,
+  } = {}) {
+    this.dbName = dbName
+    this.storeName = storeName
+    this.retryBaseDelay = retryBaseDelay
+    this.retryMaxDelay = retryMaxDelay
+    this.idb = indexedDB
+    this.dbPromise = null
+    // Sem IndexedDB (Node, testes, navegação privada) a fila vive apenas em memória
+    this.memoryStore = new Map()
+  }
+
+  isPersistent() {
+    return Boolean(this.idb)
+  }
+
+  /**
+   * @method open
+   * @async
+   * @description Abre (e cria na primeira vez) o banco IndexedDB da outbox
+   * @returns {Promise<IDBDatabase|null>} Banco aberto ou null no modo em memória
+   */
+  open() {
+    if (!this.idb) return Promise.resolve(null)
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.idb.open(this.dbName, 1)
+
+        request.onerror = () => reject(request.error)
+        request.onsuccess = () => resolve(request.result)
+        request.onupgradeneeded = (event) => {
+          const db = event.target.result
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            const store = db.createObjectStore(this.storeName, { keyPath: 'idempotencyKey' })
+            store.createIndex('createdAt', 'createdAt', { unique: false })
+            store.createIndex('status', 'status', { unique: false })
+          }
+        }
+      }).catch((error) => {
+        // Falha ao abrir o IndexedDB não pode impedir o registro das atividades
+        this.dbPromise = null
+        this.idb = null
+        throw error
+      })
+    }
+
+    return this.dbPromise
+  }
+
+  async runTransaction(mode, operation) {
+    let db
+    try {
+      db = await this.open()
+    } catch {
+      db = null
+    }
+
+    if (!db) {
+      return operation(null)
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode)
+      const request = operation(transaction.objectStore(this.storeName))
+      transaction.oncomplete = () => resolve(request?.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * @method enqueue
+   * @async
+   * @description Grava uma escrita na outbox; itens com a mesma chave não são duplicados
+   * @param {Object} item
+   * @param {string} item.type - Um de OUTBOX_EVENT_TYPES
+   * @param {string} item.method - Método HTTP
+   * @param {string} item.endpoint - Caminho relativo à URL da API
+   * @param {Object} item.body - Corpo da requisição
+   * @param {string} [item.idempotencyKey] - Chave gerada pelo chamador
+   * @param {string} [item.baseUpdatedAt] - updated_at conhecido antes da edição
+   * @returns {Promise<Object>} Item gravado (ou o já existente com a mesma chave)
+   */
+  async enqueue(item) {
+    const idempotencyKey = item.idempotencyKey || createIdempotencyKey()
+    const existing = await this.get(idempotencyKey)
+    if (existing) {
+      return existing
+    }
+
+    const now = Date.now()
+    const entry = {
+      idempotencyKey,
+      type: item.type,
+      method: item.method,
+      endpoint: item.endpoint,
+      body: item.body,
+      baseUpdatedAt: item.baseUpdatedAt || null,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      networkFailures: 0,
+      nextAttemptAt: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+    }
+
+    await this.put(entry)
+    return entry
+  }
+
+  async get(idempotencyKey) {
+    const result = await this.runTransaction('readonly', (store) =>
+      store ? store.get(idempotencyKey) : null
+    )
+    return (this.isPersistent() ? result : this.memoryStore.get(idempotencyKey)) || null
+  }
+
+  async put(entry) {
+    await this.runTransaction('readwrite', (store) => {
+      if (!store) {
+        this.memoryStore.set(entry.idempotencyKey, { ...entry })
+        return null
+      }
+      return store.put(entry)
+    })
+    return entry
+  }
+
+  async remove(idempotencyKey) {
+    await this.runTransaction('readwrite', (store) => {
+      if (!store) {
+        this.memoryStore.delete(idempotencyKey)
+        return null
+      }
+      return store.delete(idempotencyKey)
+    })
+  }
+
+  /**
+   * @method getAll
+   * @async
+   * @description Lista os itens da outbox em ordem de criação
+   * @param {string} [status] - Filtra por status
+   * @returns {Promise<Object[]>} Itens
+   */
+  async getAll(status) {
+    const result = await this.runTransaction('readonly', (store) =>
+      store ? store.index('createdAt').getAll() : null
+    )
+    const entries = this.isPersistent()
+      ? result || []
+      : Array.from(this.memoryStore.values()).sort((a, b) => a.createdAt - b.createdAt)
+
+    return status ? entries.filter((entry) => entry.status === status) : entries
+  }
+
+  getPending() {
+    return this.getAll(OUTBOX_STATUS.PENDING)
+  }
+
+  /**
+   * @method getRetryDelay
+   * @description Espera exponencial entre tentativas, limitada a retryMaxDelay
+   * @param {number} failures - Falhas seguidas do item
+   * @returns {number} Espera em ms
+   */
+  getRetryDelay(failures) {
+    return Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** Math.max(0, failures - 1))
+  }
+
+  /**
+   * @method markFailed
+   * @async
+   * @description Registra uma resposta de erro da API; só falhas definitivas recusam o item,
+   * as demais esperam a próxima tentativa
+   * @param {Object} entry - Item da outbox
+   * @param {string} errorMessage - Motivo da falha
+   * @param {boolean} [permanent=false] - Falha definitiva (4xx da API)
+   * @returns {Promise<Object>} Item atualizado
+   */
+  markFailed(entry, errorMessage, permanent = false) {
+    const attempts = entry.attempts + 1
+    const now = Date.now()
+    return this.put({
+      ...entry,
+      attempts,
+      lastError: errorMessage,
+      status: permanent ? OUTBOX_STATUS.REJECTED : OUTBOX_STATUS.PENDING,
+      nextAttemptAt: permanent ? null : now + this.getRetryDelay(attempts),
+      updatedAt: now,
+    })
+  }
+
+  /**
+   * @method markUnreachable
+   * @async
+   * @description Registra uma falha de rede: o item continua pendente e não gasta
+   * tentativas, para que o Wi-Fi instável nunca descarte dados
+   * @param {Object} entry - Item da outbox
+   * @param {string} errorMessage - Motivo da falha
+   * @returns {Promise<Object>} Item atualizado
+   */
+  markUnreachable(entry, errorMessage) {
+    const networkFailures = (entry.networkFailures || 0) + 1
+    const now = Date.now()
+    return this.put({
+      ...entry,
+      networkFailures,
+      lastError: errorMessage,
+      status: OUTBOX_STATUS.PENDING,
+      nextAttemptAt: now + this.getRetryDelay(networkFailures),
+      updatedAt: now,
+    })
+  }
+
+  markConflict(entry, current) {
+    return this.put({
+      ...entry,
+      status: OUTBOX_STATUS.CONFLICT,
+      serverVersion: current || null,
+      updatedAt: Date.now(),
+    })
+  }
+
+  /**
+   * @method getStats
+   * @async
+   * @description Resumo da fila para telas de status e diagnóstico
+   * @returns {Promise<Object>} Contagem por status
+   */
+  async getStats() {
+    const entries = await this.getAll()
+    const stats = { total: entries.length, persistent: this.isPersistent() }
+
+    Object.values(OUTBOX_STATUS).forEach((status) => {
+      stats[status] = entries.filter((entry) => entry.status === status).length
+    })
+
+    return stats
+  }
+
+  async clear() {
+    await this.runTransaction('readwrite', (store) => {
+      if (!store) {
+        this.memoryStore.clear()
+        return null
+      }
+      return store.clear()
+    })
+  }
+}
+
+/**
+ * Indica se o tipo de item pode sofrer conflito de edição
+ * @param {Object} entry - Item da outbox
+ * @returns {boolean}
+ */
+export const isEditEntry = (entry) => EDIT_TYPES.includes(entry.type)
+
+/**
+ * Indica se o item pendente já pode ser reenviado (a espera após a última falha passou)
+ * @param {Object} entry - Item da outbox
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export const isDueForRetry = (entry, now = Date.now()) =>
+  !entry.nextAttemptAt || entry.nextAttemptAt <= now
+
+export default OfflineOutbox
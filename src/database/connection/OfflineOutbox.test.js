@@ -0,0 +1,247 @@
+/**
+ * @file OfflineOutbox.test.js
+ * @description Testes da fila offline e do reenvio feito pelo ConnectionManager
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  OfflineOutbox,
+  OUTBOX_EVENT_TYPES,
+  OUTBOX_STATUS,
+  isDueForRetry,
+  resolveEditConflict,
+} from './OfflineOutbox.js'
+import { ConnectionManager } from './ConnectionManager.js'
+import { DatabaseService } from '../core/DatabaseService.js'
+import { OFFLINE_SYNC_CONFIG } from '../../config/offline-config.js'
+
+const jsonResponse = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+})
+
+const createManager = (outbox) => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() }
+  return new ConnectionManager({
+    logger,
+    outbox,
+    config: { API_URL: 'http://api.test/api/v1', RETRY_ATTEMPTS: 1 },
+    apiConfig: { DEFAULT_HEADERS: { 'Content-Type': 'application/json' }, TIMEOUT: 1000 },
+    authService: { isAuthenticated: () => true, getToken: () => 'token' },
+    requestQueue: new Map(),
+  })
+}
+
+const sessionEntry = {
+  type: OUTBOX_EVENT_TYPES.GAME_SESSION,
+  method: 'POST',
+  endpoint: '/game-session',
+  body: { user_id: '10', game_id: 'memory-game', difficulty: 'EASY' },
+}
+
+describe('OfflineOutbox', () => {
+  let outbox
+
+  beforeEach(() => {
+    outbox = new OfflineOutbox({ indexedDB: null, retryBaseDelay: 1000, retryMaxDelay: 60000 })
+  })
+
+  it('não deve duplicar itens com a mesma chave de idempotência', async () => {
+    await outbox.enqueue({ ...sessionEntry, idempotencyKey: 'sessao-0001' })
+    await outbox.enqueue({ ...sessionEntry, idempotencyKey: 'sessao-0001' })
+
+    expect(await outbox.getPending()).toHaveLength(1)
+  })
+
+  it('deve manter o item pendente com espera crescente e recusar apenas falhas definitivas', async () => {
+    const entry = await outbox.enqueue(sessionEntry)
+
+    const first = await outbox.markFailed(entry, 'HTTP 503')
+    const second = await outbox.markFailed(first, 'HTTP 503')
+    expect(second.status).toBe(OUTBOX_STATUS.PENDING)
+    expect(second.attempts).toBe(2)
+    expect(second.nextAttemptAt - second.updatedAt).toBe(2000)
+    expect(isDueForRetry(second)).toBe(false)
+    expect(isDueForRetry(second, second.nextAttemptAt)).toBe(true)
+
+    const rejected = await outbox.markFailed(second, 'HTTP 400', true)
+    expect(rejected.status).toBe(OUTBOX_STATUS.REJECTED)
+    expect((await outbox.getStats()).rejected).toBe(1)
+  })
+
+  it('não deve gastar tentativas com falhas de rede', async () => {
+    let entry = await outbox.enqueue(sessionEntry)
+    for (let i = 0; i < 20; i++) {
+      entry = await outbox.markUnreachable(entry, 'Failed to fetch')
+    }
+
+    expect(entry).toMatchObject({ status: OUTBOX_STATUS.PENDING, attempts: 0, networkFailures: 20 })
+    // A espera não passa do máximo configurado
+    expect(entry.nextAttemptAt - entry.updatedAt).toBe(60000)
+  })
+})
+
+describe('resolveEditConflict', () => {
+  const entry = {
+    type: OUTBOX_EVENT_TYPES.PREFERENCES,
+    body: { preferences: { theme: 'dark' } },
+    createdAt: Date.parse('2025-06-10T12:00:00Z'),
+  }
+
+  it('deve reaplicar a edição offline mais recente mesclando as preferências', () => {
+    const current = {
+      preferences: { theme: 'light', language: 'en' },
+      updated_at: '2025-06-10T11:00:00.000Z',
+    }
+
+    expect(resolveEditConflict(entry, current)).toEqual({
+      action: 'retry',
+      body: { preferences: { theme: 'dark', language: 'en' } },
+      baseUpdatedAt: '2025-06-10T11:00:00.000Z',
+    })
+  })
+
+  it('deve descartar a edição offline quando o servidor tem uma versão mais nova', () => {
+    const current = { preferences: {}, updated_at: '2025-06-10T13:00:00.000Z' }
+
+    expect(resolveEditConflict(entry, current).action).toBe('discard')
+  })
+})
+
+describe('ConnectionManager - sincronização offline', () => {
+  let outbox
+  let manager
+
+  beforeEach(() => {
+    outbox = new OfflineOutbox({ indexedDB: null })
+    manager = createManager(outbox)
+    navigator.onLine = true
+  })
+
+  afterEach(() => {
+    navigator.onLine = true
+    vi.unstubAllGlobals()
+  })
+
+  it('deve reenviar a fila com o header Idempotency-Key e esvaziá-la', async () => {
+    const entry = await outbox.enqueue(sessionEntry)
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse(201, { id: 1 }))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const result = await manager.syncOfflineData()
+
+    expect(result.synced).toBe(1)
+    expect(result.remaining).toBe(0)
+    const [url, options] = fetchMock.mock.calls[0]
+    expect(url).toBe('http://api.test/api/v1/game-session')
+    expect(options.headers['Idempotency-Key']).toBe(entry.idempotencyKey)
+  })
+
+  it('deve manter os itens na fila quando a rede cai no meio do reenvio', async () => {
+    await outbox.enqueue({ ...sessionEntry, idempotencyKey: 'sessao-0001' })
+    await outbox.enqueue({ ...sessionEntry, idempotencyKey: 'sessao-0002' })
+    const fetchMock = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const result = await manager.syncOfflineData()
+
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(result.remaining).toBe(2)
+    expect((await outbox.get('sessao-0001')).attempts).toBe(0)
+  })
+
+  it('deve recusar itens com 4xx e adiar os que recebem 5xx', async () => {
+    await outbox.enqueue({ ...sessionEntry, idempotencyKey: 'sessao-0001' })
+    await outbox.enqueue({ ...sessionEntry, idempotencyKey: 'sessao-0002' })
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(400))
+      .mockResolvedValueOnce(jsonResponse(503))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const result = await manager.syncOfflineData()
+
+    expect(result.failed).toBe(2)
+    expect((await outbox.get('sessao-0001')).status).toBe(OUTBOX_STATUS.REJECTED)
+    expect(await outbox.get('sessao-0002')).toMatchObject({
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 1,
+    })
+
+    // Durante a espera o item não é reenviado
+    await manager.syncOfflineData()
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+  })
+
+  it('deve reaplicar edições de perfil após conflito 409', async () => {
+    await outbox.enqueue({
+      type: OUTBOX_EVENT_TYPES.PROFILE_EDIT,
+      method: 'PUT',
+      endpoint: '/user/10/profiles/3',
+      body: { profile_name: 'Betina' },
+      baseUpdatedAt: '2020-01-01T00:00:00.000Z',
+    })
+    const current = { id: 3, profile_name: 'Perfil', updated_at: '2020-01-02T00:00:00.000Z' }
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(409, { code: 'EDIT_CONFLICT', current }))
+      .mockResolvedValueOnce(jsonResponse(200, { ...current, profile_name: 'Betina' }))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const result = await manager.syncOfflineData()
+
+    expect(result.synced).toBe(1)
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({
+      profile_name: 'Betina',
+      base_updated_at: current.updated_at,
+    })
+  })
+
+  it('deve guardar a sessão na fila quando o dispositivo está offline', async () => {
+    navigator.onLine = false
+    const fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+
+    const result = await manager.saveGameSession({ user_id: 10, game_id: 'memory-game' })
+
+    expect(result).toMatchObject({ queued: true, synced: false })
+    expect(fetchMock).not.toHaveBeenCalled()
+    expect((await outbox.getPending())[0].body.user_id).toBe('10')
+  })
+  it('deve levar as escritas do DatabaseService para a outbox', async () => {
+    navigator.onLine = false
+    vi.stubGlobal('fetch', vi.fn())
+    const service = new DatabaseService()
+    service.connectionManager.outbox = outbox
+
+    await service.saveGameSession({ user_id: 10, game_id: 'memory-game' })
+    await service.recordMetricsEvents(10, [{ event_type: 'tap', payload: {} }])
+    await service.updateProfile(10, 3, { name: 'Ana' }, '2026-10-01T12:00:00.000Z')
+
+    const pending = await outbox.getPending()
+    expect(pending.map((entry) => entry.type)).toEqual([
+      OUTBOX_EVENT_TYPES.GAME_SESSION,
+      OUTBOX_EVENT_TYPES.METRICS_EVENTS,
+      OUTBOX_EVENT_TYPES.PROFILE_EDIT,
+    ])
+    expect(pending[2].endpoint).toBe('/user/10/profiles/3')
+  })
+
+  it('deve registrar a falha ao ler a fila na verificação periódica', async () => {
+    vi.useFakeTimers()
+    navigator.onLine = false
+    vi.spyOn(outbox, 'getStats').mockRejectedValue(new Error('IndexedDB indisponível'))
+
+    manager.monitorConnection()
+    manager.monitorConnection()
+    await vi.advanceTimersByTimeAsync(OFFLINE_SYNC_CONFIG.SYNC_INTERVAL)
+
+    expect(outbox.getStats).toHaveBeenCalledTimes(1)
+    expect(manager.logger.error).toHaveBeenCalledWith('Failed to read offline queue', {
+      error: 'IndexedDB indisponível',
+    })
+    manager.stopMonitoring()
+    vi.useRealTimers()
+  })
+})
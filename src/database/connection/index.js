@@ -1,2 +1,3 @@
 // Auto-generated barrel file
 export * from './ConnectionManager.js';
+export * from './OfflineOutbox.js';
@@ -1,4 +1,4 @@
-import logger from '../../utils/metrics/performanceMonitor.js'
+import logger from '../../utils/logger.js'
 
 class DatabaseConfig {
   constructor() {
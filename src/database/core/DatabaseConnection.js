@@ -143,6 +143,64 @@ class DatabaseConnection {
     }
   }
 
+  /**
+   * @method request
+   * @async
+   * @description Requisição REST com corpo e resposta JSON, usada pelo CrudService
+   * @param {string} method - Método HTTP
+   * @param {string} endpoint - Caminho absoluto (ex.: /api/v1/therapy_goals) ou URL completa
+   * @param {Object} [options]
+   * @param {Object} [options.params] - Query string
+   * @param {Object} [options.body] - Corpo JSON
+   * @returns {Promise<Object|null>} Resposta JSON (null para 204)
+   */
+  async request(method, endpoint, { params, body } = {}) {
+    // Caminhos absolutos são resolvidos na origem da API, não no prefixo /api do baseUrl
+    const origin = /^https?:\/\//.test(this.config.baseUrl)
+      ? new URL(this.config.baseUrl).origin
+      : ''
+    const query = new URLSearchParams(
+      Object.entries(params || {}).filter(([, value]) => value !== undefined && value !== null)
+    ).toString()
+    const url = `${endpoint.startsWith('http') ? endpoint : `${origin}${endpoint}`}${
+      query ? `?${query}` : ''
+    }`
+
+    const response = await this.authenticatedFetch(url, {
+      method: method.toUpperCase(),
+      ...(body !== undefined && { body: JSON.stringify(body) }),
+    })
+
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}))
+      const error = new Error(payload.error || `HTTP ${response.status}: ${response.statusText}`)
+      error.status = response.status
+      throw error
+    }
+
+    return response.status === 204 ? null : response.json()
+  }
+
+  get(endpoint, options = {}) {
+    return this.request('get', endpoint, options)
+  }
+
+  post(endpoint, body) {
+    return this.request('post', endpoint, { body })
+  }
+
+  put(endpoint, body) {
+    return this.request('put', endpoint, { body })
+  }
+
+  patch(endpoint, body) {
+    return this.request('patch', endpoint, { body })
+  }
+
+  delete(endpoint) {
+    return this.request('delete', endpoint)
+  }
+
   /**
    * @method createAnonymousUser
    * @async
@@ -12,6 +12,9 @@ import IntelligentCache from './IntelligentCache.js'
 import CircuitBreaker from './CircuitBreaker.js'
 import { databaseConfig } from '../../config/database.js'
 import PluginManager from '../plugins/PluginManager.js'
+import CrudService from '../crud/CrudService.js'
+import { ConnectionManager } from '../connection/ConnectionManager.js'
+import { authService } from '../../services/authService.js'
 
 // Usar o logger centralizado para logs consistentes
 const logger = sharedLogger
@@ -23,6 +26,21 @@ class DatabaseService {  constructor(config = {}) {
     this.connection = new DatabaseConnection(this.config.connection)
     this.cache = new IntelligentCache(this.config.cache)
     this.circuitBreaker = new CircuitBreaker(this.config.circuitBreaker)
+    this.crud = new CrudService(this.connection, this.cache, this.circuitBreaker)
+
+    // Sessões, eventos de métricas e edições de perfil passam pela outbox offline
+    this.authService = authService
+    this.requestQueue = new Map()
+    this.apiConfig = {
+      DEFAULT_HEADERS: this.config.connection.defaultHeaders,
+      TIMEOUT: this.config.connection.timeout,
+      ENDPOINTS: this.config.connection.endpoints,
+    }
+    this.connectionManager = new ConnectionManager(this, {
+      API_URL: this.config.connection.apiUrl,
+      RETRY_ATTEMPTS: this.config.connection.retryAttempts,
+      RETRY_DELAY: this.config.connection.retryDelay,
+    })
 
     // Inicializar gerenciador de plugins/módulos
     this.pluginManager = new PluginManager(this)
@@ -188,6 +206,75 @@ class DatabaseService {  constructor(config = {}) {
     return this.connection.authenticatedFetch(url, options)
   }
 
+  // ============== ESCRITAS COM OUTBOX OFFLINE ==============
+
+  /**
+   * @method startOfflineSync
+   * @description Reenvia as pendências da outbox e volta a reenviar quando a conexão retorna
+   */
+  startOfflineSync() {
+    this.connectionManager.monitorConnection()
+  }
+
+  /**
+   * @method saveGameSession
+   * @async
+   * @description Registra uma sessão de jogo; sem conexão ela fica na outbox
+   * @param {Object} session - Dados da sessão (formato de POST /game-session)
+   * @param {Object} [options]
+   * @param {string} [options.idempotencyKey] - Chave estável (ex.: sessão restaurada de backup)
+   * @returns {Promise<Object>} { queued, synced, idempotencyKey }
+   */
+  async saveGameSession(session, options = {}) {
+    return this.connectionManager.saveGameSession(session, options)
+  }
+
+  /**
+   * @method recordMetricsEvents
+   * @async
+   * @description Registra um lote de eventos de métricas; sem conexão ele fica na outbox
+   * @param {string|number} userId - ID do usuário
+   * @param {Object[]} events - Eventos ({ event_type, payload, session_id, occurred_at })
+   * @returns {Promise<Object>} { queued, synced, idempotencyKey }
+   */
+  async recordMetricsEvents(userId, events) {
+    return this.connectionManager.recordMetricsEvents(userId, events)
+  }
+
+  /**
+   * @method updateProfile
+   * @async
+   * @description Atualiza um perfil; edições offline são conferidas com a versão do servidor
+   * @param {string|number} userId - ID do usuário
+   * @param {string|number} profileId - ID do perfil
+   * @param {Object} changes - Apenas os campos alterados
+   * @param {string} [baseUpdatedAt] - updated_at do perfil quando a edição começou
+   * @returns {Promise<Object>} { queued, synced, idempotencyKey }
+   */
+  async updateProfile(userId, profileId, changes, baseUpdatedAt) {
+    return this.connectionManager.updateProfile(userId, profileId, changes, baseUpdatedAt)
+  }
+
+  /**
+   * @method getUserGameSessions
+   * @async
+   * @description Lista as sessões de jogo sincronizadas do usuário
+   * @param {string|number} userId - ID do usuário
+   * @returns {Promise<Object[]>} Sessões, da mais recente para a mais antiga
+   */
+  async getUserGameSessions(userId) {
+    const response = await this.connectionManager.authenticatedFetch(
+      `${this.config.connection.apiUrl}/user/${userId}/game-sessions`,
+      { method: 'GET' }
+    )
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+    }
+
+    return response.json()
+  }
+
   // ============== MÉTODOS DE CACHE ==============
 
   /**
@@ -330,6 +417,39 @@ class DatabaseService {  constructor(config = {}) {
     }
   }
 
+  /**
+   * @method createCrudService
+   * @description Cria um CrudService autenticado por outra sessão (ex.: terapeutas),
+   * compartilhando cache e circuit breaker do serviço
+   * @param {Object} authService - Serviço de autenticação com getToken()
+   * @returns {CrudService} CrudService da sessão informada
+   */
+  createCrudService(authService) {
+    const connection = new DatabaseConnection(this.config.connection)
+    connection.setAuthService(authService)
+    return new CrudService(connection, this.cache, this.circuitBreaker)
+  }
+
+  /**
+   * @method exportFhirBundle
+   * @async
+   * @description Baixa os dados clínicos do usuário como Bundle HL7 FHIR R4
+   * @param {string|number} userId - ID do usuário
+   * @returns {Promise<Object>} Bundle FHIR
+   */
+  async exportFhirBundle(userId) {
+    const response = await this.authenticatedFetch(
+      `${this.config.connection.apiUrl}/user/${userId}/fhir-bundle`,
+      { method: 'GET', headers: { Accept: 'application/fhir+json' } }
+    )
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+    }
+
+    return response.json()
+  }
+
   /**
    * @method shutdown
    * @async
@@ -351,6 +471,7 @@ class DatabaseService {  constructor(config = {}) {
         }
       }
     } // Encerrar conexão
+    this.connectionManager.stopMonitoring()
     await this.connection.close()    // Encerrar sistema de utils
     await this.utils.shutdown()
     this.initialized = false
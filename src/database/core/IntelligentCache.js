@@ -178,6 +178,16 @@ class IntelligentCache {
     }
   }
 
+  delete(key) {
+    this.accessTimes.delete(key)
+    return this.cache.delete(key)
+  }
+
+  // Usado pelo CrudService para invalidar as listas de uma entidade
+  getAllKeys() {
+    return [...this.cache.keys()]
+  }
+
   // 🎯 ENVIO DE MÉTRICAS PARA SYSTEM ORCHESTRATOR
   async sendCacheMetrics(eventType, metricData) {
     if (!this.config.metricsEnabled || !this.orchestratorRef) return
@@ -1,4 +1,4 @@
-import logger from '../../utils/metrics/performanceMonitor.js'
+import logger from '../../utils/logger.js'
 import { getDatabaseConfig } from '../core/DatabaseConfig.js'
 
 class CrudService {
@@ -0,0 +1,142 @@
+/**
+ * @file TherapyGoalService.js
+ * @description Metas terapêuticas (PEI) persistidas pelo CrudService na tabela therapy_goals
+ * A API registra cada alteração no histórico da meta (campo history), que alimenta a
+ * linha do tempo, e grava progresso e domínio ao salvar cada sessão de jogo.
+ */
+
+import sharedLogger from '../../utils/logger.js'
+import { GOAL_METRICS, GOAL_STATUS, validateGoalCriteria } from './goalCriteria.js'
+
+const logger = sharedLogger
+const ENTITY = 'therapy_goals'
+
+// Campos da meta que o terapeuta pode editar
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'domain',
+  'game_id',
+  'difficulty',
+  'metric',
+  'comparator',
+  'target',
+  'min_trials',
+  'required_sessions',
+  'target_date',
+]
+
+// Respostas da API não precisam dos metadados de acessibilidade do CrudService
+const READ_OPTIONS = { includeAccessibility: false, sensoryOptimization: false, useCache: false }
+const WRITE_OPTIONS = { accessibility: false, trackChanges: false }
+
+const assertValid = (goal, options) => {
+  const validation = validateGoalCriteria(goal, options)
+  if (!validation.valid) {
+    const error = new Error(`Meta terapêutica inválida: ${validation.errors.join(', ')}`)
+    error.status = 400
+    throw error
+  }
+}
+
+class TherapyGoalService {
+  constructor(crudService) {
+    this.crud = crudService
+  }
+
+  /**
+   * Cria uma meta para a criança
+   * @param {number} userId - Criança
+   * @param {Object} data - Título, jogo, métrica, alvo e sessões exigidas
+   * @returns {Promise<Object>} Meta criada
+   */
+  async createGoal(userId, data) {
+    const goal = {
+      ...Object.fromEntries(EDITABLE_FIELDS.map((field) => [field, data[field]])),
+      comparator: data.comparator || GOAL_METRICS[data.metric]?.comparator,
+      min_trials: data.min_trials ?? 0,
+      required_sessions: data.required_sessions ?? 3,
+    }
+    assertValid(goal)
+
+    const created = await this.crud.create(
+      ENTITY,
+      { ...goal, user_id: Number(userId) },
+      WRITE_OPTIONS
+    )
+
+    logger.info('Meta terapêutica criada', { id: created.id, userId, gameId: goal.game_id })
+    return created
+  }
+
+  /**
+   * Lista as metas da criança (metas arquivadas ficam de fora)
+   * @param {number} userId
+   * @param {Object} [filters]
+   * @param {string} [filters.status]
+   * @returns {Promise<Array<Object>>}
+   */
+  async getGoals(userId, { status } = {}) {
+    const response = await this.crud.readMany(
+      ENTITY,
+      { user_id: userId, ...(status && { status }) },
+      { ...READ_OPTIONS, sort: 'created_at', order: 'desc', limit: 100 }
+    )
+    return response?.data || []
+  }
+
+  async getGoal(goalId) {
+    return this.crud.read(ENTITY, goalId, READ_OPTIONS)
+  }
+
+  /**
+   * Atualiza os critérios ou a descrição da meta
+   * @param {Object} goal - Meta atual
+   * @param {Object} changes - Campos alterados
+   * @returns {Promise<Object>}
+   */
+  async updateGoal(goal, changes) {
+    const updates = Object.fromEntries(
+      EDITABLE_FIELDS.filter(
+        (field) => changes[field] !== undefined && changes[field] !== goal[field]
+      ).map((field) => [field, changes[field]])
+    )
+    if (Object.keys(updates).length === 0) return goal
+
+    const merged = { ...goal, ...updates }
+    assertValid(merged)
+
+    return this.crud.update(ENTITY, goal.id, updates, WRITE_OPTIONS)
+  }
+
+  /**
+   * Pausa, retoma ou encerra a meta (o domínio vem das sessões de jogo)
+   * @param {Object} goal
+   * @param {string} status - active, paused ou discontinued
+   * @param {Object} [options]
+   * @param {string} [options.note] - Justificativa registrada no histórico
+   * @returns {Promise<Object>}
+   */
+  async setStatus(goal, status, { note } = {}) {
+    if (status === GOAL_STATUS.MASTERED) {
+      const error = new Error('O domínio da meta é registrado pelas sessões de jogo')
+      error.status = 400
+      throw error
+    }
+    assertValid({ status }, { partial: true })
+    if (goal.status === status) return goal
+
+    return this.crud.update(ENTITY, goal.id, { status, ...(note && { note }) }, WRITE_OPTIONS)
+  }
+
+  async archiveGoal(goal) {
+    return this.crud.delete(ENTITY, goal.id, {
+      soft: true,
+      backup: false,
+      parentNotification: false,
+    })
+  }
+}
+
+export { TherapyGoalService }
+export default TherapyGoalService
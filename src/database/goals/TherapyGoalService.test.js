@@ -0,0 +1,150 @@
+/**
+ * @file TherapyGoalService.test.js
+ * @description Testes das metas terapêuticas: critérios, domínio e histórico
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  GOAL_STATUS,
+  applySessionsToGoal,
+  evaluateGoal,
+  validateGoalCriteria,
+} from './goalCriteria.js'
+import { TherapyGoalService } from './TherapyGoalService.js'
+
+const goal = {
+  id: 7,
+  user_id: 10,
+  title: 'Combinar cores',
+  game_id: 'color-match',
+  difficulty: 'MEDIUM',
+  metric: 'accuracy',
+  comparator: 'gte',
+  target: 80,
+  min_trials: 10,
+  required_sessions: 3,
+  status: GOAL_STATUS.ACTIVE,
+  progress: {},
+  history: [],
+  created_at: '2025-01-01T00:00:00.000Z',
+}
+
+const session = (day, accuracy, extra = {}) => ({
+  game_id: 'color-match',
+  difficulty: 'medium',
+  accuracy,
+  total_attempts: 10,
+  end_time: `2025-01-${String(day).padStart(2, '0')}T10:00:00.000Z`,
+  ...extra,
+})
+
+const createCrud = () => ({
+  create: vi.fn(async (entity, data) => ({ id: 1, ...data })),
+  update: vi.fn(async (entity, id, data) => ({ ...goal, id, ...data })),
+})
+
+describe('goalCriteria', () => {
+  it('deve rejeitar jogos inexistentes e alvos fora do intervalo', () => {
+    expect(validateGoalCriteria(goal).valid).toBe(true)
+
+    const { valid, errors } = validateGoalCriteria({ ...goal, game_id: 'xadrez', target: 120 })
+    expect(valid).toBe(false)
+    expect(errors).toEqual([
+      "Jogo 'xadrez' não existe",
+      'Valor alvo fora do intervalo da métrica accuracy',
+    ])
+    expect(validateGoalCriteria({ status: 'done' }, { partial: true }).errors).toHaveLength(1)
+  })
+
+  it('deve zerar a sequência abaixo do alvo e detectar o domínio', () => {
+    const sessions = [
+      session(2, 90),
+      session(3, 70),
+      session(4, 80),
+      session(5, 95, { total_attempts: 8 }),
+      session(6, 85),
+      session(7, 100, { difficulty: 'easy' }),
+      session(8, 90),
+      session(9, 80),
+      session(10, 90, { end_time: '2024-12-30T10:00:00.000Z' }),
+    ]
+
+    const partial = evaluateGoal(goal, sessions.slice(0, 6))
+    expect(partial).toMatchObject({ sessionsCounted: 5, currentStreak: 1, mastered: false })
+
+    const evaluation = evaluateGoal(goal, sessions)
+    expect(evaluation).toMatchObject({
+      sessionsCounted: 7,
+      currentStreak: 3,
+      bestStreak: 3,
+      lastValue: 80,
+      mastered: true,
+      masteredAt: '2025-01-09T10:00:00.000Z',
+    })
+  })
+})
+
+describe('TherapyGoalService', () => {
+  it('deve criar a meta só com o critério; status e histórico ficam com a API', async () => {
+    const crud = createCrud()
+    const service = new TherapyGoalService(crud)
+
+    await service.createGoal('10', {
+      title: 'Combinar cores',
+      game_id: 'color-match',
+      metric: 'accuracy',
+      target: 80,
+    })
+
+    const [entity, payload] = crud.create.mock.calls[0]
+    expect(entity).toBe('therapy_goals')
+    expect(payload).toMatchObject({
+      user_id: 10,
+      comparator: 'gte',
+      min_trials: 0,
+      required_sessions: 3,
+    })
+    expect(payload).not.toHaveProperty('status')
+    expect(payload).not.toHaveProperty('history')
+    expect(payload).not.toHaveProperty('progress')
+
+    await expect(service.createGoal(10, { title: 'Sem jogo', metric: 'accuracy' })).rejects.toThrow(
+      'Meta terapêutica inválida'
+    )
+  })
+
+  it('deve pausar a meta e recusar o domínio marcado pelo cliente', async () => {
+    const crud = createCrud()
+    const service = new TherapyGoalService(crud)
+
+    await service.setStatus(goal, GOAL_STATUS.PAUSED, { note: 'Férias' })
+    expect(crud.update).toHaveBeenCalledWith(
+      'therapy_goals',
+      7,
+      { status: GOAL_STATUS.PAUSED, note: 'Férias' },
+      expect.any(Object)
+    )
+    await expect(service.setStatus(goal, GOAL_STATUS.MASTERED)).rejects.toThrow(
+      'registrado pelas sessões de jogo'
+    )
+  })
+})
+
+describe('applySessionsToGoal', () => {
+  it('deve marcar a meta como dominada e registrar no histórico', () => {
+    const updates = applySessionsToGoal(goal, [session(2, 90), session(3, 85), session(4, 80)])
+
+    expect(updates).toMatchObject({
+      status: GOAL_STATUS.MASTERED,
+      mastered_at: '2025-01-04T10:00:00.000Z',
+      progress: { sessionsCounted: 3, currentStreak: 3 },
+    })
+    expect(updates.history.map((entry) => entry.type)).toEqual(['progress', 'mastered'])
+
+    expect(applySessionsToGoal({ ...goal, status: GOAL_STATUS.PAUSED }, [session(2, 90)])).toBe(
+      null
+    )
+    const unchanged = { ...goal, progress: { sessionsCounted: 1, currentStreak: 1 } }
+    expect(applySessionsToGoal(unchanged, [session(2, 90)])).toBe(null)
+  })
+})
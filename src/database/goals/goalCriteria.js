@@ -0,0 +1,227 @@
+/**
+ * @file goalCriteria.js
+ * @description Critérios mensuráveis das metas terapêuticas (metas do PEI)
+ * Uma meta liga um jogo de GAME_PARAMETERS a uma métrica da sessão de jogo, por
+ * exemplo "80% de acerto (mín. 10 tentativas) em Combinar Cores no MEDIUM em 3
+ * sessões seguidas". O mesmo módulo valida a meta na API e no cliente; a API usa
+ * a avaliação para registrar progresso e domínio a cada sessão salva (game_sessions).
+ */
+
+import { GAME_PARAMETERS, DIFFICULTY_LEVELS } from '../../config/gameParameters.js'
+
+export const GOAL_STATUS = Object.freeze({
+  ACTIVE: 'active',
+  MASTERED: 'mastered',
+  PAUSED: 'paused',
+  DISCONTINUED: 'discontinued',
+})
+
+// Métricas de game_sessions que uma meta pode acompanhar
+export const GOAL_METRICS = {
+  accuracy: { label: 'de acerto', unit: '%', comparator: 'gte', min: 0, max: 100 },
+  correct_answers: { label: 'respostas corretas', unit: '', comparator: 'gte', min: 0 },
+  score: { label: 'pontos', unit: '', comparator: 'gte', min: 0 },
+  time_spent: { label: 'de duração', unit: 's', comparator: 'lte', min: 0 },
+}
+
+export const GOAL_COMPARATORS = {
+  gte: { symbol: '≥', test: (value, target) => value >= target },
+  lte: { symbol: '≤', test: (value, target) => value <= target },
+}
+
+const GAME_TITLES = {
+  'memory-game': 'Jogo da Memória',
+  'color-match': 'Combinar Cores',
+  'musical-sequence': 'Sequência Musical',
+  'number-counting': 'Números e Contagem',
+  'letter-recognition': 'Reconhecimento de Letras',
+  'image-association': 'Associação de Imagens',
+  'creative-painting': 'Pintura Criativa',
+  'visual-patterns': 'Padrões Visuais',
+  'emotional-puzzle': 'Quebra-Cabeça Emocional',
+}
+
+const MAX_REQUIRED_SESSIONS = 20
+
+/**
+ * Nome do jogo para exibição
+ * @param {string} gameId
+ * @returns {string}
+ */
+export const getGoalGameTitle = (gameId) => GAME_TITLES[gameId] || gameId
+
+/**
+ * Valida o critério de uma meta
+ * @param {Object} goal - Campos da meta (game_id, difficulty, metric, comparator, target, min_trials, required_sessions)
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Valida apenas os campos informados (atualizações)
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export const validateGoalCriteria = (goal = {}, { partial = false } = {}) => {
+  const errors = []
+  const has = (key) => goal[key] !== undefined && goal[key] !== null
+  const check = (key, condition, message) => {
+    if ((!partial || has(key)) && !condition) errors.push(message)
+  }
+
+  check('title', typeof goal.title === 'string' && goal.title.trim(), 'Informe o título da meta')
+  check('game_id', Boolean(GAME_PARAMETERS[goal.game_id]), `Jogo '${goal.game_id}' não existe`)
+  if (has('difficulty') && !DIFFICULTY_LEVELS.includes(goal.difficulty)) {
+    errors.push(`Dificuldade deve ser uma de: ${DIFFICULTY_LEVELS.join(', ')}`)
+  }
+  check('metric', Boolean(GOAL_METRICS[goal.metric]), `Métrica '${goal.metric}' não suportada`)
+  if (has('comparator') && !GOAL_COMPARATORS[goal.comparator]) {
+    errors.push(`Comparador deve ser um de: ${Object.keys(GOAL_COMPARATORS).join(', ')}`)
+  }
+
+  const metric = GOAL_METRICS[goal.metric]
+  check('target', Number.isFinite(goal.target), 'Informe o valor alvo da meta')
+  if (metric && Number.isFinite(goal.target)) {
+    if (goal.target < metric.min || (metric.max !== undefined && goal.target > metric.max)) {
+      errors.push(`Valor alvo fora do intervalo da métrica ${goal.metric}`)
+    }
+  }
+  if (has('min_trials') && !(Number.isInteger(goal.min_trials) && goal.min_trials >= 0)) {
+    errors.push('Mínimo de tentativas deve ser um inteiro não negativo')
+  }
+  if (
+    has('required_sessions') &&
+    !(
+      Number.isInteger(goal.required_sessions) &&
+      goal.required_sessions >= 1 &&
+      goal.required_sessions <= MAX_REQUIRED_SESSIONS
+    )
+  ) {
+    errors.push(`Sessões seguidas devem ficar entre 1 e ${MAX_REQUIRED_SESSIONS}`)
+  }
+  if (has('status') && !Object.values(GOAL_STATUS).includes(goal.status)) {
+    errors.push(`Status '${goal.status}' inválido`)
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * Descreve o critério em linguagem natural
+ * @param {Object} goal
+ * @returns {string} Ex.: "≥ 80% de acerto (mín. 10 tentativas) em Combinar Cores · MEDIUM · 3 sessões seguidas"
+ */
+export const describeGoalCriteria = (goal) => {
+  const metric = GOAL_METRICS[goal.metric] || { label: goal.metric, unit: '' }
+  const comparator = GOAL_COMPARATORS[goal.comparator || metric.comparator] || GOAL_COMPARATORS.gte
+  const trials = goal.min_trials > 0 ? ` (mín. ${goal.min_trials} tentativas)` : ''
+  const difficulty = goal.difficulty ? ` · ${goal.difficulty}` : ''
+  const sessions = goal.required_sessions || 1
+
+  return `${comparator.symbol} ${goal.target}${metric.unit} ${metric.label}${trials} em ${getGoalGameTitle(
+    goal.game_id
+  )}${difficulty} · ${sessions} ${sessions === 1 ? 'sessão' : 'sessões seguidas'}`
+}
+
+const sessionTime = (session) => new Date(session.end_time || session.created_at || 0).getTime()
+
+/**
+ * Avalia a meta com as sessões de jogo da criança
+ * Contam apenas sessões do jogo (e da dificuldade, se definida) realizadas depois
+ * da criação da meta. A meta é dominada quando `required_sessions` sessões
+ * seguidas atingem o alvo; uma sessão abaixo do alvo zera a sequência.
+ * @param {Object} goal - Meta salva (created_at define o início da medição)
+ * @param {Array<Object>} sessions - Linhas de game_sessions
+ * @returns {{sessionsCounted: number, currentStreak: number, bestStreak: number, requiredSessions: number, lastValue: number|null, mastered: boolean, masteredAt: string|null}}
+ */
+export const evaluateGoal = (goal, sessions = []) => {
+  const metric = GOAL_METRICS[goal.metric]
+  const comparator = GOAL_COMPARATORS[goal.comparator || metric?.comparator] || GOAL_COMPARATORS.gte
+  const requiredSessions = goal.required_sessions || 1
+  const since = goal.created_at ? new Date(goal.created_at).getTime() : 0
+
+  const relevant = sessions
+    .filter(
+      (session) =>
+        session.game_id === goal.game_id &&
+        (!goal.difficulty || String(session.difficulty).toUpperCase() === goal.difficulty) &&
+        sessionTime(session) >= since
+    )
+    .sort((a, b) => sessionTime(a) - sessionTime(b))
+
+  let currentStreak = 0
+  let bestStreak = 0
+  let masteredAt = null
+  let lastValue = null
+
+  relevant.forEach((session) => {
+    const value = Number(session[goal.metric])
+    lastValue = Number.isFinite(value) ? value : null
+    const enoughTrials = !(goal.min_trials > 0) || (session.total_attempts || 0) >= goal.min_trials
+    const met = metric && lastValue !== null && enoughTrials && comparator.test(value, goal.target)
+
+    currentStreak = met ? currentStreak + 1 : 0
+    bestStreak = Math.max(bestStreak, currentStreak)
+    if (!masteredAt && currentStreak >= requiredSessions) {
+      masteredAt = new Date(sessionTime(session)).toISOString()
+    }
+  })
+
+  return {
+    sessionsCounted: relevant.length,
+    currentStreak,
+    bestStreak,
+    requiredSessions,
+    lastValue,
+    mastered: masteredAt !== null,
+    masteredAt,
+  }
+}
+
+/**
+ * Registro da linha do tempo da meta (campo history)
+ * @param {string} type - created, updated, status_changed, progress ou mastered
+ * @param {Object} [details]
+ * @param {number} [by] - Usuário que fez a alteração; vazio quando vem das sessões
+ * @returns {Object}
+ */
+export const goalHistoryEntry = (type, details = {}, by = null) => ({
+  type,
+  at: new Date().toISOString(),
+  ...(by && { by }),
+  ...details,
+})
+
+/**
+ * Progresso da meta ativa depois de novas sessões de jogo
+ * Usado pela API ao salvar cada sessão; o cliente não grava progresso nem domínio.
+ * @param {Object} goal - Meta salva
+ * @param {Array<Object>} sessions - Linhas de game_sessions da criança
+ * @returns {{progress: Object, history: Array<Object>, status?: string, mastered_at?: string}|null}
+ *   Campos a gravar, ou null quando nada mudou
+ */
+export const applySessionsToGoal = (goal, sessions = []) => {
+  if (goal.status !== GOAL_STATUS.ACTIVE) return null
+
+  const evaluation = evaluateGoal(goal, sessions)
+  const previous = goal.progress || {}
+  const progressChanged =
+    evaluation.sessionsCounted !== (previous.sessionsCounted ?? 0) ||
+    evaluation.currentStreak !== (previous.currentStreak ?? 0)
+  if (!progressChanged && !evaluation.mastered) return null
+
+  const history = [...(goal.history || [])]
+  if (progressChanged) {
+    history.push(
+      goalHistoryEntry('progress', {
+        sessionsCounted: evaluation.sessionsCounted,
+        streak: evaluation.currentStreak,
+        value: evaluation.lastValue,
+      })
+    )
+  }
+
+  const { mastered, masteredAt, ...progress } = evaluation
+  const updates = { progress, history }
+  if (mastered) {
+    updates.status = GOAL_STATUS.MASTERED
+    updates.mastered_at = masteredAt
+    history.push(goalHistoryEntry('mastered', { masteredAt }))
+  }
+  return updates
+}
@@ -0,0 +1,3 @@
+// Auto-generated barrel file
+export * from './goalCriteria.js'
+export * from './TherapyGoalService.js'
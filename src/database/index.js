@@ -12,6 +12,7 @@ export * from './crud/index.js'
 export * from './helpers/index.js'
 export * from './plugins/index.js'
 export * from './sessions/index.js'
+export * from './goals/index.js'
 
 // Sistema de Perfis Consolidado
 export * from './profiles/index.js'
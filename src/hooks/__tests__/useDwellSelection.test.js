@@ -0,0 +1,92 @@
+/**
+ * @file useDwellSelection.test.js
+ * @description Testes da seleção por permanência (olhar / ponteiro de cabeça)
+ */
+
+import { renderHook, act } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { useDwellSelection } from '../useDwellSelection.js'
+import { getMinTargetSize } from '../../utils/accessibility/dwellSelection.js'
+import multisensoryMetrics from '../../utils/multisensoryAnalysis/multisensoryMetrics.js'
+
+const hover = (element) => {
+  act(() => {
+    element.dispatchEvent(new MouseEvent('pointerover', { bubbles: true }))
+  })
+}
+
+describe('useDwellSelection', () => {
+  let root
+  let clicks
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    root = document.createElement('div')
+    root.innerHTML = `
+      <button id="card-1" style="min-width: 10px"><span id="face">🐶</span></button>
+      <button id="card-2">🐱</button>
+      <p id="text">Encontre os pares</p>
+    `
+    document.body.appendChild(root)
+    clicks = []
+    root.addEventListener('click', (event) => clicks.push(event.target.id))
+    localStorage.getItem.mockImplementation((key) =>
+      key === 'betina_accessibility_settings'
+        ? JSON.stringify({ dwellClick: true, dwellTime: 1000 })
+        : null
+    )
+    multisensoryMetrics.sessionMetrics.accessibilityMetrics.dwellSelections = []
+    multisensoryMetrics.dataCollectionActive = true
+  })
+
+  afterEach(() => {
+    root.remove()
+    localStorage.getItem.mockReset()
+    multisensoryMetrics.dataCollectionActive = false
+    vi.useRealTimers()
+  })
+
+  it('deve usar o tamanho mínimo de alvo de cada jogo', () => {
+    expect(getMinTargetSize('musical-sequence')).toBe(96)
+    expect(getMinTargetSize('jogo-desconhecido')).toBe(64)
+  })
+
+  it('deve selecionar após o tempo de permanência e registrar abandonos nas métricas', () => {
+    const ref = { current: root }
+    const { result, unmount } = renderHook(() => useDwellSelection(ref, 'memory-game'))
+    const card = root.querySelector('#card-1')
+    // Alvos menores que o mínimo do jogo são aumentados
+    expect(card.style.minWidth).toBe('88px')
+
+    hover(root.querySelector('#face'))
+    expect(result.current.dwell).not.toBeNull()
+    act(() => vi.advanceTimersByTime(500))
+    // Sair antes do tempo é uma tentativa abandonada
+    hover(root.querySelector('#text'))
+    expect(result.current.dwell).toBeNull()
+    expect(clicks).toEqual([])
+
+    hover(root.querySelector('#card-2'))
+    act(() => vi.advanceTimersByTime(1000))
+    expect(clicks).toEqual(['card-2'])
+    // Continuar sobre o mesmo alvo não seleciona de novo
+    hover(root.querySelector('#card-2'))
+    act(() => vi.advanceTimersByTime(2000))
+    expect(clicks).toEqual(['card-2'])
+
+    expect(multisensoryMetrics.analyzeDwellSelection()).toEqual({
+      selections: 1,
+      abandoned: 1,
+      abandonRate: 0.5,
+      averageDwellMs: 750,
+      averageAbandonMs: 500,
+    })
+    expect(
+      multisensoryMetrics.sessionMetrics.accessibilityMetrics.dwellSelections[1]
+    ).toMatchObject({ type: 'select', activityId: 'memory-game', requiredMs: 1000 })
+
+    unmount()
+    // Os tamanhos do jogo voltam ao sair do modo
+    expect(card.style.minWidth).toBe('10px')
+  })
+})
@@ -0,0 +1,124 @@
+/**
+ * @file useSwitchScanning.test.js
+ * @description Testes da varredura por acionador nas atividades
+ */
+
+import { renderHook, act } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { useSwitchScanning } from '../useSwitchScanning.js'
+import { getScanSettings, getScanTargets } from '../../utils/accessibility/switchScanning.js'
+
+// Tabuleiro com cartas, uma carta desabilitada, uma peça só com cursor e áreas de pintura
+const buildBoard = () => {
+  const root = document.createElement('div')
+  root.innerHTML = `
+    <button id="back">Voltar</button>
+    <div id="board">
+      <button id="card-1"><span>🐶</span></button>
+      <button id="card-2" disabled>🐱</button>
+      <div id="piece" style="cursor: grab">🧩</div>
+      <div id="decoration">★</div>
+    </div>
+    <div id="canvas" style="cursor: pointer">
+      <svg><path id="sky" data-area="sky"></path><path id="sun" data-area="sun"></path></svg>
+    </div>
+    <div aria-hidden="true"><button id="hidden">x</button></div>
+  `
+  document.body.appendChild(root)
+  return root
+}
+
+const ids = (elements) => elements.map((element) => element.id)
+
+const press = (key) => {
+  act(() => {
+    document.body.dispatchEvent(
+      new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+    )
+  })
+}
+
+const highlighted = (root) => root.querySelector('[data-scan-focus]')?.id
+
+describe('useSwitchScanning', () => {
+  let root
+  let clicks
+
+  beforeEach(() => {
+    root = buildBoard()
+    clicks = []
+    root.addEventListener('click', (event) => clicks.push(event.target.id))
+  })
+
+  afterEach(() => {
+    root.remove()
+    localStorage.getItem.mockReset()
+    vi.useRealTimers()
+  })
+
+  const mockSettings = (settings) => {
+    localStorage.getItem.mockImplementation((key) =>
+      key === 'betina_accessibility_settings' ? JSON.stringify(settings) : null
+    )
+  }
+
+  it('deve encontrar os alvos jogáveis em ordem, sem desabilitados, ocultos ou aninhados', () => {
+    expect(ids(getScanTargets(root))).toEqual(['back', 'card-1', 'piece', 'sky', 'sun'])
+    expect(getScanSettings({ scanMode: 'outro', scanSpeed: 0 })).toMatchObject({
+      switchScanning: false,
+      scanMode: 'auto',
+      scanSpeed: 2000,
+    })
+  })
+
+  it('deve varrer automaticamente no ritmo configurado e selecionar com Enter', () => {
+    vi.useFakeTimers()
+    mockSettings({ switchScanning: true, scanMode: 'auto', scanSpeed: 1000 })
+    const ref = { current: root }
+    const { unmount } = renderHook(() => useSwitchScanning(ref))
+
+    act(() => vi.advanceTimersByTime(1000))
+    expect(highlighted(root)).toBe('back')
+    act(() => vi.advanceTimersByTime(2000))
+    expect(highlighted(root)).toBe('piece')
+
+    press('Enter')
+    expect(clicks).toEqual(['piece'])
+    // A seleção reinicia o intervalo
+    act(() => vi.advanceTimersByTime(999))
+    expect(highlighted(root)).toBe('piece')
+    act(() => vi.advanceTimersByTime(1))
+    expect(highlighted(root)).toBe('sky')
+
+    unmount()
+    expect(highlighted(root)).toBeUndefined()
+  })
+
+  it('deve avançar com a tecla mapeada no modo passo a passo e seguir as mudanças do painel', () => {
+    mockSettings({ switchScanning: true, scanMode: 'step', scanNextKey: '1', scanSelectKey: '2' })
+    const ref = { current: root }
+    const { result } = renderHook(() => useSwitchScanning(ref))
+
+    // Selecionar sem destaque começa a varredura
+    press(' ')
+    expect(highlighted(root)).toBe('back')
+    press('1')
+    press('1')
+    expect(highlighted(root)).toBe('piece')
+    press('1')
+    press('2')
+    expect(clicks).toEqual(['sky'])
+
+    act(() => {
+      window.dispatchEvent(
+        new CustomEvent('accessibility-settings-changed', {
+          detail: { settings: { switchScanning: false } },
+        })
+      )
+    })
+    expect(result.current.scanning).toBe(false)
+    expect(highlighted(root)).toBeUndefined()
+    press('1')
+    expect(highlighted(root)).toBeUndefined()
+  })
+})
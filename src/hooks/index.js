@@ -1,14 +1,21 @@
 // Auto-generated barrel file
+export * from './useAacMode.js';
 export * from './useActivity.js';
 export * from './useAdvancedActivity.js';
 export * from './useAutismCognitiveAnalysis.js';
 export * from './useCanvas.js';
+export * from './useContentPack.js';
+export * from './useDwellSelection.js';
 export * from './useIntegratedAnalysis.js';
+export * from './useLiveSession.js';
 export * from './useMobileDataCollection.js';
+export * from './useMotorDrag.js';
 export * from './useNeuropedagogicalTracking.js';
 export * from './usePerformanceMonitoring.js';
 export * from './useProgress.js';
+export * from './useSensoryBreak.js';
 export * from './useSound.js';
+export * from './useSwitchScanning.js';
 export * from './useSystemOrchestrator.js';
 export * from './useTTS.js';
 export * from './useUser.js';
@@ -0,0 +1,36 @@
+/**
+ * @file useAacMode.js
+ * @description Configuração do modo de resposta por CAA para os jogos
+ * Acompanha o painel de acessibilidade e os pacotes de conteúdo habilitados para a
+ * criança, que trazem os conjuntos de símbolos da prancha.
+ */
+
+import { useEffect, useState } from 'react'
+import { getAacSettings, getAacSymbolSet } from '../utils/accessibility/aacAnswers.js'
+import useContentPack from './useContentPack.js'
+
+/**
+ * @param {string|number} [userId] - Criança; por padrão a do localStorage
+ * @returns {{aacMode: boolean, aacGridSize: number, aacSymbolSet: string, symbolSet: Object|null, symbolSets: Object}}
+ */
+export const useAacMode = (userId) => {
+  const [settings, setSettings] = useState(() => getAacSettings())
+  const content = useContentPack('aac-symbols', userId)
+  const symbolSets = content?.symbolSets || {}
+
+  useEffect(() => {
+    const handleSettingsChanged = (event) => {
+      setSettings(getAacSettings(event.detail?.settings))
+    }
+    window.addEventListener('accessibility-settings-changed', handleSettingsChanged)
+    return () => window.removeEventListener('accessibility-settings-changed', handleSettingsChanged)
+  }, [])
+
+  return {
+    ...settings,
+    symbolSet: getAacSymbolSet(symbolSets, settings.aacSymbolSet),
+    symbolSets,
+  }
+}
+
+export default useAacMode
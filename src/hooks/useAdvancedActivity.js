@@ -8,6 +8,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
 import useProgress from './useProgress'
 import { useUser } from '../contexts/UserContext'
+import { recordReplayEvent } from '../utils/sessions/sessionReplay.js'
 
 // Importações condicionais - carregamento dinâmico para evitar erros
 let neuropedagogicalAnalyzer, createAdaptiveModel, AdvancedSupportCalculator
@@ -475,6 +476,8 @@ const useAdvancedActivity = (activityId, config = {}) => {
         return null
       }
 
+      recordReplayEvent(eventType, eventData, { activityId })
+
       try {
         // 📱 ADICIONAR DADOS DE SENSORES MÓVEIS SE DISPONÍVEIS
         const enrichedEventData = {
@@ -550,7 +553,7 @@ const useAdvancedActivity = (activityId, config = {}) => {
         return null
       }
     },
-    [realTimeSession, baseProgress]
+    [realTimeSession, baseProgress, activityId]
   )
 
   /**
@@ -880,6 +883,13 @@ const useAdvancedActivity = (activityId, config = {}) => {
    */
   const recordAdvancedInteraction = useCallback(
     async (interactionData) => {
+      // Anúncios de acessibilidade e o início da sessão não são ações da criança
+      if (!['accessibility', 'session_start'].includes(interactionData.type)) {
+        recordReplayEvent(interactionData.subtype || interactionData.type, interactionData, {
+          activityId,
+        })
+      }
+
       try {
         if (realTimeMetrics) {
           setRealTimeMetrics((prev) => ({
@@ -904,6 +914,7 @@ const useAdvancedActivity = (activityId, config = {}) => {
       }
     },
     [
+      activityId,
       behavioralAnalyzer,
       advancedSystemsInitialized,
       realTimeMetrics,
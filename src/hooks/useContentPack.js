@@ -0,0 +1,33 @@
+/**
+ * @file useContentPack.js
+ * @description Conteúdo do jogo vindo do registro de pacotes de conteúdo
+ * Atualiza sozinho quando o terapeuta instala ou habilita um pacote para a criança
+ * e quando o idioma do portal muda (o pacote padrão acompanha o idioma).
+ */
+
+import { useEffect, useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { getGameContent, subscribeContentPacks } from '../utils/content/contentPackRegistry.js'
+import { getContentLocale } from '../utils/shared/i18n.js'
+
+/**
+ * @param {string} gameId - Id do jogo em GAME_PARAMETERS
+ * @param {string|number} [userId] - Criança; por padrão a do localStorage
+ * @returns {Object} Conteúdo combinado dos pacotes habilitados
+ */
+export const useContentPack = (gameId, userId) => {
+  const childId = userId || localStorage.getItem('betina_user_id')
+  const { i18n } = useTranslation()
+  const locale = getContentLocale(i18n.language)
+  const [content, setContent] = useState(() => getGameContent(gameId, { userId: childId, locale }))
+
+  useEffect(() => {
+    const refresh = () => setContent(getGameContent(gameId, { userId: childId, locale }))
+    refresh()
+    return subscribeContentPacks(refresh)
+  }, [gameId, childId, locale])
+
+  return content
+}
+
+export default useContentPack
@@ -0,0 +1,137 @@
+/**
+ * @file useDwellSelection.js
+ * @description Seleção por permanência dentro de uma atividade
+ * Com o modo ativo no painel de acessibilidade, parar o ponteiro (olhar ou ponteiro de
+ * cabeça) sobre um alvo do jogo pelo tempo configurado o seleciona. Cada seleção e cada
+ * tentativa abandonada vai para as métricas multissensoriais.
+ */
+
+import { useEffect, useRef, useState } from 'react'
+import multisensoryMetrics from '../utils/multisensoryAnalysis/multisensoryMetrics.js'
+import { activateScanTarget, getScanTargets } from '../utils/accessibility/switchScanning.js'
+import {
+  DWELL_MIN_ATTEMPT_MS,
+  enforceTargetSizes,
+  getDwellSettings,
+  getMinTargetSize,
+  restoreTargetSizes,
+} from '../utils/accessibility/dwellSelection.js'
+
+/**
+ * @param {React.RefObject<HTMLElement>} containerRef - Conteúdo da atividade
+ * @param {string} [activityId] - Jogo atual, para o tamanho mínimo dos alvos
+ * @returns {{dwelling: boolean, dwell: {rect: DOMRect, startedAt: number}|null, dwellTime: number}}
+ */
+export const useDwellSelection = (containerRef, activityId) => {
+  const [settings, setSettings] = useState(() => getDwellSettings())
+  // Alvo em contagem, para o anel de progresso
+  const [dwell, setDwell] = useState(null)
+  const attemptRef = useRef(null)
+  // Alvo recém-selecionado: só volta a contar depois que o ponteiro sai dele
+  const selectedRef = useRef(null)
+  const { dwellClick, dwellTime } = settings
+
+  useEffect(() => {
+    const handleSettingsChanged = (event) => {
+      setSettings(getDwellSettings(event.detail?.settings))
+    }
+    window.addEventListener('accessibility-settings-changed', handleSettingsChanged)
+    return () => window.removeEventListener('accessibility-settings-changed', handleSettingsChanged)
+  }, [])
+
+  useEffect(() => {
+    const container = containerRef.current
+    if (!dwellClick || !container) return undefined
+
+    const minSize = getMinTargetSize(activityId)
+    let frame = null
+    const enforce = () => {
+      frame = null
+      enforceTargetSizes(getScanTargets(container), minSize)
+    }
+    enforce()
+    // Novas cartas, rodadas e telas do jogo também precisam do tamanho mínimo
+    const observer = new MutationObserver(() => {
+      if (frame === null) frame = requestAnimationFrame(enforce)
+    })
+    observer.observe(container, { childList: true, subtree: true })
+
+    return () => {
+      observer.disconnect()
+      if (frame !== null) cancelAnimationFrame(frame)
+      restoreTargetSizes(container)
+    }
+  }, [dwellClick, activityId, containerRef])
+
+  useEffect(() => {
+    const container = containerRef.current
+    if (!dwellClick || !container) return undefined
+
+    const record = (type, target, dwellMs) => {
+      const { width, height } = target.getBoundingClientRect()
+      multisensoryMetrics.recordDwellInteraction(type, {
+        activityId,
+        dwellMs,
+        requiredMs: dwellTime,
+        targetWidth: Math.round(width),
+        targetHeight: Math.round(height),
+      })
+    }
+
+    const cancel = () => {
+      const attempt = attemptRef.current
+      if (!attempt) return
+      clearTimeout(attempt.timer)
+      attemptRef.current = null
+      setDwell(null)
+      const dwellMs = Date.now() - attempt.startedAt
+      if (dwellMs >= DWELL_MIN_ATTEMPT_MS) record('abandon', attempt.target, dwellMs)
+    }
+
+    const handlePointerOver = (event) => {
+      // No toque o próprio toque já seleciona
+      if (event.pointerType === 'touch') return
+      const target =
+        getScanTargets(container).find(
+          (element) => element === event.target || element.contains(event.target)
+        ) || null
+      if (target && target === attemptRef.current?.target) return
+
+      cancel()
+      if (target !== selectedRef.current) selectedRef.current = null
+      if (!target || target === selectedRef.current) return
+
+      const startedAt = Date.now()
+      attemptRef.current = {
+        target,
+        startedAt,
+        timer: setTimeout(() => {
+          attemptRef.current = null
+          selectedRef.current = target
+          setDwell(null)
+          record('select', target, Date.now() - startedAt)
+          activateScanTarget(target)
+        }, dwellTime),
+      }
+      setDwell({ rect: target.getBoundingClientRect(), startedAt })
+    }
+
+    const handlePointerLeave = () => {
+      cancel()
+      selectedRef.current = null
+    }
+
+    container.addEventListener('pointerover', handlePointerOver)
+    container.addEventListener('pointerleave', handlePointerLeave)
+    return () => {
+      container.removeEventListener('pointerover', handlePointerOver)
+      container.removeEventListener('pointerleave', handlePointerLeave)
+      cancel()
+      selectedRef.current = null
+    }
+  }, [dwellClick, dwellTime, activityId, containerRef])
+
+  return { dwelling: dwellClick, dwell, dwellTime }
+}
+
+export default useDwellSelection
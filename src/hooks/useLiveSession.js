@@ -0,0 +1,88 @@
+/**
+ * @file useLiveSession.js
+ * @description Sessão ao vivo (teleterapia) no tablet da criança
+ * useLiveSession abre e fecha a conexão conforme a família liga o acompanhamento (uma
+ * vez, no App); useLiveStatus só observa; useLiveCommand entrega os comandos do terapeuta
+ * a quem precisa deles.
+ */
+
+import { useEffect, useRef, useState } from 'react'
+import { LIVE_COMMANDS } from '../services/liveSession.js'
+import {
+  LIVE_COMMAND_EVENT,
+  LIVE_MONITORING_CHANGED_EVENT,
+  LIVE_STATUS_EVENT,
+  getLiveSessionStatus,
+  isLiveMonitoringEnabled,
+  startLiveSession,
+  stopLiveSession,
+} from '../utils/sessions/liveSessionClient.js'
+
+/**
+ * Acompanhamento ligado neste aparelho e situação da conexão
+ * @returns {{enabled: boolean, status: string}}
+ */
+export const useLiveStatus = () => {
+  const [enabled, setEnabled] = useState(() => isLiveMonitoringEnabled())
+  const [status, setStatus] = useState(() => getLiveSessionStatus())
+
+  useEffect(() => {
+    const handleMonitoringChanged = (event) => setEnabled(Boolean(event.detail?.enabled))
+    const handleStatus = () => setStatus(getLiveSessionStatus())
+    window.addEventListener(LIVE_MONITORING_CHANGED_EVENT, handleMonitoringChanged)
+    window.addEventListener(LIVE_STATUS_EVENT, handleStatus)
+    return () => {
+      window.removeEventListener(LIVE_MONITORING_CHANGED_EVENT, handleMonitoringChanged)
+      window.removeEventListener(LIVE_STATUS_EVENT, handleStatus)
+    }
+  }, [])
+
+  return { enabled, status }
+}
+
+/**
+ * @param {string|number|null} userId - Criança que está jogando
+ * @returns {{enabled: boolean, status: string}}
+ */
+export const useLiveSession = (userId) => {
+  const { enabled, status } = useLiveStatus()
+
+  useEffect(() => {
+    if (!enabled || !userId) return undefined
+    startLiveSession({ userId })
+    return () => stopLiveSession()
+  }, [enabled, userId])
+
+  return { enabled, status }
+}
+
+/**
+ * Executa handler a cada comando do terapeuta
+ * @param {Function} handler - (command) => void
+ * @param {string[]} [types] - Só estes tipos de comando; todos quando omitido
+ */
+export const useLiveCommand = (handler, types = null) => {
+  const handlerRef = useRef(handler)
+  handlerRef.current = handler
+  const typesKey = types ? types.join(',') : ''
+
+  useEffect(() => {
+    const accepted = typesKey ? typesKey.split(',') : null
+    const handleCommand = (event) => {
+      const command = event.detail?.command
+      if (!command || (accepted && !accepted.includes(command.type))) return
+      handlerRef.current(command)
+    }
+    window.addEventListener(LIVE_COMMAND_EVENT, handleCommand)
+    return () => window.removeEventListener(LIVE_COMMAND_EVENT, handleCommand)
+  }, [typesKey])
+}
+
+/**
+ * Aplica a dificuldade escolhida pelo terapeuta; vale a partir da próxima rodada
+ * @param {Function} onLevel - Recebe 'easy' | 'medium' | 'hard'
+ */
+export const useRemoteDifficulty = (onLevel) =>
+  useLiveCommand((command) => onLevel(command.level), [LIVE_COMMANDS.SET_DIFFICULTY])
+
+export default useLiveSession
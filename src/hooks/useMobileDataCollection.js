@@ -4,6 +4,13 @@
 import { useEffect, useRef, useCallback } from 'react'
 import multisensoryMetrics from '../utils/multisensoryAnalysis/index.js'
 import { getSystemOrchestrator } from '../utils/core/SystemOrchestrator.js'
+import { recordReplayTap } from '../utils/sessions/sessionReplay.js'
+import {
+  MAX_STROKE_POINTS,
+  finishMotorSession,
+  getMotorTarget,
+  recordMotorStroke,
+} from '../utils/metrics/motorAnalysis.js'
 
 export const useMobileDataCollection = (isActive = true, options = {}) => {
   const touchDataRef = useRef([])
@@ -15,6 +22,8 @@ export const useMobileDataCollection = (isActive = true, options = {}) => {
   })
   const orchestratorRef = useRef(null)
   const sessionIdRef = useRef(null)
+  // Traços em andamento por dedo (touch.identifier), para as métricas motoras
+  const motorStrokesRef = useRef(new Map())
 
   // Configurações padrão
   const config = {
@@ -25,9 +34,18 @@ export const useMobileDataCollection = (isActive = true, options = {}) => {
     sensorSampleRate: 30, // Hz
     maxDataPoints: 1000,
     enableOrchestrationIntegration: true,
+    activityId: null, // Jogo aberto; os toques entram na sessão motora dele
+    userId: null,
     ...options,
   }
 
+  // Ao trocar de jogo (ou parar a coleta) a sessão motora do jogo anterior é resumida
+  const { activityId, userId } = config
+  useEffect(() => {
+    if (!isActive || !activityId) return undefined
+    return () => finishMotorSession(activityId, { userId })
+  }, [isActive, activityId, userId])
+
   // 🎯 INTEGRAÇÃO COM SYSTEM ORCHESTRATOR
   useEffect(() => {
     const initOrchestrator = async () => {
@@ -92,6 +110,20 @@ export const useMobileDataCollection = (isActive = true, options = {}) => {
       gestureStartRef.current = Date.now()
       multisensoryMetrics.recordDetailedTouchEvent(event)
 
+      // Toques entram no replay da sessão em andamento, com coordenadas relativas à tela
+      Array.from(event.changedTouches || []).forEach((touch) =>
+        recordReplayTap({ x: touch.clientX, y: touch.clientY })
+      )
+
+      // Início do traço de cada dedo, com o alvo que a criança tentou tocar
+      const touchTime = Date.now()
+      Array.from(event.changedTouches || []).forEach((touch) => {
+        motorStrokesRef.current.set(touch.identifier, {
+          points: [{ x: touch.clientX, y: touch.clientY, t: touchTime }],
+          target: getMotorTarget(event.target),
+        })
+      })
+
       // Registrar início de possível padrão repetitivo
       const touchCount = event.touches.length
       if (touchCount > 1) {
@@ -135,6 +167,13 @@ export const useMobileDataCollection = (isActive = true, options = {}) => {
 
       // Detectar possível stimming através de movimentos repetitivos
       const currentTime = Date.now()
+
+      Array.from(event.changedTouches || []).forEach((touch) => {
+        const stroke = motorStrokesRef.current.get(touch.identifier)
+        if (stroke && stroke.points.length < MAX_STROKE_POINTS) {
+          stroke.points.push({ x: touch.clientX, y: touch.clientY, t: currentTime })
+        }
+      })
       const recentMoves = touchDataRef.current.filter((move) => currentTime - move.timestamp < 2000)
 
       if (recentMoves.length > 10) {
@@ -212,6 +251,15 @@ export const useMobileDataCollection = (isActive = true, options = {}) => {
 
       multisensoryMetrics.recordDetailedTouchEvent(event)
 
+      // Toques entram nas métricas motoras do jogo; arrastos são medidos pelos próprios jogos
+      Array.from(event.changedTouches || []).forEach((touch) => {
+        const stroke = motorStrokesRef.current.get(touch.identifier)
+        motorStrokesRef.current.delete(touch.identifier)
+        if (!stroke || !activityId) return
+        stroke.points.push({ x: touch.clientX, y: touch.clientY, t: Date.now() })
+        recordMotorStroke({ kind: 'tap', ...stroke }, { activityId, userId })
+      })
+
       // Analisar duração do gesto
       if (gestureStartRef.current) {
         const duration = Date.now() - gestureStartRef.current
@@ -248,7 +296,7 @@ export const useMobileDataCollection = (isActive = true, options = {}) => {
 
       gestureStartRef.current = null
     },
-    [isActive, config.collectTouchData, sendSensorDataToOrchestrator]
+    [isActive, config.collectTouchData, activityId, userId, sendSensorDataToOrchestrator]
   )
   // Handler para movimento do dispositivo
   const handleDeviceMotion = useCallback(
@@ -0,0 +1,52 @@
+/**
+ * @file useMotorDrag.js
+ * @description Registra o caminho dos arrastos de um jogo para as métricas motoras
+ * Os jogos chamam beginDrag/moveDrag/endDrag com a posição do ponteiro; ao sair do
+ * jogo a sessão motora é encerrada e resumida no histórico da criança.
+ */
+
+import { useCallback, useEffect, useRef } from 'react'
+import {
+  MAX_STROKE_POINTS,
+  finishMotorSession,
+  recordMotorStroke,
+} from '../utils/metrics/motorAnalysis.js'
+
+/**
+ * @param {string} activityId - ID do jogo
+ * @param {string|number} [userId] - Criança; por padrão a do localStorage
+ * @returns {{beginDrag: Function, moveDrag: Function, endDrag: Function}}
+ */
+export const useMotorDrag = (activityId, userId) => {
+  const childId = userId || localStorage.getItem('betina_user_id')
+  const pointsRef = useRef(null)
+
+  const beginDrag = useCallback(({ x, y }) => {
+    pointsRef.current = [{ x, y, t: Date.now() }]
+  }, [])
+
+  // Retorna se há um arrasto em andamento
+  const moveDrag = useCallback(({ x, y }) => {
+    const points = pointsRef.current
+    if (!points) return false
+    if (points.length < MAX_STROKE_POINTS) points.push({ x, y, t: Date.now() })
+    return true
+  }, [])
+
+  const endDrag = useCallback(
+    (point) => {
+      const points = pointsRef.current
+      if (!points) return
+      pointsRef.current = null
+      if (point) points.push({ x: point.x, y: point.y, t: Date.now() })
+      recordMotorStroke({ kind: 'drag', points }, { activityId, userId: childId })
+    },
+    [activityId, childId]
+  )
+
+  useEffect(() => () => finishMotorSession(activityId, { userId: childId }), [activityId, childId])
+
+  return { beginDrag, moveDrag, endDrag }
+}
+
+export default useMotorDrag
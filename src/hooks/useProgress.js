@@ -1,5 +1,15 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { useTranslation } from 'react-i18next'
 import databaseService from '../database/core/DatabaseService.js'
+import { recordReview } from '../utils/game/reviewScheduler.js'
+import {
+  finishReplayRecording,
+  recordReplayEvent,
+  startReplayRecording,
+} from '../utils/sessions/sessionReplay.js'
+import { trackFrustrationEvent } from '../utils/emotionalAnalysis/sensoryBreak.js'
+import { recordTokenResponse } from '../utils/game/tokenEconomy.js'
+import { sendLiveEvent } from '../utils/sessions/liveSessionClient.js'
 
 export const calculateScore = (successes, attempts) => {
   return successes * 10 - attempts * 2
@@ -11,6 +21,7 @@ export const updateProgress = (successes, attempts) => {
 }
 
 const useProgress = (activityId) => {
+  const { t } = useTranslation()
   const [progress, setProgress] = useState({
     score: 0,
     attempts: 0,
@@ -29,6 +40,8 @@ const useProgress = (activityId) => {
   const [sessionId, setSessionId] = useState(null)
   const [timeUpdateInterval, setTimeUpdateInterval] = useState(null)
   const [userId, setUserId] = useState(null)
+  // A conclusão é anunciada uma vez só, mesmo que o ID do usuário mude depois
+  const completionAnnouncedRef = useRef(false)
 
   // Carregar ID do usuário do localStorage
   useEffect(() => {
@@ -179,6 +192,10 @@ const useProgress = (activityId) => {
 
       // Salvar no banco/localStorage
       saveProgress(newProgress)
+      recordReplayEvent('success', { points: 10 + additionalPoints }, { activityId })
+      trackFrustrationEvent(activityId, 'success')
+      recordTokenResponse(userId, 'correct', { activityId })
+      sendLiveEvent('success', { activityId })
 
       console.log(
         `✅ Sucesso registrado: Pontos: ${newScore} (+${10 + additionalPoints}), Precisão: ${accuracy}%, Estrelas: ${stars}`
@@ -192,7 +209,7 @@ const useProgress = (activityId) => {
 
       return newScore
     },
-    [progress, saveProgress]
+    [progress, saveProgress, activityId, userId]
   )
   // Registrar erro
   const recordError = useCallback(() => {
@@ -219,11 +236,14 @@ const useProgress = (activityId) => {
 
     // Salvar no banco/localStorage
     saveProgress(newProgress)
+    recordReplayEvent('error', null, { activityId })
+    trackFrustrationEvent(activityId, 'error')
+    sendLiveEvent('error', { activityId })
 
     console.log(
       `❌ Erro registrado: Tentativas: ${newAttempts}, Precisão: ${accuracy}%, Estrelas: ${stars}`
     )
-  }, [progress, saveProgress])
+  }, [progress, saveProgress, activityId])
   // Calcular tempo gasto (legacy - mantido para compatibilidade)
   const updateTimeSpent = useCallback(() => {
     if (startTime) {
@@ -245,6 +265,8 @@ const useProgress = (activityId) => {
     // Gerar ID único para a sessão
     const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
     setSessionId(sessionId)
+    startReplayRecording({ activityId, sessionId, userId, now })
+    sendLiveEvent('activity_started', { activityId })
 
     // Salvar início da sessão no banco se possível
     if (userId) {
@@ -292,6 +314,7 @@ const useProgress = (activityId) => {
 
     if (!pauseStartTime) {
       setPauseStartTime(Date.now())
+      recordReplayEvent('pause', null, { activityId })
       console.log(`⏸️ Atividade pausada às ${new Date().toLocaleTimeString()}`)
 
       // Parar o intervalo de atualização
@@ -300,7 +323,7 @@ const useProgress = (activityId) => {
         setTimeUpdateInterval(null)
       }
     }
-  }, [pauseStartTime, timeUpdateInterval, activityStartTime])
+  }, [pauseStartTime, timeUpdateInterval, activityStartTime, activityId])
   // Retomar atividade
   const resumeActivity = useCallback(() => {
     if (!activityStartTime) {
@@ -317,6 +340,7 @@ const useProgress = (activityId) => {
       const pauseDuration = Date.now() - pauseStartTime
       setTotalPausedTime((prev) => prev + pauseDuration)
       setPauseStartTime(null)
+      recordReplayEvent('resume', null, { activityId })
 
       console.log(`▶️ Atividade retomada. Pausada por ${Math.floor(pauseDuration / 1000)}s`)
 
@@ -327,7 +351,7 @@ const useProgress = (activityId) => {
 
       setTimeUpdateInterval(interval)
     }
-  }, [pauseStartTime, activityStartTime]) // Finalizar atividade com métricas detalhadas
+  }, [pauseStartTime, activityStartTime, activityId]) // Finalizar atividade com métricas detalhadas
   const finishActivity = useCallback(
     async (isCompleted = true, multisensoryData = null) => {
       // Se não há activityStartTime, apenas limpar estados sem erro
@@ -380,6 +404,22 @@ const useProgress = (activityId) => {
 
       console.log('🏁 Atividade finalizada:', timeMetrics)
 
+      const accuracy =
+        progress.attempts > 0
+          ? Math.min(100, Math.round((progress.successes / progress.attempts) * 100))
+          : 0
+
+      finishReplayRecording(activityId, { completed: isCompleted, now: endTime })
+
+      // Sessões com tentativas contam como revisão na agenda espaçada da criança
+      if (activityId && progress.attempts > 0) {
+        recordReview(
+          activityId,
+          { accuracy, timeSpent: timeMetrics.activeTimeSeconds, completed: isCompleted },
+          { userId }
+        )
+      }
+
       // Salvar dados finais no banco
       if (userId && sessionId) {
         try {
@@ -389,10 +429,7 @@ const useProgress = (activityId) => {
             session_id: sessionId,
             difficulty: progress.difficulty || 'MEDIUM',
             score: progress.score,
-            accuracy:
-              progress.attempts > 0
-                ? Math.min(100, Math.round((progress.successes / progress.attempts) * 100))
-                : 0,
+            accuracy,
             time_spent: timeMetrics.activeTimeSeconds,
             completed: isCompleted,
             correct_answers: progress.successes,
@@ -498,6 +535,21 @@ const useProgress = (activityId) => {
       }
     }
   }, [timeUpdateInterval])
+
+  // Avisar que a atividade foi concluída (a agenda visual passa para a próxima etapa)
+  // e contar a atividade para a economia de fichas
+  useEffect(() => {
+    if (!isCompleted) {
+      completionAnnouncedRef.current = false
+      return
+    }
+    if (activityId && !completionAnnouncedRef.current) {
+      completionAnnouncedRef.current = true
+      window.dispatchEvent(new CustomEvent('activity-completed', { detail: { activityId } }))
+      recordTokenResponse(userId, 'task', { activityId })
+      sendLiveEvent('activity_completed', { activityId })
+    }
+  }, [isCompleted, activityId, userId])
   // Resetar progresso da sessão atual (mantendo a pontuação acumulada)
   const resetSession = useCallback(() => {
     setProgress((prev) => ({
@@ -541,12 +593,12 @@ const useProgress = (activityId) => {
   const getEncouragementMessage = useCallback(() => {
     const accuracy = progress.attempts > 0 ? (progress.successes / progress.attempts) * 100 : 0
 
-    if (accuracy >= 90) return '🌟 Incrível! Você é um gênio!'
-    if (accuracy >= 70) return '🎉 Muito bem! Continue assim!'
-    if (accuracy >= 50) return '👍 Bom trabalho! Está melhorando!'
-    if (progress.attempts > 0) return '💪 Continue tentando! Você consegue!'
-    return '🚀 Vamos começar esta aventura!'
-  }, [progress])
+    if (accuracy >= 90) return `🌟 ${t('activities.encouragement.genius')}`
+    if (accuracy >= 70) return `🎉 ${t('activities.encouragement.great')}`
+    if (accuracy >= 50) return `👍 ${t('activities.encouragement.good')}`
+    if (progress.attempts > 0) return `💪 ${t('activities.encouragement.keepTrying')}`
+    return `🚀 ${t('activities.encouragement.start')}`
+  }, [progress, t])
   // Resetar progresso
   const resetProgress = useCallback(() => {
     const initialProgress = {
@@ -0,0 +1,106 @@
+/**
+ * @file useSensoryBreak.js
+ * @description Oferta e andamento da pausa sensorial dentro de uma atividade
+ * Quando a frustração passa do limite, a pausa é oferecida à criança ou, se o
+ * responsável configurou assim, começa sozinha. Na teleterapia o terapeuta também pode
+ * iniciar a pausa pelo console.
+ */
+
+import { useCallback, useEffect, useState } from 'react'
+import {
+  SENSORY_BREAK_EVENT,
+  endFrustrationMonitoring,
+  finishSensoryBreak,
+  getSensoryBreakSettings,
+  startSensoryBreak,
+} from '../utils/emotionalAnalysis/sensoryBreak.js'
+import { LIVE_COMMANDS } from '../services/liveSession.js'
+import { sendLiveEvent } from '../utils/sessions/liveSessionClient.js'
+import { useLiveCommand } from './useLiveSession.js'
+
+/**
+ * @param {string} activityId - Jogo atual
+ * @returns {{offer: {level: number}|null, activeBreak: Object|null, breakMinutes: number, acceptBreak: Function, declineBreak: Function, finishBreak: Function}}
+ */
+export const useSensoryBreak = (activityId) => {
+  const [offer, setOffer] = useState(null)
+  const [activeBreak, setActiveBreak] = useState(null)
+  const [breakMinutes, setBreakMinutes] = useState(
+    () => getSensoryBreakSettings().sensoryBreakMinutes
+  )
+
+  useEffect(() => {
+    const handleSettingsChanged = (event) => {
+      setBreakMinutes(getSensoryBreakSettings(event.detail?.settings).sensoryBreakMinutes)
+    }
+    window.addEventListener('accessibility-settings-changed', handleSettingsChanged)
+    return () => window.removeEventListener('accessibility-settings-changed', handleSettingsChanged)
+  }, [])
+
+  const beginBreak = useCallback(
+    (options, minutes) => {
+      const userId = localStorage.getItem('betina_user_id')
+      const started = startSensoryBreak({ ...options, userId })
+      sendLiveEvent('break_started', { activityId, data: { trigger: started.trigger } })
+      setOffer(null)
+      // A duração pedida pelo terapeuta vale só para esta pausa
+      setActiveBreak(minutes ? { ...started, minutes } : started)
+    },
+    [activityId]
+  )
+
+  useEffect(() => {
+    const handleSuggested = (event) => {
+      const { activityId: suggestedFor, level, autoStart } = event.detail || {}
+      if (suggestedFor !== activityId) return
+      if (autoStart) {
+        beginBreak({ trigger: 'auto', level })
+      } else {
+        setOffer({ level })
+      }
+    }
+
+    window.addEventListener(SENSORY_BREAK_EVENT, handleSuggested)
+    return () => {
+      window.removeEventListener(SENSORY_BREAK_EVENT, handleSuggested)
+      // Sair da atividade encerra a medição (e uma pausa em andamento)
+      endFrustrationMonitoring()
+      setOffer(null)
+      setActiveBreak(null)
+    }
+  }, [activityId, beginBreak])
+
+  useLiveCommand(
+    (command) => {
+      if (!activeBreak) beginBreak({ trigger: 'therapist' }, command.minutes)
+    },
+    [LIVE_COMMANDS.START_BREAK]
+  )
+
+  const acceptBreak = useCallback(
+    () => beginBreak({ trigger: 'offer', level: offer?.level }),
+    [offer, beginBreak]
+  )
+
+  const declineBreak = useCallback(() => setOffer(null), [])
+
+  const finishBreak = useCallback(
+    (completed) => {
+      finishSensoryBreak({ completed })
+      sendLiveEvent('break_finished', { activityId, data: { completed } })
+      setActiveBreak(null)
+    },
+    [activityId]
+  )
+
+  return {
+    offer,
+    activeBreak,
+    breakMinutes: activeBreak?.minutes || breakMinutes,
+    acceptBreak,
+    declineBreak,
+    finishBreak,
+  }
+}
+
+export default useSensoryBreak
@@ -0,0 +1,115 @@
+/**
+ * @file useSwitchScanning.js
+ * @description Varredura por acionador dentro de uma atividade
+ * Destaca os alvos do jogo um a um — automaticamente no ritmo configurado ou a cada
+ * toque no acionador de avançar — e seleciona o alvo destacado com Espaço, Enter ou
+ * a tecla mapeada no painel de acessibilidade.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+import {
+  SCAN_SELECT_KEYS,
+  activateScanTarget,
+  getScanSettings,
+  getScanTargets,
+  nextScanIndex,
+} from '../utils/accessibility/switchScanning.js'
+
+export const SCAN_FOCUS_ATTRIBUTE = 'data-scan-focus'
+
+const EDITABLE_TAGS = ['INPUT', 'SELECT', 'TEXTAREA']
+
+/**
+ * @param {React.RefObject<HTMLElement>} containerRef - Conteúdo da atividade
+ * @returns {{scanning: boolean, scanMode: string, scanSelectKey: string, scanNextKey: string}}
+ */
+export const useSwitchScanning = (containerRef) => {
+  const [settings, setSettings] = useState(() => getScanSettings())
+  // Muda a cada seleção para reiniciar o intervalo da varredura automática
+  const [selections, setSelections] = useState(0)
+  const currentRef = useRef(null)
+  const { switchScanning, scanMode, scanSpeed, scanSelectKey, scanNextKey } = settings
+
+  useEffect(() => {
+    const handleSettingsChanged = (event) => {
+      setSettings(getScanSettings(event.detail?.settings))
+    }
+    window.addEventListener('accessibility-settings-changed', handleSettingsChanged)
+    return () => window.removeEventListener('accessibility-settings-changed', handleSettingsChanged)
+  }, [])
+
+  const highlight = useCallback((element) => {
+    currentRef.current?.removeAttribute(SCAN_FOCUS_ATTRIBUTE)
+    currentRef.current = element
+    if (!element) return
+    element.setAttribute(SCAN_FOCUS_ATTRIBUTE, 'true')
+    element.scrollIntoView?.({ block: 'nearest', inline: 'nearest' })
+  }, [])
+
+  const advance = useCallback(() => {
+    const targets = getScanTargets(containerRef.current)
+    const index = nextScanIndex(targets, currentRef.current)
+    highlight(index === -1 ? null : targets[index])
+  }, [containerRef, highlight])
+
+  const select = useCallback(() => {
+    const current = currentRef.current
+    // O alvo pode ter sumido (carta removida, nova rodada); recomeça a varredura
+    if (!current || !getScanTargets(containerRef.current).includes(current)) {
+      highlight(null)
+      advance()
+      return
+    }
+    activateScanTarget(current)
+    setSelections((count) => count + 1)
+  }, [containerRef, advance, highlight])
+
+  useEffect(() => {
+    if (!switchScanning || scanMode !== 'auto') return undefined
+    const timer = setInterval(advance, scanSpeed)
+    return () => clearInterval(timer)
+  }, [switchScanning, scanMode, scanSpeed, advance, selections])
+
+  useEffect(() => {
+    if (!switchScanning) return undefined
+
+    const isSelectKey = (key) => SCAN_SELECT_KEYS.includes(key) || key === scanSelectKey
+    // Só responde com o foco na atividade ou fora de qualquer controle (painéis abertos ficam de fora)
+    const isForActivity = (event) => {
+      const target = event.target
+      if (EDITABLE_TAGS.includes(target?.tagName)) return false
+      return target === document.body || Boolean(containerRef.current?.contains(target))
+    }
+
+    const handleKeyDown = (event) => {
+      const { key } = event
+      if (!isForActivity(event) || !(isSelectKey(key) || key === scanNextKey)) return
+      event.preventDefault()
+      if (event.repeat) return
+      if (key === scanNextKey && !isSelectKey(key)) {
+        advance()
+        setSelections((count) => count + 1)
+      } else {
+        select()
+      }
+    }
+    // Impede o clique nativo do Espaço no botão focado, que duplicaria a seleção
+    const handleKeyUp = (event) => {
+      if (isForActivity(event) && (isSelectKey(event.key) || event.key === scanNextKey)) {
+        event.preventDefault()
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown, true)
+    window.addEventListener('keyup', handleKeyUp, true)
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown, true)
+      window.removeEventListener('keyup', handleKeyUp, true)
+      highlight(null)
+    }
+  }, [switchScanning, scanSelectKey, scanNextKey, containerRef, advance, select, highlight])
+
+  return { scanning: switchScanning, scanMode, scanSelectKey, scanNextKey }
+}
+
+export default useSwitchScanning
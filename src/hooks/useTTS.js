@@ -1,6 +1,12 @@
 import { useCallback, useRef, useEffect, useState } from 'react'
 import { isTTSEnabled as checkTTSEnabled } from '../utils/tts/ttsManager.js'
+import { speakPhrase, preloadPhrases } from '../utils/tts/phrasePlayer.js'
+import { getSpeechLanguage } from '../utils/shared/i18n.js'
 import { logTTSEvent } from '../utils/tts/ttsDebug.js'
+import { recordReplayEvent } from '../utils/sessions/sessionReplay.js'
+
+// Ajuste das instruções sobre o perfil de voz da criança: mais lentas e um pouco mais agudas
+const INSTRUCTION_VOICE = { rate: 0.7, pitch: 1.1 }
 
 /**
  * Hook personalizado para Text-to-Speech (TTS)
@@ -8,7 +14,7 @@ import { logTTSEvent } from '../utils/tts/ttsDebug.js'
  * Com opção de ativação/desativação baseada nas configurações de acessibilidade
  */
 const useTTS = () => {
-  const utteranceRef = useRef(null)
+  const playbackRef = useRef(null)
   const isInitializedRef = useRef(false)
   const speechQueueRef = useRef([])
   const isSpeakingRef = useRef(false)
@@ -133,79 +139,60 @@ const useTTS = () => {
     }
 
     try {
-      // Configurações padrão
+      // Configurações padrão; velocidade e tom são ajustes sobre o perfil de voz da criança
       const config = {
-        lang: 'pt-BR',
+        lang: getSpeechLanguage(),
         rate: 0.8,
         pitch: 1.0,
         volume: 0.8,
         ...options,
       }
 
-      // Criar utterance
-      const utterance = new SpeechSynthesisUtterance(text)
-      utterance.lang = config.lang
-      utterance.rate = config.rate
-      utterance.pitch = config.pitch
-      utterance.volume = config.volume
-
-      // Tentar usar voz em português
-      const voices = window.speechSynthesis.getVoices()
-      const portugueseVoice = voices.find(
-        (voice) =>
-          voice.lang.startsWith('pt') ||
-          voice.name.toLowerCase().includes('portuguese') ||
-          voice.name.toLowerCase().includes('brasil')
-      )
-
-      if (portugueseVoice) {
-        utterance.voice = portugueseVoice
-      }
-
-      // Event handlers
-      utterance.onstart = () => {
-        logTTSEvent({
-          type: 'speech_started',
-          text: text.substring(0, 50) + (text.length > 50 ? '...' : ''),
-          options: config,
-        })
-        console.log('TTS iniciado:', text.substring(0, 50))
-      }
-
-      utterance.onend = () => {
-        logTTSEvent({
-          type: 'speech_ended',
-          success: true,
-        })
-        console.log('TTS finalizado')
-        isSpeakingRef.current = false
-        // Processar próximo item da fila
-        setTimeout(processQueue, 100)
-      }
-
-      utterance.onerror = (event) => {
-        // Não logar erro "interrupted" como erro, pois é comum e esperado
-        if (event.error === 'interrupted') {
+      // Gravação do responsável/terapeuta para a frase ou voz sintetizada com o perfil
+      const playback = speakPhrase(text, {
+        ...config,
+        onStart: ({ kind }) => {
           logTTSEvent({
-            type: 'speech_interrupted',
-            reason: 'normal_interruption',
+            type: 'speech_started',
+            text: text.substring(0, 50) + (text.length > 50 ? '...' : ''),
+            options: config,
+            source: kind,
           })
-          console.log('TTS interrompido (normal)')
-        } else {
+          console.log('TTS iniciado:', text.substring(0, 50))
+        },
+      })
+      playbackRef.current = playback
+
+      playback.done
+        .then((result) => {
+          // Interrupção não é erro, pois é comum e esperada
+          if (result === 'cancelled') {
+            logTTSEvent({
+              type: 'speech_interrupted',
+              reason: 'normal_interruption',
+            })
+            console.log('TTS interrompido (normal)')
+          } else {
+            logTTSEvent({
+              type: 'speech_ended',
+              success: true,
+            })
+            console.log('TTS finalizado')
+          }
+        })
+        .catch((error) => {
           logTTSEvent({
             type: 'speech_error',
-            error: event.error,
+            error: error.message,
           })
-          console.error('Erro no TTS:', event.error)
-        }
-        isSpeakingRef.current = false
-        // Processar próximo item da fila
-        setTimeout(processQueue, 100)
-      }
-
-      // Armazenar referência e iniciar fala
-      utteranceRef.current = utterance
-      window.speechSynthesis.speak(utterance)
+          console.error('Erro no TTS:', error.message)
+        })
+        .finally(() => {
+          playbackRef.current = null
+          isSpeakingRef.current = false
+          // Processar próximo item da fila
+          setTimeout(processQueue, 100)
+        })
     } catch (error) {
       logTTSEvent({
         type: 'speech_exception',
@@ -258,6 +245,7 @@ const useTTS = () => {
 
       // Adicionar à fila e processar
       speechQueueRef.current.push({ text, options })
+      recordReplayEvent('tts', { text })
       processQueue()
     },
     [processQueue]
@@ -266,6 +254,7 @@ const useTTS = () => {
   // Parar fala atual
   const stop = useCallback(() => {
     if (window.speechSynthesis) {
+      playbackRef.current?.cancel()
       window.speechSynthesis.cancel()
       // Limpar a fila de falas pendentes
       speechQueueRef.current = []
@@ -278,13 +267,22 @@ const useTTS = () => {
 
   // Verificar se está falando
   const isSpeaking = useCallback(() => {
+    if (isSpeakingRef.current) return true
     return window.speechSynthesis ? window.speechSynthesis.speaking : false
   }, [])
 
+  // Deixa prontas as frases que a atividade vai repetir (gravações e planos de fala); o
+  // ajuste padrão é o de speakInstruction, para a fala reaproveitar o plano já montado
+  const preload = useCallback(
+    (phrases, options = INSTRUCTION_VOICE) => preloadPhrases(phrases, options),
+    []
+  )
+
   // Funções específicas para diferentes tipos de conteúdo
+  // targetWord: palavra destacada conforme o perfil de voz (ex.: a cor pedida)
   const speakInstruction = useCallback(
-    (text) => {
-      speak(text, { rate: 0.7, pitch: 1.1 })
+    (text, targetWord) => {
+      speak(text, { ...INSTRUCTION_VOICE, targetWord })
     },
     [speak]
   )
@@ -298,8 +296,8 @@ const useTTS = () => {
   )
 
   const speakQuestion = useCallback(
-    (text) => {
-      speak(text, { rate: 0.7, pitch: 1.0 })
+    (text, targetWord) => {
+      speak(text, { rate: 0.7, pitch: 1.0, targetWord })
     },
     [speak]
   )
@@ -364,6 +362,7 @@ const useTTS = () => {
     speakWord,
     speakColor,
     autoSpeak,
+    preload,
     isTTSEnabled, // Expondo o estado para os componentes que usam o hook
   }
 }
@@ -11,6 +11,8 @@ import GlobalStyles from './styles/global'
 import { lightTheme, darkTheme } from './styles/themes'
 import './styles/reset.css'
 import logger from './utils/logger'
+import { registerServiceWorker } from './utils/pwa/serviceWorkerRegistration.js'
+import databaseService from './database/core/DatabaseService.js'
 
 // Importar o SystemOrchestrator Terapêutico (CORRIGIDO)
 import {
@@ -152,6 +154,12 @@ const bootstrap = async () => {
     logger.info('Aplicação inicializada com sucesso', {
       environment: getEnvVar('VITE_ENVIRONMENT', 'development'),
     })
+
+    // PWA: guarda jogos, sons e imagens para abrir sem internet (só no build de produção)
+    registerServiceWorker()
+
+    // Sessões e métricas gravadas sem conexão: reenvia agora e sempre que a conexão voltar
+    databaseService.startOfflineSync()
   } catch (error) {
     logger.error('Erro ao inicializar a aplicação', { error: error.message })
   }
@@ -0,0 +1,269 @@
+/**
+ * @file aiReportService.test.js
+ * @description Testes da cadeia de provedores dos relatórios de IA
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { AIReportService } from './aiReportService.js'
+import {
+  createOpenAICompatibleProvider,
+  createLocalLLMProvider,
+  createProvidersFromEnv,
+  createProviderError,
+} from './llmProviders.js'
+import { createTemplateReportProvider } from './templateReportProvider.js'
+import { guardReport } from './reportGuard.js'
+import { MultisensoryMetricsCollector } from '../../utils/multisensoryAnalysis/multisensoryMetrics.js'
+
+const sessionData = new MultisensoryMetricsCollector().generateFinalReport()
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: 'Erro',
+  json: async () => body,
+})
+
+const modelReport = {
+  cognitiveProfile: {
+    executiveFunction: { score: 78, strengths: ['Planejamento'], challenges: [] },
+  },
+  behavioralInsights: {},
+  personalizedRecommendations: {
+    immediate: [{ category: 'Rotina', action: 'Pausas curtas', impact: 'Alto', reasoning: 'x' }],
+  },
+}
+
+describe('AIReportService', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.unstubAllGlobals()
+  })
+
+  it('deve gerar o relatório offline e determinístico sem modelo configurado', async () => {
+    const fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+    const service = new AIReportService({ providers: createProvidersFromEnv({}) })
+
+    const first = await service.generateAIReport(sessionData, 'comprehensive', { useCache: false })
+    const second = await service.generateAIReport(sessionData, 'comprehensive', { useCache: false })
+
+    expect(fetchMock).not.toHaveBeenCalled()
+    expect(first).toMatchObject({ provider: 'template', isRealAI: false })
+    expect(first.cognitiveProfile).toEqual(second.cognitiveProfile)
+    expect(first.personalizedRecommendations).toEqual(second.personalizedRecommendations)
+    expect(first.cognitiveProfile.executiveFunction.score).toBe(75)
+    expect(first.cognitiveProfile.executiveFunction.strengths).toContain('Processamento visual')
+    expect(first.personalizedRecommendations.immediate.length).toBeGreaterThan(0)
+  })
+
+  it('deve chamar o endpoint compatível com a OpenAI e ler o JSON em bloco de código', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(
+      jsonResponse({
+        model: 'deepseek-chat',
+        choices: [
+          { message: { content: `Segue:\n\`\`\`json\n${JSON.stringify(modelReport)}\n\`\`\`` } },
+        ],
+      })
+    )
+    vi.stubGlobal('fetch', fetchMock)
+    const service = new AIReportService({
+      providers: createProvidersFromEnv({ VITE_DEEPSEEK_API_KEY: 'sk-teste' }),
+    })
+
+    const report = await service.generateAIReport(sessionData, 'cognitive')
+
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toBe('https://api.deepseek.com/chat/completions')
+    expect(init.headers.Authorization).toBe('Bearer sk-teste')
+    expect(JSON.parse(init.body).messages).toHaveLength(2)
+    expect(report).toMatchObject({ provider: 'deepseek', model: 'deepseek-chat', isRealAI: true })
+    expect(report.cognitiveProfile.executiveFunction).toMatchObject({
+      score: 78,
+      strengths: ['Planejamento'],
+      recommendations: [],
+    })
+    expect(report.cognitiveProfile.attentionProfile.type).toBe('Não determinado')
+  })
+
+  it('deve repetir erros temporários e cair para o template quando o provedor falha', async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValue(jsonResponse({ error: { message: 'ocupado' } }, 503))
+    vi.stubGlobal('fetch', fetchMock)
+    const service = new AIReportService({
+      providers: createProvidersFromEnv({ VITE_OPENAI_API_KEY: 'sk-teste' }),
+      maxRetries: 1,
+      retryDelay: 0,
+    })
+
+    const report = await service.generateAIReport(sessionData, 'comprehensive')
+
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+    expect(report.provider).toBe('template')
+    expect(service.getMetrics().providerFailures).toEqual({ openai: 1 })
+  })
+
+  it('deve reaproveitar o relatório em cache', async () => {
+    const template = createTemplateReportProvider()
+    const completeSpy = vi.spyOn(template, 'complete')
+    const service = new AIReportService({ providers: [template] })
+
+    await service.generateAIReport(sessionData, 'sensory')
+    await service.generateAIReport(sessionData, 'sensory')
+
+    expect(completeSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('deve descartar respostas fora do schema e seguir para o próximo provedor', async () => {
+    const prose = {
+      name: 'prosa',
+      kind: 'remote',
+      model: 'x',
+      isConfigured: () => true,
+      complete: async () => ({ content: 'Função executiva score 64\nPontos fortes: memória' }),
+    }
+    const outOfRange = {
+      ...prose,
+      name: 'fora-do-intervalo',
+      complete: async () => ({
+        content: JSON.stringify({
+          ...modelReport,
+          cognitiveProfile: { executiveFunction: { score: 140 } },
+        }),
+      }),
+    }
+    const service = new AIReportService({
+      providers: [prose, outOfRange, createTemplateReportProvider()],
+    })
+
+    const report = await service.generateAIReport(sessionData, 'cognitive')
+
+    expect(report.provider).toBe('template')
+    expect(report.validation.flags).toEqual([])
+    expect(service.getMetrics().providerFailures).toEqual({ prosa: 1, 'fora-do-intervalo': 1 })
+  })
+
+  it('deve corrigir e remover afirmações sem respaldo antes de devolver o relatório', async () => {
+    const invented = {
+      ...modelReport,
+      cognitiveProfile: {
+        ...modelReport.cognitiveProfile,
+        processingSpeed: { overall: 98, visual: 75, auditory: 80, motor: 70 },
+      },
+      personalizedRecommendations: {
+        immediate: [
+          { action: 'Pausas curtas', reasoning: 'Atenção de 70% na sessão' },
+          { action: 'Treino diário', reasoning: 'Está no percentil 95 da idade' },
+        ],
+      },
+      populationComparison: { percentile: 95, similarProfiles: 1200 },
+    }
+    const provider = {
+      name: 'inventivo',
+      kind: 'remote',
+      model: 'x',
+      isConfigured: () => true,
+      complete: async () => ({ content: JSON.stringify(invented) }),
+    }
+    const service = new AIReportService({ providers: [provider] })
+
+    const report = await service.generateAIReport(sessionData, 'comprehensive')
+
+    expect(report.cognitiveProfile.processingSpeed.overall).toBe(75)
+    expect(report.personalizedRecommendations.immediate.map((item) => item.action)).toEqual([
+      'Pausas curtas',
+    ])
+    expect(report.populationComparison).toMatchObject({ percentile: null, similarProfiles: null })
+    expect(report.validation).toMatchObject({ corrected: 1, removed: 3 })
+  })
+})
+
+describe('guardReport', () => {
+  const measuredSession = {
+    ...sessionData,
+    sessionSummary: { ...sessionData.sessionSummary, totalInteractions: 12, duration: 300000 },
+  }
+  const keptTexts = (texts) => guardReport({ notes: texts }, measuredSession).report.notes
+
+  it('deve conferir qualquer número citado, não só pontuações', () => {
+    expect(
+      keptTexts([
+        '12 interações na sessão',
+        'Sessão de 5 minutos',
+        'Atenção em 72 pontos',
+        '8 de 10 acertos',
+        'Errou 3 vezes seguidas',
+        'Treinar 2 vezes por semana',
+      ])
+    ).toEqual(['12 interações na sessão', 'Sessão de 5 minutos', 'Atenção em 72 pontos'])
+  })
+
+  it('deve manter os prazos do plano fora da conferência', () => {
+    const { report, flags } = guardReport(
+      { longTerm: [{ goal: 'Ampliar a atenção', timeline: '2-4 meses' }] },
+      measuredSession
+    )
+
+    expect(report.longTerm).toHaveLength(1)
+    expect(flags).toEqual([])
+  })
+})
+
+describe('llmProviders', () => {
+  afterEach(() => vi.unstubAllGlobals())
+
+  it('deve usar o /api/chat do Ollama sem streaming', async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValue(jsonResponse({ model: 'llama3.1', message: { content: '{"a":1}' } }))
+    vi.stubGlobal('fetch', fetchMock)
+    const provider = createLocalLLMProvider({
+      baseUrl: 'http://localhost:11434/',
+      model: 'llama3.1',
+    })
+
+    const result = await provider.complete({ system: 's', prompt: 'p', temperature: 0.3 })
+
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toBe('http://localhost:11434/api/chat')
+    expect(JSON.parse(init.body)).toMatchObject({ stream: false, options: { temperature: 0.3 } })
+    expect(result).toEqual({ content: '{"a":1}', model: 'llama3.1' })
+  })
+
+  it('deve ignorar chaves de exemplo e respeitar a ordem de VITE_AI_PROVIDER', () => {
+    const names = (env) => createProvidersFromEnv(env).map((provider) => provider.name)
+
+    expect(names({ VITE_DEEPSEEK_API_KEY: 'your_deepseek_api_key_here' })).toEqual(['template'])
+    expect(
+      names({
+        VITE_AI_PROVIDER: 'openai,local',
+        VITE_OPENAI_API_KEY: 'sk-teste',
+        VITE_LOCAL_LLM_URL: 'http://localhost:8080',
+        VITE_LOCAL_LLM_API: 'llamacpp',
+      })
+    ).toEqual(['openai', 'llamacpp', 'template'])
+  })
+
+  it('deve marcar como não repetíveis os erros de autenticação', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(jsonResponse({}, 401)))
+    const provider = createOpenAICompatibleProvider({
+      name: 'openai',
+      baseUrl: 'https://api.openai.com/v1',
+      model: 'gpt-4o-mini',
+      apiKey: 'sk-teste',
+    })
+
+    await expect(provider.complete({ system: 's', prompt: 'p' })).rejects.toMatchObject({
+      status: 401,
+      retryable: false,
+    })
+    expect(createProviderError('x', { provider: 'y', retryable: true }).retryable).toBe(true)
+  })
+})
@@ -0,0 +1,263 @@
+/**
+ * @file llmProviders.js
+ * @description Camada de provedores de LLM usada pelos relatórios de IA
+ * Todo provedor expõe a mesma interface:
+ *   { name, kind, model, isConfigured(), complete({ system, prompt, temperature, maxTokens, signal, context }) }
+ * onde complete() resolve { content, model }. kind é 'remote', 'local' ou 'template'.
+ * Os adaptadores cobrem endpoints compatíveis com a API da OpenAI (OpenAI, DeepSeek,
+ * llama.cpp) e o servidor local do Ollama. O provedor de templates fica em
+ * templateReportProvider.js e não depende de rede.
+ */
+
+import { createTemplateReportProvider } from './templateReportProvider.js'
+
+// Valores de exemplo do .env.example não contam como chave configurada
+const PLACEHOLDER_KEY = /^your_.*_here$/i
+
+// Variáveis VITE_ precisam de import.meta.env no navegador (o Vite troca process.env por {})
+const getEnvVar = (key, fallback = undefined) => {
+  if (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env[key]) {
+    return import.meta.env[key]
+  }
+  if (typeof process !== 'undefined' && process.env && process.env[key]) {
+    return process.env[key]
+  }
+  return fallback
+}
+
+const trimSlash = (url) => String(url).replace(/\/+$/, '')
+
+const hasKey = (apiKey) => Boolean(apiKey) && !PLACEHOLDER_KEY.test(apiKey)
+
+/**
+ * Erro de provedor com a indicação de que vale repetir a chamada
+ * @param {string} message - Mensagem
+ * @param {Object} details
+ * @param {string} details.provider - Nome do provedor
+ * @param {number} [details.status] - Status HTTP
+ * @param {boolean} [details.retryable] - 429, 5xx, timeout e falhas de rede
+ * @returns {Error}
+ */
+export const createProviderError = (message, { provider, status, retryable = false }) => {
+  const error = new Error(message)
+  error.provider = provider
+  error.status = status
+  error.retryable = retryable
+  return error
+}
+
+const isRetryableStatus = (status) => status === 429 || status >= 500
+
+// POST JSON com timeout; erros de HTTP e de rede viram erros de provedor
+const postJson = async (provider, url, { headers = {}, body, signal, timeoutMs }) => {
+  const controller = new AbortController()
+  const abort = () => controller.abort()
+  const timeoutId = setTimeout(abort, timeoutMs)
+  signal?.addEventListener('abort', abort)
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      const detail = errorData.error?.message || errorData.error || response.statusText
+      throw createProviderError(`${provider}: ${detail}`, {
+        provider,
+        status: response.status,
+        retryable: isRetryableStatus(response.status),
+      })
+    }
+
+    return await response.json()
+  } catch (error) {
+    if (error.provider) throw error
+    if (error.name === 'AbortError') {
+      throw createProviderError(
+        signal?.aborted
+          ? `${provider}: requisição cancelada`
+          : `${provider}: timeout após ${timeoutMs}ms`,
+        { provider, retryable: !signal?.aborted }
+      )
+    }
+    throw createProviderError(`${provider}: ${error.message}`, { provider, retryable: true })
+  } finally {
+    clearTimeout(timeoutId)
+    signal?.removeEventListener('abort', abort)
+  }
+}
+
+const requireContent = (provider, content) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw createProviderError(`${provider}: resposta vazia ou inválida`, { provider })
+  }
+  return content
+}
+
+/**
+ * Adaptador para APIs compatíveis com /chat/completions da OpenAI
+ * Atende OpenAI, DeepSeek e o servidor do llama.cpp (baseUrl terminando em /v1).
+ * @param {Object} config
+ * @param {string} config.name - Nome do provedor
+ * @param {string} config.baseUrl - URL base, sem /chat/completions
+ * @param {string} config.model - Modelo
+ * @param {string} [config.apiKey] - Chave Bearer
+ * @param {boolean} [config.requiresApiKey=true] - Servidores locais não usam chave
+ * @param {Object} [config.headers] - Cabeçalhos extras
+ * @param {number} [config.timeoutMs=30000]
+ * @param {string} [config.kind='remote']
+ * @returns {Object} Provedor
+ */
+export const createOpenAICompatibleProvider = ({
+  name,
+  baseUrl,
+  model,
+  apiKey,
+  requiresApiKey = true,
+  headers = {},
+  timeoutMs = 30000,
+  kind = 'remote',
+}) => ({
+  name,
+  kind,
+  model,
+
+  isConfigured() {
+    return Boolean(baseUrl && model) && (!requiresApiKey || hasKey(apiKey))
+  },
+
+  async complete({ system, prompt, temperature, maxTokens, signal }) {
+    const result = await postJson(name, `${trimSlash(baseUrl)}/chat/completions`, {
+      headers: hasKey(apiKey) ? { ...headers, Authorization: `Bearer ${apiKey}` } : headers,
+      body: {
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt },
+        ],
+        temperature,
+        max_tokens: maxTokens,
+      },
+      signal,
+      timeoutMs,
+    })
+
+    return {
+      content: requireContent(name, result?.choices?.[0]?.message?.content),
+      model: result?.model || model,
+    }
+  },
+})
+
+/**
+ * Adaptador para servidor local de LLM (Ollama ou llama.cpp)
+ * O Ollama usa /api/chat; o llama.cpp expõe a API compatível com a OpenAI em /v1.
+ * @param {Object} config
+ * @param {string} config.baseUrl - Ex.: http://localhost:11434 (Ollama) ou http://localhost:8080 (llama.cpp)
+ * @param {string} config.model - Modelo carregado no servidor
+ * @param {'ollama'|'llamacpp'} [config.api='ollama']
+ * @param {number} [config.timeoutMs=120000] - Modelos locais costumam ser mais lentos
+ * @returns {Object} Provedor
+ */
+export const createLocalLLMProvider = ({ baseUrl, model, api = 'ollama', timeoutMs = 120000 }) => {
+  if (api === 'llamacpp') {
+    return createOpenAICompatibleProvider({
+      name: 'llamacpp',
+      kind: 'local',
+      baseUrl: baseUrl && `${trimSlash(baseUrl)}/v1`,
+      model,
+      requiresApiKey: false,
+      timeoutMs,
+    })
+  }
+
+  return {
+    name: 'ollama',
+    kind: 'local',
+    model,
+
+    isConfigured() {
+      return Boolean(baseUrl && model)
+    },
+
+    async complete({ system, prompt, temperature, maxTokens, signal }) {
+      const result = await postJson('ollama', `${trimSlash(baseUrl)}/api/chat`, {
+        body: {
+          model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt },
+          ],
+          stream: false,
+          format: 'json',
+          options: { temperature, num_predict: maxTokens },
+        },
+        signal,
+        timeoutMs,
+      })
+
+      return {
+        content: requireContent('ollama', result?.message?.content),
+        model: result?.model || model,
+      }
+    },
+  }
+}
+
+/**
+ * Monta os provedores a partir das variáveis de ambiente
+ * VITE_AI_PROVIDER define a ordem de tentativa (ex.: "local,deepseek"); sem ela, todos os
+ * provedores configurados são usados. O provedor de templates fecha sempre a lista, então
+ * os relatórios continuam saindo offline quando nenhum modelo está configurado.
+ * As variáveis VITE_DEEPSEEK_* continuam valendo para instalações existentes.
+ * @param {Object} [env] - Variáveis (padrão: import.meta.env / process.env)
+ * @returns {Object[]} Provedores configurados, em ordem de preferência
+ */
+export const createProvidersFromEnv = (env) => {
+  const read = env ? (key, fallback) => env[key] || fallback : getEnvVar
+  const timeoutMs = parseInt(read('VITE_AI_TIMEOUT_MS', read('VITE_DEEPSEEK_TIMEOUT_MS', '30000')))
+
+  const available = {
+    deepseek: createOpenAICompatibleProvider({
+      name: 'deepseek',
+      baseUrl: read('VITE_DEEPSEEK_API_URL', 'https://api.deepseek.com'),
+      model: read('VITE_DEEPSEEK_MODEL', 'deepseek-chat'),
+      apiKey: read('VITE_DEEPSEEK_API_KEY'),
+      headers: {
+        'X-Client': 'Portal-Betina-Autism-Support',
+        'X-Analysis-Context': 'neuroeducational-autism',
+      },
+      timeoutMs,
+    }),
+    openai: createOpenAICompatibleProvider({
+      name: 'openai',
+      baseUrl: read('VITE_OPENAI_API_URL', 'https://api.openai.com/v1'),
+      model: read('VITE_OPENAI_MODEL', 'gpt-4o-mini'),
+      apiKey: read('VITE_OPENAI_API_KEY'),
+      timeoutMs,
+    }),
+    local: createLocalLLMProvider({
+      baseUrl: read('VITE_LOCAL_LLM_URL'),
+      model: read('VITE_LOCAL_LLM_MODEL', 'llama3.1'),
+      api: read('VITE_LOCAL_LLM_API', 'ollama'),
+      timeoutMs: parseInt(read('VITE_LOCAL_LLM_TIMEOUT_MS', '120000')),
+    }),
+  }
+
+  const requested = read('VITE_AI_PROVIDER', '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+  const order = requested.length > 0 ? requested : ['local', 'deepseek', 'openai']
+
+  const providers = order
+    .filter((name) => name !== 'template')
+    .map((name) => available[name])
+    .filter((provider) => provider?.isConfigured())
+
+  return [...providers, createTemplateReportProvider()]
+}
@@ -0,0 +1,194 @@
+/**
+ * @file reportGuard.js
+ * @description Verificação das afirmações numéricas dos relatórios de IA
+ * Cada número do relatório é conferido com as métricas medidas na sessão
+ * (multisensoryMetrics.generateFinalReport). Valores divergentes são corrigidos
+ * para o medido, valores sem métrica correspondente são removidos e textos que
+ * citam qualquer número sem respaldo (pontuação, contagem, "8 de 10") são descartados. Tudo o que muda fica registrado
+ * em flags, para o relatório nunca chegar aos pais com dados inventados.
+ */
+
+const DEFAULT_TOLERANCE = 5
+
+// Números citados em texto: percentis ("percentil 90", "90º percentil"), pontuações
+// ("85%", "72/100", "60 pontos") e qualquer outro número ("12 sessões", "8 de 10")
+const NUMERIC_CLAIM =
+  /percentil\s*(?:de\s*)?(\d+(?:[.,]\d+)?)|\b(\d+(?:[.,]\d+)?)\s*º?\s*percentil|\b(\d+(?:[.,]\d+)?)(\s*(?:%|\/\s*100\b|pontos\b))?/gi
+
+// Prazos propostos no plano ("2-4 meses") não afirmam nada sobre a sessão
+const PLAN_TEXT_FIELDS = ['timeline']
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+const metricScore = (metric) => (Number.isFinite(metric?.score) ? metric.score : undefined)
+
+const average = (...values) =>
+  values.every(Number.isFinite)
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : undefined
+
+/**
+ * Métrica medida que sustenta cada campo numérico do relatório
+ * Atenção seletiva e dividida não são medidas diretamente: combinam a atenção com o
+ * processamento visual e com a integração multissensorial, respectivamente.
+ * @param {Object} sessionData - Relatório final do coletor multissensorial
+ * @returns {Object<string, number|undefined>} Caminho no relatório -> valor medido
+ */
+export const collectMeasuredMetrics = (sessionData = {}) => {
+  const sensory = sessionData?.sensoryProfileAnalysis || {}
+  const cognitive = sessionData?.cognitiveProfileAnalysis || {}
+  const behavioral = sessionData?.behavioralProfileAnalysis || {}
+
+  const attention = metricScore(cognitive.attentionPatterns)
+  const visual = metricScore(sensory.visualProcessing)
+
+  return {
+    'cognitiveProfile.executiveFunction.score': metricScore(cognitive.executiveFunction),
+    'cognitiveProfile.attentionProfile.sustainedAttention': attention,
+    'cognitiveProfile.attentionProfile.selectiveAttention': average(attention, visual),
+    'cognitiveProfile.attentionProfile.dividedAttention': average(
+      attention,
+      metricScore(sensory.multisensoryIntegration)
+    ),
+    'cognitiveProfile.processingSpeed.overall': metricScore(cognitive.processingSpeed),
+    'cognitiveProfile.processingSpeed.visual': visual,
+    'cognitiveProfile.processingSpeed.auditory': metricScore(sensory.auditoryProcessing),
+    'cognitiveProfile.processingSpeed.motor': metricScore(sensory.tactileProcessing),
+    'behavioralInsights.engagementPatterns.score': metricScore(behavioral.engagementPatterns),
+    'behavioralInsights.frustrationTolerance.score': metricScore(behavioral.frustrationTolerance),
+  }
+}
+
+// Pontuações que um texto pode citar: as acima, a memória e a taxa de conclusão
+const collectCitableScores = (sessionData, measured) => {
+  const completionRate = sessionData?.sessionSummary?.completionRate
+  return [
+    ...Object.values(measured),
+    metricScore(sessionData?.cognitiveProfileAnalysis?.memoryPerformance),
+    Number.isFinite(completionRate) && completionRate <= 1 ? completionRate * 100 : completionRate,
+  ].filter(Number.isFinite)
+}
+
+// Qualquer valor medido na sessão (contagens, durações, taxas), na forma em que um texto o
+// citaria: taxas de 0 a 1 também em porcentagem e durações em ms também em segundos e minutos
+const collectCitableCounts = (sessionData) => {
+  const values = []
+  const walk = (node, key = '') => {
+    if (typeof node === 'number' && Number.isFinite(node)) {
+      values.push(node)
+      if (/rate$/i.test(key) && node <= 1) values.push(node * 100)
+      if (/(duration|ms)$/i.test(key)) values.push(node / 1000, node / 60000)
+    } else if (Array.isArray(node)) {
+      node.forEach((item) => walk(item, key))
+    } else if (isObject(node)) {
+      Object.entries(node).forEach(([childKey, child]) => walk(child, childKey))
+    }
+  }
+  walk(sessionData)
+  return values.map((value) => Math.round(value * 10) / 10)
+}
+
+/**
+ * Confere o relatório com as métricas da sessão
+ * @param {Object} content - Seções do relatório já validadas pelo schema
+ * @param {Object} sessionData - Relatório final do coletor multissensorial
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=5] - Diferença aceita em pontos
+ * @returns {{report: Object, flags: Array<{path: string, claim: *, measured?: number, action: string, reason: string}>, checkedClaims: number}}
+ */
+export const guardReport = (content, sessionData, { tolerance = DEFAULT_TOLERANCE } = {}) => {
+  const measured = collectMeasuredMetrics(sessionData)
+  const citableScores = collectCitableScores(sessionData, measured)
+  const citableCounts = collectCitableCounts(sessionData)
+  const flags = []
+  let checkedClaims = 0
+
+  const checkNumber = (value, path) => {
+    checkedClaims++
+
+    if (!(path in measured)) {
+      flags.push({
+        path,
+        claim: value,
+        action: 'removed',
+        reason: 'Campo sem métrica correspondente',
+      })
+      return null
+    }
+    const actual = measured[path]
+    if (actual === undefined) {
+      flags.push({
+        path,
+        claim: value,
+        action: 'removed',
+        reason: 'Métrica não medida nesta sessão',
+      })
+      return null
+    }
+    if (Math.abs(value - actual) > tolerance) {
+      flags.push({
+        path,
+        claim: value,
+        measured: actual,
+        action: 'corrected',
+        reason: 'Valor diverge da métrica medida',
+      })
+      return actual
+    }
+    return value
+  }
+
+  // true quando o texto pode seguir; percentis nunca têm respaldo. Pontuações aceitam a
+  // tolerância; os demais números precisam ser exatamente um valor medido na sessão.
+  const checkText = (text, path) => {
+    for (const match of text.matchAll(NUMERIC_CLAIM)) {
+      checkedClaims++
+      const [, percentileBefore, percentileAfter, number, scoreUnit] = match
+      const value = parseFloat((number ?? percentileBefore ?? percentileAfter).replace(',', '.'))
+      const supported =
+        number !== undefined &&
+        (scoreUnit
+          ? citableScores.some((actual) => Math.abs(value - actual) <= tolerance)
+          : citableCounts.includes(value))
+
+      if (!supported) {
+        flags.push({
+          path,
+          claim: text,
+          action: 'removed',
+          reason: `Texto cita "${match[0].trim()}" sem respaldo nos dados da sessão`,
+        })
+        return false
+      }
+    }
+    return true
+  }
+
+  // Textos sem respaldo dentro de listas derrubam o item inteiro (ex.: a recomendação)
+  const sanitize = (node, path, inArray) => {
+    if (typeof node === 'number') return { value: checkNumber(node, path) }
+    if (typeof node === 'string') {
+      if (PLAN_TEXT_FIELDS.includes(path.split('.').pop())) return { value: node }
+      return checkText(node, path) ? { value: node } : { drop: true }
+    }
+    if (Array.isArray(node)) {
+      const items = node.flatMap((item, index) => {
+        const result = sanitize(item, `${path}[${index}]`, true)
+        return result.drop || result.value === null ? [] : [result.value]
+      })
+      return { value: items }
+    }
+    if (isObject(node)) {
+      const output = {}
+      for (const [key, child] of Object.entries(node)) {
+        const result = sanitize(child, path ? `${path}.${key}` : key, inArray)
+        if (result.drop && inArray) return { drop: true }
+        output[key] = result.drop ? null : result.value
+      }
+      return { value: output }
+    }
+    return { value: node }
+  }
+
+  return { report: sanitize(content, '', false).value, flags, checkedClaims }
+}
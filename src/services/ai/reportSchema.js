@@ -0,0 +1,173 @@
+/**
+ * @file reportSchema.js
+ * @description Schema declarado dos relatórios de IA por tipo de relatório
+ * O mesmo schema gera as instruções de formato enviadas ao modelo e valida a
+ * resposta. Campos fora do schema são descartados; respostas que não passam
+ * fazem a cadeia seguir para o próximo provedor.
+ */
+
+import { z } from 'zod'
+
+// Pontuações 0-100; null quando não há métrica que sustente o valor
+const score = z.number().min(0).max(100).nullable().default(null)
+const textList = z.array(z.string()).default([])
+
+const SECTION_SCHEMAS = {
+  cognitiveProfile: z.object({
+    executiveFunction: z
+      .object({
+        score,
+        strengths: textList,
+        challenges: textList,
+        recommendations: textList,
+      })
+      .default({}),
+    attentionProfile: z
+      .object({
+        type: z.string().default('Não determinado'),
+        sustainedAttention: score,
+        selectiveAttention: score,
+        dividedAttention: score,
+        patterns: textList,
+      })
+      .default({}),
+    processingSpeed: z
+      .object({
+        overall: score,
+        visual: score,
+        auditory: score,
+        motor: score,
+        insights: textList,
+      })
+      .default({}),
+  }),
+
+  behavioralInsights: z.object({
+    engagementPatterns: z
+      .object({
+        score,
+        patterns: textList,
+        optimalTimes: textList,
+        engagementTriggers: textList,
+        disengagementSigns: textList,
+      })
+      .default({}),
+    frustrationTolerance: z.object({ score, patterns: textList }).default({}),
+    learningPreferences: textList,
+  }),
+
+  personalizedRecommendations: z.object({
+    immediate: z
+      .array(
+        z.object({
+          category: z.string().default('Geral'),
+          action: z.string().min(1),
+          impact: z.string().default('Médio'),
+          reasoning: z.string().default(''),
+        })
+      )
+      .default([]),
+    longTerm: z
+      .array(
+        z.object({
+          category: z.string().default('Desenvolvimento'),
+          goal: z.string().min(1),
+          strategy: z.string().default(''),
+          timeline: z.string().default(''),
+        })
+      )
+      .default([]),
+    progressIndicators: textList,
+  }),
+
+  populationComparison: z
+    .object({
+      percentile: score,
+      similarProfiles: z.number().int().min(0).nullable().default(null),
+      note: z.string().optional(),
+    })
+    .default({}),
+}
+
+// Exemplo de cada seção enviado ao modelo
+const SECTION_EXAMPLES = {
+  cognitiveProfile: {
+    executiveFunction: { score: 0, strengths: [''], challenges: [''], recommendations: [''] },
+    attentionProfile: {
+      type: '',
+      sustainedAttention: 0,
+      selectiveAttention: 0,
+      dividedAttention: 0,
+    },
+    processingSpeed: { overall: 0, visual: 0, auditory: 0, motor: 0, insights: [''] },
+  },
+  behavioralInsights: {
+    engagementPatterns: { score: 0, engagementTriggers: [''], disengagementSigns: [''] },
+    frustrationTolerance: { score: 0, patterns: [''] },
+  },
+  personalizedRecommendations: {
+    immediate: [{ category: '', action: '', impact: 'Alto|Médio|Baixo', reasoning: '' }],
+    longTerm: [{ category: '', goal: '', strategy: '', timeline: '' }],
+  },
+  populationComparison: { percentile: null, similarProfiles: null },
+}
+
+export const REPORT_SECTIONS = {
+  comprehensive: [
+    'cognitiveProfile',
+    'behavioralInsights',
+    'personalizedRecommendations',
+    'populationComparison',
+  ],
+  cognitive: ['cognitiveProfile', 'personalizedRecommendations'],
+  behavioral: ['behavioralInsights', 'personalizedRecommendations'],
+  comparison: ['cognitiveProfile', 'populationComparison'],
+}
+
+const sectionsOf = (reportType) => REPORT_SECTIONS[reportType] || REPORT_SECTIONS.comprehensive
+
+/**
+ * Schema zod do relatório
+ * @param {string} reportType - Tipo de relatório; tipos desconhecidos usam o abrangente
+ * @returns {import('zod').ZodObject}
+ */
+export const getReportSchema = (reportType) =>
+  z.object(Object.fromEntries(sectionsOf(reportType).map((name) => [name, SECTION_SCHEMAS[name]])))
+
+/**
+ * Instruções de formato para o prompt, derivadas das seções do schema
+ * @param {string} reportType
+ * @returns {string}
+ */
+export const describeReportSchema = (reportType) => {
+  const example = Object.fromEntries(
+    sectionsOf(reportType).map((name) => [name, SECTION_EXAMPLES[name]])
+  )
+
+  return `Responda APENAS com um objeto JSON, sem texto fora dele, com esta estrutura:
+${JSON.stringify(example, null, 2)}
+
+Regras:
+- Pontuações vão de 0 a 100 e devem vir das métricas informadas nos dados da sessão.
+- Quando os dados não sustentarem um número, use null; não estime valores.
+- Não há base populacional nos dados: percentile e similarProfiles devem ser null.
+- Não cite números nos textos que não estejam nos dados da sessão.`
+}
+
+/**
+ * Valida a resposta já convertida de JSON
+ * @param {Object} content - Objeto lido da resposta do provedor
+ * @param {string} reportType
+ * @returns {{success: boolean, data?: Object, issues?: string[]}}
+ */
+export const validateReportContent = (content, reportType) => {
+  const result = getReportSchema(reportType).safeParse(content)
+  if (result.success) return { success: true, data: result.data }
+
+  return {
+    success: false,
+    issues: result.error.issues.map(
+      (issue) => `${issue.path.join('.') || '(raiz)'}: ${issue.message}`
+    ),
+  }
+}
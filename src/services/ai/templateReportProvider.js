@@ -0,0 +1,224 @@
+/**
+ * @file templateReportProvider.js
+ * @description Provedor "sem LLM" dos relatórios de IA
+ * Monta o relatório a partir de regras fixas sobre as métricas da sessão
+ * (multisensoryMetrics.generateFinalReport). É determinístico, não usa rede e
+ * responde no mesmo formato JSON pedido aos modelos, então passa pelo mesmo
+ * processamento das respostas de LLM. As pontuações são exatamente as medidas
+ * (collectMeasuredMetrics); sem métrica, o campo fica null.
+ */
+
+import { collectMeasuredMetrics } from './reportGuard.js'
+
+// Códigos emitidos pelo coletor multissensorial
+const LABELS = {
+  good_discrimination: 'Boa discriminação visual',
+  strong_comprehension: 'Boa compreensão auditiva',
+  adequate_motor_control: 'Controle motor adequado',
+  good_integration: 'Boa integração multissensorial',
+  good_planning: 'Bom planejamento',
+  strong_working_memory: 'Memória de trabalho forte',
+  variable_attention: 'Atenção variável',
+  adequate_speed: 'Velocidade adequada',
+  high_initial_engagement: 'Alto engajamento no início da sessão',
+  moderate_tolerance: 'Tolerância moderada à frustração',
+  intrinsically_motivated: 'Motivação intrínseca',
+  visual_preference: 'Preferência por estímulos visuais',
+  visual_processing: 'Processamento visual',
+  auditory_processing: 'Processamento auditivo',
+  memory: 'Memória',
+  attention_span: 'Tempo de atenção',
+  attention_training: 'Treino de atenção com tarefas curtas e graduais',
+  extended_time: 'Tempo estendido para responder',
+  increase_visual_cues: 'Aumentar as pistas visuais',
+  sustained_attention_duration: 'Duração da atenção sustentada',
+  visual: 'Visual',
+  auditory: 'Auditiva',
+  tactile: 'Tátil',
+}
+
+const DIFFICULTY_LABELS = { easy: 'fácil', medium: 'média', hard: 'difícil' }
+
+const label = (code) =>
+  LABELS[code] ||
+  String(code)
+    .replace(/_/g, ' ')
+    .replace(/^./, (char) => char.toUpperCase())
+
+const toList = (value) => (Array.isArray(value) ? value : [])
+
+const attentionType = (score) => {
+  if (score === null) return 'Não determinado'
+  if (score >= 75) return 'Atenção sustentada consistente'
+  if (score >= 55) return 'Atenção variável'
+  return 'Atenção com oscilações frequentes'
+}
+
+/**
+ * Gera o relatório no formato esperado pelo AIReportsTab
+ * @param {Object} sessionData - Relatório final do coletor multissensorial
+ * @param {string} [reportType='comprehensive']
+ * @returns {Object} Relatório (cognitiveProfile, behavioralInsights, personalizedRecommendations, populationComparison)
+ */
+export const buildTemplateReport = (sessionData = {}, reportType = 'comprehensive') => {
+  const cognitive = sessionData.cognitiveProfileAnalysis || {}
+  const behavioral = sessionData.behavioralProfileAnalysis || {}
+  const adaptive = sessionData.adaptiveInsights || {}
+  const therapeutic = sessionData.therapeuticRecommendations || {}
+
+  const measured = collectMeasuredMetrics(sessionData)
+  const score = (path) => (Number.isFinite(measured[path]) ? Math.round(measured[path]) : null)
+
+  const attention = score('cognitiveProfile.attentionProfile.sustainedAttention')
+  const visual = score('cognitiveProfile.processingSpeed.visual')
+  const auditory = score('cognitiveProfile.processingSpeed.auditory')
+  const motor = score('cognitiveProfile.processingSpeed.motor')
+  const frustration = score('behavioralInsights.frustrationTolerance.score')
+
+  const domains = [
+    cognitive.executiveFunction,
+    cognitive.memoryPerformance,
+    cognitive.attentionPatterns,
+    cognitive.processingSpeed,
+  ]
+  const patternsWhere = (predicate) =>
+    domains
+      .filter((metric) => Number.isFinite(metric?.score) && predicate(metric.score))
+      .flatMap((metric) => toList(metric.patterns))
+
+  const strengths = [
+    ...toList(therapeutic.strengthsToLeverage),
+    ...patternsWhere((score) => score >= 75),
+  ]
+  const challenges = [
+    ...toList(therapeutic.areasForDevelopment),
+    ...patternsWhere((score) => score < 60),
+  ]
+
+  const modalities = toList(adaptive.preferredModalities).map(label)
+  const difficulty = adaptive.recommendedDifficulty
+
+  return {
+    analysisType: reportType,
+    cognitiveProfile: {
+      executiveFunction: {
+        score: score('cognitiveProfile.executiveFunction.score'),
+        strengths: [...new Set(strengths.map(label))],
+        challenges: [...new Set(challenges.map(label))],
+        recommendations: [
+          ...toList(therapeutic.interventionSuggestions),
+          ...toList(adaptive.accommodationNeeds),
+        ].map(label),
+      },
+      // Atenção seletiva e dividida são aproximadas combinando a atenção com o
+      // processamento visual e com a integração multissensorial, respectivamente
+      attentionProfile: {
+        type: attentionType(attention),
+        sustainedAttention: attention,
+        selectiveAttention: score('cognitiveProfile.attentionProfile.selectiveAttention'),
+        dividedAttention: score('cognitiveProfile.attentionProfile.dividedAttention'),
+        patterns: toList(cognitive.attentionPatterns?.patterns).map(label),
+      },
+      processingSpeed: {
+        overall: score('cognitiveProfile.processingSpeed.overall'),
+        visual,
+        auditory,
+        motor,
+        insights: [
+          visual !== null &&
+            auditory !== null &&
+            visual >= auditory + 10 &&
+            'Processamento visual mais rápido que o auditivo',
+          visual !== null &&
+            auditory !== null &&
+            auditory >= visual + 10 &&
+            'Processamento auditivo mais rápido que o visual',
+          motor !== null && motor < 60 && 'Respostas motoras podem se beneficiar de alvos maiores',
+          ...toList(cognitive.processingSpeed?.patterns).map(label),
+        ].filter(Boolean),
+      },
+    },
+    behavioralInsights: {
+      engagementPatterns: {
+        score: score('behavioralInsights.engagementPatterns.score'),
+        patterns: toList(behavioral.engagementPatterns?.patterns).map(label),
+        engagementTriggers: [
+          ...modalities.map((modality) => `Estímulos na modalidade ${modality.toLowerCase()}`),
+          ...toList(behavioral.motivationFactors?.patterns).map(label),
+        ],
+        disengagementSigns:
+          frustration !== null && frustration < 60
+            ? ['Queda de precisão após erros seguidos', 'Aumento do tempo entre respostas']
+            : [],
+      },
+      frustrationTolerance: {
+        score: frustration,
+        patterns: toList(behavioral.frustrationTolerance?.patterns).map(label),
+      },
+      learningPreferences: toList(behavioral.learningPreferences?.patterns).map(label),
+    },
+    personalizedRecommendations: {
+      immediate: [
+        ...toList(adaptive.nextSessionOptimizations).map((code) => ({
+          category: 'Próxima sessão',
+          action: label(code),
+          impact: 'Alto',
+          reasoning: 'Ajuste sugerido pelas métricas da última sessão',
+        })),
+        ...toList(adaptive.accommodationNeeds).map((code) => ({
+          category: 'Acomodação',
+          action: label(code),
+          impact: 'Médio',
+          reasoning: 'Necessidade identificada durante as atividades',
+        })),
+        ...(difficulty
+          ? [
+              {
+                category: 'Dificuldade',
+                action: `Manter as atividades em dificuldade ${DIFFICULTY_LABELS[difficulty] || difficulty}`,
+                impact: 'Médio',
+                reasoning: `Desempenho compatível com o nível ${DIFFICULTY_LABELS[difficulty] || difficulty}`,
+              },
+            ]
+          : []),
+      ],
+      longTerm: toList(therapeutic.areasForDevelopment).map((code, index) => ({
+        category: 'Desenvolvimento',
+        goal: `Fortalecer: ${label(code)}`,
+        strategy: label(
+          toList(therapeutic.interventionSuggestions)[index] || 'Atividades graduais e estruturadas'
+        ),
+        timeline: '2-4 meses',
+      })),
+      progressIndicators: toList(therapeutic.progressIndicators).map(label),
+    },
+    // Não há base populacional no modo offline
+    populationComparison: {
+      percentile: null,
+      similarProfiles: null,
+      note: 'Comparação populacional indisponível sem um modelo de IA configurado',
+    },
+  }
+}
+
+/**
+ * Provedor de templates: sempre configurado e offline
+ * Usa context.sessionData e context.reportType; system e prompt são ignorados.
+ * @returns {Object} Provedor
+ */
+export const createTemplateReportProvider = () => ({
+  name: 'template',
+  kind: 'template',
+  model: 'template-v1',
+
+  isConfigured() {
+    return true
+  },
+
+  async complete({ context = {} } = {}) {
+    return {
+      content: JSON.stringify(buildTemplateReport(context.sessionData, context.reportType)),
+      model: 'template-v1',
+    }
+  },
+})
@@ -2,6 +2,7 @@ import express from 'express'
 import cors from 'cors'
 import pg from 'pg'
 import jwt from 'jsonwebtoken'
+import bcrypt from 'bcrypt'
 import rateLimit from 'express-rate-limit'
 import winston from 'winston'
 import { z } from 'zod'
@@ -9,11 +10,46 @@ import dotenv from 'dotenv'
 import compression from 'compression'
 import helmet from 'helmet'
 import {
-  validateInput,
   sanitizeInputMiddleware,
   userSchema,
   gameSessionSchema,
+  preferencesSchema,
+  profileCreateSchema,
+  profileUpdateSchema,
+  cognitiveProfileSchema,
+  loginSchema,
+  staffUserSchema,
+  careAssignmentSchema,
+  metricsEventsSchema,
+  therapyGoalCreateSchema,
+  therapyGoalUpdateSchema,
+  accessibilitySettingsSchema,
+  accessibilityDecisionSchema,
 } from './validateInput.js'
+import { createVersionedRouter } from './apiRouter.js'
+import { createIdempotencyMiddleware } from './idempotency.js'
+import { buildFhirBundle, FHIR_CONTENT_TYPE } from './fhir/fhirExporter.js'
+import { validateFhirResource } from './fhir/fhirValidator.js'
+import {
+  ROLES,
+  ACCESS,
+  CAREGIVER_ROLES,
+  normalizeRole,
+  buildTokenClaims,
+  canAccessUser,
+  canManageTherapyGoals,
+  requireRoles,
+  requireUserAccess,
+} from './authorization.js'
+import {
+  GOAL_STATUS,
+  applySessionsToGoal,
+  describeGoalCriteria,
+  goalHistoryEntry,
+  validateGoalCriteria,
+} from '../database/goals/goalCriteria.js'
+import { decidePendingChanges } from '../utils/accessibility/needDetection.js'
+import { LiveSessionHub, registerLiveSessionRoutes } from './liveSession.js'
 
 dotenv.config()
 
@@ -132,6 +168,24 @@ const pool = new Pool({
       : false,
 })
 
+const signToken = (claims) =>
+  jwt.sign(claims, env.JWT_SECRET, {
+    expiresIn: env.JWT_EXPIRES_IN,
+    issuer: env.JWT_ISSUER,
+    audience: env.JWT_AUDIENCE,
+  })
+
+// Crianças vinculadas a um responsável ou terapeuta (vínculos revogados são ignorados)
+const loadAssignedChildren = async (caregiverId, role) => {
+  if (!CAREGIVER_ROLES.includes(role)) return []
+
+  const result = await pool.query(
+    'SELECT child_id FROM care_assignments WHERE caregiver_id = $1 AND relationship = $2 AND revoked_at IS NULL',
+    [caregiverId, role]
+  )
+  return result.rows.map((row) => row.child_id)
+}
+
 const authMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization
@@ -161,7 +215,7 @@ const authMiddleware = async (req, res, next) => {
 
     // Verify user still exists in database
     const userResult = await pool.query(
-      'SELECT id, username, is_anonymous, active FROM users WHERE id = $1',
+      'SELECT id, username, is_anonymous, active, role FROM users WHERE id = $1',
       [decoded.id]
     )
 
@@ -183,8 +237,12 @@ const authMiddleware = async (req, res, next) => {
       })
     }
 
+    // O papel e os vínculos do banco prevalecem sobre as claims (revogação imediata)
+    const role = normalizeRole(user.role)
     req.user = {
       ...decoded,
+      role,
+      children: await loadAssignedChildren(user.id, role),
       active: user.active,
     }
 
@@ -261,7 +319,7 @@ app.use(
     legacyHeaders: false,
     skip: (req) => {
       // Skip rate limiting for health checks
-      return req.path === '/api/health'
+      return req.path === '/api/health' || req.path === '/api/v1/health'
     },
   })
 )
@@ -422,263 +480,38 @@ app.use((err, req, res, next) => {
   })
 })
 
-// Endpoints faltantes implementados
-
-// Cognitive Profiles endpoints
-app.get('/api/cognitive-profiles', authMiddleware, async (req, res) => {
-  try {
-    const { user_id } = req.query
-    let query = 'SELECT * FROM cognitive_profiles'
-    const params = []
-
-    if (user_id) {
-      query += ' WHERE user_id = $1'
-      params.push(parseInt(user_id))
-    }
-
-    query += ' ORDER BY last_updated DESC'
-    const result = await pool.query(query, params)
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar perfis cognitivos', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
-
-app.post('/api/cognitive-profiles', authMiddleware, async (req, res) => {
-  try {
-    const {
-      user_id,
-      processing_speed,
-      attention_span,
-      working_memory,
-      pattern_recognition,
-      visual_learner_score,
-      auditory_learner_score,
-      kinesthetic_learner_score,
-    } = req.body
-
-    const result = await pool.query(
-      `INSERT INTO cognitive_profiles 
-       (user_id, processing_speed, attention_span, working_memory, pattern_recognition, visual_learner_score, auditory_learner_score, kinesthetic_learner_score)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING *`,
-      [
-        user_id,
-        processing_speed,
-        attention_span,
-        working_memory,
-        pattern_recognition,
-        visual_learner_score,
-        auditory_learner_score,
-        kinesthetic_learner_score,
-      ]
-    )
-
-    res.status(201).json(result.rows[0])
-  } catch (err) {
-    logger.error('Erro ao criar perfil cognitivo', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
-
-// ML Features endpoint
-app.get('/api/ml-features', authMiddleware, async (req, res) => {
-  try {
-    const { user_id, game_id } = req.query
-    let query = 'SELECT * FROM ml_features'
-    const params = []
-    let whereClause = []
-
-    if (user_id) {
-      whereClause.push(`user_id = $${params.length + 1}`)
-      params.push(parseInt(user_id))
-    }
-
-    if (game_id) {
-      whereClause.push(`game_id = $${params.length + 1}`)
-      params.push(game_id)
-    }
-
-    if (whereClause.length > 0) {
-      query += ' WHERE ' + whereClause.join(' AND ')
-    }
-
-    query += ' ORDER BY calculated_at DESC'
-    const result = await pool.query(query, params)
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar features ML', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
-
-// Neuropedagogical Insights endpoint
-app.get('/api/neuropedagogical-insights', authMiddleware, async (req, res) => {
-  try {
-    const { user_id } = req.query
-    let query = 'SELECT * FROM neuropedagogical_insights'
-    const params = []
-
-    if (user_id) {
-      query += ' WHERE user_id = $1'
-      params.push(parseInt(user_id))
-    }
-
-    query += ' ORDER BY generated_at DESC'
-    const result = await pool.query(query, params)
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar insights neuropedagógicos', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
-
-// Learning Patterns endpoint
-app.get('/api/learning-patterns', authMiddleware, async (req, res) => {
-  try {
-    const { user_id } = req.query
-    let query = 'SELECT * FROM learning_patterns'
-    const params = []
-
-    if (user_id) {
-      query += ' WHERE user_id = $1'
-      params.push(parseInt(user_id))
-    }
-
-    query += ' ORDER BY detected_at DESC'
-    const result = await pool.query(query, params)
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar padrões de aprendizagem', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
-
-// Engagement Metrics endpoint
-app.get('/api/engagement-metrics', authMiddleware, async (req, res) => {
-  try {
-    const { user_id } = req.query
-    let query = 'SELECT * FROM engagement_metrics'
-    const params = []
-
-    if (user_id) {
-      query += ' WHERE user_id = $1'
-      params.push(parseInt(user_id))
-    }
-
-    query += ' ORDER BY calculated_at DESC'
-    const result = await pool.query(query, params)
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar métricas de engajamento', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
-
-// Neuroplasticity Tracking endpoint
-app.get('/api/neuroplasticity-tracking', authMiddleware, async (req, res) => {
-  try {
-    const { user_id } = req.query
-    let query = 'SELECT * FROM neuroplasticity_tracking'
-    const params = []
-
-    if (user_id) {
-      query += ' WHERE user_id = $1'
-      params.push(parseInt(user_id))
-    }
-
-    query += ' ORDER BY calculated_at DESC'
-    const result = await pool.query(query, params)
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar tracking de neuroplasticidade', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
-
-// User Profile management endpoints
-app.put('/api/user/:userId/profiles/:profileId', authMiddleware, async (req, res) => {
-  try {
-    const { userId, profileId } = req.params
-    const { profile_name, preferences } = req.body
-
-    const result = await pool.query(
-      'UPDATE user_profiles SET profile_name = $1, preferences = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 AND user_id = $4 RETURNING *',
-      [profile_name, JSON.stringify(preferences || {}), profileId, userId]
-    )
-
-    if (!result.rows[0]) {
-      return res.status(404).json({ error: 'Perfil não encontrado' })
-    }
-
-    res.json(result.rows[0])
-  } catch (err) {
-    logger.error('Erro ao atualizar perfil', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
-
-app.delete('/api/user/:userId/profiles/:profileId', authMiddleware, async (req, res) => {
-  try {
-    const { userId, profileId } = req.params
-
-    const result = await pool.query(
-      'DELETE FROM user_profiles WHERE id = $1 AND user_id = $2 RETURNING *',
-      [profileId, userId]
-    )
-
-    if (!result.rows[0]) {
-      return res.status(404).json({ error: 'Perfil não encontrado' })
-    }
-
-    res.json({ message: 'Perfil deletado com sucesso' })
-  } catch (err) {
-    logger.error('Erro ao deletar perfil', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
+// Rotas declarativas: a mesma definição valida a requisição e gera o OpenAPI
+const apiRouter = createVersionedRouter({
+  version: 'v1',
+  title: 'Portal Betina API',
+  description: 'API de atividades neuropedagógicas do Portal Betina',
+  appVersion: env.VITE_APP_VERSION,
 })
 
-app.post('/api/user/:userId/profiles/:profileId/activate', authMiddleware, async (req, res) => {
-  try {
-    const { userId, profileId } = req.params
-
-    // Desativar todos os perfis do usuário
-    await pool.query('UPDATE user_profiles SET is_active = false WHERE user_id = $1', [userId])
-
-    // Ativar o perfil específico
-    const result = await pool.query(
-      'UPDATE user_profiles SET is_active = true WHERE id = $1 AND user_id = $2 RETURNING *',
-      [profileId, userId]
-    )
-
-    if (!result.rows[0]) {
-      return res.status(404).json({ error: 'Perfil não encontrado' })
-    }
+const userIdParam = { type: 'integer', required: true, min: 1 }
+const userIdQuery = { type: 'integer', min: 1 }
+const limitQuery = { type: 'integer', min: 1 }
+const timeframeQuery = { type: 'string', enum: ['7d', '30d', '90d', '1y'] }
+const profileParams = {
+  userId: userIdParam,
+  profileId: { type: 'integer', required: true, min: 1 },
+}
 
-    res.json(result.rows[0])
-  } catch (err) {
-    logger.error('Erro ao ativar perfil', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
+// Reenvios da fila offline dos tablets não podem duplicar escritas
+const idempotent = createIdempotencyMiddleware({ pool, logger })
 
-// Note: 404 handler moved to the very end of the file after all route definitions
+// Uma edição feita offline sobre uma versão antiga recebe 409 com a versão atual
+const isStaleEdit = (baseUpdatedAt, currentUpdatedAt) =>
+  Boolean(baseUpdatedAt && currentUpdatedAt) &&
+  new Date(currentUpdatedAt).getTime() > new Date(baseUpdatedAt).getTime()
 
-const preferencesSchema = z.object({
-  preferences: z
-    .object({
-      theme: z.enum(['light', 'dark']).optional(),
-      notifications: z
-        .object({
-          enabled: z.boolean(),
-          frequency: z.enum(['daily', 'weekly']).optional(),
-        })
-        .optional(),
-      language: z.string().optional(),
-    })
-    .optional(),
-})
+const editConflict = (req, res, current) =>
+  res.status(409).json({
+    error: 'O registro foi alterado em outro dispositivo',
+    code: 'EDIT_CONFLICT',
+    current,
+    requestId: req.requestId,
+  })
 
 const createDefaultProfile = async (userId) => {
   try {
@@ -696,156 +529,215 @@ let healthCheckCache = null
 let healthCheckCacheTime = 0
 const HEALTH_CHECK_CACHE_TTL = 30000 // 30 seconds
 
-app.get('/api/health', async (req, res) => {
-  try {
-    const now = Date.now()
-
-    // Return cached response if still valid
-    if (healthCheckCache && now - healthCheckCacheTime < HEALTH_CHECK_CACHE_TTL) {
-      return res.json({
-        ...healthCheckCache,
-        cached: true,
-        cacheAge: Math.floor((now - healthCheckCacheTime) / 1000),
-      })
-    }
+apiRouter.get('/health', {
+  summary: 'Verifica a saúde da API e do banco de dados',
+  tags: ['Sistema'],
+  responses: { 200: 'API saudável', 503: 'Banco de dados indisponível' },
+  handler: async (req, res) => {
+    try {
+      const now = Date.now()
+
+      // Return cached response if still valid
+      if (healthCheckCache && now - healthCheckCacheTime < HEALTH_CHECK_CACHE_TTL) {
+        return res.json({
+          ...healthCheckCache,
+          cached: true,
+          cacheAge: Math.floor((now - healthCheckCacheTime) / 1000),
+        })
+      }
 
-    const start = Date.now()
-    const dbResult = await pool.query('SELECT NOW(), version() as db_version')
-    const dbLatency = Date.now() - start
+      const start = Date.now()
+      const dbResult = await pool.query('SELECT NOW(), version() as db_version')
+      const dbLatency = Date.now() - start
 
-    const poolInfo = {
-      totalConnections: pool.totalCount,
-      idleConnections: pool.idleCount,
-      waitingClients: pool.waitingCount,
-    }
+      const poolInfo = {
+        totalConnections: pool.totalCount,
+        idleConnections: pool.idleCount,
+        waitingClients: pool.waitingCount,
+      }
 
-    const memoryUsage = process.memoryUsage()
-    const cpuUsage = process.cpuUsage()
-
-    const healthData = {
-      status: 'healthy',
-      timestamp: dbResult.rows[0].now,
-      environment: env.NODE_ENV,
-      version: env.VITE_APP_VERSION,
-      uptime: Math.floor(process.uptime()),
-      database: {
-        connected: true,
-        latency: `${dbLatency}ms`,
-        version: dbResult.rows[0].db_version,
-        pool: poolInfo,
-      },
-      memory: {
-        rss: Math.round(memoryUsage.rss / 1024 / 1024) + 'MB',
-        heapTotal: Math.round(memoryUsage.heapTotal / 1024 / 1024) + 'MB',
-        heapUsed: Math.round(memoryUsage.heapUsed / 1024 / 1024) + 'MB',
-        external: Math.round(memoryUsage.external / 1024 / 1024) + 'MB',
-      },
-      cpu: {
-        user: cpuUsage.user,
-        system: cpuUsage.system,
-      },
-      features: {
-        compression: env.ENABLE_COMPRESSION,
-        cache: env.ENABLE_CACHE,
-        metrics: env.ENABLE_METRICS,
-        security: env.SECURITY_HEADERS_ENABLED,
-        helmet: env.HELMET_ENABLED,
-      },
-    }
+      const memoryUsage = process.memoryUsage()
+      const cpuUsage = process.cpuUsage()
+
+      const healthData = {
+        status: 'healthy',
+        timestamp: dbResult.rows[0].now,
+        environment: env.NODE_ENV,
+        version: env.VITE_APP_VERSION,
+        uptime: Math.floor(process.uptime()),
+        database: {
+          connected: true,
+          latency: `${dbLatency}ms`,
+          version: dbResult.rows[0].db_version,
+          pool: poolInfo,
+        },
+        memory: {
+          rss: Math.round(memoryUsage.rss / 1024 / 1024) + 'MB',
+          heapTotal: Math.round(memoryUsage.heapTotal / 1024 / 1024) + 'MB',
+          heapUsed: Math.round(memoryUsage.heapUsed / 1024 / 1024) + 'MB',
+          external: Math.round(memoryUsage.external / 1024 / 1024) + 'MB',
+        },
+        cpu: {
+          user: cpuUsage.user,
+          system: cpuUsage.system,
+        },
+        features: {
+          compression: env.ENABLE_COMPRESSION,
+          cache: env.ENABLE_CACHE,
+          metrics: env.ENABLE_METRICS,
+          security: env.SECURITY_HEADERS_ENABLED,
+          helmet: env.HELMET_ENABLED,
+        },
+      }
 
-    // Cache the response
-    healthCheckCache = healthData
-    healthCheckCacheTime = now
+      // Cache the response
+      healthCheckCache = healthData
+      healthCheckCacheTime = now
 
-    res.json(healthData)
-  } catch (err) {
-    logger.error('Erro no health check', { error: err.message })
-    res.status(503).json({
-      status: 'unhealthy',
-      timestamp: new Date().toISOString(),
-      environment: env.NODE_ENV,
-      error: 'Erro ao conectar com o banco de dados',
-      database: {
-        connected: false,
-        error: err.message,
-      },
-    })
-  }
+      res.json(healthData)
+    } catch (err) {
+      logger.error('Erro no health check', { error: err.message })
+      res.status(503).json({
+        status: 'unhealthy',
+        timestamp: new Date().toISOString(),
+        environment: env.NODE_ENV,
+        error: 'Erro ao conectar com o banco de dados',
+        database: {
+          connected: false,
+          error: err.message,
+        },
+      })
+    }
+  },
 })
 
-app.post('/api/auth/anonymous', async (req, res) => {
-  try {
-    const timestamp = Date.now()
-    const randomSuffix = Math.random().toString(36).substr(2, 8)
-    const username = `anonimo_${timestamp}_${randomSuffix}`
-    const displayName = `Usuário Anônimo ${randomSuffix.toUpperCase()}`
-
-    const newUser = await pool.query(
-      'INSERT INTO users (username, display_name, is_anonymous, active) VALUES ($1, $2, $3, $4) RETURNING *',
-      [username, displayName, true, true]
-    )
+apiRouter.post('/auth/anonymous', {
+  summary: 'Cria um usuário anônimo e retorna um token JWT',
+  tags: ['Autenticação'],
+  handler: async (req, res) => {
+    try {
+      const timestamp = Date.now()
+      const randomSuffix = Math.random().toString(36).substr(2, 8)
+      const username = `anonimo_${timestamp}_${randomSuffix}`
+      const displayName = `Usuário Anônimo ${randomSuffix.toUpperCase()}`
+
+      const newUser = await pool.query(
+        'INSERT INTO users (username, display_name, is_anonymous, active) VALUES ($1, $2, $3, $4) RETURNING *',
+        [username, displayName, true, true]
+      )
+
+      const user = newUser.rows[0]
+      await createDefaultProfile(user.id)
+
+      const token = signToken({
+        ...buildTokenClaims(user),
+        iat: Math.floor(timestamp / 1000),
+      })
 
-    const user = newUser.rows[0]
-    await createDefaultProfile(user.id)
+      logger.info('Usuário anônimo criado com sucesso', {
+        userId: user.id,
+        username: user.username,
+        requestId: req.requestId,
+      })
 
-    const tokenPayload = {
-      id: user.id,
-      username: user.username,
-      isAnonymous: true,
-      iat: Math.floor(timestamp / 1000),
+      res.status(201).json({
+        success: true,
+        user: {
+          id: user.id,
+          username: user.username,
+          displayName: user.display_name,
+          isAnonymous: user.is_anonymous,
+          role: normalizeRole(user.role),
+          active: user.active,
+          createdAt: user.created_at,
+        },
+        token,
+        tokenExpiry: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24h default
+      })
+    } catch (err) {
+      logger.error('Erro ao criar usuário anônimo', {
+        error: err.message,
+        stack: err.stack,
+        requestId: req.requestId,
+      })
+      res.status(500).json({
+        error: 'Erro interno no servidor',
+        code: 'USER_CREATION_FAILED',
+        requestId: req.requestId,
+      })
     }
+  },
+})
 
-    const token = jwt.sign(tokenPayload, env.JWT_SECRET, {
-      expiresIn: env.JWT_EXPIRES_IN,
-      issuer: env.JWT_ISSUER,
-      audience: env.JWT_AUDIENCE,
-    })
+apiRouter.post('/auth/login', {
+  summary: 'Autentica responsáveis, terapeutas e administradores',
+  tags: ['Autenticação'],
+  body: loginSchema,
+  responses: { 200: 'Token emitido com o papel do usuário', 401: 'Credenciais inválidas' },
+  handler: async (req, res) => {
+    try {
+      const { username, password } = req.body
+      const result = await pool.query(
+        'SELECT * FROM users WHERE username = $1 AND password_hash IS NOT NULL',
+        [username]
+      )
+      const user = result.rows[0]
+      const passwordMatches = user ? await bcrypt.compare(password, user.password_hash) : false
+
+      if (!passwordMatches || !user.active) {
+        logger.warn('Tentativa de login recusada', { username, requestId: req.requestId })
+        return res.status(401).json({
+          error: 'Usuário ou senha inválidos',
+          code: 'INVALID_CREDENTIALS',
+          requestId: req.requestId,
+        })
+      }
 
-    logger.info('Usuário anônimo criado com sucesso', {
-      userId: user.id,
-      username: user.username,
-      requestId: req.requestId,
-    })
+      const role = normalizeRole(user.role)
+      const children = await loadAssignedChildren(user.id, role)
+      const token = signToken(buildTokenClaims(user, children))
 
-    res.status(201).json({
-      success: true,
-      user: {
-        id: user.id,
-        username: user.username,
-        displayName: user.display_name,
-        isAnonymous: user.is_anonymous,
-        active: user.active,
-        createdAt: user.created_at,
-      },
-      token,
-      tokenExpiry: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24h default
-    })
-  } catch (err) {
-    logger.error('Erro ao criar usuário anônimo', {
-      error: err.message,
-      stack: err.stack,
-      requestId: req.requestId,
-    })
-    res.status(500).json({
-      error: 'Erro interno no servidor',
-      code: 'USER_CREATION_FAILED',
-      requestId: req.requestId,
-    })
-  }
+      logger.info('Login realizado com sucesso', {
+        userId: user.id,
+        role,
+        requestId: req.requestId,
+      })
+
+      res.json({
+        success: true,
+        user: {
+          id: user.id,
+          username: user.username,
+          displayName: user.display_name,
+          isAnonymous: false,
+          role,
+          children,
+        },
+        token,
+      })
+    } catch (err) {
+      logger.error('Erro ao autenticar usuário', { error: err.message, requestId: req.requestId })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
 })
 
 // Metrics endpoint (protected, only if metrics enabled)
-app.get('/api/metrics', async (req, res) => {
-  if (!env.ENABLE_METRICS) {
-    return res.status(404).json({
-      error: 'Endpoint de métricas não habilitado',
-      code: 'METRICS_DISABLED',
-    })
-  }
+apiRouter.get('/metrics', {
+  summary: 'Métricas operacionais (requer ENABLE_METRICS)',
+  tags: ['Sistema'],
+  responses: { 200: 'Métricas coletadas', 404: 'Métricas desabilitadas' },
+  handler: async (req, res) => {
+    if (!env.ENABLE_METRICS) {
+      return res.status(404).json({
+        error: 'Endpoint de métricas não habilitado',
+        code: 'METRICS_DISABLED',
+      })
+    }
 
-  try {
-    const [userStats, sessionStats, systemStats] = await Promise.all([
-      pool.query(`
+    try {
+      const [userStats, sessionStats, systemStats] = await Promise.all([
+        pool.query(`
         SELECT 
           COUNT(*) as total_users,
           COUNT(*) FILTER (WHERE is_anonymous = true) as anonymous_users,
@@ -854,7 +746,7 @@ app.get('/api/metrics', async (req, res) => {
           COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '24 hours') as users_last_24h
         FROM users
       `),
-      pool.query(`
+        pool.query(`
         SELECT 
           COUNT(*) as total_sessions,
           COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '24 hours') as sessions_last_24h,
@@ -864,7 +756,7 @@ app.get('/api/metrics', async (req, res) => {
           AVG(time_spent) as avg_time_spent
         FROM game_sessions
       `),
-      pool.query(`
+        pool.query(`
         SELECT 
           schemaname,
           tablename,
@@ -876,112 +768,141 @@ app.get('/api/metrics', async (req, res) => {
         FROM pg_stat_user_tables 
         ORDER BY n_live_tup DESC
       `),
-    ])
+      ])
 
-    const metrics = {
-      timestamp: new Date().toISOString(),
-      users: userStats.rows[0],
-      sessions: sessionStats.rows[0],
-      database: {
-        pool: {
-          total: pool.totalCount,
-          idle: pool.idleCount,
-          waiting: pool.waitingCount,
+      const metrics = {
+        timestamp: new Date().toISOString(),
+        users: userStats.rows[0],
+        sessions: sessionStats.rows[0],
+        database: {
+          pool: {
+            total: pool.totalCount,
+            idle: pool.idleCount,
+            waiting: pool.waitingCount,
+          },
+          tables: systemStats.rows,
         },
-        tables: systemStats.rows,
-      },
-      system: {
-        uptime: process.uptime(),
-        memory: process.memoryUsage(),
-        cpu: process.cpuUsage(),
-        version: process.version,
-        platform: process.platform,
-      },
-    }
+        system: {
+          uptime: process.uptime(),
+          memory: process.memoryUsage(),
+          cpu: process.cpuUsage(),
+          version: process.version,
+          platform: process.platform,
+        },
+      }
 
-    res.json(metrics)
-  } catch (err) {
-    logger.error('Erro ao buscar métricas', { error: err.message })
-    res.status(500).json({
-      error: 'Erro ao coletar métricas',
-      code: 'METRICS_ERROR',
-    })
-  }
+      res.json(metrics)
+    } catch (err) {
+      logger.error('Erro ao buscar métricas', { error: err.message })
+      res.status(500).json({
+        error: 'Erro ao coletar métricas',
+        code: 'METRICS_ERROR',
+      })
+    }
+  },
 })
 
-app.get('/api/auth/verify', authMiddleware, async (req, res) => {
-  try {
-    const user = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.id])
-    if (!user.rows[0]) {
-      return res.status(404).json({ error: 'Usuário não encontrado' })
+apiRouter.get('/auth/verify', {
+  summary: 'Valida o token JWT atual',
+  tags: ['Autenticação'],
+  auth: true,
+  handler: async (req, res) => {
+    try {
+      const user = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.id])
+      if (!user.rows[0]) {
+        return res.status(404).json({ error: 'Usuário não encontrado' })
+      }
+      res.json({
+        success: true,
+        user: {
+          id: user.rows[0].id,
+          username: user.rows[0].username,
+          displayName: user.rows[0].display_name,
+          isAnonymous: user.rows[0].is_anonymous,
+          role: req.user.role,
+          children: req.user.children,
+        },
+        tokenValid: true,
+      })
+    } catch (err) {
+      logger.error('Erro ao verificar token', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
     }
-    res.json({
-      success: true,
-      user: {
-        id: user.rows[0].id,
-        username: user.rows[0].username,
-        displayName: user.rows[0].display_name,
-        isAnonymous: user.rows[0].is_anonymous,
-      },
-      tokenValid: true,
-    })
-  } catch (err) {
-    logger.error('Erro ao verificar token', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
+  },
 })
 
-app.get('/api/user/:id', authMiddleware, async (req, res) => {
-  try {
-    const { id } = req.params
-    const isNumeric = /^\d+$/.test(id)
-    const result = isNumeric
-      ? await pool.query('SELECT * FROM users WHERE id = $1', [parseInt(id)])
-      : await pool.query('SELECT * FROM users WHERE username = $1', [id])
-
-    if (!result.rows[0]) {
-      return res.status(404).json({ error: 'Usuário não encontrado' })
+apiRouter.get('/user/:id', {
+  summary: 'Busca um usuário por ID numérico ou username',
+  tags: ['Usuários'],
+  auth: true,
+  params: { id: { type: 'string', required: true, description: 'ID numérico ou username' } },
+  middleware: [requireUserAccess({ key: 'id' })],
+  handler: async (req, res) => {
+    try {
+      const { id } = req.params
+      const isNumeric = /^\d+$/.test(id)
+      const result = isNumeric
+        ? await pool.query('SELECT * FROM users WHERE id = $1', [parseInt(id)])
+        : await pool.query('SELECT * FROM users WHERE username = $1', [id])
+
+      if (!result.rows[0]) {
+        return res.status(404).json({ error: 'Usuário não encontrado' })
+      }
+      res.json(result.rows[0])
+    } catch (err) {
+      logger.error('Erro ao buscar usuário', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
     }
-    res.json(result.rows[0])
-  } catch (err) {
-    logger.error('Erro ao buscar usuário', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
+  },
 })
 
-app.post('/api/user', validateInput(userSchema), async (req, res) => {
-  try {
-    const { username, displayName } = req.body
-    const existingUser = await pool.query('SELECT * FROM users WHERE username = $1', [username])
-    if (existingUser.rows.length > 0) {
-      return res.status(409).json({ error: 'Nome de usuário já está em uso' })
-    }
+apiRouter.post('/user', {
+  summary: 'Cria um usuário registrado',
+  tags: ['Usuários'],
+  body: userSchema,
+  responses: { 201: 'Usuário criado', 409: 'Username já em uso' },
+  handler: async (req, res) => {
+    try {
+      const { username, displayName } = req.body
+      const existingUser = await pool.query('SELECT * FROM users WHERE username = $1', [username])
+      if (existingUser.rows.length > 0) {
+        return res.status(409).json({ error: 'Nome de usuário já está em uso' })
+      }
 
-    const newUser = await pool.query(
-      'INSERT INTO users (username, display_name) VALUES ($1, $2) RETURNING *',
-      [username, displayName || username]
-    )
+      const newUser = await pool.query(
+        'INSERT INTO users (username, display_name) VALUES ($1, $2) RETURNING *',
+        [username, displayName || username]
+      )
 
-    await createDefaultProfile(newUser.rows[0].id)
-    res.status(201).json(newUser.rows[0])
-  } catch (err) {
-    logger.error('Erro ao criar usuário', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
+      await createDefaultProfile(newUser.rows[0].id)
+      res.status(201).json(newUser.rows[0])
+    } catch (err) {
+      logger.error('Erro ao criar usuário', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
 })
 
-app.put(
-  '/api/user/:userId/preferences',
-  authMiddleware,
-  validateInput(preferencesSchema),
-  async (req, res) => {
+apiRouter.put('/user/:userId/preferences', {
+  summary: 'Atualiza as preferências do usuário',
+  tags: ['Usuários'],
+  auth: true,
+  params: { userId: userIdParam },
+  body: preferencesSchema,
+  responses: { 200: 'Preferências atualizadas', 409: 'Conflito com edição mais recente' },
+  middleware: [requireUserAccess({ key: 'userId', access: ACCESS.WRITE }), idempotent],
+  handler: async (req, res) => {
     try {
       const { userId } = req.params
-      const { preferences } = req.body
+      const { preferences, base_updated_at } = req.body
       const user = await pool.query('SELECT * FROM users WHERE id = $1', [userId])
       if (!user.rows[0]) {
         return res.status(404).json({ error: 'Usuário não encontrado' })
       }
+      if (isStaleEdit(base_updated_at, user.rows[0].updated_at)) {
+        const { preferences: current, updated_at } = user.rows[0]
+        return editConflict(req, res, { preferences: current, updated_at })
+      }
 
       const result = await pool.query(
         'UPDATE users SET preferences = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
@@ -995,27 +916,77 @@ app.put(
       logger.error('Erro ao atualizar preferências do usuário', { error: err.message })
       res.status(500).json({ error: 'Erro interno no servidor' })
     }
-  }
-)
+  },
+})
 
-app.post(
-  '/api/game-session',
-  authMiddleware,
-  validateInput(gameSessionSchema),
-  async (req, res) => {
-    try {
-      const {
-        user_id,
-        game_id,
-        difficulty,
-        score,
-        accuracy,
-        time_spent,
-        completed,
-        correct_answers,
-        total_attempts,
-        data,
-      } = req.body
+/**
+ * Registra progresso e domínio das metas ativas do jogo depois de uma sessão salva
+ * Falhas ficam no log: a sessão já foi gravada e a próxima refaz a avaliação.
+ * @param {number} userId
+ * @param {string} gameId
+ */
+const updateTherapyGoalProgress = async (userId, gameId) => {
+  try {
+    const goals = await pool.query(
+      'SELECT * FROM therapy_goals WHERE user_id = $1 AND game_id = $2 AND status = $3 AND deleted_at IS NULL',
+      [userId, gameId, GOAL_STATUS.ACTIVE]
+    )
+    if (!goals.rows.length) return
+
+    const sessions = await pool.query(
+      'SELECT * FROM game_sessions WHERE user_id = $1 AND game_id = $2 ORDER BY created_at',
+      [userId, gameId]
+    )
+    for (const goal of goals.rows) {
+      const updates = applySessionsToGoal(goal, sessions.rows)
+      if (!updates) continue
+
+      await pool.query(
+        `UPDATE therapy_goals SET progress = $1, history = $2, status = $3, mastered_at = $4,
+           updated_at = NOW() WHERE id = $5`,
+        [
+          JSON.stringify(updates.progress),
+          JSON.stringify(updates.history),
+          updates.status || goal.status,
+          updates.mastered_at || goal.mastered_at || null,
+          goal.id,
+        ]
+      )
+      if (updates.status === GOAL_STATUS.MASTERED) {
+        logger.info('Meta terapêutica dominada', { goalId: goal.id, userId })
+      }
+    }
+  } catch (err) {
+    logger.error('Erro ao atualizar o progresso das metas terapêuticas', {
+      error: err.message,
+      userId,
+    })
+  }
+}
+
+apiRouter.post('/game-session', {
+  summary: 'Registra uma sessão de jogo',
+  tags: ['Sessões'],
+  auth: true,
+  body: gameSessionSchema,
+  middleware: [
+    requireUserAccess({ source: 'body', key: 'user_id', access: ACCESS.WRITE }),
+    idempotent,
+  ],
+  handler: async (req, res) => {
+    try {
+      const {
+        user_id,
+        game_id,
+        difficulty,
+        score,
+        accuracy,
+        time_spent,
+        completed,
+        correct_answers,
+        total_attempts,
+        data,
+      } = req.body
       const userId = parseInt(user_id)
       if (isNaN(userId)) {
         return res.status(400).json({ error: 'user_id deve ser um número válido' })
@@ -1045,169 +1016,341 @@ app.post(
         ]
       )
 
+      await updateTherapyGoalProgress(userId, game_id)
+
       res.status(201).json(result.rows[0])
     } catch (err) {
       logger.error('Erro ao salvar sessão de jogo', { error: err.message })
       res.status(500).json({ error: 'Erro interno no servidor' })
     }
-  }
-)
+  },
+})
 
-const validDifficulties = ['EASY', 'MEDIUM', 'HARD']
+const MAX_EVENTS_PER_BATCH = 500
+
+apiRouter.post('/metrics/events', {
+  summary: 'Recebe um lote de eventos de métricas da fila offline',
+  description:
+    'Eventos com event_id já recebido são ignorados, então o mesmo lote pode ser reenviado.',
+  tags: ['Sessões'],
+  auth: true,
+  body: metricsEventsSchema,
+  responses: { 201: 'Eventos registrados' },
+  middleware: [
+    requireUserAccess({ source: 'body', key: 'user_id', access: ACCESS.WRITE }),
+    idempotent,
+  ],
+  handler: async (req, res) => {
+    const { user_id, events } = req.body
 
-app.get('/api/adaptive-parameters/:gameId/:difficulty', authMiddleware, async (req, res) => {
-  try {
-    const { gameId, difficulty } = req.params
-    const normalizedDifficulty = difficulty.toUpperCase()
-    if (!validDifficulties.includes(normalizedDifficulty)) {
-      return res.status(400).json({ error: 'Dificuldade inválida. Use: EASY, MEDIUM ou HARD' })
+    if (events.length === 0 || events.length > MAX_EVENTS_PER_BATCH) {
+      return res.status(400).json({
+        error: `O lote deve ter entre 1 e ${MAX_EVENTS_PER_BATCH} eventos`,
+        requestId: req.requestId,
+      })
     }
-
-    const result = await pool.query(
-      'SELECT * FROM adaptive_ml_parameters WHERE game_id = $1 AND difficulty = $2 AND is_active = true',
-      [gameId, normalizedDifficulty]
+    const invalid = events.find(
+      (event) =>
+        !event ||
+        typeof event.event_id !== 'string' ||
+        typeof event.event_type !== 'string' ||
+        isNaN(Date.parse(event.occurred_at))
     )
-
-    if (!result.rows[0]) {
-      return res.status(404).json({
-        error: 'Parâmetros não encontrados',
-        game_id: gameId,
-        difficulty: normalizedDifficulty,
+    if (invalid) {
+      return res.status(400).json({
+        error: 'Cada evento precisa de event_id, event_type e occurred_at válidos',
+        requestId: req.requestId,
       })
     }
-    res.json(result.rows[0])
-  } catch (err) {
-    logger.error('Erro ao buscar parâmetros adaptativos', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
 
-app.get('/api/user/:id/game-sessions', authMiddleware, async (req, res) => {
-  try {
-    const { id } = req.params
-    const { game_id, limit } = req.query
-    const userId = parseInt(id)
-    if (isNaN(userId)) {
-      return res.status(400).json({ error: 'ID do usuário deve ser um número válido' })
-    }
+    let client
+    try {
+      client = await pool.connect()
+      await client.query('BEGIN')
+      let inserted = 0
+      for (const event of events) {
+        const result = await client.query(
+          `INSERT INTO metric_events (event_id, user_id, session_id, event_type, payload, occurred_at)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (user_id, event_id) DO NOTHING`,
+          [
+            event.event_id,
+            user_id,
+            event.session_id || null,
+            event.event_type,
+            JSON.stringify(event.payload || {}),
+            new Date(event.occurred_at),
+          ]
+        )
+        inserted += result.rowCount
+      }
+      await client.query('COMMIT')
 
-    const user = await pool.query('SELECT * FROM users WHERE id = $1', [userId])
-    if (!user.rows[0]) {
-      return res.status(404).json({ error: 'Usuário não encontrado' })
+      res
+        .status(201)
+        .json({ received: events.length, inserted, duplicates: events.length - inserted })
+    } catch (err) {
+      await client?.query('ROLLBACK').catch(() => {})
+      logger.error('Erro ao registrar eventos de métricas', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    } finally {
+      client?.release()
     }
+  },
+})
 
-    let query = 'SELECT * FROM game_sessions WHERE user_id = $1'
-    let params = [userId]
-    let paramIndex = 2
+const validDifficulties = ['EASY', 'MEDIUM', 'HARD']
 
-    if (game_id) {
-      query += ` AND game_id = $${paramIndex}`
-      params.push(game_id)
-      paramIndex++
-    }
+apiRouter.get('/adaptive-parameters/:gameId/:difficulty', {
+  summary: 'Parâmetros adaptativos de ML por jogo e dificuldade',
+  tags: ['Machine Learning'],
+  auth: true,
+  params: {
+    gameId: { type: 'string', required: true },
+    difficulty: { type: 'string', required: true, description: 'EASY, MEDIUM ou HARD' },
+  },
+  handler: async (req, res) => {
+    try {
+      const { gameId, difficulty } = req.params
+      const normalizedDifficulty = difficulty.toUpperCase()
+      if (!validDifficulties.includes(normalizedDifficulty)) {
+        return res.status(400).json({ error: 'Dificuldade inválida. Use: EASY, MEDIUM ou HARD' })
+      }
 
-    query += ' ORDER BY created_at DESC'
-    if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
-      query += ` LIMIT $${paramIndex}`
-      params.push(parseInt(limit))
-    }
+      const result = await pool.query(
+        'SELECT * FROM adaptive_ml_parameters WHERE game_id = $1 AND difficulty = $2 AND is_active = true',
+        [gameId, normalizedDifficulty]
+      )
 
-    const result = await pool.query(query, params)
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar sessões de jogo do usuário', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
+      if (!result.rows[0]) {
+        return res.status(404).json({
+          error: 'Parâmetros não encontrados',
+          game_id: gameId,
+          difficulty: normalizedDifficulty,
+        })
+      }
+      res.json(result.rows[0])
+    } catch (err) {
+      logger.error('Erro ao buscar parâmetros adaptativos', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
 })
 
-app.get('/api/user/:id/profiles', authMiddleware, async (req, res) => {
-  try {
-    const { id } = req.params
-    const userId = parseInt(id)
-    if (isNaN(userId)) {
-      return res.status(400).json({ error: 'ID do usuário deve ser um número válido' })
-    }
+apiRouter.get('/user/:id/game-sessions', {
+  summary: 'Lista as sessões de jogo de um usuário',
+  tags: ['Sessões'],
+  auth: true,
+  params: { id: userIdParam },
+  query: {
+    game_id: { type: 'string' },
+    limit: limitQuery,
+  },
+  middleware: [requireUserAccess({ key: 'id' })],
+  handler: async (req, res) => {
+    try {
+      const { id } = req.params
+      const { game_id, limit } = req.query
+      const userId = parseInt(id)
+      if (isNaN(userId)) {
+        return res.status(400).json({ error: 'ID do usuário deve ser um número válido' })
+      }
 
-    const user = await pool.query('SELECT * FROM users WHERE id = $1', [userId])
-    if (!user.rows[0]) {
-      return res.status(404).json({ error: 'Usuário não encontrado' })
-    }
+      const user = await pool.query('SELECT * FROM users WHERE id = $1', [userId])
+      if (!user.rows[0]) {
+        return res.status(404).json({ error: 'Usuário não encontrado' })
+      }
 
-    const result = await pool.query(
-      'SELECT * FROM user_profiles WHERE user_id = $1 ORDER BY is_active DESC, created_at DESC',
-      [userId]
-    )
+      let query = 'SELECT * FROM game_sessions WHERE user_id = $1'
+      let params = [userId]
+      let paramIndex = 2
 
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar perfis do usuário', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
+      if (game_id) {
+        query += ` AND game_id = $${paramIndex}`
+        params.push(game_id)
+        paramIndex++
+      }
 
-app.post('/api/user/:id/profiles', authMiddleware, async (req, res) => {
-  try {
-    const { id } = req.params
-    const { profile_name, preferences } = req.body
-    const userId = parseInt(id)
-    if (isNaN(userId)) {
-      return res.status(400).json({ error: 'ID do usuário deve ser um número válido' })
-    }
+      query += ' ORDER BY created_at DESC'
+      if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
+        query += ` LIMIT $${paramIndex}`
+        params.push(parseInt(limit))
+      }
 
-    const user = await pool.query('SELECT * FROM users WHERE id = $1', [userId])
-    if (!user.rows[0]) {
-      return res.status(404).json({ error: 'Usuário não encontrado' })
+      const result = await pool.query(query, params)
+      res.json(result.rows)
+    } catch (err) {
+      logger.error('Erro ao buscar sessões de jogo do usuário', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
     }
+  },
+})
 
-    if (!profile_name?.trim()) {
-      return res.status(400).json({ error: 'Nome do perfil é obrigatório' })
-    }
+apiRouter.get('/user/:id/fhir-bundle', {
+  summary: 'Exporta sessões, perfis cognitivos e relatórios do usuário como Bundle FHIR R4',
+  tags: ['Sessões'],
+  auth: true,
+  params: { id: userIdParam },
+  responses: {
+    200: 'Bundle FHIR R4 (application/fhir+json)',
+    500: 'Bundle gerado não passou na validação do schema FHIR R4',
+  },
+  middleware: [requireUserAccess({ key: 'id' })],
+  handler: async (req, res) => {
+    try {
+      const userId = req.params.id
+      const user = await pool.query('SELECT * FROM users WHERE id = $1', [userId])
+      if (!user.rows[0]) {
+        return res.status(404).json({ error: 'Usuário não encontrado' })
+      }
 
-    const existingProfile = await pool.query(
-      'SELECT * FROM user_profiles WHERE user_id = $1 AND profile_name = $2',
-      [userId, profile_name.trim()]
-    )
+      const [gameSessions, cognitiveProfiles, progressReports] = await Promise.all([
+        pool.query('SELECT * FROM game_sessions WHERE user_id = $1 ORDER BY created_at', [userId]),
+        pool.query('SELECT * FROM cognitive_profiles WHERE user_id = $1 ORDER BY last_updated', [
+          userId,
+        ]),
+        pool.query('SELECT * FROM progress_reports WHERE user_id = $1 ORDER BY created_at', [
+          userId,
+        ]),
+      ])
+
+      const bundle = buildFhirBundle({
+        user: user.rows[0],
+        gameSessions: gameSessions.rows,
+        cognitiveProfiles: cognitiveProfiles.rows,
+        progressReports: progressReports.rows,
+      })
+
+      // Só sai da API o que o schema FHIR R4 aceita
+      const validation = validateFhirResource(bundle)
+      if (!validation.valid) {
+        logger.error('Bundle FHIR inválido', { userId, errors: validation.errors })
+        return res.status(500).json({
+          error: 'Bundle FHIR gerado não passou na validação do schema R4',
+          code: 'FHIR_VALIDATION_FAILED',
+          errors: validation.errors,
+          requestId: req.requestId,
+        })
+      }
 
-    if (existingProfile.rows.length > 0) {
-      return res.status(409).json({ error: 'Já existe um perfil com este nome' })
+      res
+        .type(FHIR_CONTENT_TYPE)
+        .set('Content-Disposition', `attachment; filename="portal-betina-fhir-${userId}.json"`)
+        .send(JSON.stringify(bundle))
+    } catch (err) {
+      logger.error('Erro ao exportar bundle FHIR', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
     }
+  },
+})
 
-    const profileCount = await pool.query('SELECT COUNT(*) FROM user_profiles WHERE user_id = $1', [
-      userId,
-    ])
-    const isFirstProfile = parseInt(profileCount.rows[0].count) === 0
+apiRouter.get('/user/:id/profiles', {
+  summary: 'Lista os perfis de um usuário',
+  tags: ['Perfis'],
+  auth: true,
+  params: { id: userIdParam },
+  middleware: [requireUserAccess({ key: 'id' })],
+  handler: async (req, res) => {
+    try {
+      const { id } = req.params
+      const userId = parseInt(id)
+      if (isNaN(userId)) {
+        return res.status(400).json({ error: 'ID do usuário deve ser um número válido' })
+      }
 
-    const result = await pool.query(
-      `INSERT INTO user_profiles (user_id, profile_name, preferences, is_active)
-       VALUES ($1, $2, $3, $4) RETURNING *`,
-      [userId, profile_name.trim(), JSON.stringify(preferences || {}), isFirstProfile]
-    )
+      const user = await pool.query('SELECT * FROM users WHERE id = $1', [userId])
+      if (!user.rows[0]) {
+        return res.status(404).json({ error: 'Usuário não encontrado' })
+      }
 
-    res.status(201).json(result.rows[0])
-  } catch (err) {
-    logger.error('Erro ao criar perfil do usuário', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
+      const result = await pool.query(
+        'SELECT * FROM user_profiles WHERE user_id = $1 ORDER BY is_active DESC, created_at DESC',
+        [userId]
+      )
+
+      res.json(result.rows)
+    } catch (err) {
+      logger.error('Erro ao buscar perfis do usuário', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
 })
 
-const profileUpdateSchema = z.object({
-  profile_name: z.string().min(1).optional(),
-  profile_icon: z.string().optional(),
-  profile_color: z.string().optional(),
-  age_range: z.string().optional(),
-  preferences: preferencesSchema.shape.preferences.optional(),
-  is_active: z.boolean().optional(),
+apiRouter.post('/user/:id/profiles', {
+  summary: 'Cria um perfil para o usuário',
+  tags: ['Perfis'],
+  auth: true,
+  params: { id: userIdParam },
+  body: profileCreateSchema,
+  responses: { 201: 'Perfil criado', 409: 'Perfil com este nome já existe' },
+  middleware: [requireUserAccess({ key: 'id', access: ACCESS.WRITE })],
+  handler: async (req, res) => {
+    try {
+      const { id } = req.params
+      const { profile_name, preferences } = req.body
+      const userId = parseInt(id)
+      if (isNaN(userId)) {
+        return res.status(400).json({ error: 'ID do usuário deve ser um número válido' })
+      }
+
+      const user = await pool.query('SELECT * FROM users WHERE id = $1', [userId])
+      if (!user.rows[0]) {
+        return res.status(404).json({ error: 'Usuário não encontrado' })
+      }
+
+      if (!profile_name?.trim()) {
+        return res.status(400).json({ error: 'Nome do perfil é obrigatório' })
+      }
+
+      const existingProfile = await pool.query(
+        'SELECT * FROM user_profiles WHERE user_id = $1 AND profile_name = $2',
+        [userId, profile_name.trim()]
+      )
+
+      if (existingProfile.rows.length > 0) {
+        return res.status(409).json({ error: 'Já existe um perfil com este nome' })
+      }
+
+      const profileCount = await pool.query(
+        'SELECT COUNT(*) FROM user_profiles WHERE user_id = $1',
+        [userId]
+      )
+      const isFirstProfile = parseInt(profileCount.rows[0].count) === 0
+
+      const result = await pool.query(
+        `INSERT INTO user_profiles (user_id, profile_name, preferences, is_active)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+        [userId, profile_name.trim(), JSON.stringify(preferences || {}), isFirstProfile]
+      )
+
+      res.status(201).json(result.rows[0])
+    } catch (err) {
+      logger.error('Erro ao criar perfil do usuário', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
 })
 
-app.put(
-  '/api/user/:userId/profiles/:profileId',
-  authMiddleware,
-  validateInput(profileUpdateSchema),
-  async (req, res) => {
+apiRouter.put('/user/:userId/profiles/:profileId', {
+  summary: 'Atualiza um perfil do usuário',
+  tags: ['Perfis'],
+  auth: true,
+  params: profileParams,
+  body: profileUpdateSchema,
+  responses: { 200: 'Perfil atualizado', 409: 'Conflito com edição mais recente' },
+  middleware: [requireUserAccess({ key: 'userId', access: ACCESS.WRITE }), idempotent],
+  handler: async (req, res) => {
     try {
       const { userId, profileId } = req.params
-      const { profile_name, profile_icon, profile_color, age_range, preferences, is_active } =
-        req.body
+      const {
+        profile_name,
+        profile_icon,
+        profile_color,
+        age_range,
+        preferences,
+        is_active,
+        base_updated_at,
+      } = req.body
       const userIdNum = parseInt(userId)
       const profileIdNum = parseInt(profileId)
 
@@ -1223,6 +1366,9 @@ app.put(
       if (!profile.rows[0]) {
         return res.status(404).json({ error: 'Perfil não encontrado' })
       }
+      if (isStaleEdit(base_updated_at, profile.rows[0].updated_at)) {
+        return editConflict(req, res, profile.rows[0])
+      }
 
       let updateFields = []
       let params = []
@@ -1281,144 +1427,157 @@ app.put(
       logger.error('Erro ao atualizar perfil', { error: err.message })
       res.status(500).json({ error: 'Erro interno no servidor' })
     }
-  }
-)
-
-app.delete('/api/user/:userId/profiles/:profileId', authMiddleware, async (req, res) => {
-  try {
-    const { userId, profileId } = req.params
-    const userIdNum = parseInt(userId)
-    const profileIdNum = parseInt(profileId)
-
-    if (isNaN(userIdNum) || isNaN(profileIdNum)) {
-      return res.status(400).json({ error: 'IDs devem ser números válidos' })
-    }
+  },
+})
 
-    const profile = await pool.query('SELECT * FROM user_profiles WHERE id = $1 AND user_id = $2', [
-      profileIdNum,
-      userIdNum,
-    ])
+apiRouter.delete('/user/:userId/profiles/:profileId', {
+  summary: 'Remove um perfil do usuário',
+  tags: ['Perfis'],
+  auth: true,
+  params: profileParams,
+  middleware: [requireUserAccess({ key: 'userId', access: ACCESS.WRITE })],
+  handler: async (req, res) => {
+    try {
+      const { userId, profileId } = req.params
+      const userIdNum = parseInt(userId)
+      const profileIdNum = parseInt(profileId)
 
-    if (!profile.rows[0]) {
-      return res.status(404).json({ error: 'Perfil não encontrado' })
-    }
+      if (isNaN(userIdNum) || isNaN(profileIdNum)) {
+        return res.status(400).json({ error: 'IDs devem ser números válidos' })
+      }
 
-    const profileCount = await pool.query('SELECT COUNT(*) FROM user_profiles WHERE user_id = $1', [
-      userIdNum,
-    ])
-    if (parseInt(profileCount.rows[0].count) <= 1) {
-      return res.status(400).json({ error: 'Não é possível deletar o último perfil' })
-    }
+      const profile = await pool.query(
+        'SELECT * FROM user_profiles WHERE id = $1 AND user_id = $2',
+        [profileIdNum, userIdNum]
+      )
 
-    await pool.query('DELETE FROM user_profiles WHERE id = $1 AND user_id = $2', [
-      profileIdNum,
-      userIdNum,
-    ])
+      if (!profile.rows[0]) {
+        return res.status(404).json({ error: 'Perfil não encontrado' })
+      }
 
-    if (profile.rows[0].is_active) {
-      const nextProfile = await pool.query(
-        'SELECT id FROM user_profiles WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1',
+      const profileCount = await pool.query(
+        'SELECT COUNT(*) FROM user_profiles WHERE user_id = $1',
         [userIdNum]
       )
-      if (nextProfile.rows[0]) {
-        await pool.query('UPDATE user_profiles SET is_active = true WHERE id = $1', [
-          nextProfile.rows[0].id,
-        ])
+      if (parseInt(profileCount.rows[0].count) <= 1) {
+        return res.status(400).json({ error: 'Não é possível deletar o último perfil' })
       }
-    }
 
-    res.json({ message: 'Perfil deletado com sucesso' })
-  } catch (err) {
-    logger.error('Erro ao deletar perfil', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
+      await pool.query('DELETE FROM user_profiles WHERE id = $1 AND user_id = $2', [
+        profileIdNum,
+        userIdNum,
+      ])
+
+      if (profile.rows[0].is_active) {
+        const nextProfile = await pool.query(
+          'SELECT id FROM user_profiles WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1',
+          [userIdNum]
+        )
+        if (nextProfile.rows[0]) {
+          await pool.query('UPDATE user_profiles SET is_active = true WHERE id = $1', [
+            nextProfile.rows[0].id,
+          ])
+        }
+      }
+
+      res.json({ message: 'Perfil deletado com sucesso' })
+    } catch (err) {
+      logger.error('Erro ao deletar perfil', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
 })
 
-app.post('/api/user/:userId/profiles/:profileId/activate', authMiddleware, async (req, res) => {
-  try {
-    const { userId, profileId } = req.params
-    const userIdNum = parseInt(userId)
-    const profileIdNum = parseInt(profileId)
+apiRouter.post('/user/:userId/profiles/:profileId/activate', {
+  summary: 'Ativa um perfil do usuário',
+  tags: ['Perfis'],
+  auth: true,
+  params: profileParams,
+  responses: { 200: 'Perfil ativado' },
+  middleware: [requireUserAccess({ key: 'userId', access: ACCESS.WRITE })],
+  handler: async (req, res) => {
+    try {
+      const { userId, profileId } = req.params
+      const userIdNum = parseInt(userId)
+      const profileIdNum = parseInt(profileId)
 
-    if (isNaN(userIdNum) || isNaN(profileIdNum)) {
-      return res.status(400).json({ error: 'IDs devem ser números válidos' })
-    }
+      if (isNaN(userIdNum) || isNaN(profileIdNum)) {
+        return res.status(400).json({ error: 'IDs devem ser números válidos' })
+      }
 
-    const profile = await pool.query('SELECT * FROM user_profiles WHERE id = $1 AND user_id = $2', [
-      profileIdNum,
-      userIdNum,
-    ])
+      const profile = await pool.query(
+        'SELECT * FROM user_profiles WHERE id = $1 AND user_id = $2',
+        [profileIdNum, userIdNum]
+      )
 
-    if (!profile.rows[0]) {
-      return res.status(404).json({ error: 'Perfil não encontrado' })
-    }
+      if (!profile.rows[0]) {
+        return res.status(404).json({ error: 'Perfil não encontrado' })
+      }
 
-    await pool.query('UPDATE user_profiles SET is_active = false WHERE user_id = $1', [userIdNum])
-    const result = await pool.query(
-      'UPDATE user_profiles SET is_active = true, updated_at = NOW() WHERE id = $1 AND user_id = $2 RETURNING *',
-      [profileIdNum, userIdNum]
-    )
+      await pool.query('UPDATE user_profiles SET is_active = false WHERE user_id = $1', [userIdNum])
+      const result = await pool.query(
+        'UPDATE user_profiles SET is_active = true, updated_at = NOW() WHERE id = $1 AND user_id = $2 RETURNING *',
+        [profileIdNum, userIdNum]
+      )
 
-    res.json(result.rows[0])
-  } catch (err) {
-    logger.error('Erro ao ativar perfil', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
+      res.json(result.rows[0])
+    } catch (err) {
+      logger.error('Erro ao ativar perfil', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
 })
 
-app.get('/api/cognitive-profiles', authMiddleware, async (req, res) => {
-  try {
-    const { user_id, game_id, limit } = req.query
-    let query = 'SELECT * FROM cognitive_profiles WHERE 1=1'
-    let params = []
-    let paramIndex = 1
-
-    if (user_id) {
-      query += ` AND user_id = $${paramIndex}`
-      params.push(parseInt(user_id))
-      paramIndex++
-    }
-    if (game_id) {
-      query += ` AND game_id = $${paramIndex}`
-      params.push(game_id)
-      paramIndex++
-    }
+apiRouter.get('/cognitive-profiles', {
+  summary: 'Lista perfis cognitivos',
+  tags: ['Perfis cognitivos'],
+  auth: true,
+  query: {
+    user_id: userIdQuery,
+    game_id: { type: 'string' },
+    limit: limitQuery,
+  },
+  middleware: [requireUserAccess({ source: 'query', key: 'user_id' })],
+  handler: async (req, res) => {
+    try {
+      const { user_id, game_id, limit } = req.query
+      let query = 'SELECT * FROM cognitive_profiles WHERE 1=1'
+      let params = []
+      let paramIndex = 1
 
-    query += ' ORDER BY last_updated DESC'
-    if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
-      query += ` LIMIT $${paramIndex}`
-      params.push(parseInt(limit))
-    }
+      if (user_id) {
+        query += ` AND user_id = $${paramIndex}`
+        params.push(parseInt(user_id))
+        paramIndex++
+      }
+      if (game_id) {
+        query += ` AND game_id = $${paramIndex}`
+        params.push(game_id)
+        paramIndex++
+      }
 
-    const result = await pool.query(query, params)
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar perfis cognitivos', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
+      query += ' ORDER BY last_updated DESC'
+      if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
+        query += ` LIMIT $${paramIndex}`
+        params.push(parseInt(limit))
+      }
 
-const cognitiveProfileSchema = z.object({
-  user_id: z.number(),
-  processing_speed: z.number().optional(),
-  attention_span: z.number().optional(),
-  working_memory: z.number().optional(),
-  pattern_recognition: z.number().optional(),
-  visual_learner_score: z.number().optional(),
-  auditory_learner_score: z.number().optional(),
-  kinesthetic_learner_score: z.number().optional(),
-  memory_preference: z.enum(['WEAK', 'MEDIUM', 'STRONG']).optional(),
-  logic_preference: z.enum(['WEAK', 'MEDIUM', 'STRONG']).optional(),
-  creativity_preference: z.enum(['WEAK', 'MEDIUM', 'STRONG']).optional(),
-  numbers_preference: z.enum(['WEAK', 'MEDIUM', 'STRONG']).optional(),
-  colors_preference: z.enum(['WEAK', 'MEDIUM', 'STRONG']).optional(),
+      const result = await pool.query(query, params)
+      res.json(result.rows)
+    } catch (err) {
+      logger.error('Erro ao buscar perfis cognitivos', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
 })
 
-app.post(
-  '/api/cognitive-profiles',
-  authMiddleware,
-  validateInput(cognitiveProfileSchema),
-  async (req, res) => {
+apiRouter.post('/cognitive-profiles', {
+  summary: 'Cria ou atualiza o perfil cognitivo de um usuário',
+  tags: ['Perfis cognitivos'],
+  auth: true,
+  body: cognitiveProfileSchema,
+  middleware: [requireUserAccess({ source: 'body', key: 'user_id', access: ACCESS.WRITE })],
+  handler: async (req, res) => {
     try {
       const {
         user_id,
@@ -1479,45 +1638,66 @@ app.post(
       logger.error('Erro ao criar perfil cognitivo', { error: err.message })
       res.status(500).json({ error: 'Erro interno no servidor' })
     }
-  }
-)
+  },
+})
 
-app.get('/api/ml-features', authMiddleware, async (req, res) => {
-  try {
-    const { user_id, session_id, limit } = req.query
-    let query = 'SELECT * FROM ml_features WHERE 1=1'
-    let params = []
-    let paramIndex = 1
-
-    if (user_id) {
-      query += ` AND user_id = $${paramIndex}`
-      params.push(parseInt(user_id))
-      paramIndex++
-    }
-    if (session_id) {
-      query += ` AND session_id = $${paramIndex}`
-      params.push(parseInt(session_id))
-      paramIndex++
-    }
+apiRouter.get('/ml-features', {
+  summary: 'Lista features extraídas para machine learning',
+  tags: ['Machine Learning'],
+  auth: true,
+  query: {
+    user_id: userIdQuery,
+    session_id: { type: 'integer', min: 1 },
+    limit: limitQuery,
+  },
+  middleware: [requireUserAccess({ source: 'query', key: 'user_id' })],
+  handler: async (req, res) => {
+    try {
+      const { user_id, session_id, limit } = req.query
+      let query = 'SELECT * FROM ml_features WHERE 1=1'
+      let params = []
+      let paramIndex = 1
 
-    query += ' ORDER BY extracted_at DESC'
-    if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
-      query += ` LIMIT $${paramIndex}`
-      params.push(parseInt(limit))
-    }
+      if (user_id) {
+        query += ` AND user_id = $${paramIndex}`
+        params.push(parseInt(user_id))
+        paramIndex++
+      }
+      if (session_id) {
+        query += ` AND session_id = $${paramIndex}`
+        params.push(parseInt(session_id))
+        paramIndex++
+      }
 
-    const result = await pool.query(query, params)
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar features de ML', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
+      query += ' ORDER BY extracted_at DESC'
+      if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
+        query += ` LIMIT $${paramIndex}`
+        params.push(parseInt(limit))
+      }
 
-app.get('/api/neuropedagogical-insights', authMiddleware, async (req, res) => {
-  try {
-    const { user_id, timeframe, limit } = req.query
-    let query = `
+      const result = await pool.query(query, params)
+      res.json(result.rows)
+    } catch (err) {
+      logger.error('Erro ao buscar features de ML', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
+})
+
+apiRouter.get('/neuropedagogical-insights', {
+  summary: 'Insights neuropedagógicos agregados por usuário',
+  tags: ['Análises'],
+  auth: true,
+  query: {
+    user_id: userIdQuery,
+    timeframe: timeframeQuery,
+    limit: limitQuery,
+  },
+  middleware: [requireUserAccess({ source: 'query', key: 'user_id' })],
+  handler: async (req, res) => {
+    try {
+      const { user_id, timeframe, limit } = req.query
+      let query = `
       SELECT 
         gs.user_id,
         COUNT(gs.id) as total_sessions,
@@ -1536,169 +1716,210 @@ app.get('/api/neuropedagogical-insights', authMiddleware, async (req, res) => {
       LEFT JOIN cognitive_profiles cp ON gs.user_id = cp.user_id
       WHERE 1=1
     `
-    let params = []
-    let paramIndex = 1
+      let params = []
+      let paramIndex = 1
 
-    if (user_id) {
-      query += ` AND gs.user_id = $${paramIndex}`
-      params.push(parseInt(user_id))
-      paramIndex++
-    }
+      if (user_id) {
+        query += ` AND gs.user_id = $${paramIndex}`
+        params.push(parseInt(user_id))
+        paramIndex++
+      }
 
-    if (timeframe) {
-      const timeInterval =
-        {
-          '7d': '7 days',
-          '30d': '30 days',
-          '90d': '90 days',
-          '1y': '1 year',
-        }[timeframe] || '30 days'
-      query += ` AND gs.created_at >= NOW() - INTERVAL '${timeInterval}'`
-    }
+      if (timeframe) {
+        const timeInterval =
+          {
+            '7d': '7 days',
+            '30d': '30 days',
+            '90d': '90 days',
+            '1y': '1 year',
+          }[timeframe] || '30 days'
+        query += ` AND gs.created_at >= NOW() - INTERVAL '${timeInterval}'`
+      }
 
-    query += ' GROUP BY gs.user_id ORDER BY gs.user_id'
-    if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
-      query += ` LIMIT $${paramIndex}`
-      params.push(parseInt(limit))
-    }
+      query += ' GROUP BY gs.user_id ORDER BY gs.user_id'
+      if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
+        query += ` LIMIT $${paramIndex}`
+        params.push(parseInt(limit))
+      }
 
-    const result = await pool.query(query, params)
-    const insights = result.rows.map((row) => ({
-      ...row,
-      performance_trend: calculatePerformanceTrend(row),
-      learning_style: determineLearningStyle(row),
-      recommendations: generateRecommendations(row),
-    }))
+      const result = await pool.query(query, params)
+      const insights = result.rows.map((row) => ({
+        ...row,
+        performance_trend: calculatePerformanceTrend(row),
+        learning_style: determineLearningStyle(row),
+        recommendations: generateRecommendations(row),
+      }))
 
-    res.json(insights)
-  } catch (err) {
-    logger.error('Erro ao buscar insights neuropedagogicos', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
+      res.json(insights)
+    } catch (err) {
+      logger.error('Erro ao buscar insights neuropedagogicos', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
 })
 
-app.get('/api/learning-patterns', authMiddleware, async (req, res) => {
-  try {
-    const { user_id, pattern_type, limit } = req.query
-    let query = 'SELECT * FROM learning_patterns WHERE 1=1'
-    let params = []
-    let paramIndex = 1
-
-    if (user_id) {
-      query += ` AND user_id = $${paramIndex}`
-      params.push(parseInt(user_id))
-      paramIndex++
-    }
-    if (pattern_type) {
-      query += ` AND pattern_type = $${paramIndex}`
-      params.push(pattern_type)
-      paramIndex++
-    }
+apiRouter.get('/learning-patterns', {
+  summary: 'Lista padrões de aprendizagem detectados',
+  tags: ['Análises'],
+  auth: true,
+  query: {
+    user_id: userIdQuery,
+    pattern_type: { type: 'string' },
+    limit: limitQuery,
+  },
+  middleware: [requireUserAccess({ source: 'query', key: 'user_id' })],
+  handler: async (req, res) => {
+    try {
+      const { user_id, pattern_type, limit } = req.query
+      let query = 'SELECT * FROM learning_patterns WHERE 1=1'
+      let params = []
+      let paramIndex = 1
 
-    query += ' ORDER BY strength_score DESC, detected_at DESC'
-    if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
-      query += ` LIMIT $${paramIndex}`
-      params.push(parseInt(limit))
-    }
+      if (user_id) {
+        query += ` AND user_id = $${paramIndex}`
+        params.push(parseInt(user_id))
+        paramIndex++
+      }
+      if (pattern_type) {
+        query += ` AND pattern_type = $${paramIndex}`
+        params.push(pattern_type)
+        paramIndex++
+      }
 
-    const result = await pool.query(query, params)
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar padrões de aprendizagem', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
+      query += ' ORDER BY strength_score DESC, detected_at DESC'
+      if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
+        query += ` LIMIT $${paramIndex}`
+        params.push(parseInt(limit))
+      }
 
-app.get('/api/engagement-metrics', authMiddleware, async (req, res) => {
-  try {
-    const { user_id, session_id, limit } = req.query
-    let query = 'SELECT * FROM engagement_metrics WHERE 1=1'
-    let params = []
-    let paramIndex = 1
-
-    if (user_id) {
-      query += ` AND user_id = $${paramIndex}`
-      params.push(parseInt(user_id))
-      paramIndex++
-    }
-    if (session_id) {
-      query += ` AND session_id = $${paramIndex}`
-      params.push(parseInt(session_id))
-      paramIndex++
+      const result = await pool.query(query, params)
+      res.json(result.rows)
+    } catch (err) {
+      logger.error('Erro ao buscar padrões de aprendizagem', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
     }
+  },
+})
 
-    query += ' ORDER BY calculated_at DESC'
-    if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
-      query += ` LIMIT $${paramIndex}`
-      params.push(parseInt(limit))
-    }
+apiRouter.get('/engagement-metrics', {
+  summary: 'Lista métricas de engajamento',
+  tags: ['Análises'],
+  auth: true,
+  query: {
+    user_id: userIdQuery,
+    session_id: { type: 'integer', min: 1 },
+    limit: limitQuery,
+  },
+  middleware: [requireUserAccess({ source: 'query', key: 'user_id' })],
+  handler: async (req, res) => {
+    try {
+      const { user_id, session_id, limit } = req.query
+      let query = 'SELECT * FROM engagement_metrics WHERE 1=1'
+      let params = []
+      let paramIndex = 1
 
-    const result = await pool.query(query, params)
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar métricas de engajamento', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
-})
+      if (user_id) {
+        query += ` AND user_id = $${paramIndex}`
+        params.push(parseInt(user_id))
+        paramIndex++
+      }
+      if (session_id) {
+        query += ` AND session_id = $${paramIndex}`
+        params.push(parseInt(session_id))
+        paramIndex++
+      }
 
-app.get('/api/neuroplasticity-tracking', authMiddleware, async (req, res) => {
-  try {
-    const { user_id, cognitive_domain, limit } = req.query
-    let query = 'SELECT * FROM neuroplasticity_tracking WHERE 1=1'
-    let params = []
-    let paramIndex = 1
-
-    if (user_id) {
-      query += ` AND user_id = $${paramIndex}`
-      params.push(parseInt(user_id))
-      paramIndex++
-    }
-    if (cognitive_domain) {
-      query += ` AND cognitive_domain = $${paramIndex}`
-      params.push(cognitive_domain)
-      paramIndex++
-    }
+      query += ' ORDER BY calculated_at DESC'
+      if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
+        query += ` LIMIT $${paramIndex}`
+        params.push(parseInt(limit))
+      }
 
-    query += ' ORDER BY calculated_at DESC'
-    if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
-      query += ` LIMIT $${paramIndex}`
-      params.push(parseInt(limit))
+      const result = await pool.query(query, params)
+      res.json(result.rows)
+    } catch (err) {
+      logger.error('Erro ao buscar métricas de engajamento', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
     }
-
-    const result = await pool.query(query, params)
-    res.json(result.rows)
-  } catch (err) {
-    logger.error('Erro ao buscar tracking de neuroplasticidade', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
+  },
 })
 
-app.get('/api/dashboard-metrics/:userId', authMiddleware, async (req, res) => {
-  try {
-    const { userId } = req.params
-    const { timeframe } = req.query
-    const userIdNum = parseInt(userId)
-    if (isNaN(userIdNum)) {
-      return res.status(400).json({ error: 'ID do usuário deve ser um número válido' })
+apiRouter.get('/neuroplasticity-tracking', {
+  summary: 'Lista o acompanhamento de neuroplasticidade',
+  tags: ['Análises'],
+  auth: true,
+  query: {
+    user_id: userIdQuery,
+    cognitive_domain: { type: 'string' },
+    limit: limitQuery,
+  },
+  middleware: [requireUserAccess({ source: 'query', key: 'user_id' })],
+  handler: async (req, res) => {
+    try {
+      const { user_id, cognitive_domain, limit } = req.query
+      let query = 'SELECT * FROM neuroplasticity_tracking WHERE 1=1'
+      let params = []
+      let paramIndex = 1
+
+      if (user_id) {
+        query += ` AND user_id = $${paramIndex}`
+        params.push(parseInt(user_id))
+        paramIndex++
+      }
+      if (cognitive_domain) {
+        query += ` AND cognitive_domain = $${paramIndex}`
+        params.push(cognitive_domain)
+        paramIndex++
+      }
+
+      query += ' ORDER BY calculated_at DESC'
+      if (limit && !isNaN(parseInt(limit)) && parseInt(limit) > 0) {
+        query += ` LIMIT $${paramIndex}`
+        params.push(parseInt(limit))
+      }
+
+      const result = await pool.query(query, params)
+      res.json(result.rows)
+    } catch (err) {
+      logger.error('Erro ao buscar tracking de neuroplasticidade', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
     }
+  },
+})
 
-    const timeInterval =
-      {
-        '7d': '7 days',
-        '30d': '30 days',
-        '90d': '90 days',
-        '1y': '1 year',
-      }[timeframe] || '30 days'
-
-    const [
-      sessionsResult,
-      cognitiveResult,
-      engagementResult,
-      patternsResult,
-      neuroplasticityResult,
-    ] = await Promise.all([
-      pool.query(
-        `SELECT 
+apiRouter.get('/dashboard-metrics/:userId', {
+  summary: 'Métricas consolidadas para o dashboard',
+  tags: ['Dashboard'],
+  auth: true,
+  params: { userId: userIdParam },
+  query: { timeframe: timeframeQuery },
+  middleware: [requireUserAccess({ key: 'userId' })],
+  handler: async (req, res) => {
+    try {
+      const { userId } = req.params
+      const { timeframe } = req.query
+      const userIdNum = parseInt(userId)
+      if (isNaN(userIdNum)) {
+        return res.status(400).json({ error: 'ID do usuário deve ser um número válido' })
+      }
+
+      const timeInterval =
+        {
+          '7d': '7 days',
+          '30d': '30 days',
+          '90d': '90 days',
+          '1y': '1 year',
+        }[timeframe] || '30 days'
+
+      const [
+        sessionsResult,
+        cognitiveResult,
+        engagementResult,
+        patternsResult,
+        neuroplasticityResult,
+      ] = await Promise.all([
+        pool.query(
+          `SELECT 
           COUNT(*) as total_sessions,
           AVG(score) as avg_score,
           AVG(accuracy) as avg_accuracy,
@@ -1709,10 +1930,10 @@ app.get('/api/dashboard-metrics/:userId', authMiddleware, async (req, res) => {
         WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '${timeInterval}'
         GROUP BY game_id
         ORDER BY session_count DESC`,
-        [userIdNum]
-      ),
-      pool.query(
-        `SELECT 
+          [userIdNum]
+        ),
+        pool.query(
+          `SELECT 
           AVG(processing_speed) as avg_processing_speed,
           AVG(attention_span) as avg_attention_span,
           AVG(working_memory) as avg_working_memory,
@@ -1722,27 +1943,27 @@ app.get('/api/dashboard-metrics/:userId', authMiddleware, async (req, res) => {
           AVG(kinesthetic_learner_score) as avg_kinesthetic_processing
         FROM cognitive_profiles
         WHERE user_id = $1 AND last_updated >= NOW() - INTERVAL '${timeInterval}'`,
-        [userIdNum]
-      ),
-      pool.query(
-        `SELECT 
+          [userIdNum]
+        ),
+        pool.query(
+          `SELECT 
           AVG(flow_state_duration) as avg_flow_state_duration,
           AVG(total_interactions) as avg_total_interactions,
           AVG(attention_drops) as avg_attention_drops
         FROM engagement_metrics
         WHERE user_id = $1 AND calculated_at >= NOW() - INTERVAL '${timeInterval}'`,
-        [userIdNum]
-      ),
-      pool.query(
-        `SELECT pattern_type, COUNT(*) as pattern_count, AVG(strength_score) as avg_confidence
+          [userIdNum]
+        ),
+        pool.query(
+          `SELECT pattern_type, COUNT(*) as pattern_count, AVG(strength_score) as avg_confidence
         FROM learning_patterns
         WHERE user_id = $1 AND detected_at >= NOW() - INTERVAL '${timeInterval}'
         GROUP BY pattern_type
         ORDER BY avg_confidence DESC`,
-        [userIdNum]
-      ),
-      pool.query(
-        `SELECT 
+          [userIdNum]
+        ),
+        pool.query(
+          `SELECT 
           cognitive_domain,
           AVG(baseline_score) as avg_baseline,
           AVG(current_score) as avg_current,
@@ -1750,39 +1971,570 @@ app.get('/api/dashboard-metrics/:userId', authMiddleware, async (req, res) => {
         FROM neuroplasticity_tracking
         WHERE user_id = $1 AND calculated_at >= NOW() - INTERVAL '${timeInterval}'
         GROUP BY cognitive_domain`,
-        [userIdNum]
-      ),
-    ])
+          [userIdNum]
+        ),
+      ])
+
+      const dashboardData = {
+        timeframe,
+        user_id: userIdNum,
+        game_sessions: sessionsResult.rows,
+        cognitive_profile: cognitiveResult.rows[0] || {},
+        engagement_metrics: engagementResult.rows[0] || {},
+        learning_patterns: patternsResult.rows,
+        neuroplasticity_tracking: neuroplasticityResult.rows,
+        summary: {
+          total_sessions: sessionsResult.rows.reduce(
+            (sum, row) => sum + parseInt(row.total_sessions || 0),
+            0
+          ),
+          avg_score:
+            sessionsResult.rows.reduce((sum, row) => sum + parseFloat(row.avg_score || 0), 0) /
+            (sessionsResult.rows.length || 1),
+          most_played_game: sessionsResult.rows[0]?.game_id || 'N/A',
+          learning_style: determineLearningStyle(cognitiveResult.rows[0] || {}),
+          engagement_level: calculateEngagementLevel(engagementResult.rows[0] || {}),
+        },
+      }
+
+      res.json(dashboardData)
+    } catch (err) {
+      logger.error('Erro ao buscar métricas do dashboard', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
+})
+
+apiRouter.post('/admin/users', {
+  summary: 'Cria uma conta com login (responsável, terapeuta ou administrador)',
+  tags: ['Administração'],
+  auth: true,
+  body: staffUserSchema,
+  middleware: [requireRoles(ROLES.CLINIC_ADMIN)],
+  responses: { 201: 'Conta criada', 409: 'Username já em uso' },
+  handler: async (req, res) => {
+    try {
+      const { username, displayName, password, role } = req.body
+      const existingUser = await pool.query('SELECT id FROM users WHERE username = $1', [username])
+      if (existingUser.rows.length > 0) {
+        return res.status(409).json({ error: 'Nome de usuário já está em uso' })
+      }
+
+      const passwordHash = await bcrypt.hash(password, env.BCRYPT_ROUNDS)
+      const result = await pool.query(
+        `INSERT INTO users (username, display_name, is_anonymous, active, role, password_hash)
+         VALUES ($1, $2, false, true, $3, $4)
+         RETURNING id, username, display_name, role, created_at`,
+        [username, displayName || username, role, passwordHash]
+      )
+
+      logger.info('Conta criada pela administração', {
+        userId: result.rows[0].id,
+        role,
+        createdBy: req.user.id,
+        requestId: req.requestId,
+      })
+      res.status(201).json(result.rows[0])
+    } catch (err) {
+      logger.error('Erro ao criar conta', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
+})
+
+apiRouter.post('/admin/care-assignments', {
+  summary: 'Vincula uma criança a um responsável ou terapeuta',
+  tags: ['Administração'],
+  auth: true,
+  body: careAssignmentSchema,
+  middleware: [requireRoles(ROLES.CLINIC_ADMIN)],
+  responses: { 201: 'Vínculo criado', 404: 'Usuário não encontrado', 409: 'Vínculo já existe' },
+  handler: async (req, res) => {
+    try {
+      const { caregiver_id, child_id } = req.body
+      const users = await pool.query('SELECT id, role FROM users WHERE id = ANY($1::int[])', [
+        [caregiver_id, child_id],
+      ])
+      const caregiver = users.rows.find((row) => row.id === caregiver_id)
+      const child = users.rows.find((row) => row.id === child_id)
+
+      if (!caregiver || !child) {
+        return res.status(404).json({ error: 'Usuário não encontrado' })
+      }
+      if (!CAREGIVER_ROLES.includes(caregiver.role) || normalizeRole(child.role) !== ROLES.CHILD) {
+        return res.status(400).json({
+          error: 'O vínculo deve ligar um responsável ou terapeuta a uma criança',
+          code: 'INVALID_ASSIGNMENT',
+        })
+      }
 
-    const dashboardData = {
-      timeframe,
-      user_id: userIdNum,
-      game_sessions: sessionsResult.rows,
-      cognitive_profile: cognitiveResult.rows[0] || {},
-      engagement_metrics: engagementResult.rows[0] || {},
-      learning_patterns: patternsResult.rows,
-      neuroplasticity_tracking: neuroplasticityResult.rows,
-      summary: {
-        total_sessions: sessionsResult.rows.reduce(
-          (sum, row) => sum + parseInt(row.total_sessions || 0),
-          0
+      const existing = await pool.query(
+        'SELECT id FROM care_assignments WHERE caregiver_id = $1 AND child_id = $2 AND revoked_at IS NULL',
+        [caregiver_id, child_id]
+      )
+      if (existing.rows.length > 0) {
+        return res.status(409).json({ error: 'Vínculo já existe' })
+      }
+
+      const result = await pool.query(
+        `INSERT INTO care_assignments (caregiver_id, child_id, relationship, created_by)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [caregiver_id, child_id, caregiver.role, req.user.id]
+      )
+
+      res.status(201).json(result.rows[0])
+    } catch (err) {
+      logger.error('Erro ao criar vínculo', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
+})
+
+apiRouter.delete('/admin/care-assignments/:assignmentId', {
+  summary: 'Revoga o vínculo entre uma criança e um responsável ou terapeuta',
+  tags: ['Administração'],
+  auth: true,
+  params: { assignmentId: { type: 'integer', required: true, min: 1 } },
+  middleware: [requireRoles(ROLES.CLINIC_ADMIN)],
+  handler: async (req, res) => {
+    try {
+      const result = await pool.query(
+        'UPDATE care_assignments SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL RETURNING *',
+        [parseInt(req.params.assignmentId)]
+      )
+
+      if (!result.rows[0]) {
+        return res.status(404).json({ error: 'Vínculo não encontrado' })
+      }
+
+      res.json({ message: 'Vínculo revogado com sucesso', assignment: result.rows[0] })
+    } catch (err) {
+      logger.error('Erro ao revogar vínculo', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
+})
+
+// Metas terapêuticas: rotas REST no formato do CrudService (/api/v1/therapy_goals)
+const THERAPY_GOAL_COLUMNS = [
+  'title',
+  'description',
+  'domain',
+  'game_id',
+  'difficulty',
+  'metric',
+  'comparator',
+  'target',
+  'min_trials',
+  'required_sessions',
+  'target_date',
+]
+// Progresso, histórico e domínio são gravados pelo servidor; o terapeuta só pausa, retoma ou encerra
+const THERAPY_GOAL_MANUAL_STATUS = [
+  GOAL_STATUS.ACTIVE,
+  GOAL_STATUS.PAUSED,
+  GOAL_STATUS.DISCONTINUED,
+]
+const therapyGoalIdParam = { id: { type: 'integer', required: true, min: 1 } }
+
+const findTherapyGoal = async (id) => {
+  const result = await pool.query(
+    'SELECT * FROM therapy_goals WHERE id = $1 AND deleted_at IS NULL',
+    [parseInt(id)]
+  )
+  return result.rows[0] || null
+}
+
+const goalForbidden = (req, res) =>
+  res.status(403).json({
+    error: 'Apenas o terapeuta vinculado pode alterar as metas desta criança',
+    code: 'FORBIDDEN_GOAL',
+    requestId: req.requestId,
+  })
+
+apiRouter.get('/therapy_goals', {
+  summary: 'Lista as metas terapêuticas de uma criança',
+  tags: ['Metas terapêuticas'],
+  auth: true,
+  query: {
+    user_id: userIdQuery,
+    status: { type: 'string', enum: ['active', 'mastered', 'paused', 'discontinued'] },
+    limit: limitQuery,
+    offset: { type: 'integer', min: 0 },
+    sort: { type: 'string', enum: ['id', 'created_at', 'updated_at', 'target_date'] },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+  },
+  responses: { 200: 'Metas e total ({ data, total })' },
+  middleware: [requireUserAccess({ source: 'query', key: 'user_id' })],
+  handler: async (req, res) => {
+    try {
+      const { user_id, status, sort = 'created_at', order = 'desc' } = req.query
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+      const offset = parseInt(req.query.offset) || 0
+
+      const params = [parseInt(user_id)]
+      let where = 'user_id = $1 AND deleted_at IS NULL'
+      if (status) {
+        params.push(status)
+        where += ` AND status = $${params.length}`
+      }
+
+      const [rows, total] = await Promise.all([
+        pool.query(
+          `SELECT * FROM therapy_goals WHERE ${where}
+           ORDER BY ${sort} ${order === 'asc' ? 'ASC' : 'DESC'}
+           LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+          [...params, limit, offset]
         ),
-        avg_score:
-          sessionsResult.rows.reduce((sum, row) => sum + parseFloat(row.avg_score || 0), 0) /
-          (sessionsResult.rows.length || 1),
-        most_played_game: sessionsResult.rows[0]?.game_id || 'N/A',
-        learning_style: determineLearningStyle(cognitiveResult.rows[0] || {}),
-        engagement_level: calculateEngagementLevel(engagementResult.rows[0] || {}),
-      },
+        pool.query(`SELECT COUNT(*) FROM therapy_goals WHERE ${where}`, params),
+      ])
+
+      res.json({ data: rows.rows, total: parseInt(total.rows[0].count) })
+    } catch (err) {
+      logger.error('Erro ao listar metas terapêuticas', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
     }
+  },
+})
 
-    res.json(dashboardData)
-  } catch (err) {
-    logger.error('Erro ao buscar métricas do dashboard', { error: err.message })
-    res.status(500).json({ error: 'Erro interno no servidor' })
-  }
+apiRouter.post('/therapy_goals', {
+  summary: 'Cria uma meta terapêutica com critério mensurável',
+  tags: ['Metas terapêuticas'],
+  auth: true,
+  body: therapyGoalCreateSchema,
+  responses: { 201: 'Meta criada', 403: 'Usuário não é o terapeuta vinculado' },
+  middleware: [idempotent],
+  handler: async (req, res) => {
+    try {
+      const goal = req.body
+      if (!canManageTherapyGoals(req.user, goal.user_id)) {
+        return goalForbidden(req, res)
+      }
+
+      const validation = validateGoalCriteria(goal)
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Meta inválida', details: validation.errors })
+      }
+
+      const result = await pool.query(
+        `INSERT INTO therapy_goals (user_id, created_by, title, description, domain, game_id,
+           difficulty, metric, comparator, target, min_trials, required_sessions, target_date, history)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *`,
+        [
+          goal.user_id,
+          req.user.id,
+          goal.title.trim(),
+          goal.description || null,
+          goal.domain || null,
+          goal.game_id,
+          goal.difficulty || null,
+          goal.metric,
+          goal.comparator || 'gte',
+          goal.target,
+          goal.min_trials ?? 0,
+          goal.required_sessions ?? 3,
+          goal.target_date || null,
+          JSON.stringify([
+            goalHistoryEntry('created', { criteria: describeGoalCriteria(goal) }, req.user.id),
+          ]),
+        ]
+      )
+
+      res.status(201).json(result.rows[0])
+    } catch (err) {
+      logger.error('Erro ao criar meta terapêutica', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
 })
 
+apiRouter.get('/therapy_goals/:id', {
+  summary: 'Obtém uma meta terapêutica com o histórico',
+  tags: ['Metas terapêuticas'],
+  auth: true,
+  params: therapyGoalIdParam,
+  handler: async (req, res) => {
+    try {
+      const goal = await findTherapyGoal(req.params.id)
+      if (!goal) {
+        return res.status(404).json({ error: 'Meta não encontrada' })
+      }
+      if (!canAccessUser(req.user, goal.user_id, ACCESS.READ)) {
+        return res.status(403).json({
+          error: 'Acesso negado aos dados deste usuário',
+          code: 'FORBIDDEN_USER',
+          requestId: req.requestId,
+        })
+      }
+
+      res.json(goal)
+    } catch (err) {
+      logger.error('Erro ao buscar meta terapêutica', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
+})
+
+apiRouter.patch('/therapy_goals/:id', {
+  summary: 'Atualiza critérios ou status de uma meta (deleted: true arquiva)',
+  tags: ['Metas terapêuticas'],
+  auth: true,
+  params: therapyGoalIdParam,
+  body: therapyGoalUpdateSchema,
+  responses: { 200: 'Meta atualizada', 403: 'Usuário não é o terapeuta vinculado' },
+  middleware: [idempotent],
+  handler: async (req, res) => {
+    try {
+      const goal = await findTherapyGoal(req.params.id)
+      if (!goal) {
+        return res.status(404).json({ error: 'Meta não encontrada' })
+      }
+      if (!canManageTherapyGoals(req.user, goal.user_id)) {
+        return goalForbidden(req, res)
+      }
+
+      // Soft delete enviado pelo CrudService.delete
+      if (req.body.deleted) {
+        const result = await pool.query(
+          'UPDATE therapy_goals SET deleted_at = NOW(), updated_at = NOW() WHERE id = $1 RETURNING *',
+          [goal.id]
+        )
+        return res.json(result.rows[0])
+      }
+
+      const changes = Object.fromEntries(
+        THERAPY_GOAL_COLUMNS.filter(
+          (column) => req.body[column] !== undefined && req.body[column] !== goal[column]
+        ).map((column) => [column, req.body[column]])
+      )
+      const { status, note } = req.body
+      if (status !== undefined && !THERAPY_GOAL_MANUAL_STATUS.includes(status)) {
+        return res.status(400).json({
+          error: 'O domínio da meta é registrado pelas sessões de jogo',
+          details: [`Status deve ser um de: ${THERAPY_GOAL_MANUAL_STATUS.join(', ')}`],
+        })
+      }
+      const statusChanged = status !== undefined && status !== goal.status
+      if (!Object.keys(changes).length && !statusChanged) {
+        return res.status(400).json({ error: 'Nenhum campo para atualizar' })
+      }
+
+      const merged = { ...goal, ...changes }
+      const validation = validateGoalCriteria(merged)
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Meta inválida', details: validation.errors })
+      }
+
+      const history = [...(goal.history || [])]
+      if (Object.keys(changes).length) {
+        history.push(
+          goalHistoryEntry(
+            'updated',
+            { fields: Object.keys(changes), criteria: describeGoalCriteria(merged) },
+            req.user.id
+          )
+        )
+      }
+      if (statusChanged) {
+        changes.status = status
+        history.push(
+          goalHistoryEntry(
+            'status_changed',
+            { from: goal.status, to: status, ...(note && { note }) },
+            req.user.id
+          )
+        )
+      }
+
+      const columns = Object.keys(changes)
+      const result = await pool.query(
+        `UPDATE therapy_goals SET ${columns
+          .map((column, index) => `${column} = $${index + 1}`)
+          .join(', ')}, history = $${columns.length + 1}, updated_at = NOW()
+         WHERE id = $${columns.length + 2} RETURNING *`,
+        [...columns.map((column) => changes[column]), JSON.stringify(history), goal.id]
+      )
+
+      res.json(result.rows[0])
+    } catch (err) {
+      logger.error('Erro ao atualizar meta terapêutica', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
+})
+
+// Configurações de acessibilidade no formato do CrudService (/api/v1/accessibility_settings)
+const ACCESSIBILITY_SETTINGS_KEYS = Object.keys(accessibilitySettingsSchema)
+const MAX_ACCESSIBILITY_HISTORY = 10
+
+const findAccessibilitySettings = async (userId) => {
+  const result = await pool.query(
+    'SELECT settings FROM accessibility_settings WHERE user_id = $1',
+    [userId]
+  )
+  return result.rows[0]?.settings || null
+}
+
+const saveAccessibilitySettings = async (userId, settings) => {
+  const result = await pool.query(
+    `INSERT INTO accessibility_settings (user_id, settings) VALUES ($1, $2)
+     ON CONFLICT (user_id) DO UPDATE SET settings = EXCLUDED.settings, updated_at = NOW()
+     RETURNING settings`,
+    [userId, JSON.stringify(settings)]
+  )
+  return { userId, ...result.rows[0].settings }
+}
+
+const pickAccessibilitySettings = (body) =>
+  Object.fromEntries(
+    ACCESSIBILITY_SETTINGS_KEYS.filter((key) => body[key] !== undefined).map((key) => [
+      key,
+      body[key],
+    ])
+  )
+
+apiRouter.get('/accessibility_settings/:id', {
+  summary: 'Obtém as configurações de acessibilidade da criança, com as mudanças pendentes',
+  tags: ['Acessibilidade'],
+  auth: true,
+  params: { id: { type: 'integer', required: true, min: 1 } },
+  middleware: [requireUserAccess()],
+  handler: async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id)
+      const settings = await findAccessibilitySettings(userId)
+      if (!settings) {
+        return res.status(404).json({ error: 'Configurações de acessibilidade não encontradas' })
+      }
+      res.json({ userId, ...settings })
+    } catch (err) {
+      logger.error('Erro ao buscar configurações de acessibilidade', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
+})
+
+apiRouter.post('/accessibility_settings', {
+  summary: 'Cria as configurações de acessibilidade da criança',
+  tags: ['Acessibilidade'],
+  auth: true,
+  body: { ...accessibilitySettingsSchema, userId: { type: 'integer', required: true, min: 1 } },
+  middleware: [requireUserAccess({ source: 'body', key: 'userId', access: ACCESS.WRITE })],
+  handler: async (req, res) => {
+    try {
+      const userId = parseInt(req.body.userId)
+      const current = (await findAccessibilitySettings(userId)) || {}
+      res.status(201).json(
+        await saveAccessibilitySettings(userId, {
+          ...current,
+          ...pickAccessibilitySettings(req.body),
+        })
+      )
+    } catch (err) {
+      logger.error('Erro ao criar configurações de acessibilidade', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
+})
+
+apiRouter.patch('/accessibility_settings/:id', {
+  summary: 'Atualiza as configurações de acessibilidade ou propõe mudanças detectadas',
+  tags: ['Acessibilidade'],
+  auth: true,
+  params: { id: { type: 'integer', required: true, min: 1 } },
+  body: accessibilitySettingsSchema,
+  middleware: [requireUserAccess({ access: ACCESS.WRITE })],
+  handler: async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id)
+      const changes = pickAccessibilitySettings(req.body)
+      if (changes.pendingChanges && changes.pendingChanges.status !== 'awaiting_guardian') {
+        return res.status(400).json({
+          error: 'Mudanças detectadas só são aplicadas com a confirmação do responsável',
+        })
+      }
+
+      const current = (await findAccessibilitySettings(userId)) || {}
+      res.json(await saveAccessibilitySettings(userId, { ...current, ...changes }))
+    } catch (err) {
+      logger.error('Erro ao atualizar configurações de acessibilidade', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
+})
+
+apiRouter.post('/accessibility_settings/:id/pending-changes/decision', {
+  summary: 'Responsável aprova ou recusa as mudanças de acessibilidade detectadas',
+  tags: ['Acessibilidade'],
+  auth: true,
+  params: { id: { type: 'integer', required: true, min: 1 } },
+  body: accessibilityDecisionSchema,
+  responses: {
+    200: 'Configurações atualizadas',
+    403: 'Usuário não é o responsável vinculado à criança',
+    404: 'Nenhuma mudança pendente',
+  },
+  middleware: [
+    requireRoles(ROLES.GUARDIAN),
+    requireUserAccess({ access: ACCESS.WRITE }),
+    idempotent,
+  ],
+  handler: async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id)
+      const settings = await findAccessibilitySettings(userId)
+      if (!settings?.pendingChanges?.changes) {
+        return res.status(404).json({ error: 'Nenhuma mudança de acessibilidade pendente' })
+      }
+
+      const { approve, categories } = req.body
+      const { decided, updates, pendingChanges, declinedChanges } = decidePendingChanges(settings, {
+        approve,
+        categories,
+      })
+      const now = new Date().toISOString()
+      const updated = await saveAccessibilitySettings(userId, {
+        ...settings,
+        ...updates,
+        pendingChanges,
+        declinedChanges,
+        ...(approve &&
+          decided.length > 0 && {
+            lastUpdated: now,
+            updateHistory: [
+              ...(settings.updateHistory || []).slice(-(MAX_ACCESSIBILITY_HISTORY - 1)),
+              {
+                timestamp: now,
+                changes: decided,
+                reason: 'detected_needs_confirmed',
+                by: req.user.id,
+              },
+            ],
+          }),
+      })
+
+      logger.info('Mudanças de acessibilidade decididas pelo responsável', {
+        userId,
+        guardianId: req.user.id,
+        approved: approve,
+        categories: decided,
+      })
+      res.json(updated)
+    } catch (err) {
+      logger.error('Erro ao registrar a decisão do responsável', { error: err.message })
+      res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+  },
+})
+
+// Teleterapia: eventos e indicadores ao vivo para o console do terapeuta, comandos para o tablet
+const liveSessions = new LiveSessionHub({ logger })
+registerLiveSessionRoutes(apiRouter, liveSessions)
+
+// /api/v1 é a versão atual; /api mantém os clientes legados nas mesmas definições
+app.use(apiRouter.basePath, apiRouter.buildRouter({ authMiddleware }))
+app.use('/api', apiRouter.buildRouter({ authMiddleware, serveSpec: false }))
+
 // 404 handler - deve vir por último (após todas as definições de rotas)
 app.use('*', (req, res) => {
   logger.warn('Rota não encontrada', {
@@ -1797,29 +2549,7 @@ app.use('*', (req, res) => {
     method: req.method,
     path: req.url,
     timestamp: new Date().toISOString(),
-    availableEndpoints: [
-      'GET /api/health',
-      'POST /api/auth/anonymous',
-      'GET /api/auth/verify',
-      'GET /api/user/:id',
-      'POST /api/user',
-      'GET /api/user/:id/game-sessions',
-      'POST /api/game-session',
-      'GET /api/user/:id/profiles',
-      'POST /api/user/:id/profiles',
-      'PUT /api/user/:userId/profiles/:profileId',
-      'DELETE /api/user/:userId/profiles/:profileId',
-      'POST /api/user/:userId/profiles/:profileId/activate',
-      'GET /api/cognitive-profiles',
-      'POST /api/cognitive-profiles',
-      'GET /api/ml-features',
-      'GET /api/neuropedagogical-insights',
-      'GET /api/learning-patterns',
-      'GET /api/engagement-metrics',
-      'GET /api/neuroplasticity-tracking',
-      'GET /api/dashboard-metrics/:userId',
-      'GET /api/adaptive-parameters/:gameId/:difficulty',
-    ],
+    availableEndpoints: [`GET ${apiRouter.basePath}/openapi.json`, ...apiRouter.listEndpoints()],
   })
 })
 
@@ -1873,6 +2603,8 @@ const gracefulShutdown = async (signal) => {
   logger.info(`Recebido sinal ${signal}, iniciando encerramento gracioso...`)
 
   if (server) {
+    // Conexões SSE abertas impediriam o server.close de terminar
+    liveSessions.close()
     server.close(async () => {
       logger.info('Servidor HTTP encerrado')
 
@@ -1930,6 +2662,8 @@ connectWithRetry()
         sessions: `http://${env.API_HOST}:${PORT}/api/game-session`,
         profiles: `http://${env.API_HOST}:${PORT}/api/cognitive-profiles`,
         insights: `http://${env.API_HOST}:${PORT}/api/neuropedagogical-insights`,
+        liveSessions: `http://${env.API_HOST}:${PORT}${apiRouter.basePath}/live-sessions`,
+        openapi: `http://${env.API_HOST}:${PORT}${apiRouter.basePath}/openapi.json`,
         metrics: env.ENABLE_METRICS ? `http://${env.API_HOST}:${PORT}/api/metrics` : 'Desabilitado',
       })
     })
@@ -0,0 +1,383 @@
+/**
+ * @file apiRouter.js
+ * @description Roteador declarativo e versionado da API do Portal Betina
+ * Cada rota é descrita por uma definição com esquemas no formato de validateInput.
+ * A mesma definição valida a requisição, monta o router Express e gera o
+ * documento OpenAPI 3 usado pelas equipes de integração das clínicas.
+ */
+
+import express from 'express'
+import { validateSchema } from './validateInput.js'
+
+export const SUPPORTED_METHODS = ['get', 'post', 'put', 'patch', 'delete']
+
+const DEFAULT_RESPONSES = {
+  get: { 200: 'Sucesso' },
+  post: { 201: 'Recurso criado' },
+  put: { 200: 'Recurso atualizado' },
+  patch: { 200: 'Recurso atualizado' },
+  delete: { 200: 'Recurso removido' },
+}
+
+const ERROR_RESPONSES = {
+  400: 'Dados inválidos',
+  401: 'Token ausente ou inválido',
+  404: 'Recurso não encontrado',
+  500: 'Erro interno no servidor',
+}
+
+/**
+ * Normaliza um caminho para detectar rotas equivalentes
+ * (/user/:id e /user/:userId apontam para o mesmo recurso)
+ * @param {string} path - Caminho Express
+ * @returns {string} Caminho normalizado
+ */
+const normalizePath = (path) => path.replace(/:[^/]+/g, ':param').replace(/\/+$/, '') || '/'
+
+/**
+ * Converte um caminho Express para o formato OpenAPI (/user/:id -> /user/{id})
+ * @param {string} path - Caminho Express
+ * @returns {string} Caminho OpenAPI
+ */
+export const toOpenApiPath = (path) => path.replace(/:([A-Za-z0-9_]+)/g, '{$1}')
+
+/**
+ * Converte valores vindos da URL (sempre strings) para os tipos declarados no esquema
+ * @param {Object} values - req.params ou req.query
+ * @param {Object} schema - Esquema no formato de validateInput
+ * @returns {Object} Cópia com valores convertidos
+ */
+export const coerceValues = (values = {}, schema = {}) => {
+  const result = { ...values }
+
+  Object.keys(schema).forEach((key) => {
+    const value = result[key]
+    if (typeof value !== 'string') return
+
+    const { type } = schema[key]
+    if ((type === 'number' || type === 'integer') && value.trim() !== '' && !isNaN(value)) {
+      result[key] = Number(value)
+    } else if (type === 'boolean' && (value === 'true' || value === 'false')) {
+      result[key] = value === 'true'
+    }
+  })
+
+  return result
+}
+
+/**
+ * Converte um esquema de validateInput para JSON Schema (OpenAPI 3)
+ * @param {Object} schema - Esquema no formato de validateInput
+ * @returns {Object} JSON Schema do tipo object
+ */
+export const toJsonSchema = (schema = {}) => {
+  const properties = {}
+  const required = []
+
+  Object.keys(schema).forEach((key) => {
+    properties[key] = toPropertySchema(schema[key])
+    if (schema[key].required) {
+      required.push(key)
+    }
+  })
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required }),
+  }
+}
+
+function toPropertySchema(rules) {
+  const property = {}
+
+  if (rules.type) property.type = rules.type
+  if (rules.description) property.description = rules.description
+  if (rules.enum) property.enum = rules.enum
+  if (rules.min !== undefined) property.minimum = rules.min
+  if (rules.max !== undefined) property.maximum = rules.max
+  if (rules.minLength !== undefined) property.minLength = rules.minLength
+  if (rules.maxLength !== undefined) property.maxLength = rules.maxLength
+  if (rules.pattern) property.pattern = rules.pattern
+  if (rules.type === 'array') property.items = rules.items || {}
+  if (rules.type === 'object' && rules.properties) {
+    Object.assign(property, toJsonSchema(rules.properties))
+  }
+
+  return property
+}
+
+/**
+ * Monta o middleware que valida params, query e body de uma rota
+ * @param {Object} route - Definição registrada
+ * @returns {Function} Middleware Express
+ */
+const createRequestValidator = (route) => (req, res, next) => {
+  const errors = []
+
+  if (route.params) {
+    errors.push(...validateSchema(coerceValues(req.params, route.params), route.params).errors)
+  }
+  if (route.query) {
+    errors.push(...validateSchema(coerceValues(req.query, route.query), route.query).errors)
+  }
+  if (route.body) {
+    errors.push(...validateSchema(req.body, route.body).errors)
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Dados inválidos',
+      details: errors,
+      requestId: req.requestId,
+    })
+  }
+
+  next()
+}
+
+export class VersionedApiRouter {
+  /**
+   * @param {Object} options
+   * @param {string} options.version - Versão da API (ex: 'v1')
+   * @param {string} options.basePath - Prefixo onde o router é montado
+   * @param {string} options.title - Título do documento OpenAPI
+   * @param {string} options.description - Descrição do documento OpenAPI
+   * @param {string} options.appVersion - Versão da aplicação
+   */
+  constructor({
+    version = 'v1',
+    basePath = `/api/${version}`,
+    title = 'Portal Betina API',
+    description = '',
+    appVersion = '1.0.0',
+  } = {}) {
+    this.version = version
+    this.basePath = basePath
+    this.info = { title, description, version: appVersion }
+    this.routes = []
+    this.routeKeys = new Map()
+  }
+
+  /**
+   * Registra uma rota declarativa
+   * @param {Object} definition
+   * @param {string} definition.method - Método HTTP
+   * @param {string} definition.path - Caminho relativo ao basePath
+   * @param {Function} definition.handler - Handler Express
+   * @param {boolean} [definition.auth] - Exige token JWT
+   * @param {Object} [definition.params] - Esquema dos parâmetros de rota
+   * @param {Object} [definition.query] - Esquema da query string
+   * @param {Object} [definition.body] - Esquema do corpo da requisição
+   * @param {Object} [definition.responses] - Respostas documentadas { status: descrição }
+   * @param {Function[]} [definition.middleware] - Middlewares extras executados antes do handler
+   * @returns {VersionedApiRouter} A própria instância para encadeamento
+   * @throws {Error} Quando a rota é inválida ou já foi registrada
+   */
+  register(definition) {
+    const method = definition.method?.toLowerCase()
+
+    if (!SUPPORTED_METHODS.includes(method)) {
+      throw new Error(`Método HTTP não suportado: ${definition.method}`)
+    }
+    if (typeof definition.path !== 'string' || !definition.path.startsWith('/')) {
+      throw new Error(`Caminho de rota inválido: ${definition.path}`)
+    }
+    if (typeof definition.handler !== 'function') {
+      throw new Error(`Handler ausente para ${method.toUpperCase()} ${definition.path}`)
+    }
+
+    const key = `${method} ${normalizePath(definition.path)}`
+    if (this.routeKeys.has(key)) {
+      const existing = this.routeKeys.get(key)
+      const error = new Error(
+        `Rota duplicada: ${method.toUpperCase()} ${this.basePath}${definition.path} ` +
+          `(já registrada como ${existing.path})`
+      )
+      error.code = 'DUPLICATE_ROUTE'
+      throw error
+    }
+
+    const route = {
+      auth: false,
+      tags: [],
+      middleware: [],
+      ...definition,
+      method,
+    }
+
+    this.routes.push(route)
+    this.routeKeys.set(key, route)
+    return this
+  }
+
+  get(path, definition) {
+    return this.register({ ...definition, method: 'get', path })
+  }
+
+  post(path, definition) {
+    return this.register({ ...definition, method: 'post', path })
+  }
+
+  put(path, definition) {
+    return this.register({ ...definition, method: 'put', path })
+  }
+
+  patch(path, definition) {
+    return this.register({ ...definition, method: 'patch', path })
+  }
+
+  delete(path, definition) {
+    return this.register({ ...definition, method: 'delete', path })
+  }
+
+  /**
+   * Lista as rotas registradas no formato "MÉTODO /caminho"
+   * @param {string} [basePath] - Prefixo a aplicar (padrão: basePath do router)
+   * @returns {string[]} Endpoints
+   */
+  listEndpoints(basePath = this.basePath) {
+    return this.routes.map((route) => `${route.method.toUpperCase()} ${basePath}${route.path}`)
+  }
+
+  /**
+   * Cria o router Express com validação e autenticação por rota
+   * @param {Object} options
+   * @param {Function} options.authMiddleware - Middleware de autenticação JWT
+   * @param {boolean} [options.serveSpec=true] - Expõe GET /openapi.json
+   * @returns {express.Router} Router pronto para app.use()
+   */
+  buildRouter({ authMiddleware, serveSpec = true } = {}) {
+    const router = express.Router()
+
+    if (serveSpec) {
+      router.get('/openapi.json', (req, res) => {
+        res.json(this.generateOpenApiDocument())
+      })
+    }
+
+    this.routes.forEach((route) => {
+      const chain = []
+      if (route.auth) {
+        if (!authMiddleware) {
+          throw new Error(
+            `authMiddleware obrigatório para ${route.method.toUpperCase()} ${route.path}`
+          )
+        }
+        chain.push(authMiddleware)
+      }
+      if (route.params || route.query || route.body) {
+        chain.push(createRequestValidator(route))
+      }
+      chain.push(...route.middleware, route.handler)
+
+      router[route.method](route.path, ...chain)
+    })
+
+    return router
+  }
+
+  /**
+   * Gera o documento OpenAPI 3 a partir das definições registradas
+   * @param {Object} [options]
+   * @param {Array} [options.servers] - Servidores a anunciar no documento
+   * @returns {Object} Documento OpenAPI 3.0.3
+   */
+  generateOpenApiDocument({ servers = [{ url: this.basePath }] } = {}) {
+    const paths = {}
+
+    this.routes.forEach((route) => {
+      const openApiPath = toOpenApiPath(route.path)
+      paths[openApiPath] = paths[openApiPath] || {}
+      paths[openApiPath][route.method] = this.buildOperation(route)
+    })
+
+    return {
+      openapi: '3.0.3',
+      info: this.info,
+      servers,
+      paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        },
+      },
+    }
+  }
+
+  buildOperation(route) {
+    const parameters = []
+    const pathParams = route.path.match(/:([A-Za-z0-9_]+)/g) || []
+
+    pathParams.forEach((segment) => {
+      const name = segment.slice(1)
+      parameters.push({
+        name,
+        in: 'path',
+        required: true,
+        schema: toPropertySchema(route.params?.[name] || { type: 'string' }),
+      })
+    })
+
+    Object.keys(route.query || {}).forEach((name) => {
+      parameters.push({
+        name,
+        in: 'query',
+        required: Boolean(route.query[name].required),
+        schema: toPropertySchema(route.query[name]),
+      })
+    })
+
+    const responses = {}
+    const documented = route.responses || DEFAULT_RESPONSES[route.method]
+    Object.keys(documented).forEach((status) => {
+      responses[status] = { description: documented[status] }
+    })
+    if (route.params || route.query || route.body) {
+      responses[400] = responses[400] || { description: ERROR_RESPONSES[400] }
+    }
+    if (route.auth) {
+      responses[401] = responses[401] || { description: ERROR_RESPONSES[401] }
+    }
+    responses[500] = responses[500] || { description: ERROR_RESPONSES[500] }
+
+    return {
+      operationId: route.operationId || buildOperationId(route),
+      summary: route.summary || '',
+      ...(route.description && { description: route.description }),
+      tags: route.tags,
+      ...(parameters.length > 0 && { parameters }),
+      ...(route.body && {
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: toJsonSchema(route.body) } },
+        },
+      }),
+      responses,
+      ...(route.auth && { security: [{ bearerAuth: [] }] }),
+    }
+  }
+}
+
+function buildOperationId(route) {
+  const words = route.path
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => segment.replace(/^:/, 'by-'))
+    .join('-')
+    .split(/[-_]/)
+    .filter(Boolean)
+
+  return [route.method, ...words]
+    .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('')
+}
+
+/**
+ * Cria um router versionado
+ * @param {Object} options - Ver VersionedApiRouter
+ * @returns {VersionedApiRouter}
+ */
+export const createVersionedRouter = (options) => new VersionedApiRouter(options)
+
+export default VersionedApiRouter
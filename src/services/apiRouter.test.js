@@ -0,0 +1,164 @@
+/**
+ * @file apiRouter.test.js
+ * @description Testes do roteador declarativo /api/v1 e da geração do OpenAPI
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import express from 'express'
+import request from 'supertest'
+import { createVersionedRouter, toJsonSchema, coerceValues } from './apiRouter.js'
+import { userSchema } from './validateInput.js'
+
+const okHandler = (req, res) => res.json({ ok: true, params: req.params })
+
+describe('VersionedApiRouter', () => {
+  let router
+
+  beforeEach(() => {
+    router = createVersionedRouter({ version: 'v1', appVersion: '9.9.9' })
+  })
+
+  describe('Registro de rotas', () => {
+    it('deve rejeitar rotas duplicadas mesmo com nomes de parâmetros diferentes', () => {
+      router.get('/user/:id', { handler: okHandler })
+
+      expect(() => router.get('/user/:userId', { handler: okHandler })).toThrow(/Rota duplicada/)
+    })
+
+    it('deve expor o código DUPLICATE_ROUTE no erro', () => {
+      router.delete('/user/:userId/profiles/:profileId', { handler: okHandler })
+
+      try {
+        router.delete('/user/:userId/profiles/:profileId', { handler: okHandler })
+      } catch (error) {
+        expect(error.code).toBe('DUPLICATE_ROUTE')
+      }
+      expect.assertions(1)
+    })
+
+    it('deve permitir o mesmo caminho com métodos diferentes', () => {
+      router.get('/cognitive-profiles', { handler: okHandler })
+      router.post('/cognitive-profiles', { handler: okHandler })
+
+      expect(router.listEndpoints()).toEqual([
+        'GET /api/v1/cognitive-profiles',
+        'POST /api/v1/cognitive-profiles',
+      ])
+    })
+
+    it('deve rejeitar métodos não suportados e handlers ausentes', () => {
+      expect(() => router.register({ method: 'trace', path: '/x', handler: okHandler })).toThrow()
+      expect(() => router.get('/x', {})).toThrow(/Handler ausente/)
+    })
+  })
+
+  describe('Validação de requisições', () => {
+    const buildApp = (authMiddleware) => {
+      const app = express()
+      app.use(express.json())
+      app.use('/api/v1', router.buildRouter({ authMiddleware }))
+      return app
+    }
+
+    it('deve validar params convertendo valores numéricos', async () => {
+      router.get('/user/:id/profiles', {
+        params: { id: { type: 'integer', required: true, min: 1 } },
+        handler: okHandler,
+      })
+      const app = buildApp()
+
+      const valid = await request(app).get('/api/v1/user/12/profiles')
+      expect(valid.status).toBe(200)
+      expect(valid.body.params.id).toBe('12')
+
+      const invalid = await request(app).get('/api/v1/user/abc/profiles')
+      expect(invalid.status).toBe(400)
+      expect(invalid.body.error).toBe('Dados inválidos')
+    })
+
+    it('deve validar o corpo com os esquemas de validateInput', async () => {
+      router.post('/user', { body: userSchema, handler: okHandler })
+      const app = buildApp()
+
+      const response = await request(app).post('/api/v1/user').send({ username: 'a' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.details).toContain("Campo 'username' deve ter pelo menos 3 caracteres")
+    })
+
+    it('deve aplicar o middleware de autenticação apenas nas rotas protegidas', async () => {
+      router.get('/health', { handler: okHandler })
+      router.get('/auth/verify', { auth: true, handler: okHandler })
+      const app = buildApp((req, res) => res.status(401).json({ code: 'MISSING_TOKEN' }))
+
+      expect((await request(app).get('/api/v1/health')).status).toBe(200)
+      expect((await request(app).get('/api/v1/auth/verify')).status).toBe(401)
+    })
+  })
+
+  describe('Documento OpenAPI', () => {
+    it('deve servir o documento gerado em /openapi.json', async () => {
+      router.get('/user/:id/game-sessions', {
+        summary: 'Lista sessões',
+        tags: ['Sessões'],
+        auth: true,
+        params: { id: { type: 'integer', required: true } },
+        query: { limit: { type: 'integer', min: 1 } },
+        handler: okHandler,
+      })
+      router.post('/user', { body: userSchema, handler: okHandler })
+
+      const app = express()
+      app.use('/api/v1', router.buildRouter({ authMiddleware: (req, res, next) => next() }))
+      const { body: spec } = await request(app).get('/api/v1/openapi.json')
+
+      expect(spec.openapi).toBe('3.0.3')
+      expect(spec.info.version).toBe('9.9.9')
+      expect(spec.servers).toEqual([{ url: '/api/v1' }])
+
+      const sessions = spec.paths['/user/{id}/game-sessions'].get
+      expect(sessions.security).toEqual([{ bearerAuth: [] }])
+      expect(sessions.parameters).toEqual([
+        { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+        { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1 } },
+      ])
+      expect(sessions.responses).toHaveProperty('401')
+
+      const createUser = spec.paths['/user'].post
+      expect(createUser.operationId).toBe('postUser')
+      expect(createUser.requestBody.content['application/json'].schema.required).toEqual([
+        'username',
+      ])
+      expect(createUser.responses).toHaveProperty('201')
+    })
+  })
+})
+
+describe('Conversão de esquemas', () => {
+  it('deve converter regras de validateInput para JSON Schema', () => {
+    expect(toJsonSchema(userSchema).properties.username).toEqual({
+      type: 'string',
+      minLength: 3,
+      maxLength: 50,
+      pattern: '^[a-zA-Z0-9_]+$',
+    })
+    expect(toJsonSchema(userSchema).properties.age).toEqual({
+      type: 'number',
+      minimum: 1,
+      maximum: 120,
+    })
+  })
+
+  it('deve converter apenas strings compatíveis com o tipo declarado', () => {
+    const schema = { limit: { type: 'integer' }, active: { type: 'boolean' } }
+
+    expect(coerceValues({ limit: '10', active: 'true' }, schema)).toEqual({
+      limit: 10,
+      active: true,
+    })
+    expect(coerceValues({ limit: 'dez', active: 'sim' }, schema)).toEqual({
+      limit: 'dez',
+      active: 'sim',
+    })
+  })
+})
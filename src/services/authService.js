@@ -1,11 +1,15 @@
 import { logger, CONFIG, API_CONFIG } from '../config/api-config.js';
+import { clearApiCache } from '../utils/pwa/serviceWorkerRegistration.js';
 
 class AuthService {
-  constructor() {
+  constructor({
+    tokenKey = 'portal_betina_auth_token',
+    userKey = 'portal_betina_user_data',
+  } = {}) {
     this.token = null;
     this.user = null;
-    this.tokenKey = 'portal_betina_auth_token';
-    this.userKey = 'portal_betina_user_data';
+    this.tokenKey = tokenKey;
+    this.userKey = userKey;
     this.apiUrl = CONFIG.API_URL;
     this.environment = CONFIG.environment;
     logger.info('AuthService iniciado');
@@ -45,6 +49,8 @@ class AuthService {
       this.user = null;
       localStorage.removeItem(this.tokenKey);
       localStorage.removeItem(this.userKey);
+      // Os dados dos painéis guardados para uso sem conexão saem junto com o login
+      clearApiCache();
       logger.info('Autenticação removida do localStorage');
     } catch (error) {
       logger.error('Erro ao remover autenticação', { error: error.message });
@@ -83,6 +89,33 @@ class AuthService {
     }
   }
 
+  async login(username, password) {
+    try {
+      logger.info('Autenticando conta com login', { username });
+      const response = await fetch(`${this.apiUrl}${API_CONFIG.ENDPOINTS.authLogin}`, {
+        method: 'POST',
+        headers: API_CONFIG.DEFAULT_HEADERS,
+        body: JSON.stringify({ username, password }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Erro ao autenticar: ${response.status}`);
+      }
+
+      const authData = await response.json();
+      if (!authData.success || !authData.token || !authData.user) {
+        throw new Error('Resposta inválida do servidor de autenticação');
+      }
+
+      this.saveAuth(authData.token, authData.user);
+      return { token: authData.token, userId: authData.user.id, userData: authData.user };
+    } catch (error) {
+      logger.error('Erro ao autenticar conta', { error: error.message });
+      throw error;
+    }
+  }
+
   async verifyToken() {
     if (!this.token) return false;
 
@@ -127,6 +160,15 @@ class AuthService {
     return this.user;
   }
 
+  getRole() {
+    return this.user?.role;
+  }
+
+  // O papel vem do servidor (login/verify); nunca de flags locais
+  hasRole(...roles) {
+    return roles.includes(this.getRole());
+  }
+
   getAuthHeaders() {
     const headers = { ...API_CONFIG.DEFAULT_HEADERS };
     if (this.token) {
@@ -205,4 +247,9 @@ class AuthService {
 }
 
 export const authService = new AuthService();
+// Sessão separada para responsáveis, terapeutas e administradores, sem substituir a da criança
+export const staffAuthService = new AuthService({
+  tokenKey: 'portal_betina_staff_token',
+  userKey: 'portal_betina_staff_user',
+});
 export const authenticatedFetch = (url, options) => authService.authenticatedFetch(url, options);
@@ -0,0 +1,181 @@
+/**
+ * @file authorization.js
+ * @description Papéis de usuário e controle de acesso da API do Portal Betina
+ * Os papéis viajam nas claims do JWT e são reconfirmados no banco pelo authMiddleware.
+ * Responsáveis e terapeutas só acessam as crianças vinculadas a eles (care_assignments).
+ */
+
+export const ROLES = Object.freeze({
+  CHILD: 'child',
+  GUARDIAN: 'guardian',
+  THERAPIST: 'therapist',
+  CLINIC_ADMIN: 'clinic_admin',
+})
+
+export const ALL_ROLES = Object.values(ROLES)
+
+export const ACCESS = Object.freeze({
+  READ: 'read',
+  WRITE: 'write',
+})
+
+// Papéis que acompanham crianças por meio de vínculos
+export const CAREGIVER_ROLES = [ROLES.GUARDIAN, ROLES.THERAPIST]
+
+// O que cada papel pode fazer com os próprios dados e com os das crianças vinculadas
+const ROLE_ACCESS = {
+  [ROLES.CHILD]: { self: [ACCESS.READ, ACCESS.WRITE], assigned: [] },
+  [ROLES.GUARDIAN]: {
+    self: [ACCESS.READ, ACCESS.WRITE],
+    assigned: [ACCESS.READ, ACCESS.WRITE],
+  },
+  [ROLES.THERAPIST]: { self: [ACCESS.READ, ACCESS.WRITE], assigned: [ACCESS.READ] },
+  [ROLES.CLINIC_ADMIN]: { any: [ACCESS.READ, ACCESS.WRITE] },
+}
+
+/**
+ * Normaliza o papel vindo do banco ou do token (contas antigas não têm papel)
+ * @param {string} role - Papel informado
+ * @returns {string} Papel válido
+ */
+export const normalizeRole = (role) => (ALL_ROLES.includes(role) ? role : ROLES.CHILD)
+
+/**
+ * Monta as claims do JWT para um usuário
+ * @param {Object} user - Linha da tabela users
+ * @param {number[]} childIds - Crianças vinculadas (apenas responsáveis e terapeutas)
+ * @returns {Object} Payload do token
+ */
+export const buildTokenClaims = (user, childIds = []) => {
+  const role = normalizeRole(user.role)
+
+  return {
+    id: user.id,
+    username: user.username,
+    isAnonymous: Boolean(user.is_anonymous),
+    role,
+    children: CAREGIVER_ROLES.includes(role) ? childIds.map(Number) : [],
+  }
+}
+
+/**
+ * Verifica se o usuário autenticado pode acessar os dados de outro usuário
+ * @param {Object} principal - req.user (id, username, role, children)
+ * @param {number|string} targetUserId - ID numérico ou username do dono dos dados
+ * @param {string} access - ACCESS.READ ou ACCESS.WRITE
+ * @returns {boolean} Acesso permitido
+ */
+export const canAccessUser = (principal, targetUserId, access = ACCESS.READ) => {
+  if (!principal) return false
+
+  const permissions = ROLE_ACCESS[normalizeRole(principal.role)]
+  if (permissions.any?.includes(access)) return true
+
+  const target = String(targetUserId)
+  const isSelf = target === String(principal.id) || target === principal.username
+  if (isSelf) return permissions.self.includes(access)
+
+  const children = (principal.children || []).map(String)
+  return children.includes(target) && permissions.assigned.includes(access)
+}
+
+/**
+ * Verifica se o usuário pode definir e editar as metas terapêuticas de uma criança
+ * As metas são do terapeuta vinculado e da administração da clínica; responsáveis
+ * e a própria criança apenas acompanham.
+ * @param {Object} principal - req.user
+ * @param {number|string} childId - ID da criança
+ * @returns {boolean} Permissão de edição
+ */
+export const canManageTherapyGoals = (principal, childId) => {
+  const role = normalizeRole(principal?.role)
+  if (role === ROLES.CLINIC_ADMIN) return true
+
+  return (
+    role === ROLES.THERAPIST && (principal.children || []).map(String).includes(String(childId))
+  )
+}
+
+/**
+ * Verifica se o usuário pode comandar a sessão ao vivo de uma criança
+ * Na teleterapia o terapeuta vinculado pausa o jogo, muda a dificuldade ou inicia uma
+ * pausa; o responsável vinculado e a administração da clínica também podem.
+ * @param {Object} principal - req.user
+ * @param {number|string} childId - ID da criança
+ * @returns {boolean} Permissão de comando
+ */
+export const canControlLiveSession = (principal, childId) => {
+  const role = normalizeRole(principal?.role)
+  if (role === ROLES.CLINIC_ADMIN) return true
+
+  return (
+    CAREGIVER_ROLES.includes(role) &&
+    (principal.children || []).map(String).includes(String(childId))
+  )
+}
+
+const forbidden = (req, res, code, error) =>
+  res.status(403).json({
+    error,
+    code,
+    requestId: req.requestId,
+  })
+
+/**
+ * Middleware que restringe a rota a determinados papéis
+ * @param {...string} roles - Papéis permitidos
+ * @returns {Function} Middleware Express
+ */
+export const requireRoles =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(normalizeRole(req.user.role))) {
+      return forbidden(req, res, 'FORBIDDEN_ROLE', 'Acesso negado para este perfil de usuário')
+    }
+    next()
+  }
+
+/**
+ * Middleware que garante que o usuário autenticado pode acessar o usuário alvo da rota
+ * Em consultas sem o usuário alvo, perfis que não são administradores ficam
+ * restritos aos próprios dados.
+ * @param {Object} options
+ * @param {string} [options.source='params'] - params, query ou body
+ * @param {string} [options.key='id'] - Campo que contém o ID do usuário alvo
+ * @param {string} [options.access='read'] - ACCESS.READ ou ACCESS.WRITE
+ * @returns {Function} Middleware Express
+ */
+export const requireUserAccess =
+  ({ source = 'params', key = 'id', access = ACCESS.READ } = {}) =>
+  (req, res, next) => {
+    const container = req[source] || {}
+    const target = container[key]
+
+    if (target === undefined || target === null || target === '') {
+      if (normalizeRole(req.user?.role) === ROLES.CLINIC_ADMIN) {
+        return next()
+      }
+      if (source === 'query') {
+        req.query[key] = String(req.user.id)
+        return next()
+      }
+      return forbidden(req, res, 'USER_SCOPE_REQUIRED', `Campo '${key}' é obrigatório`)
+    }
+
+    if (!canAccessUser(req.user, target, access)) {
+      return forbidden(req, res, 'FORBIDDEN_USER', 'Acesso negado aos dados deste usuário')
+    }
+
+    next()
+  }
+
+export default {
+  ROLES,
+  ACCESS,
+  buildTokenClaims,
+  canAccessUser,
+  canManageTherapyGoals,
+  canControlLiveSession,
+  requireRoles,
+  requireUserAccess,
+}
@@ -0,0 +1,148 @@
+/**
+ * @file authorization.test.js
+ * @description Testes dos papéis e do controle de acesso por usuário da API
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  ROLES,
+  ACCESS,
+  buildTokenClaims,
+  canAccessUser,
+  canManageTherapyGoals,
+  canControlLiveSession,
+  normalizeRole,
+  requireRoles,
+  requireUserAccess,
+} from './authorization.js'
+
+const child = { id: 10, username: 'crianca_10', role: ROLES.CHILD, children: [] }
+const guardian = { id: 20, username: 'mae', role: ROLES.GUARDIAN, children: [10] }
+const therapist = { id: 30, username: 'terapeuta', role: ROLES.THERAPIST, children: [10, 11] }
+const admin = { id: 1, username: 'admin', role: ROLES.CLINIC_ADMIN, children: [] }
+
+const createResponse = () => {
+  const res = {}
+  res.status = vi.fn().mockReturnValue(res)
+  res.json = vi.fn().mockReturnValue(res)
+  return res
+}
+
+describe('Papéis de usuário', () => {
+  it('deve tratar contas sem papel como criança', () => {
+    expect(normalizeRole(undefined)).toBe(ROLES.CHILD)
+    expect(normalizeRole('superuser')).toBe(ROLES.CHILD)
+    expect(normalizeRole(ROLES.THERAPIST)).toBe(ROLES.THERAPIST)
+  })
+
+  it('deve incluir papel e crianças vinculadas nas claims do token', () => {
+    const claims = buildTokenClaims(
+      { id: 30, username: 'terapeuta', role: 'therapist', is_anonymous: false },
+      ['10', 11]
+    )
+
+    expect(claims).toEqual({
+      id: 30,
+      username: 'terapeuta',
+      isAnonymous: false,
+      role: ROLES.THERAPIST,
+      children: [10, 11],
+    })
+  })
+
+  it('não deve incluir vínculos nas claims de crianças', () => {
+    expect(buildTokenClaims({ id: 10, role: 'child' }, [11]).children).toEqual([])
+  })
+})
+
+describe('canAccessUser', () => {
+  it('deve permitir que a criança acesse apenas os próprios dados', () => {
+    expect(canAccessUser(child, 10, ACCESS.WRITE)).toBe(true)
+    expect(canAccessUser(child, 'crianca_10')).toBe(true)
+    expect(canAccessUser(child, 11)).toBe(false)
+  })
+
+  it('deve permitir que o responsável leia e altere os dados das crianças vinculadas', () => {
+    expect(canAccessUser(guardian, 10, ACCESS.READ)).toBe(true)
+    expect(canAccessUser(guardian, '10', ACCESS.WRITE)).toBe(true)
+    expect(canAccessUser(guardian, 11)).toBe(false)
+  })
+
+  it('deve permitir que o terapeuta apenas leia os dados das crianças vinculadas', () => {
+    expect(canAccessUser(therapist, 11, ACCESS.READ)).toBe(true)
+    expect(canAccessUser(therapist, 11, ACCESS.WRITE)).toBe(false)
+    expect(canAccessUser(therapist, 12)).toBe(false)
+  })
+
+  it('deve permitir acesso total ao administrador da clínica', () => {
+    expect(canAccessUser(admin, 999, ACCESS.WRITE)).toBe(true)
+  })
+
+  it('deve negar acesso sem usuário autenticado', () => {
+    expect(canAccessUser(undefined, 10)).toBe(false)
+  })
+})
+
+describe('canManageTherapyGoals', () => {
+  it('deve permitir metas apenas ao terapeuta da criança e ao administrador', () => {
+    expect(canManageTherapyGoals(therapist, 11)).toBe(true)
+    expect(canManageTherapyGoals(therapist, 12)).toBe(false)
+    expect(canManageTherapyGoals(guardian, 10)).toBe(false)
+    expect(canManageTherapyGoals(admin, 999)).toBe(true)
+    expect(canManageTherapyGoals(undefined, 10)).toBe(false)
+  })
+})
+
+describe('canControlLiveSession', () => {
+  it('deve permitir comandos ao vivo aos adultos vinculados e ao administrador', () => {
+    expect(canControlLiveSession(therapist, 11)).toBe(true)
+    expect(canControlLiveSession(guardian, 10)).toBe(true)
+    expect(canControlLiveSession(guardian, 11)).toBe(false)
+    expect(canControlLiveSession(child, 10)).toBe(false)
+    expect(canControlLiveSession(admin, 999)).toBe(true)
+    expect(canControlLiveSession(undefined, 10)).toBe(false)
+  })
+})
+
+describe('Middlewares de autorização', () => {
+  it('requireRoles deve responder 403 para papéis não permitidos', () => {
+    const next = vi.fn()
+    const res = createResponse()
+
+    requireRoles(ROLES.CLINIC_ADMIN)({ user: therapist }, res, next)
+
+    expect(next).not.toHaveBeenCalled()
+    expect(res.status).toHaveBeenCalledWith(403)
+    expect(res.json.mock.calls[0][0].code).toBe('FORBIDDEN_ROLE')
+  })
+
+  it('requireUserAccess deve bloquear terapeuta fora dos vínculos', () => {
+    const next = vi.fn()
+    const res = createResponse()
+
+    requireUserAccess({ key: 'userId' })({ user: therapist, params: { userId: '12' } }, res, next)
+
+    expect(next).not.toHaveBeenCalled()
+    expect(res.json.mock.calls[0][0].code).toBe('FORBIDDEN_USER')
+  })
+
+  it('requireUserAccess deve restringir consultas sem user_id aos próprios dados', () => {
+    const next = vi.fn()
+    const req = { user: guardian, query: {} }
+
+    requireUserAccess({ source: 'query', key: 'user_id' })(req, createResponse(), next)
+
+    expect(next).toHaveBeenCalled()
+    expect(req.query.user_id).toBe('20')
+  })
+
+  it('requireUserAccess deve liberar consultas globais para o administrador', () => {
+    const next = vi.fn()
+    const req = { user: admin, query: {} }
+
+    requireUserAccess({ source: 'query', key: 'user_id' })(req, createResponse(), next)
+
+    expect(next).toHaveBeenCalled()
+    expect(req.query.user_id).toBeUndefined()
+  })
+})
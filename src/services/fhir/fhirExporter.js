@@ -0,0 +1,320 @@
+/**
+ * @file fhirExporter.js
+ * @description Exportação dos dados clínicos no padrão HL7 FHIR R4
+ * Converte as linhas das tabelas users, game_sessions, cognitive_profiles e
+ * progress_reports em um Bundle do tipo "collection" com recursos Patient,
+ * Observation e DiagnosticReport, aceito pelos prontuários das clínicas parceiras.
+ * O resultado segue o schema em fhir-r4.schema.json (ver scripts/extract-fhir-schema.js).
+ */
+
+export const FHIR_VERSION = '4.0.1'
+export const FHIR_CONTENT_TYPE = 'application/fhir+json'
+
+// Base das URIs dos sistemas de códigos e identificadores do Portal Betina
+export const FHIR_SYSTEM_BASE = 'https://portalbetina.com/fhir'
+
+const SYSTEMS = {
+  userId: `${FHIR_SYSTEM_BASE}/sid/user-id`,
+  game: `${FHIR_SYSTEM_BASE}/CodeSystem/game`,
+  metric: `${FHIR_SYSTEM_BASE}/CodeSystem/game-metric`,
+  cognitive: `${FHIR_SYSTEM_BASE}/CodeSystem/cognitive-profile`,
+  difficulty: `${FHIR_SYSTEM_BASE}/CodeSystem/difficulty`,
+  preferenceLevel: `${FHIR_SYSTEM_BASE}/CodeSystem/preference-level`,
+  report: `${FHIR_SYSTEM_BASE}/CodeSystem/report`,
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  ucum: 'http://unitsofmeasure.org',
+}
+
+const GAME_NAMES = {
+  'memory-game': 'Jogo da Memória',
+  'color-match': 'Combinar Cores',
+  'image-association': 'Associação de Imagens',
+  'letter-recognition': 'Reconhecimento de Letras',
+  'number-counting': 'Números e Contagem',
+  'musical-sequence': 'Sequência Musical',
+}
+
+const DIFFICULTY_NAMES = { EASY: 'Fácil', MEDIUM: 'Médio', HARD: 'Difícil' }
+
+const PREFERENCE_NAMES = { WEAK: 'Fraca', MEDIUM: 'Média', STRONG: 'Forte' }
+
+// Colunas 0-100 de cognitive_profiles
+const COGNITIVE_SCORES = {
+  processing_speed: 'Velocidade de processamento',
+  attention_span: 'Capacidade de atenção',
+  working_memory: 'Memória de trabalho',
+  pattern_recognition: 'Reconhecimento de padrões',
+  visual_learner_score: 'Aprendizagem visual',
+  auditory_learner_score: 'Aprendizagem auditiva',
+  kinesthetic_learner_score: 'Aprendizagem cinestésica',
+  overall_improvement_rate: 'Taxa de melhora geral',
+  consistency_score: 'Consistência',
+  adaptability_score: 'Adaptabilidade',
+  confidence_level: 'Nível de confiança',
+}
+
+const COGNITIVE_PREFERENCES = {
+  memory_preference: 'Preferência por memória',
+  logic_preference: 'Preferência por lógica',
+  creativity_preference: 'Preferência por criatividade',
+  numbers_preference: 'Preferência por números',
+  colors_preference: 'Preferência por cores',
+}
+
+/**
+ * Converte datas do pg (Date ou texto) para o formato instant/dateTime do FHIR
+ * @param {Date|string} value - Data
+ * @returns {string|undefined} Data em ISO 8601 com fuso, ou undefined se inválida
+ */
+export const toFhirDateTime = (value) => {
+  if (!value) return undefined
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString()
+}
+
+// NUMERIC chega do pg como texto; NULL não vira 0
+const toDecimal = (value) => {
+  if (value === null || value === undefined || value === '') return undefined
+  const number = Number(value)
+  return Number.isFinite(number) ? number : undefined
+}
+
+const toInteger = (value) => {
+  const number = toDecimal(value)
+  return Number.isInteger(number) ? number : undefined
+}
+
+const codeable = (system, code, display) => ({
+  coding: [{ system, code, display }],
+  text: display,
+})
+
+const quantity = (value, unit, code) => ({ value, unit, system: SYSTEMS.ucum, code })
+
+// Remove campos undefined e listas vazias (o FHIR não aceita arrays vazios)
+const compact = (resource) =>
+  Object.fromEntries(
+    Object.entries(resource).filter(
+      ([, value]) => value !== undefined && !(Array.isArray(value) && value.length === 0)
+    )
+  )
+
+const component = (code, display, value) => {
+  if (value === undefined) return null
+  return { code: codeable(SYSTEMS.metric, code, display), ...value }
+}
+
+const patientReference = (user) => ({ reference: `Patient/${user.id}` })
+
+const fullUrl = (resource) => `${FHIR_SYSTEM_BASE}/${resource.resourceType}/${resource.id}`
+
+/**
+ * Usuário -> Patient
+ * Contas anônimas não têm nome; só o identificador do Portal Betina é enviado.
+ * @param {Object} user - Linha da tabela users
+ * @returns {Object} Recurso Patient
+ */
+export const mapUserToPatient = (user) =>
+  compact({
+    resourceType: 'Patient',
+    id: String(user.id),
+    meta: compact({ lastUpdated: toFhirDateTime(user.updated_at) }),
+    identifier: [{ system: SYSTEMS.userId, value: String(user.id) }],
+    active: user.active !== false,
+    name: user.display_name && !user.is_anonymous ? [{ text: user.display_name }] : undefined,
+  })
+
+/**
+ * Sessão de jogo -> Observation com as métricas da sessão como componentes
+ * @param {Object} session - Linha da tabela game_sessions
+ * @param {Object} user - Linha da tabela users
+ * @returns {Object} Recurso Observation
+ */
+export const mapGameSessionToObservation = (session, user) => {
+  const gameName = GAME_NAMES[session.game_id] || session.game_id
+  const accuracy = toDecimal(session.accuracy)
+  const score = toInteger(session.score)
+  const timeSpent = toInteger(session.time_spent)
+  const correctAnswers = toInteger(session.correct_answers)
+  const totalAttempts = toInteger(session.total_attempts)
+
+  return compact({
+    resourceType: 'Observation',
+    id: `game-session-${session.id}`,
+    status: 'final',
+    category: [codeable(SYSTEMS.observationCategory, 'therapy', 'Therapy')],
+    code: codeable(SYSTEMS.game, session.game_id, gameName),
+    subject: patientReference(user),
+    effectiveDateTime: toFhirDateTime(session.created_at),
+    valueQuantity: accuracy === undefined ? undefined : quantity(accuracy, '%', '%'),
+    component: [
+      component('score', 'Pontuação', score === undefined ? undefined : { valueInteger: score }),
+      component(
+        'time-spent',
+        'Tempo de jogo',
+        timeSpent === undefined ? undefined : { valueQuantity: quantity(timeSpent, 's', 's') }
+      ),
+      component(
+        'correct-answers',
+        'Respostas corretas',
+        correctAnswers === undefined ? undefined : { valueInteger: correctAnswers }
+      ),
+      component(
+        'total-attempts',
+        'Tentativas',
+        totalAttempts === undefined ? undefined : { valueInteger: totalAttempts }
+      ),
+      component(
+        'difficulty',
+        'Dificuldade',
+        session.difficulty
+          ? {
+              valueCodeableConcept: codeable(
+                SYSTEMS.difficulty,
+                session.difficulty,
+                DIFFICULTY_NAMES[session.difficulty] || session.difficulty
+              ),
+            }
+          : undefined
+      ),
+      component('completed', 'Sessão concluída', { valueBoolean: session.completed !== false }),
+    ].filter(Boolean),
+  })
+}
+
+/**
+ * Perfil cognitivo -> Observation com uma componente por capacidade avaliada
+ * @param {Object} profile - Linha da tabela cognitive_profiles
+ * @param {Object} user - Linha da tabela users
+ * @returns {Object} Recurso Observation
+ */
+export const mapCognitiveProfileToObservation = (profile, user) => {
+  const scores = Object.entries(COGNITIVE_SCORES).map(([column, display]) => {
+    const value = toDecimal(profile[column])
+    return value === undefined
+      ? null
+      : {
+          code: codeable(SYSTEMS.cognitive, column, display),
+          valueQuantity: quantity(value, '%', '%'),
+        }
+  })
+
+  const preferences = Object.entries(COGNITIVE_PREFERENCES).map(([column, display]) =>
+    profile[column]
+      ? {
+          code: codeable(SYSTEMS.cognitive, column, display),
+          valueCodeableConcept: codeable(
+            SYSTEMS.preferenceLevel,
+            profile[column],
+            PREFERENCE_NAMES[profile[column]] || profile[column]
+          ),
+        }
+      : null
+  )
+
+  return compact({
+    resourceType: 'Observation',
+    id: `cognitive-profile-${profile.id}`,
+    status: 'final',
+    category: [codeable(SYSTEMS.observationCategory, 'exam', 'Exam')],
+    code: codeable(SYSTEMS.cognitive, 'cognitive-profile', 'Perfil cognitivo'),
+    subject: patientReference(user),
+    effectiveDateTime: toFhirDateTime(profile.last_updated),
+    note:
+      toInteger(profile.samples_count) === undefined
+        ? undefined
+        : [{ text: `Perfil calculado a partir de ${profile.samples_count} amostra(s)` }],
+    component: [...scores, ...preferences].filter(Boolean),
+  })
+}
+
+/**
+ * Relatório de progresso -> DiagnosticReport
+ * O JSON original vai anexado em presentedForm; as observações do paciente no
+ * bundle são listadas em result.
+ * @param {Object} report - Linha da tabela progress_reports
+ * @param {Object} user - Linha da tabela users
+ * @param {Object[]} observations - Observations do mesmo paciente no bundle
+ * @returns {Object} Recurso DiagnosticReport
+ */
+export const mapProgressReportToDiagnosticReport = (report, user, observations = []) => {
+  const data =
+    typeof report.report_data === 'string' ? JSON.parse(report.report_data) : report.report_data
+  const issued = toFhirDateTime(report.created_at)
+  const reportTime = issued ? new Date(issued).getTime() : Infinity
+
+  return compact({
+    resourceType: 'DiagnosticReport',
+    id: `progress-report-${report.id}`,
+    status: 'final',
+    code: codeable(SYSTEMS.report, 'progress-report', 'Relatório de progresso'),
+    subject: patientReference(user),
+    effectiveDateTime: issued,
+    issued,
+    // Apenas observações registradas até a data do relatório
+    result: observations
+      .filter((observation) => {
+        const time = observation.effectiveDateTime
+          ? new Date(observation.effectiveDateTime).getTime()
+          : 0
+        return time <= reportTime
+      })
+      .map((observation) => ({ reference: `Observation/${observation.id}` })),
+    conclusion: typeof data?.summary === 'string' && data.summary.trim() ? data.summary : undefined,
+    presentedForm: [
+      {
+        contentType: 'application/json',
+        data: Buffer.from(JSON.stringify(data ?? {}), 'utf8').toString('base64'),
+        title: 'Dados do relatório de progresso',
+        creation: issued,
+      },
+    ],
+  })
+}
+
+/**
+ * Monta o Bundle FHIR com todos os dados clínicos de um usuário
+ * @param {Object} params
+ * @param {Object} params.user - Linha da tabela users
+ * @param {Object[]} [params.gameSessions] - Linhas de game_sessions
+ * @param {Object[]} [params.cognitiveProfiles] - Linhas de cognitive_profiles
+ * @param {Object[]} [params.progressReports] - Linhas de progress_reports
+ * @param {Date} [params.timestamp] - Momento da exportação
+ * @returns {Object} Bundle do tipo collection
+ */
+export const buildFhirBundle = ({
+  user,
+  gameSessions = [],
+  cognitiveProfiles = [],
+  progressReports = [],
+  timestamp = new Date(),
+}) => {
+  if (!user?.id) {
+    throw new Error('Usuário obrigatório para exportar o bundle FHIR')
+  }
+
+  const patient = mapUserToPatient(user)
+  const observations = [
+    ...gameSessions.map((session) => mapGameSessionToObservation(session, user)),
+    ...cognitiveProfiles.map((profile) => mapCognitiveProfileToObservation(profile, user)),
+  ]
+  const reports = progressReports.map((report) =>
+    mapProgressReportToDiagnosticReport(report, user, observations)
+  )
+
+  const exportedAt = timestamp.toISOString()
+
+  return {
+    resourceType: 'Bundle',
+    id: `portal-betina-${user.id}-${timestamp.getTime()}`,
+    meta: { lastUpdated: exportedAt },
+    type: 'collection',
+    timestamp: exportedAt,
+    entry: [patient, ...observations, ...reports].map((resource) => ({
+      fullUrl: fullUrl(resource),
+      resource,
+    })),
+  }
+}
+
+export default buildFhirBundle
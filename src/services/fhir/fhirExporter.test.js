@@ -0,0 +1,129 @@
+/**
+ * @file fhirExporter.test.js
+ * @description Testes do bundle FHIR R4, validado offline contra o schema oficial
+ */
+
+import { describe, it, expect } from 'vitest'
+import { buildFhirBundle, mapUserToPatient } from './fhirExporter.js'
+import { validateFhirResource } from './fhirValidator.js'
+
+// Linhas como chegam do pg (NUMERIC em texto, TIMESTAMP em Date)
+const user = {
+  id: 42,
+  display_name: 'Ana Souza',
+  is_anonymous: false,
+  active: true,
+  updated_at: new Date('2025-03-20T12:00:00Z'),
+}
+
+const gameSessions = [
+  {
+    id: 1,
+    user_id: 42,
+    game_id: 'memory-game',
+    difficulty: 'MEDIUM',
+    score: 120,
+    accuracy: '85.50',
+    time_spent: 240,
+    completed: true,
+    correct_answers: 9,
+    total_attempts: 11,
+    created_at: new Date('2025-03-01T14:30:00Z'),
+  },
+  {
+    id: 2,
+    user_id: 42,
+    game_id: 'color-match',
+    difficulty: 'EASY',
+    score: 0,
+    accuracy: null,
+    time_spent: 30,
+    completed: false,
+    correct_answers: 0,
+    total_attempts: 2,
+    created_at: new Date('2025-03-15T09:00:00Z'),
+  },
+]
+
+const cognitiveProfiles = [
+  {
+    id: 7,
+    user_id: 42,
+    processing_speed: '62.00',
+    attention_span: '48.25',
+    working_memory: '55.00',
+    pattern_recognition: null,
+    memory_preference: 'STRONG',
+    colors_preference: 'WEAK',
+    samples_count: 12,
+    last_updated: new Date('2025-03-10T10:00:00Z'),
+  },
+]
+
+const progressReports = [
+  {
+    id: 3,
+    user_id: 42,
+    report_data: { summary: 'Evolução consistente na memória de trabalho', sessions: 2 },
+    created_at: new Date('2025-03-12T18:00:00Z'),
+  },
+]
+
+const resourcesOf = (bundle, type) =>
+  bundle.entry.map((entry) => entry.resource).filter((resource) => resource.resourceType === type)
+
+describe('buildFhirBundle', () => {
+  it('deve gerar um bundle válido no schema FHIR R4', () => {
+    const bundle = buildFhirBundle({ user, gameSessions, cognitiveProfiles, progressReports })
+
+    expect(validateFhirResource(bundle)).toEqual({ valid: true, errors: [] })
+    expect(bundle.type).toBe('collection')
+    expect(bundle.entry).toHaveLength(5)
+  })
+
+  it('deve mapear as métricas da sessão sem transformar NULL em zero', () => {
+    const bundle = buildFhirBundle({ user, gameSessions })
+    const [memory, colors] = resourcesOf(bundle, 'Observation')
+
+    expect(memory.subject).toEqual({ reference: 'Patient/42' })
+    expect(memory.effectiveDateTime).toBe('2025-03-01T14:30:00.000Z')
+    expect(memory.valueQuantity).toMatchObject({ value: 85.5, code: '%' })
+    expect(memory.component.find((item) => item.code.coding[0].code === 'score')).toMatchObject({
+      valueInteger: 120,
+    })
+    expect(colors.valueQuantity).toBeUndefined()
+  })
+
+  it('deve ligar o relatório às observações anteriores a ele', () => {
+    const bundle = buildFhirBundle({ user, gameSessions, cognitiveProfiles, progressReports })
+    const [report] = resourcesOf(bundle, 'DiagnosticReport')
+    const attached = JSON.parse(Buffer.from(report.presentedForm[0].data, 'base64').toString())
+
+    expect(report.result).toEqual([
+      { reference: 'Observation/game-session-1' },
+      { reference: 'Observation/cognitive-profile-7' },
+    ])
+    expect(report.conclusion).toBe('Evolução consistente na memória de trabalho')
+    expect(attached).toEqual(progressReports[0].report_data)
+  })
+
+  it('deve omitir o nome de usuários anônimos', () => {
+    const patient = mapUserToPatient({ ...user, is_anonymous: true })
+
+    expect(patient.name).toBeUndefined()
+    expect(validateFhirResource(patient).valid).toBe(true)
+  })
+
+  it('deve ser detectado pelo schema quando o recurso é inválido', () => {
+    const bundle = buildFhirBundle({ user, gameSessions })
+    resourcesOf(bundle, 'Observation')[0].status = 'concluida'
+
+    const { valid, errors } = validateFhirResource(bundle)
+    expect(valid).toBe(false)
+    expect(errors.length).toBeGreaterThan(0)
+  })
+
+  it('deve exigir o usuário', () => {
+    expect(() => buildFhirBundle({ user: null })).toThrow(/Usuário obrigatório/)
+  })
+})
@@ -0,0 +1,42 @@
+/**
+ * @file fhirValidator.js
+ * @description Validação offline dos bundles exportados contra o schema FHIR R4
+ * O schema oficial (extraído em fhir-r4.schema.json) fica no repositório, então a
+ * exportação é conferida sem acessar a internet antes de sair da API.
+ */
+
+import { createRequire } from 'module'
+import Ajv from 'ajv'
+
+const require = createRequire(import.meta.url)
+
+let validator = null
+
+// O schema é grande; a compilação só acontece na primeira exportação
+const getValidator = () => {
+  if (!validator) {
+    const ajv = new Ajv({ schemaId: 'auto', allErrors: true })
+    ajv.addMetaSchema(require('ajv/lib/refs/json-schema-draft-06.json'))
+    validator = ajv.compile(require('./fhir-r4.schema.json'))
+  }
+  return validator
+}
+
+/**
+ * Valida um recurso ou bundle FHIR R4
+ * @param {Object} resource - Bundle gerado por buildFhirBundle (ou um recurso isolado)
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export const validateFhirResource = (resource) => {
+  const validate = getValidator()
+  const valid = validate(resource)
+
+  return {
+    valid,
+    errors: valid
+      ? []
+      : validate.errors.map((error) => ({ path: error.dataPath || '/', message: error.message })),
+  }
+}
+
+export default validateFhirResource
@@ -0,0 +1,126 @@
+/**
+ * @file idempotency.js
+ * @description Suporte ao header Idempotency-Key nas escritas da API
+ * Tablets que perdem o Wi-Fi reenviam a fila offline sem saber se a requisição
+ * anterior chegou. A primeira resposta de sucesso de cada chave fica gravada em
+ * idempotency_keys e é devolvida de novo nos reenvios, sem repetir a escrita.
+ */
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key'
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/
+
+// Reserva sem resposta depois disto (servidor reiniciado no meio da escrita) pode ser
+// retomada pelo próximo reenvio em vez de responder 409 para sempre
+export const IDEMPOTENCY_RESERVATION_TTL_SECONDS = 120
+
+/**
+ * Cria o middleware de idempotência
+ * Sem o header a requisição segue normalmente. A chave é reservada antes do
+ * handler para que dois reenvios simultâneos não gravem a mesma sessão duas vezes,
+ * e é finalizada quando a resposta termina: sucessos com corpo JSON ficam gravados
+ * para os reenvios; erros, respostas sem JSON e conexões encerradas antes da resposta
+ * liberam a chave.
+ * @param {Object} options
+ * @param {Object} options.pool - Pool do pg
+ * @param {Object} options.logger - Logger winston
+ * @returns {Function} Middleware Express (após o authMiddleware)
+ */
+export const createIdempotencyMiddleware =
+  ({ pool, logger }) =>
+  async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER)
+    if (!key) return next()
+
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        error: `Header ${IDEMPOTENCY_HEADER} inválido`,
+        code: 'INVALID_IDEMPOTENCY_KEY',
+        requestId: req.requestId,
+      })
+    }
+
+    const scope = `${req.method} ${req.route?.path || req.path}`
+
+    try {
+      const reserved = await pool.query(
+        `INSERT INTO idempotency_keys (user_id, idempotency_key, request_scope)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, idempotency_key) DO UPDATE SET created_at = CURRENT_TIMESTAMP
+         WHERE idempotency_keys.status_code IS NULL
+           AND idempotency_keys.request_scope = EXCLUDED.request_scope
+           AND idempotency_keys.created_at < NOW() - $4 * INTERVAL '1 second'
+         RETURNING id`,
+        [req.user.id, key, scope, IDEMPOTENCY_RESERVATION_TTL_SECONDS]
+      )
+
+      if (reserved.rowCount === 0) {
+        const existing = await pool.query(
+          `SELECT request_scope, status_code, response_body FROM idempotency_keys
+           WHERE user_id = $1 AND idempotency_key = $2`,
+          [req.user.id, key]
+        )
+        const stored = existing.rows[0]
+
+        if (stored && stored.request_scope !== scope) {
+          return res.status(422).json({
+            error: 'Chave de idempotência já usada em outra operação',
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            requestId: req.requestId,
+          })
+        }
+        if (!stored || stored.status_code === null) {
+          return res.status(409).json({
+            error: 'Requisição com esta chave ainda está em processamento',
+            code: 'IDEMPOTENCY_IN_PROGRESS',
+            requestId: req.requestId,
+          })
+        }
+
+        res.set('Idempotent-Replayed', 'true')
+        return res.status(stored.status_code).json(stored.response_body)
+      }
+    } catch (err) {
+      logger.error('Erro ao verificar chave de idempotência', { error: err.message })
+      return res.status(500).json({ error: 'Erro interno no servidor' })
+    }
+
+    let body
+    const originalJson = res.json
+    res.json = function (value) {
+      body = value
+      return originalJson.call(this, value)
+    }
+
+    let finalized = false
+    const finalize = (finished) => {
+      if (finalized) return
+      finalized = true
+
+      const statusCode = res.statusCode
+      // Apenas sucessos são reaproveitados; erros liberam a chave para um novo envio
+      const persist =
+        finished && statusCode >= 200 && statusCode < 300 && body !== undefined
+          ? pool.query(
+              `UPDATE idempotency_keys SET status_code = $1, response_body = $2
+               WHERE user_id = $3 AND idempotency_key = $4`,
+              [statusCode, JSON.stringify(body), req.user.id, key]
+            )
+          : pool.query('DELETE FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2', [
+              req.user.id,
+              key,
+            ])
+
+      persist.catch((err) => {
+        logger.error('Erro ao registrar resposta idempotente', { error: err.message })
+      })
+    }
+
+    res.on('finish', () => finalize(true))
+    // Conexão encerrada antes da resposta (timeout, queda do Wi-Fi, handler que nunca respondeu)
+    res.on('close', () => finalize(res.writableFinished))
+
+    next()
+  }
+
+export default createIdempotencyMiddleware
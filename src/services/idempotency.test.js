@@ -0,0 +1,178 @@
+/**
+ * @file idempotency.test.js
+ * @description Testes do header Idempotency-Key usado nos reenvios da fila offline
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import express from 'express'
+import request from 'supertest'
+import { IDEMPOTENCY_RESERVATION_TTL_SECONDS, createIdempotencyMiddleware } from './idempotency.js'
+
+// Pool em memória que entende apenas as consultas do middleware
+const createFakePool = () => {
+  const rows = new Map()
+
+  return {
+    rows,
+    query: vi.fn(async (sql, params) => {
+      const key = `${params.at(-2)}:${params.at(-1)}`
+
+      if (sql.includes('INSERT INTO idempotency_keys')) {
+        const [userId, idempotencyKey, scope, ttlSeconds] = params
+        const rowKey = `${userId}:${idempotencyKey}`
+        const existing = rows.get(rowKey)
+        if (existing) {
+          const expired =
+            existing.status_code === null &&
+            existing.request_scope === scope &&
+            existing.created_at < Date.now() - ttlSeconds * 1000
+          if (!expired) return { rowCount: 0, rows: [] }
+          existing.created_at = Date.now()
+          return { rowCount: 1, rows: [{ id: rows.size }] }
+        }
+        rows.set(rowKey, {
+          request_scope: scope,
+          status_code: null,
+          response_body: null,
+          created_at: Date.now(),
+        })
+        return { rowCount: 1, rows: [{ id: rows.size }] }
+      }
+      if (sql.includes('SELECT')) {
+        return { rowCount: 1, rows: rows.has(key) ? [rows.get(key)] : [] }
+      }
+      if (sql.includes('UPDATE')) {
+        Object.assign(rows.get(key), {
+          status_code: params[0],
+          response_body: JSON.parse(params[1]),
+        })
+        return { rowCount: 1 }
+      }
+      if (sql.includes('DELETE')) {
+        rows.delete(key)
+        return { rowCount: 1 }
+      }
+      throw new Error(`Consulta inesperada: ${sql}`)
+    }),
+  }
+}
+
+const buildApp = (pool, handler) => {
+  const app = express()
+  app.use(express.json())
+  app.use((req, res, next) => {
+    req.user = { id: 10 }
+    next()
+  })
+  const idempotent = createIdempotencyMiddleware({ pool, logger: { error: vi.fn() } })
+  app.post('/game-session', idempotent, handler)
+  app.post('/metrics/events', idempotent, handler)
+  return app
+}
+
+const waitForPersist = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+describe('createIdempotencyMiddleware', () => {
+  it('deve devolver a resposta gravada sem executar o handler novamente', async () => {
+    const pool = createFakePool()
+    let created = 0
+    const app = buildApp(pool, (req, res) => res.status(201).json({ id: ++created }))
+
+    const first = await request(app).post('/game-session').set('Idempotency-Key', 'sessao-0001')
+    await waitForPersist()
+    const replay = await request(app).post('/game-session').set('Idempotency-Key', 'sessao-0001')
+
+    expect(first.status).toBe(201)
+    expect(replay.status).toBe(201)
+    expect(replay.body).toEqual({ id: 1 })
+    expect(replay.headers['idempotent-replayed']).toBe('true')
+    expect(created).toBe(1)
+  })
+
+  it('deve liberar a chave quando a primeira tentativa falha', async () => {
+    const pool = createFakePool()
+    const handler = vi
+      .fn()
+      .mockImplementationOnce((req, res) => res.status(500).json({ error: 'falha' }))
+      .mockImplementationOnce((req, res) => res.status(201).json({ id: 2 }))
+    const app = buildApp(pool, handler)
+
+    await request(app).post('/game-session').set('Idempotency-Key', 'sessao-0002')
+    await waitForPersist()
+    const retry = await request(app).post('/game-session').set('Idempotency-Key', 'sessao-0002')
+
+    expect(retry.status).toBe(201)
+    expect(handler).toHaveBeenCalledTimes(2)
+  })
+
+  it('deve liberar a chave quando a resposta não é JSON ou o handler falha', async () => {
+    const pool = createFakePool()
+    const handler = vi
+      .fn()
+      .mockImplementationOnce((req, res) => res.status(201).send('ok'))
+      .mockImplementationOnce((req, res, next) => next(new Error('falha')))
+      .mockImplementationOnce((req, res) => res.status(201).json({ id: 3 }))
+    const app = buildApp(pool, handler)
+
+    for (const expected of [201, 500, 201]) {
+      const response = await request(app)
+        .post('/game-session')
+        .set('Idempotency-Key', 'sessao-0004')
+      await waitForPersist()
+      expect(response.status).toBe(expected)
+    }
+
+    expect(handler).toHaveBeenCalledTimes(3)
+    expect(pool.rows.get('10:sessao-0004')).toMatchObject({
+      status_code: 201,
+      response_body: { id: 3 },
+    })
+  })
+
+  it('deve retomar uma reserva sem resposta depois do prazo', async () => {
+    const pool = createFakePool()
+    const app = buildApp(pool, (req, res) => res.status(201).json({ id: 5 }))
+    // Reserva deixada por um servidor que caiu no meio da escrita
+    pool.rows.set('10:sessao-0005', {
+      request_scope: 'POST /game-session',
+      status_code: null,
+      response_body: null,
+      created_at: Date.now(),
+    })
+
+    const busy = await request(app).post('/game-session').set('Idempotency-Key', 'sessao-0005')
+    expect(busy.status).toBe(409)
+    expect(busy.body.code).toBe('IDEMPOTENCY_IN_PROGRESS')
+
+    pool.rows.get('10:sessao-0005').created_at -= (IDEMPOTENCY_RESERVATION_TTL_SECONDS + 1) * 1000
+    const resumed = await request(app).post('/game-session').set('Idempotency-Key', 'sessao-0005')
+    await waitForPersist()
+
+    expect(resumed.status).toBe(201)
+    expect(pool.rows.get('10:sessao-0005').status_code).toBe(201)
+  })
+
+  it('deve recusar a mesma chave usada em outra rota', async () => {
+    const pool = createFakePool()
+    const app = buildApp(pool, (req, res) => res.status(201).json({ ok: true }))
+
+    await request(app).post('/game-session').set('Idempotency-Key', 'sessao-0003')
+    await waitForPersist()
+    const reused = await request(app).post('/metrics/events').set('Idempotency-Key', 'sessao-0003')
+
+    expect(reused.status).toBe(422)
+    expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED')
+  })
+
+  it('deve ignorar requisições sem o header e rejeitar chaves inválidas', async () => {
+    const pool = createFakePool()
+    const app = buildApp(pool, (req, res) => res.status(201).json({ ok: true }))
+
+    expect((await request(app).post('/game-session')).status).toBe(201)
+    expect(pool.query).not.toHaveBeenCalled()
+
+    const invalid = await request(app).post('/game-session').set('Idempotency-Key', 'a b')
+    expect(invalid.status).toBe(400)
+    expect(invalid.body.code).toBe('INVALID_IDEMPOTENCY_KEY')
+  })
+})
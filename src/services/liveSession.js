@@ -0,0 +1,413 @@
+/**
+ * @file liveSession.js
+ * @description Sessão ao vivo para teleterapia (Server-Sent Events)
+ * O tablet da criança envia os eventos do jogo; o servidor calcula os indicadores
+ * (engajamento, frustração, acurácia) e transmite eventos e indicadores ao console do
+ * terapeuta. Os comandos do terapeuta (pausar, retomar, mudar a dificuldade, iniciar
+ * uma pausa sensorial) seguem pelo canal de comandos aberto pelo tablet.
+ */
+
+import { calculateFrustrationLevel } from '../utils/emotionalAnalysis/sensoryBreak.js'
+import {
+  ACCESS,
+  ROLES,
+  canControlLiveSession,
+  normalizeRole,
+  requireUserAccess,
+} from './authorization.js'
+
+export const LIVE_EVENT_TYPES = [
+  'session_started',
+  'activity_started',
+  'success',
+  'error',
+  'interaction',
+  'activity_completed',
+  'paused',
+  'resumed',
+  'break_started',
+  'break_finished',
+  'session_ended',
+]
+
+export const LIVE_COMMANDS = Object.freeze({
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  SET_DIFFICULTY: 'set_difficulty',
+  START_BREAK: 'start_break',
+})
+
+export const LIVE_DIFFICULTY_LEVELS = ['easy', 'medium', 'hard']
+
+// Comentário SSE periódico para proxies não fecharem a conexão parada
+export const HEARTBEAT_MS = 15000
+export const MAX_SESSION_EVENTS = 200
+export const MAX_EVENTS_PER_BATCH = 50
+// Janela usada no engajamento e o ritmo considerado engajamento pleno
+export const ENGAGEMENT_WINDOW_MS = 60000
+const FULL_ENGAGEMENT_ACTIONS = 6
+// Sessão sem eventos por este tempo some da lista de sessões ao vivo
+export const SESSION_IDLE_TTL_MS = 30 * 60000
+
+/**
+ * Monta uma mensagem SSE
+ * @param {string} event - Nome do evento
+ * @param {Object} data - Conteúdo em JSON
+ * @param {number} [id]
+ * @returns {string}
+ */
+export const formatSseMessage = (event, data, id) =>
+  `${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+
+/**
+ * Indicadores da sessão a partir dos eventos recebidos
+ * @param {Object[]} events - { type, activityId, at }
+ * @param {number} [now]
+ * @returns {{activityId: string|null, attempts: number, accuracy: number|null, frustration: number, engagement: number, idleMs: number|null, paused: boolean, onBreak: boolean}}
+ */
+export function calculateLiveInsights(events, now = Date.now()) {
+  const started = [...events].reverse().find((event) => event.type === 'activity_started')
+  const activityId = started?.activityId ?? events[events.length - 1]?.activityId ?? null
+  const current = events.filter((event) => !activityId || event.activityId === activityId)
+  const answers = current.filter((event) => event.type === 'success' || event.type === 'error')
+  const successes = answers.filter((event) => event.type === 'success').length
+
+  const actions = events.filter(
+    (event) =>
+      ['success', 'error', 'interaction'].includes(event.type) &&
+      now - event.at <= ENGAGEMENT_WINDOW_MS
+  )
+  const last = events[events.length - 1]
+  const lastOf = (types) => [...events].reverse().find((event) => types.includes(event.type))
+
+  return {
+    activityId,
+    attempts: answers.length,
+    accuracy: answers.length > 0 ? Math.round((successes / answers.length) * 100) : null,
+    frustration: Math.round(calculateFrustrationLevel(answers) * 100) / 100,
+    engagement: Math.round(Math.min(actions.length / FULL_ENGAGEMENT_ACTIONS, 1) * 100) / 100,
+    idleMs: last ? Math.max(0, now - last.at) : null,
+    paused: lastOf(['paused', 'resumed'])?.type === 'paused',
+    onBreak: lastOf(['break_started', 'break_finished'])?.type === 'break_started',
+  }
+}
+
+/**
+ * Valida e normaliza um comando do terapeuta
+ * @param {Object} command - { type, level?, minutes? }
+ * @returns {{valid: boolean, errors: string[], command: Object|null}}
+ */
+export function validateLiveCommand(command = {}) {
+  const errors = []
+  const type = command.type
+  const normalized = { type }
+
+  if (!Object.values(LIVE_COMMANDS).includes(type)) {
+    errors.push('Comando desconhecido')
+  } else if (type === LIVE_COMMANDS.SET_DIFFICULTY) {
+    if (!LIVE_DIFFICULTY_LEVELS.includes(command.level)) {
+      errors.push(`Dificuldade deve ser ${LIVE_DIFFICULTY_LEVELS.join(', ')}`)
+    }
+    normalized.level = command.level
+  } else if (type === LIVE_COMMANDS.START_BREAK && command.minutes !== undefined) {
+    const minutes = Number(command.minutes)
+    if (!(minutes > 0 && minutes <= 10)) errors.push('A pausa deve ter de 1 a 10 minutos')
+    normalized.minutes = minutes
+  }
+
+  return { valid: errors.length === 0, errors, command: errors.length === 0 ? normalized : null }
+}
+
+/**
+ * Sessões ao vivo em memória, uma por criança
+ * O processo da API guarda apenas o necessário para o console; o histórico completo
+ * continua sendo gravado pelas rotas de sessão de jogo.
+ */
+export class LiveSessionHub {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger] - Logger winston
+   * @param {Function} [options.now] - Relógio (testes)
+   * @param {number} [options.heartbeatMs]
+   */
+  constructor({ logger = console, now = Date.now, heartbeatMs = HEARTBEAT_MS } = {}) {
+    this.logger = logger
+    this.now = now
+    this.heartbeatMs = heartbeatMs
+    this.sessions = new Map()
+    this.nextMessageId = 1
+  }
+
+  getSession(childId) {
+    const key = String(childId)
+    if (!this.sessions.has(key)) {
+      this.sessions.set(key, {
+        childId: key,
+        events: [],
+        consoles: new Set(),
+        devices: new Set(),
+        startedAt: this.now(),
+        updatedAt: this.now(),
+      })
+    }
+    return this.sessions.get(key)
+  }
+
+  /**
+   * Resumo de uma sessão para o console
+   * @param {string|number} childId
+   * @returns {Object}
+   */
+  describeSession(childId) {
+    const session = this.getSession(childId)
+    return {
+      childId: session.childId,
+      startedAt: session.startedAt,
+      updatedAt: session.updatedAt,
+      deviceConnected: session.devices.size > 0,
+      insights: calculateLiveInsights(session.events, this.now()),
+    }
+  }
+
+  /**
+   * Sessões ativas (com tablet conectado ou eventos recentes)
+   * @param {Array<string|number>|null} [childIds] - Crianças visíveis; null para todas
+   * @returns {Object[]}
+   */
+  listSessions(childIds = null) {
+    const visible = childIds ? childIds.map(String) : null
+    const now = this.now()
+    this.sessions.forEach((session, key) => {
+      const connected = session.devices.size > 0 || session.consoles.size > 0
+      if (!connected && now - session.updatedAt >= SESSION_IDLE_TTL_MS) this.sessions.delete(key)
+    })
+    return [...this.sessions.values()]
+      .filter((session) => !visible || visible.includes(session.childId))
+      .filter(
+        (session) => session.devices.size > 0 || now - session.updatedAt < SESSION_IDLE_TTL_MS
+      )
+      .map((session) => this.describeSession(session.childId))
+  }
+
+  broadcast(clients, event, data) {
+    const message = formatSseMessage(event, data, this.nextMessageId++)
+    clients.forEach((res) => {
+      res.write(message)
+      // O middleware de compressão segura o conteúdo sem o flush
+      res.flush?.()
+    })
+  }
+
+  /**
+   * Recebe eventos do tablet e repassa eventos e indicadores aos consoles
+   * @param {string|number} childId
+   * @param {Object[]} events
+   * @returns {Object} Indicadores atualizados
+   */
+  publishEvents(childId, events) {
+    const session = this.getSession(childId)
+    const now = this.now()
+    // Ancora os horários do tablet no relógio do servidor, mantendo o intervalo entre eventos
+    const clientTimes = events.map((event) => Number(event.at) || now)
+    const offset = now - Math.max(...clientTimes)
+    const received = events.map((event, index) => ({
+      type: event.type,
+      activityId: event.activityId ?? null,
+      data: event.data ?? null,
+      at: clientTimes[index] + offset,
+    }))
+
+    session.events = [...session.events, ...received].slice(-MAX_SESSION_EVENTS)
+    session.updatedAt = this.now()
+    if (received.some((event) => event.type === 'session_started')) {
+      session.startedAt = this.now()
+    }
+
+    const insights = calculateLiveInsights(session.events, this.now())
+    received.forEach((event) => this.broadcast(session.consoles, 'session-event', event))
+    this.broadcast(session.consoles, 'insights', insights)
+    return insights
+  }
+
+  /**
+   * Envia um comando ao tablet da criança
+   * @param {string|number} childId
+   * @param {Object} command - Já validado
+   * @param {Object} [issuedBy] - { id, role }
+   * @returns {{command: Object, delivered: number}}
+   */
+  sendCommand(childId, command, issuedBy = null) {
+    const session = this.getSession(childId)
+    const issued = { ...command, issuedBy, issuedAt: this.now() }
+    this.broadcast(session.devices, 'command', issued)
+    this.broadcast(session.consoles, 'command', issued)
+    this.logger.info('Comando de sessão ao vivo enviado', {
+      childId: session.childId,
+      type: command.type,
+      delivered: session.devices.size,
+    })
+    return { command: issued, delivered: session.devices.size }
+  }
+
+  // Abre o fluxo SSE e registra o cliente até a conexão fechar
+  attach(req, res, clients, onClose) {
+    res.status(200)
+    res.set({
+      'Content-Type': 'text/event-stream',
+      // no-transform também impede a compressão de segurar o fluxo
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    })
+    res.flushHeaders?.()
+    clients.add(res)
+
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n')
+      res.flush?.()
+    }, this.heartbeatMs)
+    heartbeat.unref?.()
+
+    req.on('close', () => {
+      clearInterval(heartbeat)
+      clients.delete(res)
+      onClose?.()
+    })
+  }
+
+  /**
+   * Console do terapeuta: recebe o estado atual e depois cada evento
+   * @param {string|number} childId
+   * @param {Object} req
+   * @param {Object} res
+   */
+  attachConsole(childId, req, res) {
+    const session = this.getSession(childId)
+    this.attach(req, res, session.consoles)
+    res.write(
+      formatSseMessage('snapshot', {
+        ...this.describeSession(childId),
+        events: session.events.slice(-20),
+      })
+    )
+  }
+
+  /**
+   * Tablet da criança: recebe os comandos do terapeuta
+   * @param {string|number} childId
+   * @param {Object} req
+   * @param {Object} res
+   */
+  attachDevice(childId, req, res) {
+    const session = this.getSession(childId)
+    this.attach(req, res, session.devices, () =>
+      this.broadcast(session.consoles, 'device', { connected: session.devices.size > 0 })
+    )
+    res.write(formatSseMessage('ready', { childId: session.childId }))
+    this.broadcast(session.consoles, 'device', { connected: true })
+  }
+
+  /**
+   * Fecha todas as conexões (encerramento do servidor)
+   */
+  close() {
+    this.sessions.forEach((session) => {
+      session.consoles.forEach((res) => res.end())
+      session.devices.forEach((res) => res.end())
+    })
+    this.sessions.clear()
+  }
+}
+
+const invalidLiveRequest = (req, res, errors) =>
+  res.status(400).json({ error: 'Dados inválidos', details: errors, requestId: req.requestId })
+
+/**
+ * Registra as rotas da sessão ao vivo no roteador versionado
+ * @param {Object} apiRouter - createVersionedRouter
+ * @param {LiveSessionHub} hub
+ */
+export function registerLiveSessionRoutes(apiRouter, hub) {
+  const childParams = { userId: { type: 'integer', required: true, min: 1 } }
+
+  apiRouter.get('/live-sessions', {
+    summary: 'Lista as sessões ao vivo das crianças vinculadas',
+    tags: ['Sessão ao vivo'],
+    auth: true,
+    responses: { 200: 'Sessões ativas ({ data })' },
+    handler: (req, res) => {
+      const isAdmin = normalizeRole(req.user.role) === ROLES.CLINIC_ADMIN
+      const childIds = isAdmin ? null : [req.user.id, ...(req.user.children || [])]
+      res.json({ data: hub.listSessions(childIds) })
+    },
+  })
+
+  apiRouter.get('/live-sessions/:userId/stream', {
+    summary: 'Fluxo SSE de eventos e indicadores da sessão para o console do terapeuta',
+    tags: ['Sessão ao vivo'],
+    auth: true,
+    params: childParams,
+    responses: { 200: 'text/event-stream (snapshot, session-event, insights, command, device)' },
+    middleware: [requireUserAccess({ key: 'userId' })],
+    handler: (req, res) => hub.attachConsole(req.params.userId, req, res),
+  })
+
+  apiRouter.get('/live-sessions/:userId/commands', {
+    summary: 'Fluxo SSE de comandos do terapeuta para o tablet da criança',
+    tags: ['Sessão ao vivo'],
+    auth: true,
+    params: childParams,
+    responses: { 200: 'text/event-stream (ready, command)' },
+    middleware: [requireUserAccess({ key: 'userId', access: ACCESS.WRITE })],
+    handler: (req, res) => hub.attachDevice(req.params.userId, req, res),
+  })
+
+  apiRouter.post('/live-sessions/:userId/events', {
+    summary: 'Recebe eventos do jogo em andamento',
+    tags: ['Sessão ao vivo'],
+    auth: true,
+    params: childParams,
+    responses: { 200: 'Indicadores atualizados', 400: 'Eventos inválidos' },
+    middleware: [requireUserAccess({ key: 'userId', access: ACCESS.WRITE })],
+    handler: (req, res) => {
+      const events = req.body?.events
+      if (!Array.isArray(events) || events.length === 0) {
+        return invalidLiveRequest(req, res, ['Envie ao menos um evento'])
+      }
+      if (events.length > MAX_EVENTS_PER_BATCH) {
+        return invalidLiveRequest(req, res, [`Máximo de ${MAX_EVENTS_PER_BATCH} eventos por envio`])
+      }
+      const unknown = events.filter((event) => !LIVE_EVENT_TYPES.includes(event?.type))
+      if (unknown.length > 0) {
+        return invalidLiveRequest(req, res, ['Tipo de evento desconhecido'])
+      }
+      res.json({ insights: hub.publishEvents(req.params.userId, events) })
+    },
+  })
+
+  apiRouter.post('/live-sessions/:userId/commands', {
+    summary: 'Envia um comando do terapeuta ao tablet (pausar, retomar, dificuldade, pausa)',
+    tags: ['Sessão ao vivo'],
+    auth: true,
+    params: childParams,
+    responses: {
+      202: 'Comando enviado',
+      400: 'Comando inválido',
+      403: 'Sem vínculo com a criança',
+    },
+    handler: (req, res) => {
+      if (!canControlLiveSession(req.user, req.params.userId)) {
+        return res.status(403).json({
+          error: 'Apenas adultos vinculados podem comandar a sessão desta criança',
+          code: 'FORBIDDEN_LIVE_SESSION',
+          requestId: req.requestId,
+        })
+      }
+      const { valid, errors, command } = validateLiveCommand(req.body)
+      if (!valid) return invalidLiveRequest(req, res, errors)
+
+      const issuedBy = { id: req.user.id, role: req.user.role }
+      res.status(202).json(hub.sendCommand(req.params.userId, command, issuedBy))
+    },
+  })
+}
@@ -0,0 +1,197 @@
+/**
+ * @file liveSession.test.js
+ * @description Testes da sessão ao vivo com um servidor local em processo: o tablet envia
+ * eventos, o console recebe eventos e indicadores, o terapeuta comanda o tablet
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
+import http from 'http'
+import express from 'express'
+import { createVersionedRouter } from './apiRouter.js'
+import { ROLES } from './authorization.js'
+import {
+  LIVE_COMMANDS,
+  LiveSessionHub,
+  calculateLiveInsights,
+  registerLiveSessionRoutes,
+  validateLiveCommand,
+} from './liveSession.js'
+import { createSseParser } from '../utils/sessions/liveSessionClient.js'
+
+const USERS = {
+  child: { id: 10, role: ROLES.CHILD, children: [] },
+  therapist: { id: 30, role: ROLES.THERAPIST, children: [10] },
+  stranger: { id: 31, role: ROLES.THERAPIST, children: [99] },
+}
+
+// O usuário da requisição vem de um cabeçalho, no lugar do JWT
+const fakeAuth = (req, res, next) => {
+  req.user = USERS[req.headers['x-test-user']]
+  if (!req.user) return res.status(401).json({ error: 'Não autenticado' })
+  next()
+}
+
+describe('Sessão ao vivo', () => {
+  let server
+  let hub
+  let baseUrl
+
+  beforeAll(async () => {
+    hub = new LiveSessionHub({ logger: { info: vi.fn() } })
+    const apiRouter = createVersionedRouter({ version: 'v1', appVersion: 'test' })
+    registerLiveSessionRoutes(apiRouter, hub)
+
+    const app = express()
+    app.use(express.json())
+    app.use(apiRouter.basePath, apiRouter.buildRouter({ authMiddleware: fakeAuth }))
+    server = app.listen(0)
+    await new Promise((resolve) => server.once('listening', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}${apiRouter.basePath}`
+  })
+
+  afterAll(async () => {
+    hub.close()
+    await new Promise((resolve) => server.close(resolve))
+  })
+
+  // O fetch global é simulado no setup dos testes; aqui vai pelo http do Node
+  const post = (path, user, body) =>
+    new Promise((resolve, reject) => {
+      const req = http.request(
+        `${baseUrl}${path}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'x-test-user': user },
+        },
+        (res) => {
+          let text = ''
+          res.setEncoding('utf8')
+          res.on('data', (chunk) => (text += chunk))
+          res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }))
+        }
+      )
+      req.on('error', reject)
+      req.end(JSON.stringify(body))
+    })
+
+  // Abre um fluxo SSE e guarda as mensagens recebidas
+  const openStream = (path, user) =>
+    new Promise((resolve, reject) => {
+      const messages = []
+      const waiters = []
+      const parse = createSseParser((message) => {
+        messages.push(message)
+        waiters.forEach((waiter) => waiter())
+      })
+
+      const req = http.get(`${baseUrl}${path}`, { headers: { 'x-test-user': user } }, (res) => {
+        res.setEncoding('utf8')
+        res.on('data', parse)
+        const waitFor = (event) =>
+          new Promise((resolveMessage) => {
+            const check = () => {
+              const found = messages.find((message) => message.event === event)
+              if (found) resolveMessage(found.data)
+            }
+            waiters.push(check)
+            check()
+          })
+        resolve({ status: res.statusCode, headers: res.headers, messages, waitFor, res, req })
+      })
+      req.on('error', reject)
+    })
+
+  it('deve transmitir eventos e indicadores ao console e comandos ao tablet', async () => {
+    const consoleStream = await openStream('/live-sessions/10/stream', 'therapist')
+    expect(consoleStream.status).toBe(200)
+    expect(consoleStream.headers['content-type']).toMatch('text/event-stream')
+    expect((await consoleStream.waitFor('snapshot')).deviceConnected).toBe(false)
+
+    const device = await openStream('/live-sessions/10/commands', 'child')
+    expect(await device.waitFor('ready')).toEqual({ childId: '10' })
+    expect(await consoleStream.waitFor('device')).toEqual({ connected: true })
+
+    const now = Date.now()
+    const { status, body } = await post('/live-sessions/10/events', 'child', {
+      events: [
+        { type: 'activity_started', activityId: 'color-match', at: now - 3000 },
+        { type: 'success', activityId: 'color-match', at: now - 2000 },
+        { type: 'error', activityId: 'color-match', at: now - 1000 },
+      ],
+    })
+    expect(status).toBe(200)
+    expect(body.insights).toMatchObject({ activityId: 'color-match', attempts: 2, accuracy: 50 })
+
+    const insights = await consoleStream.waitFor('insights')
+    expect(insights.accuracy).toBe(50)
+    expect(
+      consoleStream.messages.filter((message) => message.event === 'session-event')
+    ).toHaveLength(3)
+
+    const sent = await post('/live-sessions/10/commands', 'therapist', {
+      type: LIVE_COMMANDS.PAUSE,
+    })
+    expect(sent.status).toBe(202)
+    expect(sent.body.delivered).toBe(1)
+    expect(await device.waitFor('command')).toMatchObject({
+      type: 'pause',
+      issuedBy: { id: 30, role: ROLES.THERAPIST },
+    })
+
+    expect(hub.listSessions([10])).toEqual([
+      expect.objectContaining({ childId: '10', deviceConnected: true }),
+    ])
+
+    // Tablet fechado: o console fica sabendo
+    device.req.destroy()
+    await vi.waitFor(() =>
+      expect(
+        consoleStream.messages.filter((message) => message.event === 'device').pop().data
+      ).toEqual({ connected: false })
+    )
+    consoleStream.req.destroy()
+  })
+
+  it('deve recusar comandos e acompanhamento de quem não tem vínculo com a criança', async () => {
+    const fromChild = await post('/live-sessions/10/commands', 'child', { type: 'pause' })
+    expect(fromChild.status).toBe(403)
+    expect(fromChild.body.code).toBe('FORBIDDEN_LIVE_SESSION')
+
+    const invalid = await post('/live-sessions/10/commands', 'therapist', {
+      type: LIVE_COMMANDS.SET_DIFFICULTY,
+      level: 'impossivel',
+    })
+    expect(invalid.status).toBe(400)
+
+    const badEvents = await post('/live-sessions/10/events', 'child', { events: [{ type: 'x' }] })
+    expect(badEvents.status).toBe(400)
+
+    const stranger = await openStream('/live-sessions/10/stream', 'stranger')
+    expect(stranger.status).toBe(403)
+    stranger.req.destroy()
+  })
+
+  it('deve calcular os indicadores e validar os comandos', () => {
+    const now = 100000
+    const events = [
+      { type: 'activity_started', activityId: 'memory-game', at: 1000 },
+      { type: 'error', activityId: 'memory-game', at: now - 40000 },
+      { type: 'error', activityId: 'memory-game', at: now - 30000 },
+      { type: 'error', activityId: 'memory-game', at: now - 20000 },
+      { type: 'error', activityId: 'memory-game', at: now - 10000 },
+      { type: 'break_started', activityId: 'memory-game', at: now - 5000 },
+    ]
+    const insights = calculateLiveInsights(events, now)
+    expect(insights).toMatchObject({ attempts: 4, accuracy: 0, idleMs: 5000, onBreak: true })
+    expect(insights.frustration).toBeGreaterThan(0.7)
+    expect(insights.engagement).toBeCloseTo(4 / 6, 2)
+    expect(calculateLiveInsights([], now)).toMatchObject({ accuracy: null, engagement: 0 })
+
+    expect(validateLiveCommand({ type: 'start_break', minutes: 2 }).command).toEqual({
+      type: 'start_break',
+      minutes: 2,
+    })
+    expect(validateLiveCommand({ type: 'start_break', minutes: 30 }).valid).toBe(false)
+    expect(validateLiveCommand({ type: 'reboot' }).errors).toEqual(['Comando desconhecido'])
+  })
+})
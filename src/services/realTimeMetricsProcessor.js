@@ -9,6 +9,11 @@
 
 import databaseService from './databaseService.js'
 import { logger } from '../utils/logger.js'
+import {
+  getCurrentFrustrationLevel,
+  getSensoryBreakSettings,
+  suggestSensoryBreak,
+} from '../utils/emotionalAnalysis/sensoryBreak.js'
 
 // 🚀 CARREGAMENTO DINÂMICO SEGURO DOS MÓDULOS CORRIGIDOS
 let MultisensoryMetricsCollector, NeuropedagogicalAnalyzer
@@ -450,6 +455,16 @@ class RealTimeMetricsProcessor {
         insights,
         session
       )
+      // A pausa sensorial chega à criança pelo useSensoryBreak da atividade
+      const sensoryBreak = insights.therapeuticInterventions.find(
+        (intervention) => intervention.type === 'sensory_break'
+      )
+      if (sensoryBreak) {
+        sensoryBreak.dispatched = suggestSensoryBreak(session.activityId, {
+          level: sensoryBreak.frustrationLevel ?? null,
+          reason: sensoryBreak.reason,
+        })
+      }
 
       // 📊 ATUALIZAÇÃO DE PARÂMETROS ADAPTATIVOS
       insights.adaptiveParameters = await this.calculateAdaptiveParameters(insights, session)
@@ -1082,6 +1097,22 @@ class RealTimeMetricsProcessor {
       })
     }
 
+    // Intervenção por frustração acima do limite configurado pelo responsável
+    const frustrationLevel = getCurrentFrustrationLevel(session.activityId)
+    const { sensoryBreakMode, sensoryBreakThreshold, sensoryBreakMinutes } =
+      getSensoryBreakSettings()
+    if (sensoryBreakMode !== 'off' && frustrationLevel >= sensoryBreakThreshold) {
+      interventions.push({
+        type: 'sensory_break',
+        action: sensoryBreakMode === 'auto' ? 'start_calm_down' : 'offer_calm_down',
+        duration: sensoryBreakMinutes * 60000,
+        reason: 'Frustração acima do limite durante o jogo',
+        frustrationLevel,
+        autismSpecific: true,
+        timestamp: Date.now(),
+      })
+    }
+
     // Intervenção por padrões repetitivos excessivos
     if (insights.sensorData?.repetitivePatterns?.severity > 0.8) {
       interventions.push({
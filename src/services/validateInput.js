@@ -41,12 +41,14 @@ export const validateInput = (schema) => {
  * @param {Object} schema - Esquema de validação
  * @returns {Object} Resultado da validação
  */
-function validateSchema(data, schema) {
+export function validateSchema(data, schema) {
   const result = {
     valid: true,
     errors: [],
   }
 
+  data = data || {}
+
   // Para cada propriedade no schema
   Object.keys(schema).forEach((key) => {
     const rules = schema[key]
@@ -68,7 +70,7 @@ function validateSchema(data, schema) {
       }
 
       // Validar min/max para números
-      if (rules.type === 'number') {
+      if (rules.type === 'number' || rules.type === 'integer') {
         if (rules.min !== undefined && value < rules.min) {
           result.valid = false
           result.errors.push(`Campo '${key}' deve ser maior ou igual a ${rules.min}`)
@@ -119,6 +121,8 @@ function checkType(value, type) {
       return typeof value === 'string'
     case 'number':
       return typeof value === 'number' && !isNaN(value)
+    case 'integer':
+      return Number.isInteger(value)
     case 'boolean':
       return typeof value === 'boolean'
     case 'array':
@@ -230,4 +234,117 @@ export const gameSessionSchema = {
   time_spent: { type: 'number', min: 0 },
 }
 
+// updated_at conhecido pelo cliente quando a edição começou (edições feitas offline)
+const baseUpdatedAt = { type: 'string', maxLength: 40 }
+
+export const preferencesSchema = {
+  preferences: { type: 'object', required: true },
+  base_updated_at: baseUpdatedAt,
+}
+
+export const profileCreateSchema = {
+  profile_name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  preferences: { type: 'object' },
+}
+
+export const profileUpdateSchema = {
+  profile_name: { type: 'string', minLength: 1, maxLength: 100 },
+  profile_icon: { type: 'string' },
+  profile_color: { type: 'string' },
+  age_range: { type: 'string' },
+  preferences: { type: 'object' },
+  is_active: { type: 'boolean' },
+  base_updated_at: baseUpdatedAt,
+}
+
+export const metricsEventsSchema = {
+  user_id: { type: 'integer', required: true, min: 1 },
+  events: { type: 'array', required: true },
+}
+
+const preferenceLevel = { type: 'string', enum: ['WEAK', 'MEDIUM', 'STRONG'] }
+
+export const cognitiveProfileSchema = {
+  user_id: { type: 'integer', required: true, min: 1 },
+  processing_speed: { type: 'number', min: 0, max: 100 },
+  attention_span: { type: 'number', min: 0, max: 100 },
+  working_memory: { type: 'number', min: 0, max: 100 },
+  pattern_recognition: { type: 'number', min: 0, max: 100 },
+  visual_learner_score: { type: 'number', min: 0, max: 100 },
+  auditory_learner_score: { type: 'number', min: 0, max: 100 },
+  kinesthetic_learner_score: { type: 'number', min: 0, max: 100 },
+  memory_preference: preferenceLevel,
+  logic_preference: preferenceLevel,
+  creativity_preference: preferenceLevel,
+  numbers_preference: preferenceLevel,
+  colors_preference: preferenceLevel,
+}
+
+export const loginSchema = {
+  username: { type: 'string', required: true, minLength: 3, maxLength: 50 },
+  password: { type: 'string', required: true, minLength: 8, maxLength: 128 },
+}
+
+export const staffUserSchema = {
+  ...userSchema,
+  password: { type: 'string', required: true, minLength: 8, maxLength: 128 },
+  role: { type: 'string', required: true, enum: ['guardian', 'therapist', 'clinic_admin'] },
+}
+
+export const careAssignmentSchema = {
+  caregiver_id: { type: 'integer', required: true, min: 1 },
+  child_id: { type: 'integer', required: true, min: 1 },
+}
+
+// Regras de jogo, métrica e alvo ficam em validateGoalCriteria (database/goals)
+const therapyGoalFields = {
+  title: { type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 2000 },
+  domain: { type: 'string', maxLength: 50 },
+  game_id: { type: 'string', maxLength: 50 },
+  difficulty: { type: 'string', enum: ['EASY', 'MEDIUM', 'HARD'] },
+  metric: { type: 'string', maxLength: 30 },
+  comparator: { type: 'string', enum: ['gte', 'lte'] },
+  target: { type: 'number' },
+  min_trials: { type: 'integer', min: 0 },
+  required_sessions: { type: 'integer', min: 1, max: 20 },
+  target_date: { type: 'string', maxLength: 40 },
+}
+
+export const therapyGoalCreateSchema = {
+  ...therapyGoalFields,
+  user_id: { type: 'integer', required: true, min: 1 },
+  title: { ...therapyGoalFields.title, required: true },
+  game_id: { ...therapyGoalFields.game_id, required: true },
+  metric: { ...therapyGoalFields.metric, required: true },
+  target: { ...therapyGoalFields.target, required: true },
+}
+
+export const therapyGoalUpdateSchema = {
+  ...therapyGoalFields,
+  // 'mastered' só vem das sessões de jogo, registrado pelo servidor
+  status: { type: 'string', enum: ['active', 'paused', 'discontinued'] },
+  note: { type: 'string', maxLength: 500 },
+  deleted: { type: 'boolean' },
+}
+
+// Configurações do AccessibilityService; declinedChanges só muda pela decisão do responsável
+export const accessibilitySettingsSchema = {
+  visual: { type: 'object' },
+  auditory: { type: 'object' },
+  motor: { type: 'object' },
+  communication: { type: 'object' },
+  cognitive: { type: 'object' },
+  sensory: { type: 'object' },
+  pendingChanges: { type: 'object' },
+  therapyOptimizations: { type: 'object' },
+  updateHistory: { type: 'array' },
+  lastUpdated: { type: 'string', maxLength: 40 },
+}
+
+export const accessibilityDecisionSchema = {
+  approve: { type: 'boolean', required: true },
+  categories: { type: 'array' },
+}
+
 export default validateInput
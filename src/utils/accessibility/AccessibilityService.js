@@ -1,5 +1,20 @@
-import logger from '../metrics/performanceMonitor.js'
+import logger from '../logger.js'
+import { getMotorTrends } from '../metrics/motorAnalysis.js'
+import { listSessionReplays } from '../sessions/sessionReplay.js'
+import { ACCESS, ROLES, canAccessUser } from '../../services/authorization.js'
 import { getDatabaseConfig } from '../../database/core/DatabaseConfig.js'
+import * as needDetection from './needDetection.js'
+import { changeSignature } from './needDetection.js'
+import { getAacCommunicationMetrics, getAacSettings, suggestAacGridSize } from './aacAnswers.js'
+
+// Sessões de jogo recentes consideradas na detecção de necessidades
+const RECENT_SESSIONS_LIMIT = 30
+const READ_OPTIONS = { includeAccessibility: false, sensoryOptimization: false, useCache: false }
+
+// Valores aceitos em configurações de texto (fontSize tem validação própria)
+const SETTING_OPTIONS = {
+  'auditory.speechRate': ['slow', 'normal', 'fast'],
+}
 
 class AccessibilityService {
   constructor(crudService, cache, profileService) {
@@ -40,6 +55,10 @@ class AccessibilityService {
         gestureControl: false,
         eyeTracking: false,
       },
+      communication: {
+        symbolSupport: false,
+        simplifiedLanguage: false,
+      },
       cognitive: {
         simplifiedInterface: false,
         visualCues: true,
@@ -93,10 +112,10 @@ class AccessibilityService {
         })
       }
 
-      // Detecção automática de necessidades
+      // Detecção automática de necessidades: vira proposta até o responsável confirmar
       if (autoDetect) {
         const detectedNeeds = await this.detectAccessibilityNeeds(userId)
-        settings = await this.applyDetectedNeeds(settings, detectedNeeds)
+        settings.pendingChanges = await this.proposeDetectedChanges(userId, settings, detectedNeeds)
       }
 
       // Adicionar recomendações
@@ -137,7 +156,10 @@ class AccessibilityService {
       } = options
 
       // Obter configurações atuais
-      const currentSettings = await this.getAccessibilitySettings(userId, { useCache: false })
+      const currentSettings = await this.getAccessibilitySettings(userId, {
+        useCache: false,
+        autoDetect: false,
+      })
 
       // Validar mudanças
       if (validateChanges) {
@@ -277,6 +299,149 @@ class AccessibilityService {
       }
     }
 
+    // Aplicar detecções de comunicação
+    if (detectedNeeds.communication?.detected) {
+      updatedSettings.communication = {
+        ...updatedSettings.communication,
+        ...detectedNeeds.communication.recommendations,
+      }
+    }
+
+    return updatedSettings
+  }
+
+  // **Propostas de Mudança e Confirmação do Responsável**
+
+  /**
+   * Mudanças sugeridas pelas detecções que ainda não estão nas configurações
+   * Mudanças já recusadas pelo responsável não são propostas de novo.
+   * @param {Object} settings - Configurações atuais
+   * @param {Object} detectedNeeds - Resultado de detectAccessibilityNeeds
+   * @returns {{changes: Object, reasons: Object}} Mudanças por categoria e indicadores de cada uma
+   */
+  buildDetectedChanges(settings, detectedNeeds) {
+    const declined = new Set(settings.declinedChanges || [])
+    const changes = {}
+    const reasons = {}
+
+    Object.entries(detectedNeeds || {}).forEach(([category, need]) => {
+      if (!need?.detected) return
+      Object.entries(need.recommendations || {}).forEach(([key, value]) => {
+        if (settings[category]?.[key] === value) return
+        if (declined.has(changeSignature(category, key, value))) return
+        changes[category] = { ...changes[category], [key]: value }
+        reasons[category] = need.indicators || []
+      })
+    })
+
+    return { changes, reasons }
+  }
+
+  /**
+   * Guarda as mudanças detectadas como pendentes de confirmação do responsável
+   * Categorias reprovadas em validateAccessibilityChanges são descartadas.
+   * @param {string|number} userId
+   * @param {Object} settings - Configurações atuais
+   * @param {Object} detectedNeeds
+   * @returns {Promise<Object|null>} Proposta pendente
+   */
+  async proposeDetectedChanges(userId, settings, detectedNeeds) {
+    const { changes, reasons } = this.buildDetectedChanges(settings, detectedNeeds)
+
+    const validChanges = {}
+    for (const [category, categoryChanges] of Object.entries(changes)) {
+      const validation = await this.validateAccessibilityChanges(settings, {
+        [category]: categoryChanges,
+      })
+      if (validation.valid) {
+        validChanges[category] = categoryChanges
+      } else {
+        logger.warn('Detected accessibility changes rejected', {
+          userId,
+          category,
+          errors: validation.errors,
+        })
+      }
+    }
+
+    const previous = settings.pendingChanges || null
+    if (Object.keys(validChanges).length === 0) return previous
+    if (JSON.stringify(previous?.changes) === JSON.stringify(validChanges)) return previous
+
+    const pendingChanges = {
+      changes: validChanges,
+      reasons: Object.fromEntries(
+        Object.keys(validChanges).map((category) => [category, reasons[category]])
+      ),
+      detectedAt: new Date().toISOString(),
+      status: 'awaiting_guardian',
+    }
+
+    await this.crud
+      .update(
+        'accessibility_settings',
+        userId,
+        { pendingChanges },
+        { trackChanges: false, parentNotification: true }
+      )
+      .catch((error) =>
+        logger.warn('Could not save pending accessibility changes', {
+          userId,
+          error: error.message,
+        })
+      )
+
+    logger.info('Accessibility changes awaiting guardian confirmation', {
+      userId,
+      categories: Object.keys(validChanges),
+    })
+
+    return pendingChanges
+  }
+
+  /**
+   * Mudanças detectadas que aguardam o responsável, com os indicadores de cada categoria
+   * @param {string|number} userId
+   * @returns {Promise<Object|null>} pendingChanges salvo ou null
+   */
+  async getPendingChanges(userId) {
+    const settings = await this.crud
+      .read('accessibility_settings', userId, READ_OPTIONS)
+      .catch(() => null)
+    return settings?.pendingChanges || null
+  }
+
+  /**
+   * Responsável aprova ou recusa as mudanças pendentes
+   * A decisão vai para a rota de confirmação da API, que confere de novo o papel de
+   * responsável e o vínculo com a criança antes de gravar. As mudanças recusadas não
+   * voltam a ser propostas.
+   * @param {string|number} userId - Criança
+   * @param {Object} guardian - Usuário autenticado (id, role, children)
+   * @param {Object} [options]
+   * @param {boolean} [options.approve=true]
+   * @param {Array<string>} [options.categories] - Categorias decididas; por padrão todas
+   * @returns {Promise<Object>} Configurações atualizadas
+   */
+  async confirmDetectedChanges(userId, guardian, { approve = true, categories } = {}) {
+    if (guardian?.role !== ROLES.GUARDIAN || !canAccessUser(guardian, userId, ACCESS.WRITE)) {
+      throw new Error('Only a linked guardian can confirm accessibility changes')
+    }
+
+    const endpoint = `${this.crud.getEntityEndpoint('accessibility_settings', userId)}/pending-changes/decision`
+    const updatedSettings = await this.crud.connection.post(endpoint, {
+      approve,
+      ...(categories && { categories }),
+    })
+    this.cache.delete(`accessibility:${userId}`)
+
+    logger.info('Detected accessibility changes decided by guardian', {
+      userId,
+      guardianId: guardian.id,
+      approved: approve,
+      categories: categories || 'all',
+    })
+
     return updatedSettings
   }
 
@@ -291,7 +456,11 @@ class AccessibilityService {
 
       const adaptations = {
         sensoryProcessing: await this.generateSensoryProcessingAdaptations(profile, settings),
-        socialCommunication: await this.generateSocialCommunicationAdaptations(profile, settings),
+        socialCommunication: await this.generateSocialCommunicationAdaptations(
+          profile,
+          settings,
+          userId
+        ),
         executiveFunction: await this.generateExecutiveFunctionAdaptations(profile, settings),
         behavioralSupport: await this.generateBehavioralSupportAdaptations(profile, settings),
         environmentalModifications: await this.generateEnvironmentalModifications(
@@ -335,21 +504,33 @@ class AccessibilityService {
     }
   }
 
-  async generateSocialCommunicationAdaptations(profile, settings) {
+  async generateSocialCommunicationAdaptations(profile, settings, userId) {
     const communicationProfile = profile.communicationProfile || {}
+    // Uso da prancha CAA neste dispositivo (respostas e palavras essenciais)
+    const aacUsage = getAacCommunicationMetrics(userId)
+    const usesAac = aacUsage.selections > 0
+    const { aacGridSize } = getAacSettings()
 
     return {
       visualSupports: {
         useVisualSchedules: true,
-        providePictureCards: communicationProfile.preferredMethods?.includes('visual'),
+        providePictureCards: communicationProfile.preferredMethods?.includes('visual') || usesAac,
         socialStories: true,
         visualCues: settings.cognitive?.visualCues || true,
       },
       communicationAids: {
         textToSpeech: settings.auditory?.audioDescriptions || false,
         speechToText: true,
-        symbolSupport: communicationProfile.nonverbalCommunication === 'primary',
+        symbolSupport: communicationProfile.nonverbalCommunication === 'primary' || usesAac,
         gestureRecognition: settings.motor?.gestureControl || false,
+        aacAnswerMode: {
+          recommended: communicationProfile.nonverbalCommunication === 'primary' || usesAac,
+          usage: aacUsage,
+          // Colunas da prancha sugeridas pelo acerto recente
+          suggestedGridSize: suggestAacGridSize(aacUsage, aacGridSize),
+          // Palavras essenciais usadas: a criança comenta e pede, não só responde
+          spontaneousCommunication: aacUsage.coreWords > 0,
+        },
       },
       socialInteraction: {
         provideSocialScripts: true,
@@ -537,6 +718,22 @@ class AccessibilityService {
   async validateAccessibilityChanges(currentSettings, updates) {
     const errors = []
 
+    // Categorias e chaves conhecidas, com o mesmo tipo do padrão
+    Object.entries(updates || {}).forEach(([category, values]) => {
+      const defaults = this.defaultSettings[category]
+      if (!defaults || typeof values !== 'object' || values === null) return
+      Object.entries(values).forEach(([key, value]) => {
+        const path = `${category}.${key}`
+        if (!(key in defaults)) {
+          errors.push(`Unknown setting ${path}`)
+        } else if (typeof value !== typeof defaults[key]) {
+          errors.push(`Invalid type for ${path}`)
+        } else if (SETTING_OPTIONS[path] && !SETTING_OPTIONS[path].includes(value)) {
+          errors.push(`Invalid value for ${path}`)
+        }
+      })
+    })
+
     // Validar configurações visuais
     if (updates.visual) {
       if (
@@ -580,32 +777,56 @@ class AccessibilityService {
     return optimized
   }
 
-  // **Placeholder methods para funcionalidades futuras**
+  // **Dados para Detecção**
   async getRecentSessionHistory(userId) {
-    return []
+    try {
+      const response = await this.crud.readMany(
+        'game_sessions',
+        { user_id: userId },
+        { ...READ_OPTIONS, sort: 'created_at', order: 'desc', limit: RECENT_SESSIONS_LIMIT }
+      )
+      return response?.data || []
+    } catch (error) {
+      logger.warn('Could not load recent game sessions', { userId, error: error.message })
+      return []
+    }
   }
+
   async getRecentBehaviorData(userId) {
-    return {}
+    // Interações gravadas neste dispositivo: replays de sessão e traços de toque e arrasto
+    const interactions = needDetection.summarizeInteractions(listSessionReplays(userId))
+    const motorTrends = getMotorTrends(userId)
+    const motor = needDetection.detectMotorNeeds(null, [], { motorTrends })
+
+    return {
+      ...interactions,
+      motorTrends,
+      motorChallenges: motor.detected ? motor.confidence : 0,
+    }
   }
+
+  // Regras em needDetection.js
   async detectVisualNeeds(profile, sessions, behavior) {
-    return { detected: false }
+    return needDetection.detectVisualNeeds(profile, sessions, behavior)
   }
   async detectAuditoryNeeds(profile, sessions, behavior) {
-    return { detected: false }
+    return needDetection.detectAuditoryNeeds(profile, sessions, behavior)
   }
   async detectMotorNeeds(profile, sessions, behavior) {
-    return { detected: false }
+    return needDetection.detectMotorNeeds(profile, sessions, behavior)
   }
   async detectCognitiveNeeds(profile, sessions, behavior) {
-    return { detected: false }
+    return needDetection.detectCognitiveNeeds(profile, sessions, behavior)
   }
   async detectSensoryNeeds(profile, sessions, behavior) {
-    return { detected: false }
+    return needDetection.detectSensoryNeeds(profile, sessions, behavior)
   }
   async detectCommunicationNeeds(profile, sessions, behavior) {
-    return { detected: false }
+    return needDetection.detectCommunicationNeeds(profile, sessions, behavior)
   }
 
+  // **Placeholder methods para funcionalidades futuras**
+
   async processDetectionRules(detectedNeeds, profile) {
     return detectedNeeds
   }
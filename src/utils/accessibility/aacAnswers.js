@@ -0,0 +1,278 @@
+/**
+ * @file aacAnswers.js
+ * @description Modo de resposta por CAA (comunicação aumentativa e alternativa)
+ * Com o modo ativo, as respostas dos jogos viram símbolos de uma prancha, no tamanho de
+ * grade e no conjunto de símbolos escolhidos no painel de acessibilidade (os conjuntos vêm
+ * dos pacotes de conteúdo, em 'aac-symbols'). Cada símbolo tocado é falado em voz alta e
+ * registrado no histórico de comunicação da criança, que o AccessibilityService usa nas
+ * adaptações de comunicação social.
+ */
+
+import { SCAN_SETTINGS_KEY } from './switchScanning.js'
+import { speakPhrase } from '../tts/phrasePlayer.js'
+
+// Colunas da prancha oferecidas no painel
+export const AAC_GRID_SIZES = [2, 3, 4]
+
+export const AAC_DEFAULTS = {
+  aacMode: false,
+  aacGridSize: 2,
+  // Id do conjunto em 'aac-symbols' nos pacotes de conteúdo
+  aacSymbolSet: 'pictures',
+}
+
+const AAC_LOG_PREFIX = 'betina_aac_log_'
+
+export const MAX_AAC_EVENTS = 500
+// Período considerado nas métricas de comunicação (dias)
+export const AAC_METRICS_WINDOW_DAYS = 30
+// Fala do símbolo que não termina (voz travada) não segura a resposta além disto (ms)
+export const AAC_LABEL_MAX_MS = 3000
+
+// Limites usados para sugerir o tamanho da prancha
+export const AAC_THRESHOLDS = {
+  minAnswers: 20,
+  growAccuracy: 0.8,
+  shrinkAccuracy: 0.5,
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const logKey = (userId) => `${AAC_LOG_PREFIX}${userId || 'local'}`
+
+/**
+ * Configuração do modo CAA salva pelo painel de acessibilidade
+ * @param {Object} [settings] - Configurações do painel; por padrão as do localStorage
+ * @returns {{aacMode: boolean, aacGridSize: number, aacSymbolSet: string}}
+ */
+export function getAacSettings(settings) {
+  let source = settings
+  if (!source) {
+    try {
+      source = JSON.parse(localStorage.getItem(SCAN_SETTINGS_KEY) || '{}') || {}
+    } catch (error) {
+      console.error('Erro ao carregar configurações do modo CAA:', error)
+      source = {}
+    }
+  }
+  const gridSize = Number(source.aacGridSize)
+  return {
+    aacMode: Boolean(source.aacMode ?? AAC_DEFAULTS.aacMode),
+    aacGridSize: AAC_GRID_SIZES.includes(gridSize) ? gridSize : AAC_DEFAULTS.aacGridSize,
+    aacSymbolSet:
+      typeof source.aacSymbolSet === 'string' && source.aacSymbolSet
+        ? source.aacSymbolSet
+        : AAC_DEFAULTS.aacSymbolSet,
+  }
+}
+
+/**
+ * Conjunto de símbolos escolhido, ou o primeiro disponível se ele não existir mais
+ * @param {Object} [symbolSets] - Conteúdo 'aac-symbols' dos pacotes
+ * @param {string} [setId]
+ * @returns {Object|null}
+ */
+export function getAacSymbolSet(symbolSets = {}, setId = AAC_DEFAULTS.aacSymbolSet) {
+  const sets = symbolSets || {}
+  const chosen = sets[setId] || sets[AAC_DEFAULTS.aacSymbolSet] || Object.values(sets)[0]
+  return chosen || null
+}
+
+/**
+ * Símbolos da prancha para as respostas de uma pergunta
+ * Quando o conjunto tem símbolo para a resposta (pelo `symbol` ou pela `key`), a figura e
+ * a palavra dele substituem as do jogo; conjuntos só de palavras não mostram figura.
+ * @param {Array<Object>} answers - { key, label, symbol?, emoji?, image?, alt?, audio? }
+ * @param {Object} [symbolSet] - Resultado de getAacSymbolSet
+ * @returns {Array<{key: string, label: string, emoji: string|null, image: string|null, alt: string, audio: string|null}>}
+ */
+export function resolveAacTiles(answers = [], symbolSet = null) {
+  const symbols = symbolSet?.symbols || {}
+  const pictures = symbolSet?.pictures !== false
+
+  return answers.map((answer) => {
+    const symbol = symbols[answer.symbol ?? answer.key] || {}
+    const label = symbol.label || answer.label
+    const image = symbol.image || (symbol.emoji ? null : answer.image) || null
+    return {
+      key: String(answer.key),
+      label,
+      emoji: pictures && !image ? symbol.emoji || answer.emoji || null : null,
+      image: pictures ? image : null,
+      alt: symbol.alt || answer.alt || label,
+      audio: symbol.audio || answer.audio || null,
+    }
+  })
+}
+
+/**
+ * Fala a palavra do símbolo: o áudio do pacote, se houver, senão a voz da criança
+ * (gravação do responsável ou voz sintetizada com o perfil de voz)
+ * @param {Object} tile - Símbolo de resolveAacTiles
+ * @param {Object} [options]
+ * @param {Function} [options.speak] - Padrão: speakPhrase
+ * @param {number} [options.maxMs]
+ * @returns {{done: Promise<string>, cancel: Function}}
+ */
+export function speakAacLabel(tile, { speak = speakPhrase, maxMs = AAC_LABEL_MAX_MS } = {}) {
+  let playback
+  if (tile.audio && typeof Audio !== 'undefined') {
+    const audio = new Audio(tile.audio)
+    playback = {
+      done: new Promise((resolve) => {
+        audio.onended = () => resolve('ended')
+        audio.onerror = () => resolve('failed')
+        audio.play().catch(() => resolve('failed'))
+      }),
+      cancel: () => audio.pause(),
+    }
+  } else {
+    playback = speak(tile.label)
+  }
+
+  let timer
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve('timeout'), maxMs)
+  })
+  return {
+    done: Promise.race([playback.done.catch(() => 'failed'), timeout]).finally(() =>
+      clearTimeout(timer)
+    ),
+    cancel: playback.cancel,
+  }
+}
+
+/**
+ * Histórico de uso da prancha da criança, do mais recente para o mais antigo
+ * @param {string} [userId] - Sem ID usa o histórico local do dispositivo
+ * @returns {Array<Object>}
+ */
+export function listAacEvents(userId) {
+  try {
+    if (typeof localStorage === 'undefined') return []
+    const stored = JSON.parse(localStorage.getItem(logKey(userId)) || '[]')
+    return Array.isArray(stored) ? stored : []
+  } catch (error) {
+    console.error('Erro ao carregar histórico de comunicação:', error)
+    return []
+  }
+}
+
+/**
+ * Registra um símbolo tocado na prancha
+ * @param {Object} selection
+ * @param {string} [selection.userId]
+ * @param {string} selection.activityId
+ * @param {string} selection.symbol - Resposta ou palavra essencial
+ * @param {string} [selection.label] - Palavra falada
+ * @param {'answer'|'core'} [selection.kind]
+ * @param {boolean|null} [selection.correct] - Só para respostas
+ * @param {number|null} [selection.responseTimeMs] - Da pergunta até o toque
+ * @param {number} [selection.now]
+ * @returns {Object|null} Registro salvo
+ */
+export function recordAacSelection({
+  userId,
+  activityId,
+  symbol,
+  label = '',
+  kind = 'answer',
+  correct = null,
+  responseTimeMs = null,
+  now = Date.now(),
+} = {}) {
+  if (!activityId || !symbol) return null
+
+  const entry = {
+    activityId,
+    symbol: String(symbol),
+    label,
+    kind,
+    correct: kind === 'answer' && typeof correct === 'boolean' ? correct : null,
+    responseTimeMs: Number.isFinite(responseTimeMs)
+      ? Math.max(0, Math.round(responseTimeMs))
+      : null,
+    at: new Date(now).toISOString(),
+  }
+
+  try {
+    if (typeof localStorage !== 'undefined') {
+      const events = [entry, ...listAacEvents(userId)].slice(0, MAX_AAC_EVENTS)
+      localStorage.setItem(logKey(userId), JSON.stringify(events))
+    }
+  } catch (error) {
+    console.error('Erro ao salvar histórico de comunicação:', error)
+  }
+  return entry
+}
+
+/**
+ * Métricas de comunicação pela prancha no período
+ * @param {string} [userId]
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {number} [options.windowDays=AAC_METRICS_WINDOW_DAYS]
+ * @returns {{selections: number, answers: number, coreWords: number, accuracy: number|null, averageResponseMs: number|null, vocabulary: number, activeDays: number, activities: Object, topSymbols: Array<Object>, lastUsedAt: string|null}}
+ */
+export function getAacCommunicationMetrics(
+  userId,
+  { now = Date.now(), windowDays = AAC_METRICS_WINDOW_DAYS } = {}
+) {
+  const since = now - windowDays * DAY_MS
+  const events = listAacEvents(userId).filter((event) => Date.parse(event.at) >= since)
+  const answers = events.filter((event) => event.kind === 'answer')
+  const graded = answers.filter((event) => event.correct !== null)
+  const timed = answers.filter((event) => event.responseTimeMs !== null)
+
+  const counts = new Map()
+  const activities = {}
+  events.forEach((event) => {
+    const current = counts.get(event.symbol) || {
+      symbol: event.symbol,
+      label: event.label,
+      count: 0,
+    }
+    current.count++
+    counts.set(event.symbol, current)
+    activities[event.activityId] = (activities[event.activityId] || 0) + 1
+  })
+
+  return {
+    selections: events.length,
+    answers: answers.length,
+    coreWords: events.length - answers.length,
+    accuracy: graded.length
+      ? Math.round((graded.filter((event) => event.correct).length / graded.length) * 100) / 100
+      : null,
+    averageResponseMs: timed.length
+      ? Math.round(timed.reduce((sum, event) => sum + event.responseTimeMs, 0) / timed.length)
+      : null,
+    // Símbolos diferentes usados: quanto do vocabulário da prancha a criança já usa
+    vocabulary: counts.size,
+    activeDays: new Set(events.map((event) => event.at.slice(0, 10))).size,
+    activities,
+    topSymbols: [...counts.values()].sort((a, b) => b.count - a.count).slice(0, 5),
+    lastUsedAt: events[0]?.at || null,
+  }
+}
+
+/**
+ * Tamanho de prancha sugerido pelo uso: mais colunas quando a criança acerta com
+ * folga, menos quando erra muito
+ * @param {Object} metrics - Resultado de getAacCommunicationMetrics
+ * @param {number} [gridSize] - Colunas atuais
+ * @returns {number}
+ */
+export function suggestAacGridSize(metrics, gridSize = AAC_DEFAULTS.aacGridSize) {
+  const index = Math.max(0, AAC_GRID_SIZES.indexOf(gridSize))
+  if (!metrics || metrics.answers < AAC_THRESHOLDS.minAnswers || metrics.accuracy === null) {
+    return AAC_GRID_SIZES[index]
+  }
+  if (metrics.accuracy >= AAC_THRESHOLDS.growAccuracy) {
+    return AAC_GRID_SIZES[Math.min(index + 1, AAC_GRID_SIZES.length - 1)]
+  }
+  if (metrics.accuracy < AAC_THRESHOLDS.shrinkAccuracy) {
+    return AAC_GRID_SIZES[Math.max(index - 1, 0)]
+  }
+  return AAC_GRID_SIZES[index]
+}
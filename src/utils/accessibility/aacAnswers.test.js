@@ -0,0 +1,209 @@
+/**
+ * @file aacAnswers.test.js
+ * @description Testes do modo de resposta por CAA: prancha, histórico de comunicação e
+ * adaptações de comunicação social
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  AAC_DEFAULTS,
+  getAacCommunicationMetrics,
+  getAacSettings,
+  getAacSymbolSet,
+  recordAacSelection,
+  resolveAacTiles,
+  speakAacLabel,
+  suggestAacGridSize,
+} from './aacAnswers.js'
+import { AccessibilityService } from './AccessibilityService.js'
+import {
+  getGameContent,
+  installContentPack,
+  setContentPackEnabled,
+} from '../content/contentPackRegistry.js'
+
+const T0 = Date.parse('2026-10-01T12:00:00Z')
+const DAY = 24 * 60 * 60 * 1000
+
+const familyPack = {
+  id: 'familia-ana',
+  name: 'Família da Ana',
+  assets: { mae: { type: 'image', src: 'data:image/png;base64,iVBOR', alt: 'Mamãe sorrindo' } },
+  content: {
+    'aac-symbols': {
+      symbolSets: {
+        pictures: {
+          name: 'Fotos da família',
+          core: [{ id: 'help', label: 'me ajuda', emoji: '🆘' }],
+          symbols: { happy: { label: 'feliz como a mamãe', image: 'mae' } },
+        },
+      },
+    },
+  },
+}
+
+describe('Modo de resposta por CAA', () => {
+  let store
+
+  beforeEach(() => {
+    store = {}
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null)
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value
+    })
+  })
+
+  afterEach(() => {
+    localStorage.getItem.mockReset()
+    localStorage.setItem.mockReset()
+  })
+
+  it('deve ler a configuração do painel e ignorar tamanhos de prancha fora das opções', () => {
+    expect(getAacSettings({})).toEqual(AAC_DEFAULTS)
+    expect(getAacSettings({ aacMode: true, aacGridSize: '3', aacSymbolSet: 'words' })).toEqual({
+      aacMode: true,
+      aacGridSize: 3,
+      aacSymbolSet: 'words',
+    })
+    expect(getAacSettings({ aacGridSize: 7, aacSymbolSet: '' })).toMatchObject({
+      aacGridSize: 2,
+      aacSymbolSet: 'pictures',
+    })
+  })
+
+  it('deve montar os símbolos com o conjunto escolhido e os pacotes da criança', () => {
+    const { symbolSets } = getGameContent('aac-symbols')
+    const answers = [
+      { key: 'happy', label: 'Feliz', emoji: '🙂' },
+      { key: 'bone', label: 'Osso', emoji: '🦴' },
+    ]
+
+    expect(resolveAacTiles(answers, getAacSymbolSet(symbolSets, 'pictures'))).toMatchObject([
+      { key: 'happy', label: 'feliz', emoji: '😊', image: null },
+      { key: 'bone', label: 'Osso', emoji: '🦴' },
+    ])
+    // Só palavras: nenhuma figura
+    expect(resolveAacTiles(answers, getAacSymbolSet(symbolSets, 'words'))).toMatchObject([
+      { label: 'feliz', emoji: null, image: null },
+      { label: 'Osso', emoji: null, image: null },
+    ])
+    // Conjunto que não existe mais cai no padrão
+    expect(getAacSymbolSet(symbolSets, 'apagado').name).toBe('Símbolos com figuras')
+
+    installContentPack(familyPack)
+    setContentPackEnabled(10, 'familia-ana', true)
+    const family = getAacSymbolSet(getGameContent('aac-symbols', { userId: 10 }).symbolSets)
+    expect(family.name).toBe('Fotos da família')
+    // Palavras essenciais combinadas pelo id, mantendo a posição na prancha
+    expect(family.core.map((word) => word.label)).toEqual([
+      'sim',
+      'não',
+      'de novo',
+      'me ajuda',
+      'não sei',
+    ])
+    expect(resolveAacTiles(answers, family)[0]).toEqual({
+      key: 'happy',
+      label: 'feliz como a mamãe',
+      emoji: null,
+      image: 'data:image/png;base64,iVBOR',
+      alt: 'Mamãe sorrindo',
+      audio: null,
+    })
+  })
+
+  it('deve resumir o uso da prancha no período e sugerir o tamanho da grade', () => {
+    for (let i = 0; i < 24; i++) {
+      recordAacSelection({
+        userId: 'ana',
+        activityId: i % 2 ? 'letter-recognition' : 'emotional-puzzle',
+        symbol: i % 3 ? 'happy' : 'sad',
+        label: i % 3 ? 'feliz' : 'triste',
+        correct: i % 6 !== 0,
+        responseTimeMs: 2000,
+        now: T0 + i * 60000,
+      })
+    }
+    recordAacSelection({
+      userId: 'ana',
+      activityId: 'image-association',
+      symbol: 'help',
+      label: 'ajuda',
+      kind: 'core',
+      correct: true,
+      now: T0 + DAY,
+    })
+    // Fora do período de 30 dias
+    recordAacSelection({
+      userId: 'ana',
+      activityId: 'image-association',
+      symbol: 'bone',
+      now: T0 - 40 * DAY,
+    })
+
+    const metrics = getAacCommunicationMetrics('ana', { now: T0 + 2 * DAY })
+    expect(metrics).toMatchObject({
+      selections: 25,
+      answers: 24,
+      coreWords: 1,
+      accuracy: 0.83,
+      averageResponseMs: 2000,
+      vocabulary: 3,
+      activeDays: 2,
+      activities: { 'letter-recognition': 12, 'emotional-puzzle': 12, 'image-association': 1 },
+      lastUsedAt: new Date(T0 + DAY).toISOString(),
+    })
+    expect(metrics.topSymbols[0]).toEqual({ symbol: 'happy', label: 'feliz', count: 16 })
+    expect(getAacCommunicationMetrics('outra-crianca').selections).toBe(0)
+
+    expect(suggestAacGridSize(metrics, 2)).toBe(3)
+    expect(suggestAacGridSize(metrics, 4)).toBe(4)
+    expect(suggestAacGridSize({ ...metrics, accuracy: 0.4 }, 3)).toBe(2)
+    expect(suggestAacGridSize({ ...metrics, answers: 5 }, 2)).toBe(2)
+  })
+
+  it('deve levar o uso da prancha às adaptações de comunicação social', async () => {
+    // Só os métodos de adaptação; o construtor depende da configuração do banco
+    const service = Object.create(AccessibilityService.prototype)
+    const profile = { communicationProfile: { nonverbalCommunication: 'secondary' } }
+
+    const before = await service.generateSocialCommunicationAdaptations(profile, {}, 'bia')
+    expect(before.communicationAids).toMatchObject({
+      symbolSupport: false,
+      aacAnswerMode: { recommended: false, suggestedGridSize: 2 },
+    })
+
+    recordAacSelection({
+      userId: 'bia',
+      activityId: 'image-association',
+      symbol: 'again',
+      kind: 'core',
+    })
+    const after = await service.generateSocialCommunicationAdaptations(profile, {}, 'bia')
+    expect(after.visualSupports.providePictureCards).toBe(true)
+    expect(after.communicationAids).toMatchObject({
+      symbolSupport: true,
+      aacAnswerMode: { recommended: true, spontaneousCommunication: true },
+    })
+    expect(after.communicationAids.aacAnswerMode.usage.coreWords).toBe(1)
+  })
+
+  it('deve falar o símbolo sem segurar a resposta quando a voz não termina', async () => {
+    vi.useFakeTimers()
+    const cancel = vi.fn()
+    const speak = vi.fn(() => ({ done: new Promise(() => {}), cancel }))
+
+    const playback = speakAacLabel({ label: 'feliz', audio: null }, { speak, maxMs: 1000 })
+    expect(speak).toHaveBeenCalledWith('feliz')
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(await playback.done).toBe('timeout')
+    expect(playback.cancel).toBe(cancel)
+
+    const spoken = speakAacLabel(
+      { label: 'sim' },
+      { speak: () => ({ done: Promise.resolve('ended'), cancel }) }
+    )
+    expect(await spoken.done).toBe('ended')
+    vi.useRealTimers()
+  })
+})
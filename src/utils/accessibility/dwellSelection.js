@@ -0,0 +1,91 @@
+/**
+ * @file dwellSelection.js
+ * @description Seleção por permanência para olhar (eye tracker) e ponteiro de cabeça
+ * Manter o ponteiro sobre um alvo pelo tempo configurado o seleciona. Enquanto o modo
+ * está ativo, os alvos menores que o mínimo do jogo em ACCESSIBILITY_STANDARDS são
+ * aumentados.
+ */
+
+import { ACCESSIBILITY_STANDARDS } from '../standards/activityStandards.js'
+import { SCAN_SETTINGS_KEY } from './switchScanning.js'
+
+// Tempos de permanência oferecidos no painel (ms)
+export const DWELL_TIMES = [800, 1200, 1500, 2000, 3000]
+
+export const DWELL_DEFAULTS = {
+  dwellClick: false,
+  dwellTime: 1500,
+}
+
+// Permanências mais curtas que isto são o ponteiro só passando pelo alvo
+export const DWELL_MIN_ATTEMPT_MS = 300
+
+const RESIZED_ATTRIBUTE = 'data-dwell-resized'
+
+/**
+ * Configuração de permanência salva pelo painel de acessibilidade
+ * @param {Object} [settings] - Configurações do painel; por padrão as do localStorage
+ * @returns {{dwellClick: boolean, dwellTime: number}}
+ */
+export function getDwellSettings(settings) {
+  let source = settings
+  if (!source) {
+    try {
+      source = JSON.parse(localStorage.getItem(SCAN_SETTINGS_KEY) || '{}') || {}
+    } catch (error) {
+      console.error('Erro ao carregar configurações de permanência:', error)
+      source = {}
+    }
+  }
+  const dwellTime = Number(source.dwellTime)
+  return {
+    dwellClick: Boolean(source.dwellClick ?? DWELL_DEFAULTS.dwellClick),
+    dwellTime: dwellTime > 0 ? dwellTime : DWELL_DEFAULTS.dwellTime,
+  }
+}
+
+/**
+ * Tamanho mínimo dos alvos de um jogo
+ * @param {string} [activityId]
+ * @returns {number} Lado mínimo em px
+ */
+export function getMinTargetSize(activityId) {
+  const sizes = ACCESSIBILITY_STANDARDS.TARGET_SIZES
+  return sizes[activityId] || sizes.default
+}
+
+/**
+ * Aumenta os alvos menores que o mínimo
+ * Áreas de pintura (SVG) não têm tamanho mínimo e ficam como estão.
+ * @param {Element[]} targets - Alvos da atividade
+ * @param {number} minSize - Lado mínimo em px
+ * @returns {number} Quantidade de alvos aumentados
+ */
+export function enforceTargetSizes(targets, minSize) {
+  let resized = 0
+  targets.forEach((element) => {
+    if (!(element instanceof HTMLElement) || element.hasAttribute(RESIZED_ATTRIBUTE)) return
+    const { width, height } = element.getBoundingClientRect()
+    if (width >= minSize && height >= minSize) return
+
+    // Guarda os valores do jogo para restaurar depois
+    element.setAttribute(RESIZED_ATTRIBUTE, `${element.style.minWidth}|${element.style.minHeight}`)
+    element.style.minWidth = `${minSize}px`
+    element.style.minHeight = `${minSize}px`
+    resized++
+  })
+  return resized
+}
+
+/**
+ * Desfaz os aumentos de enforceTargetSizes
+ * @param {HTMLElement} root - Conteúdo da atividade
+ */
+export function restoreTargetSizes(root) {
+  root?.querySelectorAll(`[${RESIZED_ATTRIBUTE}]`).forEach((element) => {
+    const [minWidth, minHeight] = element.getAttribute(RESIZED_ATTRIBUTE).split('|')
+    element.removeAttribute(RESIZED_ATTRIBUTE)
+    element.style.minWidth = minWidth
+    element.style.minHeight = minHeight
+  })
+}
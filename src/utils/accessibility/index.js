@@ -1,4 +1,8 @@
 // Auto-generated barrel file
+export * from './aacAnswers.js';
 export * from './accessibility.js';
 export * from './AccessibilityAnalyzer.js';
 export * from './AccessibilityService.js';
+export * from './dwellSelection.js';
+export * from './needDetection.js';
+export * from './switchScanning.js';
@@ -0,0 +1,279 @@
+/**
+ * @file needDetection.js
+ * @description Regras de detecção de necessidades de acessibilidade
+ * Cada detector lê as sessões de jogo recentes (game_sessions) e os dados de
+ * interação da criança (replays de sessão e tendências motoras) e devolve
+ * { detected, confidence, indicators, recommendations }. As recomendações são só
+ * propostas: o AccessibilityService valida e espera a confirmação do responsável,
+ * feita pela rota da API com decidePendingChanges.
+ */
+
+import { detectMotorDifficulties } from '../metrics/motorAnalysis.js'
+
+// Jogos que exigem mais de cada área
+export const GAME_DEMANDS = {
+  visual: ['color-match', 'visual-patterns'],
+  auditory: ['musical-sequence'],
+  language: ['letter-recognition', 'image-association'],
+  memory: ['memory-game'],
+}
+
+export const NEED_THRESHOLDS = {
+  // Sessões mínimas de um grupo de jogos para concluir algo sobre ele
+  minSessions: 3,
+  // Sessões com replay mínimas para usar os dados de interação
+  minReplays: 3,
+  lowAccuracy: 50,
+  // Diferença (pontos de acerto) entre o grupo de jogos e os demais
+  accuracyGap: 20,
+  ttsRepeatsPerSession: 1.5,
+  hesitationRate: 0.25,
+  incompleteRatio: 0.5,
+  pausesPerSession: 2,
+  // Sessões mais curtas que isto e incompletas contam como abandono precoce (segundos)
+  shortSessionSeconds: 60,
+}
+
+const mean = (values) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100)
+
+const accuracyOf = (sessions) => mean(sessions.map((session) => Number(session.accuracy) || 0))
+
+// Acerto médio dos jogos do grupo e dos demais jogos
+const groupAccuracy = (sessions, games) => {
+  const inGroup = sessions.filter((session) => games.includes(session.game_id))
+  const others = sessions.filter((session) => !games.includes(session.game_id))
+  return {
+    count: inGroup.length,
+    accuracy: accuracyOf(inGroup),
+    othersAccuracy: accuracyOf(others),
+  }
+}
+
+// Acerto baixo no grupo; se houver outros jogos, também bem abaixo deles
+const struggles = ({ count, accuracy, othersAccuracy }) =>
+  count >= NEED_THRESHOLDS.minSessions &&
+  accuracy < NEED_THRESHOLDS.lowAccuracy &&
+  (othersAccuracy === null || othersAccuracy - accuracy >= NEED_THRESHOLDS.accuracyGap)
+
+/**
+ * Monta o resultado de um detector
+ * A confiança cresce com a quantidade de dados (até 10 amostras) e de indicadores.
+ * @param {Array<{indicator: string, recommendations: Object}>} findings
+ * @param {number} samples - Sessões ou replays que embasaram a detecção
+ * @returns {Object}
+ */
+function detectionResult(findings, samples) {
+  if (findings.length === 0) {
+    return { detected: false, confidence: 0, indicators: [], recommendations: {} }
+  }
+  return {
+    detected: true,
+    confidence: round(Math.min(1, samples / 10) * 0.6 + Math.min(0.4, findings.length * 0.2)),
+    indicators: findings.map((finding) => finding.indicator),
+    recommendations: Object.assign({}, ...findings.map((finding) => finding.recommendations)),
+  }
+}
+
+/**
+ * Resume os replays de sessão em métricas de interação
+ * - ttsRepeatsPerSession: instruções faladas de novo (mesmo texto) por sessão
+ * - hesitationRate: hesitações por ação da criança
+ * - pausesPerSession: pausas pedidas por sessão
+ * @param {Array<Object>} replays - Replays de listSessionReplays
+ * @returns {Object}
+ */
+export function summarizeInteractions(replays = []) {
+  const perReplay = replays.map(({ events = [] }) => {
+    const spoken = new Set()
+    let ttsRepeats = 0
+    let hesitations = 0
+    let pauses = 0
+    let actions = 0
+    events.forEach(([, type, data]) => {
+      if (type === 'tts') {
+        const text = data?.text
+        if (text && spoken.has(text)) ttsRepeats++
+        if (text) spoken.add(text)
+      } else if (type === 'hesitation') hesitations++
+      else if (type === 'pause') pauses++
+      else if (!['board', 'resume'].includes(type)) actions++
+    })
+    return { ttsRepeats, hesitations, pauses, actions }
+  })
+
+  const total = (field) => perReplay.reduce((sum, replay) => sum + replay[field], 0)
+  const actions = total('actions')
+  return {
+    replays: perReplay.length,
+    ttsRepeatsPerSession: round(perReplay.length > 0 ? total('ttsRepeats') / perReplay.length : 0),
+    hesitationRate: round(actions > 0 ? total('hesitations') / actions : 0),
+    pausesPerSession: round(perReplay.length > 0 ? total('pauses') / perReplay.length : 0),
+  }
+}
+
+const hasReplays = (behavior) => (behavior?.replays || 0) >= NEED_THRESHOLDS.minReplays
+
+export function detectVisualNeeds(profile, sessions = [], _behavior = {}) {
+  const findings = []
+  if (struggles(groupAccuracy(sessions, GAME_DEMANDS.visual))) {
+    findings.push({
+      indicator: 'low_visual_accuracy',
+      recommendations: { highContrast: true, fontSize: 'large' },
+    })
+  }
+  if (profile?.sensoryProfile?.visual?.sensitivity === 'high') {
+    findings.push({ indicator: 'visual_sensitivity', recommendations: { reducedMotion: true } })
+  }
+  return detectionResult(findings, sessions.length)
+}
+
+export function detectAuditoryNeeds(profile, _sessions = [], behavior = {}) {
+  const findings = []
+  // Pedir a mesma instrução de novo sugere fala rápida demais
+  if (
+    hasReplays(behavior) &&
+    behavior.ttsRepeatsPerSession >= NEED_THRESHOLDS.ttsRepeatsPerSession
+  ) {
+    findings.push({ indicator: 'repeated_instructions', recommendations: { speechRate: 'slow' } })
+  }
+  if (profile?.sensoryProfile?.auditory?.sensitivity === 'high') {
+    findings.push({
+      indicator: 'auditory_sensitivity',
+      recommendations: { volumeLevel: 0.3, noiseReduction: true },
+    })
+  }
+  return detectionResult(findings, behavior?.replays || 0)
+}
+
+export function detectMotorNeeds(_profile, _sessions = [], behavior = {}) {
+  return detectMotorDifficulties(behavior?.motorTrends)
+}
+
+export function detectCognitiveNeeds(profile, sessions = [], behavior = {}) {
+  const findings = []
+  if (hasReplays(behavior) && behavior.hesitationRate >= NEED_THRESHOLDS.hesitationRate) {
+    findings.push({
+      indicator: 'frequent_hesitation',
+      recommendations: { timeExtensions: true },
+    })
+  }
+  const incomplete = sessions.filter((session) => session.completed === false).length
+  if (
+    sessions.length >= NEED_THRESHOLDS.minSessions &&
+    incomplete / sessions.length >= NEED_THRESHOLDS.incompleteRatio
+  ) {
+    findings.push({
+      indicator: 'abandoned_sessions',
+      recommendations: { simplifiedInterface: true },
+    })
+  }
+  if (struggles(groupAccuracy(sessions, GAME_DEMANDS.memory))) {
+    findings.push({ indicator: 'low_memory_accuracy', recommendations: { memoryAids: true } })
+  }
+  return detectionResult(findings, sessions.length)
+}
+
+export function detectSensoryNeeds(profile, sessions = [], behavior = {}) {
+  const findings = []
+  const earlyStops = sessions.filter(
+    (session) =>
+      session.completed === false &&
+      Number(session.time_spent) < NEED_THRESHOLDS.shortSessionSeconds
+  ).length
+  // Pausas frequentes junto com abandonos logo no início sugerem sobrecarga sensorial
+  if (
+    hasReplays(behavior) &&
+    behavior.pausesPerSession >= NEED_THRESHOLDS.pausesPerSession &&
+    earlyStops >= NEED_THRESHOLDS.minSessions
+  ) {
+    findings.push({
+      indicator: 'sensory_overload',
+      recommendations: { tactileFeedback: false, vibrationEnabled: false },
+    })
+  }
+  return detectionResult(findings, sessions.length)
+}
+
+export function detectCommunicationNeeds(profile, sessions = [], behavior = {}) {
+  const findings = []
+  const language = groupAccuracy(sessions, GAME_DEMANDS.language)
+  if (struggles(language)) {
+    findings.push({
+      indicator: 'low_language_accuracy',
+      recommendations: { symbolSupport: true },
+    })
+    if (
+      hasReplays(behavior) &&
+      behavior.ttsRepeatsPerSession >= NEED_THRESHOLDS.ttsRepeatsPerSession
+    ) {
+      findings.push({
+        indicator: 'instructions_not_understood',
+        recommendations: { simplifiedLanguage: true },
+      })
+    }
+  }
+  if (profile?.communicationProfile?.nonverbalCommunication === 'primary') {
+    findings.push({ indicator: 'nonverbal_profile', recommendations: { symbolSupport: true } })
+  }
+  return detectionResult(findings, sessions.length)
+}
+
+// Assinatura de uma mudança, usada para não propor de novo o que o responsável recusou
+export const changeSignature = (category, key, value) =>
+  `${category}.${key}=${JSON.stringify(value)}`
+
+/**
+ * Aplica a decisão do responsável às mudanças pendentes
+ * Usada pela rota de confirmação da API, que grava o resultado.
+ * @param {Object} settings - Configurações salvas, com pendingChanges
+ * @param {Object} [decision]
+ * @param {boolean} [decision.approve=true]
+ * @param {Array<string>} [decision.categories] - Categorias decididas; por padrão todas
+ * @returns {{decided: string[], updates: Object, pendingChanges: Object|null, declinedChanges: string[]}}
+ *   `updates` traz as categorias aprovadas já mescladas com as configurações atuais
+ */
+export function decidePendingChanges(settings = {}, { approve = true, categories } = {}) {
+  const pending = settings.pendingChanges?.changes || {}
+  const decided = Object.keys(pending).filter(
+    (category) => !categories || categories.includes(category)
+  )
+  const remaining = Object.fromEntries(
+    Object.entries(pending).filter(([category]) => !decided.includes(category))
+  )
+
+  const updates = approve
+    ? Object.fromEntries(
+        decided.map((category) => [category, { ...settings[category], ...pending[category] }])
+      )
+    : {}
+  const declinedChanges = approve
+    ? settings.declinedChanges || []
+    : [
+        ...(settings.declinedChanges || []),
+        ...decided.flatMap((category) =>
+          Object.entries(pending[category]).map(([key, value]) =>
+            changeSignature(category, key, value)
+          )
+        ),
+      ]
+
+  const reasons = settings.pendingChanges?.reasons || {}
+  return {
+    decided,
+    updates,
+    pendingChanges:
+      Object.keys(remaining).length > 0
+        ? {
+            ...settings.pendingChanges,
+            changes: remaining,
+            reasons: Object.fromEntries(
+              Object.keys(remaining).map((category) => [category, reasons[category] || []])
+            ),
+          }
+        : null,
+    declinedChanges,
+  }
+}
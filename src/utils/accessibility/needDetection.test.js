@@ -0,0 +1,212 @@
+/**
+ * @file needDetection.test.js
+ * @description Testes das regras de detecção de necessidades e da confirmação do responsável
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  detectAuditoryNeeds,
+  detectCognitiveNeeds,
+  detectCommunicationNeeds,
+  detectVisualNeeds,
+  decidePendingChanges,
+  summarizeInteractions,
+} from './needDetection.js'
+import { AccessibilityService } from './AccessibilityService.js'
+
+vi.mock('../../database/core/DatabaseConfig.js', () => ({ getDatabaseConfig: () => ({}) }))
+
+const session = (gameId, accuracy, extra = {}) => ({
+  game_id: gameId,
+  accuracy,
+  completed: true,
+  time_spent: 300,
+  ...extra,
+})
+
+// Replay com a instrução falada `repeats` vezes a mais e `hesitations` hesitações
+const replay = ({ repeats = 0, hesitations = 0, actions = 4 } = {}) => ({
+  events: [
+    [0, 'board'],
+    [10, 'tts', { text: 'Encontre os pares' }],
+    ...Array.from({ length: repeats }, (_, i) => [20 + i, 'tts', { text: 'Encontre os pares' }]),
+    ...Array.from({ length: hesitations }, (_, i) => [100 + i, 'hesitation', { ms: 5000 }]),
+    ...Array.from({ length: actions }, (_, i) => [200 + i, 'card_click', { cardIndex: i }]),
+  ],
+})
+
+describe('needDetection', () => {
+  it('deve resumir instruções repetidas, hesitações e pausas dos replays', () => {
+    expect(
+      summarizeInteractions([replay({ repeats: 2, hesitations: 1 }), replay({ repeats: 1 })])
+    ).toEqual({
+      replays: 2,
+      ttsRepeatsPerSession: 1.5,
+      hesitationRate: 0.13,
+      pausesPerSession: 0,
+    })
+  })
+
+  it('deve detectar necessidades só com dados suficientes e por grupo de jogos', () => {
+    const repeatedSpeech = summarizeInteractions([
+      replay({ repeats: 2 }),
+      replay({ repeats: 2 }),
+      replay({ repeats: 1 }),
+    ])
+    expect(detectAuditoryNeeds({}, [], repeatedSpeech)).toMatchObject({
+      detected: true,
+      indicators: ['repeated_instructions'],
+      recommendations: { speechRate: 'slow' },
+    })
+    // Dois replays não bastam
+    expect(detectAuditoryNeeds({}, [], { ...repeatedSpeech, replays: 2 }).detected).toBe(false)
+
+    const sessions = [
+      session('color-match', 30),
+      session('visual-patterns', 40),
+      session('color-match', 35),
+      session('musical-sequence', 90),
+      session('number-counting', 80),
+    ]
+    expect(detectVisualNeeds({}, sessions).recommendations).toEqual({
+      highContrast: true,
+      fontSize: 'large',
+    })
+    // Acerto baixo em tudo não aponta para a visão
+    const lowEverywhere = sessions.map((item) => ({ ...item, accuracy: 30 }))
+    expect(detectVisualNeeds({}, lowEverywhere).detected).toBe(false)
+
+    const abandoned = sessions.map((item, i) => ({ ...item, completed: i > 2 }))
+    expect(detectCognitiveNeeds({}, abandoned, { replays: 0 }).indicators).toEqual([
+      'abandoned_sessions',
+    ])
+
+    const language = ['letter-recognition', 'image-association', 'letter-recognition'].map(
+      (gameId) => session(gameId, 20)
+    )
+    expect(detectCommunicationNeeds({}, language, repeatedSpeech).recommendations).toEqual({
+      symbolSupport: true,
+      simplifiedLanguage: true,
+    })
+  })
+})
+
+describe('AccessibilityService - confirmação do responsável', () => {
+  const guardian = { id: 50, role: 'guardian', children: [10] }
+  let stored
+  let crud
+  let service
+
+  beforeEach(() => {
+    localStorage.getItem.mockImplementation(() => null)
+    stored = {
+      userId: 10,
+      visual: { highContrast: false, fontSize: 'medium' },
+      auditory: { speechRate: 'normal', volumeLevel: 0.7 },
+    }
+    crud = {
+      read: vi.fn(async () => stored),
+      readMany: vi.fn(async () => ({
+        data: [
+          session('color-match', 30),
+          session('visual-patterns', 40),
+          session('color-match', 35),
+          session('number-counting', 85),
+        ],
+      })),
+      update: vi.fn(async (entity, id, data) => {
+        stored = { ...stored, ...data }
+        return stored
+      }),
+      getEntityEndpoint: (entity, id) => `/api/v1/${entity}/${id}`,
+      connection: { post: vi.fn(async () => stored) },
+    }
+    const cache = { get: vi.fn(), set: vi.fn(), delete: vi.fn() }
+    const profileService = { getProfile: vi.fn(async () => ({ id: 10, type: 'child' })) }
+    service = new AccessibilityService(crud, cache, profileService)
+  })
+
+  afterEach(() => {
+    localStorage.getItem.mockReset()
+  })
+
+  it('deve propor as mudanças detectadas sem aplicá-las', async () => {
+    const settings = await service.getAccessibilitySettings(10, { useCache: false })
+
+    expect(crud.readMany).toHaveBeenCalledWith(
+      'game_sessions',
+      { user_id: 10 },
+      expect.objectContaining({ order: 'desc' })
+    )
+    expect(settings.visual.highContrast).toBe(false)
+    expect(settings.pendingChanges).toMatchObject({
+      changes: { visual: { highContrast: true, fontSize: 'large' } },
+      reasons: { visual: ['low_visual_accuracy'] },
+      status: 'awaiting_guardian',
+    })
+    expect(stored.pendingChanges.changes).toEqual(settings.pendingChanges.changes)
+  })
+
+  it('deve validar as propostas e exigir um responsável vinculado', async () => {
+    expect(
+      (await service.validateAccessibilityChanges({}, { auditory: { speechRate: 'lenta' } })).errors
+    ).toEqual(['Invalid value for auditory.speechRate'])
+    expect(
+      (await service.validateAccessibilityChanges({}, { motor: { largeButtons: 'sim' } })).errors
+    ).toEqual(['Invalid type for motor.largeButtons'])
+
+    await service.getAccessibilitySettings(10, { useCache: false })
+    await expect(
+      service.confirmDetectedChanges(10, { id: 60, role: 'therapist', children: [10] })
+    ).rejects.toThrow('Only a linked guardian')
+    await expect(
+      service.confirmDetectedChanges(10, { id: 51, role: 'guardian', children: [99] })
+    ).rejects.toThrow('Only a linked guardian')
+  })
+
+  it('deve enviar a decisão do responsável para a rota de confirmação da API', async () => {
+    await service.confirmDetectedChanges(10, guardian, { approve: false, categories: ['visual'] })
+
+    expect(crud.connection.post).toHaveBeenCalledWith(
+      '/api/v1/accessibility_settings/10/pending-changes/decision',
+      { approve: false, categories: ['visual'] }
+    )
+    expect(crud.update).not.toHaveBeenCalled()
+  })
+
+  it('deve aplicar o que o responsável aprova e não propor de novo o que ele recusa', async () => {
+    await service.getAccessibilitySettings(10, { useCache: false })
+
+    const declined = decidePendingChanges(stored, { approve: false })
+    expect(declined.pendingChanges).toBeNull()
+    expect(declined.updates).toEqual({})
+    expect(declined.declinedChanges).toEqual([
+      'visual.highContrast=true',
+      'visual.fontSize="large"',
+    ])
+    stored = { ...stored, pendingChanges: null, declinedChanges: declined.declinedChanges }
+    const again = await service.getAccessibilitySettings(10, { useCache: false })
+    expect(again.pendingChanges).toBeNull()
+
+    stored.declinedChanges = []
+    await service.getAccessibilitySettings(10, { useCache: false })
+    const approved = decidePendingChanges(stored)
+    expect(approved.decided).toEqual(['visual'])
+    expect(approved.updates.visual).toEqual({ highContrast: true, fontSize: 'large' })
+    expect(approved.pendingChanges).toBeNull()
+
+    const partial = decidePendingChanges(
+      {
+        pendingChanges: {
+          changes: { visual: { highContrast: true }, cognitive: { timeExtensions: true } },
+          reasons: { visual: ['low_visual_accuracy'], cognitive: ['frequent_hesitation'] },
+        },
+      },
+      { categories: ['cognitive'] }
+    )
+    expect(partial.pendingChanges).toMatchObject({
+      changes: { visual: { highContrast: true } },
+      reasons: { visual: ['low_visual_accuracy'] },
+    })
+  })
+})
@@ -0,0 +1,140 @@
+/**
+ * @file switchScanning.js
+ * @description Varredura para acesso por acionador (um ou dois acionadores)
+ * Encontra os alvos jogáveis dentro da atividade (cartas, cores, notas, peças) sem
+ * depender de cada jogo: botões, elementos com papel de botão, áreas de pintura e
+ * qualquer elemento cujo cursor indique que é clicável ou arrastável.
+ */
+
+export const SCAN_SETTINGS_KEY = 'betina_accessibility_settings'
+
+export const SCAN_MODES = ['auto', 'step']
+
+// Intervalos de varredura automática oferecidos no painel (ms)
+export const SCAN_SPEEDS = [1000, 1500, 2000, 3000, 4000]
+
+// Teclas que sempre selecionam o alvo destacado
+export const SCAN_SELECT_KEYS = [' ', 'Enter']
+
+export const SCAN_DEFAULTS = {
+  switchScanning: false,
+  scanMode: 'auto',
+  scanSpeed: 2000,
+  // Tecla extra do acionador para selecionar (além de Espaço/Enter)
+  scanSelectKey: '',
+  // Tecla que avança o destaque na varredura passo a passo
+  scanNextKey: 'ArrowRight',
+}
+
+const SCAN_TARGET_SELECTOR = [
+  'button',
+  'a[href]',
+  'input',
+  'select',
+  '[role="button"]',
+  '[tabindex]:not([tabindex="-1"])',
+  '[data-area]',
+  '[data-scan-target]',
+].join(',')
+
+const CLICKABLE_CURSORS = ['pointer', 'grab']
+
+const isHidden = (element) =>
+  element.closest('[hidden], [aria-hidden="true"], [data-scan-ignore]') !== null
+
+const isDisabled = (element) =>
+  element.disabled === true || element.getAttribute('aria-disabled') === 'true'
+
+// Cursor definido no próprio elemento (o valor herdado do pai não conta)
+const hasClickableCursor = (element) => {
+  const cursor = window.getComputedStyle(element).cursor
+  if (!CLICKABLE_CURSORS.includes(cursor)) return false
+  const parent = element.parentElement
+  return !parent || window.getComputedStyle(parent).cursor !== cursor
+}
+
+/**
+ * Lista os alvos de varredura em ordem de leitura
+ * Alvos dentro de outro alvo são ignorados, exceto áreas de pintura, que são
+ * escolhidas uma a uma.
+ * @param {HTMLElement} root - Conteúdo da atividade
+ * @returns {Element[]}
+ */
+export function getScanTargets(root) {
+  if (!root) return []
+  const candidates = new Set(root.querySelectorAll(SCAN_TARGET_SELECTOR))
+  root.querySelectorAll('div, span, li, img, svg').forEach((element) => {
+    if (hasClickableCursor(element)) candidates.add(element)
+  })
+
+  const targets = [...candidates]
+    .filter((element) => !isHidden(element) && !isDisabled(element))
+    .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+  const isArea = (element) => element.hasAttribute('data-area')
+
+  return targets.filter(
+    (element) =>
+      isArea(element) ||
+      // Um contêiner de áreas de pintura é varrido pelas próprias áreas
+      (!element.querySelector('[data-area]') &&
+        !targets.some((other) => other !== element && !isArea(other) && other.contains(element)))
+  )
+}
+
+/**
+ * Próximo alvo a destacar
+ * @param {Element[]} targets - Alvos atuais
+ * @param {Element|null} current - Alvo destacado agora
+ * @returns {number} Índice em targets, ou -1 se não houver alvos
+ */
+export function nextScanIndex(targets, current) {
+  if (targets.length === 0) return -1
+  const index = current ? targets.indexOf(current) : -1
+  return (index + 1) % targets.length
+}
+
+/**
+ * Ativa um alvo como um clique de teclado (detail 0), inclusive em elementos SVG
+ * @param {Element} element
+ */
+export function activateScanTarget(element) {
+  if (typeof element.click === 'function') {
+    element.click()
+  } else {
+    element.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }))
+  }
+}
+
+/**
+ * Configuração de varredura salva pelo painel de acessibilidade
+ * @param {Object} [settings] - Configurações do painel; por padrão as do localStorage
+ * @returns {Object}
+ */
+export function getScanSettings(settings) {
+  let source = settings
+  if (!source) {
+    try {
+      source = JSON.parse(localStorage.getItem(SCAN_SETTINGS_KEY) || '{}') || {}
+    } catch (error) {
+      console.error('Erro ao carregar configurações de varredura:', error)
+      source = {}
+    }
+  }
+  const scan = Object.fromEntries(
+    Object.keys(SCAN_DEFAULTS).map((key) => [key, source[key] ?? SCAN_DEFAULTS[key]])
+  )
+  if (!SCAN_MODES.includes(scan.scanMode)) scan.scanMode = SCAN_DEFAULTS.scanMode
+  if (!(Number(scan.scanSpeed) > 0)) scan.scanSpeed = SCAN_DEFAULTS.scanSpeed
+  return scan
+}
+
+/**
+ * Nome legível de uma tecla mapeada
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string}
+ */
+export function describeScanKey(key) {
+  if (!key) return 'Nenhuma'
+  if (key === ' ') return 'Espaço'
+  return key.length === 1 ? key.toUpperCase() : key
+}
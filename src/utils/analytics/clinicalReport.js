@@ -0,0 +1,510 @@
+/**
+ * @file clinicalReport.js
+ * @description Relatório clínico imprimível (PDF) para reuniões de PEI
+ * Reúne o relatório de progresso por jogo, os domínios cognitivos do
+ * CognitiveAssessmentModel, os marcos do LearningProgressModel e as sugestões
+ * em um documento HTML paginado. Tudo é gerado no navegador, sem rede: o PDF é
+ * obtido pela janela de impressão ("Salvar como PDF").
+ */
+
+const LETTERHEAD_KEY = 'betina_clinic_letterhead'
+
+export const DEFAULT_LETTERHEAD = Object.freeze({
+  clinicName: '',
+  professionalName: '',
+  professionalRegistry: '',
+  address: '',
+  phone: '',
+  email: '',
+  logoDataUrl: '',
+})
+
+const GAME_NAMES = {
+  'memory-game': 'Jogo da Memória',
+  'color-match': 'Combinar Cores',
+  'image-association': 'Associação de Imagens',
+  'letter-recognition': 'Reconhecimento de Letras',
+  'number-counting': 'Números e Contagem',
+  'musical-sequence': 'Sequência Musical',
+}
+
+const COGNITIVE_DOMAINS = {
+  attention: 'Atenção',
+  memory: 'Memória',
+  processing: 'Processamento',
+  language: 'Linguagem',
+  executive: 'Funções Executivas',
+}
+
+const COGNITIVE_SKILLS = {
+  sustained: 'Sustentada',
+  selective: 'Seletiva',
+  divided: 'Dividida',
+  executive: 'Executiva',
+  working: 'De trabalho',
+  shortTerm: 'Curto prazo',
+  longTerm: 'Longo prazo',
+  episodic: 'Episódica',
+  speed: 'Velocidade',
+  accuracy: 'Precisão',
+  flexibility: 'Flexibilidade',
+  inhibition: 'Inibição',
+  comprehension: 'Compreensão',
+  expression: 'Expressão',
+  vocabulary: 'Vocabulário',
+  pragmatics: 'Pragmática',
+  planning: 'Planejamento',
+  organization: 'Organização',
+  reasoning: 'Raciocínio',
+  problemSolving: 'Resolução de problemas',
+}
+
+const SKILL_AREAS = {
+  ...COGNITIVE_DOMAINS,
+  social: 'Social',
+  motor: 'Motor',
+}
+
+/**
+ * Carrega o timbre da clínica salvo neste dispositivo
+ * @returns {Object} Dados do timbre
+ */
+export const loadLetterhead = () => {
+  try {
+    return { ...DEFAULT_LETTERHEAD, ...JSON.parse(localStorage.getItem(LETTERHEAD_KEY) || '{}') }
+  } catch {
+    return { ...DEFAULT_LETTERHEAD }
+  }
+}
+
+/**
+ * Salva o timbre da clínica neste dispositivo
+ * @param {Object} letterhead - Dados do timbre
+ */
+export const saveLetterhead = (letterhead) => {
+  localStorage.setItem(LETTERHEAD_KEY, JSON.stringify({ ...DEFAULT_LETTERHEAD, ...letterhead }))
+}
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+
+const toTime = (date) => (date ? new Date(date).getTime() : NaN)
+
+/**
+ * Resume a evolução da acurácia de um jogo: média do primeiro e do último terço
+ * das sessões do período
+ * @param {Object[]} history - Sessões em ordem cronológica ({ date, accuracy })
+ * @returns {Object} { points, initial, final, delta, direction }
+ */
+export const summarizeGameTrend = (history = []) => {
+  const points = history
+    .map((entry) => Number(entry.accuracy))
+    .filter((value) => Number.isFinite(value))
+
+  if (points.length < 2) {
+    return {
+      points,
+      initial: points[0] ?? null,
+      final: points[0] ?? null,
+      delta: 0,
+      direction: 'insuficiente',
+    }
+  }
+
+  const slice = Math.max(1, Math.floor(points.length / 3))
+  const initial = average(points.slice(0, slice))
+  const final = average(points.slice(-slice))
+  const delta = final - initial
+
+  let direction = 'estável'
+  if (delta > 5) direction = 'melhora'
+  else if (delta < -5) direction = 'atenção'
+
+  return { points, initial, final, delta, direction }
+}
+
+const buildCognitiveDomains = (cognitiveReport) => {
+  const profile = cognitiveReport?.cognitiveProfile
+  if (!profile) return []
+
+  return Object.entries(COGNITIVE_DOMAINS)
+    .filter(([domain]) => profile[domain])
+    .map(([domain, label]) => {
+      const skills = Object.entries(profile[domain]).map(([skill, value]) => ({
+        key: skill,
+        label: COGNITIVE_SKILLS[skill] || skill,
+        score: Math.round(value * 100),
+      }))
+      return {
+        key: domain,
+        label,
+        score: Math.round(average(skills.map((skill) => skill.score))),
+        trend: cognitiveReport.developmentTrends?.[domain] ?? null,
+        skills,
+      }
+    })
+}
+
+const buildMilestones = (learningReport, { startDate, endDate }) => {
+  const achieved = learningReport?.achievedMilestones || []
+  const start = startDate ? new Date(startDate).setHours(0, 0, 0, 0) : -Infinity
+  const end = endDate ? new Date(endDate).setHours(23, 59, 59, 999) : Infinity
+
+  return achieved
+    .filter((milestone) => {
+      const time = toTime(milestone.achievedDate)
+      return Number.isNaN(time) || (time >= start && time <= end)
+    })
+    .map((milestone) => ({
+      area: SKILL_AREAS[milestone.area] || milestone.area,
+      level: Math.round(milestone.level * 100),
+      description: milestone.description,
+      achievedDate: milestone.achievedDate || null,
+    }))
+    .sort((a, b) => (toTime(a.achievedDate) || 0) - (toTime(b.achievedDate) || 0))
+}
+
+/**
+ * Monta os dados do relatório clínico
+ * @param {Object} params
+ * @param {Object} params.report - Resultado de generateProgressReport
+ * @param {Object[]} [params.suggestions] - Resultado de generateSuggestions
+ * @param {Object} [params.cognitiveReport] - CognitiveAssessmentModel.getDetailedReport()
+ * @param {Object} [params.learningReport] - LearningProgressModel.getProgressReport()
+ * @param {Object} [params.patient] - { name, id }
+ * @param {Object} [params.letterhead] - Timbre da clínica
+ * @param {Object} [params.period] - { startDate, endDate }
+ * @returns {Object} Dados prontos para renderClinicalReportHtml
+ */
+export const buildClinicalReport = ({
+  report,
+  suggestions = [],
+  cognitiveReport = null,
+  learningReport = null,
+  patient = {},
+  letterhead = {},
+  period = report?.period || {},
+}) => {
+  if (!report) {
+    throw new Error('Relatório de progresso indisponível')
+  }
+
+  const games = Object.entries(report.gameReports || {})
+    .filter(([, gameReport]) => gameReport.sessions > 0)
+    .map(([gameId, gameReport]) => ({
+      gameId,
+      name: GAME_NAMES[gameId] || gameId,
+      sessions: gameReport.sessions,
+      accuracy: Math.round(gameReport.accuracy || 0),
+      currentDifficulty: gameReport.currentDifficulty,
+      trend: summarizeGameTrend(gameReport.history),
+    }))
+
+  return {
+    generatedAt: new Date().toISOString(),
+    period: { startDate: period.startDate || null, endDate: period.endDate || null },
+    patient: { name: patient.name || '', id: patient.id ?? null },
+    letterhead: { ...DEFAULT_LETTERHEAD, ...letterhead },
+    overall: {
+      totalSessions: report.overallProgress?.totalSessions || 0,
+      averageAccuracy: Math.round(report.overallProgress?.averageAccuracy || 0),
+      mostPlayed: GAME_NAMES[report.overallProgress?.mostPlayed] || null,
+      offlineData: Boolean(report.overallProgress?.offlineData),
+    },
+    games,
+    cognitive: {
+      available: Boolean(cognitiveReport?.assessmentCount),
+      assessmentCount: cognitiveReport?.assessmentCount || 0,
+      confidence: cognitiveReport?.confidence || 0,
+      domains: buildCognitiveDomains(cognitiveReport),
+    },
+    learning: {
+      available: Boolean(learningReport),
+      phase: learningReport?.progressSummary?.learningPhase || null,
+      milestonesCompleted: learningReport?.progressSummary?.milestonesCompleted || null,
+      skillAreas: Object.entries(learningReport?.skillAreas || {}).map(([area, data]) => ({
+        area: SKILL_AREAS[area] || area,
+        level: Math.round((data.level || 0) * 100),
+        sessions: data.sessions || 0,
+      })),
+      milestones: buildMilestones(learningReport, period),
+    },
+    recommendations: suggestions.map((suggestion) => suggestion.message),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Renderização
+// ---------------------------------------------------------------------------
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('pt-BR') : '—')
+
+const formatPeriod = ({ startDate, endDate }) => {
+  if (!startDate && !endDate) return 'Todo o histórico'
+  if (!startDate) return `Até ${formatDate(endDate)}`
+  if (!endDate) return `A partir de ${formatDate(startDate)}`
+  return `${formatDate(startDate)} a ${formatDate(endDate)}`
+}
+
+// Apenas data URLs de imagem: o relatório não pode depender de rede
+const isSafeLogo = (url) => /^data:image\/(png|jpe?g|gif|svg\+xml|webp);base64,/i.test(url || '')
+
+const renderSparkline = (points) => {
+  if (points.length < 2) return '<span class="muted">Dados insuficientes</span>'
+
+  const width = 160
+  const height = 36
+  const step = width / (points.length - 1)
+  const coords = points
+    .map((value, index) => {
+      const y = height - (Math.max(0, Math.min(100, value)) / 100) * height
+      return `${(index * step).toFixed(1)},${y.toFixed(1)}`
+    })
+    .join(' ')
+
+  return `<svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Evolução da acurácia"><polyline fill="none" stroke="#2563eb" stroke-width="2" points="${coords}"/></svg>`
+}
+
+const renderBar = (score) =>
+  `<div class="bar"><span style="width:${Math.max(0, Math.min(100, score))}%"></span></div>`
+
+const renderLetterhead = (letterhead) => {
+  const contact = [letterhead.address, letterhead.phone, letterhead.email].filter(Boolean)
+  const professional = [letterhead.professionalName, letterhead.professionalRegistry]
+    .filter(Boolean)
+    .join(' — ')
+
+  return `
+    <div class="letterhead">
+      ${isSafeLogo(letterhead.logoDataUrl) ? `<img class="logo" src="${letterhead.logoDataUrl}" alt="">` : ''}
+      <div>
+        <div class="clinic">${escapeHtml(letterhead.clinicName || 'Portal Betina')}</div>
+        ${professional ? `<div>${escapeHtml(professional)}</div>` : ''}
+        ${contact.length > 0 ? `<div class="muted">${contact.map(escapeHtml).join(' · ')}</div>` : ''}
+      </div>
+    </div>`
+}
+
+const renderGames = (games) => {
+  if (games.length === 0) {
+    return '<p class="muted">Nenhuma sessão de jogo registrada no período.</p>'
+  }
+
+  const rows = games
+    .map(
+      (game) => `
+        <tr>
+          <td>${escapeHtml(game.name)}</td>
+          <td class="num">${game.sessions}</td>
+          <td class="num">${game.accuracy}%</td>
+          <td class="num">${game.trend.initial === null ? '—' : `${Math.round(game.trend.initial)}% → ${Math.round(game.trend.final)}%`}</td>
+          <td>${escapeHtml(game.trend.direction)}</td>
+          <td>${renderSparkline(game.trend.points)}</td>
+        </tr>`
+    )
+    .join('')
+
+  return `
+    <table class="data">
+      <thead><tr><th>Atividade</th><th>Sessões</th><th>Acurácia</th><th>Início → Fim</th><th>Tendência</th><th>Evolução</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`
+}
+
+const renderCognitive = (cognitive) => {
+  if (!cognitive.available) {
+    return '<p class="muted">Ainda não há avaliações cognitivas suficientes para este período.</p>'
+  }
+
+  const domains = cognitive.domains
+    .map(
+      (domain) => `
+        <div class="domain">
+          <div class="domain-title"><strong>${escapeHtml(domain.label)}</strong><span>${domain.score}/100</span></div>
+          ${renderBar(domain.score)}
+          <div class="muted">${domain.skills.map((skill) => `${escapeHtml(skill.label)}: ${skill.score}`).join(' · ')}</div>
+        </div>`
+    )
+    .join('')
+
+  return `
+    <p class="muted">${cognitive.assessmentCount} avaliação(ões) · confiança ${Math.round(cognitive.confidence * 100)}%</p>
+    ${domains}`
+}
+
+const renderLearning = (learning) => {
+  if (!learning.available) {
+    return '<p class="muted">Modelo de progresso de aprendizagem não disponível.</p>'
+  }
+
+  const milestones =
+    learning.milestones.length > 0
+      ? `<ul>${learning.milestones
+          .map(
+            (milestone) =>
+              `<li><strong>${escapeHtml(milestone.area)} (${milestone.level}%)</strong> — ${escapeHtml(milestone.description)} <span class="muted">${formatDate(milestone.achievedDate)}</span></li>`
+          )
+          .join('')}</ul>`
+      : '<p class="muted">Nenhum marco alcançado no período.</p>'
+
+  const areas = learning.skillAreas
+    .map(
+      (area) =>
+        `<tr><td>${escapeHtml(area.area)}</td><td class="num">${area.sessions}</td><td>${renderBar(area.level)}</td><td class="num">${area.level}%</td></tr>`
+    )
+    .join('')
+
+  return `
+    <p>Fase de aprendizagem: <strong>${escapeHtml(learning.phase || '—')}</strong> · Marcos concluídos: <strong>${escapeHtml(learning.milestonesCompleted || '—')}</strong></p>
+    ${areas ? `<table class="data"><thead><tr><th>Área</th><th>Sessões</th><th>Nível</th><th></th></tr></thead><tbody>${areas}</tbody></table>` : ''}
+    <h3>Marcos alcançados</h3>
+    ${milestones}`
+}
+
+const PRINT_STYLES = `
+  @page { size: A4; margin: 14mm 14mm 16mm; }
+  * { box-sizing: border-box; }
+  body { font-family: Arial, Helvetica, sans-serif; color: #1f2937; font-size: 11pt; margin: 0; }
+  table.page { width: 100%; border-collapse: collapse; }
+  table.page > thead td, table.page > tfoot td { padding: 0; }
+  .letterhead { display: flex; align-items: center; gap: 12px; border-bottom: 2px solid #2563eb; padding-bottom: 8px; margin-bottom: 12px; }
+  .letterhead .logo { max-height: 56px; max-width: 120px; }
+  .clinic { font-size: 14pt; font-weight: bold; color: #1e3a8a; }
+  .footer { border-top: 1px solid #d1d5db; margin-top: 12px; padding-top: 6px; font-size: 8pt; color: #6b7280; display: flex; justify-content: space-between; }
+  h1 { font-size: 16pt; margin: 0 0 4px; }
+  h2 { font-size: 13pt; color: #1e3a8a; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; margin: 18px 0 8px; }
+  h3 { font-size: 11pt; margin: 12px 0 6px; }
+  section { break-inside: avoid-page; }
+  .muted { color: #6b7280; font-size: 9pt; }
+  .identification { display: grid; grid-template-columns: 1fr 1fr; gap: 4px 16px; margin-bottom: 8px; }
+  table.data { width: 100%; border-collapse: collapse; font-size: 10pt; }
+  table.data th, table.data td { border-bottom: 1px solid #e5e7eb; padding: 4px 6px; text-align: left; vertical-align: middle; }
+  table.data tr { break-inside: avoid; }
+  td.num { text-align: right; white-space: nowrap; }
+  .bar { background: #e5e7eb; height: 8px; border-radius: 4px; overflow: hidden; min-width: 80px; }
+  .bar span { display: block; height: 100%; background: #2563eb; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .domain { margin-bottom: 8px; break-inside: avoid; }
+  .domain-title { display: flex; justify-content: space-between; }
+  .signature { margin-top: 48px; width: 60%; border-top: 1px solid #1f2937; padding-top: 4px; break-inside: avoid; }
+`
+
+/**
+ * Gera o documento HTML paginado do relatório clínico
+ * O timbre e o rodapé se repetem em cada página impressa (thead/tfoot).
+ * @param {Object} data - Resultado de buildClinicalReport
+ * @returns {string} Documento HTML completo
+ */
+export const renderClinicalReportHtml = (data) => {
+  const { letterhead, patient, period, overall } = data
+  const recommendations =
+    data.recommendations.length > 0
+      ? `<ul>${data.recommendations.map((message) => `<li>${escapeHtml(message)}</li>`).join('')}</ul>`
+      : '<p class="muted">Sem recomendações para o período.</p>'
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>Relatório de Progresso${patient.name ? ` - ${escapeHtml(patient.name)}` : ''}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<table class="page">
+  <thead><tr><td>${renderLetterhead(letterhead)}</td></tr></thead>
+  <tfoot><tr><td>
+    <div class="footer">
+      <span>Documento gerado pelo Portal Betina em ${formatDate(data.generatedAt)}</span>
+      <span>Uso clínico — confidencial</span>
+    </div>
+  </td></tr></tfoot>
+  <tbody><tr><td>
+    <h1>Relatório de Progresso Terapêutico</h1>
+    <div class="identification">
+      <div>Paciente: <strong>${escapeHtml(patient.name || '—')}</strong></div>
+      <div>Período: <strong>${escapeHtml(formatPeriod(period))}</strong></div>
+      <div>Sessões no período: <strong>${overall.totalSessions}</strong></div>
+      <div>Acurácia média: <strong>${overall.averageAccuracy}%</strong></div>
+    </div>
+    ${overall.offlineData ? '<p class="muted">Parte dos dados foi registrada offline e pode estar incompleta.</p>' : ''}
+
+    <section>
+      <h2>1. Desempenho por Atividade</h2>
+      ${renderGames(data.games)}
+    </section>
+
+    <section>
+      <h2>2. Perfil Cognitivo</h2>
+      ${renderCognitive(data.cognitive)}
+    </section>
+
+    <section>
+      <h2>3. Progresso de Aprendizagem</h2>
+      ${renderLearning(data.learning)}
+    </section>
+
+    <section>
+      <h2>4. Recomendações</h2>
+      ${recommendations}
+    </section>
+
+    <div class="signature">
+      ${escapeHtml(letterhead.professionalName || 'Profissional responsável')}
+      ${letterhead.professionalRegistry ? `<div class="muted">${escapeHtml(letterhead.professionalRegistry)}</div>` : ''}
+    </div>
+  </td></tr></tbody>
+</table>
+</body>
+</html>`
+}
+
+/**
+ * Abre a janela de impressão com o relatório (o usuário escolhe "Salvar como PDF")
+ * Usa um iframe oculto para não abrir popups nem depender de rede.
+ * @param {string} html - Documento gerado por renderClinicalReportHtml
+ * @returns {Promise<void>}
+ */
+export const printClinicalReport = (html) =>
+  new Promise((resolve, reject) => {
+    const iframe = document.createElement('iframe')
+    iframe.setAttribute('aria-hidden', 'true')
+    iframe.style.position = 'fixed'
+    iframe.style.width = '0'
+    iframe.style.height = '0'
+    iframe.style.border = '0'
+
+    const cleanup = () => {
+      setTimeout(() => iframe.remove(), 0)
+    }
+
+    iframe.onload = () => {
+      try {
+        const frameWindow = iframe.contentWindow
+        frameWindow.addEventListener('afterprint', cleanup, { once: true })
+        frameWindow.focus()
+        frameWindow.print()
+        resolve()
+      } catch (error) {
+        cleanup()
+        reject(error)
+      }
+    }
+
+    iframe.srcdoc = html
+    document.body.appendChild(iframe)
+  })
+
+export default {
+  buildClinicalReport,
+  renderClinicalReportHtml,
+  printClinicalReport,
+  loadLetterhead,
+  saveLetterhead,
+}
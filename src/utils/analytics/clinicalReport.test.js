@@ -0,0 +1,127 @@
+/**
+ * @file clinicalReport.test.js
+ * @description Testes do relatório clínico imprimível
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+  buildClinicalReport,
+  renderClinicalReportHtml,
+  summarizeGameTrend,
+  loadLetterhead,
+  saveLetterhead,
+} from './clinicalReport.js'
+import { CognitiveAssessmentModel } from '../ml/CognitiveAssessmentModel.js'
+import { LearningProgressModel } from '../ml/LearningProgressModel.js'
+
+const history = (values) =>
+  values.map((accuracy, index) => ({ date: `2025-03-0${index + 1}T10:00:00Z`, accuracy }))
+
+const progressReport = {
+  overallProgress: { totalSessions: 6, averageAccuracy: 71.4, mostPlayed: 'memory-game' },
+  period: { startDate: '2025-03-01', endDate: '2025-03-31' },
+  gameReports: {
+    'memory-game': { sessions: 6, accuracy: 71.4, history: history([50, 55, 70, 75, 85, 90]) },
+    'color-match': { sessions: 0, accuracy: 0, history: [] },
+  },
+}
+
+describe('summarizeGameTrend', () => {
+  it('deve comparar o início e o fim do período', () => {
+    expect(summarizeGameTrend(history([50, 55, 70, 75, 85, 90]))).toMatchObject({
+      initial: 52.5,
+      final: 87.5,
+      direction: 'melhora',
+    })
+    expect(summarizeGameTrend(history([80, 60, 40])).direction).toBe('atenção')
+    expect(summarizeGameTrend(history([80])).direction).toBe('insuficiente')
+  })
+})
+
+describe('buildClinicalReport', () => {
+  it('deve reunir jogos, domínios cognitivos, marcos e recomendações', async () => {
+    const cognitive = new CognitiveAssessmentModel()
+    cognitive.assessmentHistory = [{ timestamp: Date.now() }]
+    const learning = new LearningProgressModel()
+    await learning.initialize()
+    const milestone = learning.milestones.get('memory_0.25')
+    Object.assign(milestone, { achieved: true, achievedDate: Date.parse('2025-03-10T12:00:00') })
+    Object.assign(learning.milestones.get('attention_0.25'), {
+      achieved: true,
+      achievedDate: Date.parse('2025-01-10T12:00:00'),
+    })
+
+    const data = buildClinicalReport({
+      report: progressReport,
+      suggestions: [{ type: 'general', message: 'Manter a rotina de sessões curtas' }],
+      cognitiveReport: cognitive.getDetailedReport(),
+      learningReport: learning.getProgressReport(),
+      patient: { name: 'Ana' },
+    })
+
+    expect(data.period).toEqual({ startDate: '2025-03-01', endDate: '2025-03-31' })
+    expect(data.games.map((game) => game.gameId)).toEqual(['memory-game'])
+    expect(data.cognitive.domains.find((domain) => domain.key === 'memory').score).toBe(50)
+    // Apenas o marco alcançado dentro do período
+    expect(data.learning.milestones).toEqual([
+      expect.objectContaining({ area: 'Memória', description: 'Memória de trabalho básica' }),
+    ])
+    expect(data.recommendations).toEqual(['Manter a rotina de sessões curtas'])
+  })
+
+  it('deve exigir o relatório de progresso', () => {
+    expect(() => buildClinicalReport({ report: null })).toThrow(/indisponível/)
+  })
+})
+
+describe('renderClinicalReportHtml', () => {
+  it('deve gerar documento paginado com timbre repetido em cada página', () => {
+    const html = renderClinicalReportHtml(
+      buildClinicalReport({
+        report: progressReport,
+        patient: { name: 'Ana' },
+        letterhead: { clinicName: 'Clínica Girassol', professionalRegistry: 'CRP 06/12345' },
+      })
+    )
+
+    expect(html).toContain('@page')
+    expect(html).toMatch(/<thead><tr><td>\s*<div class="letterhead">/)
+    expect(html).toContain('Clínica Girassol')
+    expect(html).toContain('01/03/2025 a 31/03/2025')
+    expect(html).toContain('<polyline')
+    expect(html).toContain('Ainda não há avaliações cognitivas')
+  })
+
+  it('deve escapar dados digitados e ignorar logotipos externos', () => {
+    const html = renderClinicalReportHtml(
+      buildClinicalReport({
+        report: progressReport,
+        patient: { name: '<script>alert(1)</script>' },
+        letterhead: { logoDataUrl: 'https://exemplo.com/logo.png' },
+      })
+    )
+
+    expect(html).not.toContain('<script>')
+    expect(html).toContain('&lt;script&gt;')
+    expect(html).not.toContain('exemplo.com')
+  })
+})
+
+describe('Timbre da clínica', () => {
+  beforeEach(() => vi.clearAllMocks())
+
+  it('deve salvar e carregar o timbre neste dispositivo', () => {
+    saveLetterhead({ clinicName: 'Clínica Girassol' })
+    const [key, saved] = localStorage.setItem.mock.calls[0]
+    localStorage.getItem.mockReturnValueOnce(saved)
+
+    expect(key).toBe('betina_clinic_letterhead')
+    expect(loadLetterhead()).toMatchObject({ clinicName: 'Clínica Girassol', phone: '' })
+  })
+
+  it('deve usar o timbre padrão quando o salvo está corrompido', () => {
+    localStorage.getItem.mockReturnValueOnce('{corrompido')
+
+    expect(loadLetterhead().clinicName).toBe('')
+  })
+})
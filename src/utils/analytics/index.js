@@ -1,2 +1,3 @@
 // Auto-generated barrel file
 export * from './behavioralEngagementAnalyzer.js';
+export * from './clinicalReport.js';
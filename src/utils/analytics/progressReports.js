@@ -2,8 +2,20 @@
 import { createAdaptiveModel, analyzeLearningSessions } from '../adaptive/adaptiveML.js'
 import databaseService from '../../database/core/DatabaseService.js'
 
+// Filtrar sessões pelo período do relatório (datas inclusivas, em ISO ou Date)
+export const filterSessionsByDateRange = (sessions, { startDate, endDate } = {}) => {
+  const start = startDate ? new Date(startDate).setHours(0, 0, 0, 0) : -Infinity
+  const end = endDate ? new Date(endDate).setHours(23, 59, 59, 999) : Infinity
+
+  return sessions.filter((session) => {
+    const time = new Date(session.created_at).getTime()
+    return !Number.isNaN(time) && time >= start && time <= end
+  })
+}
+
 // Gerar um relatório completo de progresso para um usuário
-export const generateProgressReport = async (userId = null) => {
+// options.startDate / options.endDate limitam as sessões consideradas
+export const generateProgressReport = async (userId = null, options = {}) => {
   // Se userId não for fornecido, tentar obter do localStorage
   if (!userId) {
     userId = localStorage.getItem('betina_user_id')
@@ -33,6 +45,7 @@ export const generateProgressReport = async (userId = null) => {
       learningTrend: null,
       offlineData: false,
     },
+    period: { startDate: options.startDate || null, endDate: options.endDate || null },
     gameReports: {},
   }
 
@@ -86,6 +99,11 @@ export const generateProgressReport = async (userId = null) => {
           report.overallProgress.offlineData = true
         }
       }
+
+      if (sessions && (options.startDate || options.endDate)) {
+        sessions = filterSessionsByDateRange(sessions, options)
+      }
+
       if (sessions && sessions.length > 0) {
         allSessions.push(...sessions)
         gameFrequency[gameId] = sessions.length
@@ -120,6 +138,10 @@ export const generateProgressReport = async (userId = null) => {
           currentDifficulty: lastSession.difficulty || 'MEDIUM',
           trend: model.calculateTrend('accuracy'),
           analysis,
+          // Sessões em ordem cronológica, usadas nos gráficos de tendência
+          history: sessions
+            .map((s) => ({ date: s.created_at, accuracy: s.accuracy, score: s.score || 0 }))
+            .reverse(),
         }
       } else {
         // Jogo sem sessões registradas
@@ -132,6 +154,7 @@ export const generateProgressReport = async (userId = null) => {
           currentDifficulty: 'MEDIUM',
           trend: 0,
           analysis: { hasEnoughData: false },
+          history: [],
         }
       }
     }
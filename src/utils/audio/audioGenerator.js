@@ -210,6 +210,24 @@ class AudioGenerator {
     ])
   }
 
+  /**
+   * Tilintar curto de ficha ganha no quadro de fichas
+   */
+  playTokenSound() {
+    this.createSequence([
+      { frequency: 1046, duration: 0.08 }, // C6
+      { frequency: 1568, duration: 0.15, delay: 40 }, // G6
+    ])
+  }
+
+  /**
+   * Tom suave e longo que marca a respiração da pausa sensorial
+   * @param {string} phase - 'inhale' (tom mais agudo) ou 'exhale'
+   */
+  playBreathingCue(phase = 'inhale') {
+    this.playSound(phase === 'inhale' ? 330 : 262, 1.5, 'sine')
+  }
+
   /**
    * Define o volume geral
    * @param {number} volume - Volume de 0 a 1
@@ -0,0 +1,334 @@
+/**
+ * @file contentPackRegistry.js
+ * @description Registro dos pacotes de conteúdo dos jogos
+ * O pacote padrão (src/data/content-packs) vem com o app; pacotes criados ou
+ * instalados pelo terapeuta ficam no localStorage e são habilitados por criança.
+ * Os jogos leem o conteúdo combinado com getGameContent: o pacote padrão do idioma
+ * primeiro e depois os habilitados, na ordem em que foram habilitados.
+ */
+
+import corePtBrData from '../../data/content-packs/core-pt-br.json'
+import coreEnData from '../../data/content-packs/core-en.json'
+import coreEsData from '../../data/content-packs/core-es.json'
+import { validateContentPack } from './contentPackSchema.js'
+
+const STORAGE_KEY = 'betina_content_packs'
+const ENABLED_KEY_PREFIX = 'betina_content_packs_enabled_'
+// Assets com caminho relativo são servidos de public/content-packs/<id>/
+const PACKS_BASE_URL = '/content-packs'
+
+// Pacotes padrão por locale; o pt-BR também cobre idiomas sem pacote próprio
+const CORE_PACKS = Object.fromEntries(
+  [corePtBrData, coreEnData, coreEsData].map((data) => {
+    const pack = validateContentPack(data).pack
+    return [pack.locale, pack]
+  })
+)
+export const DEFAULT_CONTENT_LOCALE = 'pt-BR'
+export const CORE_PACK_ID = CORE_PACKS[DEFAULT_CONTENT_LOCALE].id
+export const CONTENT_LOCALES = Object.keys(CORE_PACKS)
+
+const corePackIds = new Set(Object.values(CORE_PACKS).map((pack) => pack.id))
+const isCorePack = (packId) => corePackIds.has(packId)
+
+/**
+ * Pacote padrão do locale ('es', 'en-US'...), caindo no pt-BR
+ * @param {string} [locale]
+ * @returns {Object}
+ */
+export const getCorePack = (locale = DEFAULT_CONTENT_LOCALE) =>
+  CORE_PACKS[locale] ||
+  CORE_PACKS[String(locale).split('-')[0]] ||
+  CORE_PACKS[DEFAULT_CONTENT_LOCALE]
+
+const listeners = new Set()
+
+const readJSON = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key)
+    return raw ? JSON.parse(raw) : fallback
+  } catch (error) {
+    console.warn(`Pacotes de conteúdo: não foi possível ler ${key}`, error)
+    return fallback
+  }
+}
+
+const writeJSON = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (error) {
+    throw new Error(`Sem espaço para salvar o pacote de conteúdo: ${error.message}`)
+  }
+}
+
+const notify = () => listeners.forEach((listener) => listener())
+
+const getInstalledPacks = () => readJSON(STORAGE_KEY, {})
+
+const enabledKey = (userId) => `${ENABLED_KEY_PREFIX}${userId || 'local'}`
+
+/**
+ * URL de um asset do pacote
+ * @param {Object} pack
+ * @param {string} ref - Id do asset em pack.assets
+ * @returns {string|undefined}
+ */
+export const resolveAssetUrl = (pack, ref) => {
+  const asset = pack.assets?.[ref]
+  if (!asset) return undefined
+  if (/^(data:|https:\/\/|\/)/.test(asset.src)) return asset.src
+  return `${PACKS_BASE_URL}/${pack.id}/${asset.src}`
+}
+
+// Troca as referências de assets pelas URLs, mantendo o texto alternativo da imagem
+const resolveItem = (item, pack) => ({
+  ...item,
+  ...(item.image && {
+    image: resolveAssetUrl(pack, item.image),
+    alt: item.alt || pack.assets[item.image]?.alt || item.word || item.label,
+  }),
+  ...(item.audio && { audio: resolveAssetUrl(pack, item.audio) }),
+})
+
+const mapValues = (object, fn) =>
+  Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]))
+
+// Como cada jogo resolve os assets e combina o conteúdo de vários pacotes
+const GAME_CONTENT_HANDLERS = {
+  'letter-recognition': {
+    resolve: ({ letters }, pack) => ({
+      letters: mapValues(letters, (items) => items.map((item) => resolveItem(item, pack))),
+    }),
+    merge: (base, addition) => ({
+      letters: {
+        ...base.letters,
+        ...Object.fromEntries(
+          Object.entries(addition.letters).map(([letter, items]) => {
+            const words = new Set(items.map((item) => item.word))
+            const kept = (base.letters[letter] || []).filter((item) => !words.has(item.word))
+            return [letter, [...kept, ...items]]
+          })
+        ),
+      },
+    }),
+  },
+  'musical-sequence': {
+    resolve: ({ notes }, pack) => ({ notes: notes.map((note) => resolveItem(note, pack)) }),
+    merge: (base, addition) => {
+      const notes = new Map(base.notes.map((note) => [note.id, note]))
+      addition.notes.forEach((note) => notes.set(note.id, note))
+      return { notes: [...notes.values()] }
+    },
+  },
+  'number-counting': {
+    resolve: ({ categories }, pack) => ({
+      categories: mapValues(categories, (category) => ({
+        ...category,
+        items: category.items.map((item) => resolveItem(item, pack)),
+      })),
+    }),
+    merge: (base, addition) => ({ categories: { ...base.categories, ...addition.categories } }),
+  },
+  'creative-painting': {
+    resolve: (content) => content,
+    merge: (base, addition) => ({ palettes: { ...base.palettes, ...addition.palettes } }),
+  },
+  'image-association': {
+    resolve: ({ phases }, pack) => ({
+      phases: phases.map((phase) => ({
+        ...phase,
+        main: resolveItem(phase.main, pack),
+        correct: resolveItem(phase.correct, pack),
+        options: phase.options.map((option) => resolveItem(option, pack)),
+      })),
+    }),
+    // Fase com o mesmo número substitui a do pacote anterior
+    merge: (base, addition) => {
+      const phases = new Map(base.phases.map((phase) => [phase.phase, phase]))
+      addition.phases.forEach((phase) => phases.set(phase.phase, phase))
+      return { phases: [...phases.values()].sort((a, b) => a.phase - b.phase) }
+    },
+  },
+  'color-match': {
+    resolve: ({ colors, items }, pack) => ({
+      colors,
+      items: items.map((item) => resolveItem(item, pack)),
+    }),
+    merge: (base, addition) => {
+      const items = new Map(base.items.map((item) => [item.key, item]))
+      addition.items.forEach((item) => items.set(item.key, item))
+      return { colors: { ...base.colors, ...addition.colors }, items: [...items.values()] }
+    },
+  },
+  'emotional-puzzle': {
+    resolve: ({ emotions }, pack) => ({
+      emotions: emotions.map((emotion) => resolveItem(emotion, pack)),
+    }),
+    merge: (base, addition) => {
+      const emotions = new Map(base.emotions.map((emotion) => [emotion.id, emotion]))
+      addition.emotions.forEach((emotion) => emotions.set(emotion.id, emotion))
+      return { emotions: [...emotions.values()] }
+    },
+  },
+  'memory-game': {
+    resolve: ({ cardSets }, pack) => ({
+      cardSets: mapValues(cardSets, (set) => ({
+        ...set,
+        cards: set.cards.map((card) => resolveItem(card, pack)),
+      })),
+    }),
+    merge: (base, addition) => ({ cardSets: { ...base.cardSets, ...addition.cardSets } }),
+  },
+  'aac-symbols': {
+    resolve: ({ symbolSets }, pack) => ({
+      symbolSets: mapValues(symbolSets, (set) => ({
+        ...set,
+        core: set.core.map((symbol) => resolveItem(symbol, pack)),
+        symbols: mapValues(set.symbols, (symbol) => resolveItem(symbol, pack)),
+      })),
+    }),
+    // Conjunto com o mesmo id: palavras essenciais combinadas pelo id e símbolos pela resposta
+    merge: (base, addition) => ({
+      symbolSets: {
+        ...base.symbolSets,
+        ...Object.fromEntries(
+          Object.entries(addition.symbolSets).map(([setId, set]) => {
+            const current = base.symbolSets[setId]
+            if (!current) return [setId, set]
+            const core = new Map(current.core.map((symbol) => [symbol.id, symbol]))
+            set.core.forEach((symbol) => core.set(symbol.id, symbol))
+            return [
+              setId,
+              {
+                ...current,
+                ...set,
+                core: [...core.values()],
+                symbols: { ...current.symbols, ...set.symbols },
+              },
+            ]
+          })
+        ),
+      },
+    }),
+  },
+}
+
+export const CONTENT_GAMES = Object.keys(GAME_CONTENT_HANDLERS)
+
+/**
+ * Pacote pelo id (padrão ou instalado)
+ * @param {string} packId
+ * @returns {Object|null}
+ */
+export const getContentPack = (packId) =>
+  Object.values(CORE_PACKS).find((pack) => pack.id === packId) ||
+  getInstalledPacks()[packId] ||
+  null
+
+/**
+ * Pacotes disponíveis com o estado de habilitação para a criança
+ * @param {Object} [options]
+ * @param {string|number} [options.userId]
+ * @param {string} [options.locale] - Locale do pacote padrão listado
+ * @returns {Array<Object>} Metadados dos pacotes (sem o conteúdo)
+ */
+export const listContentPacks = ({ userId, locale } = {}) => {
+  const enabled = getEnabledContentPacks(userId)
+  return [getCorePack(locale), ...Object.values(getInstalledPacks())].map((pack) => ({
+    id: pack.id,
+    name: pack.name,
+    version: pack.version,
+    author: pack.author,
+    description: pack.description,
+    locale: pack.locale,
+    mode: pack.mode,
+    builtin: isCorePack(pack.id),
+    games: Object.keys(pack.content),
+    assetCount: Object.keys(pack.assets).length,
+    installedAt: pack.installedAt,
+    enabled: isCorePack(pack.id) || enabled.includes(pack.id),
+  }))
+}
+
+/**
+ * Valida e instala um pacote (instalar de novo o mesmo id atualiza o pacote)
+ * @param {Object} packJson
+ * @returns {Object} Pacote instalado
+ * @throws {Error} Pacote inválido (error.errors lista os problemas) ou sem espaço no armazenamento
+ */
+export const installContentPack = (packJson) => {
+  const { valid, errors, pack } = validateContentPack(packJson)
+  if (!valid) {
+    const error = new Error(`Pacote de conteúdo inválido: ${errors.join('; ')}`)
+    error.errors = errors
+    throw error
+  }
+  if (isCorePack(pack.id)) {
+    throw new Error('O pacote padrão não pode ser substituído')
+  }
+
+  const installed = { ...pack, installedAt: new Date().toISOString() }
+  writeJSON(STORAGE_KEY, { ...getInstalledPacks(), [pack.id]: installed })
+  notify()
+  return installed
+}
+
+export const uninstallContentPack = (packId) => {
+  const { [packId]: removed, ...remaining } = getInstalledPacks()
+  if (!removed) return false
+  writeJSON(STORAGE_KEY, remaining)
+  notify()
+  return true
+}
+
+/**
+ * Ids dos pacotes habilitados para a criança, na ordem de aplicação
+ * @param {string|number} [userId]
+ * @returns {string[]}
+ */
+export const getEnabledContentPacks = (userId) => readJSON(enabledKey(userId), [])
+
+export const setContentPackEnabled = (userId, packId, enabled) => {
+  if (isCorePack(packId)) return
+  if (!getInstalledPacks()[packId]) {
+    throw new Error(`Pacote de conteúdo '${packId}' não está instalado`)
+  }
+
+  const current = getEnabledContentPacks(userId).filter((id) => id !== packId)
+  writeJSON(enabledKey(userId), enabled ? [...current, packId] : current)
+  notify()
+}
+
+/**
+ * Conteúdo do jogo para a criança, combinando o pacote padrão com os habilitados
+ * Pacotes com mode 'replace' substituem o conteúdo acumulado dos jogos que trazem.
+ * @param {string} gameId - Id do jogo em GAME_PARAMETERS
+ * @param {Object} [options]
+ * @param {string|number} [options.userId]
+ * @param {string} [options.locale] - Locale do pacote padrão (idioma do portal)
+ * @returns {Object|null} Conteúdo com as URLs dos assets resolvidas
+ */
+export const getGameContent = (gameId, { userId, locale } = {}) => {
+  const handler = GAME_CONTENT_HANDLERS[gameId]
+  if (!handler) return null
+
+  const packs = [getCorePack(locale), ...getEnabledContentPacks(userId).map(getContentPack)].filter(
+    Boolean
+  )
+  return packs.reduce((content, pack) => {
+    const addition = pack.content[gameId]
+    if (!addition) return content
+    const resolved = handler.resolve(addition, pack)
+    return !content || pack.mode === 'replace' ? resolved : handler.merge(content, resolved)
+  }, null)
+}
+
+/**
+ * Avisa quando pacotes são instalados, removidos ou habilitados
+ * @param {Function} listener
+ * @returns {Function} Cancela a inscrição
+ */
+export const subscribeContentPacks = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
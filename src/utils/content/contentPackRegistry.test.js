@@ -0,0 +1,221 @@
+/**
+ * @file contentPackRegistry.test.js
+ * @description Testes do registro e da validação dos pacotes de conteúdo
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { validateContentPack } from './contentPackSchema.js'
+import {
+  CORE_PACK_ID,
+  getGameContent,
+  installContentPack,
+  listContentPacks,
+  setContentPackEnabled,
+  subscribeContentPacks,
+  uninstallContentPack,
+} from './contentPackRegistry.js'
+
+const PHOTO = 'data:image/jpeg;base64,/9j/4AAQ'
+
+const dinoPack = {
+  id: 'dinossauros',
+  name: 'Dinossauros',
+  assets: {
+    rex: { type: 'image', src: 'img/rex.png', alt: 'Tiranossauro' },
+    vovo: { type: 'image', src: PHOTO },
+  },
+  content: {
+    'letter-recognition': {
+      letters: {
+        T: [{ word: 'TIRANOSSAURO', image: 'rex' }],
+        D: [{ word: 'DINOSSAURO', emoji: '🦖' }],
+      },
+    },
+    'number-counting': {
+      categories: { familia: { name: 'Família', items: [{ label: 'Vovó', image: 'vovo' }] } },
+    },
+  },
+}
+
+describe('contentPackRegistry', () => {
+  let store
+
+  beforeEach(() => {
+    store = {}
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null)
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value
+    })
+  })
+
+  afterEach(() => {
+    localStorage.getItem.mockReset()
+    localStorage.setItem.mockReset()
+  })
+
+  it('deve apontar assets inexistentes e caminhos fora da pasta do pacote', () => {
+    expect(validateContentPack(dinoPack)).toMatchObject({ valid: true, errors: [] })
+
+    const { valid, errors } = validateContentPack({
+      ...dinoPack,
+      assets: { rex: { type: 'audio', src: '../../segredo.png' } },
+      content: { ...dinoPack.content, 'jogo-novo': {} },
+    })
+    expect(valid).toBe(false)
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        'assets.rex.src: Asset deve ser data URL, https ou um caminho dentro da pasta do pacote',
+        "content: Unrecognized key(s) in object: 'jogo-novo'",
+      ])
+    )
+    expect(() => installContentPack({ ...dinoPack, id: CORE_PACK_ID })).toThrow(
+      'O pacote padrão não pode ser substituído'
+    )
+  })
+
+  it('deve servir o pacote padrão e somar os pacotes habilitados para a criança', () => {
+    const core = getGameContent('letter-recognition', { userId: 10 })
+    expect(core.letters.A[0]).toEqual({ word: 'AVIÃO', emoji: '✈️' })
+
+    const listener = vi.fn()
+    const unsubscribe = subscribeContentPacks(listener)
+    installContentPack(dinoPack)
+    setContentPackEnabled(10, 'dinossauros', true)
+    unsubscribe()
+    expect(listener).toHaveBeenCalledTimes(2)
+
+    const letters = getGameContent('letter-recognition', { userId: 10 }).letters
+    expect(letters.T.at(-1)).toEqual({
+      word: 'TIRANOSSAURO',
+      image: '/content-packs/dinossauros/img/rex.png',
+      alt: 'Tiranossauro',
+    })
+    expect(letters.T.length).toBe(core.letters.T.length + 1)
+    expect(getGameContent('number-counting', { userId: 10 }).categories.familia.items[0]).toEqual({
+      label: 'Vovó',
+      image: PHOTO,
+      alt: 'Vovó',
+    })
+
+    // Outra criança continua só com o conteúdo padrão
+    expect(getGameContent('letter-recognition', { userId: 11 })).toEqual(core)
+    expect(listContentPacks({ userId: 11 }).map((pack) => [pack.id, pack.enabled])).toEqual([
+      [CORE_PACK_ID, true],
+      ['dinossauros', false],
+    ])
+
+    uninstallContentPack('dinossauros')
+    expect(getGameContent('letter-recognition', { userId: 10 })).toEqual(core)
+  })
+
+  it('deve substituir o conteúdo dos jogos cobertos por pacotes no modo replace', () => {
+    installContentPack({ ...dinoPack, mode: 'replace' })
+    setContentPackEnabled('local', 'dinossauros', true)
+
+    expect(Object.keys(getGameContent('letter-recognition').letters)).toEqual(['T', 'D'])
+    expect(getGameContent('musical-sequence').notes.map((note) => note.id)).toEqual([
+      'do',
+      're',
+      'mi',
+      'fa',
+    ])
+    expect(getGameContent('jogo-inexistente')).toBeNull()
+  })
+
+  it('deve combinar associações, cores, emoções e cartas da memória com o pacote padrão', () => {
+    const core = {
+      phases: getGameContent('image-association').phases,
+      items: getGameContent('color-match').items,
+    }
+    installContentPack({
+      id: 'familia',
+      name: 'Família',
+      assets: {
+        vovo: { type: 'image', src: PHOTO, alt: 'Vovó' },
+        risada: { type: 'audio', src: 'sons/risada.mp3' },
+      },
+      content: {
+        'image-association': {
+          phases: [
+            {
+              phase: 1,
+              difficulty: 'EASY',
+              category: 'família',
+              concept: 'pessoa-objeto',
+              therapeuticFocus: 'reconhecimento-visual',
+              main: { key: 'vovo', label: 'Vovó', image: 'vovo' },
+              correct: { key: 'oculos', label: 'Óculos', emoji: '👓' },
+              options: [
+                { key: 'oculos', label: 'Óculos', emoji: '👓' },
+                { key: 'bola', label: 'Bola', emoji: '⚽' },
+              ],
+            },
+          ],
+        },
+        'color-match': {
+          colors: { PINK: { hex: '#FF69B4', name: 'Rosa' } },
+          items: [
+            { key: 'apple', emoji: '🍏', color: 'GREEN' },
+            { key: 'flamingo', label: 'Flamingo', emoji: '🦩', color: 'PINK' },
+          ],
+        },
+        'emotional-puzzle': {
+          emotions: [{ id: 'happy', emoji: '😄', pieces: ['😄', '🎈'], audio: 'risada' }],
+        },
+        'memory-game': {
+          cardSets: { familia: { name: 'Família', cards: [{ image: 'vovo' }, { emoji: '🏠' }] } },
+        },
+      },
+    })
+    setContentPackEnabled(10, 'familia', true)
+
+    // A fase 1 do pacote substitui a padrão e as demais continuam
+    const { phases } = getGameContent('image-association', { userId: 10 })
+    expect(phases.length).toBe(core.phases.length)
+    expect(phases[0].main).toEqual({ key: 'vovo', label: 'Vovó', image: PHOTO, alt: 'Vovó' })
+    expect(phases[1]).toEqual(core.phases[1])
+
+    // Itens com a mesma chave trocam de cor; cores novas somam às padrão
+    const colorMatch = getGameContent('color-match', { userId: 10 })
+    expect(colorMatch.colors.PINK).toEqual({ hex: '#FF69B4', name: 'Rosa' })
+    expect(colorMatch.colors.RED).toEqual({ hex: '#e91e63' })
+    expect(colorMatch.items.length).toBe(core.items.length + 1)
+    expect(colorMatch.items.find((item) => item.key === 'apple').color).toBe('GREEN')
+
+    const { emotions } = getGameContent('emotional-puzzle', { userId: 10 })
+    expect(emotions.map((emotion) => emotion.id)).toEqual(['happy', 'sad', 'surprised', 'calm'])
+    expect(emotions[0].audio).toBe('/content-packs/familia/sons/risada.mp3')
+
+    const { cardSets } = getGameContent('memory-game', { userId: 10 })
+    expect(Object.keys(cardSets)).toEqual(['animals', 'fruits', 'sports', 'familia'])
+    expect(cardSets.familia.cards[0]).toEqual({ image: PHOTO, alt: 'Vovó' })
+
+    expect(
+      validateContentPack({
+        id: 'sem-figura',
+        name: 'Sem figura',
+        content: { 'color-match': { items: [{ key: 'nada', color: 'RED' }] } },
+      }).errors
+    ).toEqual(['content.color-match.items.0: Item precisa de emoji ou imagem'])
+    uninstallContentPack('familia')
+  })
+
+  it('deve servir o pacote padrão do idioma do portal, caindo no pt-BR', () => {
+    expect(getGameContent('letter-recognition', { locale: 'es' }).letters.A[0].word).toBe('AVIÓN')
+    expect(getGameContent('letter-recognition', { locale: 'en-US' }).letters.A[0].word).toBe(
+      'APPLE'
+    )
+    expect(getGameContent('letter-recognition', { locale: 'fr' })).toEqual(
+      getGameContent('letter-recognition')
+    )
+    expect(listContentPacks({ locale: 'es' })[0]).toMatchObject({ locale: 'es', enabled: true })
+
+    // Pacotes instalados continuam somando ao conteúdo de qualquer idioma
+    installContentPack(dinoPack)
+    setContentPackEnabled('local', 'dinossauros', true)
+    expect(getGameContent('letter-recognition', { locale: 'en' }).letters.T.at(-1).word).toBe(
+      'TIRANOSSAURO'
+    )
+    uninstallContentPack('dinossauros')
+  })
+})
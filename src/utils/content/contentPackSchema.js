@@ -0,0 +1,291 @@
+/**
+ * @file contentPackSchema.js
+ * @description Esquema dos pacotes de conteúdo dos jogos (vocabulário, imagens e sons)
+ * Um pacote é um JSON com metadados, os assets locais que ele usa (imagens e áudios
+ * por id) e o conteúdo de cada jogo. Itens referenciam assets pelo id, o que permite
+ * trocar emojis por fotos da família ou por temas de interesse da criança.
+ */
+
+import { z } from 'zod'
+
+const MAX_ASSET_SRC_LENGTH = 2 * 1024 * 1024
+
+const assetRef = z.string().min(1)
+
+const letterItemSchema = z.object({
+  word: z.string().trim().min(1),
+  emoji: z.string().optional(),
+  image: assetRef.optional(),
+  audio: assetRef.optional(),
+})
+
+const noteSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  emoji: z.string().optional(),
+  frequency: z.number().positive().max(20000),
+  waveType: z.enum(['sine', 'square', 'triangle', 'sawtooth']).default('sine'),
+  audio: assetRef.optional(),
+})
+
+const countableItemSchema = z
+  .object({
+    emoji: z.string().optional(),
+    image: assetRef.optional(),
+    label: z.string().optional(),
+  })
+  .refine((item) => item.emoji || item.image, 'Item precisa de emoji ou imagem')
+
+const colorSchema = z.object({
+  hex: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Cor deve estar no formato #RRGGBB'),
+  name: z.string().min(1),
+  emoji: z.string().optional(),
+  therapy: z.string().optional(),
+})
+
+// Itens com nome nos locales (activities.<jogo>.items.<key>); `label` vale para pacotes
+// que trazem itens novos, sem tradução
+const namedItemFields = z.object({
+  key: z.string().min(1),
+  label: z.string().trim().min(1).optional(),
+  emoji: z.string().optional(),
+  image: assetRef.optional(),
+})
+const hasPicture = (item) => item.emoji || item.image
+const namedItemSchema = namedItemFields.refine(hasPicture, 'Item precisa de emoji ou imagem')
+
+const associationSchema = z.object({
+  phase: z.number().int().positive(),
+  difficulty: z.enum(['EASY', 'MEDIUM', 'HARD']),
+  category: z.string().min(1),
+  concept: z.string().min(1),
+  therapeuticFocus: z.string().min(1),
+  // Explicação da resposta; sem ela vale activities.imageAssociation.explanations.<fase>
+  explanation: z.string().optional(),
+  main: namedItemSchema,
+  correct: namedItemSchema,
+  options: z.array(namedItemSchema).min(2),
+})
+
+const emotionSchema = z.object({
+  id: z.string().min(1),
+  emoji: z.string().min(1),
+  pieces: z.array(z.string().min(1)).min(2),
+  // Som em public/sounds (ex.: happy.mp3) ou áudio do pacote
+  sound: z.string().optional(),
+  audio: assetRef.optional(),
+  // Sem nome e situação valem os de activities.emotionalPuzzle.emotions.<id>
+  name: z.string().optional(),
+  context: z.string().optional(),
+})
+
+const aacSymbolSchema = z.object({
+  label: z.string().trim().min(1),
+  emoji: z.string().optional(),
+  image: assetRef.optional(),
+  audio: assetRef.optional(),
+})
+
+// Conteúdo aceito por jogo; a chave é o id do jogo em GAME_PARAMETERS
+export const GAME_CONTENT_SCHEMAS = {
+  'letter-recognition': z.object({
+    letters: z.record(
+      z.string().regex(/^[A-Z]$/, 'Use letras maiúsculas de A a Z'),
+      z.array(letterItemSchema).min(1)
+    ),
+  }),
+  'musical-sequence': z.object({ notes: z.array(noteSchema).min(1) }),
+  'number-counting': z.object({
+    categories: z.record(
+      z.string().min(1),
+      z.object({ name: z.string().optional(), items: z.array(countableItemSchema).min(1) })
+    ),
+  }),
+  'creative-painting': z.object({
+    palettes: z.record(
+      z.string().min(1),
+      z.object({
+        name: z.string().min(1),
+        description: z.string().optional(),
+        therapeutic: z.string().optional(),
+        colors: z.array(colorSchema).min(1),
+      })
+    ),
+  }),
+  'image-association': z.object({ phases: z.array(associationSchema).min(1) }),
+  'color-match': z.object({
+    // Pacotes que só trazem itens usam as cores do pacote padrão (RED, GREEN...)
+    colors: z
+      .record(
+        z.string().min(1),
+        z.object({
+          hex: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Cor deve estar no formato #RRGGBB'),
+          name: z.string().optional(),
+        })
+      )
+      .default({}),
+    items: z
+      .array(
+        namedItemFields
+          .extend({ color: z.string().min(1) })
+          .refine(hasPicture, 'Item precisa de emoji ou imagem')
+      )
+      .min(1),
+  }),
+  'emotional-puzzle': z.object({ emotions: z.array(emotionSchema).min(1) }),
+  'memory-game': z.object({
+    cardSets: z.record(
+      z.string().min(1),
+      z.object({ name: z.string().optional(), cards: z.array(countableItemSchema).min(2) })
+    ),
+  }),
+  // Não é um jogo: pranchas do modo de resposta CAA, usadas por todos os jogos
+  'aac-symbols': z.object({
+    symbolSets: z.record(
+      z.string().min(1),
+      z.object({
+        name: z.string().min(1),
+        description: z.string().optional(),
+        // false: os símbolos mostram só a palavra
+        pictures: z.boolean().default(true),
+        // Palavras essenciais, sempre no mesmo lugar da prancha
+        core: z.array(aacSymbolSchema.extend({ id: z.string().min(1) })).default([]),
+        // Símbolo por resposta (id do item, da emoção...) no lugar da figura do jogo
+        symbols: z.record(z.string().min(1), aacSymbolSchema).default({}),
+      })
+    ),
+  }),
+}
+
+// Assets embutidos (data URL) ou arquivos relativos à pasta do pacote
+const assetSchema = z.object({
+  type: z.enum(['image', 'audio']),
+  src: z
+    .string()
+    .min(1)
+    .max(MAX_ASSET_SRC_LENGTH, 'Arquivo grande demais para o pacote')
+    .refine(
+      (src) =>
+        /^(data:(image|audio)\/|https:\/\/)/.test(src) ||
+        (!/^[a-z][a-z0-9+.-]*:/i.test(src) && !src.split('/').includes('..')),
+      'Asset deve ser data URL, https ou um caminho dentro da pasta do pacote'
+    ),
+  alt: z.string().optional(),
+})
+
+export const contentPackSchema = z
+  .object({
+    id: z.string().regex(/^[a-z0-9][a-z0-9-]*$/, 'Use letras minúsculas, números e hífen no id'),
+    name: z.string().trim().min(1),
+    version: z
+      .string()
+      .regex(/^\d+\.\d+\.\d+$/, 'Versão deve seguir o formato 1.0.0')
+      .default('1.0.0'),
+    author: z.string().optional(),
+    description: z.string().optional(),
+    locale: z.string().default('pt-BR'),
+    mode: z.enum(['extend', 'replace']).default('extend'),
+    assets: z.record(z.string().min(1), assetSchema).default({}),
+    content: z
+      .object(GAME_CONTENT_SCHEMAS)
+      .partial()
+      .strict()
+      .refine((content) => Object.keys(content).length > 0, 'Pacote sem conteúdo para nenhum jogo'),
+  })
+  .superRefine((pack, ctx) => {
+    // Toda referência de imagem ou áudio precisa existir nos assets com o tipo certo
+    const checkRef = (ref, type, path) => {
+      if (ref === undefined) return
+      if (pack.assets[ref]?.type !== type) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path,
+          message: `Asset de ${type === 'image' ? 'imagem' : 'áudio'} '${ref}' não encontrado`,
+        })
+      }
+    }
+
+    const letters = pack.content['letter-recognition']?.letters || {}
+    Object.entries(letters).forEach(([letter, items]) =>
+      items.forEach((item, index) => {
+        const path = ['content', 'letter-recognition', 'letters', letter, index]
+        checkRef(item.image, 'image', [...path, 'image'])
+        checkRef(item.audio, 'audio', [...path, 'audio'])
+      })
+    )
+    ;(pack.content['musical-sequence']?.notes || []).forEach((note, index) =>
+      checkRef(note.audio, 'audio', ['content', 'musical-sequence', 'notes', index, 'audio'])
+    )
+    const categories = pack.content['number-counting']?.categories || {}
+    Object.entries(categories).forEach(([category, { items }]) =>
+      items.forEach((item, index) =>
+        checkRef(item.image, 'image', [
+          'content',
+          'number-counting',
+          'categories',
+          category,
+          'items',
+          index,
+          'image',
+        ])
+      )
+    )
+    ;(pack.content['image-association']?.phases || []).forEach((association, index) => {
+      const path = ['content', 'image-association', 'phases', index]
+      checkRef(association.main.image, 'image', [...path, 'main', 'image'])
+      checkRef(association.correct.image, 'image', [...path, 'correct', 'image'])
+      association.options.forEach((option, optionIndex) =>
+        checkRef(option.image, 'image', [...path, 'options', optionIndex, 'image'])
+      )
+    })
+    ;(pack.content['color-match']?.items || []).forEach((item, index) =>
+      checkRef(item.image, 'image', ['content', 'color-match', 'items', index, 'image'])
+    )
+    ;(pack.content['emotional-puzzle']?.emotions || []).forEach((emotion, index) =>
+      checkRef(emotion.audio, 'audio', ['content', 'emotional-puzzle', 'emotions', index, 'audio'])
+    )
+    const cardSets = pack.content['memory-game']?.cardSets || {}
+    Object.entries(cardSets).forEach(([setId, { cards }]) =>
+      cards.forEach((card, index) =>
+        checkRef(card.image, 'image', [
+          'content',
+          'memory-game',
+          'cardSets',
+          setId,
+          'cards',
+          index,
+          'image',
+        ])
+      )
+    )
+    const symbolSets = pack.content['aac-symbols']?.symbolSets || {}
+    Object.entries(symbolSets).forEach(([setId, set]) => {
+      const path = ['content', 'aac-symbols', 'symbolSets', setId]
+      const check = (symbol, symbolPath) => {
+        checkRef(symbol.image, 'image', [...symbolPath, 'image'])
+        checkRef(symbol.audio, 'audio', [...symbolPath, 'audio'])
+      }
+      set.core.forEach((symbol, index) => check(symbol, [...path, 'core', index]))
+      Object.entries(set.symbols).forEach(([key, symbol]) =>
+        check(symbol, [...path, 'symbols', key])
+      )
+    })
+  })
+
+/**
+ * Valida um pacote de conteúdo
+ * @param {Object} pack - JSON do pacote
+ * @returns {{valid: boolean, errors: string[], pack: Object|null}} Pacote com os valores padrão aplicados
+ */
+export const validateContentPack = (pack) => {
+  const result = contentPackSchema.safeParse(pack)
+  if (result.success) return { valid: true, errors: [], pack: result.data }
+
+  return {
+    valid: false,
+    errors: result.error.issues.map((issue) =>
+      issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+    ),
+    pack: null,
+  }
+}
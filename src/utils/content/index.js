@@ -0,0 +1,3 @@
+// Auto-generated barrel file
+export * from './contentPackRegistry.js'
+export * from './contentPackSchema.js'
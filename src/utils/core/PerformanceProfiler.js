@@ -121,6 +121,7 @@ class PerformanceProfiler {
       clearInterval(this.samplingInterval)
       this.samplingInterval = null
     }
+    this.stopFrameSampling()
 
     const report = this.generatePerformanceReport()
     this.state = PROFILER_STATES.IDLE
@@ -350,26 +351,47 @@ class PerformanceProfiler {
     }
   }
 
+  /**
+   * Conta os quadros realmente desenhados (requestAnimationFrame)
+   */
+  startFrameSampling() {
+    if (this.frameRequest || typeof requestAnimationFrame !== 'function') return
+
+    this.totalFrames = this.totalFrames || 0
+    const countFrame = () => {
+      this.totalFrames++
+      this.frameRequest = requestAnimationFrame(countFrame)
+    }
+    this.frameRequest = requestAnimationFrame(countFrame)
+  }
+
+  stopFrameSampling() {
+    if (!this.frameRequest) return
+    cancelAnimationFrame(this.frameRequest)
+    this.frameRequest = null
+  }
+
   /**
    * Mede FPS
+   * Quadros contados desde a última medição; antes contava as chamadas da amostragem.
    */
   measureFPS() {
-    if (!this.lastFrameTime) {
+    if (!this.frameRequest) {
+      this.startFrameSampling()
       this.lastFrameTime = performance.now()
-      this.frameCount = 0
+      this.lastFrameTotal = this.totalFrames || 0
       return null
     }
 
-    this.frameCount++
     const currentTime = performance.now()
     const deltaTime = currentTime - this.lastFrameTime
 
     if (deltaTime >= 1000) {
       // Calcular FPS a cada segundo
-      const fps = (this.frameCount * 1000) / deltaTime
+      const fps = ((this.totalFrames - this.lastFrameTotal) * 1000) / deltaTime
 
       this.lastFrameTime = currentTime
-      this.frameCount = 0
+      this.lastFrameTotal = this.totalFrames
 
       return {
         type: PERFORMANCE_METRIC_TYPES.RENDER,
@@ -382,6 +404,32 @@ class PerformanceProfiler {
     return null
   }
 
+  /**
+   * Mede o FPS durante uma janela de tempo, sem atrapalhar a amostragem contínua
+   * @param {number} [durationMs=2000]
+   * @returns {Promise<number|null>} null sem requestAnimationFrame
+   */
+  async measureFrameRate(durationMs = 2000) {
+    const wasSampling = Boolean(this.frameRequest)
+    this.startFrameSampling()
+    if (!this.frameRequest) return null
+
+    const startFrames = this.totalFrames
+    const startTime = performance.now()
+    await new Promise((resolve) => setTimeout(resolve, durationMs))
+    const fps = ((this.totalFrames - startFrames) * 1000) / (performance.now() - startTime)
+
+    if (!wasSampling && this.state !== PROFILER_STATES.RUNNING) this.stopFrameSampling()
+    this.metrics.set(`fps_${Date.now()}`, {
+      type: PERFORMANCE_METRIC_TYPES.RENDER,
+      name: 'FPS',
+      value: fps,
+      windowMs: durationMs,
+      timestamp: Date.now(),
+    })
+    return Math.round(fps * 10) / 10
+  }
+
   /**
    * Verifica limites de performance
    */
@@ -73,6 +73,7 @@ import { AutismAssessmentHelpers } from '../autismCognitiveAnalysis/autismAssess
 import autismCognitiveAnalyzer from '../autismCognitiveAnalysis/autismCognitiveAnalyzer.js'
 import neuropedagogicalAnalyzer from '../autismCognitiveAnalysis/neuropedagogicalInsights.js'
 import { featureFlags, isFeatureEnabled } from '../autismCognitiveAnalysis/featureFlags.js'
+import { ANALYSIS_TASKS, runAnalysis } from '../workers/index.js'
 
 // Analytics Systems 
 import { BehavioralEngagementAnalyzer } from '../analytics/behavioralEngagementAnalyzer.js'
@@ -2387,20 +2388,34 @@ export class SystemOrchestrator {
       }      // 1. USAR O AUTISM COGNITIVE ANALYZER
       if (this.therapeuticSystems.autismCognitiveAnalyzer) {
         this.logger.info('🧩 Executando análise cognitiva para autismo...')
-        // Usar método que realmente existe: calculateAutismAdaptations
-        results.analyses.autismCognitive = this.therapeuticSystems.autismCognitiveAnalyzer.calculateAutismAdaptations(
-          gameEvent.userId, 
-          gameEvent, 
-          gameEvent.userProfile || {}
-        )
-        
-        // Gerar otimizações terapêuticas se disponível
-        if (gameEvent.userId) {
-          results.analyses.therapyOptimizations = this.therapeuticSystems.autismCognitiveAnalyzer.generateTherapyOptimizations(
-            gameEvent.userId,
+        // Cálculo feito no worker de análise; sem worker, aqui mesmo como antes
+        const analyzer = this.therapeuticSystems.autismCognitiveAnalyzer
+        const cognitive = await runAnalysis(
+          ANALYSIS_TASKS.GAME_EVENT,
+          {
             gameEvent,
-            gameEvent.therapyGoals || {}
-          )
+            userProfile: gameEvent.userProfile || {},
+            therapyGoals: gameEvent.therapyGoals || {}
+          },
+          {
+            affinity: ANALYSIS_TASKS.GAME_EVENT,
+            fallback: () => ({
+              // Usar método que realmente existe: calculateAutismAdaptations
+              autismCognitive: analyzer.calculateAutismAdaptations(
+                gameEvent.userId,
+                gameEvent,
+                gameEvent.userProfile || {}
+              ),
+              // Gerar otimizações terapêuticas se disponível
+              therapyOptimizations: gameEvent.userId
+                ? analyzer.generateTherapyOptimizations(gameEvent.userId, gameEvent, gameEvent.therapyGoals || {})
+                : null
+            })
+          }
+        )
+        results.analyses.autismCognitive = cognitive.autismCognitive
+        if (cognitive.therapyOptimizations) {
+          results.analyses.therapyOptimizations = cognitive.therapyOptimizations
         }
       }
 
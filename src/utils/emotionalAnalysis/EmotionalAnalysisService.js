@@ -13,6 +13,8 @@ import { AnxietyDetector } from './algorithms/AnxietyDetector.js'
 import { AdaptiveMotivation } from './algorithms/AdaptiveMotivation.js'
 import { EmotionalRegulationSystem } from './algorithms/EmotionalRegulationSystem.js'
 import { CreativeExpressionAnalysis } from './algorithms/CreativeExpressionAnalysis.js'
+import { ANALYSIS_TASKS, runAnalysis } from '../workers/index.js'
+import { getRewardDeliveryLog } from '../game/tokenEconomy.js'
 
 export default class EmotionalAnalysisService {
   constructor(databaseService, userProfile = {}) {
@@ -50,6 +52,8 @@ export default class EmotionalAnalysisService {
     this.analysisHistory = []
     this.realtimeMetrics = new Map()
     this.interventionQueue = []
+    // Identifica as instâncias deste serviço dentro do worker de análise
+    this.workerKey = `emotional_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
   }
 
   /**
@@ -82,6 +86,11 @@ export default class EmotionalAnalysisService {
     }
 
     try {
+      // Fichas entregues à criança, para o AdaptiveMotivation avaliar o reforço
+      const analyzedSession = {
+        ...sessionData,
+        rewardDeliveries: sessionData.rewardDeliveries ?? getRewardDeliveryLog(sessionData.userId),
+      }
       const results = {
         sessionId: sessionData.sessionId,
         userId: sessionData.userId,
@@ -89,10 +98,17 @@ export default class EmotionalAnalysisService {
         algorithms: {},
       }
 
-      // Executar todos os algoritmos
-      for (const [name, algorithm] of Object.entries(this.algorithms)) {
-        results.algorithms[name] = await algorithm.execute(this.userProfile, sessionData)
-      }
+      // Executar todos os algoritmos no worker de análise, fora da thread do jogo
+      results.algorithms = await runAnalysis(
+        ANALYSIS_TASKS.EMOTIONAL_ALGORITHMS,
+        {
+          instanceKey: this.workerKey,
+          configs: this.getAlgorithmConfigs(),
+          userProfile: this.userProfile,
+          sessionData: analyzedSession,
+        },
+        { affinity: this.workerKey, fallback: () => this.executeAlgorithms(analyzedSession) }
+      )
 
       // Gerar análise integrada
       results.integratedAnalysis = this.generateIntegratedAnalysis(results.algorithms)
@@ -113,6 +129,29 @@ export default class EmotionalAnalysisService {
     }
   }
 
+  /**
+   * Configuração de cada algoritmo, para o worker criar instâncias iguais
+   * @returns {Object}
+   */
+  getAlgorithmConfigs() {
+    return Object.fromEntries(
+      Object.entries(this.algorithms).map(([name, algorithm]) => [name, algorithm.config])
+    )
+  }
+
+  /**
+   * Executa os algoritmos na thread principal (sem worker)
+   * @param {Object} sessionData
+   * @returns {Promise<Object>}
+   */
+  async executeAlgorithms(sessionData) {
+    const results = {}
+    for (const [name, algorithm] of Object.entries(this.algorithms)) {
+      results[name] = await algorithm.execute(this.userProfile, sessionData)
+    }
+    return results
+  }
+
   /**
    * Análise em tempo real
    * @param {Object} interactionData - Dados de interação em tempo real
@@ -20,6 +20,7 @@ export class AdaptiveMotivation {
   async execute(userProfile, sessionData) {
     const motivationLevel = this.analyzeMotivationLevel(sessionData)
     const motivationTriggers = this.identifyMotivationTriggers(sessionData)
+    const reinforcement = this.evaluateRewardDeliveries(sessionData.rewardDeliveries || [])
 
     return {
       algorithm: 'AdaptiveMotivation',
@@ -28,8 +29,12 @@ export class AdaptiveMotivation {
       confidence: 0.8,
       motivationLevel,
       triggers: motivationTriggers,
+      reinforcement,
       insights: this.generateInsights(motivationLevel),
-      recommendations: this.generateRecommendations(motivationLevel, motivationTriggers),
+      recommendations: [
+        ...this.generateRecommendations(motivationLevel, motivationTriggers),
+        ...this.generateReinforcementRecommendations(reinforcement),
+      ],
     }
   }
 
@@ -74,6 +79,70 @@ export class AdaptiveMotivation {
     return recommendations
   }
 
+  /**
+   * Avalia o registro da economia de fichas (getRewardDeliveryLog)
+   * Intervalos entre fichas que crescem ao longo do registro indicam que o reforço está
+   * perdendo força (saciedade); fichas acumuladas sem troca indicam recompensas pouco atraentes.
+   * @param {Object[]} deliveries - Fichas ('token') e trocas ('reward') em ordem
+   * @returns {{tokensDelivered: number, rewardsRedeemed: number, averageResponsesPerToken: number|null, averageIntervalMs: number|null, intervalTrend: number|null, tokensPerRedemption: number|null, effectiveness: string}}
+   */
+  evaluateRewardDeliveries(deliveries) {
+    const tokens = deliveries.filter((entry) => entry.type === 'token')
+    const rewards = deliveries.filter((entry) => entry.type === 'reward')
+    const average = (values) =>
+      values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+
+    const intervals = tokens.map((entry) => entry.intervalMs).filter((value) => value > 0)
+    const half = Math.floor(intervals.length / 2)
+    const earlier = average(intervals.slice(0, half))
+    const later = average(intervals.slice(half))
+    // Variação relativa do intervalo entre fichas: positivo = criança demorando mais
+    const intervalTrend =
+      half > 0 && earlier > 0 ? Math.round(((later - earlier) / earlier) * 100) / 100 : null
+
+    let effectiveness = 'insufficient_data'
+    if (tokens.length >= 4) {
+      if (intervalTrend !== null && intervalTrend > 0.25) effectiveness = 'declining'
+      else if (rewards.length === 0 && tokens.length >= 10) effectiveness = 'unredeemed'
+      else effectiveness = 'effective'
+    }
+
+    const averageResponses = average(tokens.map((entry) => entry.responses || 1))
+    return {
+      tokensDelivered: tokens.length,
+      rewardsRedeemed: rewards.length,
+      averageResponsesPerToken:
+        averageResponses !== null ? Math.round(averageResponses * 10) / 10 : null,
+      averageIntervalMs: intervals.length > 0 ? Math.round(average(intervals)) : null,
+      intervalTrend,
+      tokensPerRedemption:
+        rewards.length > 0
+          ? Math.round(average(rewards.map((entry) => entry.cost)) * 10) / 10
+          : null,
+      effectiveness,
+    }
+  }
+
+  generateReinforcementRecommendations(reinforcement) {
+    const recommendations = []
+    if (reinforcement.effectiveness === 'declining') {
+      recommendations.push({
+        type: 'reinforcement',
+        action: 'refresh_rewards',
+        description:
+          'Intervalo entre fichas aumentando - variar as recompensas ou usar razão variável',
+      })
+    }
+    if (reinforcement.effectiveness === 'unredeemed') {
+      recommendations.push({
+        type: 'reinforcement',
+        action: 'review_reward_menu',
+        description: 'Fichas acumuladas sem troca - rever as recompensas ou reduzir o custo',
+      })
+    }
+    return recommendations
+  }
+
   updateProfile(newProfile) {
     this.config = { ...this.config, ...newProfile }
   }
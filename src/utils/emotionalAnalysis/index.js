@@ -3,5 +3,6 @@ export * from './emotionalAnalysis.js';
 export * from './emotionalAnalysisEngine.js';
 export * from './EmotionalAnalysisService.js';
 export * from './IntegratedAnalysisOrchestrator.js';
+export * from './sensoryBreak.js';
 export * from './algorithms/index.js';
 export * from './dataCollectors/index.js';
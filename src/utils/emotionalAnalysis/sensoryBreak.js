@@ -0,0 +1,324 @@
+/**
+ * @file sensoryBreak.js
+ * @description Pausa sensorial disparada pela frustração durante o jogo
+ * Acompanha acertos e erros da atividade em curso, calcula o nível de frustração com
+ * FrustrationDetection e, acima do limite configurado pelo responsável, oferece (ou
+ * inicia) a atividade de calma. O desempenho antes e depois de cada pausa fica
+ * registrado para medir se as pausas ajudam.
+ */
+
+import { FrustrationDetection } from './algorithms/FrustrationDetection.js'
+import { SCAN_SETTINGS_KEY } from '../accessibility/switchScanning.js'
+
+// Disparado quando a frustração passa do limite ou o RealTimeMetricsProcessor pede uma
+// pausa: { activityId, level, autoStart, reason? }
+export const SENSORY_BREAK_EVENT = 'sensory-break-suggested'
+
+export const SENSORY_BREAK_MODES = ['off', 'offer', 'auto']
+export const SENSORY_BREAK_THRESHOLDS = [0.5, 0.7, 0.9]
+export const SENSORY_BREAK_MINUTES = [1, 2, 3, 5]
+
+export const SENSORY_BREAK_DEFAULTS = {
+  sensoryBreakMode: 'offer',
+  sensoryBreakThreshold: 0.7,
+  sensoryBreakMinutes: 2,
+}
+
+// Janela de eventos recentes analisada
+export const FRUSTRATION_WINDOW = 10
+// Poucos eventos ainda não dizem nada sobre a criança
+export const MIN_EVENTS_FOR_BREAK = 3
+// Erros seguidos que contam como frustração máxima
+export const ERROR_STREAK_FOR_MAX = 4
+// Depois de uma oferta ou de uma pausa, espera antes de oferecer de novo
+export const BREAK_COOLDOWN_MS = 3 * 60000
+// Jogadas depois da pausa usadas para medir o efeito
+export const POST_BREAK_EVENTS = 5
+
+const BREAK_LOG_PREFIX = 'betina_sensory_breaks_'
+const MAX_BREAK_LOG = 50
+
+const detector = new FrustrationDetection()
+
+// Atividade acompanhada no momento
+const monitor = {
+  activityId: null,
+  events: [],
+  offeredAt: -Infinity,
+  activeBreak: null,
+  pendingBreak: null,
+}
+
+/**
+ * Configuração da pausa sensorial salva pelo painel de acessibilidade
+ * @param {Object} [settings] - Configurações do painel; por padrão as do localStorage
+ * @returns {{sensoryBreakMode: string, sensoryBreakThreshold: number, sensoryBreakMinutes: number}}
+ */
+export function getSensoryBreakSettings(settings) {
+  let source = settings
+  if (!source) {
+    try {
+      source = JSON.parse(localStorage.getItem(SCAN_SETTINGS_KEY) || '{}') || {}
+    } catch (error) {
+      console.error('Erro ao carregar configurações da pausa sensorial:', error)
+      source = {}
+    }
+  }
+  const threshold = Number(source.sensoryBreakThreshold)
+  const minutes = Number(source.sensoryBreakMinutes)
+  return {
+    sensoryBreakMode: SENSORY_BREAK_MODES.includes(source.sensoryBreakMode)
+      ? source.sensoryBreakMode
+      : SENSORY_BREAK_DEFAULTS.sensoryBreakMode,
+    sensoryBreakThreshold:
+      threshold > 0 && threshold <= 1 ? threshold : SENSORY_BREAK_DEFAULTS.sensoryBreakThreshold,
+    sensoryBreakMinutes: minutes > 0 ? minutes : SENSORY_BREAK_DEFAULTS.sensoryBreakMinutes,
+  }
+}
+
+/**
+ * Nível de frustração dos eventos recentes
+ * Combina a análise do FrustrationDetection com a sequência de erros no fim da janela.
+ * @param {Array<{type: string, at: number}>} events - Acertos ('success') e erros ('error')
+ * @returns {number} 0 a 1
+ */
+export function calculateFrustrationLevel(events) {
+  const recent = events.slice(-FRUSTRATION_WINDOW)
+  if (recent.length < MIN_EVENTS_FOR_BREAK) return 0
+
+  const sessionData = {
+    actions: recent,
+    errors: recent
+      .filter((event) => event.type === 'error')
+      .map((event) => ({ type: 'error', context: 'game', timestamp: event.at })),
+    interactions: recent.map((event) => ({ type: 'click', timestamp: event.at })),
+  }
+  const detected = detector.calculateFrustrationLevel(
+    detector.analyzeFrustrationMetrics(sessionData),
+    detector.analyzeBehavioralPatterns(sessionData),
+    detector.analyzeTemporalPatterns(sessionData)
+  )
+
+  let streak = 0
+  for (let i = recent.length - 1; i >= 0 && recent[i].type === 'error'; i--) streak++
+
+  return Math.max(detected, Math.min(streak / ERROR_STREAK_FOR_MAX, 1))
+}
+
+// Acertos e precisão de um trecho do jogo
+const summarizeEvents = (events) => {
+  const attempts = events.length
+  const successes = events.filter((event) => event.type === 'success').length
+  return {
+    attempts,
+    accuracy: attempts > 0 ? Math.round((successes / attempts) * 100) : null,
+  }
+}
+
+const logKey = (userId) => `${BREAK_LOG_PREFIX}${userId || 'local'}`
+
+/**
+ * Pausas registradas da criança
+ * @param {string|number} [userId]
+ * @returns {Object[]}
+ */
+export function getSensoryBreakLog(userId) {
+  try {
+    return JSON.parse(localStorage.getItem(logKey(userId)) || '[]') || []
+  } catch (error) {
+    console.error('Erro ao carregar registro de pausas sensoriais:', error)
+    return []
+  }
+}
+
+const saveBreakRecord = (record) => {
+  const { userId, postEvents, ...entry } = record
+  entry.post = summarizeEvents(postEvents)
+  try {
+    const log = [...getSensoryBreakLog(userId), entry].slice(-MAX_BREAK_LOG)
+    localStorage.setItem(logKey(userId), JSON.stringify(log))
+  } catch (error) {
+    console.error('Erro ao salvar registro de pausa sensorial:', error)
+  }
+  return entry
+}
+
+// Encerra a medição pós-pausa com o que houver
+const flushPendingBreak = () => {
+  if (!monitor.pendingBreak) return
+  saveBreakRecord(monitor.pendingBreak)
+  monitor.pendingBreak = null
+}
+
+/**
+ * Registra um acerto ou erro da atividade e oferece a pausa quando necessário
+ * @param {string} activityId
+ * @param {string} type - 'success' | 'error'
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {Object} [options.settings] - Configurações do painel
+ * @returns {{level: number, suggested: boolean}|null}
+ */
+export function trackFrustrationEvent(activityId, type, { now = Date.now(), settings } = {}) {
+  if (!activityId || (type !== 'success' && type !== 'error')) return null
+
+  if (monitor.activityId !== activityId) {
+    flushPendingBreak()
+    monitor.activityId = activityId
+    monitor.events = []
+  }
+  if (monitor.activeBreak) return { level: 0, suggested: false }
+
+  monitor.events = [...monitor.events, { type, at: now }].slice(-FRUSTRATION_WINDOW)
+
+  if (monitor.pendingBreak) {
+    monitor.pendingBreak.postEvents.push({ type, at: now })
+    if (monitor.pendingBreak.postEvents.length >= POST_BREAK_EVENTS) flushPendingBreak()
+  }
+
+  const level = calculateFrustrationLevel(monitor.events)
+  const { sensoryBreakThreshold } = getSensoryBreakSettings(settings)
+  const suggested =
+    level >= sensoryBreakThreshold && suggestSensoryBreak(activityId, { level, now, settings })
+
+  return { level, suggested }
+}
+
+/**
+ * Oferece (ou, no modo automático, inicia) a pausa sensorial da atividade
+ * Respeita o modo do painel e o intervalo entre ofertas, seja o pedido da frustração
+ * acompanhada aqui ou de uma intervenção do RealTimeMetricsProcessor.
+ * @param {string} activityId
+ * @param {Object} [options]
+ * @param {number|null} [options.level] - Frustração que motivou a pausa
+ * @param {string} [options.reason] - Motivo, quando não é a frustração acompanhada aqui
+ * @param {number} [options.now]
+ * @param {Object} [options.settings] - Configurações do painel
+ * @returns {boolean} Se a pausa foi oferecida
+ */
+export function suggestSensoryBreak(
+  activityId,
+  { level = null, reason, now = Date.now(), settings } = {}
+) {
+  if (!activityId || monitor.activeBreak) return false
+  const { sensoryBreakMode } = getSensoryBreakSettings(settings)
+  if (sensoryBreakMode === 'off' || now - monitor.offeredAt < BREAK_COOLDOWN_MS) return false
+
+  monitor.offeredAt = now
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(
+      new CustomEvent(SENSORY_BREAK_EVENT, {
+        detail: {
+          activityId,
+          level,
+          autoStart: sensoryBreakMode === 'auto',
+          ...(reason && { reason }),
+        },
+      })
+    )
+  }
+  return true
+}
+
+/**
+ * Nível de frustração atual da atividade acompanhada
+ * @param {string} [activityId]
+ * @returns {number}
+ */
+export function getCurrentFrustrationLevel(activityId) {
+  if (activityId && activityId !== monitor.activityId) return 0
+  return calculateFrustrationLevel(monitor.events)
+}
+
+/**
+ * Começa a pausa, guardando o desempenho até aqui
+ * @param {Object} options
+ * @param {string} [options.trigger='offer'] - 'offer' (aceita pela criança) | 'auto' | 'therapist'
+ * @param {number} [options.level] - Frustração que disparou a pausa
+ * @param {string|number} [options.userId]
+ * @param {number} [options.now]
+ * @returns {Object} Pausa em andamento
+ */
+export function startSensoryBreak({
+  trigger = 'offer',
+  level = null,
+  userId,
+  now = Date.now(),
+} = {}) {
+  flushPendingBreak()
+  monitor.activeBreak = {
+    userId,
+    activityId: monitor.activityId,
+    trigger,
+    level: level ?? calculateFrustrationLevel(monitor.events),
+    startedAt: now,
+    pre: summarizeEvents(monitor.events),
+  }
+  // Os erros de antes da pausa não devem disparar outra logo na volta
+  monitor.events = []
+  return monitor.activeBreak
+}
+
+/**
+ * Termina a pausa; as próximas jogadas medem o efeito dela
+ * @param {Object} [options]
+ * @param {boolean} [options.completed=true] - false quando a criança saiu antes do tempo
+ * @param {number} [options.now]
+ * @returns {Object|null}
+ */
+export function finishSensoryBreak({ completed = true, now = Date.now() } = {}) {
+  const active = monitor.activeBreak
+  if (!active) return null
+
+  monitor.activeBreak = null
+  monitor.offeredAt = now
+  monitor.pendingBreak = {
+    ...active,
+    completed,
+    durationMs: now - active.startedAt,
+    postEvents: [],
+  }
+  return monitor.pendingBreak
+}
+
+/**
+ * Encerra o acompanhamento ao sair da atividade
+ * Uma pausa em andamento conta como interrompida.
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ */
+export function endFrustrationMonitoring({ now = Date.now() } = {}) {
+  if (monitor.activeBreak) finishSensoryBreak({ completed: false, now })
+  flushPendingBreak()
+  monitor.activityId = null
+  monitor.events = []
+}
+
+/**
+ * Efeito das pausas no desempenho
+ * @param {Object[]} records - getSensoryBreakLog
+ * @returns {{breaks: number, completed: number, measured: number, averagePreAccuracy: number|null, averagePostAccuracy: number|null, averageChange: number|null, improvedRate: number|null}}
+ */
+export function summarizeSensoryBreaks(records) {
+  const measured = records.filter(
+    (record) => record.pre?.accuracy !== null && record.post?.accuracy !== null
+  )
+  const average = (values) =>
+    values.length > 0
+      ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null
+  const changes = measured.map((record) => record.post.accuracy - record.pre.accuracy)
+
+  return {
+    breaks: records.length,
+    completed: records.filter((record) => record.completed).length,
+    measured: measured.length,
+    averagePreAccuracy: average(measured.map((record) => record.pre.accuracy)),
+    averagePostAccuracy: average(measured.map((record) => record.post.accuracy)),
+    averageChange: average(changes),
+    improvedRate:
+      measured.length > 0
+        ? Math.round((changes.filter((change) => change > 0).length / measured.length) * 100) / 100
+        : null,
+  }
+}
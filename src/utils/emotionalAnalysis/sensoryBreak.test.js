@@ -0,0 +1,147 @@
+/**
+ * @file sensoryBreak.test.js
+ * @description Testes da pausa sensorial disparada pela frustração
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  BREAK_COOLDOWN_MS,
+  SENSORY_BREAK_EVENT,
+  calculateFrustrationLevel,
+  endFrustrationMonitoring,
+  finishSensoryBreak,
+  getSensoryBreakLog,
+  startSensoryBreak,
+  suggestSensoryBreak,
+  summarizeSensoryBreaks,
+  trackFrustrationEvent,
+} from './sensoryBreak.js'
+
+const T0 = 1_700_000_000_000
+
+// Jogadas em ritmo regular, a cada 2 s
+const play = (types, { start = T0, settings } = {}) =>
+  types.map((type, index) =>
+    trackFrustrationEvent('memory-game', type, { now: start + index * 2000, settings })
+  )
+
+describe('sensoryBreak', () => {
+  let store
+  let suggestions
+
+  const handleSuggested = (event) => suggestions.push(event.detail)
+
+  beforeEach(() => {
+    store = {}
+    suggestions = []
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null)
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value
+    })
+    window.addEventListener(SENSORY_BREAK_EVENT, handleSuggested)
+  })
+
+  afterEach(() => {
+    endFrustrationMonitoring()
+    window.removeEventListener(SENSORY_BREAK_EVENT, handleSuggested)
+    localStorage.getItem.mockReset()
+    localStorage.setItem.mockReset()
+    vi.useRealTimers()
+  })
+
+  it('deve medir a frustração pelos erros seguidos e pela taxa de erro', () => {
+    const at = (types) => types.map((type, index) => ({ type, at: T0 + index * 2000 }))
+
+    expect(calculateFrustrationLevel(at(['error', 'error']))).toBe(0)
+    expect(calculateFrustrationLevel(at(['success', 'success', 'success', 'success']))).toBe(0)
+    expect(calculateFrustrationLevel(at(['success', 'error', 'error', 'error']))).toBe(0.75)
+    expect(calculateFrustrationLevel(at(['success', 'error', 'error', 'error', 'error']))).toBe(1)
+  })
+
+  it('deve oferecer a pausa acima do limite, respeitando o intervalo e o modo desligado', () => {
+    const results = play(['success', 'error', 'error', 'error'])
+    expect(results.map((result) => result.suggested)).toEqual([false, false, false, true])
+    expect(suggestions).toEqual([{ activityId: 'memory-game', level: 0.75, autoStart: false }])
+
+    // Mais erros logo depois não repetem a oferta
+    play(['error', 'error'], { start: T0 + 10000 })
+    expect(suggestions).toHaveLength(1)
+    play(['error'], { start: T0 + 6000 + BREAK_COOLDOWN_MS })
+    expect(suggestions).toHaveLength(2)
+
+    endFrustrationMonitoring()
+    suggestions = []
+    play(['error', 'error', 'error', 'error'], {
+      start: T0 + 2 * BREAK_COOLDOWN_MS,
+      settings: { sensoryBreakMode: 'off' },
+    })
+    expect(suggestions).toEqual([])
+  })
+
+  it('deve oferecer a pausa pedida pelo processador de métricas no mesmo intervalo', () => {
+    const T1 = T0 + 5 * BREAK_COOLDOWN_MS
+    const reason = 'Sobrecarga sensorial detectada'
+
+    expect(suggestSensoryBreak('color-match', { reason, now: T1 })).toBe(true)
+    expect(suggestions).toEqual([
+      { activityId: 'color-match', level: null, autoStart: false, reason },
+    ])
+    // A frustração logo depois não gera uma segunda oferta
+    expect(suggestSensoryBreak('color-match', { level: 0.9, now: T1 + 1000 })).toBe(false)
+    expect(
+      suggestSensoryBreak('color-match', {
+        now: T1 + BREAK_COOLDOWN_MS,
+        settings: { sensoryBreakMode: 'off' },
+      })
+    ).toBe(false)
+    expect(suggestions).toHaveLength(1)
+  })
+
+  it('deve registrar o desempenho antes e depois da pausa automática', () => {
+    // O intervalo entre ofertas vale entre atividades: começa bem depois do teste anterior
+    const T1 = T0 + 10 * BREAK_COOLDOWN_MS
+    const settings = { sensoryBreakMode: 'auto', sensoryBreakThreshold: 0.5 }
+    play(['success', 'error', 'error'], { start: T1, settings })
+    // Aqui pesa a taxa de erro do FrustrationDetection (2 de 3), não a sequência
+    expect(suggestions[0].autoStart).toBe(true)
+    expect(suggestions[0].level).toBeCloseTo(2 / 3)
+
+    const { level } = suggestions[0]
+    const active = startSensoryBreak({ trigger: 'auto', level, userId: 7, now: T1 + 5000 })
+    expect(active.pre).toEqual({ attempts: 3, accuracy: 33 })
+    // Jogadas durante a pausa não contam
+    expect(trackFrustrationEvent('memory-game', 'error', { now: T1 + 6000 })).toEqual({
+      level: 0,
+      suggested: false,
+    })
+    finishSensoryBreak({ now: T1 + 125000 })
+
+    play(['success', 'success', 'error', 'success', 'success'], { start: T1 + 130000, settings })
+    const log = getSensoryBreakLog(7)
+    expect(log).toHaveLength(1)
+    expect(log[0]).toMatchObject({
+      activityId: 'memory-game',
+      trigger: 'auto',
+      completed: true,
+      durationMs: 120000,
+      pre: { attempts: 3, accuracy: 33 },
+      post: { attempts: 5, accuracy: 80 },
+    })
+
+    // Pausa interrompida ao sair do jogo, sem jogadas depois
+    startSensoryBreak({ userId: 7, now: T1 + 200000 })
+    endFrustrationMonitoring({ now: T1 + 210000 })
+    const records = getSensoryBreakLog(7)
+    expect(records[1]).toMatchObject({ completed: false, post: { attempts: 0, accuracy: null } })
+
+    expect(summarizeSensoryBreaks(records)).toEqual({
+      breaks: 2,
+      completed: 1,
+      measured: 1,
+      averagePreAccuracy: 33,
+      averagePostAccuracy: 80,
+      averageChange: 47,
+      improvedRate: 1,
+    })
+  })
+})
@@ -343,4 +343,29 @@ export function exportAllData() {
     console.error('Erro ao exportar dados:', error);
     return null;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Importa contadores de uso de um backup
+ * Mantém o maior valor de cada contador, então restaurar o mesmo backup
+ * duas vezes não duplica o uso dos jogos.
+ * @param {Object} importedUsage - Contadores no formato de getGameUsageCounts()
+ * @returns {Object} Contadores resultantes
+ */
+export function importUsageData(importedUsage = {}) {
+  const usage = getGameUsageCounts();
+
+  Object.entries(importedUsage).forEach(([key, value]) => {
+    if (typeof value === 'number' && !isNaN(value)) {
+      usage[key] = Math.max(usage[key] || 0, value);
+    }
+  });
+
+  if (typeof localStorage !== 'undefined') {
+    localStorage.setItem(USAGE_KEY, JSON.stringify(usage));
+    // O ranking precisa ser recalculado com os novos contadores
+    localStorage.removeItem(RANKING_CACHE_KEY);
+  }
+
+  return usage;
+}
@@ -1,2 +1,4 @@
 // Auto-generated barrel file
 export * from './gameUsage.js';
+export * from './reviewScheduler.js';
+export * from './tokenEconomy.js';
@@ -0,0 +1,221 @@
+/**
+ * @file reviewScheduler.js
+ * @description Agendador de revisão espaçada por criança (estilo SM-2)
+ * Cada sessão concluída vira uma revisão do jogo e das habilidades que ele treina:
+ * a acurácia define a qualidade (0-5), que ajusta facilidade, intervalo e próxima
+ * data de revisão. O plano do dia prioriza o que está vencido, pela retenção
+ * estimada, e cabe na duração de sessão do plano terapêutico.
+ */
+
+const SCHEDULE_KEY_PREFIX = 'betina_review_schedule_'
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const DEFAULT_SESSION_MINUTES = 30
+const DEFAULT_GAME_MINUTES = 5
+const INITIAL_EASE = 2.5
+const MIN_EASE = 1.3
+// Retenção esperada no dia da revisão; abaixo disso o conteúdo está "esquecendo"
+const TARGET_RETENTION = 0.9
+
+/**
+ * Habilidades treinadas por jogo, nas áreas do LearningProgressModel
+ */
+export const GAME_SKILLS = {
+  'letter-recognition': ['language', 'attention'],
+  'musical-sequence': ['memory', 'attention'],
+  'creative-painting': ['motor', 'attention'],
+  'visual-patterns': ['processing', 'executive'],
+  'emotional-puzzle': ['social', 'processing'],
+  'memory-game': ['memory', 'attention'],
+  'image-association': ['processing', 'language'],
+  'number-counting': ['executive', 'language'],
+}
+
+const storageKey = (userId) => `${SCHEDULE_KEY_PREFIX}${userId || 'local'}`
+
+const emptySchedule = () => ({ games: {}, skills: {} })
+
+/**
+ * Agenda de revisão da criança
+ * @param {string} [userId] - ID do usuário; sem ID usa a agenda local do dispositivo
+ * @returns {{games: Object<string, Object>, skills: Object<string, Object>}}
+ */
+export function getReviewSchedule(userId) {
+  try {
+    if (typeof localStorage === 'undefined') return emptySchedule()
+    const stored = JSON.parse(localStorage.getItem(storageKey(userId)) || 'null')
+    return { ...emptySchedule(), ...stored }
+  } catch (error) {
+    console.error('Erro ao carregar agenda de revisão:', error)
+    return emptySchedule()
+  }
+}
+
+function saveReviewSchedule(userId, schedule) {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(storageKey(userId), JSON.stringify(schedule))
+    }
+  } catch (error) {
+    console.error('Erro ao salvar agenda de revisão:', error)
+  }
+}
+
+/**
+ * Converte a acurácia da sessão na qualidade de resposta do SM-2
+ * @param {number} accuracy - Acurácia 0-100
+ * @param {boolean} [completed=true] - Sessões abandonadas nunca contam como acerto
+ * @returns {number} Qualidade 0-5
+ */
+export function qualityFromAccuracy(accuracy, completed = true) {
+  const value = Number.isFinite(accuracy) ? accuracy : 0
+  const quality =
+    value >= 90 ? 5 : value >= 75 ? 4 : value >= 60 ? 3 : value >= 40 ? 2 : value >= 20 ? 1 : 0
+  return completed ? quality : Math.min(quality, 2)
+}
+
+// Passo do SM-2: qualidade >= 3 avança o intervalo, abaixo disso o item recomeça
+function reviewCard(card = {}, quality, now) {
+  const ease = card.ease ?? INITIAL_EASE
+  const passed = quality >= 3
+  const repetitions = passed ? (card.repetitions || 0) + 1 : 0
+  const interval = !passed
+    ? 1
+    : repetitions === 1
+      ? 1
+      : repetitions === 2
+        ? 3
+        : Math.round((card.interval || 1) * ease)
+
+  return {
+    ...card,
+    ease: Math.max(MIN_EASE, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)),
+    repetitions,
+    interval,
+    lapses: (card.lapses || 0) + (passed ? 0 : 1),
+    lastQuality: quality,
+    lastReview: now,
+    due: now + interval * DAY_MS,
+  }
+}
+
+/**
+ * Retenção estimada de um item (curva de esquecimento do FSRS)
+ * Vale TARGET_RETENTION no dia da revisão e cai conforme o atraso.
+ * @param {Object} card - Item da agenda
+ * @param {number} [now=Date.now()]
+ * @returns {number} Retenção 0-1; 0 para itens nunca revisados
+ */
+export function estimateRetention(card, now = Date.now()) {
+  if (!card?.lastReview) return 0
+  const elapsedDays = Math.max(0, now - card.lastReview) / DAY_MS
+  return Math.pow(TARGET_RETENTION, elapsedDays / Math.max(card.interval || 1, 1))
+}
+
+/**
+ * Registra uma sessão concluída como revisão do jogo e das suas habilidades
+ * @param {string} gameId - ID do jogo
+ * @param {Object} result
+ * @param {number} result.accuracy - Acurácia 0-100
+ * @param {number} [result.timeSpent] - Tempo ativo em segundos
+ * @param {boolean} [result.completed=true]
+ * @param {Object} [options]
+ * @param {string} [options.userId]
+ * @param {number} [options.now=Date.now()]
+ * @returns {Object} Item do jogo atualizado
+ */
+export function recordReview(
+  gameId,
+  { accuracy, timeSpent, completed = true },
+  { userId, now = Date.now() } = {}
+) {
+  const schedule = getReviewSchedule(userId)
+  const quality = qualityFromAccuracy(accuracy, completed)
+  const previous = schedule.games[gameId]
+  const game = reviewCard(previous, quality, now)
+
+  // Média móvel da duração, usada para caber o plano na sessão
+  if (Number.isFinite(timeSpent) && timeSpent > 0) {
+    const minutes = timeSpent / 60
+    game.averageMinutes = previous?.averageMinutes
+      ? previous.averageMinutes * 0.7 + minutes * 0.3
+      : minutes
+  }
+
+  schedule.games[gameId] = game
+  ;(GAME_SKILLS[gameId] || []).forEach((skill) => {
+    schedule.skills[skill] = reviewCard(schedule.skills[skill], quality, now)
+  })
+
+  saveReviewSchedule(userId, schedule)
+  return game
+}
+
+const estimatedMinutes = (card) =>
+  Math.max(1, Math.round(card?.averageMinutes || DEFAULT_GAME_MINUTES))
+
+/**
+ * Monta o plano do dia: revisões vencidas, jogos que treinam habilidades vencidas
+ * e até `maxNew` jogos novos, sem passar da duração da sessão
+ * @param {Array<Object>} activities - Atividades do menu ({id, ...})
+ * @param {Object} [options]
+ * @param {string} [options.userId]
+ * @param {number} [options.sessionMinutes=30] - Duração de sessão do plano terapêutico
+ * @param {number} [options.maxNew=2]
+ * @param {number} [options.now=Date.now()]
+ * @returns {{items: Array<Object>, totalMinutes: number, sessionMinutes: number, dueSkills: string[]}}
+ */
+export function getTodaysPlan(
+  activities,
+  { userId, sessionMinutes = DEFAULT_SESSION_MINUTES, maxNew = 2, now = Date.now() } = {}
+) {
+  const schedule = getReviewSchedule(userId)
+  const dueSkills = Object.entries(schedule.skills)
+    .filter(([, card]) => card.due <= now)
+    .sort(([, a], [, b]) => estimateRetention(a, now) - estimateRetention(b, now))
+    .map(([skill]) => skill)
+
+  const candidates = activities.map((activity) => {
+    const card = schedule.games[activity.id]
+    const skills = (GAME_SKILLS[activity.id] || []).filter((skill) => dueSkills.includes(skill))
+    const reason = !card ? 'new' : card.due <= now ? 'review' : skills.length > 0 ? 'skill' : null
+
+    return {
+      ...activity,
+      reason,
+      dueSkills: skills,
+      retention: estimateRetention(card, now),
+      estimatedMinutes: estimatedMinutes(card),
+    }
+  })
+
+  const byRetention = (a, b) => a.retention - b.retention
+  const ordered = [
+    ...candidates.filter((item) => item.reason === 'review').sort(byRetention),
+    ...candidates.filter((item) => item.reason === 'skill').sort(byRetention),
+    ...candidates.filter((item) => item.reason === 'new').slice(0, maxNew),
+  ]
+
+  const items = []
+  let totalMinutes = 0
+  ordered.forEach((item) => {
+    if (totalMinutes + item.estimatedMinutes <= sessionMinutes) {
+      items.push(item)
+      totalMinutes += item.estimatedMinutes
+    }
+  })
+
+  return { items, totalMinutes, sessionMinutes, dueSkills }
+}
+
+/**
+ * Apaga a agenda de revisão da criança
+ * @param {string} [userId]
+ */
+export function resetReviewSchedule(userId) {
+  try {
+    localStorage.removeItem(storageKey(userId))
+  } catch (error) {
+    console.error('Erro ao resetar agenda de revisão:', error)
+  }
+}
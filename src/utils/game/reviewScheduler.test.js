@@ -0,0 +1,96 @@
+/**
+ * @file reviewScheduler.test.js
+ * @description Testes do agendador de revisão espaçada
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  getReviewSchedule,
+  getTodaysPlan,
+  qualityFromAccuracy,
+  recordReview,
+} from './reviewScheduler.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = Date.UTC(2025, 0, 10)
+
+const activities = [
+  { id: 'memory-game', title: 'Jogo da Memória' },
+  { id: 'letter-recognition', title: 'Reconhecimento de Letras' },
+  { id: 'visual-patterns', title: 'Padrões Visuais' },
+  { id: 'number-counting', title: 'Números e Contagem' },
+  { id: 'emotional-puzzle', title: 'Quebra-Cabeça Emocional' },
+]
+
+describe('reviewScheduler', () => {
+  let store
+
+  beforeEach(() => {
+    store = {}
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null)
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value
+    })
+  })
+
+  afterEach(() => {
+    localStorage.getItem.mockReset()
+    localStorage.setItem.mockReset()
+  })
+
+  it('deve converter acurácia em qualidade e limitar sessões abandonadas', () => {
+    expect(qualityFromAccuracy(95)).toBe(5)
+    expect(qualityFromAccuracy(65)).toBe(3)
+    expect(qualityFromAccuracy(10)).toBe(0)
+    expect(qualityFromAccuracy(95, false)).toBe(2)
+  })
+
+  it('deve espaçar as revisões com acertos e reiniciar após um lapso', () => {
+    const first = recordReview('memory-game', { accuracy: 90 }, { userId: 'u1', now: NOW })
+    const second = recordReview(
+      'memory-game',
+      { accuracy: 90 },
+      { userId: 'u1', now: NOW + DAY_MS }
+    )
+    const third = recordReview(
+      'memory-game',
+      { accuracy: 90 },
+      { userId: 'u1', now: NOW + 4 * DAY_MS }
+    )
+
+    expect([first.interval, second.interval, third.interval]).toEqual([1, 3, 8])
+    expect(third.due).toBe(NOW + 12 * DAY_MS)
+
+    const lapse = recordReview(
+      'memory-game',
+      { accuracy: 30 },
+      { userId: 'u1', now: NOW + 12 * DAY_MS }
+    )
+    expect(lapse).toMatchObject({ repetitions: 0, interval: 1, lapses: 1 })
+    expect(lapse.ease).toBeLessThan(third.ease)
+
+    const schedule = getReviewSchedule('u1')
+    expect(Object.keys(schedule.skills)).toEqual(['memory', 'attention'])
+    expect(getReviewSchedule('u2').games).toEqual({})
+  })
+
+  it('deve priorizar revisões vencidas e caber na duração da sessão', () => {
+    const options = { userId: 'u1', now: NOW - 10 * DAY_MS }
+    recordReview('memory-game', { accuracy: 80, timeSpent: 600 }, options)
+    recordReview('letter-recognition', { accuracy: 80, timeSpent: 240 }, options)
+    recordReview('visual-patterns', { accuracy: 80, timeSpent: 300 }, { ...options, now: NOW })
+
+    const plan = getTodaysPlan(activities, { userId: 'u1', sessionMinutes: 20, now: NOW })
+
+    expect(plan.items.map((item) => [item.id, item.reason])).toEqual([
+      ['memory-game', 'review'],
+      ['letter-recognition', 'review'],
+      ['number-counting', 'new'],
+    ])
+    expect(plan.totalMinutes).toBe(19)
+    expect(plan.dueSkills).toEqual(expect.arrayContaining(['memory', 'language']))
+
+    const short = getTodaysPlan(activities, { userId: 'u1', sessionMinutes: 5, now: NOW })
+    expect(short.items.map((item) => item.id)).toEqual(['letter-recognition'])
+  })
+})
@@ -0,0 +1,272 @@
+/**
+ * @file tokenEconomy.js
+ * @description Economia de fichas configurável por criança
+ * O responsável define a regra (ficha por acerto ou por atividade concluída), o esquema
+ * de reforço (razão fixa ou variável), o tamanho do quadro de fichas e as recompensas
+ * que podem ser trocadas. Cada ficha entregue e cada troca ficam registradas para o
+ * AdaptiveMotivation avaliar o efeito do reforço.
+ */
+
+const TOKEN_KEY_PREFIX = 'betina_token_economy_'
+
+// Disparado quando as fichas ou a configuração mudam: { userId, delivery }
+export const TOKENS_CHANGED_EVENT = 'token-economy-changed'
+
+export const TOKEN_RULES = {
+  PER_CORRECT: 'per_correct',
+  PER_TASK: 'per_task',
+}
+
+export const REINFORCEMENT_SCHEDULES = {
+  FIXED: 'fixed',
+  VARIABLE: 'variable',
+}
+
+export const MAX_TOKEN_RATIO = 10
+export const BOARD_SIZES = [3, 5, 8, 10]
+export const MAX_REWARDS = 8
+const MAX_DELIVERY_LOG = 200
+
+export const TOKEN_EMOJIS = ['⭐', '🪙', '❤️', '🟢', '🚀']
+export const REWARD_EMOJIS = ['🧸', '🫧', '🎶', '📺', '🍎', '⚽', '🎨', '🛝']
+
+// Desligada até o responsável configurar o plano da criança
+export const TOKEN_ECONOMY_DEFAULTS = {
+  enabled: false,
+  rule: TOKEN_RULES.PER_CORRECT,
+  schedule: REINFORCEMENT_SCHEDULES.FIXED,
+  ratio: 1,
+  boardSize: 5,
+  tokenEmoji: '⭐',
+  rewards: [],
+}
+
+const storageKey = (userId) => `${TOKEN_KEY_PREFIX}${userId || 'local'}`
+
+const readState = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId)) || 'null') || {}
+  } catch (error) {
+    console.error('Erro ao carregar economia de fichas:', error)
+    return {}
+  }
+}
+
+const writeState = (userId, state, delivery = null) => {
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify(state))
+  } catch (error) {
+    console.error('Erro ao salvar economia de fichas:', error)
+  }
+  window.dispatchEvent(new CustomEvent(TOKENS_CHANGED_EVENT, { detail: { userId, delivery } }))
+}
+
+/**
+ * Quantas respostas até a próxima ficha
+ * Na razão variável o alvo sorteado vai de 1 a 2×razão−1, com média igual à razão.
+ * @param {Object} config
+ * @param {Function} [random=Math.random]
+ * @returns {number}
+ */
+export function getNextTokenTarget(config, random = Math.random) {
+  const ratio = Number(config.ratio) || 1
+  if (config.schedule !== REINFORCEMENT_SCHEDULES.VARIABLE || ratio <= 1) return ratio
+  return 1 + Math.floor(random() * (2 * ratio - 1))
+}
+
+/**
+ * Valida a configuração antes de salvar
+ * @param {Object} config
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateTokenConfig(config = {}) {
+  const errors = []
+  const rewards = Array.isArray(config.rewards) ? config.rewards : []
+
+  if (!Object.values(TOKEN_RULES).includes(config.rule)) errors.push('Regra de fichas inválida')
+  if (!Object.values(REINFORCEMENT_SCHEDULES).includes(config.schedule)) {
+    errors.push('Esquema de reforço inválido')
+  }
+  const ratio = Number(config.ratio)
+  if (!(Number.isInteger(ratio) && ratio >= 1 && ratio <= MAX_TOKEN_RATIO)) {
+    errors.push(`A razão deve ser um número inteiro de 1 a ${MAX_TOKEN_RATIO}`)
+  }
+  if (!BOARD_SIZES.includes(Number(config.boardSize))) {
+    errors.push(`O quadro deve ter ${BOARD_SIZES.join(', ')} espaços`)
+  }
+  if (rewards.length > MAX_REWARDS) {
+    errors.push(`Cadastre no máximo ${MAX_REWARDS} recompensas`)
+  }
+  rewards.forEach((reward, index) => {
+    if (!reward.label?.trim()) errors.push(`Recompensa ${index + 1}: informe o nome`)
+    const cost = Number(reward.cost)
+    if (!(Number.isInteger(cost) && cost >= 1 && cost <= Number(config.boardSize))) {
+      errors.push(`Recompensa ${index + 1}: o custo deve caber no quadro (1 a ${config.boardSize})`)
+    }
+  })
+
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * Configuração e saldo de fichas da criança
+ * @param {string|number} [userId]
+ * @returns {{config: Object, balance: number, progress: number, target: number, log: Object[]}}
+ */
+export function loadTokenEconomy(userId) {
+  const state = readState(userId)
+  const config = { ...TOKEN_ECONOMY_DEFAULTS, ...state.config }
+  return {
+    config,
+    balance: state.balance || 0,
+    progress: state.progress || 0,
+    target: state.target || getNextTokenTarget(config),
+    log: state.log || [],
+  }
+}
+
+/**
+ * Salva a configuração definida pelo responsável
+ * Mudar a regra ou o esquema recomeça a contagem até a próxima ficha.
+ * @param {Object} config
+ * @param {Object} [options]
+ * @param {string|number} [options.userId]
+ * @param {Function} [options.random]
+ * @returns {Object} Configuração salva
+ */
+export function saveTokenConfig(config, { userId, random } = {}) {
+  const { valid, errors } = validateTokenConfig(config)
+  if (!valid) throw new Error(errors[0])
+
+  const state = readState(userId)
+  const saved = {
+    enabled: Boolean(config.enabled),
+    rule: config.rule,
+    schedule: config.schedule,
+    ratio: Number(config.ratio),
+    boardSize: Number(config.boardSize),
+    tokenEmoji: config.tokenEmoji || TOKEN_ECONOMY_DEFAULTS.tokenEmoji,
+    rewards: config.rewards.map(({ id, label, emoji, cost }) => ({
+      id: id || `reward-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      label: label.trim(),
+      emoji: emoji || REWARD_EMOJIS[0],
+      cost: Number(cost),
+    })),
+  }
+  writeState(userId, {
+    ...state,
+    config: saved,
+    progress: 0,
+    target: getNextTokenTarget(saved, random),
+  })
+  return saved
+}
+
+/**
+ * Conta uma resposta e entrega a ficha quando o esquema de reforço manda
+ * @param {string|number} userId
+ * @param {string} type - 'correct' (acerto) | 'task' (atividade concluída)
+ * @param {Object} [options]
+ * @param {string} [options.activityId]
+ * @param {number} [options.now]
+ * @param {Function} [options.random]
+ * @returns {Object|null} Registro da entrega, ou null se não houve ficha
+ */
+export function recordTokenResponse(
+  userId,
+  type,
+  { activityId = null, now = Date.now(), random } = {}
+) {
+  const state = readState(userId)
+  const { config, balance, progress, target, log } = loadTokenEconomy(userId)
+  const counted =
+    (type === 'correct' && config.rule === TOKEN_RULES.PER_CORRECT) ||
+    (type === 'task' && config.rule === TOKEN_RULES.PER_TASK)
+  if (!config.enabled || !counted) return null
+
+  const responses = progress + 1
+  if (responses < target) {
+    writeState(userId, { ...state, progress: responses, target })
+    return null
+  }
+
+  // Quadro cheio: a ficha só vem depois de uma troca
+  if (balance >= config.boardSize) {
+    writeState(userId, { ...state, progress: 0, target: getNextTokenTarget(config, random) })
+    return null
+  }
+
+  const lastToken = [...log].reverse().find((entry) => entry.type === 'token')
+  const delivery = {
+    type: 'token',
+    activityId,
+    rule: config.rule,
+    schedule: config.schedule,
+    ratio: config.ratio,
+    responses,
+    intervalMs: lastToken ? now - lastToken.at : null,
+    balance: balance + 1,
+    at: now,
+  }
+  writeState(
+    userId,
+    {
+      ...state,
+      balance: balance + 1,
+      progress: 0,
+      target: getNextTokenTarget(config, random),
+      log: [...log, delivery].slice(-MAX_DELIVERY_LOG),
+    },
+    delivery
+  )
+  return delivery
+}
+
+/**
+ * Troca fichas por uma recompensa cadastrada
+ * @param {string|number} userId
+ * @param {string} rewardId
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @returns {Object} Registro da troca
+ */
+export function redeemReward(userId, rewardId, { now = Date.now() } = {}) {
+  const state = readState(userId)
+  const { config, balance, log } = loadTokenEconomy(userId)
+  const reward = config.rewards.find((item) => item.id === rewardId)
+  if (!reward) throw new Error('Recompensa não encontrada')
+  if (balance < reward.cost) throw new Error('Fichas insuficientes para esta recompensa')
+
+  const lastRedemption = [...log].reverse().find((entry) => entry.type === 'reward')
+  const redemption = {
+    type: 'reward',
+    rewardId,
+    label: reward.label,
+    cost: reward.cost,
+    // Fichas ganhas desde a última troca
+    tokensEarned: log.filter(
+      (entry) => entry.type === 'token' && entry.at > (lastRedemption?.at ?? -Infinity)
+    ).length,
+    balance: balance - reward.cost,
+    at: now,
+  }
+  writeState(
+    userId,
+    {
+      ...state,
+      balance: balance - reward.cost,
+      log: [...log, redemption].slice(-MAX_DELIVERY_LOG),
+    },
+    redemption
+  )
+  return redemption
+}
+
+/**
+ * Fichas entregues e recompensas trocadas, em ordem
+ * @param {string|number} [userId]
+ * @returns {Object[]}
+ */
+export function getRewardDeliveryLog(userId) {
+  return loadTokenEconomy(userId).log
+}
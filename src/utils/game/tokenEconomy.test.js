@@ -0,0 +1,153 @@
+/**
+ * @file tokenEconomy.test.js
+ * @description Testes da economia de fichas e da avaliação do reforço
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  REINFORCEMENT_SCHEDULES,
+  TOKEN_RULES,
+  TOKENS_CHANGED_EVENT,
+  getNextTokenTarget,
+  getRewardDeliveryLog,
+  loadTokenEconomy,
+  recordTokenResponse,
+  redeemReward,
+  saveTokenConfig,
+  validateTokenConfig,
+} from './tokenEconomy.js'
+import { AdaptiveMotivation } from '../emotionalAnalysis/algorithms/AdaptiveMotivation.js'
+import EmotionalAnalysisService from '../emotionalAnalysis/EmotionalAnalysisService.js'
+
+const T0 = 1_700_000_000_000
+
+const PLAN = {
+  enabled: true,
+  rule: TOKEN_RULES.PER_CORRECT,
+  schedule: REINFORCEMENT_SCHEDULES.FIXED,
+  ratio: 2,
+  boardSize: 3,
+  rewards: [{ id: 'tablet', label: 'Tablet', emoji: '📺', cost: 3 }],
+}
+
+describe('tokenEconomy', () => {
+  let store
+  let deliveries
+
+  const handleChanged = (event) => {
+    if (event.detail.delivery) deliveries.push(event.detail.delivery)
+  }
+
+  beforeEach(() => {
+    store = {}
+    deliveries = []
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null)
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value
+    })
+    window.addEventListener(TOKENS_CHANGED_EVENT, handleChanged)
+  })
+
+  afterEach(() => {
+    window.removeEventListener(TOKENS_CHANGED_EVENT, handleChanged)
+    localStorage.getItem.mockReset()
+    localStorage.setItem.mockReset()
+  })
+
+  it('deve validar a configuração e sortear a razão variável em torno da média', () => {
+    expect(validateTokenConfig(PLAN)).toEqual({ valid: true, errors: [] })
+    expect(validateTokenConfig({ ...PLAN, ratio: 0 }).errors).toContain(
+      'A razão deve ser um número inteiro de 1 a 10'
+    )
+    expect(
+      validateTokenConfig({ ...PLAN, rewards: [{ label: 'Bola', cost: 5 }] }).errors
+    ).toContain('Recompensa 1: o custo deve caber no quadro (1 a 3)')
+    expect(() => saveTokenConfig({ ...PLAN, rule: 'sempre' }, { userId: 7 })).toThrow(
+      'Regra de fichas inválida'
+    )
+
+    const variable = { schedule: REINFORCEMENT_SCHEDULES.VARIABLE, ratio: 3 }
+    expect(getNextTokenTarget(variable, () => 0)).toBe(1)
+    expect(getNextTokenTarget(variable, () => 0.99)).toBe(5)
+    expect(getNextTokenTarget({ ...variable, schedule: 'fixed' }, () => 0)).toBe(3)
+
+    // Sem plano salvo, nada é contado
+    expect(recordTokenResponse(7, 'correct')).toBeNull()
+    expect(loadTokenEconomy(7).balance).toBe(0)
+  })
+
+  it('deve entregar fichas pela regra e razão fixa, encher o quadro e trocar', () => {
+    saveTokenConfig(PLAN, { userId: 7 })
+
+    // Atividade concluída não conta quando a regra é por acerto
+    expect(recordTokenResponse(7, 'task', { now: T0 })).toBeNull()
+    const results = [1, 2, 3, 4, 5, 6, 7, 8].map((n) =>
+      recordTokenResponse(7, 'correct', { activityId: 'memory-game', now: T0 + n * 10000 })
+    )
+    // Razão 2: ficha no 2º, 4º e 6º acerto; o quadro de 3 enche e para de receber
+    expect(results.map((result) => result?.balance ?? null)).toEqual([
+      null,
+      1,
+      null,
+      2,
+      null,
+      3,
+      null,
+      null,
+    ])
+    expect(deliveries).toHaveLength(3)
+    expect(deliveries[1]).toMatchObject({ responses: 2, intervalMs: 20000, ratio: 2 })
+
+    const redemption = redeemReward(7, 'tablet', { now: T0 + 100000 })
+    expect(redemption).toMatchObject({ type: 'reward', cost: 3, tokensEarned: 3, balance: 0 })
+    expect(() => redeemReward(7, 'tablet')).toThrow('Fichas insuficientes para esta recompensa')
+
+    const log = getRewardDeliveryLog(7)
+    expect(log.map((entry) => entry.type)).toEqual(['token', 'token', 'token', 'reward'])
+
+    saveTokenConfig({ ...PLAN, rule: TOKEN_RULES.PER_TASK, ratio: 1 }, { userId: 7 })
+    expect(recordTokenResponse(7, 'correct')).toBeNull()
+    expect(recordTokenResponse(7, 'task', { now: T0 + 200000 })).toMatchObject({ balance: 1 })
+  })
+
+  it('deve avaliar no AdaptiveMotivation o reforço que perde força', async () => {
+    const motivation = new AdaptiveMotivation()
+    const token = (intervalMs, n) => ({ type: 'token', responses: 2, intervalMs, at: T0 + n })
+
+    const steady = [token(null, 0), token(20000, 1), token(22000, 2), token(21000, 3)]
+    expect(motivation.evaluateRewardDeliveries(steady)).toMatchObject({
+      tokensDelivered: 4,
+      averageResponsesPerToken: 2,
+      averageIntervalMs: 21000,
+      effectiveness: 'effective',
+    })
+    expect(motivation.evaluateRewardDeliveries(steady.slice(0, 2)).effectiveness).toBe(
+      'insufficient_data'
+    )
+
+    const declining = [token(null, 0), token(20000, 1), token(20000, 2), token(60000, 3)]
+    const evaluation = motivation.evaluateRewardDeliveries(declining)
+    expect(evaluation.intervalTrend).toBe(1)
+    expect(evaluation.effectiveness).toBe('declining')
+
+    const result = await motivation.execute({}, { timeSpent: 0, rewardDeliveries: declining })
+    expect(result.reinforcement.effectiveness).toBe('declining')
+    expect(result.recommendations).toContainEqual(
+      expect.objectContaining({ action: 'refresh_rewards' })
+    )
+  })
+
+  it('deve levar as fichas entregues à criança para a análise emocional da sessão', async () => {
+    saveTokenConfig(PLAN, { userId: 7 })
+    for (let i = 0; i < 8; i++) {
+      recordTokenResponse(7, 'correct', { now: T0 + i * 10000 })
+    }
+
+    const service = new EmotionalAnalysisService({ insertData: async () => {} })
+    const results = await service.analyzeSession({ sessionId: 's1', userId: 7, timeSpent: 0 })
+    expect(results.algorithms.adaptiveMotivation.reinforcement.tokensDelivered).toBe(
+      getRewardDeliveryLog(7).filter((entry) => entry.type === 'token').length
+    )
+    expect(results.algorithms.adaptiveMotivation.reinforcement.tokensDelivered).toBeGreaterThan(0)
+  })
+})
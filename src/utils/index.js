@@ -9,6 +9,7 @@ export * from './analytics/index.js';
 export * from './audio/index.js';
 export * from './autismCognitiveAnalysis/index.js';
 export * from './cognitive/index.js';
+export * from './content/index.js';
 export * from './core/index.js';
 export * from './emotionalAnalysis/index.js';
 export * from './game/index.js';
@@ -17,9 +18,11 @@ export * from './ml/index.js';
 export * from './multisensoryAnalysis/index.js';
 export * from './neuroplasticity/index.js';
 export * from './predictiveAnalysis/index.js';
+export * from './pwa/index.js';
 export * from './sessions/index.js';
 export * from './shared/index.js';
 export * from './standards/index.js';
 export * from './storage/index.js';
 export * from './therapy/index.js';
 export * from './tts/index.js';
+export * from './workers/index.js';
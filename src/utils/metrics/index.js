@@ -4,6 +4,7 @@ export * from './advancedRecommendations.js'
 export * from './dashboardNeuropedagogicalIntegration.js'
 export * from './errorPatternAnalyzer.js'
 export * from './metricsService.js'
+export * from './motorAnalysis.js'
 export * from './multisensoryAnalysisEngine.js'
 export * from './multisensoryMetricsService.js'
 export * from './neuropedagogicalAPI.js'
@@ -0,0 +1,408 @@
+/**
+ * @file motorAnalysis.js
+ * @description Métricas motoras a partir dos toques e arrastos da criança
+ * Cada gesto vira um traço com pontos [x, y, t]: toques medem a precisão no alvo,
+ * o tempo de contato e o tremor com o dedo parado; arrastos (peças do quebra-cabeça,
+ * pintura) medem curvatura, jitter e suavidade. O resumo de cada sessão fica no
+ * histórico da criança, e as tendências alimentam o dashboard multissensorial e a
+ * detecção de necessidades motoras do AccessibilityService.
+ */
+
+const MOTOR_HISTORY_PREFIX = 'betina_motor_history_'
+
+export const MAX_MOTOR_SESSIONS = 60
+export const MAX_SESSION_STROKES = 400
+// 4 segundos de arrasto a 60 Hz
+export const MAX_STROKE_POINTS = 240
+// Deslocamento máximo (px) para o gesto ainda contar como toque e não arrasto
+export const TAP_SLOP_PX = 12
+// Sessões comparadas em cada janela da tendência (atual x anterior)
+export const TREND_WINDOW = 5
+
+// Elementos que a criança pode estar tentando tocar
+const TARGET_SELECTOR =
+  'button, a[href], input, select, textarea, [role="button"], [draggable="true"], [data-area], [tabindex]'
+// Faixa central da tela que não indica lado (fração da largura para cada lado do centro)
+const CENTER_BAND = 0.1
+// Segmentos menores que isto são ruído do sensor e não entram na curvatura
+const MIN_SEGMENT_PX = 2
+// Picos de velocidade abaixo desta fração do pico máximo não contam como submovimento
+const SUBMOVEMENT_PEAK_RATIO = 0.2
+const MIN_SESSIONS_FOR_DETECTION = 2
+const MIN_TAPS_FOR_DETECTION = 20
+
+// Limites usados na detecção de necessidades motoras
+export const MOTOR_THRESHOLDS = {
+  hitRate: 0.75,
+  targetOffset: 0.7,
+  tremorPx: 4,
+  dwellMs: 1200,
+  dragSmoothness: 0.4,
+  decline: 0.1,
+}
+
+// Métricas acompanhadas nas tendências; higherIsBetter define o sentido da melhora
+export const MOTOR_METRICS = {
+  hitRate: { higherIsBetter: true },
+  targetOffset: { higherIsBetter: false },
+  dwellMs: { higherIsBetter: false },
+  tremorPx: { higherIsBetter: false },
+  curvature: { higherIsBetter: false },
+  jitterPx: { higherIsBetter: false },
+  dragSmoothness: { higherIsBetter: true },
+}
+
+// Sessões em andamento, uma por jogo
+const activeSessions = new Map()
+
+const storageKey = (userId) => `${MOTOR_HISTORY_PREFIX}${userId || 'local'}`
+
+const round = (value, digits = 2) =>
+  value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits))
+
+const mean = (values) => {
+  const valid = values.filter((value) => value !== null && Number.isFinite(value))
+  return valid.length > 0 ? valid.reduce((sum, value) => sum + value, 0) / valid.length : null
+}
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y)
+
+// Lado da tela do ponto: -1 esquerda, 1 direita, 0 faixa central
+const screenSide = (point, screenWidth) => {
+  if (!(screenWidth > 0)) return null
+  const position = point.x / screenWidth - 0.5
+  return Math.abs(position) <= CENTER_BAND ? 0 : Math.sign(position)
+}
+
+/**
+ * Retângulo do elemento interativo sob o dedo, usado como alvo do toque
+ * @param {Element} element - event.target do toque
+ * @returns {{left: number, top: number, width: number, height: number}|null}
+ */
+export function getMotorTarget(element) {
+  const target = element?.closest?.(TARGET_SELECTOR)
+  if (!target) return null
+  const { left, top, width, height } = target.getBoundingClientRect()
+  return width > 0 && height > 0 ? { left, top, width, height } : null
+}
+
+/**
+ * Métricas de um toque; gestos que se deslocam além de TAP_SLOP_PX não são toques
+ * @param {Object} stroke
+ * @param {Array<{x: number, y: number, t: number}>} stroke.points
+ * @param {Object|null} [stroke.target] - Retângulo do alvo (getMotorTarget)
+ * @param {number} [stroke.screenWidth]
+ * @returns {Object|null}
+ */
+export function analyzeTap({ points = [], target = null, screenWidth }) {
+  if (points.length === 0) return null
+  const [first] = points
+  const last = points.at(-1)
+  if (points.some((point) => distance(first, point) > TAP_SLOP_PX)) return null
+
+  // Tremor: dispersão (RMS) dos pontos em torno do centro enquanto o dedo fica parado
+  const center = {
+    x: mean(points.map((point) => point.x)),
+    y: mean(points.map((point) => point.y)),
+  }
+  const tremorPx =
+    points.length > 2 ? Math.sqrt(mean(points.map((point) => distance(center, point) ** 2))) : null
+
+  // Desvio do centro do alvo: 0 no centro, 1 na borda
+  let targetOffset = null
+  if (target) {
+    const dx = (first.x - (target.left + target.width / 2)) / (target.width / 2)
+    const dy = (first.y - (target.top + target.height / 2)) / (target.height / 2)
+    targetOffset = Math.min(Math.hypot(dx, dy), 1)
+  }
+
+  return {
+    hit: target !== null,
+    targetOffset: round(targetOffset),
+    dwellMs: Math.max(0, last.t - first.t),
+    tremorPx: round(tremorPx),
+    side: screenSide(first, screenWidth),
+  }
+}
+
+/**
+ * Métricas do caminho de um arrasto
+ * - curvature: mudança média de direção entre segmentos (radianos)
+ * - jitterPx: desvio (RMS) de cada ponto em relação à média dos vizinhos
+ * - submovements: picos de velocidade; um arrasto fluido tem um só
+ * - smoothness: 1 / submovimentos (1 = movimento único e contínuo)
+ * @param {Array<{x: number, y: number, t: number}>} points
+ * @returns {Object|null}
+ */
+export function analyzeDragPath(points = []) {
+  if (points.length < 3) return null
+
+  const pathLength = points.slice(1).reduce((sum, point, i) => sum + distance(points[i], point), 0)
+  if (pathLength <= TAP_SLOP_PX) return null
+
+  const segments = points
+    .slice(1)
+    .map((point, i) => ({ dx: point.x - points[i].x, dy: point.y - points[i].y }))
+    .filter(({ dx, dy }) => Math.hypot(dx, dy) >= MIN_SEGMENT_PX)
+  const turns = segments.slice(1).map((segment, i) => {
+    const previous = segments[i]
+    const angle = Math.atan2(segment.dy, segment.dx) - Math.atan2(previous.dy, previous.dx)
+    return Math.abs(Math.atan2(Math.sin(angle), Math.cos(angle)))
+  })
+
+  const deviations = points.slice(1, -1).map((point, i) => {
+    const neighbors = {
+      x: (points[i].x + points[i + 2].x) / 2,
+      y: (points[i].y + points[i + 2].y) / 2,
+    }
+    return distance(neighbors, point) ** 2
+  })
+
+  // Velocidade suavizada por média móvel de 3 amostras
+  const speeds = points.slice(1).map((point, i) => {
+    const dt = Math.max(1, point.t - points[i].t)
+    return distance(points[i], point) / dt
+  })
+  const smoothed = speeds.map((_, i) => mean(speeds.slice(Math.max(0, i - 1), i + 2)))
+  const peak = Math.max(...smoothed)
+  const submovements = Math.max(
+    1,
+    smoothed.filter(
+      (speed, i) =>
+        speed > peak * SUBMOVEMENT_PEAK_RATIO &&
+        speed >= (smoothed[i - 1] ?? 0) &&
+        speed > (smoothed[i + 1] ?? 0)
+    ).length
+  )
+
+  return {
+    pathLength: round(pathLength, 1),
+    straightness: round(distance(points[0], points.at(-1)) / pathLength),
+    curvature: round(turns.length > 0 ? mean(turns) : 0),
+    jitterPx: round(Math.sqrt(mean(deviations))),
+    submovements,
+    smoothness: round(1 / submovements),
+    durationMs: Math.max(0, points.at(-1).t - points[0].t),
+  }
+}
+
+/**
+ * Resume os traços de uma sessão
+ * A preferência de mão é estimada pelo lado da tela onde a criança toca e começa
+ * os arrastos: -1 só à esquerda, 1 só à direita, perto de 0 sem preferência.
+ * @param {Array<Object>} strokes - Traços { kind: 'tap'|'drag', points, target, screenWidth }
+ * @returns {Object}
+ */
+export function summarizeMotorStrokes(strokes = []) {
+  const taps = strokes
+    .filter((stroke) => stroke.kind === 'tap')
+    .map(analyzeTap)
+    .filter(Boolean)
+  const drags = strokes
+    .filter((stroke) => stroke.kind === 'drag')
+    .map((stroke) => ({ ...analyzeDragPath(stroke.points), stroke }))
+    .filter((drag) => drag.pathLength)
+
+  const sides = [
+    ...taps.map((tap) => tap.side),
+    ...drags.map(({ stroke }) => screenSide(stroke.points[0], stroke.screenWidth)),
+  ].filter((side) => side)
+  const right = sides.filter((side) => side > 0).length
+
+  return {
+    taps: taps.length,
+    drags: drags.length,
+    hitRate: round(taps.length > 0 ? taps.filter((tap) => tap.hit).length / taps.length : null),
+    targetOffset: round(mean(taps.map((tap) => tap.targetOffset))),
+    dwellMs: round(mean(taps.map((tap) => tap.dwellMs)), 0),
+    tremorPx: round(mean(taps.map((tap) => tap.tremorPx))),
+    curvature: round(mean(drags.map((drag) => drag.curvature))),
+    jitterPx: round(mean(drags.map((drag) => drag.jitterPx))),
+    dragSmoothness: round(mean(drags.map((drag) => drag.smoothness))),
+    handBias: round(sides.length > 0 ? (2 * right - sides.length) / sides.length : null),
+  }
+}
+
+/**
+ * Registra um traço na sessão motora do jogo
+ * @param {Object} stroke - { kind: 'tap'|'drag', points, target?, screenWidth? }
+ * @param {Object} options
+ * @param {string} options.activityId
+ * @param {string} [options.userId]
+ * @param {number} [options.now]
+ * @returns {boolean} Se o traço foi registrado
+ */
+export function recordMotorStroke(stroke, { activityId, userId, now = Date.now() } = {}) {
+  if (!activityId || !stroke?.points?.length) return false
+
+  let session = activeSessions.get(activityId)
+  if (!session) {
+    session = { activityId, userId: userId || null, startedAt: now, strokes: [] }
+    activeSessions.set(activityId, session)
+  }
+  if (userId && !session.userId) session.userId = userId
+  if (session.strokes.length >= MAX_SESSION_STROKES) return false
+
+  session.strokes.push({
+    kind: stroke.kind,
+    points: stroke.points.slice(0, MAX_STROKE_POINTS),
+    target: stroke.target || null,
+    screenWidth: stroke.screenWidth ?? (typeof window !== 'undefined' ? window.innerWidth : 0),
+  })
+  return true
+}
+
+/**
+ * Encerra a sessão motora do jogo e guarda o resumo no histórico da criança
+ * Sessões sem toques nem arrastos válidos são descartadas.
+ * @param {string} activityId
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Por padrão o usuário registrado com os traços
+ * @param {number} [options.now]
+ * @returns {Object|null} Resumo salvo
+ */
+export function finishMotorSession(activityId, { userId, now = Date.now() } = {}) {
+  const session = activeSessions.get(activityId)
+  if (!session) return null
+  activeSessions.delete(activityId)
+
+  const summary = summarizeMotorStrokes(session.strokes)
+  if (summary.taps + summary.drags === 0) return null
+
+  const owner = userId || session.userId
+  const entry = {
+    activityId,
+    startedAt: new Date(session.startedAt).toISOString(),
+    durationMs: Math.max(0, now - session.startedAt),
+    ...summary,
+  }
+  saveMotorSessions(owner, [entry, ...listMotorSessions(owner)].slice(0, MAX_MOTOR_SESSIONS))
+  return entry
+}
+
+/**
+ * Resumos motores guardados da criança, do mais recente para o mais antigo
+ * @param {string} [userId] - ID do usuário; sem ID usa o histórico local do dispositivo
+ * @returns {Array<Object>}
+ */
+export function listMotorSessions(userId) {
+  try {
+    if (typeof localStorage === 'undefined') return []
+    const stored = JSON.parse(localStorage.getItem(storageKey(userId)) || '[]')
+    return Array.isArray(stored) ? stored : []
+  } catch (error) {
+    console.error('Erro ao carregar histórico motor:', error)
+    return []
+  }
+}
+
+function saveMotorSessions(userId, sessions) {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(storageKey(userId), JSON.stringify(sessions))
+    }
+  } catch (error) {
+    console.error('Erro ao salvar histórico motor:', error)
+  }
+}
+
+/**
+ * Tendências motoras: média das últimas `windowSize` sessões comparada à janela anterior
+ * @param {string} [userId]
+ * @param {Object} [options]
+ * @param {number} [options.windowSize=TREND_WINDOW]
+ * @returns {{sessions: number, series: Array<Object>, metrics: Object, handBias: Object}}
+ */
+export function getMotorTrends(userId, { windowSize = TREND_WINDOW } = {}) {
+  const history = listMotorSessions(userId)
+  const recent = history.slice(0, windowSize)
+  const previous = history.slice(windowSize, windowSize * 2)
+
+  const metrics = Object.fromEntries(
+    Object.entries(MOTOR_METRICS).map(([metric, { higherIsBetter }]) => {
+      const current = mean(recent.map((session) => session[metric]))
+      const before = mean(previous.map((session) => session[metric]))
+      const change = current !== null && before !== null ? current - before : null
+      // Variações menores que 5% do valor anterior contam como estáveis
+      const tolerance = Math.abs(before || 0) * 0.05
+      let trend = 'stable'
+      if (change === null) trend = null
+      else if (Math.abs(change) > tolerance) {
+        trend = change > 0 === higherIsBetter ? 'improving' : 'worsening'
+      }
+      return [
+        metric,
+        { current: round(current), previous: round(before), change: round(change), trend },
+      ]
+    })
+  )
+
+  const bias = mean(recent.map((session) => session.handBias))
+  let side = null
+  if (bias !== null) side = bias > 0.3 ? 'right' : bias < -0.3 ? 'left' : 'balanced'
+
+  return {
+    sessions: history.length,
+    recentTaps: recent.reduce((sum, session) => sum + (session.taps || 0), 0),
+    recentDrags: recent.reduce((sum, session) => sum + (session.drags || 0), 0),
+    // Ordem cronológica para os gráficos
+    series: history.slice(0, MAX_MOTOR_SESSIONS).reverse(),
+    metrics,
+    handBias: { value: round(bias), side },
+  }
+}
+
+/**
+ * Necessidades motoras a partir das tendências, no formato do AccessibilityService
+ * Só conclui algo com pelo menos duas sessões e vinte toques recentes.
+ * @param {Object} trends - Resultado de getMotorTrends
+ * @returns {{detected: boolean, confidence: number, indicators: Array<string>, recommendations: Object}}
+ */
+export function detectMotorDifficulties(trends) {
+  const result = { detected: false, confidence: 0, indicators: [], recommendations: {} }
+  if (
+    !trends ||
+    trends.sessions < MIN_SESSIONS_FOR_DETECTION ||
+    trends.recentTaps < MIN_TAPS_FOR_DETECTION
+  ) {
+    return result
+  }
+
+  const { metrics } = trends
+  const current = (metric) => metrics[metric]?.current
+  const flag = (indicator, recommendations) => {
+    result.indicators.push(indicator)
+    Object.assign(result.recommendations, recommendations)
+  }
+
+  if (
+    current('hitRate') < MOTOR_THRESHOLDS.hitRate ||
+    current('targetOffset') > MOTOR_THRESHOLDS.targetOffset
+  ) {
+    flag('imprecise_taps', { largeButtons: true })
+  }
+  if (current('tremorPx') > MOTOR_THRESHOLDS.tremorPx) {
+    flag('tremor', { largeButtons: true, dwellClick: true })
+  }
+  if (current('dwellMs') > MOTOR_THRESHOLDS.dwellMs) {
+    flag('long_contact', { dwellClick: true })
+  }
+  if (
+    current('dragSmoothness') !== null &&
+    current('dragSmoothness') < MOTOR_THRESHOLDS.dragSmoothness
+  ) {
+    flag('fragmented_drags', { largeButtons: true })
+  }
+  if (metrics.hitRate?.change !== null && metrics.hitRate?.change < -MOTOR_THRESHOLDS.decline) {
+    flag('declining_accuracy', { largeButtons: true })
+  }
+
+  result.detected = result.indicators.length > 0
+  result.confidence = result.detected
+    ? round(
+        Math.min(1, trends.sessions / (TREND_WINDOW * 2)) * 0.5 + result.indicators.length * 0.1
+      )
+    : 0
+  result.handBias = trends.handBias
+  return result
+}
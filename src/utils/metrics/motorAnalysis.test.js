@@ -0,0 +1,125 @@
+/**
+ * @file motorAnalysis.test.js
+ * @description Testes das métricas motoras de toque e arrasto
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  analyzeDragPath,
+  analyzeTap,
+  detectMotorDifficulties,
+  finishMotorSession,
+  getMotorTrends,
+  recordMotorStroke,
+} from './motorAnalysis.js'
+import { AccessibilityService } from '../accessibility/AccessibilityService.js'
+
+const T0 = 1_700_000_000_000
+const BUTTON = { left: 100, top: 100, width: 80, height: 80 }
+
+// Toque parado no ponto (x, y), com leve oscilação opcional
+const tap = (x, y, { wobble = 0, target = BUTTON, duration = 150 } = {}) => ({
+  kind: 'tap',
+  target,
+  screenWidth: 1000,
+  points: [0, 1, 2, 3].map((i) => ({
+    x: x + (i % 2 ? wobble : -wobble),
+    y,
+    t: T0 + (duration / 3) * i,
+  })),
+})
+
+// Arrasto horizontal; `pauses` paradas no caminho criam submovimentos
+const drag = (pauses = 0) => {
+  const points = []
+  let t = T0
+  for (let i = 0; i <= 30; i++) {
+    const paused = pauses > 0 && i % Math.floor(30 / (pauses + 1)) === 0 && i > 0
+    t += paused ? 200 : 16
+    points.push({ x: 100 + i * 10, y: 300, t })
+    if (paused) points.push({ x: 100 + i * 10 + 1, y: 300, t: t + 200 })
+  }
+  return { kind: 'drag', screenWidth: 1000, points }
+}
+
+describe('motorAnalysis', () => {
+  let store
+
+  beforeEach(() => {
+    store = {}
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null)
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value
+    })
+  })
+
+  afterEach(() => {
+    localStorage.getItem.mockReset()
+    localStorage.setItem.mockReset()
+  })
+
+  it('deve medir desvio do alvo, tempo de contato e tremor de um toque', () => {
+    const centered = analyzeTap(tap(140, 140))
+    expect(centered).toMatchObject({ hit: true, targetOffset: 0, dwellMs: 150, side: -1 })
+    expect(centered.tremorPx).toBe(0)
+
+    const edge = analyzeTap(tap(178, 140, { wobble: 4 }))
+    expect(edge.targetOffset).toBe(0.85)
+    expect(edge.tremorPx).toBe(4)
+
+    expect(analyzeTap(tap(500, 140, { target: null }))).toMatchObject({ hit: false, side: 0 })
+    // Deslocamento grande é arrasto, não toque
+    expect(analyzeTap(tap(140, 140, { wobble: 20 }))).toBeNull()
+  })
+
+  it('deve separar arrastos contínuos de arrastos com paradas no caminho', () => {
+    const smooth = analyzeDragPath(drag().points)
+    expect(smooth).toMatchObject({ submovements: 1, smoothness: 1, curvature: 0, straightness: 1 })
+
+    const fragmented = analyzeDragPath(drag(2).points)
+    expect(fragmented.submovements).toBeGreaterThan(1)
+    expect(fragmented.smoothness).toBeLessThan(1)
+  })
+
+  it('deve guardar as sessões e detectar necessidades motoras pelas tendências', async () => {
+    // Sessões antigas precisas e sessões recentes com toques na borda e oscilação
+    for (let session = 0; session < 4; session++) {
+      const struggling = session >= 2
+      for (let i = 0; i < 12; i++) {
+        const stroke = struggling
+          ? tap(i % 3 ? 178 : 700, 178, { wobble: 5, target: i % 3 ? BUTTON : null })
+          : tap(140, 140)
+        recordMotorStroke(stroke, { activityId: 'memory-game', userId: 'ana' })
+      }
+      recordMotorStroke(drag(struggling ? 3 : 0), { activityId: 'memory-game', userId: 'ana' })
+      expect(finishMotorSession('memory-game', { now: T0 + 1000 })).toMatchObject({ taps: 12 })
+    }
+    expect(finishMotorSession('memory-game')).toBeNull()
+
+    const trends = getMotorTrends('ana', { windowSize: 2 })
+    expect(trends.sessions).toBe(4)
+    expect(trends.series).toHaveLength(4)
+    expect(trends.metrics.hitRate).toMatchObject({ current: 0.67, previous: 1, trend: 'worsening' })
+    // Dois terços dos toques e todos os arrastos começam na metade esquerda da tela
+    expect(trends.handBias.side).toBe('left')
+
+    const needs = detectMotorDifficulties(trends)
+    expect(needs.detected).toBe(true)
+    expect(needs.indicators).toEqual(
+      expect.arrayContaining(['imprecise_taps', 'tremor', 'fragmented_drags', 'declining_accuracy'])
+    )
+    expect(needs.recommendations).toEqual({ largeButtons: true, dwellClick: true })
+
+    // Sem histórico suficiente nada é concluído
+    expect(detectMotorDifficulties(getMotorTrends('outra-crianca')).detected).toBe(false)
+
+    // Só os métodos de detecção; o construtor depende da configuração do banco
+    const service = Object.create(AccessibilityService.prototype)
+    const behavior = await service.getRecentBehaviorData('ana')
+    expect(behavior.motorTrends.sessions).toBe(4)
+    // Na janela padrão de cinco sessões as duas sessões boas ainda diluem as médias
+    expect(behavior.motorChallenges).toBe(0)
+    const motor = await service.detectMotorNeeds({}, [], { motorTrends: trends })
+    expect(motor).toMatchObject({ detected: true, recommendations: { largeButtons: true } })
+  })
+})
@@ -175,6 +175,33 @@ export class DifficultyAdaptiveModel {
     this.difficultyHistory = []
     this.performanceHistory = []
   }
+
+  /**
+   * Exporta dados do modelo
+   */
+  export() {
+    return {
+      difficultyHistory: this.difficultyHistory.slice(-100),
+      performanceHistory: this.performanceHistory.slice(-100),
+      timestamp: Date.now(),
+    }
+  }
+
+  /**
+   * Importa dados do modelo
+   * @param {Object} modelData - Dados do modelo
+   */
+  import(modelData) {
+    try {
+      this.difficultyHistory = modelData.difficultyHistory || []
+      this.performanceHistory = modelData.performanceHistory || []
+      this.isInitialized = true
+      return true
+    } catch (error) {
+      console.error('Erro ao importar DifficultyAdaptiveModel:', error)
+      return false
+    }
+  }
 }
 
 export default DifficultyAdaptiveModel
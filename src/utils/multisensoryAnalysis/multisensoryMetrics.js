@@ -195,6 +195,7 @@ export class MultisensoryMetricsCollector {
         supportToolUsage: [],
         breakFrequency: [],
         fatigueMitigation: [],
+        dwellSelections: [], // Seleções por permanência (olhar / ponteiro de cabeça)
       },
     }
 
@@ -718,6 +719,24 @@ export class MultisensoryMetricsCollector {
     this.updateLastInteractionTime()
   }
 
+  // Registrar seleção por permanência: 'select' quando o tempo se completa, 'abandon' quando
+  // o ponteiro sai do alvo antes disso
+  recordDwellInteraction(type, data) {
+    if (!this.dataCollectionActive) return
+
+    this.sessionMetrics.accessibilityMetrics.dwellSelections.push({
+      timestamp: Date.now(),
+      type,
+      activityId: data.activityId || null,
+      dwellMs: data.dwellMs,
+      requiredMs: data.requiredMs,
+      targetWidth: data.targetWidth || null,
+      targetHeight: data.targetHeight || null,
+    })
+
+    if (type === 'select') this.updateLastInteractionTime()
+  }
+
   // Registrar padrão cognitivo
   recordCognitiveEvent(type, context, performance) {
     if (!this.dataCollectionActive) return
@@ -1001,6 +1020,7 @@ export class MultisensoryMetricsCollector {
         recommendedDifficulty: this.recommendDifficulty(),
         preferredModalities: this.identifyPreferredModalities(),
         accommodationNeeds: this.identifyAccommodationNeeds(),
+        dwellSelection: this.analyzeDwellSelection(),
         nextSessionOptimizations: this.generateNextSessionOptimizations(),
       },
 
@@ -1447,6 +1467,26 @@ export class MultisensoryMetricsCollector {
   identifyAccommodationNeeds() {
     return ['extended_time']
   }
+  // Resumo das seleções por permanência; muitos abandonos sugerem tempo longo demais
+  analyzeDwellSelection() {
+    const events = this.sessionMetrics.accessibilityMetrics.dwellSelections
+    const selections = events.filter((event) => event.type === 'select')
+    const abandoned = events.length - selections.length
+    const averageOf = (values) =>
+      values.length > 0
+        ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+        : null
+
+    return {
+      selections: selections.length,
+      abandoned,
+      abandonRate: events.length > 0 ? Math.round((abandoned / events.length) * 100) / 100 : 0,
+      averageDwellMs: averageOf(events.map((event) => event.dwellMs)),
+      averageAbandonMs: averageOf(
+        events.filter((event) => event.type === 'abandon').map((event) => event.dwellMs)
+      ),
+    }
+  }
   generateNextSessionOptimizations() {
     return ['increase_visual_cues']
   }
@@ -12,6 +12,7 @@ import { MemoryConsolidationSystem } from './algorithms/MemoryConsolidationSyste
 import { CognitiveBreakthroughDetector } from './algorithms/CognitiveBreakthroughDetector.js'
 import { CognitiveRecovery } from './algorithms/CognitiveRecovery.js'
 import { LearningTransferSystem } from './algorithms/LearningTransferSystem.js'
+import { ANALYSIS_TASKS, runAnalysis } from '../workers/index.js'
 
 export default class NeuroplasticityService {
   constructor(databaseService, userProfile = {}) {
@@ -44,6 +45,8 @@ export default class NeuroplasticityService {
     this.analysisHistory = []
     this.neuroplasticityMetrics = new Map()
     this.optimizationQueue = []
+    // Identifica as instâncias deste serviço dentro do worker de análise
+    this.workerKey = `neuroplasticity_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
   }
 
   /**
@@ -83,10 +86,17 @@ export default class NeuroplasticityService {
         algorithms: {},
       }
 
-      // Executar todos os algoritmos
-      for (const [name, algorithm] of Object.entries(this.algorithms)) {
-        results.algorithms[name] = await algorithm.execute(this.userProfile, sessionData)
-      }
+      // Executar todos os algoritmos no worker de análise, fora da thread do jogo
+      results.algorithms = await runAnalysis(
+        ANALYSIS_TASKS.NEUROPLASTICITY_ALGORITHMS,
+        {
+          instanceKey: this.workerKey,
+          configs: this.getAlgorithmConfigs(),
+          userProfile: this.userProfile,
+          sessionData,
+        },
+        { affinity: this.workerKey, fallback: () => this.executeAlgorithms(sessionData) }
+      )
 
       // Gerar análise integrada
       results.integratedAnalysis = this.generateIntegratedAnalysis(results.algorithms)
@@ -107,6 +117,29 @@ export default class NeuroplasticityService {
     }
   }
 
+  /**
+   * Configuração de cada algoritmo, para o worker criar instâncias iguais
+   * @returns {Object}
+   */
+  getAlgorithmConfigs() {
+    return Object.fromEntries(
+      Object.entries(this.algorithms).map(([name, algorithm]) => [name, algorithm.config])
+    )
+  }
+
+  /**
+   * Executa os algoritmos na thread principal (sem worker)
+   * @param {Object} sessionData
+   * @returns {Promise<Object>}
+   */
+  async executeAlgorithms(sessionData) {
+    const results = {}
+    for (const [name, algorithm] of Object.entries(this.algorithms)) {
+      results[name] = await algorithm.execute(this.userProfile, sessionData)
+    }
+    return results
+  }
+
   /**
    * Gera análise integrada combinando todos os algoritmos
    * @param {Object} algorithmResults - Resultados de todos os algoritmos
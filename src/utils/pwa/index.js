@@ -0,0 +1,3 @@
+// Auto-generated barrel file
+export * from './precacheManifest.js'
+export * from './serviceWorkerRegistration.js'
@@ -0,0 +1,112 @@
+/**
+ * @file precacheManifest.js
+ * @description Lista de arquivos guardados pelo service worker para o portal abrir sem internet
+ * Usado no build pelo plugin do Vite (scripts/pwa/vitePwaPlugin.js): cada jogo carregado
+ * sob demanda, folha de estilo, som e imagem do build entra na lista com uma revisão pelo
+ * conteúdo; a versão do cache muda sempre que algum arquivo muda.
+ */
+
+// Todos os caches do portal começam assim; os de versões antigas são apagados na ativação
+export const PWA_CACHE_PREFIX = 'betina-'
+export const API_PATH_PREFIX = '/api/'
+// Respostas dos painéis guardadas para uso sem conexão, um cache por usuário
+export const API_CACHE_PREFIX = `${PWA_CACHE_PREFIX}api-`
+export const SERVICE_WORKER_FILE = 'sw.js'
+
+export const PRECACHE_EXTENSIONS = [
+  'html',
+  'js',
+  'css',
+  'json',
+  'webmanifest',
+  'svg',
+  'png',
+  'jpg',
+  'jpeg',
+  'gif',
+  'webp',
+  'ico',
+  'mp3',
+  'wav',
+  'ogg',
+  'm4a',
+  'woff',
+  'woff2',
+  'ttf',
+]
+
+// Marcadores trocados pelo plugin no código do service worker
+export const MANIFEST_PLACEHOLDER = 'self.__BETINA_PRECACHE_MANIFEST__'
+export const VERSION_PLACEHOLDER = '__BETINA_CACHE_VERSION__'
+
+/**
+ * Hash curto e estável do conteúdo (FNV-1a de 32 bits)
+ * @param {string|Uint8Array} content
+ * @returns {string}
+ */
+export function hashContent(content) {
+  const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content
+  let hash = 0x811c9dc5
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i]
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+/**
+ * Decide se um arquivo do build vai para o cache
+ * @param {string} fileName - Caminho relativo à pasta do build
+ * @returns {boolean}
+ */
+export function shouldPrecache(fileName) {
+  if (!fileName || fileName === SERVICE_WORKER_FILE || fileName.endsWith('.map')) return false
+  const extension = fileName.split('.').pop().toLowerCase()
+  return PRECACHE_EXTENSIONS.includes(extension)
+}
+
+/**
+ * Monta a lista de arquivos do cache
+ * @param {Array<{fileName: string, content: string|Uint8Array}>} files - Arquivos do build e da pasta public
+ * @returns {Array<{url: string, revision: string}>} URLs relativas ao escopo do service worker
+ */
+export function buildPrecacheManifest(files) {
+  const entries = new Map()
+  files
+    .filter(({ fileName }) => shouldPrecache(fileName))
+    .forEach(({ fileName, content }) => {
+      const path = fileName.replace(/\\/g, '/').replace(/^\.?\//, '')
+      entries.set(path, { url: `./${path}`, revision: hashContent(content ?? '') })
+    })
+  return [...entries.values()].sort((a, b) => a.url.localeCompare(b.url))
+}
+
+/**
+ * Versão do cache: muda quando qualquer arquivo da lista muda
+ * @param {Array<{url: string, revision: string}>} entries
+ * @param {string} [appVersion] - Versão do package.json
+ * @returns {string}
+ */
+export function createCacheVersion(entries, appVersion = '') {
+  const fingerprint = entries.map(({ url, revision }) => `${url}@${revision}`).join('|')
+  return `${appVersion ? `${appVersion}-` : ''}${hashContent(fingerprint)}`
+}
+
+/**
+ * Coloca a lista e a versão no código do service worker
+ * @param {string} source - Código do service worker com os marcadores
+ * @param {Object} options
+ * @param {Array<{url: string, revision: string}>} options.entries
+ * @param {string} options.version
+ * @returns {string}
+ */
+export function injectPrecacheManifest(source, { entries, version }) {
+  if (!source.includes(MANIFEST_PLACEHOLDER) || !source.includes(VERSION_PLACEHOLDER)) {
+    throw new Error('Service worker sem os marcadores do cache')
+  }
+  return source
+    .split(MANIFEST_PLACEHOLDER)
+    .join(JSON.stringify(entries))
+    .split(VERSION_PLACEHOLDER)
+    .join(version)
+}
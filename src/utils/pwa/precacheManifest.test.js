@@ -0,0 +1,126 @@
+/**
+ * @file precacheManifest.test.js
+ * @description Testes da lista de pré-cache do service worker e do aviso de atualização
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  MANIFEST_PLACEHOLDER,
+  VERSION_PLACEHOLDER,
+  buildPrecacheManifest,
+  createCacheVersion,
+  injectPrecacheManifest,
+  shouldPrecache,
+} from './precacheManifest.js'
+import {
+  SW_UPDATE_EVENT,
+  applyServiceWorkerUpdate,
+  clearApiCache,
+  registerServiceWorker,
+} from './serviceWorkerRegistration.js'
+
+const BUILD = [
+  { fileName: 'index.html', content: '<html></html>' },
+  { fileName: 'assets/MemoryGame-a1b2.js', content: 'export default 1' },
+  { fileName: 'assets/index-c3d4.css', content: 'body{}' },
+  { fileName: 'assets/index-c3d4.js.map', content: '{}' },
+  { fileName: 'icons/icon.svg', content: new Uint8Array([60, 115, 118, 103]) },
+  { fileName: 'sounds/acerto.mp3', content: new Uint8Array([1, 2, 3]) },
+  { fileName: 'sw.js', content: 'self' },
+  { fileName: 'README.txt', content: 'texto' },
+]
+
+describe('precacheManifest', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('deve listar jogos, estilos, sons e imagens com revisão pelo conteúdo', () => {
+    expect(shouldPrecache('assets/ColorMatch-9f.js')).toBe(true)
+    expect(shouldPrecache('sw.js')).toBe(false)
+    expect(shouldPrecache('assets/x.js.map')).toBe(false)
+
+    const entries = buildPrecacheManifest(BUILD)
+    expect(entries.map((entry) => entry.url)).toEqual([
+      './assets/index-c3d4.css',
+      './assets/MemoryGame-a1b2.js',
+      './icons/icon.svg',
+      './index.html',
+      './sounds/acerto.mp3',
+    ])
+    expect(entries.every((entry) => /^[0-9a-f]{8}$/.test(entry.revision))).toBe(true)
+
+    // A versão do cache muda quando um jogo muda, e só nesse caso
+    const version = createCacheVersion(entries, '1.0.0')
+    expect(version).toMatch(/^1\.0\.0-[0-9a-f]{8}$/)
+    expect(createCacheVersion(buildPrecacheManifest(BUILD), '1.0.0')).toBe(version)
+    const changed = BUILD.map((file) =>
+      file.fileName === 'assets/MemoryGame-a1b2.js'
+        ? { ...file, content: 'export default 2' }
+        : file
+    )
+    expect(createCacheVersion(buildPrecacheManifest(changed), '1.0.0')).not.toBe(version)
+  })
+
+  it('deve colocar a lista e a versão no service worker', () => {
+    const template = `const list = ${MANIFEST_PLACEHOLDER} || []\nconst v = '${VERSION_PLACEHOLDER}'`
+    const entries = [{ url: './index.html', revision: 'abcd1234' }]
+    expect(injectPrecacheManifest(template, { entries, version: '1.0.0-ff' })).toBe(
+      `const list = [{"url":"./index.html","revision":"abcd1234"}] || []\nconst v = '1.0.0-ff'`
+    )
+    expect(() => injectPrecacheManifest('const x = 1', { entries, version: 'v' })).toThrow(
+      'Service worker sem os marcadores do cache'
+    )
+  })
+
+  it('deve avisar da versão nova e ativá-la só quando pedirem', async () => {
+    expect(await registerServiceWorker({ enabled: false })).toBeNull()
+
+    const waiting = { postMessage: vi.fn() }
+    const registration = { waiting, addEventListener: vi.fn(), update: vi.fn() }
+    const serviceWorker = {
+      controller: {},
+      register: vi.fn().mockResolvedValue(registration),
+      addEventListener: vi.fn(),
+    }
+    Object.defineProperty(navigator, 'serviceWorker', { value: serviceWorker, configurable: true })
+    vi.spyOn(window, 'setInterval').mockReturnValue(0)
+    const updates = []
+    const handleUpdate = (event) => updates.push(event.detail.registration)
+    window.addEventListener(SW_UPDATE_EVENT, handleUpdate)
+
+    try {
+      expect(await registerServiceWorker({ enabled: true })).toBe(registration)
+      expect(serviceWorker.register).toHaveBeenCalledWith('./sw.js')
+      expect(updates).toEqual([registration])
+
+      expect(applyServiceWorkerUpdate({ waiting: null })).toBe(false)
+      expect(applyServiceWorkerUpdate(registration)).toBe(true)
+      expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' })
+      expect(serviceWorker.addEventListener).toHaveBeenCalledWith(
+        'controllerchange',
+        expect.any(Function)
+      )
+    } finally {
+      window.removeEventListener(SW_UPDATE_EVENT, handleUpdate)
+      delete navigator.serviceWorker
+    }
+  })
+
+  it('deve apagar só as respostas da API guardadas para os painéis', async () => {
+    expect(await clearApiCache()).toBe(0)
+
+    const keys = ['betina-precache-1.0.0-ff', 'betina-api-a1b2c3', 'betina-api-d4e5f6', 'outro']
+    const cacheStorage = {
+      keys: vi.fn().mockResolvedValue(keys),
+      delete: vi.fn().mockResolvedValue(true),
+    }
+    vi.stubGlobal('caches', cacheStorage)
+    try {
+      expect(await clearApiCache()).toBe(2)
+      expect(cacheStorage.delete.mock.calls).toEqual([['betina-api-a1b2c3'], ['betina-api-d4e5f6']])
+    } finally {
+      vi.unstubAllGlobals()
+    }
+  })
+})
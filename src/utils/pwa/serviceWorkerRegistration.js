@@ -0,0 +1,97 @@
+/**
+ * @file serviceWorkerRegistration.js
+ * @description Registro do service worker e aviso de nova versão
+ * A versão nova fica esperando até a família tocar em "Atualizar", para não trocar os
+ * arquivos no meio de um jogo.
+ */
+
+import { API_CACHE_PREFIX, SERVICE_WORKER_FILE } from './precacheManifest.js'
+
+// Disparados na window: { registration }
+export const SW_UPDATE_EVENT = 'service-worker-update-available'
+export const SW_OFFLINE_READY_EVENT = 'service-worker-offline-ready'
+
+// De quanto em quanto tempo procura uma versão nova com o app aberto
+export const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000
+
+const notify = (type, registration) =>
+  window.dispatchEvent(new CustomEvent(type, { detail: { registration } }))
+
+// Instalação terminou: com uma versão já no controle é atualização, senão é a primeira
+const watchInstalling = (registration, worker) => {
+  if (!worker) return
+  worker.addEventListener('statechange', () => {
+    if (worker.state !== 'installed') return
+    notify(
+      navigator.serviceWorker.controller ? SW_UPDATE_EVENT : SW_OFFLINE_READY_EVENT,
+      registration
+    )
+  })
+}
+
+/**
+ * Registra o service worker gerado no build
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Por padrão só no build de produção
+ * @param {string} [options.url]
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker({
+  enabled = import.meta.env.PROD,
+  url = `./${SERVICE_WORKER_FILE}`,
+} = {}) {
+  if (!enabled || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null
+
+  try {
+    const registration = await navigator.serviceWorker.register(url)
+
+    // Versão nova que já estava esperando de uma visita anterior
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      notify(SW_UPDATE_EVENT, registration)
+    }
+    registration.addEventListener('updatefound', () =>
+      watchInstalling(registration, registration.installing)
+    )
+    setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL)
+
+    return registration
+  } catch (error) {
+    console.error('Erro ao registrar service worker:', error)
+    return null
+  }
+}
+
+/**
+ * Ativa a versão que está esperando e recarrega a página quando ela assumir
+ * @param {ServiceWorkerRegistration} registration
+ * @returns {boolean} false quando não há versão esperando
+ */
+export function applyServiceWorkerUpdate(registration) {
+  const waiting = registration?.waiting
+  if (!waiting) return false
+
+  let reloaded = false
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloaded) return
+    reloaded = true
+    window.location.reload()
+  })
+  waiting.postMessage({ type: 'SKIP_WAITING' })
+  return true
+}
+
+/**
+ * Apaga as respostas da API guardadas pelo service worker (chamado no logout)
+ * @returns {Promise<number>} Quantos caches foram apagados
+ */
+export async function clearApiCache() {
+  if (typeof caches === 'undefined') return 0
+  try {
+    const keys = (await caches.keys()).filter((key) => key.startsWith(API_CACHE_PREFIX))
+    await Promise.all(keys.map((key) => caches.delete(key)))
+    return keys.length
+  } catch (error) {
+    console.error('Erro ao apagar cache da API:', error)
+    return 0
+  }
+}
@@ -1,3 +1,6 @@
 // Auto-generated barrel file
+export * from './liveSessionClient.js'
 export * from './SessionAnalyzer.js'
 export * from './sessions/SessionService.js'
+export * from './sessionReplay.js'
+export * from './visualSchedule.js'
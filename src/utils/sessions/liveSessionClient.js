@@ -0,0 +1,264 @@
+/**
+ * @file liveSessionClient.js
+ * @description Lado do tablet da sessão ao vivo (teleterapia)
+ * Envia os eventos do jogo em lotes para a API e mantém aberto o canal de comandos do
+ * terapeuta. O canal é lido com fetch em vez de EventSource porque precisa do token no
+ * cabeçalho Authorization. Só funciona quando a família liga o acompanhamento ao vivo.
+ */
+
+import { authService } from '../../services/authService.js'
+import { MAX_EVENTS_PER_BATCH } from '../../services/liveSession.js'
+
+const LIVE_MONITORING_KEY = 'betina_live_monitoring'
+
+// Disparados na window: { command } e { status, userId }
+export const LIVE_COMMAND_EVENT = 'live-session-command'
+export const LIVE_STATUS_EVENT = 'live-session-status'
+export const LIVE_MONITORING_CHANGED_EVENT = 'live-monitoring-changed'
+
+export const LIVE_STATUS = {
+  OFF: 'off',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+}
+
+// Junta os eventos de um mesmo instante num único envio
+export const EVENT_FLUSH_DELAY_MS = 500
+export const RECONNECT_DELAY_MS = 5000
+
+let connection = null
+let currentStatus = LIVE_STATUS.OFF
+
+/**
+ * Acompanhamento ao vivo ligado neste aparelho
+ * @returns {boolean}
+ */
+export function isLiveMonitoringEnabled() {
+  try {
+    return localStorage.getItem(LIVE_MONITORING_KEY) === 'true'
+  } catch (error) {
+    console.error('Erro ao ler acompanhamento ao vivo:', error)
+    return false
+  }
+}
+
+/**
+ * Liga ou desliga o acompanhamento ao vivo neste aparelho
+ * @param {boolean} enabled
+ */
+export function setLiveMonitoringEnabled(enabled) {
+  try {
+    localStorage.setItem(LIVE_MONITORING_KEY, enabled ? 'true' : 'false')
+  } catch (error) {
+    console.error('Erro ao salvar acompanhamento ao vivo:', error)
+  }
+  window.dispatchEvent(
+    new CustomEvent(LIVE_MONITORING_CHANGED_EVENT, { detail: { enabled: Boolean(enabled) } })
+  )
+}
+
+/**
+ * Leitor incremental de Server-Sent Events
+ * @param {Function} onMessage - ({ event, data, id }) com data já convertido de JSON
+ * @returns {Function} Recebe cada pedaço de texto do fluxo
+ */
+export function createSseParser(onMessage) {
+  let buffer = ''
+
+  return (chunk) => {
+    buffer += chunk
+    const blocks = buffer.split('\n\n')
+    buffer = blocks.pop()
+
+    blocks.forEach((block) => {
+      let event = 'message'
+      let id
+      const data = []
+      block.split('\n').forEach((line) => {
+        // Linhas iniciadas por ":" são o heartbeat do servidor
+        if (!line || line.startsWith(':')) return
+        const separator = line.indexOf(':')
+        const field = separator === -1 ? line : line.slice(0, separator)
+        const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '')
+        if (field === 'event') event = value
+        if (field === 'id') id = value
+        if (field === 'data') data.push(value)
+      })
+      if (data.length === 0) return
+
+      try {
+        onMessage({ event, id, data: JSON.parse(data.join('\n')) })
+      } catch (error) {
+        console.error('Mensagem inválida da sessão ao vivo:', error)
+      }
+    })
+  }
+}
+
+/**
+ * Abre um fluxo SSE autenticado e entrega cada mensagem até ele fechar
+ * @param {string} url
+ * @param {Object} options
+ * @param {Object} options.headers - Com o token no Authorization
+ * @param {Function} options.onMessage - ({ event, data, id })
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.fetchImpl]
+ * @returns {Promise<void>} Resolve quando o servidor fecha o fluxo
+ */
+export async function readEventStream(
+  url,
+  { headers, onMessage, signal, fetchImpl = (...args) => fetch(...args) }
+) {
+  const response = await fetchImpl(url, {
+    headers: { ...headers, Accept: 'text/event-stream' },
+    signal,
+  })
+  if (!response.ok || !response.body) {
+    throw new Error(`Fluxo ao vivo indisponível (${response.status})`)
+  }
+
+  const parse = createSseParser(onMessage)
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) return
+    parse(decoder.decode(value, { stream: true }))
+  }
+}
+
+const notifyStatus = (status, userId) => {
+  currentStatus = status
+  window.dispatchEvent(new CustomEvent(LIVE_STATUS_EVENT, { detail: { status, userId } }))
+}
+
+const flushEvents = async (current) => {
+  current.flushTimer = null
+  const events = current.queue.splice(0, MAX_EVENTS_PER_BATCH)
+  if (events.length === 0) return
+
+  try {
+    const response = await current.fetchImpl(
+      `${current.apiUrl}/live-sessions/${current.userId}/events`,
+      {
+        method: 'POST',
+        headers: current.getHeaders(),
+        body: JSON.stringify({ events }),
+      }
+    )
+    if (!response.ok) console.warn(`Sessão ao vivo recusou os eventos (${response.status})`)
+  } catch (error) {
+    // Sem conexão os eventos se perdem: o histórico completo vai pelas rotas de sessão
+    console.warn('Não foi possível enviar eventos ao vivo:', error.message)
+  }
+  if (current.queue.length > 0) scheduleFlush(current)
+}
+
+const scheduleFlush = (current) => {
+  if (current.flushTimer) return
+  current.flushTimer = setTimeout(() => flushEvents(current), EVENT_FLUSH_DELAY_MS)
+}
+
+const listenForCommands = async (current) => {
+  if (current.stopped) return
+  notifyStatus(LIVE_STATUS.CONNECTING, current.userId)
+  current.controller = new AbortController()
+
+  try {
+    await readEventStream(`${current.apiUrl}/live-sessions/${current.userId}/commands`, {
+      headers: current.getHeaders(),
+      signal: current.controller.signal,
+      fetchImpl: current.fetchImpl,
+      onMessage: ({ event, data }) => {
+        if (event === 'ready') notifyStatus(LIVE_STATUS.CONNECTED, current.userId)
+        if (event === 'command') {
+          window.dispatchEvent(new CustomEvent(LIVE_COMMAND_EVENT, { detail: { command: data } }))
+        }
+      },
+    })
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.warn('Canal de comandos da sessão ao vivo caiu:', error.message)
+    }
+  }
+
+  if (current.stopped) return
+  notifyStatus(LIVE_STATUS.CONNECTING, current.userId)
+  current.reconnectTimer = setTimeout(() => listenForCommands(current), RECONNECT_DELAY_MS)
+}
+
+/**
+ * Abre a sessão ao vivo da criança (substitui a anterior, se houver)
+ * @param {Object} options
+ * @param {string|number} options.userId
+ * @param {string} [options.apiUrl]
+ * @param {Function} [options.getHeaders] - Cabeçalhos com o token da criança
+ * @param {Function} [options.fetchImpl]
+ * @returns {Object} Conexão aberta
+ */
+export function startLiveSession({
+  userId,
+  apiUrl = authService.apiUrl,
+  getHeaders = () => authService.getAuthHeaders(),
+  fetchImpl = (...args) => fetch(...args),
+}) {
+  stopLiveSession()
+  connection = {
+    userId,
+    apiUrl,
+    getHeaders,
+    fetchImpl,
+    queue: [],
+    flushTimer: null,
+    reconnectTimer: null,
+    controller: null,
+    stopped: false,
+  }
+  sendLiveEvent('session_started')
+  listenForCommands(connection)
+  return connection
+}
+
+/**
+ * Fecha a sessão ao vivo, avisando o console
+ */
+export function stopLiveSession() {
+  const current = connection
+  if (!current) return
+  connection = null
+
+  current.stopped = true
+  clearTimeout(current.reconnectTimer)
+  current.controller?.abort()
+  clearTimeout(current.flushTimer)
+  current.queue.push({ type: 'session_ended', activityId: null, data: null, at: Date.now() })
+  flushEvents(current)
+  notifyStatus(LIVE_STATUS.OFF, current.userId)
+}
+
+/**
+ * Coloca um evento do jogo na fila de envio; sem sessão ao vivo não faz nada
+ * @param {string} type - Um de LIVE_EVENT_TYPES
+ * @param {Object} [options]
+ * @param {string} [options.activityId]
+ * @param {Object} [options.data]
+ * @returns {boolean} true quando o evento foi enfileirado
+ */
+export function sendLiveEvent(type, { activityId = null, data = null } = {}) {
+  if (!connection) return false
+  connection.queue.push({ type, activityId, data, at: Date.now() })
+  scheduleFlush(connection)
+  return true
+}
+
+/**
+ * Sessão ao vivo aberta neste aparelho
+ * @returns {boolean}
+ */
+export const isLiveSessionActive = () => connection !== null
+
+/**
+ * Situação atual do canal de comandos
+ * @returns {string} Um de LIVE_STATUS
+ */
+export const getLiveSessionStatus = () => currentStatus
@@ -0,0 +1,307 @@
+/**
+ * @file sessionReplay.js
+ * @description Gravação de sessões para revisão pelo terapeuta
+ * Cada sessão vira um log compacto de eventos [ms desde o início, tipo, dados]:
+ * cartas viradas, toques com coordenadas normalizadas, hesitações e falas do TTS.
+ * O visualizador do dashboard reconstrói o tabuleiro passo a passo a partir dele,
+ * mostrando como a criança chegou à resposta e não só a pontuação.
+ */
+
+const REPLAY_KEY_PREFIX = 'betina_session_replays_'
+
+export const MAX_STORED_REPLAYS = 30
+export const MAX_REPLAY_EVENTS = 1500
+// Tempo sem agir, depois de uma ação ou de o tabuleiro aparecer, que conta como hesitação;
+// a hesitação entra no log logo antes da ação que a encerrou
+export const HESITATION_MS = 4000
+// Quantos toques anteriores continuam visíveis em cada passo do replay
+export const TAP_TRAIL = 5
+
+// Eventos do sistema: não são ações da criança e não medem hesitação
+const PASSIVE_EVENTS = new Set(['board', 'tts', 'hesitation', 'pause', 'resume'])
+// Eventos que reiniciam a contagem de hesitação
+const CUE_EVENTS = new Set(['board', 'resume'])
+// Campos que não ajudam a reconstruir a sessão
+const SKIPPED_FIELDS = new Set(['timestamp', 'deviceInfo', 'userAgent', 'sessionId'])
+const MAX_FIELDS = 12
+const MAX_TEXT = 160
+
+// Gravações em andamento, uma por jogo
+const activeRecordings = new Map()
+
+const storageKey = (userId) => `${REPLAY_KEY_PREFIX}${userId || 'local'}`
+
+const round = (value) => Math.round(value * 1000) / 1000
+
+const isAction = ([, type]) => !PASSIVE_EVENTS.has(type)
+
+const compactValue = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? round(value) : undefined
+  if (typeof value === 'string') return value.slice(0, MAX_TEXT)
+  if (typeof value === 'boolean') return value
+  if (Array.isArray(value) && value.every((item) => typeof item !== 'object')) return value
+  return undefined
+}
+
+/**
+ * Reduz os dados de um evento a campos simples, subindo um nível de objetos
+ * aninhados (context, coordinates) para o log continuar pequeno
+ * @param {Object} [data]
+ * @returns {Object|undefined}
+ */
+function compactData(data) {
+  if (!data || typeof data !== 'object') return undefined
+  const compact = {}
+  const add = (key, value) => {
+    if (SKIPPED_FIELDS.has(key) || Object.keys(compact).length >= MAX_FIELDS) return
+    const clean = compactValue(value)
+    if (clean !== undefined && clean !== null) compact[key] = clean
+  }
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (SKIPPED_FIELDS.has(key)) return
+      Object.entries(value).forEach(([nestedKey, nestedValue]) => add(nestedKey, nestedValue))
+    } else {
+      add(key, value)
+    }
+  })
+  return Object.keys(compact).length > 0 ? compact : undefined
+}
+
+const latestRecording = () => Array.from(activeRecordings.values()).at(-1) || null
+
+/**
+ * Inicia a gravação da sessão de um jogo
+ * Um segundo início do mesmo jogo antes de qualquer ação reaproveita a gravação
+ * (o jogo e o useAdvancedActivity iniciam a mesma sessão); depois de ações, a
+ * gravação anterior é guardada como incompleta e uma nova começa.
+ * @param {Object} options
+ * @param {string} options.activityId - ID do jogo
+ * @param {string} [options.sessionId]
+ * @param {string} [options.userId]
+ * @param {number} [options.now]
+ * @returns {Object} Gravação ativa
+ */
+export function startReplayRecording({ activityId, sessionId, userId, now = Date.now() }) {
+  const current = activeRecordings.get(activityId)
+  if (current) {
+    if (!current.events.some(isAction)) return current
+    finishReplayRecording(activityId, { completed: false, now })
+  }
+
+  const recording = {
+    sessionId: sessionId || `session_${now}`,
+    userId: userId || null,
+    activityId,
+    startedAt: now,
+    events: [],
+    lastCueAt: 0,
+    truncated: false,
+  }
+  activeRecordings.set(activityId, recording)
+  return recording
+}
+
+/**
+ * Registra um evento na gravação do jogo (ou na mais recente, para fontes que
+ * não sabem o jogo, como o TTS e os toques na tela)
+ * @param {string} type - Tipo do evento ('card_click', 'tap', 'tts', 'success'...)
+ * @param {Object} [data] - Dados do evento; só campos simples são guardados
+ * @param {Object} [options]
+ * @param {string} [options.activityId]
+ * @param {number} [options.now]
+ * @returns {boolean} Se o evento foi gravado
+ */
+export function recordReplayEvent(type, data, { activityId, now = Date.now() } = {}) {
+  const recording = activityId ? activeRecordings.get(activityId) : latestRecording()
+  if (!recording || !type) return false
+
+  const t = Math.max(0, now - recording.startedAt)
+  const entries = []
+
+  if (!PASSIVE_EVENTS.has(type)) {
+    const idle = t - recording.lastCueAt
+    if (idle >= HESITATION_MS) {
+      entries.push([t, 'hesitation', { ms: idle }])
+    }
+  }
+  if (!PASSIVE_EVENTS.has(type) || CUE_EVENTS.has(type)) recording.lastCueAt = t
+
+  const compact = compactData(data)
+  entries.push(compact ? [t, type, compact] : [t, type])
+
+  for (const entry of entries) {
+    if (recording.events.length >= MAX_REPLAY_EVENTS) {
+      recording.truncated = true
+      return false
+    }
+    recording.events.push(entry)
+  }
+  return true
+}
+
+/**
+ * Registra um toque com coordenadas relativas à tela (0-1), para o replay
+ * funcionar em qualquer tamanho de tela
+ * @param {{x: number, y: number}} point - clientX/clientY do toque
+ * @param {Object} [options] - Mesmas opções de recordReplayEvent
+ * @returns {boolean}
+ */
+export function recordReplayTap({ x, y }, options) {
+  if (typeof window === 'undefined' || !window.innerWidth || !window.innerHeight) return false
+  return recordReplayEvent(
+    'tap',
+    { x: Math.min(1, x / window.innerWidth), y: Math.min(1, y / window.innerHeight) },
+    options
+  )
+}
+
+/**
+ * Encerra a gravação do jogo e guarda o replay da criança
+ * Acertos e erros vêm do próprio log, então tanto faz qual instância do
+ * useProgress encerra a sessão. Sessões sem nenhuma ação da criança são descartadas.
+ * @param {string} activityId
+ * @param {Object} [options]
+ * @param {boolean} [options.completed=true] - Se a criança terminou a atividade
+ * @param {number} [options.now]
+ * @returns {Object|null} Replay salvo
+ */
+export function finishReplayRecording(activityId, { completed = true, now = Date.now() } = {}) {
+  const recording = activeRecordings.get(activityId)
+  if (!recording) return null
+  activeRecordings.delete(activityId)
+  if (!recording.events.some(isAction)) return null
+
+  const successes = recording.events.filter(([, type]) => type === 'success').length
+  const errors = recording.events.filter(([, type]) => type === 'error').length
+  const replay = {
+    sessionId: recording.sessionId,
+    userId: recording.userId,
+    activityId,
+    startedAt: new Date(recording.startedAt).toISOString(),
+    durationMs: Math.max(0, now - recording.startedAt),
+    summary: {
+      successes,
+      errors,
+      accuracy:
+        successes + errors > 0 ? Math.round((successes / (successes + errors)) * 100) : null,
+      completed,
+    },
+    truncated: recording.truncated,
+    events: recording.events,
+  }
+
+  const replays = listSessionReplays(recording.userId).filter(
+    (stored) => stored.sessionId !== replay.sessionId
+  )
+  saveSessionReplays(recording.userId, [replay, ...replays].slice(0, MAX_STORED_REPLAYS))
+  return replay
+}
+
+/**
+ * Replays guardados da criança, do mais recente para o mais antigo
+ * @param {string} [userId] - ID do usuário; sem ID usa os replays locais do dispositivo
+ * @returns {Array<Object>}
+ */
+export function listSessionReplays(userId) {
+  try {
+    if (typeof localStorage === 'undefined') return []
+    const stored = JSON.parse(localStorage.getItem(storageKey(userId)) || '[]')
+    return Array.isArray(stored) ? stored : []
+  } catch (error) {
+    console.error('Erro ao carregar replays de sessão:', error)
+    return []
+  }
+}
+
+function saveSessionReplays(userId, replays) {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(storageKey(userId), JSON.stringify(replays))
+    }
+  } catch (error) {
+    console.error('Erro ao salvar replays de sessão:', error)
+  }
+}
+
+/**
+ * @param {string} [userId]
+ * @param {string} sessionId
+ * @returns {Object|null}
+ */
+export function getSessionReplay(userId, sessionId) {
+  return listSessionReplays(userId).find((replay) => replay.sessionId === sessionId) || null
+}
+
+/**
+ * @param {string} [userId]
+ * @param {string} sessionId
+ */
+export function deleteSessionReplay(userId, sessionId) {
+  saveSessionReplays(
+    userId,
+    listSessionReplays(userId).filter((replay) => replay.sessionId !== sessionId)
+  )
+}
+
+const initialFrameState = () => ({
+  cards: null,
+  flipped: [],
+  matched: [],
+  lastCard: null,
+  taps: [],
+  prompt: null,
+  hesitationMs: null,
+  successes: 0,
+  errors: 0,
+})
+
+// Aplica um evento ao estado do tabuleiro; cartas iguais viradas juntas formam par
+function applyEvent(state, [t, type, data = {}]) {
+  const next = { ...state, hesitationMs: null }
+
+  switch (type) {
+    case 'board':
+      return { ...next, cards: data.cards || null, flipped: [], matched: [], lastCard: null }
+    case 'card_click': {
+      const index = data.cardIndex
+      if (!Number.isInteger(index)) return next
+      const flipped = state.flipped.length >= 2 ? [index] : [...state.flipped, index]
+      if (
+        flipped.length === 2 &&
+        state.cards &&
+        state.cards[flipped[0]] === state.cards[flipped[1]]
+      ) {
+        return { ...next, flipped: [], matched: [...state.matched, ...flipped], lastCard: index }
+      }
+      return { ...next, flipped, lastCard: index }
+    }
+    case 'tap':
+      return { ...next, taps: [...state.taps, { x: data.x, y: data.y, t }].slice(-TAP_TRAIL) }
+    case 'tts':
+      return { ...next, prompt: data.text || null }
+    case 'hesitation':
+      return { ...next, hesitationMs: data.ms }
+    case 'success':
+      return { ...next, successes: state.successes + 1 }
+    case 'error':
+      return { ...next, errors: state.errors + 1 }
+    default:
+      return next
+  }
+}
+
+/**
+ * Reconstrói o estado da sessão depois de cada evento, para o visualizador
+ * navegar pela linha do tempo; o primeiro quadro é o início da sessão
+ * @param {Object} replay
+ * @returns {Array<{t: number, event: Array|null, state: Object}>}
+ */
+export function buildReplayFrames(replay) {
+  const frames = [{ t: 0, event: null, state: initialFrameState() }]
+  ;(replay?.events || []).forEach((event) => {
+    frames.push({ t: event[0], event, state: applyEvent(frames.at(-1).state, event) })
+  })
+  return frames
+}
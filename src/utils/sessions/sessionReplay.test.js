@@ -0,0 +1,106 @@
+/**
+ * @file sessionReplay.test.js
+ * @description Testes da gravação e da reconstrução dos replays de sessão
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  HESITATION_MS,
+  buildReplayFrames,
+  finishReplayRecording,
+  getSessionReplay,
+  listSessionReplays,
+  recordReplayEvent,
+  recordReplayTap,
+  startReplayRecording,
+} from './sessionReplay.js'
+
+const T0 = 1_700_000_000_000
+
+describe('sessionReplay', () => {
+  let store
+
+  beforeEach(() => {
+    store = {}
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null)
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value
+    })
+  })
+
+  afterEach(() => {
+    localStorage.getItem.mockReset()
+    localStorage.setItem.mockReset()
+  })
+
+  it('deve gravar um log compacto com hesitações e guardar o replay ao final', () => {
+    startReplayRecording({ activityId: 'memory-game', sessionId: 's1', userId: 7, now: T0 })
+    // Segundo início antes de qualquer ação (useAdvancedActivity) reaproveita a gravação
+    startReplayRecording({ activityId: 'memory-game', sessionId: 's2', userId: 7, now: T0 + 5 })
+
+    const opts = (ms) => ({ activityId: 'memory-game', now: T0 + ms })
+    recordReplayEvent('board', { cards: ['🐶', '🐱', '🐶', '🐱'] }, opts(100))
+    recordReplayEvent('tts', { text: 'Encontre os pares' }, { now: T0 + 200 })
+    recordReplayEvent(
+      'card_click',
+      { type: 'card_interaction', context: { cardIndex: 0, timestamp: T0, deviceInfo: {} } },
+      opts(1000)
+    )
+    recordReplayEvent('card_click', { context: { cardIndex: 2 } }, opts(1000 + HESITATION_MS + 500))
+    recordReplayEvent('success', { points: 10 }, opts(6000))
+
+    const replay = finishReplayRecording('memory-game', { now: T0 + 9000 })
+    expect(replay).toMatchObject({
+      sessionId: 's1',
+      durationMs: 9000,
+      summary: { successes: 1, errors: 0, accuracy: 100, completed: true },
+    })
+    expect(replay.events).toEqual([
+      [100, 'board', { cards: ['🐶', '🐱', '🐶', '🐱'] }],
+      [200, 'tts', { text: 'Encontre os pares' }],
+      [1000, 'card_click', { type: 'card_interaction', cardIndex: 0 }],
+      [5500, 'hesitation', { ms: 4500 }],
+      [5500, 'card_click', { cardIndex: 2 }],
+      [6000, 'success', { points: 10 }],
+    ])
+    expect(getSessionReplay(7, 's1')).toEqual(replay)
+
+    // Fim repetido pela outra instância do useProgress não duplica nada
+    expect(finishReplayRecording('memory-game')).toBeNull()
+    expect(listSessionReplays(7)).toHaveLength(1)
+  })
+
+  it('deve descartar sessões sem ações e guardar como incompleta a sessão reiniciada', () => {
+    startReplayRecording({ activityId: 'number-counting', sessionId: 'vazia', now: T0 })
+    recordReplayEvent('tts', { text: 'Vamos contar!' }, { now: T0 + 10 })
+    expect(finishReplayRecording('number-counting')).toBeNull()
+
+    startReplayRecording({ activityId: 'number-counting', sessionId: 'a', now: T0 })
+    recordReplayEvent('error', null, { activityId: 'number-counting', now: T0 + 800 })
+    startReplayRecording({ activityId: 'number-counting', sessionId: 'b', now: T0 + 2000 })
+
+    expect(listSessionReplays().map((replay) => [replay.sessionId, replay.summary])).toEqual([
+      ['a', { successes: 0, errors: 1, accuracy: 0, completed: false }],
+    ])
+    finishReplayRecording('number-counting')
+  })
+
+  it('deve reconstruir o tabuleiro e os toques passo a passo', () => {
+    startReplayRecording({ activityId: 'memory-game', sessionId: 'frames', now: T0 })
+    const opts = (ms) => ({ activityId: 'memory-game', now: T0 + ms })
+    recordReplayEvent('board', { cards: ['A', 'B', 'A', 'C', 'B', 'C'] }, opts(0))
+    ;[0, 2, 1, 3, 4].forEach((cardIndex, i) =>
+      recordReplayEvent('card_click', { cardIndex }, opts(100 * (i + 1)))
+    )
+    recordReplayTap({ x: window.innerWidth / 2, y: window.innerHeight / 4 }, opts(700))
+    const frames = buildReplayFrames(finishReplayRecording('memory-game', { now: T0 + 800 }))
+
+    expect(frames).toHaveLength(8)
+    expect(frames[0].state.cards).toBeNull()
+    expect(frames[3].state).toMatchObject({ flipped: [], matched: [0, 2], lastCard: 2 })
+    expect(frames[5].state).toMatchObject({ flipped: [1, 3], matched: [0, 2] })
+    // Par errado fica visível até a próxima carta ser virada
+    expect(frames[6].state).toMatchObject({ flipped: [4], lastCard: 4 })
+    expect(frames[7].state.taps).toEqual([{ x: 0.5, y: 0.25, t: 700 }])
+  })
+})
@@ -0,0 +1,276 @@
+/**
+ * @file visualSchedule.js
+ * @description Agenda visual da sessão ("primeiro → depois")
+ * O terapeuta ou a família monta a sequência de jogos, pausas e recompensas; a criança
+ * vê a sequência em figuras e o app passa de uma etapa para a outra sozinho, quando o
+ * tempo da etapa acaba ou quando o jogo é concluído.
+ */
+
+const SCHEDULE_KEY_PREFIX = 'betina_visual_schedule_'
+
+// Disparado a cada mudança de agenda ou de etapa, para o App trocar de tela
+export const SCHEDULE_CHANGED_EVENT = 'visual-schedule-changed'
+
+// Espera depois de o jogo ser concluído, para a criança ver a comemoração
+export const COMPLETION_ADVANCE_DELAY_MS = 3000
+
+export const STEP_TYPES = {
+  ACTIVITY: 'activity',
+  BREAK: 'break',
+  REWARD: 'reward',
+}
+
+// Figura e nome de cada etapa possível
+export const SCHEDULE_ITEMS = {
+  [STEP_TYPES.ACTIVITY]: {
+    'memory-game': { label: 'Jogo da Memória', emoji: '🧠' },
+    'color-match': { label: 'Cores', emoji: '🌈' },
+    'image-association': { label: 'Imagens', emoji: '🖼️' },
+    'musical-sequence': { label: 'Música', emoji: '🎵' },
+    'letter-recognition': { label: 'Letras', emoji: '📚' },
+    'number-counting': { label: 'Números', emoji: '🔢' },
+    'creative-painting': { label: 'Pintura', emoji: '🎨' },
+    'visual-patterns': { label: 'Padrões', emoji: '🔷' },
+    'emotional-puzzle': { label: 'Emoções', emoji: '😊' },
+  },
+  [STEP_TYPES.BREAK]: {
+    stretch: { label: 'Alongar', emoji: '🤸' },
+    water: { label: 'Beber água', emoji: '💧' },
+    breathe: { label: 'Respirar', emoji: '🌬️' },
+    rest: { label: 'Descansar', emoji: '🛋️' },
+  },
+  [STEP_TYPES.REWARD]: {
+    bubbles: { label: 'Bolhas', emoji: '🫧' },
+    music: { label: 'Música favorita', emoji: '🎶' },
+    sticker: { label: 'Adesivo', emoji: '⭐' },
+    toy: { label: 'Brinquedo', emoji: '🧸' },
+  },
+}
+
+export const DEFAULT_STEP_MINUTES = {
+  [STEP_TYPES.ACTIVITY]: 5,
+  [STEP_TYPES.BREAK]: 2,
+  [STEP_TYPES.REWARD]: 3,
+}
+
+export const MAX_SCHEDULE_STEPS = 12
+export const MAX_STEP_MINUTES = 30
+
+const storageKey = (userId) => `${SCHEDULE_KEY_PREFIX}${userId || 'local'}`
+
+const readState = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId)) || 'null') || {}
+  } catch (error) {
+    console.error('Erro ao carregar agenda visual:', error)
+    return {}
+  }
+}
+
+const writeState = (userId, state) => {
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify(state))
+  } catch (error) {
+    console.error('Erro ao salvar agenda visual:', error)
+  }
+  window.dispatchEvent(new CustomEvent(SCHEDULE_CHANGED_EVENT, { detail: { userId } }))
+}
+
+/**
+ * Cria uma etapa da agenda
+ * @param {string} type - STEP_TYPES
+ * @param {string} itemId - Jogo, pausa ou recompensa de SCHEDULE_ITEMS
+ * @param {number} [minutes] - Duração; padrão por tipo
+ * @returns {Object}
+ */
+export function createScheduleStep(type, itemId, minutes = DEFAULT_STEP_MINUTES[type]) {
+  return {
+    id: `${type}-${itemId}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    type,
+    itemId,
+    minutes,
+  }
+}
+
+/**
+ * Figura e nome de uma etapa
+ * @param {Object} step
+ * @param {Function} [t] - Tradução do react-i18next (schedule.items); sem ela, o nome em português
+ * @returns {{label: string, emoji: string}}
+ */
+export function getStepVisual(step, t) {
+  const visual = SCHEDULE_ITEMS[step?.type]?.[step?.itemId] || {
+    label: step?.itemId || '',
+    emoji: '❔',
+  }
+  if (!t) return visual
+  return {
+    ...visual,
+    label: t(`schedule.items.${step?.type}.${step?.itemId}`, { defaultValue: visual.label }),
+  }
+}
+
+/**
+ * Valida a agenda antes de salvar
+ * @param {Object} schedule - { title, steps }
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateSchedule(schedule = {}) {
+  const errors = []
+  const steps = Array.isArray(schedule.steps) ? schedule.steps : []
+
+  if (steps.length === 0) errors.push('A agenda precisa de pelo menos uma etapa')
+  if (steps.length > MAX_SCHEDULE_STEPS) {
+    errors.push(`A agenda pode ter no máximo ${MAX_SCHEDULE_STEPS} etapas`)
+  }
+  if (!steps.some((step) => step.type === STEP_TYPES.ACTIVITY)) {
+    errors.push('A agenda precisa de pelo menos um jogo')
+  }
+  steps.forEach((step, index) => {
+    if (!SCHEDULE_ITEMS[step.type]?.[step.itemId]) {
+      errors.push(`Etapa ${index + 1}: item desconhecido`)
+    }
+    const minutes = Number(step.minutes)
+    if (!(minutes > 0 && minutes <= MAX_STEP_MINUTES)) {
+      errors.push(`Etapa ${index + 1}: duração deve ser de 1 a ${MAX_STEP_MINUTES} minutos`)
+    }
+  })
+
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * Agenda salva da criança
+ * @param {string|number} [userId]
+ * @returns {Object|null}
+ */
+export function loadSchedule(userId) {
+  return readState(userId).schedule || null
+}
+
+/**
+ * Salva a agenda montada pelo adulto
+ * @param {Object} schedule - { title, steps }
+ * @param {Object} [options]
+ * @param {string|number} [options.userId]
+ * @param {string} [options.createdBy] - Papel de quem montou ('therapist', 'guardian')
+ * @param {number} [options.now]
+ * @returns {Object} Agenda salva
+ */
+export function saveSchedule(schedule, { userId, createdBy = null, now = Date.now() } = {}) {
+  const { valid, errors } = validateSchedule(schedule)
+  if (!valid) throw new Error(errors[0])
+
+  const state = readState(userId)
+  const saved = {
+    title: schedule.title?.trim() || 'Minha agenda',
+    steps: schedule.steps.map(({ id, type, itemId, minutes }) => ({
+      id,
+      type,
+      itemId,
+      minutes: Number(minutes),
+    })),
+    createdBy: createdBy || state.schedule?.createdBy || null,
+    updatedAt: new Date(now).toISOString(),
+  }
+  writeState(userId, { ...state, schedule: saved })
+  return saved
+}
+
+/**
+ * Agenda em andamento
+ * @param {string|number} [userId]
+ * @returns {Object|null} { title, steps, index, stepStartedAt, startedAt, history }
+ */
+export function getScheduleRun(userId) {
+  return readState(userId).run || null
+}
+
+/**
+ * Começa a agenda salva do início
+ * A execução guarda uma cópia das etapas: editar a agenda não muda a sessão em curso.
+ * @param {string|number} [userId]
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @returns {Object} Execução iniciada
+ */
+export function startScheduleRun(userId, { now = Date.now() } = {}) {
+  const state = readState(userId)
+  if (!state.schedule) throw new Error('Nenhuma agenda salva para esta criança')
+
+  const run = {
+    title: state.schedule.title,
+    steps: state.schedule.steps,
+    index: 0,
+    startedAt: now,
+    stepStartedAt: now,
+    history: [],
+  }
+  writeState(userId, { ...state, run })
+  return run
+}
+
+/**
+ * Passa para a próxima etapa
+ * @param {string|number} [userId]
+ * @param {Object} [options]
+ * @param {string} [options.reason='completed'] - 'completed' | 'timeout' | 'skipped'
+ * @param {number} [options.now]
+ * @returns {Object|null} Execução atualizada, ou null quando a agenda terminou
+ */
+export function advanceScheduleRun(userId, { reason = 'completed', now = Date.now() } = {}) {
+  const state = readState(userId)
+  const run = state.run
+  if (!run) return null
+
+  const step = run.steps[run.index]
+  const history = [
+    ...run.history,
+    { stepId: step.id, reason, durationMs: now - run.stepStartedAt, endedAt: now },
+  ]
+  const index = run.index + 1
+
+  if (index >= run.steps.length) {
+    writeState(userId, {
+      ...state,
+      run: null,
+      lastRun: { title: run.title, startedAt: run.startedAt, finishedAt: now, history },
+    })
+    return null
+  }
+
+  const next = { ...run, index, stepStartedAt: now, history }
+  writeState(userId, { ...state, run: next })
+  return next
+}
+
+/**
+ * Encerra a agenda antes do fim
+ * @param {string|number} [userId]
+ */
+export function stopScheduleRun(userId) {
+  const state = readState(userId)
+  if (state.run) writeState(userId, { ...state, run: null })
+}
+
+/**
+ * Etapa atual e a seguinte, para o quadro "primeiro → depois"
+ * @param {Object|null} run
+ * @returns {{first: Object|null, then: Object|null}}
+ */
+export function getFirstThen(run) {
+  if (!run) return { first: null, then: null }
+  return { first: run.steps[run.index] || null, then: run.steps[run.index + 1] || null }
+}
+
+/**
+ * Tempo restante da etapa atual
+ * @param {Object|null} run
+ * @param {number} [now]
+ * @returns {number} ms (0 quando o tempo acabou)
+ */
+export function getStepRemainingMs(run, now = Date.now()) {
+  const step = run?.steps[run.index]
+  if (!step) return 0
+  return Math.max(0, run.stepStartedAt + step.minutes * 60000 - now)
+}
@@ -0,0 +1,110 @@
+/**
+ * @file visualSchedule.test.js
+ * @description Testes da agenda visual da sessão
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  SCHEDULE_CHANGED_EVENT,
+  STEP_TYPES,
+  advanceScheduleRun,
+  createScheduleStep,
+  getFirstThen,
+  getScheduleRun,
+  getStepRemainingMs,
+  loadSchedule,
+  saveSchedule,
+  startScheduleRun,
+  stopScheduleRun,
+  validateSchedule,
+} from './visualSchedule.js'
+
+const T0 = 1_700_000_000_000
+
+const buildSchedule = () => ({
+  title: '  Sessão de terça ',
+  steps: [
+    createScheduleStep(STEP_TYPES.ACTIVITY, 'memory-game', 4),
+    createScheduleStep(STEP_TYPES.BREAK, 'water'),
+    createScheduleStep(STEP_TYPES.REWARD, 'bubbles'),
+  ],
+})
+
+describe('visualSchedule', () => {
+  let store
+
+  beforeEach(() => {
+    store = {}
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null)
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value
+    })
+  })
+
+  afterEach(() => {
+    localStorage.getItem.mockReset()
+    localStorage.setItem.mockReset()
+  })
+
+  it('deve recusar agendas vazias, sem jogo ou com duração inválida', () => {
+    expect(validateSchedule({ steps: [] }).errors[0]).toBe(
+      'A agenda precisa de pelo menos uma etapa'
+    )
+    expect(validateSchedule({ steps: [createScheduleStep(STEP_TYPES.BREAK, 'rest')] })).toEqual({
+      valid: false,
+      errors: ['A agenda precisa de pelo menos um jogo'],
+    })
+    expect(() =>
+      saveSchedule({ steps: [createScheduleStep(STEP_TYPES.ACTIVITY, 'color-match', 45)] })
+    ).toThrow('Etapa 1: duração deve ser de 1 a 30 minutos')
+    expect(() => startScheduleRun(7)).toThrow('Nenhuma agenda salva para esta criança')
+  })
+
+  it('deve seguir as etapas do primeiro ao último e guardar a execução concluída', () => {
+    const listener = vi.fn()
+    window.addEventListener(SCHEDULE_CHANGED_EVENT, listener)
+
+    const schedule = buildSchedule()
+    const saved = saveSchedule(schedule, { userId: 7, createdBy: 'therapist', now: T0 })
+    expect(saved).toMatchObject({ title: 'Sessão de terça', createdBy: 'therapist' })
+    expect(loadSchedule(7).steps).toHaveLength(3)
+    expect(loadSchedule(8)).toBeNull()
+
+    const run = startScheduleRun(7, { now: T0 })
+    expect(getFirstThen(run)).toEqual({ first: saved.steps[0], then: saved.steps[1] })
+    expect(getStepRemainingMs(run, T0 + 60000)).toBe(3 * 60000)
+    expect(getStepRemainingMs(run, T0 + 10 * 60000)).toBe(0)
+
+    const second = advanceScheduleRun(7, { now: T0 + 120000 })
+    expect(second.index).toBe(1)
+    expect(getScheduleRun(7)).toEqual(second)
+    expect(getFirstThen(second).then.itemId).toBe('bubbles')
+
+    advanceScheduleRun(7, { reason: 'timeout', now: T0 + 240000 })
+    expect(advanceScheduleRun(7, { reason: 'skipped', now: T0 + 300000 })).toBeNull()
+    expect(getScheduleRun(7)).toBeNull()
+
+    const { lastRun } = JSON.parse(store.betina_visual_schedule_7)
+    expect(lastRun).toMatchObject({ title: 'Sessão de terça', finishedAt: T0 + 300000 })
+    expect(lastRun.history.map(({ reason, durationMs }) => [reason, durationMs])).toEqual([
+      ['completed', 120000],
+      ['timeout', 120000],
+      ['skipped', 60000],
+    ])
+    // A agenda salva continua disponível para a próxima sessão
+    expect(loadSchedule(7).title).toBe('Sessão de terça')
+    expect(listener).toHaveBeenCalledTimes(5)
+
+    window.removeEventListener(SCHEDULE_CHANGED_EVENT, listener)
+  })
+
+  it('deve encerrar a agenda antes do fim sem registrar a execução', () => {
+    saveSchedule(buildSchedule())
+    startScheduleRun()
+    stopScheduleRun()
+
+    expect(getScheduleRun()).toBeNull()
+    expect(JSON.parse(store.betina_visual_schedule_local).lastRun).toBeUndefined()
+    expect(advanceScheduleRun()).toBeNull()
+  })
+})
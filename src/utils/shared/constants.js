@@ -63,10 +63,7 @@ export const EMOJIS = {
     GOOD: ['👍', '😊', '✅', '💚', '🙌', '😄'],
     TRY_AGAIN: ['💪', '🌱', '📚', '🎈', '🌺', '🦋'],
     ENCOURAGEMENT: ['❤️', '🤗', '🌈', '☀️', '🌸', '🎨']
-  },
-  ANIMALS: ['🐶', '🐱', '🐭', '🐹', '🐰', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁', '🐮', '🐷', '🐸', '🐵'],
-  FRUITS: ['🍎', '🍌', '🍊', '🍇', '🍓', '🥝', '🍑', '🍒', '🥭', '🍍', '🥥', '🫐', '🍈', '🍉', '🍋'],
-  OBJECTS: ['⚽', '🏀', '🎾', '🏈', '🎱', '🏓', '🏸', '🥎', '🏐', '🏉', '🎳', '🏹', '🎣', '🥊', '🛼']
+  }
 }
 
 // Configurações de jogabilidade
@@ -1,76 +1,84 @@
 import i18n from 'i18next';
 import { initReactI18next } from 'react-i18next';
+import pt from './locales/pt.json';
+import en from './locales/en.json';
+import es from './locales/es.json';
 
-// Recursos de tradução
-const resources = {
-  pt: {
-    translation: {
-      // Navegação
-      "nav.home": "Início",
-      "nav.games": "Jogos",
-      "nav.profile": "Perfil",
-      "nav.reports": "Relatórios",
-      "nav.settings": "Configurações",
-      
-      // Jogos
-      "games.memory": "Jogo da Memória",
-      "games.sequence": "Sequência Lógica",
-      "games.colors": "Cores e Formas",
-      "games.music": "Música Interativa",
-      "games.paint": "Pintura Digital",
-      
-      // Interface
-      "common.loading": "Carregando...",
-      "common.error": "Erro",
-      "common.retry": "Tentar novamente",
-      "common.save": "Salvar",
-      "common.cancel": "Cancelar",
-      "common.confirm": "Confirmar",
-      
-      // Mensagens
-      "messages.welcome": "Bem-vindo ao Portal Betina!",
-      "messages.gameCompleted": "Jogo concluído com sucesso!",
-      "messages.profileSaved": "Perfil salvo com sucesso!",
-    }
-  },
-  en: {
-    translation: {
-      // Navigation
-      "nav.home": "Home",
-      "nav.games": "Games",
-      "nav.profile": "Profile",
-      "nav.reports": "Reports",
-      "nav.settings": "Settings",
-      
-      // Games
-      "games.memory": "Memory Game",
-      "games.sequence": "Logic Sequence",
-      "games.colors": "Colors and Shapes",
-      "games.music": "Interactive Music",
-      "games.paint": "Digital Paint",
-      
-      // Interface
-      "common.loading": "Loading...",
-      "common.error": "Error",
-      "common.retry": "Try again",
-      "common.save": "Save",
-      "common.cancel": "Cancel",
-      "common.confirm": "Confirm",
-      
-      // Messages
-      "messages.welcome": "Welcome to Portal Betina!",
-      "messages.gameCompleted": "Game completed successfully!",
-      "messages.profileSaved": "Profile saved successfully!",
-    }
+// Idioma escolhido neste dispositivo; o perfil ativo da criança tem prioridade quando existe
+export const LANGUAGE_STORAGE_KEY = 'betina_language';
+export const DEFAULT_LANGUAGE = 'pt';
+
+// Idiomas do portal: voz do speechSynthesis e locale dos pacotes de conteúdo de cada um
+export const SUPPORTED_LANGUAGES = {
+  pt: { label: 'Português', flag: '🇧🇷', speechLang: 'pt-BR', contentLocale: 'pt-BR' },
+  en: { label: 'English', flag: '🇺🇸', speechLang: 'en-US', contentLocale: 'en' },
+  es: { label: 'Español', flag: '🇪🇸', speechLang: 'es-ES', contentLocale: 'es' },
+};
+
+/**
+ * Código suportado para um idioma qualquer ('pt-BR' -> 'pt', 'fr' -> padrão)
+ * @param {string} lng
+ * @returns {string}
+ */
+export const normalizeLanguage = (lng) => {
+  const code = String(lng || '').slice(0, 2).toLowerCase();
+  return SUPPORTED_LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+};
+
+const getStoredLanguage = () => {
+  try {
+    const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    return stored ? normalizeLanguage(stored) : DEFAULT_LANGUAGE;
+  } catch {
+    return DEFAULT_LANGUAGE;
   }
 };
 
+export const getCurrentLanguage = () => normalizeLanguage(i18n.language);
+
+// Idioma BCP 47 usado nas falas (SpeechSynthesisUtterance.lang)
+export const getSpeechLanguage = (lng = i18n.language) =>
+  SUPPORTED_LANGUAGES[normalizeLanguage(lng)].speechLang;
+
+// Locale dos pacotes de conteúdo (listas de palavras, notas, categorias)
+export const getContentLocale = (lng = i18n.language) =>
+  SUPPORTED_LANGUAGES[normalizeLanguage(lng)].contentLocale;
+
+/**
+ * Troca o idioma do portal e guarda a escolha neste dispositivo
+ * @param {string} lng
+ * @returns {Promise<string>} Código aplicado
+ */
+export const setLanguage = async (lng) => {
+  const code = normalizeLanguage(lng);
+  try {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+  } catch (error) {
+    console.warn('Não foi possível salvar o idioma escolhido:', error);
+  }
+  if (i18n.language !== code) {
+    await i18n.changeLanguage(code);
+  }
+  return code;
+};
+
+i18n.on('languageChanged', (lng) => {
+  if (typeof document !== 'undefined') {
+    document.documentElement.lang = getSpeechLanguage(lng);
+  }
+});
+
 i18n
   .use(initReactI18next)
   .init({
-    resources,
-    lng: 'pt', // idioma padrão
-    fallbackLng: 'pt',
+    resources: {
+      pt: { translation: pt },
+      en: { translation: en },
+      es: { translation: es },
+    },
+    lng: getStoredLanguage(),
+    fallbackLng: DEFAULT_LANGUAGE,
+    supportedLngs: Object.keys(SUPPORTED_LANGUAGES),
     interpolation: {
       escapeValue: false,
     },
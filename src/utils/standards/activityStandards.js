@@ -285,6 +285,21 @@ export const ACCESSIBILITY_STANDARDS = {
     return () => document.removeEventListener('keydown', handleKeyboardNavigation)
   }, [handleKeyboardNavigation])
 `,
+
+  // Tamanho mínimo dos alvos (px) na seleção por permanência. Olhar e ponteiro de cabeça
+  // são menos precisos que o toque; jogos com alvos próximos pedem alvos maiores.
+  TARGET_SIZES: {
+    default: 64,
+    'memory-game': 88,
+    'color-match': 80,
+    'musical-sequence': 96,
+    'number-counting': 80,
+    'letter-recognition': 80,
+    'image-association': 88,
+    'creative-painting': 64,
+    'visual-patterns': 80,
+    'emotional-puzzle': 88,
+  },
 }
 
 // ======================== DOCKER E API STANDARDS ========================
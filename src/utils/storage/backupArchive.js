@@ -0,0 +1,331 @@
+/**
+ * @file backupArchive.js
+ * @description Formato único e versionado de backup do Portal Betina
+ * O arquivo reúne perfis, acessibilidade, preferências, sessões de jogo, contagem
+ * de uso, logs e o estado dos modelos de ML. Cada seção tem checksum próprio para
+ * que uma seção corrompida não impeça a restauração das demais, e backups de
+ * versões anteriores passam pelas migrações antes da pré-visualização.
+ */
+
+export const BACKUP_FORMAT = 'portal-betina-backup'
+export const BACKUP_FORMAT_VERSION = 2
+
+export const BACKUP_SECTIONS = Object.freeze({
+  profiles: { label: 'Perfis de Usuário' },
+  accessibility: { label: 'Configurações de Acessibilidade' },
+  preferences: { label: 'Preferências Gerais' },
+  gameSessions: { label: 'Sessões de Jogo' },
+  usage: { label: 'Contagem de Uso dos Jogos' },
+  logs: { label: 'Registros do Sistema' },
+  mlModels: { label: 'Estado dos Modelos de ML' },
+})
+
+export const SECTION_STATUS = Object.freeze({
+  VALID: 'valid',
+  // Backup de versão antiga, sem checksum: pode ser restaurado, mas sem garantia
+  UNVERIFIED: 'unverified',
+  CORRUPTED: 'corrupted',
+})
+
+/**
+ * Serializa um valor com as chaves dos objetos em ordem alfabética, para que o
+ * checksum não dependa da ordem em que os dados foram montados
+ * @param {*} value - Valor serializável em JSON
+ * @returns {string} JSON canônico
+ */
+export const canonicalStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? 'null' : canonicalStringify(item))).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    if (typeof value.toJSON === 'function') {
+      return canonicalStringify(value.toJSON())
+    }
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined && typeof value[key] !== 'function')
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`)
+    return `{${entries.join(',')}}`
+  }
+  return JSON.stringify(value) ?? 'null'
+}
+
+/**
+ * Calcula o checksum SHA-256 de um valor
+ * @param {*} value - Valor serializável em JSON
+ * @returns {Promise<string>} Hash em hexadecimal
+ * @throws {Error} Quando a Web Crypto API não está disponível
+ */
+export const computeChecksum = async (value) => {
+  const subtle = globalThis.crypto?.subtle
+  if (!subtle) {
+    throw new Error('Verificação de integridade indisponível neste navegador')
+  }
+
+  const bytes = new TextEncoder().encode(canonicalStringify(value))
+  const digest = await subtle.digest('SHA-256', bytes)
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+const countItems = (data) => {
+  if (Array.isArray(data)) return data.length
+  if (data && typeof data === 'object') return Object.keys(data).length
+  return data === undefined || data === null ? 0 : 1
+}
+
+/**
+ * Monta o arquivo de backup na versão atual do formato
+ * @param {Object} sections - Dados por seção (chaves de BACKUP_SECTIONS)
+ * @param {Object} [meta]
+ * @param {string|number} [meta.userId] - Usuário de origem
+ * @param {string} [meta.appVersion] - Versão do Portal Betina
+ * @returns {Promise<Object>} Arquivo pronto para JSON.stringify
+ */
+export const createBackupArchive = async (sections, { userId = null, appVersion = null } = {}) => {
+  const included = {}
+  const manifest = {}
+
+  for (const key of Object.keys(BACKUP_SECTIONS)) {
+    const data = sections[key]
+    if (data === undefined || data === null) continue
+
+    // Ida e volta pelo JSON garante que o checksum é calculado sobre o que será gravado
+    included[key] = JSON.parse(JSON.stringify(data))
+    manifest[key] = {
+      items: countItems(included[key]),
+      checksum: await computeChecksum(included[key]),
+    }
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    appVersion,
+    source: { userId },
+    checksumAlgorithm: 'SHA-256',
+    manifest,
+    checksum: await computeChecksum(manifest),
+    sections: included,
+  }
+}
+
+/**
+ * Identifica a versão do formato de um backup
+ * Versão 1: { version: '1.0', data: {...} } gerado pela antiga tela de backup, ou
+ * { gameUsage, stats, version } gerado por gameUsage.exportAllData().
+ * @param {Object} raw - Conteúdo do arquivo
+ * @returns {number|null} Versão ou null se o formato não for reconhecido
+ */
+export const detectFormatVersion = (raw) => {
+  if (!raw || typeof raw !== 'object') return null
+  if (raw.format === BACKUP_FORMAT) return Number(raw.formatVersion) || null
+  if (raw.version && (raw.data || raw.gameUsage)) return 1
+  return null
+}
+
+// Cada migração recebe o backup na versão N e devolve na versão N + 1
+export const BACKUP_MIGRATIONS = {
+  1: (legacy) => {
+    const data = legacy.data || {}
+    const sections = {}
+
+    if (data.users || data.userId) {
+      sections.profiles = { userId: data.userId || null, profiles: data.users || [] }
+    }
+    if (data.accessibilitySettings) sections.accessibility = data.accessibilitySettings
+    if (data.preferences) sections.preferences = data.preferences
+    if (data.gameSessions || data.localStorage) {
+      sections.gameSessions = { remote: data.gameSessions || [], local: data.localStorage || {} }
+    }
+    if (legacy.gameUsage) sections.usage = { counts: legacy.gameUsage }
+
+    return {
+      format: BACKUP_FORMAT,
+      formatVersion: 2,
+      createdAt: legacy.exportDate || null,
+      appVersion: null,
+      source: { userId: data.userId || null },
+      checksumAlgorithm: null,
+      manifest: null,
+      checksum: null,
+      sections,
+    }
+  },
+}
+
+const verifySections = async (archive) => {
+  const statuses = {}
+  const sectionKeys = Object.keys(archive.sections || {})
+
+  if (!archive.manifest) {
+    sectionKeys.forEach((key) => {
+      statuses[key] = { status: SECTION_STATUS.UNVERIFIED, reason: 'Backup antigo sem checksum' }
+    })
+    return { statuses, manifestValid: false }
+  }
+
+  const manifestValid = (await computeChecksum(archive.manifest)) === archive.checksum
+
+  for (const key of sectionKeys) {
+    const expected = archive.manifest[key]?.checksum
+    const actual = await computeChecksum(archive.sections[key])
+
+    statuses[key] =
+      expected && expected === actual
+        ? { status: SECTION_STATUS.VALID }
+        : { status: SECTION_STATUS.CORRUPTED, reason: 'Checksum não confere' }
+  }
+
+  // Seções listadas no manifesto que sumiram do arquivo
+  Object.keys(archive.manifest)
+    .filter((key) => !sectionKeys.includes(key))
+    .forEach((key) => {
+      statuses[key] = { status: SECTION_STATUS.CORRUPTED, reason: 'Seção ausente no arquivo' }
+    })
+
+  return { statuses, manifestValid }
+}
+
+/**
+ * Lê um backup, verifica a integridade e aplica as migrações de formato
+ * @param {Object|string} input - Conteúdo do arquivo (objeto ou texto JSON)
+ * @returns {Promise<Object>} Pré-visualização { archive, sections, migratedFrom, ... }
+ * @throws {Error} Quando o arquivo não é um backup reconhecido
+ */
+export const inspectBackup = async (input) => {
+  let raw = input
+  if (typeof input === 'string') {
+    try {
+      raw = JSON.parse(input)
+    } catch {
+      throw new Error('O arquivo de backup está corrompido (JSON inválido)')
+    }
+  }
+
+  const originalVersion = detectFormatVersion(raw)
+  if (!originalVersion) {
+    throw new Error('Formato de backup inválido ou não reconhecido')
+  }
+  if (originalVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error(
+      `Backup criado por uma versão mais nova do Portal Betina (formato ${originalVersion}). ` +
+        'Atualize o aplicativo antes de restaurar.'
+    )
+  }
+
+  // A integridade é verificada no formato original, antes de qualquer transformação
+  const { statuses, manifestValid } = await verifySections(
+    originalVersion === 1 ? BACKUP_MIGRATIONS[1](raw) : raw
+  )
+
+  let archive = raw
+  for (let version = originalVersion; version < BACKUP_FORMAT_VERSION; version++) {
+    archive = BACKUP_MIGRATIONS[version](archive)
+  }
+
+  const sections = Object.keys(statuses).map((key) => ({
+    key,
+    label: BACKUP_SECTIONS[key]?.label || key,
+    items: countItems(archive.sections[key]),
+    ...statuses[key],
+  }))
+
+  return {
+    archive,
+    sections,
+    manifestValid,
+    migratedFrom: originalVersion < BACKUP_FORMAT_VERSION ? originalVersion : null,
+    createdAt: archive.createdAt,
+    sourceUserId: archive.source?.userId ?? null,
+  }
+}
+
+/**
+ * Indica se o backup pode ser restaurado: o índice (manifesto) precisa conferir, a não
+ * ser nos backups antigos convertidos, que nunca tiveram checksum
+ * @param {Object} preview - Resultado de inspectBackup
+ * @returns {boolean}
+ */
+export const isBackupRestorable = (preview) =>
+  Boolean(preview?.manifestValid || preview?.migratedFrom)
+
+/**
+ * Restaura as seções escolhidas de um backup já inspecionado
+ * Seções corrompidas nunca são aplicadas; falhas em uma seção não interrompem as outras.
+ * @param {Object} preview - Resultado de inspectBackup
+ * @param {string[]} selectedKeys - Seções escolhidas pelo usuário
+ * @param {Object} handlers - { [seção]: { restore: async (data) => any } }
+ * @returns {Promise<Object[]>} Resultado por seção { key, status, message }
+ * @throws {Error} Quando o índice do backup não confere (ver isBackupRestorable)
+ */
+export const restoreBackup = async (preview, selectedKeys, handlers) => {
+  if (!isBackupRestorable(preview)) {
+    throw new Error('O índice do backup não confere: o arquivo foi alterado ou está incompleto')
+  }
+
+  const results = []
+
+  for (const key of selectedKeys) {
+    const section = preview.sections.find((item) => item.key === key)
+    const handler = handlers[key]
+
+    if (!section || section.status === SECTION_STATUS.CORRUPTED) {
+      results.push({ key, status: 'skipped', message: section?.reason || 'Seção não encontrada' })
+      continue
+    }
+    if (!handler?.restore) {
+      results.push({ key, status: 'skipped', message: 'Restauração não suportada' })
+      continue
+    }
+
+    try {
+      const message = await handler.restore(preview.archive.sections[key])
+      results.push({ key, status: 'restored', message: message || null })
+    } catch (error) {
+      results.push({ key, status: 'failed', message: error.message })
+    }
+  }
+
+  return results
+}
+
+/**
+ * Exporta o estado dos modelos de ML que implementam export()
+ * @param {Object} models - { nome: instância }
+ * @returns {Object} { nome: estado }
+ */
+export const exportModelStates = (models = {}) => {
+  const states = {}
+
+  Object.entries(models).forEach(([name, model]) => {
+    if (model && typeof model.export === 'function') {
+      states[name] = model.export()
+    }
+  })
+
+  return states
+}
+
+/**
+ * Importa o estado salvo nos modelos de ML que implementam import()
+ * @param {Object} models - { nome: instância }
+ * @param {Object} states - Estados exportados por exportModelStates
+ * @returns {string[]} Modelos restaurados
+ */
+export const importModelStates = (models = {}, states = {}) =>
+  Object.keys(states).filter((name) => {
+    const model = models[name]
+    return Boolean(model && typeof model.import === 'function' && model.import(states[name]))
+  })
+
+export default {
+  createBackupArchive,
+  inspectBackup,
+  isBackupRestorable,
+  restoreBackup,
+  exportModelStates,
+  importModelStates,
+}
@@ -0,0 +1,268 @@
+/**
+ * @file backupArchive.test.js
+ * @description Testes do formato versionado de backup (checksum, migrações e restauração seletiva)
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  BACKUP_FORMAT,
+  BACKUP_FORMAT_VERSION,
+  SECTION_STATUS,
+  canonicalStringify,
+  createBackupArchive,
+  inspectBackup,
+  restoreBackup,
+  exportModelStates,
+  importModelStates,
+} from './backupArchive.js'
+import { createBackupSections } from './backupSections.js'
+import { DifficultyAdaptiveModel } from '../ml/DifficultyAdaptiveModel.js'
+import { DatabaseService } from '../../database/core/DatabaseService.js'
+import { OfflineOutbox, OUTBOX_EVENT_TYPES } from '../../database/connection/OfflineOutbox.js'
+
+const sections = {
+  accessibility: { highContrast: true, fontSize: 'large' },
+  usage: { counts: { 'memory-game': 4, 'color-match': 2 } },
+  gameSessions: { local: { betina_memory_history: [{ score: 80 }] }, remote: [] },
+}
+
+// Simula o arquivo baixado e lido em outro dispositivo
+const roundTrip = (archive) => JSON.parse(JSON.stringify(archive))
+
+describe('createBackupArchive', () => {
+  it('deve gerar o arquivo versionado com checksum por seção', async () => {
+    const archive = await createBackupArchive(sections, { userId: 10 })
+
+    expect(archive.format).toBe(BACKUP_FORMAT)
+    expect(archive.formatVersion).toBe(BACKUP_FORMAT_VERSION)
+    expect(Object.keys(archive.manifest)).toEqual(['accessibility', 'gameSessions', 'usage'])
+    expect(archive.manifest.usage.checksum).toMatch(/^[0-9a-f]{64}$/)
+  })
+
+  it('não deve depender da ordem das chaves para o checksum', () => {
+    expect(canonicalStringify({ b: 1, a: { d: 2, c: [3] } })).toBe(
+      canonicalStringify({ a: { c: [3], d: 2 }, b: 1 })
+    )
+  })
+})
+
+describe('inspectBackup', () => {
+  it('deve validar um backup íntegro', async () => {
+    const archive = roundTrip(await createBackupArchive(sections, { userId: 10 }))
+
+    const preview = await inspectBackup(JSON.stringify(archive))
+
+    expect(preview.manifestValid).toBe(true)
+    expect(preview.sourceUserId).toBe(10)
+    expect(preview.sections.every((section) => section.status === SECTION_STATUS.VALID)).toBe(true)
+  })
+
+  it('deve marcar apenas a seção alterada como corrompida', async () => {
+    const archive = roundTrip(await createBackupArchive(sections))
+    archive.sections.usage.counts['memory-game'] = 400
+
+    const preview = await inspectBackup(archive)
+    const byKey = Object.fromEntries(preview.sections.map((section) => [section.key, section]))
+
+    expect(byKey.usage.status).toBe(SECTION_STATUS.CORRUPTED)
+    expect(byKey.accessibility.status).toBe(SECTION_STATUS.VALID)
+  })
+
+  it('deve detectar seções removidas do arquivo', async () => {
+    const archive = roundTrip(await createBackupArchive(sections))
+    delete archive.sections.gameSessions
+
+    const preview = await inspectBackup(archive)
+
+    expect(preview.sections.find((section) => section.key === 'gameSessions')).toMatchObject({
+      status: SECTION_STATUS.CORRUPTED,
+      items: 0,
+    })
+  })
+
+  it('deve migrar backups da versão 1 para o formato atual', async () => {
+    const legacy = {
+      version: '1.0',
+      exportDate: '2025-05-01T10:00:00.000Z',
+      data: {
+        userId: 'local_123',
+        preferences: { theme: 'dark' },
+        localStorage: { betina_memory_history: [{ score: 50 }] },
+      },
+    }
+
+    const preview = await inspectBackup(legacy)
+
+    expect(preview.migratedFrom).toBe(1)
+    expect(preview.archive.formatVersion).toBe(BACKUP_FORMAT_VERSION)
+    expect(preview.archive.sections.gameSessions).toEqual({
+      remote: [],
+      local: { betina_memory_history: [{ score: 50 }] },
+    })
+    expect(preview.sections.map((section) => section.status)).toEqual(
+      expect.arrayContaining([SECTION_STATUS.UNVERIFIED])
+    )
+  })
+
+  it('deve recusar arquivos desconhecidos ou de versões futuras', async () => {
+    await expect(inspectBackup('{ não é json')).rejects.toThrow(/JSON inválido/)
+    await expect(inspectBackup({ foo: 'bar' })).rejects.toThrow(/não reconhecido/)
+    await expect(
+      inspectBackup({ format: BACKUP_FORMAT, formatVersion: BACKUP_FORMAT_VERSION + 1 })
+    ).rejects.toThrow(/versão mais nova/)
+  })
+})
+
+describe('restoreBackup', () => {
+  it('deve restaurar só as seções escolhidas e nunca as corrompidas', async () => {
+    const archive = roundTrip(await createBackupArchive(sections))
+    archive.sections.usage.counts['memory-game'] = 400
+    const preview = await inspectBackup(archive)
+    const handlers = {
+      accessibility: { restore: vi.fn() },
+      usage: { restore: vi.fn() },
+      gameSessions: { restore: vi.fn() },
+    }
+
+    const results = await restoreBackup(preview, ['accessibility', 'usage'], handlers)
+
+    expect(handlers.accessibility.restore).toHaveBeenCalledWith(sections.accessibility)
+    expect(handlers.usage.restore).not.toHaveBeenCalled()
+    expect(handlers.gameSessions.restore).not.toHaveBeenCalled()
+    expect(results.map((result) => result.status)).toEqual(['restored', 'skipped'])
+  })
+
+  it('deve continuar após falha em uma seção', async () => {
+    const preview = await inspectBackup(roundTrip(await createBackupArchive(sections)))
+    const handlers = {
+      accessibility: { restore: vi.fn().mockRejectedValue(new Error('sem banco')) },
+      usage: { restore: vi.fn() },
+    }
+
+    const results = await restoreBackup(preview, ['accessibility', 'usage'], handlers)
+
+    expect(results).toEqual([
+      { key: 'accessibility', status: 'failed', message: 'sem banco' },
+      { key: 'usage', status: 'restored', message: null },
+    ])
+  })
+
+  it('deve recusar a restauração quando o índice do backup não confere', async () => {
+    const archive = roundTrip(await createBackupArchive(sections))
+    archive.manifest.usage.checksum = '0'.repeat(64)
+    const preview = await inspectBackup(archive)
+    const handlers = { accessibility: { restore: vi.fn() } }
+
+    expect(preview.manifestValid).toBe(false)
+    await expect(restoreBackup(preview, ['accessibility'], handlers)).rejects.toThrow(
+      /índice do backup não confere/
+    )
+    expect(handlers.accessibility.restore).not.toHaveBeenCalled()
+  })
+
+  it('deve reenviar cada sessão sincronizada com uma chave estável', async () => {
+    const databaseService = {
+      saveGameSession: vi.fn().mockResolvedValue({ queued: true, synced: true }),
+    }
+    const handlers = createBackupSections({ userId: 7, isDbConnected: true, databaseService })
+    const session = { id: 31, game_id: 'memory-game', score: 80, user_id: 3 }
+    const data = { local: {}, remote: [session, { ...session }, { ...session, id: 32 }] }
+
+    expect(await handlers.gameSessions.restore(data)).toBe('2 sessão(ões) enviada(s)')
+    await handlers.gameSessions.restore(data)
+
+    const keys = databaseService.saveGameSession.mock.calls.map(
+      ([, options]) => options.idempotencyKey
+    )
+    expect(keys).toHaveLength(4)
+    // Restaurar o mesmo arquivo de novo repete as chaves: o servidor devolve as sessões já gravadas
+    expect(keys.slice(2)).toEqual(keys.slice(0, 2))
+    expect(keys[0]).toMatch(/^backup-session-[0-9a-f]{40}$/)
+    expect(databaseService.saveGameSession.mock.calls[0][0]).toEqual({
+      game_id: 'memory-game',
+      score: 80,
+      user_id: 7,
+    })
+  })
+})
+
+describe('Restauração das sessões pelo DatabaseService', () => {
+  const session = { id: 31, game_id: 'memory-game', score: 80, user_id: 3 }
+
+  const createService = () => {
+    const service = new DatabaseService()
+    service.connectionManager.outbox = new OfflineOutbox({ indexedDB: null })
+    service.connectionManager.authService = {
+      isAuthenticated: () => true,
+      getToken: () => 'token',
+    }
+    return service
+  }
+
+  const restoreSessions = async (databaseService, isDbConnected) => {
+    const archive = await createBackupArchive({
+      gameSessions: { local: {}, remote: [session, { ...session, id: 32, score: 90 }] },
+    })
+    const preview = await inspectBackup(roundTrip(archive))
+    const handlers = createBackupSections({ userId: 7, isDbConnected, databaseService })
+    return restoreBackup(preview, ['gameSessions'], handlers)
+  }
+
+  afterEach(() => {
+    navigator.onLine = true
+    vi.unstubAllGlobals()
+  })
+
+  it('deve enviar as sessões do arquivo à API com a chave do backup', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({ ok: true, status: 201, json: async () => ({}) })
+    vi.stubGlobal('fetch', fetchMock)
+    const databaseService = createService()
+
+    const results = await restoreSessions(databaseService, true)
+
+    expect(results).toEqual([
+      { key: 'gameSessions', status: 'restored', message: '2 sessão(ões) enviada(s)' },
+    ])
+    const [url, options] = fetchMock.mock.calls[0]
+    expect(url).toMatch(/\/game-session$/)
+    expect(options.headers['Idempotency-Key']).toMatch(/^backup-session-[0-9a-f]{40}$/)
+    expect(JSON.parse(options.body)).toEqual({ game_id: 'memory-game', score: 80, user_id: '7' })
+    expect(await databaseService.connectionManager.outbox.getPending()).toEqual([])
+  })
+
+  it('deve deixar as sessões na outbox quando o dispositivo está offline', async () => {
+    navigator.onLine = false
+    vi.stubGlobal('fetch', vi.fn())
+    const databaseService = createService()
+
+    const [result] = await restoreSessions(databaseService, false)
+
+    expect(result).toEqual({
+      key: 'gameSessions',
+      status: 'restored',
+      message: '2 sessão(ões) enviada(s), 2 aguardando conexão',
+    })
+    const pending = await databaseService.connectionManager.outbox.getPending()
+    expect(pending.map((entry) => entry.type)).toEqual([
+      OUTBOX_EVENT_TYPES.GAME_SESSION,
+      OUTBOX_EVENT_TYPES.GAME_SESSION,
+    ])
+    expect(fetch).not.toHaveBeenCalled()
+  })
+})
+
+describe('Estado dos modelos de ML', () => {
+  it('deve exportar e importar o estado dos modelos', () => {
+    const source = new DifficultyAdaptiveModel()
+    source.difficultyHistory = [0.4, 0.5]
+    source.performanceHistory = [0.7, 0.8]
+    const target = new DifficultyAdaptiveModel()
+
+    const states = exportModelStates({ difficultyAdaptiveModel: source, other: {} })
+    const restored = importModelStates({ difficultyAdaptiveModel: target }, states)
+
+    expect(Object.keys(states)).toEqual(['difficultyAdaptiveModel'])
+    expect(restored).toEqual(['difficultyAdaptiveModel'])
+    expect(target.getCurrentDifficulty()).toBe(0.5)
+  })
+})
@@ -0,0 +1,218 @@
+/**
+ * @file backupSections.js
+ * @description Coleta e restauração de cada seção do backup (ver backupArchive.js)
+ * Os dados vêm do localStorage e, quando o banco está conectado, do databaseService;
+ * as sessões restauradas passam pela outbox offline do databaseService.
+ */
+
+import { getGameUsageCounts, importUsageData } from '../game/gameUsage.js'
+import { computeChecksum, exportModelStates, importModelStates } from './backupArchive.js'
+
+const ACCESSIBILITY_KEY = 'betina_accessibility_settings'
+const PREFERENCES_KEY = 'betina_user_preferences'
+const USER_NAME_KEY = 'betina_user_name'
+const LOGS_KEY = 'betina_logs'
+
+// Históricos dos jogos salvos localmente (betina_*_history, betina_game_*, betina_session_*)
+const isLocalSessionKey = (key) =>
+  key.startsWith('betina_') &&
+  (key.includes('_history') || key.startsWith('betina_game_') || key.startsWith('betina_session_'))
+
+const readJson = (key) => {
+  const value = localStorage.getItem(key)
+  if (value === null) return null
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+const writeJson = (key, value) => {
+  localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value))
+}
+
+/**
+ * Cria os handlers de coleta/restauração de cada seção
+ * @param {Object} context
+ * @param {string|number} context.userId - Usuário atual
+ * @param {boolean} context.isDbConnected - Banco disponível
+ * @param {Object} context.databaseService - Serviço de banco de dados
+ * @param {Object} [context.userDetails] - Dados do usuário atual (UserContext)
+ * @param {Function} [context.getUserProfiles] - UserContext.getUserProfiles
+ * @param {Function} [context.createUserProfile] - UserContext.createUserProfile
+ * @param {Function} [context.updateAccessibilitySettings] - UserContext.updateAccessibilitySettings
+ * @param {Object} [context.models] - Modelos de ML carregados ({ nome: instância })
+ * @returns {Object} { [seção]: { collect, restore } }
+ */
+export const createBackupSections = ({
+  userId,
+  isDbConnected,
+  databaseService,
+  userDetails,
+  getUserProfiles,
+  createUserProfile,
+  updateAccessibilitySettings,
+  models = {},
+}) => ({
+  profiles: {
+    collect: async () => ({
+      userId,
+      userName: localStorage.getItem(USER_NAME_KEY),
+      details: userDetails || null,
+      profiles: isDbConnected && getUserProfiles ? await getUserProfiles() : [],
+    }),
+    restore: async (data) => {
+      if (data.userName) {
+        localStorage.setItem(USER_NAME_KEY, data.userName)
+      }
+
+      const profiles = data.profiles || []
+      if (profiles.length === 0) return null
+      if (!isDbConnected || !createUserProfile) {
+        throw new Error('Conecte-se ao banco de dados para restaurar os perfis')
+      }
+
+      // Perfis com o mesmo nome já existem neste dispositivo
+      const existing = new Set((await getUserProfiles()).map((profile) => profile.profile_name))
+      let created = 0
+      for (const profile of profiles) {
+        if (existing.has(profile.profile_name)) continue
+        const result = await createUserProfile({
+          profile_name: profile.profile_name,
+          profile_icon: profile.profile_icon,
+          profile_color: profile.profile_color,
+          age_range: profile.age_range,
+          preferences: profile.preferences,
+        })
+        if (result) created++
+      }
+      return `${created} perfil(is) criado(s)`
+    },
+  },
+
+  accessibility: {
+    collect: async () => readJson(ACCESSIBILITY_KEY) || userDetails?.preferences?.accessibility,
+    restore: async (data) => {
+      if (updateAccessibilitySettings) {
+        await updateAccessibilitySettings(data)
+      } else {
+        writeJson(ACCESSIBILITY_KEY, data)
+      }
+    },
+  },
+
+  preferences: {
+    collect: async () => readJson(PREFERENCES_KEY) || userDetails?.preferences,
+    restore: async (data) => {
+      writeJson(PREFERENCES_KEY, data)
+      if (isDbConnected && typeof databaseService?.updateUserPreferences === 'function') {
+        await databaseService.updateUserPreferences(userId, data)
+      }
+    },
+  },
+
+  gameSessions: {
+    collect: async () => {
+      const local = {}
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i)
+        if (isLocalSessionKey(key)) {
+          local[key] = readJson(key)
+        }
+      }
+
+      const remote = isDbConnected ? (await databaseService.getUserGameSessions(userId)) || [] : []
+
+      return { local, remote }
+    },
+    restore: async (data) => {
+      Object.entries(data.local || {}).forEach(([key, value]) => {
+        if (isLocalSessionKey(key)) writeJson(key, value)
+      })
+
+      const remote = data.remote || []
+      if (remote.length === 0) return null
+
+      // A chave de idempotência vem do conteúdo da sessão de origem: restaurar o mesmo
+      // arquivo de novo (ou outro backup com a mesma sessão) não duplica o histórico
+      const sent = new Set()
+      let queued = 0
+      for (const session of remote) {
+        const idempotencyKey = `backup-session-${(await computeChecksum(session)).slice(0, 40)}`
+        if (sent.has(idempotencyKey)) continue
+        sent.add(idempotencyKey)
+
+        // O ID é do banco de origem; o destino gera o seu. Sem conexão a sessão fica na
+        // outbox e é enviada quando a conexão voltar
+        const sessionData = { ...session, user_id: userId }
+        delete sessionData.id
+        const { synced } = await databaseService.saveGameSession(sessionData, { idempotencyKey })
+        if (!synced) queued++
+      }
+      return queued > 0
+        ? `${sent.size} sessão(ões) enviada(s), ${queued} aguardando conexão`
+        : `${sent.size} sessão(ões) enviada(s)`
+    },
+  },
+
+  usage: {
+    collect: async () => ({ counts: getGameUsageCounts() }),
+    restore: async (data) => {
+      importUsageData(data.counts)
+    },
+  },
+
+  logs: {
+    collect: async () => readJson(LOGS_KEY),
+    restore: async (data) => {
+      const current = readJson(LOGS_KEY) || {}
+      const seen = new Set()
+      // Junta os registros dos dois dispositivos sem repetir entradas
+      const logs = [...(current.logs || []), ...(data.logs || [])]
+        .filter((entry) => {
+          const id = `${entry.timestamp}|${entry.level}|${entry.message}`
+          if (seen.has(id)) return false
+          seen.add(id)
+          return true
+        })
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+      writeJson(LOGS_KEY, { ...data, ...current, logs, persistedAt: Date.now() })
+    },
+  },
+
+  mlModels: {
+    collect: async () => {
+      const states = exportModelStates(models)
+      return Object.keys(states).length > 0 ? states : null
+    },
+    restore: async (data) => {
+      const restored = importModelStates(models, data)
+      if (restored.length === 0) {
+        throw new Error('Nenhum modelo de ML está carregado neste dispositivo')
+      }
+      return `${restored.length} modelo(s) restaurado(s)`
+    },
+  },
+})
+
+/**
+ * Coleta os dados das seções escolhidas para montar um backup
+ * @param {Object} handlers - Resultado de createBackupSections
+ * @param {string[]} keys - Seções escolhidas
+ * @returns {Promise<Object>} { [seção]: dados }
+ */
+export const collectBackupSections = async (handlers, keys) => {
+  const sections = {}
+
+  for (const key of keys) {
+    if (handlers[key]) {
+      sections[key] = await handlers[key].collect()
+    }
+  }
+
+  return sections
+}
+
+export default createBackupSections
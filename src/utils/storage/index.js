@@ -1,2 +1,4 @@
 // Auto-generated barrel file
 export * from './globalNeuropedagogicalDatabase.js';
+export * from './backupArchive.js';
+export * from './backupSections.js';
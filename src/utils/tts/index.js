@@ -1,3 +1,6 @@
 // Auto-generated barrel file
+export * from './phrasePlayer.js';
 export * from './ttsDebug.js';
 export * from './ttsManager.js';
+export * from './voiceClips.js';
+export * from './voiceProfile.js';
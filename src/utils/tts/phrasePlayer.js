@@ -0,0 +1,281 @@
+/**
+ * @file phrasePlayer.js
+ * @description Fala de frases com o perfil de voz da criança
+ * Ordem: gravação do responsável/terapeuta para a frase, se houver; senão voz sintetizada
+ * com a velocidade, o tom, as pausas e a ênfase do perfil. Os prompts repetidos (instruções,
+ * feedback) ficam prontos no cache de frases: a gravação já carregada e, para a voz
+ * sintetizada, o plano de fala já montado.
+ */
+
+import { getSpeechLanguage } from '../shared/i18n.js'
+import {
+  buildSpeechPlan,
+  getVoiceProfile,
+  normalizePhrase,
+  resolveSpeechSettings,
+  selectProfileVoice,
+} from './voiceProfile.js'
+import { VOICE_CLIPS_CHANGED_EVENT, getVoiceClipStore } from './voiceClips.js'
+
+// Frases mantidas no cache, por tipo (gravações e planos de fala)
+export const PHRASE_CACHE_LIMIT = 60
+
+export class PhraseCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @param {Function} [options.createUrl] - Blob => URL tocável
+   * @param {Function} [options.revokeUrl]
+   */
+  constructor({
+    limit = PHRASE_CACHE_LIMIT,
+    createUrl = (blob) => URL.createObjectURL(blob),
+    revokeUrl = (url) => URL.revokeObjectURL(url),
+  } = {}) {
+    this.limit = limit
+    this.createUrl = createUrl
+    this.revokeUrl = revokeUrl
+    // `${childId}|${phraseKey}` => URL da gravação, ou null quando não há gravação
+    this.clips = new Map()
+    // Assinatura da fala => plano de fala
+    this.plans = new Map()
+    this.hits = 0
+    this.misses = 0
+  }
+
+  // Leitura que move a frase para o fim (menos recente sai primeiro)
+  read(map, key) {
+    if (!map.has(key)) {
+      this.misses++
+      return undefined
+    }
+    this.hits++
+    const value = map.get(key)
+    map.delete(key)
+    map.set(key, value)
+    return value
+  }
+
+  write(map, key, value) {
+    map.delete(key)
+    map.set(key, value)
+    while (map.size > this.limit) {
+      const [oldestKey, oldest] = map.entries().next().value
+      map.delete(oldestKey)
+      if (map === this.clips && oldest) this.revokeUrl(oldest)
+    }
+  }
+
+  async getClipUrl(childId, phraseKey, clipStore) {
+    const key = `${childId}|${phraseKey}`
+    const cached = this.read(this.clips, key)
+    if (cached !== undefined) return cached
+
+    const clip = await clipStore.getClip(childId, phraseKey)
+    const url = clip ? this.createUrl(clip.audio) : null
+    this.write(this.clips, key, url)
+    return url
+  }
+
+  getPlan(text, profile, speech, targetWord) {
+    const key = [
+      normalizePhrase(text),
+      normalizePhrase(targetWord),
+      speech.rate,
+      speech.pitch,
+      profile.ttsWordPause,
+      profile.ttsEmphasis,
+    ].join('|')
+    const cached = this.read(this.plans, key)
+    if (cached) return cached
+
+    const plan = buildSpeechPlan(text, profile, { targetWord, ...speech })
+    this.write(this.plans, key, plan)
+    return plan
+  }
+
+  // Gravação nova ou apagada: a próxima fala da frase consulta o armazenamento de novo
+  invalidateClip(childId, phraseKey) {
+    const key = `${childId}|${phraseKey}`
+    const url = this.clips.get(key)
+    if (url) this.revokeUrl(url)
+    this.clips.delete(key)
+  }
+
+  clear() {
+    this.clips.forEach((url) => url && this.revokeUrl(url))
+    this.clips.clear()
+    this.plans.clear()
+  }
+
+  getStatistics() {
+    return { clips: this.clips.size, plans: this.plans.size, hits: this.hits, misses: this.misses }
+  }
+}
+
+// Instância singleton
+let cacheInstance = null
+
+export const getPhraseCache = () => {
+  if (!cacheInstance) {
+    cacheInstance = new PhraseCache()
+    if (typeof window !== 'undefined') {
+      window.addEventListener(VOICE_CLIPS_CHANGED_EVENT, (event) =>
+        cacheInstance.invalidateClip(event.detail.childId, event.detail.phraseKey)
+      )
+    }
+  }
+  return cacheInstance
+}
+
+const currentChildId = () => localStorage.getItem('betina_user_id')
+
+/**
+ * Decide como a frase será falada
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.childId] - Padrão: criança logada
+ * @param {Object} [options.profile] - Padrão: perfil de voz salvo para a criança
+ * @param {string} [options.targetWord]
+ * @param {number} [options.rate] - Ajuste do tipo de fala (ver resolveSpeechSettings)
+ * @param {number} [options.pitch]
+ * @param {PhraseCache} [options.cache]
+ * @param {VoiceClipStore} [options.clipStore]
+ * @returns {Promise<{kind: 'clip', url: string}|{kind: 'speech', plan: Object[]}>}
+ */
+export async function resolvePhrase(
+  text,
+  {
+    childId = currentChildId(),
+    profile = getVoiceProfile(undefined, { childId }),
+    targetWord,
+    rate,
+    pitch,
+    cache = getPhraseCache(),
+    clipStore = getVoiceClipStore(),
+  } = {}
+) {
+  const phraseKey = normalizePhrase(text)
+  if (profile.ttsRecordedVoice && childId && phraseKey) {
+    try {
+      const url = await cache.getClipUrl(String(childId), phraseKey, clipStore)
+      if (url) return { kind: 'clip', url }
+    } catch (error) {
+      console.warn('Erro ao buscar gravação da frase, usando voz sintetizada:', error)
+    }
+  }
+
+  const speech = resolveSpeechSettings(profile, { rate, pitch })
+  return { kind: 'speech', plan: cache.getPlan(text, profile, speech, targetWord) }
+}
+
+// Falas em andamento, para stopPhrases
+const activePlaybacks = new Set()
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const speakSegment = (segment, { voice, lang, volume }) =>
+  new Promise((resolve, reject) => {
+    const utterance = new SpeechSynthesisUtterance(segment.text)
+    utterance.lang = lang
+    utterance.rate = segment.rate
+    utterance.pitch = segment.pitch
+    utterance.volume = volume
+    if (voice) utterance.voice = voice
+    utterance.onend = () => resolve('ended')
+    utterance.onerror = (event) =>
+      ['interrupted', 'canceled'].includes(event.error)
+        ? resolve('cancelled')
+        : reject(new Error(event.error || 'Erro na voz sintetizada'))
+    window.speechSynthesis.speak(utterance)
+  })
+
+/**
+ * Fala uma frase com o perfil de voz da criança
+ * @param {string} text
+ * @param {Object} [options] - Mesmas opções de resolvePhrase, mais:
+ * @param {string} [options.lang] - Padrão: idioma do portal
+ * @param {SpeechSynthesisVoice} [options.voice] - Força uma voz
+ * @param {number} [options.volume]
+ * @param {Function} [options.onStart] - ({ kind }) quando começa a tocar
+ * @returns {{done: Promise<'ended'|'cancelled'>, cancel: Function}}
+ */
+export function speakPhrase(text, options = {}) {
+  const { lang = getSpeechLanguage(), voice = null, volume = 1, onStart } = options
+  const profile = options.profile || getVoiceProfile(undefined, { childId: options.childId })
+  let cancelled = false
+  let audio = null
+
+  const playback = {
+    cancel: () => {
+      cancelled = true
+      audio?.pause()
+      window.speechSynthesis?.cancel()
+    },
+  }
+
+  const synthesize = async (plan) => {
+    if (!('speechSynthesis' in window)) return 'cancelled'
+    onStart?.({ kind: 'speech' })
+    const selectedVoice =
+      voice || selectProfileVoice(window.speechSynthesis.getVoices(), profile, lang)
+    for (const segment of plan) {
+      if (cancelled) return 'cancelled'
+      const result = await speakSegment(segment, { voice: selectedVoice, lang, volume })
+      if (result === 'cancelled') return result
+      if (segment.pauseAfterMs > 0) await wait(segment.pauseAfterMs)
+    }
+    return cancelled ? 'cancelled' : 'ended'
+  }
+
+  const run = async () => {
+    const resolved = await resolvePhrase(text, { ...options, profile })
+    if (cancelled) return 'cancelled'
+
+    if (resolved.kind === 'clip') {
+      audio = new Audio(resolved.url)
+      audio.volume = volume
+      const played = await new Promise((resolve) => {
+        audio.onended = () => resolve('ended')
+        audio.onpause = () => cancelled && resolve('cancelled')
+        audio.onerror = () => resolve('failed')
+        audio.play().then(
+          () => onStart?.({ kind: 'clip' }),
+          () => resolve('failed')
+        )
+      })
+      if (played !== 'failed') return played
+      // Gravação que não toca (formato não suportado): volta para a voz sintetizada
+      const synthesized = await resolvePhrase(text, {
+        ...options,
+        profile: { ...profile, ttsRecordedVoice: false },
+      })
+      return synthesize(synthesized.plan)
+    }
+
+    return synthesize(resolved.plan)
+  }
+
+  activePlaybacks.add(playback)
+  playback.done = run().finally(() => activePlaybacks.delete(playback))
+  return playback
+}
+
+/**
+ * Interrompe todas as falas em andamento
+ */
+export function stopPhrases() {
+  activePlaybacks.forEach((playback) => playback.cancel())
+  window.speechSynthesis?.cancel()
+}
+
+/**
+ * Deixa prontas no cache as frases que a atividade vai repetir
+ * @param {string[]} phrases
+ * @param {Object} [options] - Mesmas opções de resolvePhrase
+ * @returns {Promise<number>} Quantas frases têm gravação
+ */
+export async function preloadPhrases(phrases = [], options = {}) {
+  const resolved = await Promise.all(phrases.map((phrase) => resolvePhrase(phrase, options)))
+  return resolved.filter((item) => item.kind === 'clip').length
+}
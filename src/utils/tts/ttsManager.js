@@ -85,10 +85,34 @@ export const setTTSEnabled = (enabled) => {  try {
   }
 };
 
+/**
+ * Escolhe a voz do speechSynthesis para o idioma da fala
+ * Prefere a voz do idioma exato (pt-BR), depois outra do mesmo idioma (pt-PT)
+ * e por fim deixa o navegador usar a voz padrão.
+ * @param {SpeechSynthesisVoice[]} voices - Vozes de speechSynthesis.getVoices()
+ * @param {string} lang - Idioma BCP 47, ex.: 'es-ES'
+ * @returns {SpeechSynthesisVoice|null}
+ */
+export const selectVoiceForLanguage = (voices = [], lang = 'pt-BR') => {
+  const normalize = (value) => String(value || '').replace('_', '-').toLowerCase();
+  const target = normalize(lang);
+  const base = target.split('-')[0];
+  const sameLanguage = voices.filter((voice) => normalize(voice.lang).split('-')[0] === base);
+
+  return (
+    sameLanguage.find((voice) => normalize(voice.lang) === target && voice.localService) ||
+    sameLanguage.find((voice) => normalize(voice.lang) === target) ||
+    sameLanguage.find((voice) => voice.default) ||
+    sameLanguage[0] ||
+    null
+  );
+};
+
 // Export default e named export para compatibilidade
 export const ttsManager = {
   isTTSEnabled,
-  setTTSEnabled
+  setTTSEnabled,
+  selectVoiceForLanguage
 }
 
 export default ttsManager
@@ -0,0 +1,33 @@
+/**
+ * @file ttsManager.test.js
+ * @description Testes da escolha de voz do speechSynthesis por idioma
+ */
+
+import { describe, it, expect } from 'vitest'
+import { selectVoiceForLanguage } from './ttsManager.js'
+
+const voice = (name, lang, extra = {}) => ({ name, lang, localService: false, ...extra })
+
+describe('selectVoiceForLanguage', () => {
+  const voices = [
+    voice('Google português do Brasil', 'pt-BR'),
+    voice('Joana', 'pt-PT', { default: true }),
+    voice('Samantha', 'en-US'),
+    voice('Daniel', 'en_GB', { localService: true }),
+    voice('Monica', 'es-ES', { localService: true }),
+    voice('Paulina', 'es-MX'),
+  ]
+
+  it('deve preferir a voz local do mesmo locale', () => {
+    expect(selectVoiceForLanguage(voices, 'es-ES').name).toBe('Monica')
+    expect(selectVoiceForLanguage(voices, 'pt-BR').name).toBe('Google português do Brasil')
+    expect(selectVoiceForLanguage(voices, 'en-GB').name).toBe('Daniel')
+  })
+
+  it('deve cair para outra variante do mesmo idioma e nunca trocar de idioma', () => {
+    expect(selectVoiceForLanguage(voices, 'es-AR').name).toBe('Monica')
+    expect(selectVoiceForLanguage(voices.slice(1), 'pt-BR').name).toBe('Joana')
+    expect(selectVoiceForLanguage(voices, 'fr-FR')).toBeNull()
+    expect(selectVoiceForLanguage([], 'pt-BR')).toBeNull()
+  })
+})
@@ -0,0 +1,196 @@
+/**
+ * @file voiceClips.js
+ * @description Gravações da voz do responsável ou terapeuta para frases específicas
+ * Cada criança tem as suas gravações, guardadas no IndexedDB do aparelho; quando existe
+ * gravação para uma frase ela é tocada no lugar da voz sintetizada.
+ */
+
+import { normalizePhrase } from './voiceProfile.js'
+
+export const VOICE_CLIPS_DB_NAME = 'PortalBetinaVoiceClips'
+export const VOICE_CLIPS_STORE = 'clips'
+
+// Disparado na window ao gravar ou apagar uma gravação: { childId, phraseKey }
+export const VOICE_CLIPS_CHANGED_EVENT = 'voice-clips-changed'
+
+// Quem gravou a frase
+export const VOICE_CLIP_SPEAKERS = ['guardian', 'therapist']
+
+// Gravações muito longas não são prompts; limite por frase (ms)
+export const MAX_VOICE_CLIP_MS = 15000
+
+const clipId = (childId, phraseKey) => `${childId}:${phraseKey}`
+
+export class VoiceClipStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbName]
+   * @param {IDBFactory} [options.indexedDB] - Implementação do IndexedDB (padrão: global)
+   */
+  constructor({
+    dbName = VOICE_CLIPS_DB_NAME,
+    indexedDB = typeof window !== 'undefined' ? window.indexedDB : undefined,
+  } = {}) {
+    this.dbName = dbName
+    this.idb = indexedDB
+    this.dbPromise = null
+    // Sem IndexedDB (testes, navegação privada) as gravações vivem apenas em memória
+    this.memoryStore = new Map()
+  }
+
+  isPersistent() {
+    return Boolean(this.idb)
+  }
+
+  open() {
+    if (!this.idb) return Promise.resolve(null)
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.idb.open(this.dbName, 1)
+
+        request.onerror = () => reject(request.error)
+        request.onsuccess = () => resolve(request.result)
+        request.onupgradeneeded = (event) => {
+          const db = event.target.result
+          if (!db.objectStoreNames.contains(VOICE_CLIPS_STORE)) {
+            const store = db.createObjectStore(VOICE_CLIPS_STORE, { keyPath: 'id' })
+            store.createIndex('childId', 'childId', { unique: false })
+          }
+        }
+      }).catch((error) => {
+        this.dbPromise = null
+        this.idb = null
+        throw error
+      })
+    }
+
+    return this.dbPromise
+  }
+
+  async runTransaction(mode, operation) {
+    let db
+    try {
+      db = await this.open()
+    } catch {
+      db = null
+    }
+
+    if (!db) {
+      return operation(null)
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(VOICE_CLIPS_STORE, mode)
+      const request = operation(transaction.objectStore(VOICE_CLIPS_STORE))
+      transaction.oncomplete = () => resolve(request?.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  notifyChange(childId, phraseKey) {
+    if (typeof window === 'undefined') return
+    window.dispatchEvent(
+      new CustomEvent(VOICE_CLIPS_CHANGED_EVENT, {
+        detail: { childId: String(childId), phraseKey },
+      })
+    )
+  }
+
+  /**
+   * Grava (ou substitui) a gravação de uma frase
+   * @param {string|number} childId
+   * @param {string} phrase - Frase como aparece na atividade
+   * @param {Blob} audio - Áudio gravado
+   * @param {Object} [options]
+   * @param {string} [options.recordedBy] - Um de VOICE_CLIP_SPEAKERS
+   * @param {number} [options.durationMs]
+   * @returns {Promise<Object>} Gravação salva
+   */
+  async saveClip(childId, phrase, audio, { recordedBy = 'guardian', durationMs = null } = {}) {
+    const phraseKey = normalizePhrase(phrase)
+    if (!childId || !phraseKey) throw new Error('Criança e frase são obrigatórias')
+    if (!audio || typeof audio.size !== 'number' || audio.size === 0) {
+      throw new Error('Gravação vazia')
+    }
+    if (!VOICE_CLIP_SPEAKERS.includes(recordedBy)) {
+      throw new Error(`Quem gravou deve ser um de: ${VOICE_CLIP_SPEAKERS.join(', ')}`)
+    }
+    if (durationMs !== null && durationMs > MAX_VOICE_CLIP_MS) {
+      throw new Error(`A gravação deve ter até ${MAX_VOICE_CLIP_MS / 1000} segundos`)
+    }
+
+    const clip = {
+      id: clipId(childId, phraseKey),
+      childId: String(childId),
+      phraseKey,
+      phrase: String(phrase).trim(),
+      audio,
+      mimeType: audio.type || 'audio/webm',
+      recordedBy,
+      durationMs,
+      createdAt: Date.now(),
+    }
+
+    await this.runTransaction('readwrite', (store) => {
+      if (!store) {
+        this.memoryStore.set(clip.id, clip)
+        return null
+      }
+      return store.put(clip)
+    })
+    this.notifyChange(childId, phraseKey)
+    return clip
+  }
+
+  /**
+   * Gravação da frase para a criança, se existir
+   * @param {string|number} childId
+   * @param {string} phrase
+   * @returns {Promise<Object|null>}
+   */
+  async getClip(childId, phrase) {
+    const id = clipId(childId, normalizePhrase(phrase))
+    const result = await this.runTransaction('readonly', (store) => (store ? store.get(id) : null))
+    return (this.isPersistent() ? result : this.memoryStore.get(id)) || null
+  }
+
+  /**
+   * Gravações da criança, mais recentes primeiro
+   * @param {string|number} childId
+   * @returns {Promise<Object[]>}
+   */
+  async listClips(childId) {
+    const result = await this.runTransaction('readonly', (store) =>
+      store ? store.index('childId').getAll(String(childId)) : null
+    )
+    const clips = this.isPersistent()
+      ? result || []
+      : [...this.memoryStore.values()].filter((clip) => clip.childId === String(childId))
+    return clips.sort((a, b) => b.createdAt - a.createdAt)
+  }
+
+  async deleteClip(childId, phrase) {
+    const phraseKey = normalizePhrase(phrase)
+    const id = clipId(childId, phraseKey)
+    await this.runTransaction('readwrite', (store) => {
+      if (!store) {
+        this.memoryStore.delete(id)
+        return null
+      }
+      return store.delete(id)
+    })
+    this.notifyChange(childId, phraseKey)
+  }
+}
+
+// Instância singleton
+let storeInstance = null
+
+export const getVoiceClipStore = () => {
+  if (!storeInstance) storeInstance = new VoiceClipStore()
+  return storeInstance
+}
+
+export default VoiceClipStore
@@ -0,0 +1,199 @@
+/**
+ * @file voiceProfile.js
+ * @description Perfil de voz de cada criança (voz, velocidade, tom, pausa entre palavras e
+ * ênfase na palavra-alvo), salvo pelo painel de acessibilidade com o ID da criança, para
+ * irmãos no mesmo tablet terem cada um a sua voz
+ */
+
+import { selectVoiceForLanguage } from './ttsManager.js'
+
+const VOICE_PROFILE_PREFIX = 'betina_voice_profile_'
+
+// Opções oferecidas no painel de acessibilidade
+export const VOICE_RATES = [0.6, 0.7, 0.8, 0.9, 1, 1.1, 1.2]
+export const VOICE_PITCHES = [0.8, 0.9, 1, 1.1, 1.2, 1.3]
+export const VOICE_WORD_PAUSES = [0, 150, 300, 500, 800]
+
+export const VOICE_PROFILE_DEFAULTS = {
+  // voiceURI da voz escolhida; vazio usa a voz do idioma do portal
+  ttsVoice: '',
+  ttsRate: 0.9,
+  ttsPitch: 1,
+  // Silêncio entre as palavras (ms)
+  ttsWordPause: 0,
+  // Fala a palavra-alvo mais devagar, mais aguda e separada do resto da frase
+  ttsEmphasis: true,
+  // Usa as gravações do responsável ou terapeuta no lugar da voz sintetizada
+  ttsRecordedVoice: true,
+}
+
+// Os ajustes de cada tipo de fala (useTTS, TextToSpeech) são relativos ao perfil padrão,
+// então sem perfil salvo tudo soa como antes
+const PRESET_BASE = { rate: VOICE_PROFILE_DEFAULTS.ttsRate, pitch: VOICE_PROFILE_DEFAULTS.ttsPitch }
+
+// Ajuste aplicado à palavra-alvo quando há ênfase
+const EMPHASIS = { rateFactor: 0.8, pitchBoost: 0.2, pauseMs: 250 }
+
+const profileKey = (childId) => `${VOICE_PROFILE_PREFIX}${childId || 'local'}`
+const currentChildId = () => localStorage.getItem('betina_user_id')
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+const round = (value) => Math.round(value * 100) / 100
+
+/**
+ * Perfil de voz salvo pelo painel de acessibilidade
+ * @param {Object} [settings] - Configurações do painel; por padrão o perfil salvo da criança
+ * @param {Object} [options]
+ * @param {string|number} [options.childId] - Padrão: criança logada
+ * @returns {Object} Campos de VOICE_PROFILE_DEFAULTS
+ */
+export function getVoiceProfile(settings, { childId = currentChildId() } = {}) {
+  let source = settings
+  if (!source) {
+    try {
+      source = JSON.parse(localStorage.getItem(profileKey(childId)) || '{}') || {}
+    } catch (error) {
+      console.error('Erro ao carregar perfil de voz:', error)
+      source = {}
+    }
+  }
+
+  const number = (key, min, max) => {
+    const value = Number(source[key])
+    return Number.isFinite(value) && source[key] !== '' && source[key] !== null
+      ? clamp(value, min, max)
+      : VOICE_PROFILE_DEFAULTS[key]
+  }
+
+  return {
+    ttsVoice:
+      typeof source.ttsVoice === 'string' ? source.ttsVoice : VOICE_PROFILE_DEFAULTS.ttsVoice,
+    ttsRate: number('ttsRate', 0.1, 2),
+    ttsPitch: number('ttsPitch', 0, 2),
+    ttsWordPause: number('ttsWordPause', 0, 2000),
+    ttsEmphasis: Boolean(source.ttsEmphasis ?? VOICE_PROFILE_DEFAULTS.ttsEmphasis),
+    ttsRecordedVoice: Boolean(source.ttsRecordedVoice ?? VOICE_PROFILE_DEFAULTS.ttsRecordedVoice),
+  }
+}
+
+/**
+ * Salva o perfil de voz da criança (só os campos do perfil, já validados)
+ * @param {string|number} childId
+ * @param {Object} settings - Configurações do painel
+ * @returns {Object} Perfil salvo
+ */
+export function saveVoiceProfile(childId, settings) {
+  const profile = getVoiceProfile(settings || {})
+  try {
+    localStorage.setItem(profileKey(childId), JSON.stringify(profile))
+  } catch (error) {
+    console.error('Erro ao salvar perfil de voz:', error)
+  }
+  return profile
+}
+
+/**
+ * Velocidade e tom de uma fala: o perfil da criança é a base e os ajustes de cada tipo de
+ * fala (instrução mais lenta, acerto mais agudo...) são aplicados sobre ele
+ * @param {Object} profile - Resultado de getVoiceProfile
+ * @param {Object} [options] - { rate, pitch } pedidos por quem fala
+ * @returns {{rate: number, pitch: number}}
+ */
+export function resolveSpeechSettings(profile, options = {}) {
+  const rateOffset = options.rate !== undefined ? options.rate - PRESET_BASE.rate : 0
+  const pitchOffset = options.pitch !== undefined ? options.pitch - PRESET_BASE.pitch : 0
+  return {
+    rate: clamp(round(profile.ttsRate + rateOffset), 0.1, 2),
+    pitch: clamp(round(profile.ttsPitch + pitchOffset), 0, 2),
+  }
+}
+
+/**
+ * Escolhe a voz do perfil, se ela falar o idioma atual; senão a voz do idioma
+ * @param {SpeechSynthesisVoice[]} voices
+ * @param {Object} profile
+ * @param {string} lang
+ * @returns {SpeechSynthesisVoice|null}
+ */
+export function selectProfileVoice(voices = [], profile = {}, lang = 'pt-BR') {
+  const base = (value) =>
+    String(value || '')
+      .replace('_', '-')
+      .toLowerCase()
+      .split('-')[0]
+  const chosen = profile.ttsVoice
+    ? voices.find((voice) => voice.voiceURI === profile.ttsVoice || voice.name === profile.ttsVoice)
+    : null
+  if (chosen && base(chosen.lang) === base(lang)) return chosen
+  return selectVoiceForLanguage(voices, lang)
+}
+
+/**
+ * Chave de uma frase no cache e nas gravações: sem caixa, espaços extras e pontuação final
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizePhrase = (text) =>
+  String(text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[.!?…,;:]+$/u, '')
+
+/**
+ * Divide a frase em trechos falados um após o outro, com as pausas e a ênfase do perfil
+ * Sem pausa entre palavras e sem palavra-alvo a frase é falada de uma vez.
+ * @param {string} text
+ * @param {Object} profile - Resultado de getVoiceProfile
+ * @param {Object} [options]
+ * @param {string} [options.targetWord] - Palavra a destacar (ex.: a cor pedida)
+ * @param {number} [options.rate] - Velocidade já resolvida da fala
+ * @param {number} [options.pitch] - Tom já resolvido da fala
+ * @returns {Array<{text: string, rate: number, pitch: number, pauseAfterMs: number}>}
+ */
+export function buildSpeechPlan(text, profile, { targetWord, rate, pitch } = {}) {
+  const settings = { rate: rate ?? profile.ttsRate, pitch: pitch ?? profile.ttsPitch }
+  const words = String(text || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+  if (words.length === 0) return []
+
+  const target = profile.ttsEmphasis ? normalizePhrase(targetWord) : ''
+  const isTarget = (word) => target !== '' && normalizePhrase(word) === target
+  const wordPause = profile.ttsWordPause
+
+  if (!wordPause && !words.some(isTarget)) {
+    return [{ text: words.join(' '), ...settings, pauseAfterMs: 0 }]
+  }
+
+  const plan = []
+  words.forEach((word) => {
+    if (isTarget(word)) {
+      // Silêncio antes da palavra-alvo
+      if (plan.length > 0) {
+        const previous = plan[plan.length - 1]
+        previous.pauseAfterMs = Math.max(previous.pauseAfterMs, EMPHASIS.pauseMs)
+      }
+      plan.push({
+        text: word,
+        rate: clamp(round(settings.rate * EMPHASIS.rateFactor), 0.1, 2),
+        pitch: clamp(round(settings.pitch + EMPHASIS.pitchBoost), 0, 2),
+        pauseAfterMs: Math.max(wordPause, EMPHASIS.pauseMs),
+        emphasis: true,
+      })
+      return
+    }
+
+    const previous = plan[plan.length - 1]
+    // Sem pausa entre palavras, as palavras comuns seguidas formam um só trecho
+    if (!wordPause && previous && !previous.emphasis) {
+      previous.text = `${previous.text} ${word}`
+    } else {
+      plan.push({ text: word, ...settings, pauseAfterMs: wordPause })
+    }
+  })
+
+  plan[plan.length - 1].pauseAfterMs = 0
+  return plan
+}
@@ -0,0 +1,190 @@
+/**
+ * @file voiceProfile.test.js
+ * @description Testes do perfil de voz, das gravações por criança e do cache de frases
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  VOICE_PROFILE_DEFAULTS,
+  buildSpeechPlan,
+  getVoiceProfile,
+  normalizePhrase,
+  resolveSpeechSettings,
+  saveVoiceProfile,
+  selectProfileVoice,
+} from './voiceProfile.js'
+import { VOICE_CLIPS_CHANGED_EVENT, VoiceClipStore } from './voiceClips.js'
+import { PhraseCache, resolvePhrase, speakPhrase } from './phrasePlayer.js'
+
+const profile = (overrides = {}) => ({ ...VOICE_PROFILE_DEFAULTS, ...overrides })
+
+const audioBlob = () => new Blob(['audio'], { type: 'audio/webm' })
+
+const createCache = () => {
+  let next = 0
+  return new PhraseCache({ createUrl: () => `blob:clip-${++next}`, revokeUrl: vi.fn() })
+}
+
+describe('Perfil de voz', () => {
+  it('deve ler o perfil das configurações e manter as falas padrão como antes', () => {
+    expect(getVoiceProfile({})).toEqual(VOICE_PROFILE_DEFAULTS)
+    expect(getVoiceProfile({ ttsRate: '0.7', ttsPitch: 5, ttsWordPause: -10 })).toMatchObject({
+      ttsRate: 0.7,
+      ttsPitch: 2,
+      ttsWordPause: 0,
+    })
+
+    // Sem perfil salvo: useTTS fala a 0.8 e TextToSpeech a 0.9, como antes
+    expect(resolveSpeechSettings(profile(), { rate: 0.8 })).toEqual({ rate: 0.8, pitch: 1 })
+    expect(resolveSpeechSettings(profile(), {})).toEqual({ rate: 0.9, pitch: 1 })
+    // Criança com fala mais lenta: a instrução continua mais lenta que o resto
+    expect(resolveSpeechSettings(profile({ ttsRate: 0.6 }), { rate: 0.7, pitch: 1.1 })).toEqual({
+      rate: 0.4,
+      pitch: 1.1,
+    })
+  })
+
+  it('deve guardar o perfil de cada criança separado no mesmo dispositivo', () => {
+    const store = { betina_user_id: 'ana' }
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null)
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value
+    })
+
+    try {
+      expect(
+        saveVoiceProfile('ana', { ttsRate: 0.6, textToSpeech: true, ttsEmphasis: false })
+      ).toEqual(profile({ ttsRate: 0.6, ttsEmphasis: false }))
+      expect(JSON.parse(store.betina_voice_profile_ana)).not.toHaveProperty('textToSpeech')
+
+      // Sem ID, o perfil é o da criança logada; o irmão continua com o padrão
+      expect(getVoiceProfile().ttsRate).toBe(0.6)
+      expect(getVoiceProfile(undefined, { childId: 'bia' })).toEqual(VOICE_PROFILE_DEFAULTS)
+      store.betina_user_id = 'bia'
+      expect(getVoiceProfile()).toEqual(VOICE_PROFILE_DEFAULTS)
+    } finally {
+      localStorage.getItem.mockReset()
+      localStorage.setItem.mockReset()
+    }
+  })
+
+  it('deve usar a voz escolhida só quando ela fala o idioma atual', () => {
+    const voices = [
+      { name: 'Luciana', voiceURI: 'luciana', lang: 'pt-BR' },
+      { name: 'Felipe', voiceURI: 'felipe', lang: 'pt-BR', localService: true },
+      { name: 'Monica', voiceURI: 'monica', lang: 'es-ES' },
+    ]
+    expect(selectProfileVoice(voices, profile({ ttsVoice: 'luciana' }), 'pt-BR').name).toBe(
+      'Luciana'
+    )
+    expect(selectProfileVoice(voices, profile({ ttsVoice: 'luciana' }), 'es-ES').name).toBe(
+      'Monica'
+    )
+    expect(selectProfileVoice(voices, profile(), 'pt-BR').name).toBe('Felipe')
+  })
+
+  it('deve montar o plano de fala com pausas e ênfase na palavra-alvo', () => {
+    expect(buildSpeechPlan('Toque na bola azul', profile())).toEqual([
+      { text: 'Toque na bola azul', rate: 0.9, pitch: 1, pauseAfterMs: 0 },
+    ])
+
+    const emphasized = buildSpeechPlan('Toque na bola azul!', profile(), { targetWord: 'Azul' })
+    expect(emphasized.map((segment) => segment.text)).toEqual(['Toque na bola', 'azul!'])
+    expect(emphasized[0].pauseAfterMs).toBe(250)
+    expect(emphasized[1]).toMatchObject({ rate: 0.72, pitch: 1.2, pauseAfterMs: 0 })
+
+    const paused = buildSpeechPlan('um dois três', profile({ ttsWordPause: 300 }))
+    expect(paused.map((segment) => [segment.text, segment.pauseAfterMs])).toEqual([
+      ['um', 300],
+      ['dois', 300],
+      ['três', 0],
+    ])
+
+    expect(
+      buildSpeechPlan('bola azul', profile({ ttsEmphasis: false }), { targetWord: 'azul' })
+    ).toHaveLength(1)
+    expect(normalizePhrase('  Muito   BEM! ')).toBe('muito bem')
+  })
+})
+
+describe('Gravações e cache de frases', () => {
+  it('deve guardar as gravações por criança e validar o áudio', async () => {
+    const store = new VoiceClipStore({ indexedDB: undefined })
+    const changes = []
+    const listener = (event) => changes.push(event.detail)
+    window.addEventListener(VOICE_CLIPS_CHANGED_EVENT, listener)
+
+    await store.saveClip(10, 'Muito bem!', audioBlob(), { recordedBy: 'therapist' })
+    expect((await store.getClip(10, 'muito bem')).recordedBy).toBe('therapist')
+    expect(await store.getClip(11, 'Muito bem!')).toBeNull()
+    expect(await store.listClips(10)).toHaveLength(1)
+
+    await expect(store.saveClip(10, 'Oi', new Blob([]))).rejects.toThrow('Gravação vazia')
+    await expect(store.saveClip(10, 'Oi', audioBlob(), { recordedBy: 'robot' })).rejects.toThrow()
+
+    await store.deleteClip(10, 'MUITO BEM')
+    expect(await store.listClips(10)).toEqual([])
+    window.removeEventListener(VOICE_CLIPS_CHANGED_EVENT, listener)
+    expect(changes).toEqual([
+      { childId: '10', phraseKey: 'muito bem' },
+      { childId: '10', phraseKey: 'muito bem' },
+    ])
+  })
+
+  it('deve preferir a gravação da criança e reaproveitar frases repetidas', async () => {
+    const store = new VoiceClipStore({ indexedDB: undefined })
+    await store.saveClip(10, 'Muito bem!', audioBlob())
+    const getClip = vi.spyOn(store, 'getClip')
+    const cache = createCache()
+    const options = { childId: '10', profile: profile(), cache, clipStore: store }
+
+    expect(await resolvePhrase('Muito bem!', options)).toEqual({ kind: 'clip', url: 'blob:clip-1' })
+    expect(await resolvePhrase('muito bem', options)).toEqual({ kind: 'clip', url: 'blob:clip-1' })
+    expect(getClip).toHaveBeenCalledTimes(1)
+
+    // Outra criança, ou voz gravada desligada: voz sintetizada
+    expect((await resolvePhrase('Muito bem!', { ...options, childId: '11' })).kind).toBe('speech')
+    const synthesized = await resolvePhrase('Muito bem!', {
+      ...options,
+      profile: profile({ ttsRecordedVoice: false }),
+    })
+    expect(synthesized.plan[0]).toMatchObject({ text: 'Muito bem!', rate: 0.9 })
+
+    const first = await resolvePhrase('Encontre a cor azul', { ...options, targetWord: 'azul' })
+    const again = await resolvePhrase('Encontre a cor azul', { ...options, targetWord: 'azul' })
+    expect(again.plan).toBe(first.plan)
+
+    cache.invalidateClip('10', 'muito bem')
+    expect(cache.revokeUrl).toHaveBeenCalledWith('blob:clip-1')
+    // Frases sem gravação também ficam no cache, para não consultar o IndexedDB de novo
+    expect(cache.getStatistics()).toMatchObject({ clips: 2, plans: 2 })
+  })
+
+  it('deve falar os trechos em sequência, com as pausas do perfil', async () => {
+    vi.useFakeTimers()
+    const spoken = []
+    // speechSynthesis simulado no setup dos testes; cada trecho leva 100ms
+    window.speechSynthesis.speak.mockImplementation((utterance) => {
+      spoken.push({ text: utterance.text, rate: utterance.rate, at: Date.now() })
+      setTimeout(() => utterance.onend(), 100)
+    })
+
+    const onStart = vi.fn()
+    const playback = speakPhrase('um dois', {
+      childId: null,
+      profile: profile({ ttsWordPause: 500 }),
+      cache: createCache(),
+      lang: 'pt-BR',
+      onStart,
+    })
+    await vi.runAllTimersAsync()
+
+    expect(await playback.done).toBe('ended')
+    expect(onStart).toHaveBeenCalledWith({ kind: 'speech' })
+    expect(spoken.map((item) => item.text)).toEqual(['um', 'dois'])
+    // 100ms de fala + 500ms de pausa antes da segunda palavra
+    expect(spoken[1].at - spoken[0].at).toBe(600)
+    window.speechSynthesis.speak.mockImplementation(() => {})
+    vi.useRealTimers()
+  })
+})
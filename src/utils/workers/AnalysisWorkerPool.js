@@ -0,0 +1,256 @@
+/**
+ * @file AnalysisWorkerPool.js
+ * @description Pool de Web Workers para as análises feitas durante o jogo
+ * Os algoritmos emocionais, de neuroplasticidade, a análise de cada evento de jogo e a
+ * inferência dos modelos TensorFlow saem da thread principal, que fica livre para as
+ * animações. Sem suporte a Worker, com o worker travado ou com dados que não podem ser
+ * copiados, a análise roda na thread principal como antes.
+ */
+
+import { ANALYSIS_MESSAGES, createRunMessage } from './analysisProtocol.js'
+import { runAnalysisTask } from './analysisTasks.js'
+import { getPerformanceProfiler } from '../core/PerformanceProfiler.js'
+import logger from '../logger.js'
+
+// Tempo máximo de uma análise no worker antes de ele ser descartado
+export const DEFAULT_TASK_TIMEOUT_MS = 15000
+// Depois de tantas falhas de worker o pool passa a usar só a thread principal
+export const MAX_WORKER_FAILURES = 3
+
+// Um núcleo fica para a interface; tablets simples costumam ter poucos
+const defaultPoolSize = () => {
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 2 : 2
+  return Math.max(1, Math.min(2, cores - 1))
+}
+
+const createDefaultWorker = () =>
+  new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' })
+
+// Mesma chave de afinidade sempre no mesmo worker (algoritmos com histórico)
+const hashAffinity = (value) =>
+  [...String(value)].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7)
+
+export class AnalysisWorkerPool {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size] - Quantidade de workers
+   * @param {Function} [options.createWorker] - () => Worker
+   * @param {number} [options.timeoutMs]
+   * @param {boolean} [options.enabled] - false força a thread principal
+   */
+  constructor({
+    size = defaultPoolSize(),
+    createWorker = createDefaultWorker,
+    timeoutMs = DEFAULT_TASK_TIMEOUT_MS,
+    enabled = typeof Worker !== 'undefined',
+  } = {}) {
+    this.size = size
+    this.createWorker = createWorker
+    this.timeoutMs = timeoutMs
+    this.enabled = enabled
+    this.slots = []
+    this.nextId = 1
+    this.failures = 0
+    this.statistics = {
+      workerRuns: 0,
+      mainThreadRuns: 0,
+      fallbacks: 0,
+      averageWorkerMs: 0,
+    }
+  }
+
+  // Cria os workers na primeira análise, não no carregamento do app
+  ensureWorkers() {
+    while (this.enabled && this.slots.length < this.size) {
+      try {
+        const slot = { worker: this.createWorker(), pending: new Map() }
+        slot.worker.addEventListener('message', (event) => this.handleResponse(slot, event.data))
+        slot.worker.addEventListener('error', (event) => {
+          event.preventDefault?.()
+          this.discardWorker(slot, event.message || 'Erro no worker de análise')
+        })
+        this.slots.push(slot)
+      } catch (error) {
+        logger.warn('Web Worker indisponível, análises na thread principal', {
+          error: error.message,
+        })
+        this.enabled = false
+      }
+    }
+  }
+
+  pickSlot(affinity) {
+    this.ensureWorkers()
+    if (this.slots.length === 0) return null
+    if (affinity !== undefined) return this.slots[hashAffinity(affinity) % this.slots.length]
+    return this.slots.reduce((best, slot) => (slot.pending.size < best.pending.size ? slot : best))
+  }
+
+  /**
+   * Executa uma análise no worker, ou na thread principal se não der
+   * @param {string} task - Um de ANALYSIS_TASKS
+   * @param {Object} payload - Somente dados copiáveis
+   * @param {Object} [options]
+   * @param {string} [options.affinity] - Mantém a tarefa sempre no mesmo worker
+   * @param {Function} [options.fallback] - Execução na thread principal no lugar da tarefa
+   * @param {number} [options.timeoutMs]
+   * @returns {Promise<*>}
+   */
+  run(task, payload, { affinity, fallback, timeoutMs = this.timeoutMs } = {}) {
+    const slot = this.enabled ? this.pickSlot(affinity) : null
+    if (!slot) return this.runOnMainThread(task, payload, fallback)
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++
+      const job = { task, payload, fallback, resolve, reject, startedAt: performance.now() }
+      job.timer = setTimeout(
+        () => this.discardWorker(slot, `Análise ${task} passou de ${timeoutMs}ms`),
+        timeoutMs
+      )
+      slot.pending.set(id, job)
+
+      try {
+        slot.worker.postMessage(createRunMessage(id, task, payload))
+      } catch (error) {
+        // Dados que não podem ser copiados para o worker (DataCloneError)
+        this.fallBack(slot, id, error.message)
+      }
+    })
+  }
+
+  /**
+   * Executa na thread principal, sem worker
+   * @param {string} task
+   * @param {Object} payload
+   * @param {Function} [fallback]
+   * @returns {Promise<*>}
+   */
+  async runOnMainThread(task, payload, fallback) {
+    this.statistics.mainThreadRuns++
+    return fallback ? fallback() : runAnalysisTask(task, payload)
+  }
+
+  handleResponse(slot, message) {
+    const job = slot.pending.get(message?.id)
+    if (!job) return
+
+    if (message.type === ANALYSIS_MESSAGES.RESULT) {
+      clearTimeout(job.timer)
+      slot.pending.delete(message.id)
+      const runs = ++this.statistics.workerRuns
+      const duration = performance.now() - job.startedAt
+      this.statistics.averageWorkerMs += (duration - this.statistics.averageWorkerMs) / runs
+      job.resolve(message.result)
+    } else {
+      this.fallBack(slot, message.id, message.error?.message)
+    }
+  }
+
+  fallBack(slot, id, reason) {
+    const job = slot.pending.get(id)
+    if (!job) return
+    clearTimeout(job.timer)
+    slot.pending.delete(id)
+
+    this.statistics.fallbacks++
+    logger.warn(`Análise ${job.task} refeita na thread principal`, { reason })
+    this.runOnMainThread(job.task, job.payload, job.fallback).then(job.resolve, job.reject)
+  }
+
+  // Worker com erro ou travado: sai do pool e as análises pendentes voltam para a thread principal
+  discardWorker(slot, reason) {
+    if (!this.slots.includes(slot)) return
+    this.slots = this.slots.filter((item) => item !== slot)
+    slot.worker.terminate()
+    ;[...slot.pending.keys()].forEach((id) => this.fallBack(slot, id, reason))
+
+    this.failures++
+    if (this.failures >= MAX_WORKER_FAILURES) {
+      logger.warn('Workers de análise desativados após falhas repetidas')
+      this.enabled = false
+    }
+  }
+
+  getStatistics() {
+    return {
+      ...this.statistics,
+      workers: this.slots.length,
+      pending: this.slots.reduce((total, slot) => total + slot.pending.size, 0),
+      usingWorkers: this.enabled,
+    }
+  }
+
+  terminate() {
+    this.slots.forEach((slot) => {
+      slot.worker.terminate()
+      ;[...slot.pending.keys()].forEach((id) => this.fallBack(slot, id, 'Pool encerrado'))
+    })
+    this.slots = []
+  }
+}
+
+// Instância singleton
+let poolInstance = null
+
+export const getAnalysisWorkerPool = () => {
+  if (!poolInstance) poolInstance = new AnalysisWorkerPool()
+  return poolInstance
+}
+
+/**
+ * Atalho para getAnalysisWorkerPool().run
+ * @param {string} task
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @returns {Promise<*>}
+ */
+export const runAnalysis = (task, payload, options) =>
+  getAnalysisWorkerPool().run(task, payload, options)
+
+/**
+ * Mede o FPS com a análise rodando sem parar na thread principal e depois no worker
+ * @param {Object} options
+ * @param {string} options.task
+ * @param {Object} options.payload
+ * @param {number} [options.durationMs] - Janela de cada medição (mínimo 1s)
+ * @param {AnalysisWorkerPool} [options.pool]
+ * @returns {Promise<{mainThreadFps: number|null, workerFps: number|null, improvement: number|null}>}
+ */
+export async function compareAnalysisFrameRate({
+  task,
+  payload,
+  durationMs = 3000,
+  pool = getAnalysisWorkerPool(),
+}) {
+  const profiler = getPerformanceProfiler()
+
+  const measureUnderLoad = async (runOnce) => {
+    let running = true
+    const loop = async () => {
+      while (running) {
+        await runOnce()
+        // Cede a vez para o navegador desenhar entre uma análise e outra
+        await new Promise((resolve) => setTimeout(resolve, 0))
+      }
+    }
+    const load = loop()
+    const fps = await profiler.measureFrameRate(durationMs)
+    running = false
+    await load
+    return fps
+  }
+
+  const mainThreadFps = await measureUnderLoad(() => pool.runOnMainThread(task, payload))
+  const workerFps = await measureUnderLoad(() => pool.run(task, payload))
+
+  return {
+    mainThreadFps,
+    workerFps,
+    improvement:
+      mainThreadFps !== null && workerFps !== null
+        ? Math.round((workerFps - mainThreadFps) * 10) / 10
+        : null,
+  }
+}
+
+export default AnalysisWorkerPool
@@ -0,0 +1,146 @@
+/**
+ * @file AnalysisWorkerPool.test.js
+ * @description Testes do pool de workers de análise com um Worker simulado, que atende as
+ * mensagens pelo mesmo protocolo do worker real
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { AnalysisWorkerPool, compareAnalysisFrameRate } from './AnalysisWorkerPool.js'
+import { ANALYSIS_MESSAGES, handleAnalysisMessage } from './analysisProtocol.js'
+import { ANALYSIS_TASKS } from './analysisTasks.js'
+import PerformanceProfiler, { getPerformanceProfiler } from '../core/PerformanceProfiler.js'
+
+class FakeWorker extends EventTarget {
+  constructor({ runTask, silent = false } = {}) {
+    super()
+    this.runTask = runTask
+    this.silent = silent
+    this.received = []
+    this.terminated = false
+  }
+
+  postMessage(message) {
+    this.received.push(message)
+    if (this.silent) return
+    handleAnalysisMessage(message, this.runTask).then((response) =>
+      this.dispatchEvent(new MessageEvent('message', { data: response }))
+    )
+  }
+
+  terminate() {
+    this.terminated = true
+  }
+}
+
+const sessionData = { sessionId: 's1', userId: 'u1', interactions: [], colorChoices: [] }
+
+describe('AnalysisWorkerPool', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+  })
+
+  it('deve devolver o resultado do worker e manter a mesma afinidade no mesmo worker', async () => {
+    const workers = []
+    const pool = new AnalysisWorkerPool({
+      size: 2,
+      enabled: true,
+      createWorker: () => {
+        const worker = new FakeWorker({ runTask: async (task, payload) => ({ task, payload }) })
+        workers.push(worker)
+        return worker
+      },
+    })
+
+    const first = await pool.run('eco', { n: 1 }, { affinity: 'servico-a' })
+    await pool.run('eco', { n: 2 }, { affinity: 'servico-a' })
+
+    expect(first).toEqual({ task: 'eco', payload: { n: 1 } })
+    expect(workers).toHaveLength(2)
+    const used = workers.filter((worker) => worker.received.length > 0)
+    expect(used).toHaveLength(1)
+    expect(used[0].received.map((message) => message.type)).toEqual([
+      ANALYSIS_MESSAGES.RUN,
+      ANALYSIS_MESSAGES.RUN,
+    ])
+    expect(pool.getStatistics()).toMatchObject({ workerRuns: 2, fallbacks: 0, pending: 0 })
+  })
+
+  it('deve refazer na thread principal quando o worker falha, trava ou não existe', async () => {
+    vi.useFakeTimers()
+    const silent = new FakeWorker({ silent: true })
+    const pool = new AnalysisWorkerPool({
+      size: 1,
+      enabled: true,
+      timeoutMs: 1000,
+      createWorker: () => silent,
+    })
+
+    const fallback = vi.fn(async () => 'thread-principal')
+    const pending = pool.run('lenta', {}, { fallback })
+    await vi.advanceTimersByTimeAsync(1000)
+
+    expect(await pending).toBe('thread-principal')
+    expect(silent.terminated).toBe(true)
+    expect(pool.getStatistics()).toMatchObject({ fallbacks: 1, mainThreadRuns: 1, workers: 0 })
+    vi.useRealTimers()
+
+    const broken = new FakeWorker({ silent: true })
+    const failing = new AnalysisWorkerPool({ size: 1, enabled: true, createWorker: () => broken })
+    const result = failing.run('qualquer', {}, { fallback: async () => 'recuperado' })
+    broken.dispatchEvent(new ErrorEvent('error', { message: 'falhou' }))
+    expect(await result).toBe('recuperado')
+
+    const disabled = new AnalysisWorkerPool({ enabled: false, createWorker: vi.fn() })
+    const algorithms = await disabled.run(ANALYSIS_TASKS.EMOTIONAL_ALGORITHMS, {
+      instanceKey: 'teste',
+      configs: { frustrationDetection: {} },
+      userProfile: {},
+      sessionData,
+    })
+    expect(algorithms).toHaveProperty('frustrationDetection')
+    expect(disabled.createWorker).not.toHaveBeenCalled()
+    expect(disabled.getStatistics()).toMatchObject({ mainThreadRuns: 1, usingWorkers: false })
+  })
+
+  it('deve comparar o FPS da análise na thread principal e no worker', async () => {
+    const measure = vi
+      .spyOn(getPerformanceProfiler(), 'measureFrameRate')
+      .mockResolvedValueOnce(42)
+      .mockResolvedValueOnce(58.5)
+    const pool = new AnalysisWorkerPool({
+      size: 1,
+      enabled: true,
+      createWorker: () => new FakeWorker(),
+    })
+
+    const comparison = await compareAnalysisFrameRate({
+      task: ANALYSIS_TASKS.GAME_EVENT,
+      payload: { gameEvent: { userId: 'u1', activityId: 'color-match', type: 'success' } },
+      pool,
+    })
+
+    expect(comparison).toEqual({ mainThreadFps: 42, workerFps: 58.5, improvement: 16.5 })
+    expect(pool.getStatistics()).toMatchObject({ mainThreadRuns: 1, workerRuns: 1 })
+    measure.mockRestore()
+  })
+
+  it('deve medir o FPS pelos quadros desenhados', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'performance'] })
+    vi.stubGlobal('requestAnimationFrame', (callback) => setTimeout(callback, 20))
+    vi.stubGlobal('cancelAnimationFrame', (id) => clearTimeout(id))
+
+    const profiler = new PerformanceProfiler()
+    const measuring = profiler.measureFrameRate(1000)
+    await vi.advanceTimersByTimeAsync(1000)
+
+    // Quadros a cada 20ms: ~50 FPS
+    expect(await measuring).toBeCloseTo(50, -1)
+    expect(profiler.frameRequest).toBeNull()
+
+    expect(profiler.measureFPS()).toBeNull()
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(profiler.measureFPS().value).toBeCloseTo(50, -1)
+    profiler.stopFrameSampling()
+  })
+})
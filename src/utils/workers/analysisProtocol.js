@@ -0,0 +1,67 @@
+/**
+ * @file analysisProtocol.js
+ * @description Mensagens trocadas entre a thread principal e o worker de análise
+ *
+ * Pedido:   { type: 'analysis:run', id, task, payload }
+ * Resposta: { type: 'analysis:result', id, result, durationMs }
+ *        ou { type: 'analysis:error', id, error: { name, message } }
+ */
+
+import { runAnalysisTask } from './analysisTasks.js'
+
+export const ANALYSIS_MESSAGES = Object.freeze({
+  RUN: 'analysis:run',
+  RESULT: 'analysis:result',
+  ERROR: 'analysis:error',
+})
+
+/**
+ * Monta o pedido de uma análise
+ * @param {number} id - Identifica a resposta
+ * @param {string} task - Um de ANALYSIS_TASKS
+ * @param {Object} payload
+ * @returns {Object}
+ */
+export const createRunMessage = (id, task, payload) => ({
+  type: ANALYSIS_MESSAGES.RUN,
+  id,
+  task,
+  payload,
+})
+
+/**
+ * Monta a resposta de erro
+ * @param {number} id
+ * @param {Error} error
+ * @returns {Object}
+ */
+export const createErrorMessage = (id, error) => ({
+  type: ANALYSIS_MESSAGES.ERROR,
+  id,
+  error: { name: error?.name || 'Error', message: error?.message || String(error) },
+})
+
+/**
+ * Atende um pedido e devolve a resposta (usado dentro do worker)
+ * @param {Object} message - Pedido recebido
+ * @param {Function} [runTask] - (task, payload) => resultado
+ * @returns {Promise<Object>}
+ */
+export async function handleAnalysisMessage(message, runTask = runAnalysisTask) {
+  if (message?.type !== ANALYSIS_MESSAGES.RUN) {
+    return createErrorMessage(message?.id, new Error('Mensagem de análise inválida'))
+  }
+
+  const startedAt = performance.now()
+  try {
+    const result = await runTask(message.task, message.payload)
+    return {
+      type: ANALYSIS_MESSAGES.RESULT,
+      id: message.id,
+      result,
+      durationMs: performance.now() - startedAt,
+    }
+  } catch (error) {
+    return createErrorMessage(message.id, error)
+  }
+}
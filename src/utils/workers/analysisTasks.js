@@ -0,0 +1,136 @@
+/**
+ * @file analysisTasks.js
+ * @description Análises que podem rodar no worker de análise
+ * Cada tarefa recebe e devolve apenas dados copiáveis (structured clone); o mesmo código
+ * roda no worker ou, quando não há worker, na thread principal.
+ */
+
+import { ColorPsychologicalAnalysis } from '../emotionalAnalysis/algorithms/ColorPsychologicalAnalysis.js'
+import { FrustrationDetection } from '../emotionalAnalysis/algorithms/FrustrationDetection.js'
+import { EmotionalEngagementAnalysis } from '../emotionalAnalysis/algorithms/EmotionalEngagementAnalysis.js'
+import { AnxietyDetector } from '../emotionalAnalysis/algorithms/AnxietyDetector.js'
+import { AdaptiveMotivation } from '../emotionalAnalysis/algorithms/AdaptiveMotivation.js'
+import { EmotionalRegulationSystem } from '../emotionalAnalysis/algorithms/EmotionalRegulationSystem.js'
+import { CreativeExpressionAnalysis } from '../emotionalAnalysis/algorithms/CreativeExpressionAnalysis.js'
+import { CognitiveImprovementTracker } from '../neuroplasticity/algorithms/CognitiveImprovementTracker.js'
+import { OpportunityWindowIdentifier } from '../neuroplasticity/algorithms/OpportunityWindowIdentifier.js'
+import { MemoryConsolidationSystem } from '../neuroplasticity/algorithms/MemoryConsolidationSystem.js'
+import { CognitiveBreakthroughDetector } from '../neuroplasticity/algorithms/CognitiveBreakthroughDetector.js'
+import { CognitiveRecovery } from '../neuroplasticity/algorithms/CognitiveRecovery.js'
+import { LearningTransferSystem } from '../neuroplasticity/algorithms/LearningTransferSystem.js'
+import { AutismCognitiveAnalyzer } from '../autismCognitiveAnalysis/autismCognitiveAnalyzer.js'
+
+export const ANALYSIS_TASKS = Object.freeze({
+  EMOTIONAL_ALGORITHMS: 'emotional-algorithms',
+  NEUROPLASTICITY_ALGORITHMS: 'neuroplasticity-algorithms',
+  GAME_EVENT: 'game-event',
+  ML_PREDICT: 'ml-predict',
+})
+
+// Mesmos nomes usados em EmotionalAnalysisService.algorithms e NeuroplasticityService.algorithms
+const EMOTIONAL_ALGORITHMS = {
+  colorAnalysis: ColorPsychologicalAnalysis,
+  frustrationDetection: FrustrationDetection,
+  engagementAnalysis: EmotionalEngagementAnalysis,
+  anxietyDetector: AnxietyDetector,
+  adaptiveMotivation: AdaptiveMotivation,
+  emotionalRegulation: EmotionalRegulationSystem,
+  creativeExpression: CreativeExpressionAnalysis,
+}
+
+const NEUROPLASTICITY_ALGORITHMS = {
+  improvementTracker: CognitiveImprovementTracker,
+  opportunityWindow: OpportunityWindowIdentifier,
+  memoryConsolidation: MemoryConsolidationSystem,
+  breakthroughDetector: CognitiveBreakthroughDetector,
+  cognitiveRecovery: CognitiveRecovery,
+  learningTransfer: LearningTransferSystem,
+}
+
+// Instâncias mantidas entre chamadas, para os algoritmos guardarem o próprio histórico
+const instances = new Map()
+const models = new Map()
+
+const getInstance = async (key, create) => {
+  if (!instances.has(key)) {
+    const instance = create()
+    await instance.initialize?.()
+    instances.set(key, instance)
+  }
+  return instances.get(key)
+}
+
+// Executa, em ordem, os algoritmos pedidos com a configuração do serviço de origem
+const runAlgorithms = async (
+  classes,
+  family,
+  { instanceKey, configs, userProfile, sessionData }
+) => {
+  const results = {}
+  for (const [name, config] of Object.entries(configs)) {
+    const AlgorithmClass = classes[name]
+    if (!AlgorithmClass) throw new Error(`Algoritmo desconhecido: ${name}`)
+    const algorithm = await getInstance(
+      `${family}:${instanceKey}:${name}`,
+      () => new AlgorithmClass(config)
+    )
+    // O perfil pode ter mudado no serviço desde a criação da instância
+    algorithm.config = { ...algorithm.config, ...config }
+    results[name] = await algorithm.execute(userProfile, sessionData)
+  }
+  return results
+}
+
+export const ANALYSIS_TASK_HANDLERS = {
+  [ANALYSIS_TASKS.EMOTIONAL_ALGORITHMS]: (payload) =>
+    runAlgorithms(EMOTIONAL_ALGORITHMS, 'emotional', payload),
+
+  [ANALYSIS_TASKS.NEUROPLASTICITY_ALGORITHMS]: (payload) =>
+    runAlgorithms(NEUROPLASTICITY_ALGORITHMS, 'neuroplasticity', payload),
+
+  // Parte de cálculo do SystemOrchestrator.processGameEvent
+  [ANALYSIS_TASKS.GAME_EVENT]: async ({ gameEvent, userProfile = {}, therapyGoals = {} }) => {
+    const analyzer = await getInstance('game-event', () => new AutismCognitiveAnalyzer())
+    return {
+      autismCognitive: analyzer.calculateAutismAdaptations(
+        gameEvent.userId,
+        gameEvent,
+        userProfile
+      ),
+      therapyOptimizations: gameEvent.userId
+        ? analyzer.generateTherapyOptimizations(gameEvent.userId, gameEvent, therapyGoals)
+        : null,
+    }
+  },
+
+  // Inferência de um modelo salvo pelo MachineLearningOrchestrator (indexeddb://)
+  // version muda a cada novo salvamento do modelo, para não usar o modelo antigo em cache
+  [ANALYSIS_TASKS.ML_PREDICT]: async ({ modelUrl, version = 0, features }) => {
+    const tf = await import('@tensorflow/tfjs')
+    const cached = models.get(modelUrl)
+    if (cached?.version !== version) {
+      cached?.model.dispose()
+      models.set(modelUrl, { version, model: await tf.loadLayersModel(modelUrl) })
+    }
+    const input = tf.tensor2d([features])
+    const output = models.get(modelUrl).model.predict(input)
+    try {
+      return { probabilities: Array.from(await output.data()) }
+    } finally {
+      input.dispose()
+      output.dispose()
+    }
+  },
+}
+
+/**
+ * Executa uma tarefa de análise na thread atual
+ * @param {string} task - Um de ANALYSIS_TASKS
+ * @param {Object} payload
+ * @returns {Promise<*>}
+ */
+export async function runAnalysisTask(task, payload) {
+  const handler = ANALYSIS_TASK_HANDLERS[task]
+  if (!handler) throw new Error(`Tarefa de análise desconhecida: ${task}`)
+  return handler(payload)
+}
@@ -0,0 +1,22 @@
+/**
+ * @file analysisWorker.js
+ * @description Ponto de entrada do worker de análise
+ * Criado pelo AnalysisWorkerPool; importado fora de um worker não faz nada.
+ */
+
+import { createErrorMessage, handleAnalysisMessage } from './analysisProtocol.js'
+
+const WorkerScope = globalThis.WorkerGlobalScope
+const isWorkerScope = typeof WorkerScope === 'function' && self instanceof WorkerScope
+
+if (isWorkerScope) {
+  self.addEventListener('message', async (event) => {
+    const response = await handleAnalysisMessage(event.data)
+    try {
+      self.postMessage(response)
+    } catch (error) {
+      // Resultado com algo que não pode ser copiado (DataCloneError)
+      self.postMessage(createErrorMessage(event.data?.id, error))
+    }
+  })
+}
@@ -0,0 +1,4 @@
+// Auto-generated barrel file
+export * from './AnalysisWorkerPool.js'
+export * from './analysisProtocol.js'
+export * from './analysisTasks.js'
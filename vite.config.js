@@ -1,9 +1,14 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import pwaPrecache from './scripts/pwa/vitePwaPlugin.js'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Service worker com pré-cache de jogos, sons e imagens para uso sem internet
+    pwaPrecache({ appVersion: process.env.npm_package_version })
+  ],
   base: './',  resolve: {
     alias: {
       // Polyfills para módulos Node.js no browser
@@ -22,6 +27,10 @@ export default defineConfig({
     // Permitir acesso global ao process no cliente
     'global': {},
   },
+  worker: {
+    // Worker de análise como módulo ES, com o TensorFlow em chunk separado
+    format: 'es',
+  },
   build: {
     outDir: 'dist',
     assetsDir: 'assets',